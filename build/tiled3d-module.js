@@ -28,7 +28,29 @@
  */
 
 export { Vector, Vector2, Vector3 } from "../src/vector.js";
+export { Color } from "../src/color.js";
 export { Mat3x3, Mat4x4 } from "../src/matrices.js";
+export { Quaternion } from "../src/quaternion.js";
+export { Easing, Track, Animation } from "../src/animation.js";
+export { Clock, GameLoop } from "../src/loop.js";
+export { Input } from "../src/input.js";
 export { Triangle } from "../src/geometry.js";
+export { AABB, OBB, BoundingSphere } from "../src/bounds.js";
+export { WaveFront } from "../src/wavefront.js";
+export { Texture } from "../src/texture.js";
+export { Material } from "../src/material.js";
+export { Rasterizer } from "../src/rasterizer.js";
+export { Renderer, BufferRenderer, CanvasRenderer, SVGRenderer } from "../src/renderer.js";
+export { Light, AmbientLight, DirectionalLight, PointLight } from "../src/light.js";
+export { Camera } from "../src/camera.js";
+export { CameraController } from "../src/controls.js";
+export { Node, Group } from "../src/node.js";
 export { Mesh } from "../src/mesh.js";
+export { Sprite } from "../src/sprite.js";
+export { Primitives } from "../src/primitives.js";
+export { Terrain } from "../src/terrain.js";
+export { VoxelChunk, VoxelWorld } from "../src/voxel.js";
+export { TileMap } from "../src/tilemap.js";
+export { Tiled } from "../src/tiled.js";
+export { Collision } from "../src/collision.js";
 export { Scene } from "../src/scene.js";
\ No newline at end of file
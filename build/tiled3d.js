@@ -76,55 +76,81 @@ class Vector {
         return this.type === "2d" ? new Vector2() : new Vector3();
     }
 
+    /**
+     * Set the components of a vector
+     * @param {number} x - value for the x-component
+     * @param {number} y - value for the y-component
+     * @param {number} z - value for the z-component, ignored by a 2d vector
+     * @returns {Vector} this vector
+     */
+    set(x, y, z) {
+        this.x = x || 0;
+        this.y = y || 0;
+        if(this.type !== "2d")
+            this.z = z || 0;
+        return this;
+    }
+
+    /**
+     * Copy the components of another vector into this vector
+     * @param {Vector} vec - the vector copied from
+     * @returns {Vector} this vector
+     */
+    copy(vec) {
+        for(let i of this.components)
+            this[i] = vec[i];
+        return this;
+    }
+
     /**
      * Carry out addition operation on two vectors. The returned function has
      * the same type as the vector that calls this function
      * @param {Vector} vec - Vector to be added
+     * @param {Vector} out - vector receiving the result, pass this vector to add in place
      * @returns {Vector} a new vector indicating the addition of other two vectors
      */
-    add(vec) {
-        let res = this.createVector();
+    add(vec, out = this.createVector()) {
         for(let i of this.components)
-            res[i] = this[i] + vec[i];
-        return res;
+            out[i] = this[i] + vec[i];
+        return out;
     }
 
     /**
      * Carry out minus operation on two vectors. The returned function has
      * the same type as the vector that calls this function
      * @param {Vector} vec - Vector to be subtracted
+     * @param {Vector} out - vector receiving the result, pass this vector to subtract in place
      * @returns {Vector} a new vector indicating the subtraction of other two vectors
      */
-    sub(vec) {
-        let res = this.createVector();
+    sub(vec, out = this.createVector()) {
         for(let i of this.components)
-            res[i] = this[i] - vec[i];
-        return res;
+            out[i] = this[i] - vec[i];
+        return out;
     }
 
     /**
      * Increase or decrease the magnitude of a vector
      * @param {number} s - Amount that scales the vector
+     * @param {Vector} out - vector receiving the result, pass this vector to scale in place
      * @returns {Vector} a scaled vector 
      */
-    scale(s) {
-        let res = this.createVector();
+    scale(s, out = this.createVector()) {
         for(let i of this.components)
-            res[i] = this[i] * s;
-        return res;
+            out[i] = this[i] * s;
+        return out;
     }
 
     /**
      * Multiply a vector by a vector. There's no real mathematical
      * formula for this but it could be intuitive in our game design
      * @param {Vector} v - A vector to be multiplied by
+     * @param {Vector} out - vector receiving the result, pass this vector to multiply in place
      * @returns {Vector} a product of two vectors
      */
-    mult(v) {
-        let res = this.createVector();
+    mult(v, out = this.createVector()) {
         for(let i of this.components)
-            res[i] = this[i] * v[i];
-        return res;
+            out[i] = this[i] * v[i];
+        return out;
     }
     
     /**
@@ -141,9 +167,10 @@ class Vector {
 
     /**Converts a vector to a unit vector */
     normalise() {
-        if(this.magnitude != 0) {
+        const magnitude = this.magnitude;
+        if(magnitude != 0) {
             for(let i of this.components)
-                this[i] /= this.magnitude;
+                this[i] /= magnitude;
         }
     }
 
@@ -249,14 +276,342 @@ class Vector3 extends Vector {
      * Calculate the cross product of two vectors. This method is good
      * in 3d graphics to get the face normal of a polygon
      * @param {Vector3} vec - A vector object
+     * @param {Vector3} out - vector receiving the result, it may be either vector
      * @returns {Vector3} a vector orthogonal to both other vectors/
      */
-    cross(vec) {
-        let res = this.createVector();
-        res.x = this.y * vec.z - this.z * vec.y;
-        res.y = this.z * vec.x - this.z * vec.z;
-        res.z = this.x * vec.y - this.y * vec.x;
-        return res;
+    cross(vec, out = this.createVector()) {
+        const x = this.y * vec.z - this.z * vec.y;
+        const y = this.z * vec.x - this.x * vec.z;
+        const z = this.x * vec.y - this.y * vec.x;
+        out.x = x;
+        out.y = y;
+        out.z = z;
+        return out;
+    }
+
+};
+
+/**
+ * The named colors of css as hex values
+ */
+const CSS_COLORS = {
+    aliceblue: "f0f8ff", antiquewhite: "faebd7", aqua: "00ffff", aquamarine: "7fffd4", azure: "f0ffff",
+    beige: "f5f5dc", bisque: "ffe4c4", black: "000000", blanchedalmond: "ffebcd", blue: "0000ff",
+    blueviolet: "8a2be2", brown: "a52a2a", burlywood: "deb887", cadetblue: "5f9ea0", chartreuse: "7fff00",
+    chocolate: "d2691e", coral: "ff7f50", cornflowerblue: "6495ed", cornsilk: "fff8dc", crimson: "dc143c",
+    cyan: "00ffff", darkblue: "00008b", darkcyan: "008b8b", darkgoldenrod: "b8860b", darkgray: "a9a9a9",
+    darkgreen: "006400", darkgrey: "a9a9a9", darkkhaki: "bdb76b", darkmagenta: "8b008b",
+    darkolivegreen: "556b2f", darkorange: "ff8c00", darkorchid: "9932cc", darkred: "8b0000",
+    darksalmon: "e9967a", darkseagreen: "8fbc8f", darkslateblue: "483d8b", darkslategray: "2f4f4f",
+    darkslategrey: "2f4f4f", darkturquoise: "00ced1", darkviolet: "9400d3", deeppink: "ff1493",
+    deepskyblue: "00bfff", dimgray: "696969", dimgrey: "696969", dodgerblue: "1e90ff", firebrick: "b22222",
+    floralwhite: "fffaf0", forestgreen: "228b22", fuchsia: "ff00ff", gainsboro: "dcdcdc", ghostwhite: "f8f8ff",
+    gold: "ffd700", goldenrod: "daa520", gray: "808080", green: "008000", greenyellow: "adff2f",
+    grey: "808080", honeydew: "f0fff0", hotpink: "ff69b4", indianred: "cd5c5c", indigo: "4b0082",
+    ivory: "fffff0", khaki: "f0e68c", lavender: "e6e6fa", lavenderblush: "fff0f5", lawngreen: "7cfc00",
+    lemonchiffon: "fffacd", lightblue: "add8e6", lightcoral: "f08080", lightcyan: "e0ffff",
+    lightgoldenrodyellow: "fafad2", lightgray: "d3d3d3", lightgreen: "90ee90", lightgrey: "d3d3d3",
+    lightpink: "ffb6c1", lightsalmon: "ffa07a", lightseagreen: "20b2aa", lightskyblue: "87cefa",
+    lightslategray: "778899", lightslategrey: "778899", lightsteelblue: "b0c4de", lightyellow: "ffffe0",
+    lime: "00ff00", limegreen: "32cd32", linen: "faf0e6", magenta: "ff00ff", maroon: "800000",
+    mediumaquamarine: "66cdaa", mediumblue: "0000cd", mediumorchid: "ba55d3", mediumpurple: "9370db",
+    mediumseagreen: "3cb371", mediumslateblue: "7b68ee", mediumspringgreen: "00fa9a",
+    mediumturquoise: "48d1cc", mediumvioletred: "c71585", midnightblue: "191970", mintcream: "f5fffa",
+    mistyrose: "ffe4e1", moccasin: "ffe4b5", navajowhite: "ffdead", navy: "000080", oldlace: "fdf5e6",
+    olive: "808000", olivedrab: "6b8e23", orange: "ffa500", orangered: "ff4500", orchid: "da70d6",
+    palegoldenrod: "eee8aa", palegreen: "98fb98", paleturquoise: "afeeee", palevioletred: "db7093",
+    papayawhip: "ffefd5", peachpuff: "ffdab9", peru: "cd853f", pink: "ffc0cb", plum: "dda0dd",
+    powderblue: "b0e0e6", purple: "800080", rebeccapurple: "663399", red: "ff0000", rosybrown: "bc8f8f",
+    royalblue: "4169e1", saddlebrown: "8b4513", salmon: "fa8072", sandybrown: "f4a460", seagreen: "2e8b57",
+    seashell: "fff5ee", sienna: "a0522d", silver: "c0c0c0", skyblue: "87ceeb", slateblue: "6a5acd",
+    slategray: "708090", slategrey: "708090", snow: "fffafa", springgreen: "00ff7f", steelblue: "4682b4",
+    tan: "d2b48c", teal: "008080", thistle: "d8bfd8", tomato: "ff6347", transparent: "00000000",
+    turquoise: "40e0d0", violet: "ee82ee", wheat: "f5deb3", white: "ffffff", whitesmoke: "f5f5f5",
+    yellow: "ffff00", yellowgreen: "9acd32"
+};
+
+/**
+ * One rgb component of a hsl color
+ * @param {number} n - offset of the component, 0 for red, 8 for green and 4 for blue
+ * @param {number} h - hue in degrees
+ * @param {number} a - chroma of the color halved
+ * @param {number} l - lightness from 0 to 1
+ * @returns {number} the component from 0 to 1
+ */
+const HSL_CHANNEL = (n, h, a, l) => {
+    const k = (n + h / 30) % 12;
+    return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+};
+
+/**
+ * Convert a hsl color to it's rgb equivalent
+ * @param {number} h - hue in degrees
+ * @param {number} s - saturation in percentage
+ * @param {number} l - lightness in percentage
+ * @param {Array.<number>} out - array receiving the components
+ * @returns {Array.<number>} [r, g, b] each in the range 0 - 255
+ */
+const HSL_TO_RGB = (h, s, l, out = []) => {
+    s = (s || 0) / 100;
+    l = (l || 0) / 100;
+    h = h || 0;
+    const a = s * Math.min(l, 1 - l);
+    out[0] = HSL_CHANNEL(0, h, a, l) * 255;
+    out[1] = HSL_CHANNEL(8, h, a, l) * 255;
+    out[2] = HSL_CHANNEL(4, h, a, l) * 255;
+    return out;
+};
+
+/**
+ * Convert a rgb color to it's hsl equivalent
+ * @param {number} r - red component from 0 to 1
+ * @param {number} g - green component from 0 to 1
+ * @param {number} b - blue component from 0 to 1
+ * @param {Array.<number>} out - array receiving the components
+ * @returns {Array.<number>} [h, s, l] with h in degrees, s and l in percentage
+ */
+const RGB_TO_HSL = (r, g, b, out = []) => {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    const d = max - min;
+    if(d === 0) {
+        out[0] = 0;
+        out[1] = 0;
+        out[2] = l * 100;
+        return out;
+    }
+    const s = d / (1 - Math.abs(2 * l - 1));
+    let h = max === r ? ((g - b) / d) % 6
+        : max === g ? (b - r) / d + 2
+        : (r - g) / d + 4;
+    out[0] = (h * 60 + 360) % 360;
+    out[1] = s * 100;
+    out[2] = l * 100;
+    return out;
+};
+
+/**
+ * @param {number} n - a rgb component from 0 to 255
+ * @returns {number} the component from 0 to 1
+ */
+const RGB_UNIT = n => Math.min(1, Math.max(0, (n || 0) / 255));
+
+/**
+ * @param {Color | Object | string | Array.<number>} color - any color a { @link Color } is made from
+ * @param {Array.<number>} out - array receiving the components
+ * @returns {Array.<number>} [r, g, b, a] with r, g, b in 0 - 255 and a in 0 - 1
+ */
+const COLOR_RGBA = (color, out) => (color instanceof Color ? color : Color.from(color)).toRGBA(out);
+
+// components of the colors blended by lerp and multiply, so blending doesn't allocate
+const COLOR_FROM = [0, 0, 0, 0];
+const COLOR_TO = [0, 0, 0, 0];
+const COLOR_HSL = [0, 0, 0];
+
+
+/**
+ * A color kept as it's hue, saturation, lightness and alpha, the way triangles are
+ * colored, so a color can be used wherever an hsla object is expected. Colors are made
+ * from css hex, rgb(a), hsl(a) and named colors, blending them is done on their rgb
+ * components like the rasteriser does across a triangle
+ * @class
+ */
+class Color {
+
+    /**
+     * Make a color from any of the ways colors are written
+     * @static
+     * @param {Color | Object | string | Array.<number>} value - a color, an object with
+     * either it's `h`, `s`, `l` or it's `r`, `g`, `b` components and an optional `a`, a
+     * css color or an array of the h, s, l and a components
+     * @returns {Color} a new color
+     * @throws {TypeError} when the value isn't a color
+     */
+    static from(value) {
+        if(typeof value === "string")
+            return Color.parse(value);
+        if(Array.isArray(value))
+            return new Color(...value);
+        if(value && typeof value === "object") {
+            if("r" in value)
+                return Color.fromRGB(value.r, value.g, value.b, value.a);
+            if("h" in value)
+                return new Color(value.h, value.s, value.l, value.a);
+        }
+        throw TypeError(`Can't make a color from ${value}`);
+    }
+
+    /**
+     * Parse a css color: `#rgb`, `#rgba`, `#rrggbb`, `#rrggbbaa`, `rgb()`, `rgba()`,
+     * `hsl()`, `hsla()` with commas or spaces between the components, or a color name
+     * @static
+     * @param {string} value - the css color
+     * @returns {Color} the color
+     * @throws {SyntaxError} when the color can't be read
+     */
+    static parse(value) {
+        const text = value.trim().toLowerCase();
+        const named = CSS_COLORS.hasOwnProperty(text) ? "#" + CSS_COLORS[text] : text;
+        if(named.startsWith("#")) {
+            let hex = named.slice(1);
+            if(!/^([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/.test(hex))
+                throw SyntaxError(`Invalid hex color "${value}"`);
+            if(hex.length <= 4)
+                hex = hex.split("").map(c => c + c).join("");
+            const n = i => parseInt(hex.substr(i, 2), 16);
+            return Color.fromRGB(n(0), n(2), n(4), hex.length === 8 ? n(6) / 255 : 1);
+        }
+        const match = named.match(/^(rgba?|hsla?)\((.*)\)$/);
+        if(!match)
+            throw SyntaxError(`Unknown color "${value}"`);
+        const args = match[2].split(/[\s,\/]+/).filter(Boolean);
+        if(args.length < 3 || args.length > 4)
+            throw SyntaxError(`Color "${value}" must have 3 or 4 components`);
+        // percentages of rgb components are of 255 and of the alpha of 1
+        const numbers = args.map((arg, i) => {
+            const n = parseFloat(arg);
+            if(isNaN(n))
+                throw SyntaxError(`Color "${value}" has an invalid component "${arg}"`);
+            if(!arg.endsWith("%"))
+                return n;
+            return i === 3 ? n / 100 : match[1].startsWith("rgb") ? n * 2.55 : n;
+        });
+        const a = numbers[3] === undefined ? 1 : numbers[3];
+        if(match[1].startsWith("hsl"))
+            return new Color(numbers[0], numbers[1], numbers[2], a);
+        return Color.fromRGB(numbers[0], numbers[1], numbers[2], a);
+    }
+
+    /**
+     * @static
+     * @param {number} r - red component from 0 to 255
+     * @param {number} g - green component from 0 to 255
+     * @param {number} b - blue component from 0 to 255
+     * @param {number} a - alpha from 0 to 1
+     * @returns {Color} the color
+     */
+    static fromRGB(r, g, b, a = 1) {
+        return new Color().setRGB(r, g, b, a);
+    }
+
+    /**
+     * @constructor
+     * @param {number} h - hue in degrees
+     * @param {number} s - saturation in percentage
+     * @param {number} l - lightness in percentage
+     * @param {number} a - alpha from 0 to 1
+     */
+    constructor(h = 0, s = 0, l = 100, a = 1) {
+        this.h = h;
+        this.s = s;
+        this.l = l;
+        this.a = a;
+    }
+
+    /**
+     * Set the components of the color
+     * @param {number} h - hue in degrees
+     * @param {number} s - saturation in percentage
+     * @param {number} l - lightness in percentage
+     * @param {number} a - alpha from 0 to 1, unchanged when missing
+     * @returns {Color} this color
+     */
+    set(h, s, l, a = this.a) {
+        this.h = h;
+        this.s = s;
+        this.l = l;
+        this.a = a;
+        return this;
+    }
+
+    /**
+     * Set the color from it's rgb components
+     * @param {number} r - red component from 0 to 255
+     * @param {number} g - green component from 0 to 255
+     * @param {number} b - blue component from 0 to 255
+     * @param {number} a - alpha from 0 to 1, unchanged when missing
+     * @returns {Color} this color
+     */
+    setRGB(r, g, b, a = this.a) {
+        const hsl = RGB_TO_HSL(RGB_UNIT(r), RGB_UNIT(g), RGB_UNIT(b), COLOR_HSL);
+        return this.set(hsl[0], hsl[1], hsl[2], a);
+    }
+
+    /**
+     * @param {Color | Object} color - the color copied
+     * @returns {Color} this color
+     */
+    copy(color) {
+        return this.set(color.h, color.s, color.l, color.a === undefined ? 1 : color.a);
+    }
+
+    /**
+     * @returns {Color} a copy of the color
+     */
+    clone() {
+        return new Color(this.h, this.s, this.l, this.a);
+    }
+
+    /**
+     * Blend towards another color
+     * @param {Color | Object | string | Array.<number>} color - the color blended to
+     * @param {number} t - 0 is this color and 1 the other color
+     * @param {Color} out - the color written
+     * @returns {Color} the blended color
+     */
+    lerp(color, t, out = new Color()) {
+        const from = this.toRGBA(COLOR_FROM), to = COLOR_RGBA(color, COLOR_TO);
+        return out.setRGB(from[0] + (to[0] - from[0]) * t, from[1] + (to[1] - from[1]) * t,
+            from[2] + (to[2] - from[2]) * t, from[3] + (to[3] - from[3]) * t);
+    }
+
+    /**
+     * Multiply the rgb components and alpha by those of another color, the way a light
+     * or a tint filters a surface. White leaves the color unchanged
+     * @param {Color | Object | string | Array.<number>} color - the other color
+     * @param {Color} out - the color written
+     * @returns {Color} the multiplied color
+     */
+    multiply(color, out = new Color()) {
+        const from = this.toRGBA(COLOR_FROM), by = COLOR_RGBA(color, COLOR_TO);
+        return out.setRGB(from[0] * by[0] / 255, from[1] * by[1] / 255, from[2] * by[2] / 255, from[3] * by[3]);
+    }
+
+    /**
+     * Change the lightness, keeping it between black and white
+     * @param {number} amount - percentage added to the lightness, darkens when negative
+     * @param {Color} out - the color written
+     * @returns {Color} the lightened color
+     */
+    lighten(amount, out = new Color()) {
+        return out.set(this.h, this.s, Math.min(100, Math.max(0, this.l + amount)), this.a);
+    }
+
+    /**
+     * @param {Array.<number>} out - array receiving the components
+     * @returns {Array.<number>} [r, g, b, a] with r, g, b in 0 - 255 and a in 0 - 1
+     */
+    toRGBA(out = []) {
+        HSL_TO_RGB(this.h, this.s, this.l, out);
+        out[3] = this.a === undefined ? 1 : this.a;
+        return out;
+    }
+
+    /**
+     * @returns {string} the color as `#rrggbb`, or `#rrggbbaa` when it's translucent
+     */
+    toHex() {
+        const [r, g, b, a] = this.toRGBA();
+        const hex = n => Math.round(Math.min(255, Math.max(0, n))).toString(16).padStart(2, "0");
+        return "#" + hex(r) + hex(g) + hex(b) + (a < 1 ? hex(a * 255) : "");
+    }
+
+    /**
+     * @returns {string} the color as a css `hsla()` color
+     */
+    toString() {
+        return `hsla(${this.h}, ${this.s}%, ${this.l}%, ${this.a})`;
     }
 
 };
@@ -264,6 +619,7 @@ class Vector3 extends Vector {
 
 
 
+
 /**
  * Matrix
  * @param {number} length - size of the matrix
@@ -276,17 +632,35 @@ const Mat = (length => {
 
     const mat = {};
 
+    // reused by the operations below so they don't allocate on every call
+    const workspace = new Float64Array(length * length);
+    const inverseWorkspace = new Float64Array(length * length);
+    const vectorWorkspace = new Float64Array(length);
+
     /**
-     * Create a matrix
+     * Create a new matrix. Operations taking an `out` matrix write into it instead,
+     * pass one to keep them from allocating
      * @param  {...any} args - values of each index in the matrix
      * @returns {Float32Array} The matrix
      */
     mat.create = (...args) => {
-        const buffer = new ArrayBuffer(4 * length * length);
-        const arr = new Float32Array(buffer).map((val, i) => args[i] || 0);
+        const arr = new Float32Array(length * length);
+        for(let i=0; i < args.length && i < arr.length; i++)
+            arr[i] = args[i] || 0;
         return arr;
     };
 
+    /**
+     * Copy the items of a matrix into another
+     * @param {Float32Array} m - The matrix copied from
+     * @param {Float32Array} out - The matrix copied to
+     * @returns {Float32Array} out
+     */
+    mat.copy = (m, out) => {
+        out.set(m);
+        return out;
+    };
+
     /**
      * Add a matrix to another
      * @param {Float32Array} m1 - The first matrix
@@ -333,9 +707,15 @@ const Mat = (length => {
 
     /**
      * An identity matrix has zero anywhere and 1 on it's main diagonal
+     * @param {Float32Array} out - matrix receiving the identity
      * @returns {Float32Array} an identity matrix
      */
-    mat.identity = () => mat.diagonal(1, 1, 1);
+    mat.identity = (out = mat.create()) => {
+        out.fill(0);
+        for(let i=0; i < length; i++)
+            out[i * length + i] = 1;
+        return out;
+    };
 
 
     /**
@@ -345,12 +725,21 @@ const Mat = (length => {
      */
     mat.translate = (...args) => {
         let m = mat.identity();
-        for(let i=0; i < length; i++) {
-            for(let j=0; j < length; j++) {
-                if(j + 1 == length) 
-                    m[i * length + j] = args[i] || 1;
-            }
-        }
+        for(let i=0; i < length - 1; i++)
+            m[i * length + length - 1] = args[i] || 0;
+        return m;
+    }
+
+
+    /**
+     * Creates a Scaling matrix
+     * @param  {...any} args - Values to be scaled by on each axis, missing values are 1
+     * @returns {Float32Array} - A scaling matrix
+     */
+    mat.scale = (...args) => {
+        let m = mat.identity();
+        for(let i=0; i < length - 1; i++)
+            m[i * length + i] = args[i] === undefined ? 1 : args[i];
         return m;
     }
 
@@ -361,11 +750,11 @@ const Mat = (length => {
      * @returns {Float32Array} - The transposed Matrix
      */
     mat.transpose = m => {
-        const size = m.length / length;
-        const copy = mat.clone(m);
-        for(let i=0; i < size; i++) {
-            for(let j=0; j < size; j++) {
-                m[i * length + j] = copy[j * length + i];
+        for(let i=0; i < length; i++) {
+            for(let j=i + 1; j < length; j++) {
+                const a = m[i * length + j];
+                m[i * length + j] = m[j * length + i];
+                m[j * length + i] = a;
             }
         };
         return m;
@@ -398,31 +787,34 @@ const Mat = (length => {
      * the component length of the vector including the homogenous w-component.
      * @param {Float32Array} m - An Array representing a fixed size matrix
      * @param {Vector | Vector2 | Vector3} vec - A vector 
+     * @param {Vector2 | Vector3} out - vector receiving the result, it may be vec
      * @returns {Vector2 | Vector3} depends on the input size vector
      */
-    mat.multiplyVector = (m, vec) => {
+    mat.multiplyVector = (m, vec, out) => {
 
         if(!(vec instanceof Vector2) && !(vec instanceof Vector3))
             throw TypeError("Vector must be an instance of `Vector2` or `Vector3` when multiplying matrices by a vector");
 
-        const column = m.length / length;
         const row = vec.components.length + 1;
-        if(column != row) 
+        if(length != row) 
             throw TypeError("Left hand column must be equal to right hand row");
-        
-        let sum = 0;
-        let v = vec.toArray();
-        let res = [];
+
+        const v = vectorWorkspace;
+        for(let j=0; j < row - 1; j++)
+            v[j] = vec[vec.components[j]];
+        v[row - 1] = vec.w;
+
+        out = out || (row === 4 ? new Vector3() : new Vector2());
         for(let i=0; i < row; i++) {
-            sum = 0;
-            for(let j=0; j < column; j++) {
+            let sum = 0;
+            for(let j=0; j < row; j++)
                 sum += m[i * length + j] * v[j];
-            };
-            res[i] = sum;
+            if(i === row - 1)
+                out.w = sum;
+            else
+                out[out.components[i]] = sum;
         };
-        v = row === 4 ? new Vector3(res[0], res[1], res[2], res[3]) 
-            : new Vector2(res[0], res[1], res[2]);
-        return v;
+        return out;
     };
 
 
@@ -430,16 +822,18 @@ const Mat = (length => {
      * Multiplies a matrix by another. Note that this matrix operation is not commutative
      * @param {Float32Array} m1 - The first matrix
      * @param {Float32Array} m2 - The second matrix
+     * @param {Float32Array} out - matrix receiving the product, it may be either matrix
      * @returns {Float32Array} - The product operation of two matrices
      */
-    mat.multiplyMatrix = (m1, m2) => {
+    mat.multiplyMatrix = (m1, m2, out = mat.create()) => {
         const column = m1.length / length;
         const row = m2.length / length;
         const size = column;
         if(column != row) {
             throw TypeError("Left hand column must be equal to right hand row");
         };
-        const copy = mat.create();
+        // the product is kept aside until both matrices are read
+        const product = workspace;
         let sum;
         for(let i=0; i < size; i++) {
             for(let j=0; j < size; j++) {
@@ -449,10 +843,11 @@ const Mat = (length => {
                     let b = m2[k * length + j];
                     sum += a * b;
                 };
-                copy[i * length + j] = sum;
+                product[i * length + j] = sum;
             }
         };
-        return copy;
+        out.set(product);
+        return out;
     };
 
     /**
@@ -460,7 +855,116 @@ const Mat = (length => {
      * @param {Mat} m - A matrix to be cloned
      * @returns {Float32Array} a replica of it's argument
      */
-    mat.clone = m => mat.create(...m);
+    mat.clone = m => new Float32Array(m);
+
+    /**
+     * Calculate the determinant of a matrix by gaussian elimination
+     * @param {Float32Array} m - The matrix
+     * @returns {number} the determinant, zero when the matrix has no inverse
+     */
+    mat.determinant = m => {
+        // work in double precision, the rows are swapped while eliminating
+        const a = workspace;
+        a.set(m);
+        let det = 1;
+        for(let col=0; col < length; col++) {
+            let pivot = col;
+            for(let row=col + 1; row < length; row++) {
+                if(Math.abs(a[row * length + col]) > Math.abs(a[pivot * length + col]))
+                    pivot = row;
+            }
+            if(a[pivot * length + col] === 0)
+                return 0;
+            if(pivot !== col) {
+                for(let j=0; j < length; j++) {
+                    const t = a[col * length + j];
+                    a[col * length + j] = a[pivot * length + j];
+                    a[pivot * length + j] = t;
+                }
+                det = -det;
+            }
+            const p = a[col * length + col];
+            det *= p;
+            for(let row=col + 1; row < length; row++) {
+                const f = a[row * length + col] / p;
+                for(let j=col; j < length; j++)
+                    a[row * length + j] -= f * a[col * length + j];
+            }
+        }
+        return det;
+    };
+
+    /**
+     * Calculate the inverse of a matrix by gauss-jordan elimination
+     * @param {Float32Array} m - The matrix
+     * @param {Float32Array} out - matrix receiving the inverse, it may be m
+     * @returns {Float32Array} the inverse, or null when the matrix has no inverse
+     */
+    mat.inverse = (m, out = mat.create()) => {
+        const a = workspace;
+        const inv = inverseWorkspace;
+        a.set(m);
+        inv.fill(0);
+        for(let i=0; i < length; i++)
+            inv[i * length + i] = 1;
+        const swap = (arr, r1, r2) => {
+            for(let j=0; j < length; j++) {
+                const t = arr[r1 * length + j];
+                arr[r1 * length + j] = arr[r2 * length + j];
+                arr[r2 * length + j] = t;
+            }
+        };
+        for(let col=0; col < length; col++) {
+            let pivot = col;
+            for(let row=col + 1; row < length; row++) {
+                if(Math.abs(a[row * length + col]) > Math.abs(a[pivot * length + col]))
+                    pivot = row;
+            }
+            if(Math.abs(a[pivot * length + col]) < 1e-12)
+                return null;
+            swap(a, col, pivot);
+            swap(inv, col, pivot);
+            const p = a[col * length + col];
+            for(let j=0; j < length; j++) {
+                a[col * length + j] /= p;
+                inv[col * length + j] /= p;
+            }
+            for(let row=0; row < length; row++) {
+                const f = a[row * length + col];
+                if(row === col || f === 0)
+                    continue;
+                for(let j=0; j < length; j++) {
+                    a[row * length + j] -= f * a[col * length + j];
+                    inv[row * length + j] -= f * inv[col * length + j];
+                }
+            }
+        }
+        out.set(inv);
+        return out;
+    };
+
+    /**
+     * Creates the matrix transforming normals (directions with w = 0) of a surface
+     * transformed by an affine matrix, the transpose of it's inverse. Normals stay
+     * perpendicular to the surface under non uniform scaling but have to be
+     * normalised again
+     * @param {Float32Array} m - The affine matrix
+     * @param {Float32Array} out - matrix receiving the normal matrix, it may be m
+     * @returns {Float32Array} the normal matrix without translation, or null when the
+     * matrix has no inverse
+     */
+    mat.normalMatrix = (m, out) => {
+        const inv = mat.inverse(m, out);
+        if(!inv)
+            return null;
+        const n = mat.transpose(inv);
+        for(let i=0; i < length - 1; i++) {
+            n[i * length + length - 1] = 0;
+            n[(length - 1) * length + i] = 0;
+        }
+        n[length * length - 1] = 1;
+        return n;
+    };
 
     return mat;
 
@@ -481,24 +985,67 @@ class Mat3x3 {
     /**
      * Creates a rotation matrix about the z-axis
      * @param {number} a - angle value
+     * @param {Float32Array} out - matrix receiving the rotation
      * @returns {Float32Array} A roll rotation matrix
      * @see Mat4x4#rollRotation
      * @see Mat4x4#pitchRotation
      * @see Mat4x4#yawRotation
      */
-    static rotation(a) {
-        let m = this.create();
-        m[0][0] = Math.cos(a);
-        m[0][1] = -Math.sin(a);
-        m[1][0] = Math.sin(a);
-        m[1][1] = Math.cos(a);
-        m[2][2] = 1;
+    static rotation(a, out = this.create()) {
+        let m = out.fill(0);
+        m[0] = Math.cos(a);
+        m[1] = -Math.sin(a);
+        m[3] = Math.sin(a);
+        m[4] = Math.cos(a);
+        m[8] = 1;
+        return m;
+    }
+
+    /**
+     * Creates a matrix that scales, rotates and then translates a 2d point
+     * @param {Vector2} position - the translation
+     * @param {number} angle - the rotation
+     * @param {Vector2} scale - the scale on each axis
+     * @returns {Float32Array} the transformation matrix
+     */
+    static compose(position, angle = 0, scale = new Vector2(1, 1)) {
+        let m = this.multiplyMatrix(this.rotation(angle), this.scale(scale.x, scale.y));
+        m[2] = position.x;
+        m[5] = position.y;
         return m;
     }
 
+    /**
+     * Split a matrix made by { @link Mat3x3.compose } into it's parts. A mirrored
+     * matrix is returned with a negative scale on the x-axis
+     * @param {Float32Array} m - the transformation matrix
+     * @returns {Object} the `position`, `angle` and `scale`
+     */
+    static decompose(m) {
+        const sign = this.determinant(m) < 0 ? -1 : 1;
+        const scale = new Vector2(Math.hypot(m[0], m[3]) * sign, Math.hypot(m[1], m[4]));
+        return {
+            position: new Vector2(m[2], m[5]),
+            angle: Math.atan2(m[3] * sign, m[0] * sign),
+            scale
+        };
+    }
+
 };
 
 
+/**
+ * The orders euler rotations are multiplied in
+ */
+const EULER_ORDERS = ["XYZ", "XZY", "YXZ", "YZX", "ZXY", "ZYX"];
+
+/**
+ * The rotation about each axis multiplied by { @link Mat4x4.eulerRotation }, rebuilt
+ * by every call so rotating doesn't allocate
+ */
+const EULER_AXES = { X: new Float32Array(16), Y: new Float32Array(16), Z: new Float32Array(16) };
+
+
 /**
  * A 4x4 matrix class. Every operation in this class are access by static 
  * functions which always involve the matrix as the first argument and anything else 
@@ -513,10 +1060,11 @@ class Mat4x4 {
     /**
      * Creates a rotation matrix about the x-axis
      * @param {number} a - angle value
+     * @param {Float32Array} out - matrix receiving the rotation
      * @returns {Float32Array} A pitch rotation matrix
      */
-    static pitchRotation(a) {
-        let m = this.create();
+    static pitchRotation(a, out = this.create()) {
+        let m = out.fill(0);
         m[0] = 1;
         m[5] = Math.cos(a);
         m[6] = -Math.sin(a);
@@ -529,14 +1077,15 @@ class Mat4x4 {
     /**
      * Creates a rotation matrix about the y-axis
      * @param {number} a - angle value
+     * @param {Float32Array} out - matrix receiving the rotation
      * @returns {Float32Array} A yaw rotation matrix
      */
-    static yawRotation(a) {
-        let m = this.create();
+    static yawRotation(a, out = this.create()) {
+        let m = out.fill(0);
         m[0] = Math.cos(a);
-        m[6] = -Math.sin(a);
+        m[2] = Math.sin(a);
         m[5] = 1;
-        m[8] = Math.sin(a);
+        m[8] = -Math.sin(a);
         m[10] = Math.cos(a);
         m[15] = 1;
         return m;
@@ -545,11 +1094,12 @@ class Mat4x4 {
     /**
      * Creates a rotation matrix about the z-axis
      * @param {number} a - angle value
+     * @param {Float32Array} out - matrix receiving the rotation
      * @returns {Float32Array} A roll rotation matrix
      * @see Mat3x3#rotation
      */
-    static rollRotation(a) {
-        let m = this.create();
+    static rollRotation(a, out = this.create()) {
+        let m = out.fill(0);
         m[0] = Math.cos(a);
         m[1] = -Math.sin(a);
         m[4] = Math.sin(a);
@@ -559,296 +1109,7508 @@ class Mat4x4 {
         return m;
     }
 
-};
-
-
-Object.assign(Mat3x3, Mat(3));
-Object.assign(Mat4x4, Mat(4));
-
-
-
-
-/**
- * Creates a Triangle geometry with basic vertices and color
- * @class
- */
-class Triangle {
+    /**
+     * Creates a rotation matrix from euler angles. The order names the axes from
+     * left to right as their rotations are multiplied, so "XYZ" is a rotation about
+     * the z-axis, then the y-axis and then the x-axis
+     * @param {number} x - angle about the x-axis
+     * @param {number} y - angle about the y-axis
+     * @param {number} z - angle about the z-axis
+     * @param {string} order - one of "XYZ", "XZY", "YXZ", "YZX", "ZXY" or "ZYX"
+     * @param {Float32Array} out - matrix receiving the rotation
+     * @returns {Float32Array} A rotation matrix
+     * @throws {RangeError} when the order is unknown
+     */
+    static eulerRotation(x, y, z, order = "XYZ", out = this.create()) {
+        if(!EULER_ORDERS.includes(order))
+            throw RangeError(`Unknown rotation order "${order}"`);
+        const axes = EULER_AXES;
+        this.pitchRotation(x, axes.X);
+        this.yawRotation(y, axes.Y);
+        this.rollRotation(z, axes.Z);
+        const first = this.multiplyMatrix(axes[order[0]], axes[order[1]], axes[order[0]]);
+        return this.multiplyMatrix(first, axes[order[2]], out);
+    }
 
-    constructor(vertices, color) {
-        this.vertices = [];
-        vertices.forEach((p, i) => {
-            this.vertices[i] = p instanceof Vector3  ? p 
-                : new Vector3(p[0], p[1], p[2]);
+    /**
+     * Creates a view matrix placing an eye at the origin looking at a target. Like
+     * the camera, the view looks along the z-axis with the y-axis up
+     * @param {Vector3} eye - position of the viewer
+     * @param {Vector3} target - the point looked at
+     * @param {Vector3} up - direction of the top of the view
+     * @returns {Float32Array} the view matrix
+     */
+    static lookAt(eye, target, up = new Vector3(0, 1, 0)) {
+        let z = target.sub(eye);
+        z.normalise();
+        let x = up.cross(z);
+        x.normalise();
+        let y = z.cross(x);
+        let m = this.identity();
+        [x, y, z].forEach((axis, i) => {
+            m[i * 4] = axis.x;
+            m[i * 4 + 1] = axis.y;
+            m[i * 4 + 2] = axis.z;
+            m[i * 4 + 3] = -axis.dot(eye);
         });
-        this.color = color;
+        return m;
     }
 
-    static clone(tri) {
-        return new Triangle(tri.vertices, tri.color);
+    /**
+     * Creates a matrix that scales, rotates and then translates a point
+     * @param {Vector3} position - the translation
+     * @param {Quaternion} quaternion - the rotation
+     * @param {Vector3} scale - the scale on each axis
+     * @returns {Float32Array} the transformation matrix
+     */
+    static compose(position, quaternion = new Quaternion(), scale = new Vector3(1, 1, 1)) {
+        let m = this.multiplyMatrix(quaternion.toMat4(), this.scale(scale.x, scale.y, scale.z));
+        m[3] = position.x;
+        m[7] = position.y;
+        m[11] = position.z;
+        return m;
     }
 
-};
-
+    /**
+     * Split a matrix made by { @link Mat4x4.compose } into it's parts. A mirrored
+     * matrix is returned with a negative scale on the x-axis
+     * @param {Float32Array} m - the transformation matrix
+     * @returns {Object} the `position`, `quaternion` and `scale`
+     */
+    static decompose(m) {
+        const sign = this.determinant(m) < 0 ? -1 : 1;
+        const scale = new Vector3(
+            Math.hypot(m[0], m[4], m[8]) * sign,
+            Math.hypot(m[1], m[5], m[9]),
+            Math.hypot(m[2], m[6], m[10]));
+        // remove the scale from each column to leave the rotation
+        let rotation = this.identity();
+        for(let row=0; row < 3; row++) {
+            rotation[row * 4] = scale.x ? m[row * 4] / scale.x : 0;
+            rotation[row * 4 + 1] = scale.y ? m[row * 4 + 1] / scale.y : 0;
+            rotation[row * 4 + 2] = scale.z ? m[row * 4 + 2] / scale.z : 0;
+        }
+        return {
+            position: new Vector3(m[3], m[7], m[11]),
+            quaternion: Quaternion.fromRotationMatrix(rotation),
+            scale
+        };
+    }
 
+};
 
 
+Object.assign(Mat3x3, Mat(3));
+Object.assign(Mat4x4, Mat(4));
 
 
-// remove for const i in res
-const PARSE_MESH_DATA = (data, ...extracts) => {
-    const res = {};
-    extracts.forEach((key, i) => res[key] = []);
-    let spliitedData = data.split("\n");
-    for(const i in res) {
-        spliitedData.forEach((item, j) => {
-            if(item.startsWith(i)) {
-                let value = item.split(" ");
-                res[i].push([value[1], value[2], value[3]]
-                    .map(i => parseFloat(i)));
-            };
-        });
-    };
 
-    return res;
-};
 
 
 /**
- * 
- * Class representing a mesh: containing many triangles. This function 
- * may take an update function
+ * A unit quaternion representing a rotation. Quaternions are used to blend
+ * between rotations without the gimbal lock of euler angles
+ * as described on { @link https://en.wikipedia.org/wiki/Quaternions_and_spatial_rotation }
  * @class
- * 
-*/
-class Mesh {
+ */
+class Quaternion {
 
     /**
-     * parse waveFront obj or obj like data format
+     * Creates a quaternion from euler angles
      * @static
-     * @param {string} data - obj file format representing mesh data
-     * @param  {...any} extracts - keys in the obj file
-     * @returns {Object}
+     * @param {number} x - angle about the x-axis
+     * @param {number} y - angle about the y-axis
+     * @param {number} z - angle about the z-axis
+     * @param {string} order - order the rotations are multiplied in
+     * @returns {Quaternion} the rotation
+     * @throws {RangeError} when the order is unknown
+     * @see Mat4x4#eulerRotation
      */
-    static parseWaveFront(data, ...extracts) {
-        return PARSE_MESH_DATA(data, ...extracts);
+    static fromEuler(x, y, z, order = "XYZ") {
+        if(!/^(XYZ|XZY|YXZ|YZX|ZXY|ZYX)$/.test(order))
+            throw RangeError(`Unknown rotation order "${order}"`);
+        const axes = {
+            X: Quaternion.fromAxisAngle(new Vector3(1, 0, 0), x),
+            Y: Quaternion.fromAxisAngle(new Vector3(0, 1, 0), y),
+            Z: Quaternion.fromAxisAngle(new Vector3(0, 0, 1), z)
+        };
+        return axes[order[0]].multiply(axes[order[1]]).multiply(axes[order[2]]);
     }
 
     /**
-     * construct a mesh. The constructor expects the data to have 3 constants keyword 
-     * for it's modelling [ v, f, c].
-     * v - vertices
-     * f - faces
-     * c - face color
-     * a valid data could be
-     * `
-     * v 0 0 0
-     * v 0 1 .
-     * v ....
-     * f 1 2 3
-     * f 3 1 2
-     * c 90 50 50` hsl
+     * Creates a quaternion rotating about an axis
+     * @static
+     * @param {Vector3} axis - the axis, it doesn't need to be a unit vector
+     * @param {number} angle - angle about the axis
+     * @returns {Quaternion} the rotation
+     */
+    static fromAxisAngle(axis, angle) {
+        const magnitude = axis.magnitude;
+        if(magnitude === 0)
+            return new Quaternion();
+        const s = Math.sin(angle * 0.5) / magnitude;
+        return new Quaternion(axis.x * s, axis.y * s, axis.z * s, Math.cos(angle * 0.5));
+    }
+
+    /**
+     * Creates a quaternion from the rotation of a matrix
+     * @static
+     * @param {Float32Array} m - a 4x4 matrix with no scale
+     * @returns {Quaternion} the rotation
+     */
+    static fromRotationMatrix(m) {
+        const trace = m[0] + m[5] + m[10];
+        let q;
+        // divide by the largest component to keep the precision
+        if(trace > 0) {
+            const s = 0.5 / Math.sqrt(trace + 1);
+            q = new Quaternion((m[9] - m[6]) * s, (m[2] - m[8]) * s, (m[4] - m[1]) * s, 0.25 / s);
+        } else if(m[0] > m[5] && m[0] > m[10]) {
+            const s = 2 * Math.sqrt(1 + m[0] - m[5] - m[10]);
+            q = new Quaternion(0.25 * s, (m[1] + m[4]) / s, (m[2] + m[8]) / s, (m[9] - m[6]) / s);
+        } else if(m[5] > m[10]) {
+            const s = 2 * Math.sqrt(1 + m[5] - m[0] - m[10]);
+            q = new Quaternion((m[1] + m[4]) / s, 0.25 * s, (m[6] + m[9]) / s, (m[2] - m[8]) / s);
+        } else {
+            const s = 2 * Math.sqrt(1 + m[10] - m[0] - m[5]);
+            q = new Quaternion((m[2] + m[8]) / s, (m[6] + m[9]) / s, 0.25 * s, (m[4] - m[1]) / s);
+        }
+        q.normalise();
+        return q;
+    }
+
+    /**
+     * Spherical linear interpolation, blends two rotations at a constant speed
+     * along the shortest path
+     * @static
+     * @param {Quaternion} a - the rotation at t = 0
+     * @param {Quaternion} b - the rotation at t = 1
+     * @param {number} t - amount from 0 to 1
+     * @returns {Quaternion} the blended rotation
+     */
+    static slerp(a, b, t) {
+        let cos = a.dot(b);
+        // q and -q are the same rotation, take the shorter way round
+        const sign = cos < 0 ? -1 : 1;
+        cos *= sign;
+
+        let wa = 1 - t;
+        let wb = t * sign;
+        if(cos < 0.9995) {
+            const angle = Math.acos(cos);
+            const sin = Math.sin(angle);
+            wa = Math.sin((1 - t) * angle) / sin;
+            wb = Math.sin(t * angle) / sin * sign;
+        }
+        const res = new Quaternion(
+            a.x * wa + b.x * wb,
+            a.y * wa + b.y * wb,
+            a.z * wa + b.z * wb,
+            a.w * wa + b.w * wb);
+        // linear blending of close rotations needs to be normalised
+        res.normalise();
+        return res;
+    }
+
+    /**
+     * Create a quaternion, the default is no rotation
+     * @constructor
+     * @param {number} x - value for the x-component
+     * @param {number} y - value for the y-component
+     * @param {number} z - value for the z-component
+     * @param {number} w - value for the w-component
+     */
+    constructor(x = 0, y = 0, z = 0, w = 1) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        this.w = w;
+    }
+
+    /**
+     * @returns {Quaternion} a copy of this quaternion
+     */
+    clone() {
+        return new Quaternion(this.x, this.y, this.z, this.w);
+    }
+
+    /**
+     * get the magnitude of a quaternion, 1 for a rotation
+     * @returns {number} the magnitude of the quaternion
+     */
+    get magnitude() {
+        return Math.hypot(this.x, this.y, this.z, this.w);
+    }
+
+    /** Converts a quaternion to a unit quaternion */
+    normalise() {
+        const magnitude = this.magnitude;
+        if(magnitude != 0) {
+            this.x /= magnitude;
+            this.y /= magnitude;
+            this.z /= magnitude;
+            this.w /= magnitude;
+        }
+    }
+
+    /**
+     * calculate the dot product of two quaternions
+     * @param {Quaternion} q - the other quaternion
+     * @returns {number} the cosine of half the angle between two rotations
+     */
+    dot(q) {
+        return this.x * q.x + this.y * q.y + this.z * q.z + this.w * q.w;
+    }
+
+    /**
+     * Multiplies a quaternion by another. The result rotates by `q` first and then
+     * by this quaternion. Note that this operation is not commutative
+     * @param {Quaternion} q - the other quaternion
+     * @returns {Quaternion} the product of two quaternions
+     */
+    multiply(q) {
+        return new Quaternion(
+            this.w * q.x + this.x * q.w + this.y * q.z - this.z * q.y,
+            this.w * q.y - this.x * q.z + this.y * q.w + this.z * q.x,
+            this.w * q.z + this.x * q.y - this.y * q.x + this.z * q.w,
+            this.w * q.w - this.x * q.x - this.y * q.y - this.z * q.z);
+    }
+
+    /**
+     * @returns {Quaternion} the opposite rotation of a unit quaternion
+     */
+    conjugate() {
+        return new Quaternion(-this.x, -this.y, -this.z, this.w);
+    }
+
+    /**
+     * Rotate a vector
+     * @param {Vector3} v - the vector
+     * @returns {Vector3} the rotated vector
+     */
+    rotateVector(v) {
+        const p = this.multiply(new Quaternion(v.x, v.y, v.z, 0)).multiply(this.conjugate());
+        return new Vector3(p.x, p.y, p.z, v.w);
+    }
+
+    /**
+     * @returns {Float32Array} the rotation matrix of a unit quaternion
+     */
+    toMat4() {
+        const { x, y, z, w } = this;
+        let m = Mat4x4.identity();
+        m[0] = 1 - 2 * (y * y + z * z);
+        m[1] = 2 * (x * y - z * w);
+        m[2] = 2 * (x * z + y * w);
+        m[4] = 2 * (x * y + z * w);
+        m[5] = 1 - 2 * (x * x + z * z);
+        m[6] = 2 * (y * z - x * w);
+        m[8] = 2 * (x * z - y * w);
+        m[9] = 2 * (y * z + x * w);
+        m[10] = 1 - 2 * (x * x + y * y);
+        return m;
+    }
+
+    /**
+     * Convert a unit quaternion to euler angles. When the middle rotation is a quarter
+     * turn the first and last axes line up and the last angle is set to 0
+     * @param {string} order - order the rotations are multiplied in
+     * @returns {Vector3} the angle about each axis
+     * @throws {RangeError} when the order is unknown
+     * @see Quaternion.fromEuler
+     */
+    toEuler(order = "XYZ") {
+        const m = this.toMat4();
+        // element of the matrix at a row and column
+        const e = (row, column) => m[row * 4 + column];
+        const clamp = a => Math.min(1, Math.max(-1, a));
+        const res = new Vector3();
+        switch(order) {
+            case "XYZ":
+                res.y = Math.asin(clamp(e(0, 2)));
+                if(Math.abs(e(0, 2)) < 0.9999999) {
+                    res.x = Math.atan2(-e(1, 2), e(2, 2));
+                    res.z = Math.atan2(-e(0, 1), e(0, 0));
+                } else
+                    res.x = Math.atan2(e(2, 1), e(1, 1));
+                break;
+            case "XZY":
+                res.z = Math.asin(-clamp(e(0, 1)));
+                if(Math.abs(e(0, 1)) < 0.9999999) {
+                    res.x = Math.atan2(e(2, 1), e(1, 1));
+                    res.y = Math.atan2(e(0, 2), e(0, 0));
+                } else
+                    res.x = Math.atan2(-e(1, 2), e(2, 2));
+                break;
+            case "YXZ":
+                res.x = Math.asin(-clamp(e(1, 2)));
+                if(Math.abs(e(1, 2)) < 0.9999999) {
+                    res.y = Math.atan2(e(0, 2), e(2, 2));
+                    res.z = Math.atan2(e(1, 0), e(1, 1));
+                } else
+                    res.y = Math.atan2(-e(2, 0), e(0, 0));
+                break;
+            case "YZX":
+                res.z = Math.asin(clamp(e(1, 0)));
+                if(Math.abs(e(1, 0)) < 0.9999999) {
+                    res.x = Math.atan2(-e(1, 2), e(1, 1));
+                    res.y = Math.atan2(-e(2, 0), e(0, 0));
+                } else
+                    res.y = Math.atan2(e(0, 2), e(2, 2));
+                break;
+            case "ZXY":
+                res.x = Math.asin(clamp(e(2, 1)));
+                if(Math.abs(e(2, 1)) < 0.9999999) {
+                    res.y = Math.atan2(-e(2, 0), e(2, 2));
+                    res.z = Math.atan2(-e(0, 1), e(1, 1));
+                } else
+                    res.z = Math.atan2(e(1, 0), e(0, 0));
+                break;
+            case "ZYX":
+                res.y = Math.asin(-clamp(e(2, 0)));
+                if(Math.abs(e(2, 0)) < 0.9999999) {
+                    res.x = Math.atan2(e(2, 1), e(2, 2));
+                    res.z = Math.atan2(e(1, 0), e(0, 0));
+                } else
+                    res.z = Math.atan2(-e(0, 1), e(1, 1));
+                break;
+            default:
+                throw RangeError(`Unknown rotation order "${order}"`);
+        }
+        return res;
+    }
+
+};
+
+
+
+
+/**
+ * Easing functions map the progress between two keyframes, from 0 to 1, to the
+ * amount the value has changed
+ * as described on { @link https://easings.net }
+ * @type {Object.<string, function(number): number>}
+ */
+const Easing = {
+    linear: t => t,
+    step: t => t < 1 ? 0 : 1,
+    easeIn: t => t * t,
+    easeOut: t => t * (2 - t),
+    easeInOut: t => t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t),
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - 4 * Math.pow(1 - t, 3),
+    easeInSine: t => 1 - Math.cos(t * Math.PI * 0.5),
+    easeOutSine: t => Math.sin(t * Math.PI * 0.5),
+    easeInOutSine: t => (1 - Math.cos(t * Math.PI)) * 0.5,
+    easeInBack: t => t * t * (2.70158 * t - 1.70158),
+    easeOutBack: t => 1 + Math.pow(t - 1, 2) * (2.70158 * (t - 1) + 1.70158),
+    easeOutBounce: t => {
+        if(t < 1 / 2.75)
+            return 7.5625 * t * t;
+        if(t < 2 / 2.75)
+            return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+        if(t < 2.5 / 2.75)
+            return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+        return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+    }
+};
+
+/**
+ * Components of the values of each property that can be animated
+ */
+const TRACK_COMPONENTS = {
+    position: ["x", "y", "z"],
+    rotation: ["x", "y", "z"],
+    scale: ["x", "y", "z"],
+    color: ["h", "s", "l", "a"]
+};
+
+/**
+ * @param {string | function(number): number} easing - name of an easing function or the function
+ * @returns {function(number): number} the easing function
+ * @throws {RangeError} when there is no easing function of that name
+ */
+const EASING_FUNCTION = easing => {
+    if(typeof easing === "function")
+        return easing;
+    if(!Easing.hasOwnProperty(easing))
+        throw RangeError(`Unknown easing function "${easing}"`);
+    return Easing[easing];
+};
+
+
+/**
+ * The keyframes of one property of a node. Between two keyframes every component
+ * of the value is blended with the easing function of the first keyframe. Rotations
+ * are blended as euler angles so a keyframe may turn more than half a turn
+ * @class
+ */
+class Track {
+
+    /**
+     * @constructor
+     * @param {string} property - "position", "rotation", "scale" or "color"
+     * @param {Array.<Object>} keyframes - the `time` in seconds and the `value` of each keyframe as
+     * a vector, a color as anything { @link Color.from } takes or an array of the components.
+     * A keyframe may have it's own `easing`
+     * @param {string | function(number): number} easing - easing of keyframes without one
+     * @throws {RangeError} when the property can't be animated or an easing function is unknown
+     * @throws {TypeError} when there are no keyframes
+     */
+    constructor(property, keyframes, easing = "linear") {
+        if(!TRACK_COMPONENTS.hasOwnProperty(property))
+            throw RangeError(`The property "${property}" can't be animated`);
+        if(!Array.isArray(keyframes) || !keyframes.length)
+            throw TypeError("A track needs at least one keyframe");
+        this.property = property;
+        this.components = TRACK_COMPONENTS[property];
+        this.keyframes = keyframes
+            .map(key => {
+                const value = property === "color" ? Color.from(key.value) : key.value;
+                return {
+                    time: key.time || 0,
+                    value: this.components.map((c, i) => Array.isArray(value) ? value[i] : value[c]),
+                    easing: EASING_FUNCTION(key.easing || easing)
+                };
+            })
+            .sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * @returns {number} time of the last keyframe
+     */
+    get duration() {
+        return this.keyframes[this.keyframes.length - 1].time;
+    }
+
+    /**
+     * The value of the property at a time. Before the first keyframe and after the last
+     * the value of that keyframe is used
+     * @param {number} time - time in seconds
+     * @returns {Array.<number>} the components of the value
+     */
+    sample(time) {
+        const keys = this.keyframes;
+        let i = 0;
+        while(i < keys.length - 1 && keys[i + 1].time <= time)
+            i++;
+        const from = keys[i];
+        const to = keys[Math.min(i + 1, keys.length - 1)];
+        if(from === to || time <= from.time)
+            return from.value.slice();
+        const t = from.easing((time - from.time) / (to.time - from.time));
+        return from.value.map((a, j) => a + (to.value[j] - a) * t);
+    }
+
+    /**
+     * Set the property of a node to it's value at a time. The color of a mesh is set on
+     * every triangle, triangles colored by a material are given a color of their own first
+     * so other meshes using the material keep their color
+     * @param {Node} target - the animated node
+     * @param {number} time - time in seconds
+     */
+    apply(target, time) {
+        const value = this.sample(time);
+        let targets = [target[this.property]];
+        if(this.property === "color" && Array.isArray(target.triangles)) {
+            targets = target.triangles.map(triangle => {
+                if(triangle.material && triangle.color === triangle.material.color)
+                    triangle.color = Color.from(triangle.color);
+                return triangle.color;
+            });
+        }
+        targets.forEach(object => {
+            if(object)
+                this.components.forEach((c, i) => object[c] = value[i]);
+        });
+    }
+
+};
+
+
+/**
+ * Plays tracks on a node. The animation is advanced by the update of the node, which
+ * the scene calls on every step of it's loop
+ * @class
+ * @see Node#animate
+ */
+class Animation {
+
+    /**
+     * @constructor
+     * @param {Array.<Track>} tracks - the tracks played together
+     * @param {Object} options - `loop` to start again after the last keyframe, `pingPong` to
+     * play backwards after the last keyframe, the `speed` multiplying the time, an `onLoop`
+     * function called at the end of every loop and an `onComplete` function called when the
+     * animation ends. A ping-pong loop ends when the animation is back at the start
+     */
+    constructor(tracks, { loop = false, pingPong = false, speed = 1, onLoop = null, onComplete = null } = {}) {
+        if(!tracks.every(track => track instanceof Track))
+            throw TypeError("The tracks of an animation must be instances of `Track`");
+        this.tracks = tracks;
+        this.loop = loop;
+        this.pingPong = pingPong;
+        this.speed = speed;
+        this.onLoop = onLoop;
+        this.onComplete = onComplete;
+        this.time = 0;
+        this.direction = 1;
+        this.playing = true;
+        this.finished = false;
+    }
+
+    /**
+     * @returns {number} time of the last keyframe of every track
+     */
+    get duration() {
+        return this.tracks.reduce((duration, track) => Math.max(duration, track.duration), 0);
+    }
+
+    /**
+     * Continue playing
+     */
+    play() {
+        if(this.finished)
+            this.stop();
+        this.playing = true;
+    }
+
+    /**
+     * Stop playing at the current time
+     */
+    pause() {
+        this.playing = false;
+    }
+
+    /**
+     * Stop playing and go back to the start
+     */
+    stop() {
+        this.playing = false;
+        this.finished = false;
+        this.time = 0;
+        this.direction = 1;
+    }
+
+    /**
+     * Advance the time and set the animated properties of a node
+     * @param {Node} target - the animated node
+     * @param {number} dt - seconds since the last update
+     */
+    update(target, dt) {
+        if(!this.playing)
+            return;
+        const duration = this.duration;
+        let time = this.time + dt * this.speed * this.direction;
+        let completed = duration === 0;
+        while(!completed && (time > duration || time < 0)) {
+            if(this.pingPong && this.direction > 0) {
+                // bounce off the end
+                time = 2 * duration - time;
+                this.direction = -1;
+                continue;
+            }
+            if(!this.loop) {
+                time = this.direction > 0 ? duration : 0;
+                completed = true;
+                continue;
+            }
+            if(this.pingPong) {
+                time = -time;
+                this.direction = 1;
+            } else
+                time -= duration;
+            if(this.onLoop)
+                this.onLoop(this);
+        }
+        this.time = time = Math.min(Math.max(time, 0), duration);
+        this.tracks.forEach(track => track.apply(target, time));
+        if(completed) {
+            this.playing = false;
+            this.finished = true;
+            if(this.onComplete)
+                this.onComplete(this);
+        }
+    }
+
+};
+
+/**
+ * @returns {number} current time in milliseconds
+ */
+const NOW = () => typeof performance === "object" ? performance.now() : Date.now();
+
+
+/**
+ * Measures the time between frames
+ * @class
+ */
+class Clock {
+
+    /**
+     * @constructor
+     * @param {number} maxDelta - longest step in seconds, a longer frame such as after
+     * switching tabs is shortened to it
+     */
+    constructor(maxDelta = 0.25) {
+        this.maxDelta = maxDelta;
+        this.timeScale = 1;
+        this.elapsed = 0;
+        this.last = null;
+    }
+
+    /**
+     * Start measuring from now
+     */
+    start() {
+        this.last = NOW();
+    }
+
+    /**
+     * Stop measuring, the next tick after a start returns no time
+     */
+    stop() {
+        this.last = null;
+    }
+
+    /**
+     * Measure the time since the last tick
+     * @returns {number} scaled seconds since the last tick, 0 on the first tick
+     */
+    tick() {
+        const now = NOW();
+        const dt = this.last === null ? 0 : Math.min((now - this.last) / 1000, this.maxDelta) * this.timeScale;
+        this.last = now;
+        this.elapsed += dt;
+        return dt;
+    }
+
+};
+
+
+/**
+ * Runs an update and a render function on every animation frame. With a variable
+ * timestep the update is given the time since the last frame, with a fixed timestep
+ * it is called as many times as needed to catch up in steps of the same length
+ * @class
+ */
+class GameLoop {
+
+    /**
+     * @constructor
+     * @param {function(number)} update - called with the step in seconds
+     * @param {function()} render - called once per frame after the updates
+     * @param {number} fixedStep - length of a fixed step in seconds, 0 for a variable timestep
+     */
+    constructor(update, render, fixedStep = 0) {
+        this.update = update;
+        this.render = render;
+        this.fixedStep = fixedStep;
+        // a slow frame runs at most this many fixed steps so the loop can't fall further behind
+        this.maxSteps = 5;
+        this.clock = new Clock();
+        this.accumulator = 0;
+        this.running = false;
+        this.paused = false;
+        this.frameId = null;
+    }
+
+    /**
+     * Start running frames
+     */
+    start() {
+        if(this.running)
+            return;
+        this.running = true;
+        this.paused = false;
+        this.accumulator = 0;
+        this.clock.start();
+        this.schedule();
+    }
+
+    /**
+     * Stop running frames
+     */
+    stop() {
+        this.running = false;
+        this.paused = false;
+        if(this.frameId !== null) {
+            if(typeof cancelAnimationFrame === "function")
+                cancelAnimationFrame(this.frameId);
+            else
+                clearTimeout(this.frameId);
+        }
+        this.frameId = null;
+    }
+
+    /**
+     * Stop updating but keep rendering, time doesn't pass while paused
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Continue updating from where it was paused
+     */
+    resume() {
+        this.paused = false;
+        this.clock.start();
+    }
+
+    /**
+     * @private
+     */
+    schedule() {
+        const frame = () => {
+            if(!this.running)
+                return;
+            this.tick(this.clock.tick());
+            this.schedule();
+        };
+        this.frameId = typeof requestAnimationFrame === "function"
+            ? requestAnimationFrame(frame) : setTimeout(frame, 1000 / 60);
+    }
+
+    /**
+     * Run a single frame, used by the loop on every animation frame. It can be
+     * called directly to step a loop that is not running
+     * @param {number} dt - seconds since the last frame
+     */
+    tick(dt) {
+        if(!this.paused) {
+            if(this.fixedStep > 0) {
+                this.accumulator += dt;
+                let steps = 0;
+                while(this.accumulator >= this.fixedStep && steps < this.maxSteps) {
+                    this.update(this.fixedStep);
+                    this.accumulator -= this.fixedStep;
+                    steps++;
+                }
+                if(steps === this.maxSteps)
+                    this.accumulator = Math.min(this.accumulator, this.fixedStep);
+            } else
+                this.update(dt);
+        } else
+            this.clock.start();
+        this.render();
+    }
+
+};
+
+/**
+ * Name of the input of each mouse button
+ */
+const MOUSE_BUTTONS = ["Mouse0", "Mouse1", "Mouse2", "Mouse3", "Mouse4"];
+
+/**
+ * Pixels scrolled by one notch of a mouse wheel, wheel events in lines or pages
+ * are counted as one notch per line or page
+ */
+const WHEEL_NOTCH = 100;
+
+
+/**
+ * Maps keyboard, mouse, wheel and touch input to named actions. An action is bound
+ * to one or more inputs, keys are named by their `KeyboardEvent.code` such as "KeyW"
+ * or "ArrowLeft", mouse buttons are "Mouse0" to "Mouse4", a touch is "Touch" and
+ * scrolling is "WheelUp" or "WheelDown". The state of the actions changes once per
+ * call to update, which the scene does at the start of every step, so an action is
+ * pressed or released for exactly one step even if it was tapped between two steps.
+ * Pointer input is read from an element, usually the canvas of the scene, and
+ * keyboard input from the window
+ * @class
+ * @example
+ * scene.input = new Input(scene.element);
+ * scene.input.bind("jump", "Space", "Mouse0");
+ * player.update = () => {
+ *     if(scene.input.pressed("jump"))
+ *         player.jump();
+ * };
+ */
+class Input {
+
+    /**
+     * @constructor
+     * @param {HTMLElement} element - element receiving pointer and wheel events
+     * @param {EventTarget} keyTarget - receives keyboard events, the window by default
+     */
+    constructor(element = null, keyTarget = typeof window === "object" ? window : null) {
+        this.element = null;
+        this.keyTarget = null;
+        this.bindings = {};
+        this.states = {};
+
+        // inputs that are down and inputs that went down since the last update
+        this.down = new Set();
+        this.hits = new Set();
+
+        // pointer in pixels of the element, the deltas are the movement during the last step
+        this.pointer = { x: 0, y: 0, dx: 0, dy: 0, inside: false };
+        // notches scrolled during the last step, positive when scrolling down
+        this.wheel = 0;
+        // change of the distance between two touches during the last step, above 1 when spreading
+        this.pinch = 1;
+
+        this.touches = new Map();
+        this.primaryPointer = null;
+        this.moveX = 0;
+        this.moveY = 0;
+        this.wheelSum = 0;
+        this.pinchProduct = 1;
+
+        this.handlers = {
+            keydown: e => this.onKey(e, true),
+            keyup: e => this.onKey(e, false),
+            blur: () => this.reset(),
+            pointerdown: e => this.onPointerDown(e),
+            pointermove: e => this.onPointerMove(e),
+            pointerup: e => this.onPointerUp(e),
+            pointercancel: e => this.onPointerUp(e),
+            pointerleave: e => this.onPointerLeave(e),
+            wheel: e => this.onWheel(e),
+            contextmenu: e => e.preventDefault()
+        };
+
+        this.attach(element, keyTarget);
+    }
+
+    /**
+     * Start listening to the events of an element and of a keyboard target. Listeners
+     * added before are removed
+     * @param {HTMLElement} element - element receiving pointer and wheel events
+     * @param {EventTarget} keyTarget - receives keyboard events
+     */
+    attach(element, keyTarget = this.keyTarget) {
+        this.detach();
+        const h = this.handlers;
+        if(element) {
+            ["pointerdown", "pointermove", "pointerup", "pointercancel", "pointerleave", "contextmenu"]
+                .forEach(type => element.addEventListener(type, h[type]));
+            // not passive so scrolling over the element doesn't scroll the page
+            element.addEventListener("wheel", h.wheel, { passive: false });
+            // touches are not used to scroll or zoom the page
+            if(element.style)
+                element.style.touchAction = "none";
+        }
+        if(keyTarget)
+            ["keydown", "keyup", "blur"].forEach(type => keyTarget.addEventListener(type, h[type]));
+        this.element = element;
+        this.keyTarget = keyTarget;
+    }
+
+    /**
+     * Stop listening to events, every input is released
+     */
+    detach() {
+        const h = this.handlers;
+        if(this.element) {
+            ["pointerdown", "pointermove", "pointerup", "pointercancel", "pointerleave", "contextmenu", "wheel"]
+                .forEach(type => this.element.removeEventListener(type, h[type]));
+        }
+        if(this.keyTarget)
+            ["keydown", "keyup", "blur"].forEach(type => this.keyTarget.removeEventListener(type, h[type]));
+        this.element = null;
+        this.keyTarget = null;
+        this.reset();
+    }
+
+    /**
+     * Bind inputs to an action, the inputs are added to the ones already bound
+     * @param {string} action - name of the action
+     * @param  {...string} inputs - names of the inputs
+     */
+    bind(action, ...inputs) {
+        if(!inputs.length || inputs.some(input => typeof input !== "string"))
+            throw TypeError("An action must be bound to the names of one or more inputs");
+        const bound = this.bindings[action] || (this.bindings[action] = []);
+        inputs.forEach(input => {
+            if(bound.indexOf(input) < 0)
+                bound.push(input);
+        });
+        if(!this.states[action])
+            this.states[action] = { held: false, pressed: false, released: false };
+    }
+
+    /**
+     * Remove inputs from an action
+     * @param {string} action - name of the action
+     * @param  {...string} inputs - names of the inputs, every input and the action are removed if none are given
+     */
+    unbind(action, ...inputs) {
+        if(!inputs.length) {
+            delete this.bindings[action];
+            delete this.states[action];
+            return;
+        }
+        if(this.bindings[action])
+            this.bindings[action] = this.bindings[action].filter(input => inputs.indexOf(input) < 0);
+    }
+
+    /**
+     * @param {string} action - name of the action
+     * @returns {boolean} true during the step the action started
+     */
+    pressed(action) {
+        const state = this.states[action];
+        return !!state && state.pressed;
+    }
+
+    /**
+     * @param {string} action - name of the action
+     * @returns {boolean} true while any input of the action is down
+     */
+    held(action) {
+        const state = this.states[action];
+        return !!state && state.held;
+    }
+
+    /**
+     * @param {string} action - name of the action
+     * @returns {boolean} true during the step the action ended
+     */
+    released(action) {
+        const state = this.states[action];
+        return !!state && state.released;
+    }
+
+    /**
+     * Check an input directly without binding it to an action
+     * @param {string} input - name of the input
+     * @returns {boolean} true while the input is down
+     */
+    isDown(input) {
+        return this.down.has(input);
+    }
+
+    /**
+     * Move the events received since the last update into the state of the actions,
+     * the pointer, wheel and pinch. This is called by the scene at the start of every step
+     */
+    update() {
+        for(const action in this.bindings) {
+            const inputs = this.bindings[action];
+            const state = this.states[action];
+            const wasHeld = state.held;
+            const hit = inputs.some(input => this.hits.has(input));
+            state.held = inputs.some(input => this.down.has(input));
+            // an input tapped between two updates is pressed and released in the same step
+            state.pressed = !wasHeld && (state.held || hit);
+            state.released = (wasHeld || hit) && !state.held;
+        }
+        this.hits.clear();
+
+        this.pointer.dx = this.moveX;
+        this.pointer.dy = this.moveY;
+        this.wheel = this.wheelSum;
+        this.pinch = this.pinchProduct;
+        this.moveX = this.moveY = this.wheelSum = 0;
+        this.pinchProduct = 1;
+    }
+
+    /**
+     * Release every input, used when the window loses focus and the key ups would be missed
+     */
+    reset() {
+        this.down.clear();
+        this.touches.clear();
+        this.primaryPointer = null;
+    }
+
+    /**
+     * @private
+     */
+    press(input) {
+        if(!this.down.has(input)) {
+            this.down.add(input);
+            this.hits.add(input);
+        }
+    }
+
+    /**
+     * @private
+     */
+    lift(input) {
+        this.down.delete(input);
+    }
+
+    /**
+     * @private
+     */
+    onKey(e, down) {
+        if(down)
+            this.press(e.code);
+        else
+            this.lift(e.code);
+    }
+
+    /**
+     * Convert the position of a pointer event to pixels of the element, which may be
+     * scaled by css
+     * @private
+     * @returns {Array.<number>} x and y
+     */
+    toElement(e) {
+        const element = this.element;
+        const rect = element.getBoundingClientRect();
+        const sx = rect.width ? (element.width || rect.width) / rect.width : 1;
+        const sy = rect.height ? (element.height || rect.height) / rect.height : 1;
+        return [(e.clientX - rect.left) * sx, (e.clientY - rect.top) * sy];
+    }
+
+    /**
+     * @private
+     */
+    onPointerDown(e) {
+        const [x, y] = this.toElement(e);
+        if(e.pointerType === "touch") {
+            this.touches.set(e.pointerId, { x, y });
+            this.press("Touch");
+        } else {
+            this.press(MOUSE_BUTTONS[e.button] || `Mouse${e.button}`);
+        }
+        if(this.primaryPointer === null || e.pointerType !== "touch") {
+            this.primaryPointer = e.pointerId;
+            this.pointer.x = x;
+            this.pointer.y = y;
+        }
+        this.pointer.inside = true;
+        // keep receiving the moves of a drag that leaves the element
+        if(this.element.setPointerCapture)
+            this.element.setPointerCapture(e.pointerId);
+    }
+
+    /**
+     * @private
+     */
+    onPointerMove(e) {
+        const [x, y] = this.toElement(e);
+        const touch = this.touches.get(e.pointerId);
+        if(touch && this.touches.size === 2) {
+            const [a, b] = this.touches.values();
+            const before = Math.hypot(a.x - b.x, a.y - b.y);
+            touch.x = x;
+            touch.y = y;
+            const after = Math.hypot(a.x - b.x, a.y - b.y);
+            if(before > 0 && after > 0)
+                this.pinchProduct *= after / before;
+        } else if(touch) {
+            touch.x = x;
+            touch.y = y;
+        }
+        if(this.primaryPointer === null || this.primaryPointer === e.pointerId) {
+            this.moveX += x - this.pointer.x;
+            this.moveY += y - this.pointer.y;
+            this.pointer.x = x;
+            this.pointer.y = y;
+            this.pointer.inside = true;
+        }
+    }
+
+    /**
+     * @private
+     */
+    onPointerUp(e) {
+        if(e.pointerType === "touch") {
+            this.touches.delete(e.pointerId);
+            if(!this.touches.size)
+                this.lift("Touch");
+        } else {
+            this.lift(MOUSE_BUTTONS[e.button] || `Mouse${e.button}`);
+        }
+        if(this.primaryPointer === e.pointerId) {
+            // another finger still down takes over without moving the pointer
+            const next = this.touches.keys().next();
+            this.primaryPointer = next.done ? null : next.value;
+            if(!next.done) {
+                const touch = this.touches.get(next.value);
+                this.pointer.x = touch.x;
+                this.pointer.y = touch.y;
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    onPointerLeave(e) {
+        if(e.pointerType !== "touch")
+            this.pointer.inside = false;
+    }
+
+    /**
+     * @private
+     */
+    onWheel(e) {
+        e.preventDefault();
+        const notches = e.deltaMode ? e.deltaY : e.deltaY / WHEEL_NOTCH;
+        this.wheelSum += notches;
+        // a notch is a tap, it's pressed and released in the next step
+        if(notches)
+            this.hits.add(notches < 0 ? "WheelUp" : "WheelDown");
+    }
+
+};
+
+
+
+
+/**
+ * Creates a Triangle geometry with basic vertices and color
+ * @class
+ */
+class Triangle {
+
+    /**
+     * @constructor
+     * @param {Array} vertices - the three vertices as Vector3 or [x, y, z] arrays
+     * @param {Color | Object} color - hsla color of the triangle
+     * @param {Array.<Vector3>} normals - optional vertex normals used for smooth shading
+     * @param {Array.<Vector2>} uvs - optional texture coordinate of each vertex
+     * @param {Array.<Color>} colors - optional color of each vertex, blended across the triangle
+     */
+    constructor(vertices, color, normals, uvs, colors) {
+        this.vertices = [];
+        vertices.forEach((p, i) => {
+            this.vertices[i] = p instanceof Vector3  ? p 
+                : new Vector3(p[0], p[1], p[2]);
+        });
+        this.color = color;
+        this.normals = normals || [];
+        this.uvs = uvs || [];
+        this.colors = colors || null;
+    }
+
+    static clone(tri) {
+        return new Triangle(tri.vertices, tri.color, tri.normals, tri.uvs, tri.colors);
+    }
+
+    /**
+     * get the face normal. It is not normalised, it's magnitude is twice the
+     * area of the triangle
+     * @returns {Vector3} the face normal
+     */
+    get normal() {
+        let v = this.vertices;
+        return v[1].sub(v[0]).cross(v[2].sub(v[0]));
+    }
+
+};
+
+
+
+
+
+/**
+ * Distance two volumes may overlap by rounding and still be only touching
+ */
+const BOUNDS_EPSILON = 1e-6;
+
+/**
+ * The corners of a box being transformed, before and after the model matrix. They are
+ * reused by every box so moving a box doesn't allocate
+ */
+const BOUNDS_MIN = new Vector3();
+const BOUNDS_MAX = new Vector3();
+const BOUNDS_CORNER = new Vector3();
+const BOUNDS_MOVED_CORNER = new Vector3();
+
+/**
+ * @param {Float32Array} m - a model matrix
+ * @returns {Array.<Vector3>} the x, y and z axis of the model in world space, scaled by the model
+ */
+const MATRIX_AXES = m => [
+    new Vector3(m[0], m[4], m[8], 0),
+    new Vector3(m[1], m[5], m[9], 0),
+    new Vector3(m[2], m[6], m[10], 0)
+];
+
+/**
+ * Turn the separating axis with the least overlap into a contact
+ * @param {Vector3} axis - unit axis
+ * @param {number} depth - overlap of the volumes along the axis
+ * @param {Vector3} offset - center of the first volume relative to the second
+ * @returns {Object} the `normal` pointing from the second volume to the first and the `depth`
+ */
+const AXIS_CONTACT = (axis, depth, offset) => ({
+    normal: offset.dot(axis) < 0 ? axis.scale(-1) : axis.scale(1),
+    depth
+});
+
+
+/**
+ * A box aligned with the world axis. Contacts returned by the overlap tests hold the
+ * `normal` pointing out of the other volume, the direction to push this box to separate
+ * them, and the `depth` they overlap by
+ * @class
+ */
+class AABB {
+
+    /**
+     * Create the smallest box holding points
+     * @static
+     * @param {Array.<Vector3 | Array.<number>>} points - the points
+     * @returns {AABB} the box, empty at the origin when there are no points
+     */
+    static fromPoints(points) {
+        if(!points.length)
+            return new AABB();
+        const box = new AABB(new Vector3(Infinity, Infinity, Infinity), new Vector3(-Infinity, -Infinity, -Infinity));
+        points.forEach(p => box.expandByPoint(Array.isArray(p) ? new Vector3(p[0], p[1], p[2]) : p));
+        return box;
+    }
+
+    /**
+     * @constructor
+     * @param {Vector3} min - corner with the smallest coordinates
+     * @param {Vector3} max - corner with the largest coordinates
+     */
+    constructor(min = new Vector3(), max = new Vector3()) {
+        this.min = min;
+        this.max = max;
+    }
+
+    /**
+     * @returns {Vector3} the center of the box
+     */
+    get center() {
+        return this.getCenter();
+    }
+
+    /**
+     * @returns {Vector3} the width, height and depth of the box
+     */
+    get size() {
+        return this.getSize();
+    }
+
+    /**
+     * @param {Vector3} out - vector receiving the center
+     * @returns {Vector3} the center of the box
+     */
+    getCenter(out = new Vector3()) {
+        return this.min.add(this.max, out).scale(0.5, out);
+    }
+
+    /**
+     * @param {Vector3} out - vector receiving the size
+     * @returns {Vector3} the width, height and depth of the box
+     */
+    getSize(out = new Vector3()) {
+        return this.max.sub(this.min, out);
+    }
+
+    /**
+     * @returns {Array.<Vector3>} the eight corners of the box
+     */
+    get corners() {
+        const { min, max } = this;
+        return Array.from({ length: 8 }, (v, i) => new Vector3(
+            i & 1 ? max.x : min.x,
+            i & 2 ? max.y : min.y,
+            i & 4 ? max.z : min.z));
+    }
+
+    /**
+     * @returns {AABB} a copy of the box
+     */
+    clone() {
+        return new AABB(Vector3.clone(this.min), Vector3.clone(this.max));
+    }
+
+    /**
+     * Grow the box to hold a point
+     * @param {Vector3} point - the point
+     * @returns {AABB} this box
+     */
+    expandByPoint(point) {
+        for(const axis of point.components) {
+            this.min[axis] = Math.min(this.min[axis], point[axis]);
+            this.max[axis] = Math.max(this.max[axis], point[axis]);
+        }
+        return this;
+    }
+
+    /**
+     * @param {AABB} box - another box
+     * @param {AABB} out - box receiving the result, pass this box to grow it in place
+     * @returns {AABB} a box holding both boxes
+     */
+    union(box, out = new AABB()) {
+        for(const axis of this.min.components) {
+            out.min[axis] = Math.min(this.min[axis], box.min[axis]);
+            out.max[axis] = Math.max(this.max[axis], box.max[axis]);
+        }
+        return out;
+    }
+
+    /**
+     * @param {Vector3} offset - distance moved
+     * @param {AABB} out - box receiving the result, pass this box to move it in place
+     * @returns {AABB} the box moved by the offset
+     */
+    translate(offset, out = new AABB()) {
+        this.min.add(offset, out.min);
+        this.max.add(offset, out.max);
+        return out;
+    }
+
+    /**
+     * Move the box with a model matrix. A rotated box is enclosed by a larger box
+     * @param {Float32Array} m - the model matrix
+     * @param {AABB} out - box receiving the result, pass this box to move it in place
+     * @returns {AABB} a box holding the moved box
+     */
+    transform(m, out = new AABB()) {
+        const min = BOUNDS_MIN.copy(this.min), max = BOUNDS_MAX.copy(this.max);
+        out.min.set(Infinity, Infinity, Infinity);
+        out.max.set(-Infinity, -Infinity, -Infinity);
+        for(let i = 0; i < 8; i++) {
+            BOUNDS_CORNER.set(i & 1 ? max.x : min.x, i & 2 ? max.y : min.y, i & 4 ? max.z : min.z);
+            out.expandByPoint(Mat4x4.multiplyVector(m, BOUNDS_CORNER, BOUNDS_MOVED_CORNER));
+        }
+        return out;
+    }
+
+    /**
+     * @param {Vector3} point - the point
+     * @returns {boolean} true if the point is inside or on the box
+     */
+    containsPoint(point) {
+        return point.components.every(axis => point[axis] >= this.min[axis] && point[axis] <= this.max[axis]);
+    }
+
+    /**
+     * @returns {OBB} the box as an oriented box
+     */
+    toOBB() {
+        return new OBB(this.center, this.size.scale(0.5));
+    }
+
+    /**
+     * Test if the box overlaps another volume, boxes only touching do not overlap
+     * @param {AABB | OBB | BoundingSphere} other - the other volume
+     * @returns {Object} the contact or null if they don't overlap
+     */
+    intersects(other) {
+        if(other instanceof OBB)
+            return this.toOBB().intersects(other);
+        if(other instanceof BoundingSphere) {
+            const contact = other.intersects(this);
+            return contact && { normal: contact.normal.scale(-1), depth: contact.depth };
+        }
+        if(!(other instanceof AABB))
+            throw TypeError("A bounding box can only be tested against an `AABB`, `OBB` or `BoundingSphere`");
+        let depth = Infinity, normalAxis = null;
+        for(const axis of this.min.components) {
+            const overlap = Math.min(this.max[axis], other.max[axis]) - Math.max(this.min[axis], other.min[axis]);
+            if(overlap <= BOUNDS_EPSILON)
+                return null;
+            if(overlap < depth) {
+                depth = overlap;
+                normalAxis = axis;
+            }
+        }
+        // twice the offset of the centers along the axis is enough for it's sign
+        const offset = this.min[normalAxis] + this.max[normalAxis] - other.min[normalAxis] - other.max[normalAxis];
+        const normal = new Vector3(0, 0, 0, 0);
+        normal[normalAxis] = offset < 0 ? -1 : 1;
+        return { normal, depth };
+    }
+
+};
+
+
+/**
+ * A box turned with the object it bounds, tighter than an axis aligned box around
+ * a rotated mesh. Overlaps are found with the separating axis theorem
+ * @class
+ */
+class OBB {
+
+    /**
+     * Move a box from the space of a model with it's model matrix
+     * @static
+     * @param {AABB} box - the box in model space
+     * @param {Float32Array} m - the model matrix
+     * @returns {OBB} the oriented box in world space
+     */
+    static fromAABB(box, m) {
+        const half = box.size.scale(0.5);
+        const axes = MATRIX_AXES(m).map((axis, i) => {
+            const length = axis.magnitude;
+            half[half.components[i]] *= length;
+            return length ? axis.scale(1 / length) : axis;
+        });
+        return new OBB(Mat4x4.multiplyVector(m, box.center), half, axes);
+    }
+
+    /**
+     * @constructor
+     * @param {Vector3} center - center of the box
+     * @param {Vector3} halfSize - half of the width, height and depth of the box
+     * @param {Array.<Vector3>} axes - the unit x, y and z axis of the box
+     */
+    constructor(center = new Vector3(), halfSize = new Vector3(), axes = [new Vector3(1, 0, 0, 0), new Vector3(0, 1, 0, 0), new Vector3(0, 0, 1, 0)]) {
+        this.center = center;
+        this.halfSize = halfSize;
+        this.axes = axes;
+    }
+
+    /**
+     * @returns {Array.<Vector3>} the eight corners of the box
+     */
+    get corners() {
+        const [ax, ay, az] = this.axes;
+        const h = this.halfSize;
+        return Array.from({ length: 8 }, (v, i) => this.center
+            .add(ax.scale(i & 1 ? h.x : -h.x))
+            .add(ay.scale(i & 2 ? h.y : -h.y))
+            .add(az.scale(i & 4 ? h.z : -h.z)));
+    }
+
+    /**
+     * @returns {AABB} the axis aligned box holding this box
+     */
+    toAABB() {
+        return AABB.fromPoints(this.corners);
+    }
+
+    /**
+     * @param {Vector3} point - the point
+     * @returns {Vector3} the point of the box nearest to the point
+     */
+    closestPoint(point) {
+        const offset = point.sub(this.center);
+        let closest = Vector3.clone(this.center);
+        this.axes.forEach((axis, i) => {
+            const h = this.halfSize[this.halfSize.components[i]];
+            const d = Math.min(Math.max(offset.dot(axis), -h), h);
+            closest = closest.add(axis.scale(d));
+        });
+        return closest;
+    }
+
+    /**
+     * Half the length of the box projected on an axis
+     * @private
+     * @param {Vector3} axis - unit axis
+     * @returns {number}
+     */
+    radiusOn(axis) {
+        const h = this.halfSize;
+        const [ax, ay, az] = this.axes;
+        return h.x * Math.abs(ax.dot(axis)) + h.y * Math.abs(ay.dot(axis)) + h.z * Math.abs(az.dot(axis));
+    }
+
+    /**
+     * Test if the box overlaps another volume, boxes only touching do not overlap
+     * @param {AABB | OBB | BoundingSphere} other - the other volume
+     * @returns {Object} the contact or null if they don't overlap
+     * @see AABB#intersects
+     */
+    intersects(other) {
+        if(other instanceof AABB)
+            other = other.toOBB();
+        if(other instanceof BoundingSphere) {
+            const contact = other.intersects(this);
+            return contact && { normal: contact.normal.scale(-1), depth: contact.depth };
+        }
+        if(!(other instanceof OBB))
+            throw TypeError("An oriented box can only be tested against an `AABB`, `OBB` or `BoundingSphere`");
+        // the face axis of both boxes and the cross product of each pair of edges
+        const axes = this.axes.concat(other.axes);
+        this.axes.forEach(a => other.axes.forEach(b => {
+            const axis = a.cross(b);
+            // parallel edges are already tested by the face axis
+            if(axis.magnitude > BOUNDS_EPSILON) {
+                axis.normalise();
+                axes.push(axis);
+            }
+        }));
+        const offset = this.center.sub(other.center);
+        let contact = null;
+        for(const axis of axes) {
+            const depth = this.radiusOn(axis) + other.radiusOn(axis) - Math.abs(offset.dot(axis));
+            if(depth <= BOUNDS_EPSILON)
+                return null;
+            if(!contact || depth < contact.depth)
+                contact = AXIS_CONTACT(axis, depth, offset);
+        }
+        return contact;
+    }
+
+};
+
+
+/**
+ * A sphere around an object, the cheapest volume to test
+ * @class
+ */
+class BoundingSphere {
+
+    /**
+     * Create a sphere around points centered on the box holding them
+     * @static
+     * @param {Array.<Vector3 | Array.<number>>} points - the points
+     * @returns {BoundingSphere} the sphere
+     */
+    static fromPoints(points) {
+        const vectors = points.map(p => Array.isArray(p) ? new Vector3(p[0], p[1], p[2]) : p);
+        const center = AABB.fromPoints(vectors).center;
+        const radius = vectors.reduce((r, p) => Math.max(r, p.sub(center).magnitude), 0);
+        return new BoundingSphere(center, radius);
+    }
+
+    /**
+     * @constructor
+     * @param {Vector3} center - center of the sphere
+     * @param {number} radius - radius of the sphere
+     */
+    constructor(center = new Vector3(), radius = 0) {
+        this.center = center;
+        this.radius = radius;
+    }
+
+    /**
+     * Move the sphere with a model matrix. A model scaled unevenly is enclosed by
+     * a sphere scaled by the largest scale
+     * @param {Float32Array} m - the model matrix
+     * @returns {BoundingSphere} a new sphere
+     */
+    transform(m) {
+        const scale = Math.max(...MATRIX_AXES(m).map(axis => axis.magnitude));
+        return new BoundingSphere(Mat4x4.multiplyVector(m, this.center), this.radius * scale);
+    }
+
+    /**
+     * @param {Vector3} point - the point
+     * @returns {boolean} true if the point is inside or on the sphere
+     */
+    containsPoint(point) {
+        return point.sub(this.center).magnitude <= this.radius;
+    }
+
+    /**
+     * Test if the sphere overlaps another volume, volumes only touching do not overlap
+     * @param {AABB | OBB | BoundingSphere} other - the other volume
+     * @returns {Object} the contact or null if they don't overlap
+     * @see AABB#intersects
+     */
+    intersects(other) {
+        if(other instanceof AABB)
+            other = other.toOBB();
+        if(other instanceof BoundingSphere) {
+            const offset = this.center.sub(other.center);
+            const distance = offset.magnitude;
+            const depth = this.radius + other.radius - distance;
+            if(depth <= BOUNDS_EPSILON)
+                return null;
+            // spheres sharing a center are pushed apart along any axis
+            return { normal: distance ? offset.scale(1 / distance) : new Vector3(0, 0, -1, 0), depth };
+        }
+        if(!(other instanceof OBB))
+            throw TypeError("A bounding sphere can only be tested against an `AABB`, `OBB` or `BoundingSphere`");
+        const closest = other.closestPoint(this.center);
+        const offset = this.center.sub(closest);
+        const distance = offset.magnitude;
+        if(distance > BOUNDS_EPSILON) {
+            const depth = this.radius - distance;
+            return depth > BOUNDS_EPSILON ? { normal: offset.scale(1 / distance), depth } : null;
+        }
+        // the center is inside the box, it's pushed out through the nearest face
+        const local = this.center.sub(other.center);
+        let contact = null;
+        other.axes.forEach((axis, i) => {
+            const depth = other.halfSize[other.halfSize.components[i]] - Math.abs(local.dot(axis)) + this.radius;
+            if(!contact || depth < contact.depth)
+                contact = AXIS_CONTACT(axis, depth, local);
+        });
+        return contact;
+    }
+
+};
+
+/**
+ * Normal of a polygon using Newell's method, works for concave polygons
+ * @param {Array.<Array.<number>>} points - the polygon
+ * @returns {Array.<number>} the unnormalised normal [x, y, z]
+ */
+const POLYGON_NORMAL = points => {
+    let n = [0, 0, 0];
+    points.forEach((a, i) => {
+        const b = points[(i + 1) % points.length];
+        n[0] += (a[1] - b[1]) * (a[2] + b[2]);
+        n[1] += (a[2] - b[2]) * (a[0] + b[0]);
+        n[2] += (a[0] - b[0]) * (a[1] + b[1]);
+    });
+    return n;
+};
+
+/**
+ * Split a polygon into triangles by ear clipping. The polygon is flattened on
+ * the plane it mostly faces. Falls back to a triangle fan if no ear can be found
+ * @param {Array.<Array.<number>>} points - position of each corner
+ * @returns {Array.<Array.<number>>} triangles as indices into points
+ */
+const TRIANGULATE_POLYGON = points => {
+    if(points.length === 3)
+        return [[0, 1, 2]];
+
+    // drop the axis the polygon faces the most
+    const n = POLYGON_NORMAL(points).map(Math.abs);
+    const drop = n[0] > n[1] && n[0] > n[2] ? 0 : n[1] > n[2] ? 1 : 2;
+    const [ax, ay] = [0, 1, 2].filter(i => i !== drop);
+    const flat = points.map(p => [p[ax], p[ay]]);
+
+    let area = 0;
+    flat.forEach((a, i) => {
+        const b = flat[(i + 1) % flat.length];
+        area += a[0] * b[1] - b[0] * a[1];
+    });
+    const orientation = Math.sign(area) || 1;
+    const cross = (a, b, c) => ((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0])) * orientation;
+    const inside = (p, a, b, c) => cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0;
+
+    const remaining = points.map((p, i) => i);
+    const triangles = [];
+    let guard = remaining.length * remaining.length;
+    while(remaining.length > 3 && guard-- > 0) {
+        let clipped = false;
+        for(let i = 0; i < remaining.length; i++) {
+            const prev = remaining[(i + remaining.length - 1) % remaining.length];
+            const curr = remaining[i];
+            const next = remaining[(i + 1) % remaining.length];
+            if(cross(flat[prev], flat[curr], flat[next]) <= 0)
+                continue;
+            const blocked = remaining.some(j => j !== prev && j !== curr && j !== next
+                && inside(flat[j], flat[prev], flat[curr], flat[next]));
+            if(blocked)
+                continue;
+            triangles.push([prev, curr, next]);
+            remaining.splice(i, 1);
+            clipped = true;
+            break;
+        }
+        if(!clipped)
+            break;
+    }
+    if(remaining.length === 3)
+        triangles.push(remaining.slice());
+    else
+        for(let i = 1; i < remaining.length - 1; i++)
+            triangles.push([remaining[0], remaining[i], remaining[i + 1]]);
+    return triangles;
+};
+
+
+/**
+ * A parser for the Wavefront obj format as described on
+ * { @link http://paulbourke.net/dataformats/obj/ }. Polygons are triangulated,
+ * texture coordinates, normals, groups, objects, smoothing groups and materials
+ * are kept. The engine's own `c h s l [a]` lines, coloring the nth face with the
+ * nth color, are also supported. A `c` line without a color leaves it's face to the
+ * color of it's material.
+ * @class
+ */
+class WaveFront {
+
+    /**
+     * Parse obj data
+     * @static
+     * @param {string} data - obj file format representing mesh data
+     * @returns {Object} the vertices, textureCoords, normals, vertexColors and colors as arrays
+     * of numbers, the triangulated faces, the groups and objects mapping names to face indices
+     * and the material libraries. Each face has it's `vertices`, `uvs` and `normals` as zero based
+     * indices, `uvs` and `normals` are null when missing. It also has it's `group` names, `object`,
+     * `smoothing` group, `material`, `color`, the index of the `polygon` it was split from and the
+     * `line` it was declared on.
+     * @throws {SyntaxError} when a line is malformed or a face refers to a missing element
+     */
+    static parse(data) {
+        const res = {
+            vertices: [],
+            textureCoords: [],
+            normals: [],
+            vertexColors: [],
+            colors: [],
+            faces: [],
+            groups: {},
+            objects: {},
+            materialLibraries: []
+        };
+
+        let group = ["default"];
+        let object = null;
+        let smoothing = 0;
+        let material = null;
+        let polygon = 0;
+
+        const numbers = (values, min, max, line, name) => {
+            if(values.length < min || values.length > max)
+                throw SyntaxError(`Line ${line}: ${name} expects between ${min} and ${max} numbers`);
+            const n = values.map(parseFloat);
+            if(n.some(isNaN))
+                throw SyntaxError(`Line ${line}: ${name} has an invalid number`);
+            return n;
+        };
+
+        const index = (value, count, line, name) => {
+            const i = parseInt(value);
+            if(isNaN(i) || i === 0)
+                throw SyntaxError(`Line ${line}: invalid ${name} index "${value}"`);
+            const resolved = i < 0 ? count + i : i - 1;
+            if(resolved < 0 || resolved >= count)
+                throw SyntaxError(`Line ${line}: ${name} index ${i} is out of range`);
+            return resolved;
+        };
+
+        // lines ending with a backslash continue on the next line
+        const lines = [];
+        let pending = null;
+        data.split(/\r?\n/).forEach((text, i) => {
+            if(pending)
+                pending.text += " " + text;
+            else
+                pending = { text, line: i + 1 };
+            if(pending.text.endsWith("\\"))
+                pending.text = pending.text.slice(0, -1);
+            else {
+                lines.push(pending);
+                pending = null;
+            }
+        });
+        if(pending)
+            lines.push(pending);
+
+        lines.forEach(({ text, line }) => {
+            const comment = text.indexOf("#");
+            const values = (comment < 0 ? text : text.slice(0, comment)).trim().split(/\s+/);
+            const keyword = values.shift();
+
+            switch(keyword) {
+                case "":
+                    break;
+                case "v": {
+                    const n = numbers(values, 3, 7, line, "vertex");
+                    res.vertices.push(n.slice(0, 3));
+                    // x y z r g b is a common extension for vertex colors
+                    res.vertexColors.push(n.length >= 6 ? n.slice(3, 6) : null);
+                    break;
+                }
+                case "vt":
+                    res.textureCoords.push(numbers(values, 1, 3, line, "texture coordinate").concat(0).slice(0, 2));
+                    break;
+                case "vn":
+                    res.normals.push(numbers(values, 3, 3, line, "normal"));
+                    break;
+                case "c":
+                    res.colors.push(values.length ? numbers(values, 3, 4, line, "color") : undefined);
+                    break;
+                case "f": {
+                    if(values.length < 3)
+                        throw SyntaxError(`Line ${line}: a face needs at least 3 vertices`);
+                    const corners = values.map(value => {
+                        const [v, vt, vn] = value.split("/");
+                        return {
+                            v: index(v, res.vertices.length, line, "vertex"),
+                            vt: vt ? index(vt, res.textureCoords.length, line, "texture coordinate") : null,
+                            vn: vn ? index(vn, res.normals.length, line, "normal") : null
+                        };
+                    });
+                    const hasUV = corners.every(c => c.vt !== null);
+                    const hasNormal = corners.every(c => c.vn !== null);
+                    TRIANGULATE_POLYGON(corners.map(c => res.vertices[c.v])).forEach(tri => {
+                        const face = res.faces.length;
+                        res.faces.push({
+                            vertices: tri.map(j => corners[j].v),
+                            uvs: hasUV ? tri.map(j => corners[j].vt) : null,
+                            normals: hasNormal ? tri.map(j => corners[j].vn) : null,
+                            group,
+                            object,
+                            smoothing,
+                            material,
+                            polygon,
+                            color: undefined,
+                            line
+                        });
+                        group.forEach(name => (res.groups[name] = res.groups[name] || []).push(face));
+                        if(object !== null)
+                            (res.objects[object] = res.objects[object] || []).push(face);
+                    });
+                    polygon++;
+                    break;
+                }
+                case "g":
+                    group = values.length ? values : ["default"];
+                    break;
+                case "o":
+                    object = values.join(" ");
+                    break;
+                case "s":
+                    smoothing = values[0] === "off" ? 0 : parseInt(values[0]) || 0;
+                    break;
+                case "usemtl":
+                    material = values.join(" ");
+                    break;
+                case "mtllib":
+                    res.materialLibraries.push(...values);
+                    break;
+                // points, lines, curves and surfaces are not supported
+                default:
+                    break;
+            }
+        });
+
+        // the nth color belongs to the nth polygon
+        res.faces.forEach(face => face.color = res.colors[face.polygon]);
+
+        return res;
+    }
+
+};
+
+/**
+ * An image that can be mapped on the triangles of a mesh. The source may be an
+ * image, a canvas or anything else that can be drawn on a canvas. An ImageData
+ * or an object with width, height and rgba data can be used without the DOM
+ * @class
+ */
+class Texture {
+
+    /**
+     * @constructor
+     * @param {HTMLImageElement | HTMLCanvasElement | ImageData} source - the image
+     */
+    constructor(source) {
+        this.source = source;
+        this.imageData = null;
+        this.repeat = true;
+    }
+
+    get width() {
+        return this.source.width;
+    }
+
+    get height() {
+        return this.source.height;
+    }
+
+    /**
+     * check if the source has finished loading
+     * @returns {boolean}
+     */
+    get ready() {
+        const s = this.source;
+        if(!s || !s.width || !s.height)
+            return false;
+        return s.complete === undefined || s.complete;
+    }
+
+    /**
+     * Read back the pixels of the source. This is done once, call it again
+     * with `force` whenever a canvas source has been drawn on
+     * @param {boolean} force - read the pixels even if they have been read before
+     * @returns {ImageData} the pixels or null if the source is not ready
+     */
+    getImageData(force = false) {
+        if(this.imageData && !force)
+            return this.imageData;
+        if(!this.ready)
+            return null;
+        if(this.source.data) {
+            this.imageData = this.source;
+        } else {
+            const canvas = document.createElement("canvas");
+            canvas.width = this.width;
+            canvas.height = this.height;
+            const ctx = canvas.getContext("2d");
+            ctx.drawImage(this.source, 0, 0);
+            this.imageData = ctx.getImageData(0, 0, this.width, this.height);
+        }
+        return this.imageData;
+    }
+
+    /**
+     * Get the offset of the nearest pixel to a texture coordinate in the pixel data.
+     * v goes upwards as in the wavefront format
+     * @param {number} u - horizontal texture coordinate from 0 to 1
+     * @param {number} v - vertical texture coordinate from 0 to 1
+     * @returns {number} index of the red component of the pixel
+     */
+    texelIndex(u, v) {
+        const w = this.imageData.width;
+        const h = this.imageData.height;
+        let x = Math.floor(u * w);
+        let y = Math.floor((1 - v) * h);
+        if(this.repeat) {
+            x = ((x % w) + w) % w;
+            y = ((y % h) + h) % h;
+        } else {
+            x = Math.min(w - 1, Math.max(0, x));
+            y = Math.min(h - 1, Math.max(0, y));
+        }
+        return (y * w + x) * 4;
+    }
+
+};
+
+
+
+
+
+/**
+ * The surface of a triangle, as described by a material in a wavefront mtl file.
+ * The diffuse color `Kd`, the opacity `d` or `Tr` and the diffuse texture `map_Kd`
+ * are supported.
+ * @class
+ */
+class Material {
+
+    /**
+     * Parse the materials of a wavefront mtl file
+     * @static
+     * @param {string} data - mtl file format
+     * @returns {Object.<string, Material>} the materials mapped by their names
+     * @throws {SyntaxError} when a line is malformed
+     */
+    static parseLibrary(data) {
+        const materials = {};
+        let current = null;
+
+        data.split(/\r?\n/).forEach((text, i) => {
+            const line = i + 1;
+            const comment = text.indexOf("#");
+            const values = (comment < 0 ? text : text.slice(0, comment)).trim().split(/\s+/);
+            const keyword = values.shift();
+            if(!keyword)
+                return;
+
+            if(keyword === "newmtl") {
+                current = new Material(values.join(" "));
+                materials[current.name] = current;
+                return;
+            }
+            if(!current)
+                throw SyntaxError(`Line ${line}: "${keyword}" found before any newmtl`);
+
+            const number = j => {
+                const n = parseFloat(values[j]);
+                if(isNaN(n))
+                    throw SyntaxError(`Line ${line}: ${keyword} has an invalid number`);
+                return n;
+            };
+
+            switch(keyword) {
+                case "Kd":
+                    // a single value is used for all three components
+                    if(values.length === 1)
+                        current.setDiffuse(number(0), number(0), number(0));
+                    else
+                        current.setDiffuse(number(0), number(1), number(2));
+                    break;
+                case "d":
+                    current.opacity = number(values[0] === "-halo" ? 1 : 0);
+                    break;
+                case "Tr":
+                    current.opacity = 1 - number(0);
+                    break;
+                case "map_Kd":
+                    // options come before the file name
+                    current.textureMap = values[values.length - 1];
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        return materials;
+    }
+
+    /**
+     * Fetch and parse a mtl file. The diffuse textures are loaded as images
+     * relative to the url of the file
+     * @static
+     * @param {string} url - location of the mtl file
+     * @returns {Promise.<Object.<string, Material>>} the materials mapped by their names
+     */
+    static async loadLibrary(url) {
+        const response = await fetch(url);
+        if(!response.ok)
+            throw Error(`Could not load material library ${url}: ${response.status}`);
+        const materials = Material.parseLibrary(await response.text());
+        const base = new URL(url, typeof location === "object" ? location.href : undefined);
+        for(const name in materials) {
+            const material = materials[name];
+            if(material.textureMap && typeof Image === "function") {
+                const image = new Image();
+                image.src = new URL(material.textureMap, base).href;
+                material.setTexture(image);
+            }
+        }
+        return materials;
+    }
+
+    /**
+     * @constructor
+     * @param {string} name - name of the material
+     */
+    constructor(name = "default") {
+        this.name = name;
+        this.color = new Color();
+        this.texture = null;
+        this.textureMap = null;
+    }
+
+    /**
+     * opacity of the material from 0 to 1
+     * @returns {number}
+     */
+    get opacity() {
+        return this.color.a;
+    }
+
+    set opacity(a) {
+        this.color.a = Math.min(1, Math.max(0, a));
+    }
+
+    /**
+     * Set the diffuse color
+     * @param {number} r - red component from 0 to 1
+     * @param {number} g - green component from 0 to 1
+     * @param {number} b - blue component from 0 to 1
+     */
+    setDiffuse(r, g, b) {
+        this.color.setRGB(r * 255, g * 255, b * 255);
+    }
+
+    /**
+     * Set the diffuse texture
+     * @param {HTMLImageElement | HTMLCanvasElement | ImageData | Texture} image - the texture,
+     * null removes the texture
+     */
+    setTexture(image) {
+        this.texture = !image || image instanceof Texture ? image : new Texture(image);
+    }
+
+    /**
+     * Write the material as an entry of a wavefront mtl file
+     * @returns {string} mtl file format
+     */
+    toMTL() {
+        const [r, g, b, a] = this.color.toRGBA();
+        const lines = [
+            `newmtl ${this.name}`,
+            `Kd ${[r, g, b].map(c => +(c / 255).toFixed(6)).join(" ")}`,
+            `d ${a}`
+        ];
+        if(this.textureMap)
+            lines.push(`map_Kd ${this.textureMap}`);
+        return lines.join("\n");
+    }
+
+};
+
+
+
+
+/**
+ * Distance that lines and points are pulled towards the viewer so they are
+ * not hidden by the surface they are drawn on
+ */
+const DEPTH_BIAS = 0.01;
+
+/**
+ * Css colors already read by their text, a scene draws with the same few wire frame and
+ * clear colors. It's emptied when it grows past the size
+ */
+const RASTER_CSS_COLORS = new Map();
+const RASTER_CSS_CACHE_SIZE = 256;
+
+/**
+ * The rgba components of the color being drawn and of the color of each vertex, the light,
+ * perspective divisor and texture coordinates of each vertex of a textured triangle. They
+ * are reused by every triangle so drawing doesn't allocate
+ */
+const RASTER_COLOR = new Color();
+const RASTER_RGBA = [0, 0, 0, 0];
+const RASTER_VERTEX_RGBA = [[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]];
+const RASTER_LIGHTS = [0, 0, 0];
+const RASTER_Q = [0, 0, 0];
+const RASTER_US = [0, 0, 0];
+const RASTER_VS = [0, 0, 0];
+
+/**
+ * Resolve a color into it's rgba components without making a new color
+ * @param {Color | Object | string | Array.<number>} color - any color a { @link Color } is made from
+ * @param {Array.<number>} out - array receiving the components
+ * @returns {Array.<number>} [r, g, b, a] with r, g, b in 0 - 255 and a in 0 - 1
+ */
+const RASTER_TO_RGBA = (color, out) => {
+    if(color instanceof Color)
+        return color.toRGBA(out);
+    if(typeof color === "string") {
+        let css = RASTER_CSS_COLORS.get(color);
+        if(!css) {
+            if(RASTER_CSS_COLORS.size >= RASTER_CSS_CACHE_SIZE)
+                RASTER_CSS_COLORS.clear();
+            css = Color.parse(color);
+            RASTER_CSS_COLORS.set(color, css);
+        }
+        return css.toRGBA(out);
+    }
+    if(color && "h" in color)
+        return RASTER_COLOR.copy(color).toRGBA(out);
+    return Color.from(color).toRGBA(out);
+};
+
+
+/**
+ * A software rasteriser. Triangles are drawn into an ImageData colour buffer
+ * and every pixel is tested against a depth buffer, smaller depth values are
+ * closer to the viewer.
+ * @class
+ */
+class Rasterizer {
+
+    /**
+     * constructs a rasteriser
+     * @constructor
+     * @param {number} w - width of the buffers
+     * @param {number} h - height of the buffers
+     */
+    constructor(w, h) {
+        this.width = 0;
+        this.height = 0;
+        this.colorBuffer = null;
+        this.depthBuffer = null;
+        this.resize(w, h);
+    }
+
+    /**
+     * Reallocate the colour and depth buffers
+     * @param {number} w - width of the buffers
+     * @param {number} h - height of the buffers
+     */
+    resize(w, h) {
+        this.width = Math.max(1, Math.floor(w));
+        this.height = Math.max(1, Math.floor(h));
+        this.colorBuffer = typeof ImageData === "function" ? new ImageData(this.width, this.height)
+            : { width: this.width, height: this.height, data: new Uint8ClampedArray(this.width * this.height * 4) };
+        this.depthBuffer = new Float32Array(this.width * this.height);
+        this.clear();
+    }
+
+    /**
+     * Clear the colour buffer and reset the depth buffer of a rectangle, the whole
+     * buffer by default
+     * @param {Color | Object | string} color - color, hsla object or css color, transparent if missing
+     * @param {number} x - starting position on the x-axis
+     * @param {number} y - starting position on the y-axis
+     * @param {number} w - width of the clearing rectangle
+     * @param {number} h - height of the clearing rectangle
+     */
+    clear(color, x = 0, y = 0, w = this.width, h = this.height) {
+        let r = 0, g = 0, b = 0, a = 0;
+        if(color)
+            [r, g, b, a] = RASTER_TO_RGBA(color, RASTER_RGBA);
+        const data = this.colorBuffer.data;
+        const minX = Math.max(0, Math.floor(x)), maxX = Math.min(this.width, Math.floor(x + w));
+        const minY = Math.max(0, Math.floor(y)), maxY = Math.min(this.height, Math.floor(y + h));
+        for(let py = minY; py < maxY; py++) {
+            for(let px = minX; px < maxX; px++) {
+                const i = py * this.width + px;
+                data[i * 4] = r;
+                data[i * 4 + 1] = g;
+                data[i * 4 + 2] = b;
+                data[i * 4 + 3] = a * 255;
+                this.depthBuffer[i] = Infinity;
+            }
+        }
+    }
+
+    /**
+     * Write a single pixel if it passes the depth test. Opaque pixels update
+     * the depth buffer, translucent pixels are blended over what is already drawn
+     * @param {number} x - pixel position on the x-axis
+     * @param {number} y - pixel position on the y-axis
+     * @param {number} z - depth of the pixel
+     * @param {number} r - red component 0 - 255
+     * @param {number} g - green component 0 - 255
+     * @param {number} b - blue component 0 - 255
+     * @param {number} a - alpha 0 - 1
+     * @param {number} bias - amount to pull the pixel towards the viewer
+     */
+    plot(x, y, z, r, g, b, a = 1, bias = 0) {
+        if(x < 0 || y < 0 || x >= this.width || y >= this.height)
+            return;
+        const i = y * this.width + x;
+        if(z - bias >= this.depthBuffer[i])
+            return;
+        const data = this.colorBuffer.data;
+        const j = i * 4;
+        if(a >= 1) {
+            data[j] = r;
+            data[j + 1] = g;
+            data[j + 2] = b;
+            data[j + 3] = 255;
+            this.depthBuffer[i] = z;
+        } else if(a > 0) {
+            const dstA = data[j + 3] / 255;
+            const outA = a + dstA * (1 - a);
+            data[j] = (r * a + data[j] * dstA * (1 - a)) / outA;
+            data[j + 1] = (g * a + data[j + 1] * dstA * (1 - a)) / outA;
+            data[j + 2] = (b * a + data[j + 2] * dstA * (1 - a)) / outA;
+            data[j + 3] = outA * 255;
+        }
+    }
+
+    /**
+     * Fill a triangle in screen space. The z-component of each vertex is
+     * it's depth
+     * @param {Array.<Vector3>} v - the three screen space vertices
+     * @param {Color | Object | string | Array} color - color, hsla object or css color of the triangle,
+     * or an array of one color per vertex to be interpolated across the triangle
+     */
+    drawTriangle(v, color) {
+        const [v0, v1, v2] = v;
+        const area = (v1.x - v0.x) * (v2.y - v0.y) - (v1.y - v0.y) * (v2.x - v0.x);
+        if(area === 0)
+            return;
+
+        const minX = Math.max(0, Math.floor(Math.min(v0.x, v1.x, v2.x)));
+        const maxX = Math.min(this.width - 1, Math.ceil(Math.max(v0.x, v1.x, v2.x)));
+        const minY = Math.max(0, Math.floor(Math.min(v0.y, v1.y, v2.y)));
+        const maxY = Math.min(this.height - 1, Math.ceil(Math.max(v0.y, v1.y, v2.y)));
+
+        let colors = null;
+        if(Array.isArray(color)) {
+            colors = RASTER_VERTEX_RGBA;
+            for(let i = 0; i < 3; i++)
+                RASTER_TO_RGBA(color[i], colors[i]);
+        }
+        let [r, g, b, a] = colors ? colors[0] : RASTER_TO_RGBA(color, RASTER_RGBA);
+
+        // the weight of each vertex changes by a constant amount per pixel step
+        const dx0 = (v1.y - v2.y) / area;
+        const dx1 = (v2.y - v0.y) / area;
+
+        for(let y = minY; y <= maxY; y++) {
+            const py = y + 0.5;
+            const px = minX + 0.5;
+            let w0 = ((v2.x - v1.x) * (py - v1.y) - (v2.y - v1.y) * (px - v1.x)) / area;
+            let w1 = ((v0.x - v2.x) * (py - v2.y) - (v0.y - v2.y) * (px - v2.x)) / area;
+            for(let x = minX; x <= maxX; x++, w0 += dx0, w1 += dx1) {
+                const w2 = 1 - w0 - w1;
+                if(w0 < 0 || w1 < 0 || w2 < 0)
+                    continue;
+                if(colors) {
+                    r = w0 * colors[0][0] + w1 * colors[1][0] + w2 * colors[2][0];
+                    g = w0 * colors[0][1] + w1 * colors[1][1] + w2 * colors[2][1];
+                    b = w0 * colors[0][2] + w1 * colors[1][2] + w2 * colors[2][2];
+                    a = w0 * colors[0][3] + w1 * colors[1][3] + w2 * colors[2][3];
+                }
+                this.plot(x, y, w0 * v0.z + w1 * v1.z + w2 * v2.z, r, g, b, a);
+            }
+        }
+    }
+
+    /**
+     * Fill a triangle in screen space with a texture. Affine mapping interpolates
+     * the texture coordinates linearly in screen space, perspective correct mapping
+     * interpolates them divided by the homogenous w-component of each vertex
+     * @param {Array.<Vector3>} v - the three screen space vertices
+     * @param {Array.<Vector2>} uvs - texture coordinate of each vertex
+     * @param {Texture} texture - the texture
+     * @param {number | Array.<number>} light - amount of light on the triangle or on each vertex
+     * @param {boolean} perspective - use perspective correct mapping
+     * @param {number} opacity - opacity multiplied with the alpha of the texture
+     */
+    drawTexturedTriangle(v, uvs, texture, light = 1, perspective = false, opacity = 1) {
+        const image = texture.getImageData();
+        if(!image)
+            return;
+        const [v0, v1, v2] = v;
+        const area = (v1.x - v0.x) * (v2.y - v0.y) - (v1.y - v0.y) * (v2.x - v0.x);
+        if(area === 0)
+            return;
+
+        const minX = Math.max(0, Math.floor(Math.min(v0.x, v1.x, v2.x)));
+        const maxX = Math.min(this.width - 1, Math.ceil(Math.max(v0.x, v1.x, v2.x)));
+        const minY = Math.max(0, Math.floor(Math.min(v0.y, v1.y, v2.y)));
+        const maxY = Math.min(this.height - 1, Math.ceil(Math.max(v0.y, v1.y, v2.y)));
+
+        const lights = RASTER_LIGHTS, q = RASTER_Q, us = RASTER_US, vs = RASTER_VS;
+        for(let i = 0; i < 3; i++) {
+            lights[i] = Array.isArray(light) ? light[i] : light;
+            q[i] = perspective ? 1 / (v[i].w || 1) : 1;
+            us[i] = uvs[i].x * q[i];
+            vs[i] = uvs[i].y * q[i];
+        }
+        const data = image.data;
+
+        const dx0 = (v1.y - v2.y) / area;
+        const dx1 = (v2.y - v0.y) / area;
+
+        for(let y = minY; y <= maxY; y++) {
+            const py = y + 0.5;
+            const px = minX + 0.5;
+            let w0 = ((v2.x - v1.x) * (py - v1.y) - (v2.y - v1.y) * (px - v1.x)) / area;
+            let w1 = ((v0.x - v2.x) * (py - v2.y) - (v0.y - v2.y) * (px - v2.x)) / area;
+            for(let x = minX; x <= maxX; x++, w0 += dx0, w1 += dx1) {
+                const w2 = 1 - w0 - w1;
+                if(w0 < 0 || w1 < 0 || w2 < 0)
+                    continue;
+                const iq = 1 / (w0 * q[0] + w1 * q[1] + w2 * q[2]);
+                const t = texture.texelIndex(
+                    (w0 * us[0] + w1 * us[1] + w2 * us[2]) * iq,
+                    (w0 * vs[0] + w1 * vs[1] + w2 * vs[2]) * iq);
+                const l = w0 * lights[0] + w1 * lights[1] + w2 * lights[2];
+                this.plot(x, y, w0 * v0.z + w1 * v1.z + w2 * v2.z,
+                    data[t] * l, data[t + 1] * l, data[t + 2] * l, data[t + 3] / 255 * opacity);
+            }
+        }
+    }
+
+    /**
+     * Draw a line in screen space using Bresenham's algorithm
+     * @param {Vector3} p0 - start of the line
+     * @param {Vector3} p1 - end of the line
+     * @param {Color | Object | string} color - color, hsla object or css color of the line
+     */
+    drawLine(p0, p1, color) {
+        const [r, g, b, a] = RASTER_TO_RGBA(color, RASTER_RGBA);
+        let x0 = Math.round(p0.x), y0 = Math.round(p0.y);
+        const x1 = Math.round(p1.x), y1 = Math.round(p1.y);
+        const dx = Math.abs(x1 - x0), dy = -Math.abs(y1 - y0);
+        const sx = x0 < x1 ? 1 : -1, sy = y0 < y1 ? 1 : -1;
+        const steps = Math.max(dx, -dy);
+        let err = dx + dy;
+        for(let i = 0; i <= steps; i++) {
+            const t = steps ? i / steps : 0;
+            this.plot(x0, y0, p0.z + (p1.z - p0.z) * t, r, g, b, a, DEPTH_BIAS);
+            const e2 = 2 * err;
+            if(e2 >= dy) { err += dy; x0 += sx; }
+            if(e2 <= dx) { err += dx; y0 += sy; }
+        }
+    }
+
+    /**
+     * Draw a square dot centered at a point in screen space
+     * @param {Vector3} p - the point
+     * @param {number} radius - half of the width of the dot
+     * @param {Color | Object | string} color - color, hsla object or css color of the dot
+     */
+    drawPoint(p, radius, color) {
+        const [r, g, b, a] = RASTER_TO_RGBA(color, RASTER_RGBA);
+        const cx = Math.round(p.x), cy = Math.round(p.y);
+        for(let y = cy - radius; y <= cy + radius; y++) {
+            for(let x = cx - radius; x <= cx + radius; x++)
+                this.plot(x, y, p.z, r, g, b, a, DEPTH_BIAS);
+        }
+    }
+
+};
+
+
+
+
+
+/**
+ * Cover a rectangle of texture space with the image the way { @link Texture#texelIndex }
+ * reads it, repeated as a pattern or with it's edge pixels stretched outwards
+ * @param {CanvasRenderingContext2D} ctx - the context, transformed to texture space
+ * @param {Texture} texture - the texture
+ * @param {Array.<number>} us - horizontal texture coordinate of each vertex in pixels
+ * @param {Array.<number>} vs - vertical texture coordinate of each vertex in pixels from the top
+ */
+const DRAW_TEXTURE_SPAN = (ctx, texture, us, vs) => {
+    const w = texture.width, h = texture.height;
+    const minU = Math.floor(Math.min(...us)), maxU = Math.ceil(Math.max(...us));
+    const minV = Math.floor(Math.min(...vs)), maxV = Math.ceil(Math.max(...vs));
+    if(minU >= 0 && minV >= 0 && maxU <= w && maxV <= h) {
+        ctx.drawImage(texture.source, 0, 0);
+    } else if(texture.repeat) {
+        ctx.fillStyle = ctx.createPattern(texture.source, "repeat");
+        ctx.fillRect(minU, minV, maxU - minU, maxV - minV);
+    } else {
+        // the image, the edges stretched beside it and the corners stretched diagonally
+        const columns = [[minU, 0, 0, 1], [0, w, 0, w], [w, maxU, w - 1, 1]];
+        const rows = [[minV, 0, 0, 1], [0, h, 0, h], [h, maxV, h - 1, 1]];
+        for(const [y0, y1, sy, sh] of rows) {
+            for(const [x0, x1, sx, sw] of columns) {
+                if(x1 > x0 && y1 > y0)
+                    ctx.drawImage(texture.source, sx, sy, sw, sh, x0, y0, x1 - x0, y1 - y0);
+            }
+        }
+    }
+};
+
+/**
+ * Draw a textured triangle on a canvas with affine mapping. The triangle is
+ * clipped and the image transformed so it's texture coordinates land on the
+ * vertices. Texture coordinates outside 0 - 1 are repeated or clamped like the
+ * rasteriser does
+ * @param {CanvasRenderingContext2D} ctx - the context
+ * @param {Array.<Vector3>} v - the three screen space vertices
+ * @param {Array.<Vector2>} uvs - texture coordinate of each vertex
+ * @param {Texture} texture - the texture
+ * @param {number} light - amount of light on the triangle
+ */
+const DRAW_TEXTURED_TRIANGLE = (ctx, v, uvs, texture, light) => {
+    const [x0, y0, x1, y1, x2, y2] = [v[0].x, v[0].y, v[1].x, v[1].y, v[2].x, v[2].y];
+    const [u0, u1, u2] = uvs.map(uv => uv.x * texture.width);
+    const [v0, v1, v2] = uvs.map(uv => (1 - uv.y) * texture.height);
+    const delta = u0 * v1 + v0 * u2 + u1 * v2 - v1 * u2 - v0 * u1 - u0 * v2;
+    if(delta === 0)
+        return;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(x0, y0);
+    ctx.lineTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.closePath();
+    ctx.clip();
+    ctx.transform(
+        (x0 * v1 + v0 * x2 + x1 * v2 - v1 * x2 - v0 * x1 - x0 * v2) / delta,
+        (y0 * v1 + v0 * y2 + y1 * v2 - v1 * y2 - v0 * y1 - y0 * v2) / delta,
+        (u0 * x1 + x0 * u2 + u1 * x2 - x1 * u2 - x0 * u1 - u0 * x2) / delta,
+        (u0 * y1 + y0 * u2 + u1 * y2 - y1 * u2 - y0 * u1 - u0 * y2) / delta,
+        (u0 * v1 * x2 + v0 * x1 * u2 + x0 * u1 * v2 - x0 * v1 * u2 - v0 * u1 * x2 - u0 * x1 * v2) / delta,
+        (u0 * v1 * y2 + v0 * y1 * u2 + y0 * u1 * v2 - y0 * v1 * u2 - v0 * u1 * y2 - u0 * y1 * v2) / delta
+    );
+    DRAW_TEXTURE_SPAN(ctx, texture, [u0, u1, u2], [v0, v1, v2]);
+    ctx.restore();
+
+    // darken the texture where there is less light
+    if(light < 1) {
+        ctx.fillStyle = `rgba(0, 0, 0, ${1 - Math.max(0, light)})`;
+        ctx.beginPath();
+        ctx.moveTo(x0, y0);
+        ctx.lineTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.closePath();
+        ctx.fill();
+    }
+};
+
+/**
+ * A linear gradient approximating colors blended across a triangle. A canvas gradient
+ * only changes in one direction, so it follows the component of the colors changing the
+ * most across the triangle and passes through the color of every vertex
+ * @param {CanvasRenderingContext2D} ctx - the context
+ * @param {Array.<Vector3>} v - the three screen space vertices
+ * @param {Array.<Color | Object>} colors - color of each vertex
+ * @returns {CanvasGradient | string} the gradient, or a css color when the colors are
+ * the same across the triangle
+ */
+const VERTEX_GRADIENT = (ctx, v, colors) => {
+    const rgba = colors.map(c => Color.from(c).toRGBA());
+    const css = ([r, g, b, a]) => `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${a})`;
+    const average = css([0, 1, 2, 3].map(i => (rgba[0][i] + rgba[1][i] + rgba[2][i]) / 3));
+    const area = (v[1].x - v[0].x) * (v[2].y - v[0].y) - (v[1].y - v[0].y) * (v[2].x - v[0].x);
+    if(area === 0)
+        return average;
+
+    // screen space slope of each component, alpha in the same range as the others
+    let dx = 0, dy = 0, steepest = 0;
+    for(let i = 0; i < 4; i++) {
+        const range = i === 3 ? 255 : 1;
+        const d1 = (rgba[1][i] - rgba[0][i]) * range, d2 = (rgba[2][i] - rgba[0][i]) * range;
+        const gx = (d1 * (v[2].y - v[0].y) - d2 * (v[1].y - v[0].y)) / area;
+        const gy = (d2 * (v[1].x - v[0].x) - d1 * (v[2].x - v[0].x)) / area;
+        if(gx * gx + gy * gy > steepest) {
+            steepest = gx * gx + gy * gy;
+            dx = gx;
+            dy = gy;
+        }
+    }
+    if(steepest < 1e-6)
+        return average;
+
+    const length = Math.sqrt(steepest);
+    dx /= length;
+    dy /= length;
+    const t = v.map(p => p.x * dx + p.y * dy);
+    const order = [0, 1, 2].sort((a, b) => t[a] - t[b]);
+    const start = v[order[0]], span = t[order[2]] - t[order[0]];
+    const gradient = ctx.createLinearGradient(start.x, start.y, start.x + dx * span, start.y + dy * span);
+    order.forEach(i => gradient.addColorStop((t[i] - t[order[0]]) / span, css(rgba[i])));
+    return gradient;
+};
+
+/**
+ * Table of the crc of every byte value, used by png chunks
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (v, n) => {
+    let c = n;
+    for(let k = 0; k < 8; k++)
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+/**
+ * Compute the crc-32 of bytes
+ * @param {Uint8Array} bytes - the bytes
+ * @param {number} start - index of the first byte
+ * @param {number} end - index after the last byte
+ * @returns {number} the checksum
+ */
+const CRC32 = (bytes, start = 0, end = bytes.length) => {
+    let c = 0xffffffff;
+    for(let i = start; i < end; i++)
+        c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Encode rgba pixels as a png image. The pixels are stored in uncompressed
+ * deflate blocks so no compression library is needed
+ * as described on { @link https://www.w3.org/TR/png/ }
+ * @param {number} width - width of the image
+ * @param {number} height - height of the image
+ * @param {Uint8ClampedArray} rgba - 4 bytes per pixel, row by row from the top
+ * @returns {Uint8Array} the png file
+ */
+const ENCODE_PNG = (width, height, rgba) => {
+    // every row starts with the filter type, 0 is none
+    const rowLength = width * 4 + 1;
+    const raw = new Uint8Array(rowLength * height);
+    for(let y = 0; y < height; y++)
+        raw.set(rgba.subarray(y * width * 4, (y + 1) * width * 4), y * rowLength + 1);
+
+    // zlib stream of stored blocks of at most 65535 bytes followed by an adler-32
+    const blocks = Math.max(1, Math.ceil(raw.length / 65535));
+    const zlib = new Uint8Array(2 + raw.length + blocks * 5 + 4);
+    zlib[0] = 0x78;
+    zlib[1] = 0x01;
+    let offset = 2;
+    for(let i = 0; i < blocks; i++) {
+        const block = raw.subarray(i * 65535, (i + 1) * 65535);
+        zlib[offset] = i === blocks - 1 ? 1 : 0;
+        zlib[offset + 1] = block.length & 0xff;
+        zlib[offset + 2] = block.length >>> 8;
+        zlib[offset + 3] = ~block.length & 0xff;
+        zlib[offset + 4] = (~block.length >>> 8) & 0xff;
+        zlib.set(block, offset + 5);
+        offset += 5 + block.length;
+    }
+    let a = 1, b = 0;
+    for(let i = 0; i < raw.length; i++) {
+        a = (a + raw[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    new DataView(zlib.buffer).setUint32(offset, ((b << 16) | a) >>> 0);
+
+    const chunks = [
+        ["IHDR", [width >>> 24, width >>> 16, width >>> 8, width, height >>> 24, height >>> 16, height >>> 8, height,
+            8, 6, 0, 0, 0]],
+        ["IDAT", zlib],
+        ["IEND", []]
+    ];
+    const size = 8 + chunks.reduce((sum, [, data]) => sum + 12 + data.length, 0);
+    const png = new Uint8Array(size);
+    const view = new DataView(png.buffer);
+    png.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    offset = 8;
+    chunks.forEach(([type, data]) => {
+        view.setUint32(offset, data.length);
+        for(let i = 0; i < 4; i++)
+            png[offset + 4 + i] = type.charCodeAt(i);
+        png.set(data, offset + 8);
+        view.setUint32(offset + 8 + data.length, CRC32(png, offset + 4, offset + 8 + data.length));
+        offset += 12 + data.length;
+    });
+    return png;
+};
+
+
+/**
+ * @abstract
+ * @class
+ * Base class for renderers. A renderer draws the triangles a scene has projected
+ * to the screen, each triangle has it's screen space `vertices`, `color`, `light`,
+ * texture and drawing options as produced by { @link Mesh#draw }
+ */
+class Renderer {
+
+    /**
+     * @hideconstructor
+     * @constructor
+     */
+    constructor() {
+        if(this.constructor === Renderer)
+            throw new Error("Abstract Class `Renderer` cannot be Instantiated");
+        this.clearColor = undefined;
+    }
+
+    /**
+     * Change the size of the drawing surface
+     * @param {number} w - width in pixels
+     * @param {number} h - height in pixels
+     */
+    resize(w, h) {}
+
+    /**
+     * Clear a rectangle of the drawing surface to the clear color
+     * @param {number} x - starting position on the x-axis
+     * @param {number} y - starting position on the y-axis
+     * @param {number} w - width of the clearing rectangle
+     * @param {number} h - height of the clearing rectangle
+     */
+    clear(x, y, w, h) {}
+
+    /**
+     * Draw the triangles of a frame
+     * @param {Array.<Object>} triangles - the projected triangles
+     */
+    render(triangles) {}
+
+};
+
+
+/**
+ * @augments Renderer
+ * A renderer that rasterises into a rgba buffer with a depth buffer and needs
+ * no DOM, so it works in node, in a worker or in tests. The pixels can be read
+ * back or written out as a png or ppm image
+ */
+class BufferRenderer extends Renderer {
+
+    /**
+     * @constructor
+     * @param {number} w - width in pixels
+     * @param {number} h - height in pixels
+     */
+    constructor(w, h) {
+        super();
+        this.rasterizer = new Rasterizer(w, h);
+    }
+
+    get width() {
+        return this.rasterizer.width;
+    }
+
+    get height() {
+        return this.rasterizer.height;
+    }
+
+    /**
+     * The rendered pixels, 4 bytes per pixel row by row from the top
+     * @returns {ImageData}
+     */
+    get colorBuffer() {
+        return this.rasterizer.colorBuffer;
+    }
+
+    resize(w, h) {
+        this.rasterizer.resize(w, h);
+    }
+
+    clear(x, y, w, h) {
+        this.rasterizer.clear(this.clearColor, x || 0, y || 0, w || this.width, h || this.height);
+    }
+
+    /**
+     * Draw the triangles of a frame on a cleared buffer
+     * @param {Array.<Object>} triangles - the projected triangles
+     */
+    render(triangles) {
+        this.rasterizer.clear(this.clearColor);
+        this.rasterize(triangles);
+    }
+
+    /**
+     * Rasterise the triangles into the colour and depth buffer
+     * @private
+     * @param {Array.<Object>} triangles - the projected triangles
+     */
+    rasterize(triangles) {
+
+        const raster = this.rasterizer;
+
+        // translucent triangles are blended last, farthest first
+        const opacity = tri => tri.color.a === undefined ? 1 : tri.color.a;
+        triangles.sort((a, b) => {
+            const aOpaque = opacity(a) >= 1, bOpaque = opacity(b) >= 1;
+            if(aOpaque !== bOpaque)
+                return aOpaque ? -1 : 1;
+            return aOpaque ? 0 : b.zAverage - a.zAverage;
+        });
+
+        triangles.forEach(tri => {
+
+            let v = tri.vertices;
+            let c = tri.color;
+
+            if(tri.fillShader && tri.uvs)
+                raster.drawTexturedTriangle(v, tri.uvs, tri.texture, tri.vertexLights || tri.light,
+                    tri.perspectiveCorrect, c.a);
+            else if(tri.fillShader)
+                raster.drawTriangle(v, tri.vertexColors || c);
+
+            if(tri.showWireFrame) {
+                let stroke = tri.wireFrameColor ? tri.wireFrameColor : c;
+                raster.drawLine(v[0], v[1], stroke);
+                raster.drawLine(v[1], v[2], stroke);
+                raster.drawLine(v[2], v[0], stroke);
+            };
+
+            // show polygon vertex
+            if(tri.showVertex)
+                v.forEach(vertex => raster.drawPoint(vertex, 2, c));
+
+        });
+
+    }
+
+    /**
+     * Read a pixel
+     * @param {number} x - position on the x-axis
+     * @param {number} y - position on the y-axis, 0 is the top row
+     * @returns {Array.<number>} [r, g, b, a] each in the range 0 - 255, or null outside the buffer
+     */
+    getPixel(x, y) {
+        const raster = this.rasterizer;
+        if(x < 0 || y < 0 || x >= raster.width || y >= raster.height)
+            return null;
+        const i = (Math.floor(y) * raster.width + Math.floor(x)) * 4;
+        return Array.from(this.colorBuffer.data.subarray(i, i + 4));
+    }
+
+    /**
+     * Encode the pixels as a png image
+     * @returns {Uint8Array} the png file
+     */
+    toPNG() {
+        const raster = this.rasterizer;
+        return ENCODE_PNG(raster.width, raster.height, this.colorBuffer.data);
+    }
+
+    /**
+     * Encode the pixels as a binary ppm image. The format has no alpha channel,
+     * translucent pixels are blended over black
+     * @returns {Uint8Array} the ppm file
+     */
+    toPPM() {
+        const raster = this.rasterizer;
+        const header = `P6\n${raster.width} ${raster.height}\n255\n`;
+        const data = this.colorBuffer.data;
+        const ppm = new Uint8Array(header.length + raster.width * raster.height * 3);
+        for(let i = 0; i < header.length; i++)
+            ppm[i] = header.charCodeAt(i);
+        for(let i = 0, j = header.length; i < data.length; i += 4, j += 3) {
+            const a = data[i + 3] / 255;
+            ppm[j] = data[i] * a;
+            ppm[j + 1] = data[i + 1] * a;
+            ppm[j + 2] = data[i + 2] * a;
+        }
+        return ppm;
+    }
+
+};
+
+
+/**
+ * @augments BufferRenderer
+ * A renderer drawing on a canvas element. Triangles are rasterised with a depth
+ * buffer and blitted on the canvas unless `fastMode` is enabled, in which case
+ * they are sorted by their average depth and filled directly on the canvas, colors
+ * blended across a triangle becoming a gradient
+ */
+class CanvasRenderer extends BufferRenderer {
+
+    /**
+     * @constructor
+     * @param {number} w - width in pixels
+     * @param {number} h - height in pixels
+     * @param {HTMLCanvasElement} element - the canvas drawn on, a new canvas by default
+     */
+    constructor(w, h, element = document.createElement("canvas")) {
+        super(w, h);
+
+        // element
+        this.element = element;
+        this.element.style.backgroundColor = "#000";
+        this.element.style.width = w;
+        this.element.style.height = h;
+        this.element.width = this.rasterizer.width;
+        this.element.height = this.rasterizer.height;
+        this.ctx = this.element.getContext("2d");
+
+        // the buffer element is only used to blit the colour buffer
+        this.fastMode = false;
+        this.bufferElement = document.createElement("canvas");
+        this.bufferElement.width = this.rasterizer.width;
+        this.bufferElement.height = this.rasterizer.height;
+        this.bufferCtx = this.bufferElement.getContext("2d");
+    }
+
+    get width() {
+        return this.element.width;
+    }
+
+    get height() {
+        return this.element.height;
+    }
+
+    resize(w, h) {
+        this.element.width = w;
+        this.element.height = h;
+    }
+
+    clear(x, y, w, h) {
+        x = x || 0;
+        y = y || 0;
+        w = w || this.width;
+        h = h || this.height;
+        if(this.clearColor) {
+            this.ctx.fillStyle = this.clearColor;
+            this.ctx.fillRect(x, y, w, h);
+        } else
+            this.ctx.clearRect(x, y, w, h)
+    }
+
+    /**
+     * Clear the canvas to the clear color and draw the triangles of a frame
+     * @param {Array.<Object>} triangles - the projected triangles
+     */
+    render(triangles) {
+        // the previous frame would show through the transparent pixels of this one
+        this.clear();
+        if(this.fastMode)
+            this.renderCanvas(triangles);
+        else
+            this.renderBuffer(triangles);
+    }
+
+    /**
+     * Draw the triangles straight on the canvas, farthest first
+     * @private
+     * @param {Array.<Object>} triangles - the projected triangles
+     */
+    renderCanvas(triangles) {
+
+        triangles.sort((a, b) => b.zAverage - a.zAverage);
+
+         let ctx = this.ctx;
+         triangles.forEach((tri, i) => {
+
+            let v = tri.vertices;
+            let c = tri.color;
+
+            // show polygon vertex
+            if(tri.showVertex) {
+                ctx.save();
+                v.forEach((vertex, i) => {
+                    ctx.fillStyle = `hsla(${c.h}, ${c.s}%, ${c.l}%, ${c.a})`;
+                    ctx.beginPath();
+                    ctx.arc(vertex.x, vertex.y, 2, 0, 2*Math.PI);
+                    ctx.closePath();
+                    ctx.fill();
+                });
+                ctx.restore();
+            };
+
+            // textures drawn from raw pixel data can only be rasterised
+            if(tri.uvs && tri.fillShader && tri.texture.ready && !tri.texture.source.data) {
+                ctx.save();
+                ctx.globalAlpha = c.a === undefined ? 1 : c.a;
+                DRAW_TEXTURED_TRIANGLE(ctx, v, tri.uvs, tri.texture, tri.light);
+                ctx.restore();
+                if(tri.showWireFrame) {
+                    ctx.strokeStyle = tri.wireFrameColor ? tri.wireFrameColor : `hsla(${c.h}, ${c.s}%, ${c.l}%, ${c.a})`;
+                    ctx.beginPath();
+                    ctx.moveTo(v[0].x, v[0].y);
+                    ctx.lineTo(v[1].x, v[1].y);
+                    ctx.lineTo(v[2].x, v[2].y);
+                    ctx.closePath();
+                    ctx.stroke();
+                }
+            } else if(tri.showWireFrame || tri.fillShader) {
+                ctx.strokeStyle = tri.wireFrameColor ? tri.wireFrameColor : `hsla(${c.h}, ${c.s}%, ${c.l}%, ${c.a})`;
+                // colors blended across the triangle are drawn as a gradient
+                ctx.fillStyle = tri.vertexColors ? VERTEX_GRADIENT(ctx, v, tri.vertexColors)
+                    : `hsla(${c.h}, ${c.s}%, ${c.l}%, ${c.a})`;
+                ctx.beginPath();
+                ctx.moveTo(v[0].x, v[0].y);
+                ctx.lineTo(v[1].x, v[1].y);
+                ctx.lineTo(v[2].x, v[2].y);
+                ctx.closePath();
+                if(tri.fillShader) ctx.fill();
+                ctx.stroke();
+            };
+
+
+         });    // END TO RASTER
+
+    }
+
+    /**
+     * Rasterise the triangles into the colour and depth buffer then blit the
+     * colour buffer on the canvas once
+     * @private
+     * @param {Array.<Object>} triangles - the projected triangles
+     */
+    renderBuffer(triangles) {
+
+        // the canvas may have been resized directly
+        const raster = this.rasterizer;
+        if(raster.width !== this.width || raster.height !== this.height) {
+            raster.resize(this.width, this.height);
+            this.bufferElement.width = raster.width;
+            this.bufferElement.height = raster.height;
+        }
+        // the canvas is cleared by the clear color, not the buffer
+        raster.clear();
+
+        this.rasterize(triangles);
+
+        this.bufferCtx.putImageData(raster.colorBuffer, 0, 0);
+        this.ctx.drawImage(this.bufferElement, 0, 0);
+
+    }
+
+};
+
+
+/**
+ * @augments Renderer
+ * A renderer writing the triangles of a frame as an svg document. Triangles are
+ * drawn farthest first as polygons keeping their fill, wireframe, vertex dots and
+ * alpha. Textures, per vertex lighting and vertex colors can't be expressed by a polygon
+ * so the triangles are filled with their lit color
+ */
+class SVGRenderer extends Renderer {
+
+    /**
+     * @constructor
+     * @param {number} w - width of the document
+     * @param {number} h - height of the document
+     */
+    constructor(w, h) {
+        super();
+        this.width = w;
+        this.height = h;
+        this.svg = "";
+    }
+
+    resize(w, h) {
+        this.width = w;
+        this.height = h;
+    }
+
+    /**
+     * Write the triangles of a frame, the document is kept in `svg`
+     * @param {Array.<Object>} triangles - the projected triangles
+     * @returns {string} the svg document
+     */
+    render(triangles) {
+        // coordinates are rounded so documents of the same scene can be compared
+        const number = n => String(Math.round(n * 100) / 100);
+        const escape = value => String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+        const paint = color => typeof color === "string" ? `"${escape(color)}"`
+            : `"hsl(${number(color.h)}, ${number(color.s)}%, ${number(color.l)}%)"`;
+        const alpha = color => typeof color === "string" || color.a === undefined || color.a >= 1 ? 1 : color.a;
+
+        const lines = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${number(this.width)}" height="${number(this.height)}"`
+                + ` viewBox="0 0 ${number(this.width)} ${number(this.height)}">`
+        ];
+        if(this.clearColor)
+            lines.push(`  <rect width="100%" height="100%" fill=${paint(this.clearColor)}/>`);
+
+        triangles.slice().sort((a, b) => b.zAverage - a.zAverage).forEach(tri => {
+            const v = tri.vertices;
+            const c = tri.color;
+            if(tri.fillShader || tri.showWireFrame) {
+                let attributes = `points="${v.map(p => `${number(p.x)},${number(p.y)}`).join(" ")}"`;
+                attributes += tri.fillShader ? ` fill=${paint(c)}` : ` fill="none"`;
+                if(tri.fillShader && alpha(c) < 1)
+                    attributes += ` fill-opacity="${number(alpha(c))}"`;
+                // filled triangles are outlined in their own color to hide the seams between them
+                const stroke = tri.showWireFrame ? tri.wireFrameColor || c : tri.fillShader && c;
+                if(stroke) {
+                    attributes += ` stroke=${paint(stroke)} stroke-linejoin="round"`;
+                    if(alpha(stroke) < 1)
+                        attributes += ` stroke-opacity="${number(alpha(stroke))}"`;
+                }
+                lines.push(`  <polygon ${attributes}/>`);
+            }
+            if(tri.showVertex) {
+                v.forEach(p => {
+                    let attributes = `cx="${number(p.x)}" cy="${number(p.y)}" r="2" fill=${paint(c)}`;
+                    if(alpha(c) < 1)
+                        attributes += ` fill-opacity="${number(alpha(c))}"`;
+                    lines.push(`  <circle ${attributes}/>`);
+                });
+            }
+        });
+
+        lines.push("</svg>");
+        this.svg = lines.join("\n") + "\n";
+        return this.svg;
+    }
+
+};
+
+
+
+
+
+/**
+ * The direction of a directional light as it is moved into view space
+ */
+const LIGHT_DIRECTION = new Vector3(0, 0, 0, 0);
+
+
+/**
+ * @abstract
+ * @class
+ * Base class for lights. A light returns how much it brightens a point on a
+ * surface, the lightness of the surface color is multiplied by the sum of every
+ * light in the scene
+ */
+class Light {
+
+    /**
+     * Create a light from it's json representation
+     * @static
+     * @param {Object} json - the light as returned by toJSON
+     * @returns {Light} the light
+     * @throws {TypeError} when the type of light is unknown
+     */
+    static fromJSON(json) {
+        switch(json.type) {
+            case "AmbientLight":
+                return new AmbientLight(json.intensity);
+            case "DirectionalLight":
+                return new DirectionalLight(new Vector3(...json.direction), json.intensity);
+            case "PointLight":
+                return new PointLight(new Vector3(...json.position), json.intensity, json.range, json.decay);
+            default:
+                throw TypeError(`Unknown light type "${json.type}"`);
+        }
+    }
+
+    /**
+     * @hideconstructor
+     * @constructor
+     * @param {number} intensity - strength of the light, 1 leaves a color unchanged
+     */
+    constructor(intensity = 1) {
+        if(this.constructor === Light)
+            throw new Error("Abstract Class `Light` cannot be Instantiated");
+        this.intensity = intensity;
+    }
+
+    /**
+     * Move the light into the view space of the processed triangles.
+     * This is called once per frame by the scene before any mesh is processed
+     * @param {Float32Array} mView - view matrix of the scene camera
+     */
+    update(mView) {}
+
+    /**
+     * @param {Vector3} point - a point on the surface
+     * @param {Vector3} normal - unit normal of the surface facing the viewer
+     * @returns {number} how much the light brightens the surface
+     */
+    illuminate(point, normal) {
+        return 0;
+    }
+
+    /**
+     * The type and settings of the light for JSON.stringify
+     * @returns {Object}
+     */
+    toJSON() {
+        return { type: "Light", intensity: this.intensity };
+    }
+
+};
+
+
+/**
+ * @augments Light
+ * A light that brightens every surface equally regardless of it's direction
+ */
+class AmbientLight extends Light {
+
+    /**
+     * @constructor
+     * @param {number} intensity - strength of the light
+     */
+    constructor(intensity = 0.3) {
+        super(intensity);
+    }
+
+    illuminate(point, normal) {
+        return this.intensity;
+    }
+
+    toJSON() {
+        return Object.assign(super.toJSON(), { type: "AmbientLight" });
+    }
+
+};
+
+
+/**
+ * @augments Light
+ * A light infinitely far away, every ray travels in the same direction
+ */
+class DirectionalLight extends Light {
+
+    /**
+     * @constructor
+     * @param {Vector3} direction - direction the light travels
+     * @param {number} intensity - strength of the light
+     */
+    constructor(direction = new Vector3(0, 0, 1), intensity = 1) {
+        super(intensity);
+        this.direction = direction;
+        this.viewDirection = new Vector3();
+    }
+
+    update(mView) {
+        const d = LIGHT_DIRECTION;
+        d.x = this.direction.x;
+        d.y = this.direction.y;
+        d.z = this.direction.z;
+        Mat4x4.multiplyVector(mView, d, this.viewDirection);
+        this.viewDirection.normalise();
+    }
+
+    illuminate(point, normal) {
+        return Math.max(0, -normal.dot(this.viewDirection)) * this.intensity;
+    }
+
+    toJSON() {
+        const d = this.direction;
+        return Object.assign(super.toJSON(), { type: "DirectionalLight", direction: [d.x, d.y, d.z] });
+    }
+
+};
+
+
+/**
+ * @augments Light
+ * A light that shines in every direction from a point and fades with distance
+ */
+class PointLight extends Light {
+
+    /**
+     * @constructor
+     * @param {Vector3} position - position of the light
+     * @param {number} intensity - strength of the light
+     * @param {number} range - distance at which the light fades out completely, 0 never fades
+     * @param {number} decay - how quickly the light fades within it's range
+     */
+    constructor(position = new Vector3(), intensity = 1, range = 0, decay = 1) {
+        super(intensity);
+        this.position = position;
+        this.range = range;
+        this.decay = decay;
+        this.viewPosition = new Vector3();
+    }
+
+    /**
+     * Set light position
+     * @param {number} x - position on the x-axis
+     * @param {number} y - position on the y-axis
+     * @param {number} z - position on the z-axis
+     */
+    setPosition(x = 0, y = 0, z = 0) {
+        this.position.x = x;
+        this.position.y = y;
+        this.position.z = z;
+    }
+
+    update(mView) {
+        Mat4x4.multiplyVector(mView, this.position, this.viewPosition);
+    }
+
+    illuminate(point, normal) {
+        const p = this.viewPosition;
+        const x = p.x - point.x, y = p.y - point.y, z = p.z - point.z;
+        const distance = Math.hypot(x, y, z);
+        const falloff = this.range > 0 ? Math.pow(Math.max(0, 1 - distance / this.range), this.decay) : 1;
+        // the dot product with the unit vector to the light
+        const d = distance || 1;
+        const facing = normal.x * (x / d) + normal.y * (y / d) + normal.z * (z / d);
+        return Math.max(0, facing) * falloff * this.intensity;
+    }
+
+    toJSON() {
+        const p = this.position;
+        return Object.assign(super.toJSON(), {
+            type: "PointLight",
+            position: [p.x, p.y, p.z],
+            range: this.range,
+            decay: this.decay
+        });
+    }
+
+};
+
+
+
+
+
+
+/**
+ * An orthographic camera. The camera is centered on it's position, the
+ * scene is rotated about that position and zooming scales the visible area
+ * around it. Larger z values are further away from the viewer.
+ * @class
+ */
+class Camera {
+
+    /**
+     * Create a camera from it's json representation
+     * @static
+     * @see Camera#toJSON
+     * @param {Object} json - the camera as returned by toJSON
+     * @returns {Camera} the camera
+     */
+    static fromJSON(json) {
+        const camera = new Camera(json.width, json.height, json.near, json.far);
+        camera.zoom = json.zoom;
+        camera.position.set(...json.position);
+        camera.setRotation(...json.rotation, json.rotationOrder);
+        // the projection may have been replaced by one with other boundaries
+        camera.projectionMatrix.set(json.projection);
+        return camera;
+    }
+
+    /**
+     * constructs a camera centered on the view of the given size
+     * @constructor
+     * @param {number} w - width of the view
+     * @param {number} h - height of the view
+     * @param {number} near - nearest visible depth relative to the camera
+     * @param {number} far - farthest visible depth relative to the camera
+     */
+    constructor(w, h, near = -1000, far = 1000) {
+        this.width = w;
+        this.height = h;
+        this.near = near;
+        this.far = far;
+        this.zoom = 1;
+
+        this.position = new Vector3(w * 0.5, h * 0.5, 0);
+        this.rotation = new Vector3();
+        this.rotationOrder = "XYZ";
+        this.targetRotation = null;
+        this.rotationSmoothing = 0;
+        this.target = null;
+        this.offset = new Vector3();
+        this.smoothing = 0;
+
+        this.viewMatrix = Mat4x4.identity();
+        this.projectionMatrix = Mat4x4.create();
+
+        this.updateViewMatrix();
+        this.updateProjectionMatrix();
+    }
+
+    /**
+     * Set camera position, the world point at the center of the view
+     * @param {number} x - position on the x-axis
+     * @param {number} y - position on the y-axis
+     * @param {number} z - position on the z-axis
+     */
+    setPosition(x = 0, y = 0, z = 0) {
+        this.position.x = x;
+        this.position.y = y;
+        this.position.z = z;
+        this.updateViewMatrix();
+    }
+
+    /**
+     * Rotates the camera about it's position. This stops any rotation started by
+     * { @link Camera#rotateTo }
+     * @param {number} x - rotation on the x-axis
+     * @param {number} y - rotation on the y-axis
+     * @param {number} z - rotation on the z-axis
+     * @param {string} order - order the rotations are multiplied in
+     * @see Mat4x4#eulerRotation
+     */
+    setRotation(x = 0, y = 0, z = 0, order = this.rotationOrder) {
+        this.rotation.x = x;
+        this.rotation.y = y;
+        this.rotation.z = z;
+        this.rotationOrder = order;
+        this.targetRotation = null;
+        this.updateViewMatrix();
+    }
+
+    /**
+     * Turn smoothly towards a rotation on every update, such as turning an
+     * isometric view by a quarter turn
+     * @param {number} x - rotation on the x-axis
+     * @param {number} y - rotation on the y-axis
+     * @param {number} z - rotation on the z-axis
+     * @param {number} smoothing - 0 snaps to the rotation, values closer to 1 turn more slowly
+     */
+    rotateTo(x = 0, y = 0, z = 0, smoothing = 0.9) {
+        this.targetRotation = Quaternion.fromEuler(x, y, z, this.rotationOrder);
+        this.rotationSmoothing = Math.min(Math.max(smoothing, 0), 0.999);
+    }
+
+    /**
+     * Set the zoom level, values above 1 magnifies the view
+     * @param {number} zoom - the zoom level
+     */
+    setZoom(zoom = 1) {
+        if(zoom <= 0)
+            throw RangeError("Camera zoom must be greater than zero");
+        this.zoom = zoom;
+        this.updateProjectionMatrix();
+    }
+
+    /**
+     * Change the size of the view
+     * @param {number} w - width of the view
+     * @param {number} h - height of the view
+     */
+    resize(w, h) {
+        this.width = w;
+        this.height = h;
+        this.updateProjectionMatrix();
+    }
+
+    /**
+     * Keep a node or point at the center of the view
+     * @param {Node | Vector3} target - node or point to follow, null stops following
+     * @param {number} smoothing - 0 snaps to the target, values closer to 1 follow more slowly
+     * @param {Vector3} offset - distance kept from the target
+     */
+    follow(target, smoothing = 0.9, offset = new Vector3()) {
+        this.target = target;
+        this.smoothing = Math.min(Math.max(smoothing, 0), 0.999);
+        this.offset = offset;
+    }
+
+    /**
+     * Move towards the followed target, turn towards the target rotation and
+     * rebuild the view matrix. This is called by the scene before every render
+     * @param {number} dt - seconds since the last update
+     */
+    update(dt = 1 / 60) {
+        if(this.target) {
+            const goal = (this.target.worldPosition || this.target.position || this.target).add(this.offset);
+            const t = this.smoothing ? 1 - Math.pow(this.smoothing, dt * 60) : 1;
+            for(let i of this.position.components)
+                this.position[i] += (goal[i] - this.position[i]) * t;
+        }
+        if(this.targetRotation) {
+            const r = this.rotation;
+            const current = Quaternion.fromEuler(r.x, r.y, r.z, this.rotationOrder);
+            const t = this.rotationSmoothing ? 1 - Math.pow(this.rotationSmoothing, dt * 60) : 1;
+            let q = Quaternion.slerp(current, this.targetRotation, t);
+            // stop once the remaining turn can't be seen
+            if(Math.abs(q.dot(this.targetRotation)) > 1 - 1e-9) {
+                q = this.targetRotation;
+                this.targetRotation = null;
+            }
+            const euler = q.toEuler(this.rotationOrder);
+            r.x = euler.x;
+            r.y = euler.y;
+            r.z = euler.z;
+        }
+        this.updateViewMatrix();
+    }
+
+    /**
+     * Rebuild the matrix that moves a world point into view space
+     */
+    updateViewMatrix() {
+        const r = this.rotation;
+        const p = this.position;
+        let m = Mat4x4.eulerRotation(r.x, r.y, r.z, this.rotationOrder, this.viewMatrix);
+        // rotate the translation to the position so the scene turns about it
+        m[3] = -(m[0] * p.x + m[1] * p.y + m[2] * p.z);
+        m[7] = -(m[4] * p.x + m[5] * p.y + m[6] * p.z);
+        m[11] = -(m[8] * p.x + m[9] * p.y + m[10] * p.z);
+    }
+
+    /**
+     * Rebuild the projection matrix from the size of the view and the zoom level
+     */
+    updateProjectionMatrix() {
+        const w = this.width * 0.5 / this.zoom;
+        const h = this.height * 0.5 / this.zoom;
+        this.setOrthographic(-w, w, h, -h, this.near, this.far);
+    }
+
+    /**
+     * Creates an orthographic projection matrix.
+     * as described on { @link https://en.wikipedia.org/wiki/Orthographic_projection }
+     * Depth increases away from the viewer so near maps to -1 and far maps to 1
+     * @param {number} left - leftmost boundary
+     * @param {number} right - rightmost boundary
+     * @param {number} bottom - bottom boundary
+     * @param {number} top - top boundary
+     * @param {number} near - near plane
+     * @param {number} far - farthest distance
+     */
+    setOrthographic(left, right, bottom, top, near, far) {
+        this.projectionMatrix[0] = 2 / (right - left);
+        this.projectionMatrix[3] = -(right + left) / (right - left);
+        this.projectionMatrix[5] = 2 / (top - bottom);
+        this.projectionMatrix[7] = -(top + bottom) / (top - bottom);
+        this.projectionMatrix[10] = 2 / (far - near);
+        this.projectionMatrix[11] = -(far + near) / (far - near);
+        this.projectionMatrix[15] = 1;
+    }
+
+    /**
+     * The view and projection of the camera for JSON.stringify. A followed target is not included
+     * @returns {Object}
+     */
+    toJSON() {
+        const { position: p, rotation: r } = this;
+        return {
+            width: this.width,
+            height: this.height,
+            near: this.near,
+            far: this.far,
+            zoom: this.zoom,
+            position: [p.x, p.y, p.z],
+            rotation: [r.x, r.y, r.z],
+            rotationOrder: this.rotationOrder,
+            projection: Array.from(this.projectionMatrix)
+        };
+    }
+
+    /**
+     * Convert a world point to a point on the screen
+     * @param {Vector3} point - the world point
+     * @returns {Vector3} x and y in pixels with the view space depth as z
+     */
+    worldToScreen(point) {
+        let view = Mat4x4.multiplyVector(this.viewMatrix, new Vector3(point.x, point.y, point.z));
+        let projected = Mat4x4.multiplyVector(this.projectionMatrix, view);
+        return new Vector3(
+            (projected.x + 1) * this.width * 0.5,
+            (projected.y + 1) * this.height * 0.5,
+            view.z);
+    }
+
+    /**
+     * Convert a point on the screen to a world point
+     * @param {number} x - position on the screen in pixels
+     * @param {number} y - position on the screen in pixels
+     * @param {number} depth - view space depth of the point, 0 is the depth of the camera
+     * @returns {Vector3} the world point
+     */
+    screenToWorld(x, y, depth = 0) {
+        const m = this.projectionMatrix;
+        let view = new Vector3(
+            (x * 2 / this.width - 1 - m[3]) / m[0],
+            (y * 2 / this.height - 1 - m[7]) / m[5],
+            depth);
+        return Mat4x4.multiplyVector(Mat4x4.inverse(this.viewMatrix), view);
+    }
+
+};
+
+/**
+ * Actions of a camera controller and the inputs bound to them when the input
+ * manager has no binding for them yet
+ */
+const CAMERA_ACTIONS = {
+    pan: ["Mouse0", "Mouse2", "Touch"],
+    zoomIn: ["Equal", "NumpadAdd"],
+    zoomOut: ["Minus", "NumpadSubtract"],
+    rotateLeft: ["KeyQ"],
+    rotateRight: ["KeyE"]
+};
+
+
+/**
+ * Moves the camera of a scene with the pointer and keyboard. Dragging pans the view,
+ * the wheel and a pinch zoom about the pointer, the zoom keys about the center of the
+ * view and the rotate keys turn
+ * the view by quarter turns about the center of the view, which is how isometric maps
+ * are turned. The controller is updated by the scene when added to it's controllers
+ * @class
+ * @see Input
+ * @example
+ * scene.input = new Input(scene.element);
+ * scene.controllers.push(new CameraController(scene));
+ */
+class CameraController {
+
+    /**
+     * @constructor
+     * @param {Scene} scene - the scene whose camera is moved
+     * @param {Input} input - the input read, the input of the scene by default
+     * @param {Object} options - `minZoom` and `maxZoom`, `zoomStep` the zoom factor of one
+     * wheel notch or key press and `rotationSmoothing` of the quarter turns
+     */
+    constructor(scene, input = scene.input, { minZoom = 0.25, maxZoom = 8, zoomStep = 1.2, rotationSmoothing = 0.8 } = {}) {
+        if(!input)
+            throw TypeError("A camera controller needs an instance of `Input`, set the input of the scene first");
+        this.scene = scene;
+        this.input = input;
+        this.minZoom = minZoom;
+        this.maxZoom = maxZoom;
+        this.zoomStep = zoomStep;
+        this.rotationSmoothing = rotationSmoothing;
+
+        this.enabled = true;
+        this.enablePan = true;
+        this.enableZoom = true;
+        this.enableRotate = true;
+
+        // the rotation being turned to, the camera may still be turning
+        this.angle = null;
+
+        for(const action in CAMERA_ACTIONS) {
+            if(!input.bindings[action])
+                input.bind(action, ...CAMERA_ACTIONS[action]);
+        }
+    }
+
+    get camera() {
+        return this.scene.camera;
+    }
+
+    /**
+     * Move the view so the world point under a screen point moves to another screen point
+     * @param {number} fromX - screen x before the move in pixels
+     * @param {number} fromY - screen y before the move in pixels
+     * @param {number} toX - screen x after the move in pixels
+     * @param {number} toY - screen y after the move in pixels
+     */
+    pan(fromX, fromY, toX, toY) {
+        const camera = this.camera;
+        const offset = camera.screenToWorld(fromX, fromY).sub(camera.screenToWorld(toX, toY));
+        const p = camera.position;
+        // dragging the view stops it from following a target
+        camera.target = null;
+        camera.setPosition(p.x + offset.x, p.y + offset.y, p.z + offset.z);
+    }
+
+    /**
+     * Scale the zoom level keeping the world point under a screen point in place
+     * @param {number} factor - above 1 magnifies the view
+     * @param {number} x - screen x in pixels, the center of the view by default
+     * @param {number} y - screen y in pixels, the center of the view by default
+     */
+    zoom(factor, x = this.camera.width * 0.5, y = this.camera.height * 0.5) {
+        const camera = this.camera;
+        const zoom = Math.min(Math.max(camera.zoom * factor, this.minZoom), this.maxZoom);
+        if(zoom === camera.zoom)
+            return;
+        const before = camera.screenToWorld(x, y);
+        camera.setZoom(zoom);
+        const after = camera.screenToWorld(x, y);
+        const p = camera.position;
+        camera.setPosition(p.x + before.x - after.x, p.y + before.y - after.y, p.z + before.z - after.z);
+    }
+
+    /**
+     * Turn the view about the z-axis by quarter turns from the rotation it's turning to
+     * @param {number} turns - number of quarter turns, positive turns the view clockwise
+     */
+    rotate(turns) {
+        const camera = this.camera;
+        // a turn started while the camera is still turning continues from where it's going
+        if(this.angle === null || !camera.targetRotation)
+            this.angle = camera.rotation.z;
+        // the view turns the opposite way to the camera
+        this.angle -= turns * Math.PI * 0.5;
+        camera.rotateTo(camera.rotation.x, camera.rotation.y, this.angle, this.rotationSmoothing);
+    }
+
+    /**
+     * Read the input and move the camera. Called by the scene on every step before
+     * the camera is updated
+     * @param {number} dt - seconds since the last step
+     */
+    update(dt) {
+        const input = this.input;
+        if(!this.enabled)
+            return;
+        const pointer = input.pointer;
+        if(this.enablePan && input.held("pan") && !input.pressed("pan") && (pointer.dx || pointer.dy))
+            this.pan(pointer.x - pointer.dx, pointer.y - pointer.dy, pointer.x, pointer.y);
+        if(this.enableZoom) {
+            let factor = Math.pow(this.zoomStep, -input.wheel) * input.pinch;
+            if(input.pressed("zoomIn"))
+                factor *= this.zoomStep;
+            if(input.pressed("zoomOut"))
+                factor /= this.zoomStep;
+            if(factor !== 1) {
+                // keys zoom about the center, the wheel and pinches about the pointer
+                if(input.wheel || input.pinch !== 1)
+                    this.zoom(factor, pointer.x, pointer.y);
+                else
+                    this.zoom(factor);
+            }
+        }
+        if(this.enableRotate) {
+            const turns = input.pressed("rotateRight") - input.pressed("rotateLeft");
+            if(turns)
+                this.rotate(turns);
+        }
+    }
+
+};
+
+
+
+
+
+
+
+/**
+ * Base class of everything placed in a scene. A node has a position, rotation
+ * and scale relative to it's parent and may have children that move with it.
+ * @class
+ */
+class Node {
+
+    /**
+     * Read the name and transform of a node from it's json representation. The
+     * children are created by the scene
+     * @static
+     * @see Node#toJSON
+     * @see Scene.fromJSON
+     * @param {Object} json - the node as returned by toJSON
+     * @param {Node} node - the node the json is read into
+     * @returns {Node} the node
+     */
+    static fromJSON(json, node = new Node()) {
+        node.name = json.name || "";
+        node.setPosition(...json.position);
+        node.setRotation(...json.rotation, json.rotationOrder);
+        node.setScale(...json.scale);
+        return node;
+    }
+
+    /**
+     * @constructor
+     */
+    constructor() {
+        this.name = "";
+        this.parent = null;
+        this.children = [];
+        this.position = new Vector3();
+        this.rotation = new Vector3();
+        this.rotationOrder = "XYZ";
+        this.scale = new Vector3(1, 1, 1);
+        this.animations = [];
+
+        // the matrices are only rebuilt when the transform of a node or it's parent changes
+        this.dirty = true;
+        this.transformState = new Float64Array(9);
+        this.transformOrder = null;
+        this.cachedLocalMatrix = Mat4x4.identity();
+        this.cachedWorldMatrix = Mat4x4.identity();
+        this.localVersion = 0;
+        this.matrixVersion = 0;
+        this.parentMatrixVersion = -1;
+        this.worldLocalVersion = -1;
+    }
+
+    /**
+     * Set node position
+     * @param {number} x - position on the x-axis
+     * @param {number} y - position on the y-axis
+     * @param {number} z - position on the z-axis
+     */
+    setPosition(x = 0, y = 0, z = 0) {
+        this.position.x = x;
+        this.position.y = y;
+        this.position.z = z;
+        this.dirty = true;
+    }
+
+    /**
+     * Set node rotation
+     * @param {number} x - rotation on the x-axis
+     * @param {number} y - rotation on the y-axis
+     * @param {number} z - rotation on the z-axis
+     * @param {string} order - order the rotations are multiplied in
+     * @see Mat4x4#eulerRotation
+     */
+    setRotation(x = 0, y = 0, z = 0, order = this.rotationOrder) {
+        this.rotation.x = x;
+        this.rotation.y = y;
+        this.rotation.z = z;
+        this.rotationOrder = order;
+        this.dirty = true;
+    }
+
+    /**
+     * The rotation of the node as a quaternion
+     * @returns {Quaternion}
+     */
+    get quaternion() {
+        const r = this.rotation;
+        return Quaternion.fromEuler(r.x, r.y, r.z, this.rotationOrder);
+    }
+
+    /**
+     * Set node rotation from a quaternion
+     * @param {Quaternion} q - the rotation
+     */
+    setQuaternion(q) {
+        const r = q.toEuler(this.rotationOrder);
+        this.setRotation(r.x, r.y, r.z);
+    }
+
+    /**
+     * Set node scale
+     * @param {number} x - scale on the x-axis
+     * @param {number} y - scale on the y-axis
+     * @param {number} z - scale on the z-axis
+     */
+    setScale(x = 1, y = 1, z = 1) {
+        this.scale.x = x;
+        this.scale.y = y;
+        this.scale.z = z;
+        this.dirty = true;
+    }
+
+    /**
+     * Add a child node. The child is removed from it's previous parent
+     * @param {Node} child - the node to be added
+     * @returns {Node} the child
+     */
+    add(child) {
+        if(!(child instanceof Node))
+            throw TypeError("You can only Add an instance of a `Node` object as a child");
+        for(let node = this; node; node = node.parent) {
+            if(node === child)
+                throw Error("A node cannot be added to itself or to one of it's children");
+        }
+        if(child.parent)
+            child.parent.remove(child);
+        child.parent = this;
+        child.parentMatrixVersion = -1;
+        this.children.push(child);
+        return child;
+    }
+
+    /**
+     * Remove a child node
+     * @param {Node} child - the node to be removed
+     * @returns {boolean} false if the node is not a child of this node
+     */
+    remove(child) {
+        const i = this.children.indexOf(child);
+        if(i < 0)
+            return false;
+        this.children.splice(i, 1);
+        child.parent = null;
+        child.parentMatrixVersion = -1;
+        return true;
+    }
+
+    /**
+     * Call a function on this node and every node below it, parents before their children
+     * @param {function(Node)} callback - the function
+     */
+    traverse(callback) {
+        callback(this);
+        this.children.forEach(child => child.traverse(callback));
+    }
+
+    /**
+     * Check if the transform changed since the local matrix was built. The position,
+     * rotation and scale may be written to directly so they are compared as well as
+     * the dirty flag set by the setters
+     * @private
+     * @returns {boolean}
+     */
+    transformChanged() {
+        const state = this.transformState;
+        const { position: p, rotation: r, scale: s } = this;
+        const changed = this.dirty || this.transformOrder !== this.rotationOrder
+            || state[0] !== p.x || state[1] !== p.y || state[2] !== p.z
+            || state[3] !== r.x || state[4] !== r.y || state[5] !== r.z
+            || state[6] !== s.x || state[7] !== s.y || state[8] !== s.z;
+        if(changed) {
+            state[0] = p.x; state[1] = p.y; state[2] = p.z;
+            state[3] = r.x; state[4] = r.y; state[5] = r.z;
+            state[6] = s.x; state[7] = s.y; state[8] = s.z;
+            this.transformOrder = this.rotationOrder;
+            this.dirty = false;
+        }
+        return changed;
+    }
+
+    /**
+     * The matrix moving the node into it's parent space. The node is scaled,
+     * rotated about it's origin and then translated. The matrix is cached and must
+     * not be modified
+     * @returns {Float32Array} the local matrix
+     */
+    get localMatrix() {
+        if(this.transformChanged()) {
+            const { rotation: r, scale: s } = this;
+            let m = Mat4x4.eulerRotation(r.x, r.y, r.z, this.rotationOrder, this.cachedLocalMatrix);
+            // scaling first scales each column of the rotation
+            for(let row = 0; row < 3; row++) {
+                m[row * 4] *= s.x;
+                m[row * 4 + 1] *= s.y;
+                m[row * 4 + 2] *= s.z;
+            }
+            m[3] = this.position.x;
+            m[7] = this.position.y;
+            m[11] = this.position.z;
+            this.localVersion++;
+        }
+        return this.cachedLocalMatrix;
+    }
+
+    /**
+     * The matrix moving the node into world space. The matrix is cached and must
+     * not be modified
+     * @returns {Float32Array} the world matrix
+     */
+    get worldMatrix() {
+        const local = this.localMatrix;
+        const parent = this.parent && this.parent.worldMatrix;
+        const parentVersion = parent ? this.parent.matrixVersion : 0;
+        if(parentVersion !== this.parentMatrixVersion || this.localVersion !== this.worldLocalVersion) {
+            if(parent)
+                Mat4x4.multiplyMatrix(parent, local, this.cachedWorldMatrix);
+            else
+                Mat4x4.copy(local, this.cachedWorldMatrix);
+            this.parentMatrixVersion = parentVersion;
+            this.worldLocalVersion = this.localVersion;
+            this.matrixVersion++;
+        }
+        return this.cachedWorldMatrix;
+    }
+
+    /**
+     * @returns {Vector3} position of the node in world space
+     */
+    get worldPosition() {
+        return this.localToWorld(new Vector3());
+    }
+
+    /**
+     * Convert a point from the space of this node to world space
+     * @param {Vector3} point - the point relative to this node
+     * @returns {Vector3} the world point
+     */
+    localToWorld(point) {
+        return Mat4x4.multiplyVector(this.worldMatrix, new Vector3(point.x, point.y, point.z));
+    }
+
+    /**
+     * Convert a world point to the space of this node
+     * @param {Vector3} point - the world point
+     * @returns {Vector3} the point relative to this node
+     */
+    worldToLocal(point) {
+        const inverse = Mat4x4.inverse(this.worldMatrix);
+        if(!inverse)
+            throw RangeError("A node with a scale of 0 has no local space");
+        return Mat4x4.multiplyVector(inverse, new Vector3(point.x, point.y, point.z));
+    }
+
+    /**
+     * Animate properties of the node with keyframes
+     * @param {Object.<string, Array.<Object>>} keyframes - keyframes of each property
+     * @param {Object} options - the `easing` of every keyframe without one and
+     * the options of the animation
+     * @returns {Animation} the playing animation
+     * @see Track
+     * @see Animation
+     * @example
+     * node.animate({
+     *     position: [{ time: 0, value: [0, 0, 0] }, { time: 1, value: [0, 32, 0], easing: "easeOut" }],
+     *     color: [{ time: 0, value: { h: 0, s: 50, l: 50, a: 1 } }, { time: 1, value: [120, 50, 50, 1] }]
+     * }, { pingPong: true, loop: true });
+     */
+    animate(keyframes, options = {}) {
+        const tracks = Object.keys(keyframes)
+            .map(property => new Track(property, keyframes[property], options.easing));
+        return this.play(new Animation(tracks, options));
+    }
+
+    /**
+     * Play an animation on the node. A finished animation is started again
+     * @param {Animation} animation - the animation
+     * @returns {Animation} the animation
+     */
+    play(animation) {
+        if(!(animation instanceof Animation))
+            throw TypeError("You can only play an instance of `Animation`");
+        if(this.animations.indexOf(animation) < 0)
+            this.animations.push(animation);
+        animation.play();
+        return animation;
+    }
+
+    /**
+     * Advance the animations of the node and call it's update function. Called
+     * by the scene on every step of it's loop, finished animations are removed
+     * @param {number} dt - seconds since the last step
+     */
+    step(dt) {
+        if(this.animations.length) {
+            this.animations.forEach(animation => animation.update(this, dt));
+            this.animations = this.animations.filter(animation => !animation.finished);
+        }
+        if(typeof this.update === "function")
+            this.update(dt);
+    }
+
+    /**
+     * The node and it's children for JSON.stringify. Update functions and
+     * animations are not included
+     * @returns {Object}
+     */
+    toJSON() {
+        const { position: p, rotation: r, scale: s } = this;
+        return {
+            type: "Node",
+            name: this.name,
+            position: [p.x, p.y, p.z],
+            rotation: [r.x, r.y, r.z],
+            rotationOrder: this.rotationOrder,
+            scale: [s.x, s.y, s.z],
+            children: this.children.map(child => child.toJSON())
+        };
+    }
+
+    /**
+     * Called by the scene on every render with the world matrix of the node
+     * @private
+     * @param {Scene} scene - The scene
+     * @param {Float32Array} mWorld - the world matrix
+     */
+    process(scene, mWorld) {}
+
+};
+
+
+/**
+ * A node that only holds other nodes so they can be moved as one
+ * @class
+ * @augments Node
+ */
+class Group extends Node {
+
+    /**
+     * @static
+     * @param {Object} json - the group as returned by toJSON
+     * @returns {Group} the group
+     */
+    static fromJSON(json) {
+        return Node.fromJSON(json, new Group());
+    }
+
+    /**
+     * @constructor
+     * @param {string} name - name of the group
+     */
+    constructor(name = "") {
+        super();
+        this.name = name;
+    }
+
+    toJSON() {
+        return Object.assign(super.toJSON(), { type: "Group" });
+    }
+
+};
+
+
+
+
+
+
+
+
+
+
+
+
+/**
+ * Scale the lightness of a hsla color by the amount of light that reaches it
+ * @param {Color | Object} color - hsla color
+ * @param {number} light - amount of light
+ * @param {Color} out - the color written
+ * @returns {Color} the lit color
+ */
+const SHADE_COLOR = (color, light, out = new Color()) =>
+    out.set(color.h, color.s, Math.min(100, color.l * light), color.a === undefined ? 1 : color.a);
+
+/**
+ * The planes of the view volume in clip space. A vertex is inside a plane
+ * when w - sign * vertex[axis] is not negative
+ */
+const CLIP_PLANES = [["x", 1], ["x", -1], ["y", 1], ["y", -1], ["z", 1], ["z", -1]];
+
+/**
+ * Create a vertex to be clipped
+ * @returns {Object} the vertex with it's clip space position, depth, texture coordinate,
+ * light and color
+ */
+const CLIP_VERTEX = () => ({ clip: new Vector3(), depth: 0, uv: new Vector2(), light: 0, color: new Color() });
+
+/**
+ * The vertices of the triangle being clipped, the vertices made where it's clipped by a
+ * plane and the polygon left after each plane. They are reused by every triangle so
+ * drawing doesn't allocate
+ */
+const CLIP_TRIANGLE = [CLIP_VERTEX(), CLIP_VERTEX(), CLIP_VERTEX()];
+const CLIP_VERTICES = [];
+const CLIP_POLYGONS = [[], []];
+
+/**
+ * Write a vertex between two clipping vertices
+ * @param {Object} a - the first vertex
+ * @param {Object} b - the second vertex
+ * @param {number} t - distance from a to b
+ * @param {Object} out - the vertex written
+ * @param {boolean} colored - whether the colors of the vertices are blended
+ * @returns {Object} the interpolated vertex
+ */
+const LERP_CLIP_VERTEX = (a, b, t, out, colored) => {
+    const p = out.clip;
+    p.x = a.clip.x + (b.clip.x - a.clip.x) * t;
+    p.y = a.clip.y + (b.clip.y - a.clip.y) * t;
+    p.z = a.clip.z + (b.clip.z - a.clip.z) * t;
+    p.w = a.clip.w + (b.clip.w - a.clip.w) * t;
+    out.depth = a.depth + (b.depth - a.depth) * t;
+    out.uv.x = a.uv.x + (b.uv.x - a.uv.x) * t;
+    out.uv.y = a.uv.y + (b.uv.y - a.uv.y) * t;
+    out.light = a.light + (b.light - a.light) * t;
+    if(colored)
+        a.color.lerp(b.color, t, out.color);
+    return out;
+};
+
+/**
+ * @param {Object} vertex - a vertex to be clipped
+ * @returns {boolean} true when the vertex is inside every plane of the view volume
+ */
+const CLIP_INSIDE = ({ clip: { x, y, z, w } }) => w - x >= 0 && w + x >= 0 && w - y >= 0
+    && w + y >= 0 && w - z >= 0 && w + z >= 0;
+
+/**
+ * Clip a polygon against the view volume using the Sutherland–Hodgman algorithm. The
+ * returned polygon and the vertices made by clipping are reused by the next call
+ * @param {Array.<Object>} input - vertices having their clip space position, depth,
+ * texture coordinate, light and color
+ * @param {boolean} colored - whether the colors of the vertices are blended
+ * @returns {Array.<Object>} the clipped polygon, empty if it is outside the view volume
+ */
+const CLIP_POLYGON = (input, colored) => {
+    let polygon = input;
+    let made = 0;
+    for(let plane = 0; plane < CLIP_PLANES.length && polygon.length; plane++) {
+        const [axis, sign] = CLIP_PLANES[plane];
+        const previousPolygon = polygon;
+        polygon = CLIP_POLYGONS[plane % 2];
+        polygon.length = 0;
+        for(let i = 0; i < previousPolygon.length; i++) {
+            const current = previousPolygon[i];
+            const previous = previousPolygon[(i + previousPolygon.length - 1) % previousPolygon.length];
+            const dc = current.clip.w - sign * current.clip[axis];
+            const dp = previous.clip.w - sign * previous.clip[axis];
+            if((dc >= 0) !== (dp >= 0)) {
+                if(made === CLIP_VERTICES.length)
+                    CLIP_VERTICES.push(CLIP_VERTEX());
+                polygon.push(LERP_CLIP_VERTEX(previous, current, dp / (dp - dc), CLIP_VERTICES[made++], colored));
+            }
+            if(dc >= 0)
+                polygon.push(current);
+        }
+    }
+    return polygon;
+};
+
+/**
+ * The view space vertices, normal and center of the triangle being drawn, the light and
+ * color of it's vertices and it's color. They are reused by every triangle of every mesh
+ * so drawing doesn't allocate
+ */
+const MESH_VIEW_VERTICES = [new Vector3(), new Vector3(), new Vector3()];
+const MESH_NORMAL = new Vector3();
+const MESH_VERTEX_NORMAL = new Vector3(0, 0, 0, 0);
+const MESH_CENTER = new Vector3();
+const MESH_VERTEX_LIGHTS = [0, 0, 0];
+const MESH_VERTEX_COLORS = [new Color(), new Color(), new Color()];
+const MESH_COLOR = new Color();
+
+/**
+ * 
+ * Class representing a mesh: containing many triangles. This function 
+ * may take an update function, called with the seconds since the last step
+ * @class
+ * @augments Node
+ * 
+*/
+class Mesh extends Node {
+
+    /**
+     * parse waveFront obj or obj like data format
+     * @static
+     * @see WaveFront.parse
+     * @param {string} data - obj file format representing mesh data
+     * @returns {Object}
+     */
+    static parseWaveFront(data) {
+        return WaveFront.parse(data);
+    }
+
+    /**
+     * Fetch an obj file and create a mesh from it. The material libraries
+     * of the file are loaded as well
+     * @static
+     * @param {string} url - location of the obj file
+     * @returns {Promise.<Mesh>} the mesh
+     */
+    static async load(url) {
+        const response = await fetch(url);
+        if(!response.ok)
+            throw Error(`Could not load mesh ${url}: ${response.status}`);
+        const mesh = new Mesh(await response.text());
+        await mesh.loadMaterials(url);
+        return mesh;
+    }
+
+    /**
+     * Create a mesh from it's json representation
+     * @static
+     * @see Mesh#toJSON
+     * @param {Object} json - the mesh as returned by toJSON
+     * @returns {Mesh} the mesh
+     */
+    static fromJSON(json) {
+        const mesh = new Mesh(json.obj);
+        if(json.mtl)
+            mesh.setMaterials(Material.parseLibrary(json.mtl));
+        mesh.showVertex = json.showVertex;
+        mesh.showWireFrame = json.showWireFrame;
+        mesh.fillShader = json.fillShader;
+        mesh.wireFrameColor = json.wireFrameColor === null ? undefined : json.wireFrameColor;
+        mesh.tint = json.tint;
+        mesh.setShading(json.shading);
+        mesh.perspectiveCorrect = json.perspectiveCorrect;
+        return Node.fromJSON(json, mesh);
+    }
+
+    /**
+     * construct a mesh. The constructor expects the data to have 3 constants keyword 
+     * for it's modelling [ v, f, c].
+     * v - vertices
+     * f - faces
+     * c - face color
+     * a valid data could be
+     * `
+     * v 0 0 0
+     * v 0 1 .
+     * v ....
+     * f 1 2 3
+     * f 3 1 2
+     * c 90 50 50` hsl
+     * Any other wavefront obj data is also valid, faces with more than 3 vertices are
+     * triangulated and faces may refer to texture coordinates and normals as `f 1/1/1 2/2/2 3/3/3`.
+     * Faces without a `c` color take the color of the material set by `usemtl`. Vertices
+     * written as `v x y z r g b`, with the components from 0 to 1, color the corners of the
+     * faces and faces whose every corner has a color blend them across the face
+     * @constructor
+     * @param {string} data - obj file format representing mesh data
+     * @throws {SyntaxError} when the data is malformed
+     */
+    constructor(data) {
+
+        super();
+
+        this.data = Mesh.parseWaveFront(data);
+
+        this.vertices = this.data.vertices;
+        this.textureCoords = this.data.textureCoords.map(uv => new Vector2(uv[0], uv[1]));
+        this.normals = this.data.normals.map(n => new Vector3(n[0], n[1], n[2], 0));
+        this.normals.forEach(n => n.normalise());
+        this.faces = this.data.faces.map(f => f.vertices.map(i => i + 1));
+        this.faceUV = this.data.faces.map(f => f.uvs && f.uvs.map(i => i + 1));
+        this.faceNormals = this.data.faces.map(f => f.normals && f.normals.map(i => i + 1));
+        this.faceColor = this.data.faces.map(f => f.color);
+        this.vertexColors = this.data.vertexColors.map(c => c && Color.fromRGB(c[0] * 255, c[1] * 255, c[2] * 255));
+        this.faceMaterial = this.data.faces.map(f => f.material);
+        this.materialLibraries = this.data.materialLibraries;
+        this.materials = {};
+        this.groups = this.data.groups;
+        this.triangles = [];
+
+        this.showVertex = false;
+        this.showWireFrame = true;
+        this.fillShader = true;
+        this.wireFrameColor = undefined;
+        // multiplied with every color of the mesh
+        this.tintColor = null;
+        this.shading = "flat";
+        this.texture = null;
+        this.perspectiveCorrect = false;
+
+        // reused by every draw
+        this.modelViewMatrix = Mat4x4.create();
+        this.normalMatrix = Mat4x4.create();
+        this.clipMatrix = Mat4x4.create();
+
+        this.updateGeometry();
+    }
+
+    /**
+     * Always call this function after every vertices, faces, faceColor and vertexColors has
+     * been updated. Face and vertex colors may be given as anything { @link Color.from } takes
+     */
+    updateGeometry() {
+        // vertex normals are the sum of the normal of every face sharing the vertex
+        let normals = this.vertices.map(() => new Vector3(0, 0, 0, 0));
+        this.faces.forEach((face, i) => {
+            let length = face.length;
+            let v = this.vertices;
+            let c = this.faceColor[i];
+            let corners = this.vertexColors && face.map(j => this.vertexColors[j - 1]);
+            let material = this.materials[this.faceMaterial && this.faceMaterial[i]] || null;
+            let uv = this.faceUV && this.faceUV[i];
+            let triangle = new Triangle([
+                v[face[0] - 1], 
+                v[face[1] - 1],
+                v[face[2] - 1]
+            ], new Color(), [
+                normals[face[0] - 1],
+                normals[face[1] - 1],
+                normals[face[2] - 1]
+            ]);
+            if(uv)
+                triangle.uvs = uv.map(j => this.textureCoords[j - 1] || new Vector2());
+            let faceNormals = this.faceNormals && this.faceNormals[i];
+            let faceNormal = triangle.normal;
+            triangle.normals.forEach(n => {
+                n.x += faceNormal.x;
+                n.y += faceNormal.y;
+                n.z += faceNormal.z;
+            });
+            // normals given by the data replace the computed ones
+            if(faceNormals)
+                triangle.normals = faceNormals.map(j => this.normals[j - 1]);
+            triangle.material = material;
+            // the color of a material is shared so changes to it are seen by every face using it
+            if(!c && material) {
+                triangle.color = material.color;
+            } else if(c) {
+                triangle.color.copy(Color.from(c));
+            }
+            if(corners && corners.every(Boolean))
+                triangle.colors = corners.map(corner => Color.from(corner));
+            this.triangles[i] = triangle;
+        });
+        normals.forEach(n => n.normalise());
+
+        // local bounding volumes, the box is also used to skip meshes outside the view
+        this.boundingBox = AABB.fromPoints(this.vertices);
+        this.boundingSphere = BoundingSphere.fromPoints(this.vertices);
+
+        // the vertices and the vertex of each triangle corner packed for the transform pass of draw
+        this.positions = new Float64Array(this.vertices.length * 3);
+        this.vertices.forEach((v, i) => {
+            this.positions[i * 3] = v[0];
+            this.positions[i * 3 + 1] = v[1];
+            this.positions[i * 3 + 2] = v[2];
+        });
+        this.viewPositions = new Float64Array(this.positions.length);
+        this.indices = new Uint32Array(this.faces.length * 3);
+        this.faces.forEach((face, i) => {
+            this.indices[i * 3] = face[0] - 1;
+            this.indices[i * 3 + 1] = face[1] - 1;
+            this.indices[i * 3 + 2] = face[2] - 1;
+        });
+    }
+
+    /**
+     * Set the materials used by the faces. Materials are matched to faces
+     * by the names given to `usemtl`
+     * @param {Object.<string, Material>} materials - materials mapped by their names
+     */
+    setMaterials(materials) {
+        Object.assign(this.materials, materials);
+        this.updateGeometry();
+    }
+
+    /**
+     * Load every material library named by `mtllib` in the obj data
+     * @param {string} baseUrl - url the library file names are relative to
+     * @returns {Promise.<Object.<string, Material>>} every material of the mesh
+     */
+    async loadMaterials(baseUrl = "") {
+        const base = new URL(baseUrl, typeof location === "object" ? location.href : undefined);
+        const libraries = await Promise.all(this.materialLibraries
+            .map(file => Material.loadLibrary(new URL(file, base).href)));
+        this.setMaterials(Object.assign({}, ...libraries));
+        return this.materials;
+    }
+
+    /**
+     * Color multiplied with every color of the mesh, null when the mesh isn't tinted. It
+     * may be set to anything { @link Color.from } takes and is kept as a { @link Color }
+     * @returns {Color}
+     */
+    get tint() {
+        return this.tintColor;
+    }
+
+    set tint(color) {
+        this.tintColor = color ? (color instanceof Color ? color : Color.from(color)) : null;
+    }
+
+    /**
+     * Set the image mapped on the triangles that have texture coordinates
+     * @param {HTMLImageElement | HTMLCanvasElement | ImageData | Texture} image - the texture,
+     * null removes the texture
+     * @param {boolean} perspectiveCorrect - use perspective correct mapping instead of affine mapping
+     */
+    setTexture(image, perspectiveCorrect = this.perspectiveCorrect) {
+        this.texture = !image || image instanceof Texture ? image : new Texture(image);
+        this.perspectiveCorrect = perspectiveCorrect;
+    }
+
+    /**
+     * Set how lighting is applied on the mesh
+     * @param {string} shading - "flat" lights each face evenly, "gouraud" lights each
+     * vertex and blends the colors across the face
+     */
+    setShading(shading = "flat") {
+        if(shading !== "flat" && shading !== "gouraud")
+            throw TypeError("Shading must either be `flat` or `gouraud`");
+        this.shading = shading;
+    }
+
+    /**
+     * Write the mesh as wavefront obj data. Faces taking their color from a material are
+     * written with `usemtl` and an empty `c` line, the color of every other face is written
+     * with the engine's `c` lines unless every face takes it's color from a material. Vertex colors follow the position
+     * of their vertex
+     * @param {Array.<string>} materialLibraries - mtl files named by `mtllib`
+     * @returns {string} obj file format
+     */
+    toOBJ(materialLibraries = this.materialLibraries) {
+        const lines = [];
+        if(materialLibraries.length)
+            lines.push(`mtllib ${materialLibraries.join(" ")}`);
+        this.vertices.forEach((v, i) => {
+            const color = this.vertexColors && this.vertexColors[i];
+            const rgb = color ? " " + Color.from(color).toRGBA().slice(0, 3).map(n => +(n / 255).toFixed(6)).join(" ") : "";
+            lines.push(`v ${v[0]} ${v[1]} ${v[2]}${rgb}`);
+        });
+        this.textureCoords.forEach(uv => lines.push(`vt ${uv.x} ${uv.y}`));
+        this.normals.forEach(n => lines.push(`vn ${n.x} ${n.y} ${n.z}`));
+
+        const faceGroups = this.faces.map(() => []);
+        for(const name in this.groups)
+            this.groups[name].forEach(i => faceGroups[i] && faceGroups[i].push(name));
+        let group = "default";
+        let material = null;
+        this.faces.forEach((face, i) => {
+            const names = faceGroups[i].join(" ") || "default";
+            if(names !== group)
+                lines.push(`g ${group = names}`);
+            const name = this.faceMaterial[i] || null;
+            if(name !== material)
+                lines.push(`usemtl ${(material = name) || ""}`.trim());
+            const uv = this.faceUV[i];
+            const normal = this.faceNormals[i];
+            lines.push("f " + face.map((v, j) => v
+                + (uv || normal ? "/" + (uv ? uv[j] : "") : "")
+                + (normal ? "/" + normal[j] : "")).join(" "));
+        });
+
+        // colors belong to faces by their order, faces colored by their material keep
+        // their place with an empty `c` line
+        if(this.faces.some((face, i) => this.faceColor[i] || !this.faceMaterial[i])) {
+            this.triangles.forEach(({ color: c }, i) => lines.push(!this.faceColor[i] && this.faceMaterial[i] ? "c"
+                : `c ${c.h} ${c.s} ${c.l}` + (c.a === undefined || c.a === 1 ? "" : ` ${c.a}`)));
+        }
+        return lines.join("\n");
+    }
+
+    /**
+     * Write the materials of the mesh as a wavefront mtl file
+     * @returns {string} mtl file format
+     */
+    toMTL() {
+        return Object.keys(this.materials).map(name => this.materials[name].toMTL()).join("\n\n");
+    }
+
+    /**
+     * The mesh, it's display settings and materials for JSON.stringify. Textures are not
+     * included, a material keeps the name of it's texture file
+     * @returns {Object}
+     */
+    toJSON() {
+        return Object.assign(super.toJSON(), {
+            type: "Mesh",
+            obj: this.toOBJ(),
+            mtl: this.toMTL(),
+            showVertex: this.showVertex,
+            showWireFrame: this.showWireFrame,
+            fillShader: this.fillShader,
+            wireFrameColor: this.wireFrameColor === undefined ? null : this.wireFrameColor,
+            tint: this.tint ? this.tint.toString() : null,
+            shading: this.shading,
+            perspectiveCorrect: this.perspectiveCorrect
+        });
+    }
+
+    /**
+     * Copy the mesh with it's geometry, colors, display settings, tint and transform. The
+     * copy shares the materials and texture of the mesh, so changing a material changes
+     * both. Children are not copied
+     * @returns {Mesh} the copy
+     */
+    clone() {
+        const copyColor = c => c && typeof c === "object" ? (Array.isArray(c) ? c.slice() : Color.from(c)) : c;
+        const mesh = new Mesh("");
+        mesh.name = this.name;
+        mesh.data = this.data;
+        mesh.vertices = this.vertices.map(v => v.slice());
+        mesh.textureCoords = this.textureCoords.map(uv => new Vector2(uv.x, uv.y));
+        mesh.normals = this.normals.map(n => new Vector3(n.x, n.y, n.z, 0));
+        mesh.faces = this.faces.map(face => face.slice());
+        mesh.faceUV = this.faceUV.map(uv => uv && uv.slice());
+        mesh.faceNormals = this.faceNormals.map(normals => normals && normals.slice());
+        mesh.faceColor = this.faceColor.map(copyColor);
+        mesh.vertexColors = this.vertexColors && this.vertexColors.map(copyColor);
+        mesh.faceMaterial = this.faceMaterial.slice();
+        mesh.materialLibraries = this.materialLibraries.slice();
+        mesh.materials = Object.assign({}, this.materials);
+        mesh.groups = this.groups;
+
+        mesh.showVertex = this.showVertex;
+        mesh.showWireFrame = this.showWireFrame;
+        mesh.fillShader = this.fillShader;
+        mesh.wireFrameColor = this.wireFrameColor;
+        mesh.tint = this.tint && this.tint.clone();
+        mesh.shading = this.shading;
+        mesh.texture = this.texture;
+        mesh.perspectiveCorrect = this.perspectiveCorrect;
+
+        mesh.setPosition(this.position.x, this.position.y, this.position.z);
+        mesh.setRotation(this.rotation.x, this.rotation.y, this.rotation.z, this.rotationOrder);
+        mesh.setScale(this.scale.x, this.scale.y, this.scale.z);
+        mesh.updateGeometry();
+        return mesh;
+    }
+
+    /**
+     * check if the bounding box of the mesh touches the view volume
+     * @private
+     * @param {Float32Array} mvp - matrix from model to clip space
+     * @returns {boolean}
+     */
+    inView(mvp) {
+        const { min, max } = this.boundingBox;
+        let loX = Infinity, loY = Infinity, loZ = Infinity;
+        let hiX = -Infinity, hiY = -Infinity, hiZ = -Infinity;
+        for(let i = 0; i < 8; i++) {
+            const x = i & 1 ? max.x : min.x;
+            const y = i & 2 ? max.y : min.y;
+            const z = i & 4 ? max.z : min.z;
+            const w = mvp[12] * x + mvp[13] * y + mvp[14] * z + mvp[15];
+            const px = (mvp[0] * x + mvp[1] * y + mvp[2] * z + mvp[3]) / w;
+            const py = (mvp[4] * x + mvp[5] * y + mvp[6] * z + mvp[7]) / w;
+            const pz = (mvp[8] * x + mvp[9] * y + mvp[10] * z + mvp[11]) / w;
+            loX = Math.min(loX, px); hiX = Math.max(hiX, px);
+            loY = Math.min(loY, py); hiY = Math.max(hiY, py);
+            loZ = Math.min(loZ, pz); hiZ = Math.max(hiZ, pz);
+        }
+        return hiX >= -1 && loX <= 1 && hiY >= -1 && loY <= 1 && hiZ >= -1 && loZ <= 1;
+    }
+
+    /**
+     * The bounding box of the mesh in world space. It follows the position, rotation
+     * and scale of the mesh and of it's parents, a rotated mesh has a larger box
+     * @returns {AABB}
+     */
+    get worldBoundingBox() {
+        return this.boundingBox.transform(this.worldMatrix);
+    }
+
+    /**
+     * The bounding box of the mesh turned with the mesh in world space
+     * @returns {OBB}
+     */
+    get worldOrientedBox() {
+        return OBB.fromAABB(this.boundingBox, this.worldMatrix);
+    }
+
+    /**
+     * The bounding sphere of the mesh in world space
+     * @returns {BoundingSphere}
+     */
+    get worldBoundingSphere() {
+        return this.boundingSphere.transform(this.worldMatrix);
+    }
+
+    /**
+     * Test if the bounding volumes of two meshes overlap
+     * @param {Mesh} other - the other mesh
+     * @param {string} volume - the volume tested, "box", "obb" or "sphere"
+     * @returns {Object} the `normal` pointing from the other mesh to this mesh and the
+     * `depth` they overlap by, or null if they don't overlap
+     * @see AABB#intersects
+     */
+    intersects(other, volume = "box") {
+        if(!(other instanceof Mesh))
+            throw TypeError("A mesh can only be tested against another `Mesh`");
+        switch(volume) {
+            case "box":
+                return this.worldBoundingBox.intersects(other.worldBoundingBox);
+            case "obb":
+                return this.worldOrientedBox.intersects(other.worldOrientedBox);
+            case "sphere":
+                return this.worldBoundingSphere.intersects(other.worldBoundingSphere);
+            default:
+                throw RangeError(`Unknown bounding volume "${volume}"`);
+        }
+    }
+
+    /**
+     * Find the nearest front facing triangle hit by a ray
+     * @param {Vector3} origin - start of the ray in world space
+     * @param {Vector3} direction - unit direction of the ray in world space
+     * @param {Float32Array} mModel - matrix moving the mesh into world space
+     * @param {number} maxDistance - farthest distance along the ray
+     * @returns {Object} the `triangle` index, the `distance` along the ray and the
+     * world space `point` hit, or null if nothing was hit
+     */
+    raycast(origin, direction, mModel = this.worldMatrix, maxDistance = Infinity) {
+        // test the bounding box in world space before any triangle
+        const { min: lo, max: hi } = this.boundingBox.transform(mModel);
+        let near = 0, far = maxDistance;
+        for(let axis of lo.components) {
+            if(direction[axis] === 0) {
+                if(origin[axis] < lo[axis] || origin[axis] > hi[axis])
+                    return null;
+                continue;
+            }
+            let t0 = (lo[axis] - origin[axis]) / direction[axis];
+            let t1 = (hi[axis] - origin[axis]) / direction[axis];
+            near = Math.max(near, Math.min(t0, t1));
+            far = Math.min(far, Math.max(t0, t1));
+            if(near > far)
+                return null;
+        }
+
+        // Möller–Trumbore intersection
+        let hit = null;
+        this.triangles.forEach((tri, index) => {
+            let [v0, v1, v2] = tri.vertices.map(v => Mat4x4.multiplyVector(mModel, v));
+            let e1 = v1.sub(v0);
+            let e2 = v2.sub(v0);
+            // back faces are not drawn so they can't be picked
+            if(direction.dot(e1.cross(e2)) >= 0)
+                return;
+            let p = direction.cross(e2);
+            let det = e1.dot(p);
+            if(Math.abs(det) < 1e-12)
+                return;
+            let s = origin.sub(v0);
+            let u = s.dot(p) / det;
+            if(u < 0 || u > 1)
+                return;
+            let q = s.cross(e1);
+            let v = direction.dot(q) / det;
+            if(v < 0 || u + v > 1)
+                return;
+            let t = e2.dot(q) / det;
+            if(t < 0 || t > maxDistance || (hit && t >= hit.distance))
+                return;
+            hit = { triangle: index, distance: t, point: origin.add(direction.scale(t)) };
+        });
+        return hit;
+    }
+
+    /**
+     * @private
+     * @param {Scene} scene - The scene
+     * @param {Float32Array} mWorld - the world matrix of the mesh
+     */
+    process(scene, mWorld = this.worldMatrix) {
+        this.draw(scene, mWorld);
+    }
+
+    /**
+     * Transform, light, clip and project the triangles into the scene's list of triangles
+     * to be rastered. The same mesh may be drawn many times with different model matrices
+     * @private
+     * @param {Scene} scene - The scene
+     * @param {Float32Array} mModel - matrix moving the mesh into world space
+     */
+    draw(scene, mModel) {
+
+        let mModelView = Mat4x4.multiplyMatrix(scene.camera.viewMatrix, mModel, this.modelViewMatrix);
+        let mNormal = this.shading === "gouraud" && Mat4x4.normalMatrix(mModelView, this.normalMatrix);
+
+        // skip meshes outside the view before any per vertex work
+        if(!this.inView(Mat4x4.multiplyMatrix(scene.projectionMatrix, mModelView, this.clipMatrix)))
+            return;
+
+        const tint = this.tintColor;
+
+        // scale, translate, rotate and move every vertex to view space in a single pass
+        const m = mModelView;
+        const source = this.positions;
+        const view = this.viewPositions;
+        for(let i = 0; i < source.length; i += 3) {
+            const x = source[i], y = source[i + 1], z = source[i + 2];
+            view[i] = m[0] * x + m[1] * y + m[2] * z + m[3];
+            view[i + 1] = m[4] * x + m[5] * y + m[6] * z + m[7];
+            view[i + 2] = m[8] * x + m[9] * y + m[10] * z + m[11];
+        }
+
+        const width = scene.width, height = scene.height;
+
+        this.triangles.forEach((tri, t) => {
+
+            const a = this.indices[t * 3] * 3;
+            const b = this.indices[t * 3 + 1] * 3;
+            const c = this.indices[t * 3 + 2] * 3;
+
+            // get normal
+            const e1x = view[b] - view[a], e1y = view[b + 1] - view[a + 1], e1z = view[b + 2] - view[a + 2];
+            const e2x = view[c] - view[a], e2y = view[c + 1] - view[a + 1], e2z = view[c + 2] - view[a + 2];
+           
+            /**
+             * front face polygon have -z and positive dot
+             * backface polygon have +z and negative dot
+             */
+            if(e1x * e2y - e1y * e2x < 0) {
+
+                const transformed = MESH_VIEW_VERTICES;
+                transformed[0].set(view[a], view[a + 1], view[a + 2]);
+                transformed[1].set(view[b], view[b + 1], view[b + 2]);
+                transformed[2].set(view[c], view[c + 1], view[c + 2]);
+                const cross = MESH_NORMAL.set(e1y * e2z - e1z * e2y, e1z * e2x - e1x * e2z, e1x * e2y - e1y * e2x);
+                cross.normalise();
+
+                const center = transformed[0].add(transformed[1], MESH_CENTER);
+                center.add(transformed[2], center).scale(1 / 3, center);
+                const light = scene.illuminate(center, cross);
+                let vertexLights = null;
+                if(mNormal && tri.normals.length) {
+                    vertexLights = MESH_VERTEX_LIGHTS;
+                    const n = MESH_VERTEX_NORMAL;
+                    for(let i = 0; i < 3; i++) {
+                        n.set(tri.normals[i].x, tri.normals[i].y, tri.normals[i].z);
+                        n.w = 0;
+                        Mat4x4.multiplyVector(mNormal, n, n);
+                        n.normalise();
+                        // normals from the data may follow the opposite winding
+                        if(n.dot(cross) < 0)
+                            n.scale(-1, n);
+                        vertexLights[i] = scene.illuminate(transformed[i], n);
+                    }
+                }
+
+                // colors are tinted before they are lit, a triangle with vertex colors is
+                // drawn in their average where it can't be blended
+                let colors = tri.colors;
+                if(colors && tint) {
+                    colors = MESH_VERTEX_COLORS;
+                    for(let i = 0; i < 3; i++)
+                        tri.colors[i].multiply(tint, colors[i]);
+                }
+                const color = colors ? colors[0].lerp(colors[1], 0.5, MESH_COLOR).lerp(colors[2], 1 / 3, MESH_COLOR)
+                    : tint ? tint.multiply(tri.color, MESH_COLOR) : tri.color;
+
+                const texture = (tri.material && tri.material.texture) || this.texture;
+                const uvs = texture && tri.uvs.length ? tri.uvs : null;
+                const input = CLIP_TRIANGLE;
+                for(let i = 0; i < 3; i++) {
+                    const vertex = input[i];
+                    Mat4x4.multiplyVector(scene.projectionMatrix, transformed[i], vertex.clip);
+                    vertex.depth = transformed[i].z;
+                    if(uvs)
+                        vertex.uv.copy(uvs[i]);
+                    vertex.light = vertexLights ? vertexLights[i] : light;
+                    if(colors)
+                        vertex.color.copy(colors[i]);
+                }
+                // triangles inside the view volume are left as they are
+                const polygon = CLIP_INSIDE(input[0]) && CLIP_INSIDE(input[1]) && CLIP_INSIDE(input[2])
+                    ? input : CLIP_POLYGON(input, !!colors);
+
+                // a clipped triangle is drawn as a fan of triangles
+                for(let i = 1; i < polygon.length - 1; i++) {
+
+                    const raster = scene.rasterTriangle();
+                    const storage = raster.storage;
+                    for(let k = 0; k < 3; k++) {
+                        const p = k ? polygon[i + k - 1] : polygon[0];
+                        // scale to view space and keep the view space depth for the depth buffer
+                        raster.vertices[k].set(
+                            (p.clip.x + 1) * width * 0.5,
+                            (p.clip.y + 1) * height * 0.5,
+                            p.depth);
+                        raster.vertices[k].w = p.clip.w;
+                        storage.lights[k] = p.light;
+                        if(vertexLights || colors)
+                            SHADE_COLOR(colors ? p.color : color, p.light, storage.colors[k]);
+                        if(uvs)
+                            storage.uvs[k].copy(p.uv);
+                    }
+
+                    raster.zAverage = (polygon[0].depth + polygon[i].depth + polygon[i + 1].depth) / 3;
+                    raster.light = light;
+                    raster.vertexLights = vertexLights && storage.lights;
+                    SHADE_COLOR(color, light, raster.color);
+                    raster.vertexColors = (vertexLights || colors) && storage.colors;
+                    raster.uvs = uvs && storage.uvs;
+                    raster.texture = texture;
+                    raster.perspectiveCorrect = this.perspectiveCorrect;
+                    raster.showVertex = this.showVertex;
+                    raster.showWireFrame = this.showWireFrame;
+                    raster.fillShader = this.fillShader;
+                    raster.wireFrameColor = this.wireFrameColor;
+
+                }   // END CLIPPED TRIANGLES
+
+            }   
+
+        });     // END MAIN TRIANGLE LOOP
+
+    }
+
+};
+
+
+
+
+
+
+
+/**
+ * The view space position, clip space position and texture coordinate of each corner of
+ * the frame being drawn, the axes it's laid along and it's center. They are reused by
+ * every sprite so drawing doesn't allocate
+ */
+const SPRITE_CORNERS = [0, 1, 2, 3].map(() => ({ view: new Vector3(), clip: new Vector3(), uv: new Vector2() }));
+const SPRITE_RIGHT = new Vector3(1, 0, 0, 0);
+const SPRITE_UP = new Vector3(0, 1, 0, 0);
+const SPRITE_ORIGIN = new Vector3();
+const SPRITE_CENTER = new Vector3();
+const SPRITE_OFFSET = new Vector3(0, 0, 0, 0);
+
+/**
+ * Sprites face the camera, so they are lit as if they face down the -z axis of view space
+ */
+const SPRITE_NORMAL = new Vector3(0, 0, -1, 0);
+
+/**
+ * The corners of each triangle of a sprite and where each corner is in the frame
+ */
+const SPRITE_TRIANGLES = [[0, 1, 2], [0, 2, 3]];
+const SPRITE_FRAME_CORNERS = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+
+/**
+ * A 2d image in the 3d world that always faces the camera. The image is drawn as two
+ * textured triangles at the depth of the sprite so it is depth tested against, and sorted
+ * with, the triangles of meshes. The image may be a sheet of equally sized frames, counted
+ * row by row from the top left, and clips of frames can be played as animations. One pixel
+ * of a frame is one world unit before the sprite is scaled
+ * @class
+ * @augments Node
+ */
+class Sprite extends Node {
+
+    /**
+     * Create a sprite from it's json representation. The image is loaded from it's
+     * url when there is a DOM
+     * @static
+     * @see Sprite#toJSON
+     * @param {Object} json - the sprite as returned by toJSON
+     * @returns {Sprite} the sprite
+     */
+    static fromJSON(json) {
+        let image = null;
+        if(json.image && typeof Image === "function") {
+            image = new Image();
+            image.src = json.image;
+        }
+        const sprite = new Sprite(image, json.frameWidth, json.frameHeight);
+        sprite.anchor.set(...json.anchor);
+        sprite.frame = json.frame;
+        sprite.upright = json.upright;
+        sprite.flipX = json.flipX;
+        sprite.lit = json.lit;
+        sprite.opacity = json.opacity;
+        for(const name in json.clips) {
+            const clip = json.clips[name];
+            sprite.addClip(name, clip.frames, clip.fps, clip.loop);
+        }
+        return Node.fromJSON(json, sprite);
+    }
+
+    /**
+     * @constructor
+     * @param {HTMLImageElement | HTMLCanvasElement | ImageData | Texture} image - the image or sprite sheet
+     * @param {number} frameWidth - width of a frame in pixels, the width of the image by default
+     * @param {number} frameHeight - height of a frame in pixels, the height of the image by default
+     */
+    constructor(image, frameWidth = 0, frameHeight = 0) {
+        super();
+        this.texture = !image || image instanceof Texture ? image : new Texture(image);
+        this.frameWidth = frameWidth;
+        this.frameHeight = frameHeight;
+        this.frame = 0;
+        // point of the frame placed at the position of the sprite, 0 is the left and the bottom
+        this.anchor = new Vector2(0.5, 0.5);
+        this.upright = false;
+        this.flipX = false;
+        this.lit = false;
+        this.opacity = 1;
+
+        this.clips = {};
+        this.clip = null;
+        this.clipTime = 0;
+        this.onClipComplete = null;
+
+        // reused by every draw
+        this.modelViewMatrix = Mat4x4.create();
+    }
+
+    /**
+     * Number of frames in the sheet
+     * @returns {number}
+     */
+    get frameCount() {
+        if(!this.texture || !this.texture.ready)
+            return 0;
+        const w = this.frameWidth || this.texture.width;
+        const h = this.frameHeight || this.texture.height;
+        return Math.floor(this.texture.width / w) * Math.floor(this.texture.height / h);
+    }
+
+    /**
+     * Set the image of the sprite
+     * @param {HTMLImageElement | HTMLCanvasElement | ImageData | Texture} image - the image
+     * or sprite sheet, null removes the image
+     */
+    setTexture(image) {
+        this.texture = !image || image instanceof Texture ? image : new Texture(image);
+    }
+
+    /**
+     * Set the anchor, the point of the frame placed at the position of the sprite
+     * @param {number} x - from 0 at the left to 1 at the right of the frame
+     * @param {number} y - from 0 at the bottom to 1 at the top of the frame
+     */
+    setAnchor(x = 0.5, y = 0.5) {
+        this.anchor.x = x;
+        this.anchor.y = y;
+    }
+
+    /**
+     * Define a clip of frames that can be played
+     * @param {string} name - name of the clip
+     * @param {Array.<number>} frames - the frames in the order they are shown
+     * @param {number} fps - frames shown per second
+     * @param {boolean} loop - start again after the last frame
+     */
+    addClip(name, frames, fps = 10, loop = true) {
+        if(!Array.isArray(frames) || !frames.length)
+            throw TypeError("A clip needs at least one frame");
+        if(!(fps > 0))
+            throw RangeError("The frames per second of a clip must be greater than zero");
+        this.clips[name] = { frames, fps, loop };
+    }
+
+    /**
+     * Play a clip from it's first frame. Playing the clip that is already playing
+     * does not restart it
+     * @param {string} name - name of the clip
+     * @param {function(Sprite)} onComplete - called when a clip that doesn't loop ends
+     * @throws {RangeError} when there is no clip of that name
+     */
+    playClip(name, onComplete = null) {
+        const clip = this.clips[name];
+        if(!clip)
+            throw RangeError(`The sprite has no clip named "${name}"`);
+        this.onClipComplete = onComplete;
+        if(this.clip === name)
+            return;
+        this.clip = name;
+        this.clipTime = 0;
+        this.frame = clip.frames[0];
+    }
+
+    /**
+     * Stop the playing clip on it's current frame
+     */
+    stopClip() {
+        this.clip = null;
+        this.onClipComplete = null;
+    }
+
+    /**
+     * Advance the playing clip, the animations and call the update function
+     * @param {number} dt - seconds since the last step
+     */
+    step(dt) {
+        const clip = this.clips[this.clip];
+        if(clip) {
+            this.clipTime += dt;
+            let i = Math.floor(this.clipTime * clip.fps);
+            const ended = !clip.loop && i >= clip.frames.length;
+            i = ended ? clip.frames.length - 1 : i % clip.frames.length;
+            this.frame = clip.frames[i];
+            if(ended) {
+                const onComplete = this.onClipComplete;
+                this.stopClip();
+                if(onComplete)
+                    onComplete(this);
+            }
+        }
+        super.step(dt);
+    }
+
+    /**
+     * The sprite for JSON.stringify. Only the url of an image is included
+     * @returns {Object}
+     */
+    toJSON() {
+        const source = this.texture && this.texture.source;
+        return Object.assign(super.toJSON(), {
+            type: "Sprite",
+            image: source && typeof source.src === "string" ? source.src : null,
+            frameWidth: this.frameWidth,
+            frameHeight: this.frameHeight,
+            frame: this.frame,
+            anchor: [this.anchor.x, this.anchor.y],
+            upright: this.upright,
+            flipX: this.flipX,
+            lit: this.lit,
+            opacity: this.opacity,
+            clips: this.clips
+        });
+    }
+
+    /**
+     * Project the frame into the scene's list of triangles to be rastered. The frame is
+     * parallel to the screen, an upright sprite stands along the -z axis like the sides of
+     * tiles and only turns about it so it's depth matches the walls it stands by
+     * @private
+     * @param {Scene} scene - The scene
+     * @param {Float32Array} mWorld - the world matrix of the sprite
+     */
+    process(scene, mWorld = this.worldMatrix) {
+        const texture = this.texture;
+        if(!texture || !texture.ready)
+            return;
+        const m = Mat4x4.multiplyMatrix(scene.camera.viewMatrix, mWorld, this.modelViewMatrix);
+
+        const texW = texture.width, texH = texture.height;
+        const frameW = this.frameWidth || texW, frameH = this.frameHeight || texH;
+        const columns = Math.max(1, Math.floor(texW / frameW));
+        const frame = Math.max(0, Math.floor(this.frame));
+        const fx = frame % columns * frameW, fy = Math.floor(frame / columns) * frameH;
+        const left = fx / texW, right = (fx + frameW) / texW;
+        const u0 = this.flipX ? right : left, u1 = this.flipX ? left : right;
+        const v0 = 1 - (fy + frameH) / texH, v1 = 1 - fy / texH;
+
+        // the frame is sized by the scale of the sprite and of it's parents
+        const width = frameW * Math.hypot(mWorld[0], mWorld[4], mWorld[8]);
+        const height = frameH * Math.hypot(mWorld[1], mWorld[5], mWorld[9]);
+        const across = SPRITE_RIGHT.set(1, 0, 0);
+        const up = SPRITE_UP.set(0, 1, 0);
+        if(this.upright) {
+            const v = scene.camera.viewMatrix;
+            const ux = -v[2], uy = -v[6], uz = -v[10];
+            const length = Math.hypot(ux, uy);
+            // looking along the -z axis the sprite would be seen edge on
+            if(length > 1e-3) {
+                // scaled so the frame keeps it's height on the screen
+                up.set(ux / length, uy / length, uz / length);
+                across.set(uy / length, -ux / length, 0);
+            }
+        }
+
+        const origin = SPRITE_ORIGIN.set(m[3], m[7], m[11]);
+        const corners = SPRITE_CORNERS;
+        for(let i = 0; i < 4; i++) {
+            const [x, y] = SPRITE_FRAME_CORNERS[i];
+            const c = corners[i];
+            origin.add(across.scale((x - this.anchor.x) * width, SPRITE_OFFSET), c.view)
+                .add(up.scale((y - this.anchor.y) * height, SPRITE_OFFSET), c.view);
+            Mat4x4.multiplyVector(scene.projectionMatrix, c.view, c.clip);
+            c.uv.set(x ? u1 : u0, y ? v1 : v0);
+            if(c.clip.z < -1 || c.clip.z > 1)
+                return;
+        }
+
+        const center = origin.add(up.scale((0.5 - this.anchor.y) * height, SPRITE_OFFSET), SPRITE_CENTER);
+        const light = this.lit ? scene.illuminate(center, SPRITE_NORMAL) : 1;
+        for(const triangle of SPRITE_TRIANGLES) {
+            const raster = scene.rasterTriangle();
+            for(let k = 0; k < 3; k++) {
+                const c = corners[triangle[k]];
+                raster.vertices[k].set(
+                    (c.clip.x + 1) * scene.width * 0.5,
+                    (c.clip.y + 1) * scene.height * 0.5,
+                    c.view.z);
+                raster.vertices[k].w = c.clip.w;
+                raster.storage.uvs[k].copy(c.uv);
+            }
+            raster.zAverage = (corners[triangle[0]].view.z + corners[triangle[1]].view.z
+                + corners[triangle[2]].view.z) / 3;
+            raster.light = light;
+            raster.vertexLights = null;
+            raster.color.set(0, 0, Math.min(100, 100 * light), this.opacity === undefined ? 1 : this.opacity);
+            raster.vertexColors = null;
+            raster.uvs = raster.storage.uvs;
+            raster.texture = texture;
+            raster.perspectiveCorrect = false;
+            raster.showVertex = false;
+            raster.showWireFrame = false;
+            raster.fillShader = true;
+            raster.wireFrameColor = undefined;
+        }
+    }
+
+};
+
+
+
+
+
+/**
+ * Color of a generated shape when none is given
+ */
+const PRIMITIVE_COLOR = { h: 0, s: 0, l: 80, a: 1 };
+
+/**
+ * @param {Vector3 | number} size - the size or the length of every side
+ * @returns {Array.<number>} the size on each axis
+ */
+const PRIMITIVE_SIZE = size => typeof size === "number" ? [size, size, size] : [size.x, size.y, size.z];
+
+/**
+ * @param {number} segments - the requested subdivisions
+ * @param {number} min - fewest subdivisions of the shape
+ * @returns {number} a whole number of subdivisions
+ * @throws {RangeError} when the subdivisions are not a number
+ */
+const PRIMITIVE_SEGMENTS = (segments, min = 1) => {
+    if(!(segments >= 0))
+        throw RangeError("The subdivisions of a shape must be a positive number");
+    return Math.max(min, Math.round(segments));
+};
+
+/**
+ * Collects the triangles of a shape and turns them into a mesh. Each triangle is
+ * colored by the direction it faces, tops are lightest and bottoms darkest, so the
+ * shape can be read without lights
+ * @param {Color | Object | string | Array.<number>} color - color of the shape
+ * @returns {Object} functions adding triangles and creating the mesh
+ */
+const SHAPE_BUILDER = color => {
+    const { h, s, l, a } = Color.from(color);
+    const vertices = [], normals = [], faces = [], colors = [];
+    const vertexIds = new Map(), normalIds = new Map();
+    // shared corners are written once
+    const id = (list, ids, p) => {
+        const key = p.map(n => +n.toFixed(5)).join(" ");
+        if(!ids.has(key)) {
+            list.push(key);
+            ids.set(key, list.length);
+        }
+        return ids.get(key);
+    };
+    const sub = (u, v) => [u[0] - v[0], u[1] - v[1], u[2] - v[2]];
+    const unit = n => {
+        const length = Math.hypot(n[0], n[1], n[2]);
+        return length < 1e-9 ? null : n.map(c => c / length);
+    };
+
+    const shape = {
+        /**
+         * Add a triangle facing the side it's corners turn counter clockwise around
+         * @param {Array.<number>} p0 - first corner
+         * @param {Array.<number>} p1 - second corner
+         * @param {Array.<number>} p2 - third corner
+         * @param {Array.<Array.<number>>} smooth - normal of each corner of a curved
+         * surface, the face normal is used when missing
+         */
+        triangle(p0, p1, p2, smooth) {
+            const e1 = sub(p1, p0), e2 = sub(p2, p0);
+            const normal = unit([e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]]);
+            // corners meeting at a pole or an apex leave no triangle
+            if(!normal)
+                return;
+            const corners = [p0, p1, p2].map((p, i) => id(vertices, vertexIds, p) + "//"
+                + id(normals, normalIds, smooth && unit(smooth[i]) || normal));
+            faces.push(`f ${corners.join(" ")}`);
+            // the world is y up with tops facing -z
+            const shade = 0.75 - 0.25 * normal[2] - 0.1 * Math.abs(normal[0]);
+            colors.push(`c ${h} ${s} ${+(l * shade).toFixed(2)} ${a}`);
+        },
+
+        /**
+         * Add a quad as two triangles, the corners are in counter clockwise order
+         */
+        quad(p0, p1, p2, p3, smooth) {
+            shape.triangle(p0, p1, p2, smooth && [smooth[0], smooth[1], smooth[2]]);
+            shape.triangle(p0, p2, p3, smooth && [smooth[0], smooth[2], smooth[3]]);
+        },
+
+        /**
+         * Add a flat parallelogram split into a grid of quads. It faces the cross product of it's edges
+         * @param {Array.<number>} origin - a corner
+         * @param {Array.<number>} u - the first edge from the corner
+         * @param {Array.<number>} v - the second edge from the corner
+         * @param {number} segments - quads along each edge
+         */
+        grid(origin, u, v, segments) {
+            const point = (i, j) => origin.map((o, k) => o + (u[k] * i + v[k] * j) / segments);
+            for(let i = 0; i < segments; i++) {
+                for(let j = 0; j < segments; j++)
+                    shape.quad(point(i, j), point(i + 1, j), point(i + 1, j + 1), point(i, j + 1));
+            }
+        },
+
+        /**
+         * Add a flat triangle split into smaller triangles
+         * @param {Array.<number>} p0 - first corner
+         * @param {Array.<number>} p1 - second corner
+         * @param {Array.<number>} p2 - third corner
+         * @param {number} segments - triangles along each edge
+         */
+        subdivide(p0, p1, p2, segments) {
+            const u = sub(p1, p0), v = sub(p2, p0);
+            const point = (i, j) => p0.map((o, k) => o + (u[k] * i + v[k] * j) / segments);
+            for(let i = 0; i < segments; i++) {
+                for(let j = 0; i + j < segments; j++) {
+                    shape.triangle(point(i, j), point(i + 1, j), point(i, j + 1));
+                    if(i + j < segments - 1)
+                        shape.triangle(point(i + 1, j), point(i + 1, j + 1), point(i, j + 1));
+                }
+            }
+        },
+
+        /**
+         * @returns {Mesh} a mesh of the triangles
+         */
+        mesh() {
+            return new Mesh(vertices.map(v => `v ${v}`)
+                .concat(normals.map(n => `vn ${n}`), faces, colors).join("\n"));
+        }
+    };
+    return shape;
+};
+
+/**
+ * Add the sides and caps of a shape swept around the vertical axis through the center of
+ * the footprint, either a cylinder or a cone
+ * @param {Array.<number>} size - the size on each axis
+ * @param {number} segments - sides around the axis
+ * @param {Object} shape - the shape builder
+ * @param {boolean} cone - if the sides meet at the top
+ */
+const SWEEP_SHAPE = (size, segments, shape, cone) => {
+    const [w, l, height] = size;
+    const rx = w / 2, ry = l / 2;
+    const point = (angle, z) => [rx + rx * Math.cos(angle), ry + ry * Math.sin(angle), z];
+    // the gradient of the surface, the top of a cone leans it towards -z
+    const normal = angle => [Math.cos(angle) / rx, Math.sin(angle) / ry, cone ? -1 / height : 0];
+    const top = [rx, ry, -height], bottom = [rx, ry, 0];
+    for(let i = 0; i < segments; i++) {
+        const a0 = i / segments * Math.PI * 2;
+        const a1 = (i + 1) / segments * Math.PI * 2;
+        const n0 = normal(a0), n1 = normal(a1);
+        if(cone)
+            shape.triangle(point(a0, 0), top, point(a1, 0), [n0, normal((a0 + a1) / 2), n1]);
+        else {
+            shape.quad(point(a0, 0), point(a0, -height), point(a1, -height), point(a1, 0), [n0, n0, n1, n1]);
+            shape.triangle(top, point(a1, -height), point(a0, -height));
+        }
+        shape.triangle(bottom, point(a0, 0), point(a1, 0));
+    }
+};
+
+
+/**
+ * Generators of common tile shapes as ready meshes. The shapes are modelled like tile
+ * meshes, their footprint spans from 0 to the size on the x and y axis and they rise
+ * from 0 towards -z by the height given as the z size. Each takes the size as a vector or
+ * a number for every side, a number of subdivisions and a color as anything
+ * { @link Color.from } takes
+ * @class
+ * @see TileMap
+ */
+class Primitives {
+
+    /**
+     * A box
+     * @static
+     * @param {Vector3 | number} size - width, length and height
+     * @param {number} segments - quads along each edge of a side
+     * @param {Color | Object | string | Array.<number>} color - color of the shape
+     * @returns {Mesh}
+     */
+    static box(size = 32, segments = 1, color = PRIMITIVE_COLOR) {
+        const [w, l, h] = PRIMITIVE_SIZE(size);
+        const n = PRIMITIVE_SEGMENTS(segments);
+        const shape = SHAPE_BUILDER(color);
+        shape.grid([0, 0, -h], [0, l, 0], [w, 0, 0], n);
+        shape.grid([0, 0, 0], [w, 0, 0], [0, l, 0], n);
+        shape.grid([0, 0, 0], [0, l, 0], [0, 0, -h], n);
+        shape.grid([w, 0, 0], [0, 0, -h], [0, l, 0], n);
+        shape.grid([0, 0, 0], [0, 0, -h], [w, 0, 0], n);
+        shape.grid([0, l, 0], [w, 0, 0], [0, 0, -h], n);
+        return shape.mesh();
+    }
+
+    /**
+     * A flat square facing up, the height is ignored
+     * @static
+     * @param {Vector3 | number} size - width and length
+     * @param {number} segments - quads along each edge
+     * @param {Color | Object | string | Array.<number>} color - color of the shape
+     * @returns {Mesh}
+     */
+    static plane(size = 32, segments = 1, color = PRIMITIVE_COLOR) {
+        const [w, l] = PRIMITIVE_SIZE(size);
+        const shape = SHAPE_BUILDER(color);
+        shape.grid([0, 0, 0], [0, l, 0], [w, 0, 0], PRIMITIVE_SEGMENTS(segments));
+        return shape.mesh();
+    }
+
+    /**
+     * A ramp rising along the y-axis to it's full height at the far end
+     * @static
+     * @param {Vector3 | number} size - width, length and height
+     * @param {number} segments - subdivisions along each edge of a side
+     * @param {Color | Object | string | Array.<number>} color - color of the shape
+     * @returns {Mesh}
+     */
+    static wedge(size = 32, segments = 1, color = PRIMITIVE_COLOR) {
+        const [w, l, h] = PRIMITIVE_SIZE(size);
+        const n = PRIMITIVE_SEGMENTS(segments);
+        const shape = SHAPE_BUILDER(color);
+        shape.grid([0, 0, 0], [0, l, -h], [w, 0, 0], n);
+        shape.grid([0, 0, 0], [w, 0, 0], [0, l, 0], n);
+        shape.grid([0, l, 0], [w, 0, 0], [0, 0, -h], n);
+        shape.subdivide([0, 0, 0], [0, l, 0], [0, l, -h], n);
+        shape.subdivide([w, 0, 0], [w, l, -h], [w, l, 0], n);
+        return shape.mesh();
+    }
+
+    /**
+     * Stairs climbing along the y-axis to their full height at the far end
+     * @static
+     * @param {Vector3 | number} size - width, length and height
+     * @param {number} steps - number of steps
+     * @param {Color | Object | string | Array.<number>} color - color of the shape
+     * @returns {Mesh}
+     */
+    static stairs(size = 32, steps = 4, color = PRIMITIVE_COLOR) {
+        const [w, l, h] = PRIMITIVE_SIZE(size);
+        const n = PRIMITIVE_SEGMENTS(steps);
+        const shape = SHAPE_BUILDER(color);
+        const run = l / n, rise = h / n;
+        for(let i = 0; i < n; i++) {
+            const y = i * run, top = (i + 1) * rise;
+            shape.grid([0, y, -top], [0, run, 0], [w, 0, 0], 1);
+            shape.grid([0, y, -i * rise], [0, 0, -rise], [w, 0, 0], 1);
+            shape.grid([0, y, 0], [0, run, 0], [0, 0, -top], 1);
+            shape.grid([w, y, 0], [0, 0, -top], [0, run, 0], 1);
+        }
+        shape.grid([0, 0, 0], [w, 0, 0], [0, l, 0], 1);
+        shape.grid([0, l, 0], [w, 0, 0], [0, 0, -h], 1);
+        return shape.mesh();
+    }
+
+    /**
+     * An upright cylinder filling the footprint
+     * @static
+     * @param {Vector3 | number} size - width, length and height
+     * @param {number} segments - sides around the cylinder, at least 3
+     * @param {Color | Object | string | Array.<number>} color - color of the shape
+     * @returns {Mesh}
+     */
+    static cylinder(size = 32, segments = 16, color = PRIMITIVE_COLOR) {
+        const shape = SHAPE_BUILDER(color);
+        SWEEP_SHAPE(PRIMITIVE_SIZE(size), PRIMITIVE_SEGMENTS(segments, 3), shape, false);
+        return shape.mesh();
+    }
+
+    /**
+     * An upright cone filling the footprint
+     * @static
+     * @param {Vector3 | number} size - width, length and height
+     * @param {number} segments - sides around the cone, at least 3
+     * @param {Color | Object | string | Array.<number>} color - color of the shape
+     * @returns {Mesh}
+     */
+    static cone(size = 32, segments = 16, color = PRIMITIVE_COLOR) {
+        const shape = SHAPE_BUILDER(color);
+        SWEEP_SHAPE(PRIMITIVE_SIZE(size), PRIMITIVE_SEGMENTS(segments, 3), shape, true);
+        return shape.mesh();
+    }
+
+    /**
+     * A sphere filling the box of it's size, stretched when the sides are not equal
+     * @static
+     * @param {Vector3 | number} size - width, length and height
+     * @param {number} segments - sides around the sphere, at least 3. It has half as many rings
+     * @param {Color | Object | string | Array.<number>} color - color of the shape
+     * @returns {Mesh}
+     */
+    static sphere(size = 32, segments = 16, color = PRIMITIVE_COLOR) {
+        const [w, l, h] = PRIMITIVE_SIZE(size);
+        const n = PRIMITIVE_SEGMENTS(segments, 3);
+        const rings = Math.max(2, Math.round(n / 2));
+        const radius = [w / 2, l / 2, h / 2];
+        const shape = SHAPE_BUILDER(color);
+        // rings go from the top to the bottom
+        const direction = (ring, i) => {
+            const polar = ring / rings * Math.PI, azimuth = i / n * Math.PI * 2;
+            return [Math.sin(polar) * Math.cos(azimuth), Math.sin(polar) * Math.sin(azimuth), -Math.cos(polar)];
+        };
+        const point = d => d.map((c, k) => radius[k] * c + (k === 2 ? -radius[k] : radius[k]));
+        const normal = d => d.map((c, k) => c / radius[k]);
+        for(let ring = 0; ring < rings; ring++) {
+            for(let i = 0; i < n; i++) {
+                const d = [direction(ring, i), direction(ring, i + 1), direction(ring + 1, i + 1), direction(ring + 1, i)];
+                shape.quad(...d.map(point), d.map(normal));
+            }
+        }
+        return shape.mesh();
+    }
+
+    /**
+     * A pyramid on the footprint with it's apex above the center
+     * @static
+     * @param {Vector3 | number} size - width, length and height
+     * @param {number} segments - subdivisions along each edge of a side
+     * @param {Color | Object | string | Array.<number>} color - color of the shape
+     * @returns {Mesh}
+     */
+    static pyramid(size = 32, segments = 1, color = PRIMITIVE_COLOR) {
+        const [w, l, h] = PRIMITIVE_SIZE(size);
+        const n = PRIMITIVE_SEGMENTS(segments);
+        const shape = SHAPE_BUILDER(color);
+        const apex = [w / 2, l / 2, -h];
+        const base = [[0, 0, 0], [w, 0, 0], [w, l, 0], [0, l, 0]];
+        base.forEach((corner, i) => shape.subdivide(corner, apex, base[(i + 1) % 4], n));
+        shape.grid([0, 0, 0], [w, 0, 0], [0, l, 0], n);
+        return shape.mesh();
+    }
+
+};
+
+
+
+
+
+
+
+/**
+ * Colors of the terrain by height. Each band colors the heights below it's fraction
+ * of the highest height, the last band colors everything above
+ */
+const TERRAIN_BANDS = [
+    { below: 0.2, color: { h: 205, s: 60, l: 45, a: 1 } },     // water
+    { below: 0.3, color: { h: 45, s: 55, l: 70, a: 1 } },      // sand
+    { below: 0.7, color: { h: 100, s: 40, l: 45, a: 1 } },     // grass
+    { below: Infinity, color: { h: 30, s: 10, l: 55, a: 1 } }  // rock
+];
+
+/**
+ * The face color of a triangle, darkened by the direction it faces like the shapes of
+ * { @link Primitives } so slopes and walls can be told apart without lights
+ * @param {Object} color - hsla color of the band
+ * @param {Array.<Array.<number>>} corners - the three corners of the triangle
+ * @returns {Array.<number>} the color as h, s, l and a
+ */
+const TERRAIN_FACE_COLOR = (color, [p0, p1, p2]) => {
+    const e1 = [p1[0] - p0[0], p1[1] - p0[1], p1[2] - p0[2]];
+    const e2 = [p2[0] - p0[0], p2[1] - p0[1], p2[2] - p0[2]];
+    const n = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+    const length = Math.hypot(n[0], n[1], n[2]) || 1;
+    const shade = 0.75 - 0.25 * n[2] / length - 0.1 * Math.abs(n[0] / length);
+    return [color.h, color.s, +(color.l * shade).toFixed(2), color.a];
+};
+
+/**
+ * Order the corners of a wall so it faces outwards
+ * @param {Array.<number>} p - first corner at the top of the wall
+ * @param {Array.<number>} q - second corner at the top of the wall
+ * @param {number} bottom - z of the bottom of the wall
+ * @param {Array.<number>} outward - direction the wall faces
+ * @returns {Array.<Array.<number>>} the four corners in counter clockwise order
+ */
+const TERRAIN_WALL = (p, q, bottom, outward) => {
+    const corners = [[p[0], p[1], bottom], p, q, [q[0], q[1], bottom]];
+    // in this order the wall faces the cross product of the -z axis and the top edge
+    const facing = (q[1] - p[1]) * outward[0] - (q[0] - p[0]) * outward[1];
+    return facing > 0 ? corners : corners.reverse();
+};
+
+/**
+ * The direction each wall of a cell faces and the corners of the cell along it
+ */
+const TERRAIN_SIDES = [
+    { dx: -1, dy: 0, corners: [[0, 0], [0, 1]] },
+    { dx: 1, dy: 0, corners: [[1, 1], [1, 0]] },
+    { dx: 0, dy: -1, corners: [[1, 0], [0, 0]] },
+    { dx: 0, dy: 1, corners: [[0, 1], [1, 1]] }
+];
+
+
+/**
+ * Terrain built from a grid of heights. The terrain is laid out like a tile map with rows
+ * along the y-axis and heights rising towards -z. A blocky terrain has a flat top for
+ * each height and walls where it's higher than a neighbour or the edge of the map. A
+ * smooth terrain places the heights at the corners of it's cells and slopes between them,
+ * with walls down to the base along the edges. Faces are colored by height bands and it
+ * is drawn like any other mesh
+ * @class
+ * @augments Mesh
+ * @see TileMap
+ */
+class Terrain extends Mesh {
+
+    /**
+     * Create a terrain from a greyscale image, white is the highest. The rows are
+     * flipped so the terrain reads the same as the image with the y-axis pointing up
+     * @static
+     * @param {HTMLImageElement | HTMLCanvasElement | ImageData | Texture} image - a loaded image,
+     * each pixel is a height
+     * @param {number} maxHeight - height of a white pixel
+     * @param {Object} options - options of the terrain
+     * @returns {Terrain} the terrain
+     * @see Terrain
+     */
+    static fromImage(image, maxHeight = 64, options = {}) {
+        const texture = image instanceof Texture ? image : new Texture(image);
+        const pixels = texture.getImageData();
+        if(!pixels)
+            throw Error("The image of a terrain must be loaded before it is read");
+        const { width, height, data } = pixels;
+        const heights = Array.from({ length: height }, (row, y) => Array.from({ length: width }, (v, x) => {
+            const i = ((height - 1 - y) * width + x) * 4;
+            return (data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114) / 255 * maxHeight;
+        }));
+        return new Terrain(heights, Object.assign({ maxHeight }, options));
+    }
+
+    /**
+     * Create a terrain from it's json representation
+     * @static
+     * @see Terrain#toJSON
+     * @param {Object} json - the terrain as returned by toJSON
+     * @returns {Terrain} the terrain
+     */
+    static fromJSON(json) {
+        const terrain = new Terrain(json.heights, {
+            cellSize: json.cellSize,
+            heightScale: json.heightScale,
+            smooth: json.smooth,
+            base: json.base,
+            // json has no infinity, the last band is written without it's limit
+            bands: json.bands.map(({ below, color }) => ({ below: below === null ? Infinity : below, color })),
+            maxHeight: json.maxHeight
+        });
+        terrain.showVertex = json.showVertex;
+        terrain.showWireFrame = json.showWireFrame;
+        terrain.fillShader = json.fillShader;
+        terrain.wireFrameColor = json.wireFrameColor === null ? undefined : json.wireFrameColor;
+        terrain.tint = json.tint;
+        terrain.setShading(json.shading);
+        return Node.fromJSON(json, terrain);
+    }
+
+    /**
+     * @constructor
+     * @param {Array.<Array.<number>>} heights - a row of heights for each y
+     * @param {Object} options - `cellSize` on the x and y axis, `heightScale` multiplying every
+     * height, `smooth` slopes, `base` the height the walls at the edges go down to, `bands`
+     * of colors each with the fraction of the `maxHeight` it's `below` and it's `color`.
+     * The max height is the highest height by default
+     * @throws {RangeError} when the heights are not a grid of at least one cell
+     */
+    constructor(heights, { cellSize = 32, heightScale = 1, smooth = false, base = 0, bands = TERRAIN_BANDS, maxHeight } = {}) {
+        super("");
+        const rows = heights.length;
+        const columns = rows ? heights[0].length : 0;
+        if(!columns || heights.some(row => row.length !== columns))
+            throw RangeError("The heights of a terrain must be rows of the same length");
+        if(smooth && (columns < 2 || rows < 2))
+            throw RangeError("A smooth terrain needs at least two rows of two heights");
+        this.columns = columns;
+        this.rows = rows;
+        this.heights = new Float32Array(columns * rows);
+        heights.forEach((row, y) => this.heights.set(row, y * columns));
+        this.cellSize = cellSize;
+        this.heightScale = heightScale;
+        this.smooth = smooth;
+        this.base = base;
+        this.bands = bands.map(band => ({ below: band.below, color: Color.from(band.color) }));
+        this.maxHeight = maxHeight || this.heights.reduce((max, h) => Math.max(max, h), 1);
+
+        // geometry of each cell of a blocky terrain, they are joined into the mesh
+        this.cells = [];
+        // vertices at the top of the edge walls of a smooth terrain and the height they follow
+        this.edgeTops = [];
+        this.generate();
+    }
+
+    /**
+     * @param {number} x - column
+     * @param {number} y - row
+     * @returns {number} the height, undefined outside the terrain
+     */
+    getHeight(x, y) {
+        if(x < 0 || y < 0 || x >= this.columns || y >= this.rows)
+            return undefined;
+        return this.heights[y * this.columns + x];
+    }
+
+    /**
+     * Change the heights of a rectangle and regenerate only that part of the terrain
+     * @param {number} x - first column
+     * @param {number} y - first row
+     * @param {Array.<Array.<number>>} heights - a row of heights for each y from the first row
+     */
+    setHeights(x, y, heights) {
+        let maxX = x;
+        heights.forEach((row, j) => row.forEach((h, i) => {
+            if(x + i < this.columns && y + j < this.rows && x + i >= 0 && y + j >= 0) {
+                this.heights[(y + j) * this.columns + x + i] = h;
+                maxX = Math.max(maxX, x + i);
+            }
+        }));
+        this.regenerate(x, y, maxX, y + heights.length - 1);
+    }
+
+    /**
+     * Change one height
+     * @param {number} x - column
+     * @param {number} y - row
+     * @param {number} height - the new height
+     */
+    setHeight(x, y, height) {
+        this.setHeights(x, y, [[height]]);
+    }
+
+    /**
+     * @private
+     * @param {number} height - a height of the terrain
+     * @returns {Object} the hsla color of the band of the height
+     */
+    bandColor(height) {
+        const level = height / this.maxHeight;
+        return (this.bands.find(band => level < band.below) || this.bands[this.bands.length - 1]).color;
+    }
+
+    /**
+     * Build the whole terrain
+     * @private
+     */
+    generate() {
+        if(this.smooth) {
+            this.generateSmooth();
+        } else {
+            this.cells = [];
+            this.regenerate(0, 0, this.columns - 1, this.rows - 1);
+        }
+    }
+
+    /**
+     * Rebuild the part of the terrain around a rectangle of heights that changed
+     * @param {number} x0 - first column
+     * @param {number} y0 - first row
+     * @param {number} x1 - last column
+     * @param {number} y1 - last row
+     */
+    regenerate(x0 = 0, y0 = 0, x1 = this.columns - 1, y1 = this.rows - 1) {
+        if(this.smooth) {
+            this.regenerateSmooth(x0, y0, x1, y1);
+            return;
+        }
+        // the walls of the neighbours depend on the changed heights
+        for(let y = Math.max(0, y0 - 1); y <= Math.min(this.rows - 1, y1 + 1); y++) {
+            for(let x = Math.max(0, x0 - 1); x <= Math.min(this.columns - 1, x1 + 1); x++)
+                this.cells[y * this.columns + x] = this.buildCell(x, y);
+        }
+        this.vertices = [];
+        this.faces = [];
+        this.faceColor = [];
+        this.cells.forEach(cell => {
+            const offset = this.vertices.length;
+            this.vertices.push(...cell.vertices);
+            cell.faces.forEach(face => this.faces.push(face.map(i => i + offset + 1)));
+            this.faceColor.push(...cell.colors);
+        });
+        this.triangles = [];
+        this.updateGeometry();
+    }
+
+    /**
+     * The top and walls of a cell of a blocky terrain
+     * @private
+     * @param {number} x - column
+     * @param {number} y - row
+     * @returns {Object} the `vertices`, `faces` indexing them from 0 and face `colors`
+     */
+    buildCell(x, y) {
+        const s = this.cellSize;
+        const height = this.getHeight(x, y);
+        const z = -height * this.heightScale;
+        const color = this.bandColor(height);
+        const cell = { vertices: [], faces: [], colors: [] };
+        const quad = corners => {
+            const i = cell.vertices.length;
+            cell.vertices.push(...corners);
+            cell.faces.push([i, i + 1, i + 2], [i, i + 2, i + 3]);
+            cell.colors.push(TERRAIN_FACE_COLOR(color, corners.slice(0, 3)), TERRAIN_FACE_COLOR(color, [corners[0], corners[2], corners[3]]));
+        };
+        const point = ([cx, cy]) => [(x + cx) * s, (y + cy) * s, z];
+        quad([[0, 0], [0, 1], [1, 1], [1, 0]].map(point));
+        TERRAIN_SIDES.forEach(({ dx, dy, corners }) => {
+            const neighbour = this.getHeight(x + dx, y + dy);
+            const below = neighbour === undefined ? this.base : neighbour;
+            if(below < height)
+                quad(TERRAIN_WALL(point(corners[0]), point(corners[1]), -below * this.heightScale, [dx, dy]));
+        });
+        return cell;
+    }
+
+    /**
+     * Build a smooth terrain, a vertex for each height joined by two triangles per cell
+     * and walls along the edges
+     * @private
+     */
+    generateSmooth() {
+        const { columns, rows } = this;
+        const s = this.cellSize;
+        this.vertices = [];
+        this.faces = [];
+        this.edgeTops = [];
+        for(let y = 0; y < rows; y++) {
+            for(let x = 0; x < columns; x++)
+                this.vertices.push([x * s, y * s, -this.getHeight(x, y) * this.heightScale]);
+        }
+        for(let y = 0; y < rows - 1; y++) {
+            for(let x = 0; x < columns - 1; x++) {
+                const a = y * columns + x + 1, b = a + columns, c = b + 1, d = a + 1;
+                this.faces.push([a, b, c], [a, c, d]);
+            }
+        }
+        // the edge walls have their own vertices so they don't bend the normals of the slopes
+        const bottom = -this.base * this.heightScale;
+        const edge = (points, outward) => {
+            for(let i = 0; i < points.length - 1; i++) {
+                const [p, q] = [points[i], points[i + 1]];
+                const corners = TERRAIN_WALL(this.vertices[p], this.vertices[q], bottom, outward);
+                const first = this.vertices.length;
+                corners.forEach(corner => {
+                    // a top corner remembers the vertex of the height it follows
+                    const follows = corner === this.vertices[p] ? p : corner === this.vertices[q] ? q : -1;
+                    if(follows >= 0)
+                        this.edgeTops.push([this.vertices.length, follows]);
+                    this.vertices.push(corner.slice());
+                });
+                this.faces.push([first + 1, first + 2, first + 3], [first + 1, first + 3, first + 4]);
+            }
+        };
+        const range = (n, f) => Array.from({ length: n }, (v, i) => f(i));
+        edge(range(columns, x => x), [0, -1]);
+        edge(range(columns, x => (rows - 1) * columns + x), [0, 1]);
+        edge(range(rows, y => y * columns), [-1, 0]);
+        edge(range(rows, y => y * columns + columns - 1), [1, 0]);
+        this.faceColor = [];
+        this.colorFaces(0, this.faces.length);
+        this.triangles = [];
+        this.updateGeometry();
+    }
+
+    /**
+     * Color the faces of a smooth terrain by the highest of their corners, so walls take
+     * the color of their top
+     * @private
+     * @param {number} start - first face
+     * @param {number} end - face after the last
+     */
+    colorFaces(start, end) {
+        for(let i = start; i < end; i++) {
+            const corners = this.faces[i].map(j => this.vertices[j - 1]);
+            const height = -Math.min(...corners.map(c => c[2])) / this.heightScale;
+            this.faceColor[i] = TERRAIN_FACE_COLOR(this.bandColor(height), corners);
+        }
+    }
+
+    /**
+     * Move the vertices of the changed heights of a smooth terrain and recolor the faces
+     * touching them
+     * @private
+     */
+    regenerateSmooth(x0, y0, x1, y1) {
+        const { columns, rows } = this;
+        x0 = Math.max(0, x0); y0 = Math.max(0, y0);
+        x1 = Math.min(columns - 1, x1); y1 = Math.min(rows - 1, y1);
+        for(let y = y0; y <= y1; y++) {
+            for(let x = x0; x <= x1; x++)
+                this.vertices[y * columns + x][2] = -this.getHeight(x, y) * this.heightScale;
+        }
+        this.edgeTops.forEach(([i, j]) => this.vertices[i][2] = this.vertices[j][2]);
+        // the two triangles of each cell are stored row by row
+        for(let y = Math.max(0, y0 - 1); y <= Math.min(rows - 2, y1); y++) {
+            const start = (y * (columns - 1) + Math.max(0, x0 - 1)) * 2;
+            this.colorFaces(start, (y * (columns - 1) + Math.min(columns - 2, x1)) * 2 + 2);
+        }
+        this.colorFaces((rows - 1) * (columns - 1) * 2, this.faces.length);
+        this.triangles = [];
+        this.updateGeometry();
+    }
+
+    /**
+     * The heights and options of the terrain and it's display settings for JSON.stringify.
+     * The geometry is generated again when it's read
+     * @returns {Object}
+     */
+    toJSON() {
+        return Object.assign(Node.prototype.toJSON.call(this), {
+            type: "Terrain",
+            heights: Array.from({ length: this.rows }, (row, y) =>
+                Array.from(this.heights.subarray(y * this.columns, (y + 1) * this.columns))),
+            cellSize: this.cellSize,
+            heightScale: this.heightScale,
+            smooth: this.smooth,
+            base: this.base,
+            bands: this.bands.map(({ below, color }) => ({ below: below === Infinity ? null : below, color: color.toString() })),
+            maxHeight: this.maxHeight,
+            showVertex: this.showVertex,
+            showWireFrame: this.showWireFrame,
+            fillShader: this.fillShader,
+            wireFrameColor: this.wireFrameColor === undefined ? null : this.wireFrameColor,
+            tint: this.tint ? this.tint.toString() : null,
+            shading: this.shading
+        });
+    }
+
+};
+
+
+
+
+
+
+/**
+ * The lightness of a face by the direction it faces, tops are lightest and bottoms
+ * darkest like the shapes of { @link Primitives }
+ * @param {Array.<number>} normal - unit normal of the face in mesh space
+ * @returns {number} the scale of the lightness
+ */
+const VOXEL_SHADE = normal => 0.75 - 0.25 * normal[2] - 0.1 * Math.abs(normal[0]);
+
+/**
+ * Run length encode the voxels of a chunk for json, most of a chunk is long runs of
+ * empty or solid voxels
+ * @param {Uint8Array} voxels - the color id of every voxel
+ * @returns {Array.<number>} the length of each run followed by it's color id
+ */
+const VOXEL_ENCODE = voxels => {
+    const runs = [];
+    for(let i = 0; i < voxels.length;) {
+        let j = i + 1;
+        while(j < voxels.length && voxels[j] === voxels[i])
+            j++;
+        runs.push(j - i, voxels[i]);
+        i = j;
+    }
+    return runs;
+};
+
+/**
+ * @param {Array.<number>} runs - voxels encoded by { @link VOXEL_ENCODE }
+ * @param {Uint8Array} voxels - the voxels written
+ * @throws {RangeError} when the runs don't fill the voxels
+ */
+const VOXEL_DECODE = (runs, voxels) => {
+    let i = 0;
+    for(let r = 0; r < runs.length; r += 2) {
+        if(i + runs[r] > voxels.length)
+            break;
+        voxels.fill(runs[r + 1], i, i += runs[r]);
+    }
+    if(i !== voxels.length)
+        throw RangeError("The voxels don't match the size of the chunk");
+};
+
+
+/**
+ * A block of voxels drawn as a single mesh. Each voxel holds a color id, 0 is empty, and
+ * the mesh only has the faces of voxels next to an empty voxel. Neighbouring faces of the
+ * same color lying in the same plane are merged into rectangles. Voxels are laid out like
+ * the cells of a tile map, x and y on the ground and z counting layers up towards -z.
+ * Edits mark the chunk to be rebuilt, which happens the next time it's drawn or it's
+ * geometry is used, so a batch of edits is only meshed once
+ * @class
+ * @augments Mesh
+ * @see VoxelWorld
+ */
+class VoxelChunk extends Mesh {
+
+    /**
+     * Create a chunk from it's json representation
+     * @static
+     * @see VoxelChunk#toJSON
+     * @param {Object} json - the chunk as returned by toJSON
+     * @returns {VoxelChunk} the chunk
+     */
+    static fromJSON(json) {
+        const chunk = new VoxelChunk(...json.size, { voxelSize: json.voxelSize, palette: json.palette });
+        VOXEL_DECODE(json.voxels, chunk.voxels);
+        chunk.needsRebuild = true;
+        chunk.showVertex = json.showVertex;
+        chunk.showWireFrame = json.showWireFrame;
+        chunk.fillShader = json.fillShader;
+        chunk.wireFrameColor = json.wireFrameColor === null ? undefined : json.wireFrameColor;
+        chunk.tint = json.tint;
+        chunk.setShading(json.shading);
+        return Node.fromJSON(json, chunk);
+    }
+
+    /**
+     * @constructor
+     * @param {number} width - voxels along the x-axis
+     * @param {number} length - voxels along the y-axis
+     * @param {number} height - voxels along the z-axis
+     * @param {Object} options - `voxelSize` the length of a voxel's side and the `palette`
+     * mapping color ids to colors, as anything { @link Color.from } takes. Ids missing
+     * from the palette get a color of their own
+     */
+    constructor(width = 16, length = 16, height = 16, { voxelSize = 8, palette = {} } = {}) {
+        super("");
+        if(!(width > 0 && length > 0 && height > 0))
+            throw RangeError("A voxel chunk must have at least one voxel along each axis");
+        this.size = [width, length, height];
+        this.voxelSize = voxelSize;
+        this.palette = palette;
+        this.voxels = new Uint8Array(width * length * height);
+        this.showWireFrame = false;
+
+        // set by a voxel world so faces against the voxels of neighbouring chunks are hidden
+        this.world = null;
+        this.origin = [0, 0, 0];
+        this.needsRebuild = false;
+    }
+
+    /**
+     * @param {number} x - voxel on the x-axis
+     * @param {number} y - voxel on the y-axis
+     * @param {number} z - voxel on the z-axis
+     * @returns {boolean} true if the voxel is inside the chunk
+     */
+    contains(x, y, z) {
+        const [w, l, h] = this.size;
+        return x >= 0 && y >= 0 && z >= 0 && x < w && y < l && z < h;
+    }
+
+    /**
+     * @param {number} x - voxel on the x-axis
+     * @param {number} y - voxel on the y-axis
+     * @param {number} z - voxel on the z-axis
+     * @returns {number} the color id of a voxel, 0 outside the chunk
+     */
+    get(x, y, z) {
+        if(!this.contains(x, y, z))
+            return 0;
+        const [w, l] = this.size;
+        return this.voxels[(z * l + y) * w + x];
+    }
+
+    /**
+     * Set the color id of a voxel, the chunk is rebuilt when it's next drawn or it's
+     * geometry is next used
+     * @param {number} x - voxel on the x-axis
+     * @param {number} y - voxel on the y-axis
+     * @param {number} z - voxel on the z-axis
+     * @param {number} id - color id from 1 to 255, 0 empties the voxel
+     * @throws {RangeError} when the voxel is outside the chunk
+     */
+    set(x, y, z, id) {
+        if(!this.contains(x, y, z))
+            throw RangeError(`Voxel ${x}, ${y}, ${z} is outside the chunk`);
+        if(!(id >= 0 && id < 256))
+            throw RangeError("A voxel color id must be between 0 and 255");
+        const [w, l] = this.size;
+        this.voxels[(z * l + y) * w + x] = id;
+        this.needsRebuild = true;
+    }
+
+    /**
+     * Set the color id of every voxel in a box
+     * @param {Array.<number>} from - first corner of the box as x, y and z
+     * @param {Array.<number>} to - last corner of the box
+     * @param {number} id - color id, 0 empties the voxels
+     */
+    fill(from, to, id) {
+        const lo = from.map((c, i) => Math.max(0, Math.min(c, to[i])));
+        const hi = from.map((c, i) => Math.min(this.size[i] - 1, Math.max(c, to[i])));
+        for(let z = lo[2]; z <= hi[2]; z++)
+            for(let y = lo[1]; y <= hi[1]; y++)
+                for(let x = lo[0]; x <= hi[0]; x++)
+                    this.set(x, y, z, id);
+    }
+
+    /**
+     * @private
+     * @returns {number} the color id of a voxel, voxels outside the chunk are read from the world
+     */
+    neighbour(x, y, z) {
+        if(this.contains(x, y, z) || !this.world)
+            return this.get(x, y, z);
+        return this.world.get(this.origin[0] + x, this.origin[1] + y, this.origin[2] + z);
+    }
+
+    /**
+     * @private
+     * @param {number} id - a color id
+     * @returns {Array.<number>} the color of the id
+     */
+    colorOf(id) {
+        const color = this.palette[id];
+        if(!color)
+            return [id * 47 % 360, 40, 60, 1];
+        const { h, s, l, a } = Color.from(color);
+        return [h, s, l, a];
+    }
+
+    /**
+     * Build the mesh of the visible faces. For each direction every slice of voxels is
+     * scanned for faces next to an empty voxel, which are merged into the largest
+     * rectangles of one color, first along the rows then across them
+     */
+    rebuild() {
+        const s = this.voxelSize;
+        const vertices = [], faces = [], colors = [];
+        // voxel coordinates to mesh space, the layers go up towards -z
+        const point = p => [p[0] * s, p[1] * s, -p[2] * s];
+        for(let d = 0; d < 3; d++) {
+            const u = (d + 1) % 3, v = (d + 2) % 3;
+            const du = this.size[u], dv = this.size[v];
+            const mask = new Uint8Array(du * dv);
+            for(const sign of [-1, 1]) {
+                const normal = [0, 0, 0];
+                normal[d] = d === 2 ? -sign : sign;
+                for(let slice = 0; slice < this.size[d]; slice++) {
+                    const p = [0, 0, 0], q = [0, 0, 0];
+                    for(let j = 0; j < dv; j++) {
+                        for(let i = 0; i < du; i++) {
+                            p[d] = slice; p[u] = i; p[v] = j;
+                            q[d] = slice + sign; q[u] = i; q[v] = j;
+                            const id = this.get(p[0], p[1], p[2]);
+                            mask[j * du + i] = id && !this.neighbour(q[0], q[1], q[2]) ? id : 0;
+                        }
+                    }
+                    for(let j = 0; j < dv; j++) {
+                        for(let i = 0; i < du;) {
+                            const id = mask[j * du + i];
+                            if(!id) {
+                                i++;
+                                continue;
+                            }
+                            let w = 1, h = 1;
+                            while(i + w < du && mask[j * du + i + w] === id)
+                                w++;
+                            grow: for(; j + h < dv; h++) {
+                                for(let k = 0; k < w; k++) {
+                                    if(mask[(j + h) * du + i + k] !== id)
+                                        break grow;
+                                }
+                            }
+                            for(let y = 0; y < h; y++)
+                                mask.fill(0, (j + y) * du + i, (j + y) * du + i + w);
+
+                            const corner = [0, 0, 0];
+                            corner[d] = slice + (sign > 0 ? 1 : 0); corner[u] = i; corner[v] = j;
+                            const along = (a, b) => corner.map((c, k) => c + (k === u ? a : 0) + (k === v ? b : 0));
+                            let quad = [corner, along(w, 0), along(w, h), along(0, h)].map(point);
+                            // turn the quad to face away from the voxel
+                            const e1 = quad[1].map((c, k) => c - quad[0][k]), e2 = quad[3].map((c, k) => c - quad[0][k]);
+                            const cross = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+                            if(cross[0] * normal[0] + cross[1] * normal[1] + cross[2] * normal[2] < 0)
+                                quad = quad.reverse();
+                            const first = vertices.length + 1;
+                            vertices.push(...quad);
+                            faces.push([first, first + 1, first + 2], [first, first + 2, first + 3]);
+                            const color = this.colorOf(id);
+                            color[2] = +(color[2] * VOXEL_SHADE(normal)).toFixed(2);
+                            colors.push(color, color);
+                            i += w;
+                        }
+                    }
+                }
+            }
+        }
+        this.vertices = vertices;
+        this.faces = faces;
+        this.faceColor = colors;
+        this.triangles = [];
+        this.updateGeometry();
+        this.needsRebuild = false;
+    }
+
+    /**
+     * Rebuild the mesh if voxels changed since it was built. Everything reading the
+     * triangles or bounds of the chunk calls it first
+     */
+    ensureGeometry() {
+        if(this.needsRebuild)
+            this.rebuild();
+    }
+
+    get worldBoundingBox() {
+        this.ensureGeometry();
+        return super.worldBoundingBox;
+    }
+
+    get worldOrientedBox() {
+        this.ensureGeometry();
+        return super.worldOrientedBox;
+    }
+
+    get worldBoundingSphere() {
+        this.ensureGeometry();
+        return super.worldBoundingSphere;
+    }
+
+    intersects(other, volume = "box") {
+        this.ensureGeometry();
+        return super.intersects(other, volume);
+    }
+
+    raycast(origin, direction, mModel = this.worldMatrix, maxDistance = Infinity) {
+        this.ensureGeometry();
+        return super.raycast(origin, direction, mModel, maxDistance);
+    }
+
+    toOBJ(materialLibraries = this.materialLibraries) {
+        this.ensureGeometry();
+        return super.toOBJ(materialLibraries);
+    }
+
+    /**
+     * @private
+     * @param {Scene} scene - The scene
+     * @param {Float32Array} mModel - matrix moving the chunk into world space
+     */
+    draw(scene, mModel) {
+        this.ensureGeometry();
+        super.draw(scene, mModel);
+    }
+
+    /**
+     * The chunk is written as it's voxels and palette, not as the triangles made from them
+     * @returns {Object} the json representation of the chunk
+     */
+    toJSON() {
+        return Object.assign(Node.prototype.toJSON.call(this), {
+            type: "VoxelChunk",
+            size: this.size.slice(),
+            voxelSize: this.voxelSize,
+            palette: this.palette,
+            voxels: VOXEL_ENCODE(this.voxels),
+            showVertex: this.showVertex,
+            showWireFrame: this.showWireFrame,
+            fillShader: this.fillShader,
+            wireFrameColor: this.wireFrameColor === undefined ? null : this.wireFrameColor,
+            tint: this.tint ? this.tint.toString() : null,
+            shading: this.shading
+        });
+    }
+
+};
+
+
+/**
+ * Voxels split into chunks so an edit only rebuilds the chunk holding the voxel, and the
+ * chunk next to it when the voxel is on its border. Chunks are created as voxels are
+ * set in them, at any voxel coordinate including negative ones
+ * @class
+ * @augments Group
+ * @see VoxelChunk
+ */
+class VoxelWorld extends Group {
+
+    /**
+     * Create a voxel world from it's json representation
+     * @static
+     * @see VoxelWorld#toJSON
+     * @param {Object} json - the world as returned by toJSON
+     * @returns {VoxelWorld} the world
+     */
+    static fromJSON(json) {
+        const world = new VoxelWorld(json.chunkSize, { voxelSize: json.voxelSize, palette: json.palette });
+        json.chunks.forEach(({ chunk, voxels }) => {
+            const created = world.createChunk(...chunk);
+            VOXEL_DECODE(voxels, created.voxels);
+            created.needsRebuild = true;
+        });
+        return Node.fromJSON(json, world);
+    }
+
+    /**
+     * @constructor
+     * @param {number} chunkSize - voxels along each side of a chunk
+     * @param {Object} options - `voxelSize` and `palette` shared by every chunk
+     */
+    constructor(chunkSize = 16, { voxelSize = 8, palette = {} } = {}) {
+        super();
+        this.chunkSize = chunkSize;
+        this.voxelSize = voxelSize;
+        this.palette = palette;
+        this.chunks = new Map();
+    }
+
+    /**
+     * @private
+     * @returns {Array.<number>} the chunk holding a voxel and the voxel's place in it
+     */
+    locate(x, y, z) {
+        const n = this.chunkSize;
+        const chunk = [Math.floor(x / n), Math.floor(y / n), Math.floor(z / n)];
+        return [chunk, [x - chunk[0] * n, y - chunk[1] * n, z - chunk[2] * n]];
+    }
+
+    /**
+     * @param {number} cx - chunk on the x-axis
+     * @param {number} cy - chunk on the y-axis
+     * @param {number} cz - chunk on the z-axis
+     * @returns {VoxelChunk} the chunk, undefined if no voxel was set in it
+     */
+    getChunk(cx, cy, cz) {
+        return this.chunks.get(`${cx},${cy},${cz}`);
+    }
+
+    /**
+     * @private
+     * @returns {VoxelChunk} a new empty chunk added to the world
+     */
+    createChunk(cx, cy, cz) {
+        const n = this.chunkSize;
+        const chunk = new VoxelChunk(n, n, n, { voxelSize: this.voxelSize, palette: this.palette });
+        chunk.world = this;
+        chunk.origin = [cx * n, cy * n, cz * n];
+        chunk.setPosition(cx * n * this.voxelSize, cy * n * this.voxelSize, -cz * n * this.voxelSize);
+        this.chunks.set(`${cx},${cy},${cz}`, chunk);
+        this.add(chunk);
+        return chunk;
+    }
+
+    /**
+     * @param {number} x - voxel on the x-axis
+     * @param {number} y - voxel on the y-axis
+     * @param {number} z - voxel on the z-axis
+     * @returns {number} the color id of a voxel
+     */
+    get(x, y, z) {
+        const [[cx, cy, cz], [lx, ly, lz]] = this.locate(x, y, z);
+        const chunk = this.getChunk(cx, cy, cz);
+        return chunk ? chunk.get(lx, ly, lz) : 0;
+    }
+
+    /**
+     * Set the color id of a voxel. The chunk holding it is rebuilt when it's next drawn or
+     * it's geometry is next used, as are the chunks sharing a face with the voxel
+     * @param {number} x - voxel on the x-axis
+     * @param {number} y - voxel on the y-axis
+     * @param {number} z - voxel on the z-axis
+     * @param {number} id - color id from 1 to 255, 0 empties the voxel
+     */
+    set(x, y, z, id) {
+        const [[cx, cy, cz], local] = this.locate(x, y, z);
+        let chunk = this.getChunk(cx, cy, cz);
+        if(!chunk) {
+            if(!id)
+                return;
+            chunk = this.createChunk(cx, cy, cz);
+        }
+        chunk.set(...local, id);
+        // a voxel on the border may hide or show a face of the neighbouring chunk
+        local.forEach((c, axis) => {
+            const step = c === 0 ? -1 : c === this.chunkSize - 1 ? 1 : 0;
+            if(!step)
+                return;
+            const key = [cx, cy, cz];
+            key[axis] += step;
+            const neighbour = this.getChunk(...key);
+            if(neighbour)
+                neighbour.needsRebuild = true;
+        });
+    }
+
+    /**
+     * The chunks are written as their voxels, the other children as nodes
+     * @returns {Object} the json representation of the world
+     */
+    toJSON() {
+        const json = Object.assign(super.toJSON(), {
+            type: "VoxelWorld",
+            chunkSize: this.chunkSize,
+            voxelSize: this.voxelSize,
+            palette: this.palette,
+            chunks: Array.from(this.chunks.values(), chunk => ({
+                chunk: chunk.origin.map(c => c / this.chunkSize),
+                voxels: VOXEL_ENCODE(chunk.voxels)
+            }))
+        });
+        json.children = json.children.filter((child, i) => this.children[i].world !== this);
+        return json;
+    }
+
+};
+
+
+
+
+
+
+
+/**
+ * Cosine and sine of each quarter turn, exact unlike Math.cos and Math.sin
+ */
+const QUARTER_TURNS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+/**
+ * A 3d grid of tiles. Each cell holds the id of a tile type, the mesh of a
+ * tile type is shared by every cell using it so the map can be large without
+ * creating a mesh per cell. Cells are laid out on the x and y axis with layers
+ * stacked towards the viewer, a tile mesh is modelled with it's footprint
+ * spanning from 0 to the tile size on the x and y axis. Id 0 is an empty cell.
+ * @class
+ * @augments Node
+ */
+class TileMap extends Node {
+
+    /**
+     * Create a tile map from it's json representation
+     * @static
+     * @see TileMap#toJSON
+     * @param {Object} json - the tile map as returned by toJSON
+     * @returns {TileMap} the tile map
+     */
+    static fromJSON(json) {
+        const map = new TileMap(json.columns, json.rows, json.layers, new Vector3(...json.tileSize));
+        map.ids.set(json.ids);
+        map.rotations.set(json.rotations);
+        map.variants.set(json.variants);
+        map.elevations.set(json.elevations);
+        for(const id in json.tiles)
+            map.defineTile(Number(id), json.tiles[id].map(mesh => Mesh.fromJSON(mesh)),
+                { solid: !json.solid || json.solid.indexOf(Number(id)) >= 0 });
+        return Node.fromJSON(json, map);
+    }
+
+    /**
+     * constructs an empty tile map
      * @constructor
-     * @param {string} data - obj file format representing mesh data
+     * @param {number} columns - number of cells on the x-axis
+     * @param {number} rows - number of cells on the y-axis
+     * @param {number} layers - number of height layers
+     * @param {Vector3} tileSize - size of a cell, z is the height of a layer
      */
-    constructor(data) {
+    constructor(columns, rows, layers = 1, tileSize = new Vector3(32, 32, 32)) {
+        super();
+        this.columns = columns;
+        this.rows = rows;
+        this.layers = layers;
+        this.tileSize = tileSize;
+
+        const count = columns * rows * layers;
+        this.ids = new Uint16Array(count);
+        this.rotations = new Uint8Array(count);
+        this.variants = new Uint8Array(count);
+        this.elevations = new Float32Array(count);
+
+        this.tiles = {};
+
+        // reused for every cell drawn or hit tested
+        this.cellWorldMatrix = Mat4x4.create();
+    }
+
+    /**
+     * Define the meshes of a tile type
+     * @param {number} id - id of the tile type from 1 to 65535
+     * @param {Mesh | Array.<Mesh>} meshes - the mesh of the tile or a mesh for each variant
+     * @param {Object} options - `solid` tiles block movement resolved by { @link Collision.move }
+     */
+    defineTile(id, meshes, { solid = true } = {}) {
+        if(!(id > 0 && id < 65536))
+            throw RangeError("A tile id must be between 1 and 65535");
+        meshes = Array.isArray(meshes) ? meshes : [meshes];
+        if(!meshes.length || meshes.some(m => !(m instanceof Mesh)))
+            throw TypeError("A tile must be defined by one or more instances of `Mesh`");
+        this.tiles[id] = { meshes, solid };
+    }
+
+    /**
+     * check if a cell is on the map
+     * @param {number} x - column of the cell
+     * @param {number} y - row of the cell
+     * @param {number} layer - height layer of the cell
+     * @returns {boolean}
+     */
+    contains(x, y, layer = 0) {
+        return x >= 0 && y >= 0 && layer >= 0
+            && x < this.columns && y < this.rows && layer < this.layers;
+    }
+
+    /**
+     * @private
+     * @returns {number} index of a cell in the cell arrays
+     */
+    indexOf(x, y, layer) {
+        return (layer * this.rows + y) * this.columns + x;
+    }
+
+    /**
+     * Set the tile of a cell
+     * @param {number} x - column of the cell
+     * @param {number} y - row of the cell
+     * @param {number} layer - height layer of the cell
+     * @param {number} id - id of the tile type, 0 empties the cell
+     * @param {Object} options - the `rotation` in quarter turns, `variant` and `elevation`
+     * offset of the cell
+     */
+    set(x, y, layer, id, { rotation = 0, variant = 0, elevation = 0 } = {}) {
+        if(!this.contains(x, y, layer))
+            throw RangeError(`Cell ${x}, ${y}, ${layer} is outside the tile map`);
+        const i = this.indexOf(x, y, layer);
+        this.ids[i] = id;
+        this.rotations[i] = ((rotation % 4) + 4) % 4;
+        this.variants[i] = variant;
+        this.elevations[i] = elevation;
+    }
+
+    /**
+     * Get the tile of a cell
+     * @param {number} x - column of the cell
+     * @param {number} y - row of the cell
+     * @param {number} layer - height layer of the cell
+     * @returns {Object} the `id`, `rotation`, `variant` and `elevation` of the cell
+     * or null if the cell is outside the map
+     */
+    get(x, y, layer = 0) {
+        if(!this.contains(x, y, layer))
+            return null;
+        const i = this.indexOf(x, y, layer);
+        return {
+            id: this.ids[i],
+            rotation: this.rotations[i],
+            variant: this.variants[i],
+            elevation: this.elevations[i]
+        };
+    }
+
+    /**
+     * Set the tile of every cell in a rectangle of a layer
+     * @param {number} x0 - first column
+     * @param {number} y0 - first row
+     * @param {number} x1 - last column
+     * @param {number} y1 - last row
+     * @param {number} layer - height layer
+     * @param {number} id - id of the tile type
+     * @param {Object} options - options of each cell
+     * @see TileMap#set
+     */
+    fill(x0, y0, x1, y1, layer, id, options) {
+        const [minX, maxX] = [Math.max(0, Math.min(x0, x1)), Math.min(this.columns - 1, Math.max(x0, x1))];
+        const [minY, maxY] = [Math.max(0, Math.min(y0, y1)), Math.min(this.rows - 1, Math.max(y0, y1))];
+        for(let y = minY; y <= maxY; y++)
+            for(let x = minX; x <= maxX; x++)
+                this.set(x, y, layer, id, options);
+    }
+
+    /**
+     * Replace the tile of a cell and of every connected cell in the same layer
+     * having the same tile
+     * @param {number} x - column of the starting cell
+     * @param {number} y - row of the starting cell
+     * @param {number} layer - height layer
+     * @param {number} id - id of the new tile type
+     * @param {Object} options - options of each cell
+     * @returns {number} number of cells replaced
+     * @see TileMap#set
+     */
+    flood(x, y, layer, id, options) {
+        const start = this.get(x, y, layer);
+        if(!start || start.id === id)
+            return 0;
+        let count = 0;
+        const stack = [[x, y]];
+        while(stack.length) {
+            const [cx, cy] = stack.pop();
+            if(!this.contains(cx, cy, layer) || this.ids[this.indexOf(cx, cy, layer)] !== start.id)
+                continue;
+            this.set(cx, cy, layer, id, options);
+            count++;
+            stack.push([cx + 1, cy], [cx - 1, cy], [cx, cy + 1], [cx, cy - 1]);
+        }
+        return count;
+    }
+
+    /**
+     * Convert a cell to a world point
+     * @param {number} x - column of the cell
+     * @param {number} y - row of the cell
+     * @param {number} layer - height layer of the cell
+     * @returns {Vector3} the world point at the corner of the cell where it's tile mesh is placed
+     */
+    gridToWorld(x, y, layer = 0) {
+        return this.localToWorld(this.gridToLocal(x, y, layer));
+    }
+
+    /**
+     * @private
+     * @returns {Vector3} corner of a cell relative to the map
+     */
+    gridToLocal(x, y, layer) {
+        return new Vector3(x * this.tileSize.x, y * this.tileSize.y, -layer * this.tileSize.z);
+    }
+
+    /**
+     * Convert a world point to the cell containing it
+     * @param {Vector3} point - the world point
+     * @returns {Object} the `x`, `y` and `layer` of the cell or null if the point is outside the map
+     */
+    worldToGrid(point) {
+        const local = this.worldToLocal(point);
+        const x = Math.floor(local.x / this.tileSize.x);
+        const y = Math.floor(local.y / this.tileSize.y);
+        const layer = Math.floor(-local.z / this.tileSize.z);
+        return this.contains(x, y, layer) ? { x, y, layer } : null;
+    }
+
+    /**
+     * The map, it's cells and the meshes of every tile type for JSON.stringify
+     * @returns {Object}
+     */
+    toJSON() {
+        const tiles = {};
+        for(const id in this.tiles)
+            tiles[id] = this.tiles[id].meshes.map(mesh => mesh.toJSON());
+        return Object.assign(super.toJSON(), {
+            type: "TileMap",
+            columns: this.columns,
+            rows: this.rows,
+            layers: this.layers,
+            tileSize: [this.tileSize.x, this.tileSize.y, this.tileSize.z],
+            ids: Array.from(this.ids),
+            rotations: Array.from(this.rotations),
+            variants: Array.from(this.variants),
+            elevations: Array.from(this.elevations),
+            tiles,
+            solid: Object.keys(this.tiles).map(Number).filter(id => this.tiles[id].solid)
+        });
+    }
+
+    /**
+     * The matrix moving the tile mesh of a cell into the space of the map. The mesh is
+     * moved by it's own position, rotation and scale, turned about the center of the
+     * footprint then moved to the cell
+     * @private
+     * @param {number} i - index of the cell
+     * @param {Mesh} mesh - the tile mesh
+     * @param {Float32Array} out - matrix receiving the model matrix
+     * @returns {Float32Array} the model matrix
+     */
+    cellMatrix(i, mesh, out = Mat4x4.create()) {
+        const size = this.tileSize;
+        const x = i % this.columns;
+        const y = Math.floor(i / this.columns) % this.rows;
+        const layer = Math.floor(i / (this.columns * this.rows));
+        const [cos, sin] = QUARTER_TURNS[this.rotations[i]];
+        // the center of the footprint is moved to the origin, turned and moved to the center of the cell
+        const cx = -size.x * 0.5;
+        const cy = -size.y * 0.5;
+
+        out.fill(0);
+        out[0] = cos;
+        out[1] = -sin;
+        out[3] = cos * cx - sin * cy + (x + 0.5) * size.x;
+        out[4] = sin;
+        out[5] = cos;
+        out[7] = sin * cx + cos * cy + (y + 0.5) * size.y;
+        out[10] = 1;
+        out[11] = -layer * size.z - this.elevations[i];
+        out[15] = 1;
+        return Mat4x4.multiplyMatrix(out, mesh.localMatrix, out);
+    }
+
+    /**
+     * @private
+     * @param {number} i - index of the cell
+     * @returns {Mesh} the mesh drawn in a cell, undefined for empty cells
+     */
+    meshOf(i) {
+        const tile = this.tiles[this.ids[i]];
+        return tile && tile.meshes[this.variants[i] % tile.meshes.length];
+    }
+
+    /**
+     * Find the bounding boxes of the solid tiles near a world box
+     * @param {AABB} box - the world box
+     * @param {Float32Array} mWorld - the world matrix of the map
+     * @returns {Array.<Object>} the world bounding `box` of the tile mesh and the `cell`
+     * of each solid tile touching the box
+     */
+    solidBoxes(box, mWorld = this.worldMatrix) {
+        const inverse = Mat4x4.inverse(mWorld);
+        if(!inverse)
+            return [];
+        const local = box.transform(inverse);
+        const size = this.tileSize;
+        const x0 = Math.max(0, Math.floor(local.min.x / size.x)), x1 = Math.min(this.columns - 1, Math.floor(local.max.x / size.x));
+        const y0 = Math.max(0, Math.floor(local.min.y / size.y)), y1 = Math.min(this.rows - 1, Math.floor(local.max.y / size.y));
+        const found = [];
+        const mCell = this.cellWorldMatrix;
+        // tiles may be taller than a layer or be raised so every layer is searched
+        for(let layer = 0; layer < this.layers; layer++) {
+            for(let y = y0; y <= y1; y++) {
+                for(let x = x0; x <= x1; x++) {
+                    const i = this.indexOf(x, y, layer);
+                    const mesh = this.meshOf(i);
+                    if(!mesh || !this.tiles[this.ids[i]].solid)
+                        continue;
+                    this.cellMatrix(i, mesh, mCell);
+                    const tileBox = mesh.boundingBox.transform(Mat4x4.multiplyMatrix(mWorld, mCell, mCell));
+                    const touches = tileBox.min.components.every(axis =>
+                        tileBox.min[axis] <= box.max[axis] && tileBox.max[axis] >= box.min[axis]);
+                    if(touches)
+                        found.push({ box: tileBox, cell: { x, y, layer } });
+                }
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Find the nearest front facing triangle of a tile hit by a ray
+     * @param {Vector3} origin - start of the ray in world space
+     * @param {Vector3} direction - unit direction of the ray in world space
+     * @param {Float32Array} mWorld - the world matrix of the map
+     * @param {number} maxDistance - farthest distance along the ray
+     * @returns {Object} the `mesh`, `triangle` index, `distance` along the ray, world space
+     * `point` and the `cell` hit, or null if nothing was hit
+     * @see Mesh#raycast
+     */
+    raycast(origin, direction, mWorld = this.worldMatrix, maxDistance = Infinity) {
+        let nearest = null;
+        for(let i = 0; i < this.ids.length; i++) {
+            const mesh = this.meshOf(i);
+            if(!mesh)
+                continue;
+            const mCell = this.cellMatrix(i, mesh, this.cellWorldMatrix);
+            const hit = mesh.raycast(origin, direction, Mat4x4.multiplyMatrix(mWorld, mCell, mCell),
+                nearest ? nearest.distance : maxDistance);
+            if(hit) {
+                nearest = hit;
+                nearest.mesh = mesh;
+                nearest.cell = {
+                    x: i % this.columns,
+                    y: Math.floor(i / this.columns) % this.rows,
+                    layer: Math.floor(i / (this.columns * this.rows))
+                };
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Draw every cell with the shared mesh of it's tile
+     * @private
+     * @param {Scene} scene - The scene
+     * @param {Float32Array} mWorld - the world matrix of the map
+     */
+    process(scene, mWorld = this.worldMatrix) {
+        const mCell = this.cellWorldMatrix;
+        for(let i = 0; i < this.ids.length; i++) {
+            const mesh = this.meshOf(i);
+            if(!mesh)
+                continue;
+            this.cellMatrix(i, mesh, mCell);
+            mesh.draw(scene, Mat4x4.multiplyMatrix(mWorld, mCell, mCell));
+        }
+    }
+
+};
+
+
+
+
+
+
+
+
+
+/**
+ * Flags stored in the high bits of a global tile id
+ */
+const TILED_FLIPPED_HORIZONTALLY = 0x80000000;
+const TILED_FLIPPED_VERTICALLY = 0x40000000;
+const TILED_FLIPPED_DIAGONALLY = 0x20000000;
+const TILED_ID_MASK = 0x0fffffff;
+
+/**
+ * Quarter turns of a tile by it's flip flags. Turning clockwise in Tiled, where the
+ * y-axis points down, is turning clockwise on the screen which is a negative turn
+ * with the y-axis up. Flags that mirror the tile have no turn
+ */
+const TILED_QUARTER_TURNS = {
+    [(TILED_FLIPPED_DIAGONALLY | TILED_FLIPPED_HORIZONTALLY) >>> 0]: 3,
+    [(TILED_FLIPPED_HORIZONTALLY | TILED_FLIPPED_VERTICALLY) >>> 0]: 2,
+    [(TILED_FLIPPED_DIAGONALLY | TILED_FLIPPED_VERTICALLY) >>> 0]: 1
+};
+
+/**
+ * Parse xml into a tree of elements. Only what Tiled writes is supported, elements,
+ * attributes, text and comments
+ * @param {string} text - the xml
+ * @returns {Object} the root element with it's `name`, `attributes`, `children` and `text`
+ * @throws {SyntaxError} when the xml is malformed
+ */
+const TILED_PARSE_XML = text => {
+    const decode = value => value.replace(/&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-f]+);/gi, (entity, code) => {
+        const named = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" }[code.toLowerCase()];
+        if(named)
+            return named;
+        return String.fromCodePoint(code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1)));
+    });
+    const root = { name: "", attributes: {}, children: [], text: "" };
+    const stack = [root];
+    const tag = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+    let last = 0;
+    let match;
+    while((match = tag.exec(text))) {
+        const current = stack[stack.length - 1];
+        current.text += decode(text.slice(last, match.index));
+        last = tag.lastIndex;
+        const [, cdata, closing, name, attributes, selfClosing] = match;
+        if(cdata !== undefined)
+            current.text += cdata;
+        if(!name)
+            continue;
+        if(closing) {
+            if(current.name !== name)
+                throw SyntaxError(`Unexpected closing tag </${name}>`);
+            stack.pop();
+            continue;
+        }
+        const element = { name, attributes: {}, children: [], text: "" };
+        attributes.replace(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (all, key, double, single) => {
+            element.attributes[key] = decode(double !== undefined ? double : single);
+        });
+        current.children.push(element);
+        if(!selfClosing)
+            stack.push(element);
+    }
+    if(stack.length > 1)
+        throw SyntaxError(`Missing closing tag </${stack[stack.length - 1].name}>`);
+    return root.children[0];
+};
+
+/**
+ * Convert a property to it's javascript value
+ * @param {string} type - type of the property in Tiled
+ * @param {*} value - the value as written to the file
+ * @returns {*} the value
+ */
+const TILED_PROPERTY_VALUE = (type, value) => {
+    switch(type) {
+        case "int":
+        case "float":
+        case "object":
+            return Number(value);
+        case "bool":
+            return value === true || value === "true";
+        default:
+            return value;
+    }
+};
+
+/**
+ * Read the properties of a json element
+ * @param {Array.<Object>} properties - the properties of the element
+ * @returns {Object.<string, *>} the values of the properties mapped by their names
+ */
+const TILED_JSON_PROPERTIES = (properties = []) => {
+    const res = {};
+    properties.forEach(p => res[p.name] = TILED_PROPERTY_VALUE(p.type, p.value));
+    return res;
+};
+
+/**
+ * Read the properties of an xml element
+ * @param {Object} element - the element
+ * @returns {Object.<string, *>} the values of the properties mapped by their names
+ */
+const TILED_XML_PROPERTIES = element => {
+    const res = {};
+    const properties = element.children.find(child => child.name === "properties");
+    if(properties) {
+        properties.children.filter(child => child.name === "property").forEach(({ attributes: a, text }) => {
+            res[a.name] = TILED_PROPERTY_VALUE(a.type, a.value !== undefined ? a.value : text);
+        });
+    }
+    return res;
+};
+
+/**
+ * Decode the global tile ids of a layer stored as base64
+ * @param {string} text - the base64 data
+ * @param {string} compression - compression of the data
+ * @returns {Array.<number>} the global tile ids
+ * @throws {SyntaxError} when the data is compressed
+ */
+const TILED_DECODE_BASE64 = (text, compression) => {
+    if(compression)
+        throw SyntaxError(`Compressed layer data (${compression}) is not supported, save the map with uncompressed base64 or csv`);
+    const bytes = atob(text.trim());
+    const ids = [];
+    for(let i = 0; i + 3 < bytes.length; i += 4) {
+        ids.push((bytes.charCodeAt(i) | bytes.charCodeAt(i + 1) << 8
+            | bytes.charCodeAt(i + 2) << 16 | bytes.charCodeAt(i + 3) << 24) >>> 0);
+    }
+    return ids;
+};
+
+/**
+ * Read a tileset from json
+ * @param {Object} json - the tileset
+ * @param {number} firstgid - global id of the first tile
+ * @returns {Object} the tileset
+ */
+const TILED_JSON_TILESET = (json, firstgid) => {
+    const tiles = {};
+    (json.tiles || []).forEach(tile => {
+        tiles[tile.id] = { type: tile.class || tile.type || "", properties: TILED_JSON_PROPERTIES(tile.properties) };
+    });
+    return { firstgid, name: json.name || "", source: json.source || null, tiles };
+};
+
+/**
+ * Read a tileset from xml
+ * @param {Object} element - the tileset element
+ * @param {number} firstgid - global id of the first tile
+ * @returns {Object} the tileset
+ */
+const TILED_XML_TILESET = (element, firstgid) => {
+    const tiles = {};
+    element.children.filter(child => child.name === "tile").forEach(tile => {
+        tiles[tile.attributes.id] = {
+            type: tile.attributes.class || tile.attributes.type || "",
+            properties: TILED_XML_PROPERTIES(tile)
+        };
+    });
+    const a = element.attributes;
+    return { firstgid, name: a.name || "", source: a.source || null, tiles };
+};
+
+/**
+ * Read the objects of an object layer from json
+ * @param {Array.<Object>} objects - the objects
+ * @returns {Array.<Object>} the objects
+ */
+const TILED_JSON_OBJECTS = objects => objects.map(o => ({
+    id: o.id,
+    name: o.name || "",
+    type: o.class || o.type || "",
+    x: o.x,
+    y: o.y,
+    width: o.width || 0,
+    height: o.height || 0,
+    rotation: o.rotation || 0,
+    gid: o.gid || 0,
+    properties: TILED_JSON_PROPERTIES(o.properties)
+}));
+
+/**
+ * Read the layers of a json map or group layer, the layers of groups are
+ * flattened in their drawing order
+ * @param {Array.<Object>} layers - the layers
+ * @returns {Array.<Object>} the layers
+ */
+const TILED_JSON_LAYERS = layers => layers.reduce((res, layer) => {
+    const common = {
+        name: layer.name || "",
+        visible: layer.visible !== false,
+        properties: TILED_JSON_PROPERTIES(layer.properties)
+    };
+    switch(layer.type) {
+        case "tilelayer":
+            if(layer.chunks)
+                throw SyntaxError("Infinite maps are not supported");
+            res.push(Object.assign(common, {
+                type: "tilelayer",
+                width: layer.width,
+                height: layer.height,
+                data: typeof layer.data === "string" ? TILED_DECODE_BASE64(layer.data, layer.compression) : layer.data
+            }));
+            break;
+        case "objectgroup":
+            res.push(Object.assign(common, { type: "objectgroup", objects: TILED_JSON_OBJECTS(layer.objects || []) }));
+            break;
+        case "group":
+            // a hidden group hides it's layers
+            res.push(...TILED_JSON_LAYERS(layer.layers || [])
+                .map(child => Object.assign(child, { visible: child.visible && common.visible })));
+            break;
+        // image layers have no geometry
+        default:
+            break;
+    }
+    return res;
+}, []);
+
+/**
+ * Read the layers of a xml map or group layer, the layers of groups are
+ * flattened in their drawing order
+ * @param {Object} element - the map or group
+ * @returns {Array.<Object>} the layers
+ */
+const TILED_XML_LAYERS = element => element.children.reduce((res, child) => {
+    const a = child.attributes;
+    const common = {
+        name: a.name || "",
+        visible: a.visible !== "0",
+        properties: TILED_XML_PROPERTIES(child)
+    };
+    switch(child.name) {
+        case "layer": {
+            const data = child.children.find(c => c.name === "data");
+            if(!data || data.children.some(c => c.name === "chunk"))
+                throw SyntaxError("Infinite maps are not supported");
+            let ids;
+            if(data.attributes.encoding === "csv")
+                ids = data.text.split(",").map(id => parseInt(id) >>> 0);
+            else if(data.attributes.encoding === "base64")
+                ids = TILED_DECODE_BASE64(data.text, data.attributes.compression);
+            else
+                ids = data.children.filter(c => c.name === "tile").map(c => parseInt(c.attributes.gid || 0) >>> 0);
+            res.push(Object.assign(common, { type: "tilelayer", width: +a.width, height: +a.height, data: ids }));
+            break;
+        }
+        case "objectgroup":
+            res.push(Object.assign(common, {
+                type: "objectgroup",
+                objects: child.children.filter(c => c.name === "object").map(o => ({
+                    id: +o.attributes.id,
+                    name: o.attributes.name || "",
+                    type: o.attributes.class || o.attributes.type || "",
+                    x: +o.attributes.x || 0,
+                    y: +o.attributes.y || 0,
+                    width: +o.attributes.width || 0,
+                    height: +o.attributes.height || 0,
+                    rotation: +o.attributes.rotation || 0,
+                    gid: parseInt(o.attributes.gid || 0) >>> 0,
+                    properties: TILED_XML_PROPERTIES(o)
+                }))
+            }));
+            break;
+        case "group":
+            res.push(...TILED_XML_LAYERS(child)
+                .map(layer => Object.assign(layer, { visible: layer.visible && common.visible })));
+            break;
+        default:
+            break;
+    }
+    return res;
+}, []);
+
+
+/**
+ * An importer for maps of the Tiled map editor, as described on
+ * { @link https://doc.mapeditor.org/en/stable/reference/tmx-map-format/ }. Json (`.tmj`)
+ * and xml (`.tmx`) maps with orthogonal or isometric orientation are read into a plain
+ * map object which is built into tile maps. Layer data may be csv, xml or uncompressed
+ * base64, infinite maps are not supported.
+ * @class
+ */
+class Tiled {
+
+    /**
+     * Parse a map in either format
+     * @static
+     * @param {string | Object} data - the xml or json of the map, or the parsed json
+     * @returns {Object} the map
+     * @see Tiled.parseJSON
+     */
+    static parse(data) {
+        if(typeof data === "string" && data.trim().startsWith("<"))
+            return Tiled.parseTMX(data);
+        return Tiled.parseJSON(data);
+    }
+
+    /**
+     * Parse a json map
+     * @static
+     * @param {string | Object} data - the json of the map or the parsed json
+     * @returns {Object} the `orientation`, size in `width` and `height` cells, `tileWidth`
+     * and `tileHeight` in pixels, `properties`, `tilesets` and `layers` of the map. Each
+     * tileset has it's `firstgid`, the `source` of an external tileset and it's `tiles`
+     * mapping local ids to the `type` and `properties` of a tile. Each layer has it's `type`,
+     * `name`, `visible` flag and `properties`, a "tilelayer" has the global tile id of every
+     * cell as `data` and an "objectgroup" has it's `objects`
+     * @throws {SyntaxError} when the map can't be read
+     */
+    static parseJSON(data) {
+        const json = typeof data === "string" ? JSON.parse(data) : data;
+        if(!json || json.type !== "map" && !Array.isArray(json.layers))
+            throw SyntaxError("The data is not a Tiled map");
+        return {
+            orientation: json.orientation || "orthogonal",
+            width: json.width,
+            height: json.height,
+            tileWidth: json.tilewidth,
+            tileHeight: json.tileheight,
+            properties: TILED_JSON_PROPERTIES(json.properties),
+            tilesets: (json.tilesets || []).map(tileset => TILED_JSON_TILESET(tileset, tileset.firstgid)),
+            layers: TILED_JSON_LAYERS(json.layers)
+        };
+    }
+
+    /**
+     * Parse a xml map
+     * @static
+     * @param {string} data - the xml of the map
+     * @returns {Object} the map
+     * @see Tiled.parseJSON
+     * @throws {SyntaxError} when the map can't be read
+     */
+    static parseTMX(data) {
+        const root = TILED_PARSE_XML(data);
+        if(!root || root.name !== "map")
+            throw SyntaxError("The data is not a Tiled map");
+        const a = root.attributes;
+        if(a.infinite === "1")
+            throw SyntaxError("Infinite maps are not supported");
+        return {
+            orientation: a.orientation || "orthogonal",
+            width: +a.width,
+            height: +a.height,
+            tileWidth: +a.tilewidth,
+            tileHeight: +a.tileheight,
+            properties: TILED_XML_PROPERTIES(root),
+            tilesets: root.children.filter(child => child.name === "tileset")
+                .map(tileset => TILED_XML_TILESET(tileset, +tileset.attributes.firstgid)),
+            layers: TILED_XML_LAYERS(root)
+        };
+    }
+
+    /**
+     * Fetch and parse a map. External tilesets are loaded as well
+     * @static
+     * @param {string} url - location of the `.tmj`, `.json` or `.tmx` file
+     * @returns {Promise.<Object>} the map
+     * @see Tiled.parseJSON
+     */
+    static async load(url) {
+        const fetchText = async file => {
+            const response = await fetch(file);
+            if(!response.ok)
+                throw Error(`Could not load ${file}: ${response.status}`);
+            return response.text();
+        };
+        const map = Tiled.parse(await fetchText(url));
+        const base = new URL(url, typeof location === "object" ? location.href : undefined);
+        await Promise.all(map.tilesets.filter(tileset => tileset.source).map(async tileset => {
+            const text = await fetchText(new URL(tileset.source, base).href);
+            const external = text.trim().startsWith("<")
+                ? TILED_XML_TILESET(TILED_PARSE_XML(text), tileset.firstgid)
+                : TILED_JSON_TILESET(JSON.parse(text), tileset.firstgid);
+            tileset.name = external.name;
+            tileset.tiles = external.tiles;
+        }));
+        return map;
+    }
+
+    /**
+     * Build the geometry of a map. Every visible tile layer becomes a layer of one tile map,
+     * stacked in drawing order, and every object layer becomes a group of named placeholder
+     * boxes at the height of the layers below it. Each placeholder keeps it's object as
+     * `tiledObject`. A tile is a flat plane unless it's custom properties say otherwise,
+     * `height` in pixels extrudes it into a box and `mesh` picks one of the given meshes or a
+     * shape of { @link Primitives }. The `color` property colors it and `solid` false lets
+     * movement pass through it. The same properties on an object set the height and color
+     * of it's placeholder, and `elevation` on a layer raises it's cells. Tiles turned by
+     * quarter turns in Tiled are turned the same way, flipped tiles are not mirrored. The
+     * rows are flipped so the map reads the same with the y-axis pointing up, isometric maps
+     * are laid out on a square grid and the camera is turned to look at them as Tiled shows them
+     * @static
+     * @param {Object} map - the parsed map
+     * @param {Scene} scene - scene the map is added to, may be omitted
+     * @param {Object} options - the `meshes` named by the `mesh` property, the `layerHeight`
+     * in pixels which is the tile height by default and `camera` false to keep the camera
+     * of an isometric map's scene as it is
+     * @returns {Group} the group holding the tile map and the object layers
+     * @throws {RangeError} when the orientation is not supported or a mesh is unknown
+     */
+    static build(map, scene = null, { meshes = {}, layerHeight = map.tileHeight, camera = true } = {}) {
+        const isometric = map.orientation === "isometric";
+        if(!isometric && map.orientation !== "orthogonal")
+            throw RangeError(`Maps with ${map.orientation} orientation are not supported`);
+
+        // an isometric diamond is a square cell turned by 45 degrees
+        const cell = isometric ? map.tileWidth / Math.SQRT2 : null;
+        const tileSize = new Vector3(cell || map.tileWidth, cell || map.tileHeight, layerHeight);
+        // isometric object positions are measured along the axes in tile heights
+        const scaleX = tileSize.x / (isometric ? map.tileHeight : map.tileWidth);
+        const scaleY = tileSize.y / map.tileHeight;
+
+        const color = value => {
+            if(typeof value !== "string" || !/^#([0-9a-f]{6}|[0-9a-f]{8})$/i.test(value))
+                return null;
+            const hex = value.slice(1);
+            const argb = hex.length === 8 ? hex : "ff" + hex;
+            const channel = i => parseInt(argb.slice(i, i + 2), 16) / 255;
+            const material = new Material();
+            material.setDiffuse(channel(2), channel(4), channel(6));
+            material.opacity = channel(0);
+            return material.color;
+        };
+        const shape = (properties, size, fallback) => {
+            const name = properties.mesh;
+            if(name && meshes[name] instanceof Mesh)
+                return meshes[name];
+            if(name && typeof Primitives[name] !== "function")
+                throw RangeError(`Unknown tile mesh "${name}"`);
+            return Primitives[name || (size.z > 0 ? "box" : "plane")](size, undefined, color(properties.color) || fallback);
+        };
+        const tile = gid => {
+            let tileset = null;
+            map.tilesets.forEach(t => {
+                if(t.firstgid <= gid && (!tileset || t.firstgid > tileset.firstgid))
+                    tileset = t;
+            });
+            return tileset && tileset.tiles[gid - tileset.firstgid] || { type: "", properties: {} };
+        };
+
+        const group = new Group(map.properties.name || "");
+        const tileLayers = map.layers.filter(layer => layer.type === "tilelayer" && layer.visible);
+        const tileMap = new TileMap(map.width, map.height, Math.max(1, tileLayers.length), tileSize);
+        group.add(tileMap);
+
+        let stack = 0;
+        map.layers.filter(layer => layer.visible).forEach(layer => {
+            if(layer.type === "tilelayer") {
+                const elevation = Number(layer.properties.elevation) || 0;
+                layer.data.forEach((raw, i) => {
+                    const gid = raw & TILED_ID_MASK;
+                    if(!gid)
+                        return;
+                    if(gid > 65535)
+                        throw RangeError(`Tile ${gid} is above the 65535 tiles a tile map can hold`);
+                    if(!tileMap.tiles[gid]) {
+                        const properties = tile(gid).properties;
+                        const height = Number(properties.height) || 0;
+                        const size = new Vector3(tileSize.x, tileSize.y, height || (properties.mesh ? layerHeight : 0));
+                        tileMap.defineTile(gid, shape(properties, size, { h: gid * 47 % 360, s: 40, l: 60, a: 1 }),
+                            { solid: properties.solid !== false });
+                    }
+                    const flags = (raw & ~TILED_ID_MASK) >>> 0;
+                    const rotation = TILED_QUARTER_TURNS[flags] || 0;
+                    const x = i % layer.width;
+                    const y = map.height - 1 - Math.floor(i / layer.width);
+                    if(tileMap.contains(x, y, stack))
+                        tileMap.set(x, y, stack, gid, { rotation, elevation });
+                });
+                stack++;
+                return;
+            }
+
+            const objects = group.add(new Group(layer.name));
+            objects.setPosition(0, 0, -stack * layerHeight);
+            layer.objects.forEach(object => {
+                const properties = Object.assign({}, object.gid ? tile(object.gid & TILED_ID_MASK).properties : {}, object.properties);
+                const width = (object.width || map.tileWidth / 4) * scaleX;
+                const depth = (object.height || map.tileHeight / 4) * scaleY;
+                const height = Number(properties.height) || layerHeight / 2;
+                const placeholder = shape(Object.assign({}, properties, { mesh: properties.mesh || "box" }),
+                    new Vector3(width, depth, height), { h: 0, s: 0, l: 70, a: 0.5 });
+                // a given mesh may be placed many times so each placeholder gets a copy
+                const mesh = placeholder === meshes[properties.mesh] ? placeholder.clone() : placeholder;
+                // objects hang down from their top left corner, tile objects stand on their bottom left
+                mesh.vertices.forEach(v => v[1] -= depth);
+                mesh.updateGeometry();
+                mesh.name = object.name || object.type;
+                mesh.tiledObject = object;
+                const top = object.gid ? object.y - object.height : object.y;
+                mesh.setPosition(object.x * scaleX, (map.height * map.tileHeight - top) * scaleY, 0);
+                mesh.setRotation(0, 0, -object.rotation * Math.PI / 180);
+                objects.add(mesh);
+            });
+        });
+
+        if(scene) {
+            scene.add(group);
+            if(isometric && camera)
+                scene.setRotation(Math.PI / 3, 0, -Math.PI / 4);
+        }
+        return group;
+    }
+
+};
+
+
+
+
+
+
+
+/**
+ * Gap between two boxes small enough to be rounding, they are touching
+ */
+const SWEEP_EPSILON = 1e-6;
 
-        this.data = Mesh.parseWaveFront(data, "v", "f", "c");
+/**
+ * Most times a movement slides along a surface before it gives up
+ */
+const SWEEP_MAX_SLIDES = 4;
 
-        this.vertices = this.data.v || [];
-        this.faces = this.data.f || [];
-        this.faceColor = this.data.c || [];
-        this.triangles = [];
-        this.scale = new Vector3(1, 1, 1);
-        this.position = new Vector3();
-        this.rotation = new Vector3();
+/**
+ * The region searched for obstacles, the movement left, the step taken, the hit being
+ * tested and the normal of the first hit of a slide. They are reused by every movement
+ * so moving doesn't allocate
+ */
+const SWEEP_REGION = new AABB();
+const SWEEP_REMAINING = new Vector3(0, 0, 0, 0);
+const SWEEP_STEP = new Vector3(0, 0, 0, 0);
+const SWEEP_HIT = { time: 0, normal: new Vector3(0, 0, 0, 0) };
+const SWEEP_NORMAL = new Vector3(0, 0, 0, 0);
 
-        this.showVertex = false;
-        this.showWireFrame = true;
-        this.fillShader = true;
-        this.wireFrameColor = undefined;
 
-        this.updateGeometry();
-    }
+/**
+ * Swept box movement resolved against meshes, tiles and boxes
+ * @class
+ */
+class Collision {
 
     /**
-     * Always call this function after every vertices, faces and faceColor has been updated
+     * Find when a moving box first touches a box standing still. Boxes that already
+     * overlap are not hit so a box stuck in another can move out of it
+     * @static
+     * @param {AABB} box - the moving box
+     * @param {Vector3} velocity - distance the box moves
+     * @param {AABB} other - the box standing still
+     * @param {Object} out - hit receiving the `time` and `normal`
+     * @returns {Object} the `time` of the hit from 0 at the start to 1 at the end of the
+     * movement and the `normal` of the face of the other box that was hit, or null if
+     * the boxes don't touch during the movement
      */
-    updateGeometry() {
-        this.faces.forEach((face, i) => {
-            let length = face.length;
-            let v = this.vertices;
-            let c = this.faceColor[i];
-            let triangle = new Triangle([
-                v[face[0] - 1], 
-                v[face[1] - 1],
-                v[face[2] - 1]
-            ], {});
-            triangle.vertices.forEach((v, i) => {
-            });
-            triangle.color.h = c[0];
-            triangle.color.s = c[1];
-            triangle.color.l = c[2];
-            triangle.color.a = c[3] || 1;
-            this.triangles[i] = triangle;
-        });
+    static sweep(box, velocity, other, out = { time: 0, normal: new Vector3(0, 0, 0, 0) }) {
+        let entry = -Infinity, exit = Infinity, normalAxis = null, direction = 0;
+        for(const axis of box.min.components) {
+            const v = velocity[axis];
+            if(v === 0) {
+                // not moving on this axis, the boxes must already overlap on it
+                if(box.max[axis] <= other.min[axis] + SWEEP_EPSILON || box.min[axis] >= other.max[axis] - SWEEP_EPSILON)
+                    return null;
+                continue;
+            }
+            const near = v > 0 ? other.min[axis] - box.max[axis] : other.max[axis] - box.min[axis];
+            const far = v > 0 ? other.max[axis] - box.min[axis] : other.min[axis] - box.max[axis];
+            const t0 = Math.abs(near) <= SWEEP_EPSILON ? 0 : near / v;
+            if(t0 > entry) {
+                entry = t0;
+                normalAxis = axis;
+                direction = v > 0 ? -1 : 1;
+            }
+            exit = Math.min(exit, far / v);
+        }
+        if(normalAxis === null || entry < 0 || entry > 1 || entry >= exit)
+            return null;
+        out.time = entry;
+        out.normal.set(0, 0, 0);
+        out.normal[normalAxis] = direction;
+        return out;
     }
 
     /**
-     * Set mesh position
-     * @param {number} x - position on the x-axis
-     * @param {number} y - position on the y-axis
-     * @param {number} z - position on the z-axis
+     * Move a node by an offset, stopping at and sliding along the obstacles in the way.
+     * The node is moved as it's world bounding box, obstacles are meshes and solid tiles
+     * as their world bounding boxes, so a rotated mesh blocks the box around it
+     * @static
+     * @param {Mesh} node - the node moved, any node having a `worldBoundingBox`
+     * @param {Vector3} offset - distance to move in world space
+     * @param {Array.<Mesh | TileMap | AABB>} obstacles - what the node can't pass through
+     * @returns {Object} the `offset` the node actually moved and the `contacts`, each with
+     * the `normal` of the surface hit, the `time` along the remaining movement, the `node`
+     * hit if any and the `cell` for tiles
+     * @see TileMap#solidBoxes
      */
-    setPosition(x = 0, y = 0, z = 0) {
-        this.position.x = x;
-        this.position.y = y;
-        this.position.z = z;
-    }
+    static move(node, offset, obstacles) {
+        const box = node.worldBoundingBox;
+        if(!(box instanceof AABB))
+            throw TypeError("Only a node with a world bounding box can be moved with collisions");
+        // gather the boxes near the whole movement once
+        const region = box.union(box.translate(offset, SWEEP_REGION), SWEEP_REGION);
+        const boxes = [];
+        obstacles.forEach(obstacle => {
+            if(obstacle === node)
+                return;
+            if(obstacle instanceof TileMap)
+                obstacle.solidBoxes(region).forEach(tile => boxes.push({ box: tile.box, node: obstacle, cell: tile.cell }));
+            else if(obstacle instanceof Mesh)
+                boxes.push({ box: obstacle.worldBoundingBox, node: obstacle });
+            else if(obstacle instanceof AABB)
+                boxes.push({ box: obstacle, node: null });
+            else
+                throw TypeError("An obstacle must be an instance of `Mesh`, `TileMap` or `AABB`");
+        });
 
-    /**
-     * Set mesh rotation
-     * @param {number} x - rotation on the x-axis
-     * @param {number} y - rotation on the y-axis
-     * @param {number} z - rotation on the z-axis
-     */
-    setRotation(x = 0, y = 0, z = 0) {
-        this.rotation.x = x;
-        this.rotation.y = y;
-        this.rotation.z = z;
-    }
+        const moved = new Vector3(0, 0, 0, 0);
+        const contacts = [];
+        const remaining = SWEEP_REMAINING.set(offset.x, offset.y, offset.z);
+        for(let i = 0; i < SWEEP_MAX_SLIDES && remaining.magnitude > SWEEP_EPSILON; i++) {
+            let first = null, time = 1;
+            for(const obstacle of boxes) {
+                const hit = Collision.sweep(box, remaining, obstacle.box, SWEEP_HIT);
+                if(hit && (!first || hit.time < time)) {
+                    first = obstacle;
+                    time = hit.time;
+                    SWEEP_NORMAL.copy(hit.normal);
+                }
+            }
+            moved.add(remaining.scale(time, SWEEP_STEP), moved);
+            box.translate(SWEEP_STEP, box);
+            if(!first)
+                break;
+            const normal = new Vector3(SWEEP_NORMAL.x, SWEEP_NORMAL.y, SWEEP_NORMAL.z, 0);
+            contacts.push(Object.assign({ time, normal, node: first.node }, first.cell && { cell: first.cell }));
+            // the rest of the movement slides along the surface hit
+            remaining.scale(1 - time, remaining);
+            remaining.sub(SWEEP_NORMAL.scale(remaining.dot(SWEEP_NORMAL), SWEEP_STEP), remaining);
+        }
 
-    /**
-     * Set mesh scale
-     * @param {number} x - scale on the x-axis
-     * @param {number} y - scale on the y-axis
-     * @param {number} z - scale on the z-axis
-     */
-    setScale(x = 1, y = 1, z = 1) {
-        this.scale.x = x;
-        this.scale.y = y;
-        this.scale.z = z;
+        const end = node.worldPosition;
+        end.add(moved, end);
+        const local = node.parent ? node.parent.worldToLocal(end) : end;
+        node.setPosition(local.x, local.y, local.z);
+        return { offset: moved, contacts };
     }
 
-    /**
-     * @private
-     * @param {Scene} scene - The scene
-     */
-    process(scene) {
+};
+
+
 
-        if(typeof this.update === "function")
-            this.update();
 
-        // There's no rotation about the y-axis
-        let mRotateX = Mat4x4.pitchRotation(this.rotation.x + scene.camera.rotation.x);
-        let mRotateZ = Mat4x4.rollRotation(this.rotation.z + scene.camera.rotation.z);
-        let mRotate = Mat4x4.multiplyMatrix(mRotateX, mRotateZ);
 
-        this.triangles.forEach(tri => {
 
-            let transformed = [];
-            let projected = [];
 
-            tri.vertices.forEach((vertex, i) => {
-                // scale
-                transformed[i] = vertex.mult(this.scale);
-                // translate
-                transformed[i] = transformed[i].add(this.position);
-                // rotate
-                transformed[i] = Mat4x4.multiplyVector(mRotate, transformed[i]);
-            });
 
-            // get normal
-            let line1 = transformed[0];
-            let line2 = transformed[1].sub(line1);
-            let line3 = transformed[2].sub(line1);
-            let cross = line2.cross(line3);
-            cross.normalise();
-           
-            /**
-             * front face polygon have -z and positive dot
-             * backface polygon have +z and negative dot
-             */
-            if(cross.z < 0) {
-
-                let zAverage = (transformed[0].z + transformed[1].z + transformed[2].z) / 3;
-                // let light = new Vector3(100, 0, -150).sub(line1);
-                // light.normalise();
-                let alpha = 1; //light.dot(cross);
-
-                transformed.forEach((tri, i) => {
-
-                    projected[i] = Mat4x4.multiplyVector(scene.projectionMatrix, tri);
-
-                    // scale to view space
-                    projected[i].x += 1;
-                    projected[i].y += 1;
-                    projected[i].x *= scene.width * 0.5;
-                    projected[i].y *= scene.height * 0.5;
-
-                });     // END PROJECTION
-
-                scene.toRaster.push({
-                    vertices: projected,
-                    zAverage,
-                    alpha,
-                    color: tri.color,
-                    showVertex: this.showVertex,
-                    showWireFrame: this.showWireFrame,
-                    fillShader: this.fillShader,
-                    wireFrameColor: this.wireFrameColor
-                });
 
-            }   
 
-        });     // END MAIN TRIANGLE LOOP
 
-    }
 
-};
 
 
 
+/**
+ * Version of the json written by `Scene#toJSON`
+ */
+const SCENE_VERSION = 1;
+
+/**
+ * Functions upgrading the json of a scene, the nth function upgrades version n to n + 1
+ */
+const SCENE_MIGRATIONS = [];
+
+/**
+ * Classes of the nodes a scene can be read from json into, by their json type
+ */
+const SCENE_NODE_TYPES = { Node, Group, Mesh, TileMap, Sprite, VoxelChunk, VoxelWorld, Terrain };
 
+/**
+ * Create a triangle to be rastered, see { @link Renderer }. The optional per vertex
+ * `vertexLights`, `vertexColors` and `uvs` point to the lists in `storage` when used
+ * @returns {Object} the triangle
+ */
+const RASTER_TRIANGLE = () => ({
+    vertices: [new Vector3(), new Vector3(), new Vector3()],
+    zAverage: 0,
+    light: 1,
+    vertexLights: null,
+    color: new Color(),
+    vertexColors: null,
+    uvs: null,
+    texture: null,
+    perspectiveCorrect: false,
+    showVertex: false,
+    showWireFrame: false,
+    fillShader: true,
+    wireFrameColor: undefined,
+    storage: {
+        lights: [0, 0, 0],
+        colors: [new Color(), new Color(), new Color()],
+        uvs: [new Vector2(), new Vector2(), new Vector2()]
+    }
+});
 
 
 /**
- * Creates a scene
+ * Creates a scene. The scene is the root node of every object it renders
  * @class
-* @todo implement camera position
-* @todo implement viewport culling
-* @todo rasterise triangle
-* @todo implement light, vertex shader, pixel shader
-* @todo implement zBuffer
-* @todo implement texture coordinate
+ * @augments Node
+* @todo implement vertex shader, pixel shader
 */
-class Scene {
+class Scene extends Node {
+
+    /**
+     * Create a scene from it's json representation. Json written by an older
+     * version is upgraded first
+     * @static
+     * @see Scene#toJSON
+     * @param {Object | string} json - the scene as returned by toJSON or the json string
+     * @param {Renderer} renderer - draws the scene
+     * @returns {Scene} the scene
+     * @throws {RangeError} when the json was written by a newer version
+     * @throws {TypeError} when a node or light type is unknown
+     */
+    static fromJSON(json, renderer) {
+        if(typeof json === "string")
+            json = JSON.parse(json);
+        if(!(json.version <= SCENE_VERSION))
+            throw RangeError(`Scene version ${json.version} is not supported, the latest is ${SCENE_VERSION}`);
+        for(let version = json.version; version < SCENE_VERSION; version++)
+            json = SCENE_MIGRATIONS[version - 1](json);
+
+        const scene = new Scene(json.width, json.height, renderer);
+        scene.clearColor = json.clearColor;
+        scene.fastMode = json.fastMode;
+        scene.camera = Camera.fromJSON(json.camera);
+        json.lights.forEach(light => scene.add(Light.fromJSON(light)));
+
+        const create = data => {
+            const type = SCENE_NODE_TYPES[data.type];
+            if(!type)
+                throw TypeError(`Unknown node type "${data.type}"`);
+            const node = type.fromJSON(data);
+            data.children.forEach(child => node.add(create(child)));
+            return node;
+        };
+        json.objects.forEach(object => scene.add(create(object)));
+        return scene;
+    }
 
     /**
      * constructs a scene
      * @constructor
      * @param {number} w - width of the scene
      * @param {number} h - height of the scene
+     * @param {Renderer} renderer - draws the scene, a canvas renderer when there is a DOM
+     * otherwise a buffer renderer
      */
-    constructor(w, h) {
+    constructor(w, h, renderer) {
 
-        // element
-        this.element = document.createElement("canvas");
-        this.element.style.backgroundColor = "#000";
-        this.element.style.width = w;
-        this.element.style.height = h;
-        this.ctx = this.element.getContext("2d");
-        this.clearColor = undefined;
+        super();
+
+        if(renderer !== undefined && !(renderer instanceof Renderer))
+            throw TypeError("The renderer of a scene must be an instance of `Renderer`");
+        this.renderer = renderer || (typeof document === "object"
+            ? new CanvasRenderer(w, h) : new BufferRenderer(w, h));
 
         // props
-        this.projectionMatrix = Mat4x4.create();
-        this.objects = [];
+        this.lights = [];
         this.toRaster = [];
-        this.camera = {
-            position: new Vector3(),
-            rotation: new Vector3()
-        };
+        // every triangle handed out by rasterTriangle, reused by the next frame
+        this.rasterPool = [];
+        this.camera = new Camera(w, h);
+        // an input manager updated at the start of every step, set it to read input
+        this.input = null;
+        // objects updated with the time of every step before the camera, such as a camera controller
+        this.controllers = [];
+        this.loop = new GameLoop(dt => this.update(dt), () => this.draw());
+        // times calls to render made outside the loop
+        this.clock = new Clock();
+    }
+
+    /**
+     * The canvas of a canvas renderer
+     * @returns {HTMLCanvasElement}
+     */
+    get element() {
+        return this.renderer.element;
+    }
+
+    /**
+     * The context of a canvas renderer
+     * @returns {CanvasRenderingContext2D}
+     */
+    get ctx() {
+        return this.renderer.ctx;
+    }
+
+    /**
+     * The rasteriser of the renderer
+     * @returns {Rasterizer}
+     */
+    get rasterizer() {
+        return this.renderer.rasterizer;
+    }
+
+    /**
+     * Fill the canvas directly without a depth buffer, only used by a canvas renderer
+     * @returns {boolean}
+     */
+    get fastMode() {
+        return !!this.renderer.fastMode;
+    }
+
+    set fastMode(fast) {
+        this.renderer.fastMode = fast;
+    }
+
+    /**
+     * Color the scene is cleared to, transparent if not set
+     * @returns {string}
+     */
+    get clearColor() {
+        return this.renderer.clearColor;
+    }
+
+    set clearColor(color) {
+        this.renderer.clearColor = color;
+    }
+
+    /**
+     * The objects directly added to the scene
+     * @returns {Array.<Node>}
+     */
+    get objects() {
+        return this.children;
+    }
 
-        this.updateProjectionMatrix(0, w, h, 0, 0.1, 100);
+    /**
+     * The projection matrix of the camera
+     * @returns {Float32Array}
+     */
+    get projectionMatrix() {
+        return this.camera.projectionMatrix;
     }
 
     /**
@@ -859,48 +8621,43 @@ class Scene {
      * @param {number} _h - height of the clearing rectangle
      */
     clear(_x, _y, _w, _h) {
-        const x = _x || 0;
-        const y = _y || 0;
-        const w = _w || this.width;
-        const h = _h || this.height;
-        if(this.clearColor) {
-            this.ctx.fillStyle = this.clearColor;
-            this.ctx.fillRect(x, y, w, h);
-        } else 
-            this.ctx.clearRect(x, y, w, h)
+        this.renderer.clear(_x, _y, _w, _h);
     }   
 
     /**
-     * Rotates the scene: Note that rotation on the y-axis has been diabled
+     * Rotates the scene about the camera position
      * @param {number} x - rotation on the x-axis
      * @param {number} y - rotation on the y-axis
      * @param {number} z - rotation on the z-axis
+     * @param {string} order - order the rotations are multiplied in
+     * @see Camera#setRotation
      */
-    setRotation(x = 0, y = 0, z = 0) {
-        this.camera.rotation.x = x;
-        this.camera.rotation.y = y;
-        this.camera.rotation.z = z;
+    setRotation(x = 0, y = 0, z = 0, order) {
+        this.camera.setRotation(x, y, z, order);
     }
 
     set width(w) {
-        this.element.width = w;
+        this.renderer.resize(w, this.height);
+        this.camera.resize(this.width, this.height);
     }
 
     set height(h) {
-        this.element.height = h;
+        this.renderer.resize(this.width, h);
+        this.camera.resize(this.width, this.height);
     }
 
     get width() {
-        return this.element.width;
+        return this.renderer.width;
     }
 
     get height() {
-        return this.element.height;
+        return this.renderer.height;
     }
 
     /**
-     * Creates an orthographic projection matrix.
-     * as described on { @link https://en.wikipedia.org/wiki/Orthographic_projection }
+     * Creates an orthographic projection matrix. The boundaries are relative to the
+     * camera position and are replaced whenever the camera is zoomed or resized
+     * @see Camera#setOrthographic
      * @param {number} left - leftmost boundary
      * @param {number} right - rightmost boundary
      * @param {number} bottom - bottom boundary
@@ -909,78 +8666,229 @@ class Scene {
      * @param {number} far - farthest distance
      */
     updateProjectionMatrix(left, right, bottom, top, near, far) {
-        this.projectionMatrix[0] = 2 / (right - left);
-        this.projectionMatrix[3] = -(right + left) / (right - left);
-        this.projectionMatrix[5] = 2 / (top - bottom);
-        this.projectionMatrix[7] = -(top + bottom) / (top - bottom);
-        this.projectionMatrix[10] = -2 / (far - near);
-        this.projectionMatrix[11] = -(far + near) / (far - near);
-        this.projectionMatrix[15] = 1;
+        this.camera.setOrthographic(left, right, bottom, top, near, far);
     }
 
     /**
      * Adds an object  to the scene for rendering and other processes
-     * @param {Mesh} obj - Mesh to be added
+     * @param {Node | Light} obj - Mesh, TileMap, Group or Light to be added
+     * @returns {Node | Light} the object
      */
     add(obj) {
-        if(!(obj instanceof Mesh))
-            throw TypeError("You can only Add an instance of a `Mesh` object to the scene");
-        this.objects.push(obj);
+        if(obj instanceof Light) {
+            this.lights.push(obj);
+            return obj;
+        }
+        if(!(obj instanceof Node))
+            throw TypeError("You can only Add an instance of a `Node` or `Light` object to the scene");
+        return super.add(obj);
     }
 
     /**
-     * render the scene
+     * Removes an object from the scene
+     * @param {Node | Light} obj - the object to be removed
+     * @returns {boolean} false if the object is not in the scene
      */
-    render() {
+    remove(obj) {
+        if(obj instanceof Light) {
+            const i = this.lights.indexOf(obj);
+            if(i >= 0)
+                this.lights.splice(i, 1);
+            return i >= 0;
+        }
+        return super.remove(obj);
+    }
 
-        this.toRaster = [];
+    /**
+     * Find what is under a point on the screen. A ray is cast from the near plane of the
+     * camera through the point and the nearest front facing triangle it hits is returned
+     * @param {number} screenX - position on the canvas in pixels
+     * @param {number} screenY - position on the canvas in pixels
+     * @returns {Object} the `object` hit, the `mesh` and `triangle` index hit,
+     * the world space `point`, the `distance` from the near plane and the `cell` of a tile map
+     * or null for meshes. Null is returned if nothing was hit
+     */
+    pick(screenX, screenY) {
+        const camera = this.camera;
+        const origin = camera.screenToWorld(screenX, screenY, camera.near);
+        const direction = camera.screenToWorld(screenX, screenY, camera.near + 1).sub(origin);
+        direction.normalise();
+        const maxDistance = camera.far - camera.near;
+
+        let nearest = null;
+        this.traverse(object => {
+            if(typeof object.raycast !== "function")
+                return;
+            let hit = object.raycast(origin, direction, object.worldMatrix,
+                nearest ? nearest.distance : maxDistance);
+            if(hit) {
+                nearest = Object.assign({ mesh: object, cell: null }, hit);
+                nearest.object = object;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Calculate the amount of light that reaches a point on a surface. A scene
+     * without lights is fully lit
+     * @param {Vector3} point - a point on the surface in view space
+     * @param {Vector3} normal - unit normal of the surface in view space
+     * @returns {number} amount of light, 1 leaves the surface color unchanged
+     */
+    illuminate(point, normal) {
+        if(!this.lights.length)
+            return 1;
+        let sum = 0;
+        for(let i = 0; i < this.lights.length; i++)
+            sum += this.lights[i].illuminate(point, normal);
+        return sum;
+    }
+
+    /**
+     * Add a triangle to the triangles rastered this frame. The triangles are kept and
+     * handed out again by the next frame so every field has to be written
+     * @private
+     * @returns {Object} the triangle
+     */
+    rasterTriangle() {
+        let tri = this.rasterPool[this.toRaster.length];
+        if(!tri) {
+            tri = RASTER_TRIANGLE();
+            this.rasterPool.push(tri);
+        }
+        this.toRaster.push(tri);
+        return tri;
+    }
+
+    /**
+     * Start updating and rendering the scene on every animation frame
+     * @param {number} fixedStep - length of a fixed update step in seconds, 0 updates once
+     * per frame with the time since the last frame
+     * @see GameLoop
+     */
+    start(fixedStep = this.loop.fixedStep) {
+        this.loop.fixedStep = fixedStep;
+        this.loop.start();
+    }
+
+    /**
+     * Stop the loop
+     */
+    stop() {
+        this.loop.stop();
+    }
+
+    /**
+     * Stop updating the scene but keep rendering it
+     */
+    pause() {
+        this.loop.pause();
+    }
+
+    /**
+     * Continue updating a paused scene
+     */
+    resume() {
+        this.loop.resume();
+    }
+
+    /**
+     * @returns {boolean} true while the loop is running and not paused
+     */
+    get running() {
+        return this.loop.running && !this.loop.paused;
+    }
+
+    /**
+     * Advance the scene by a step. The input is read, the controllers and the camera
+     * are moved and every node is stepped, parents before their children
+     * @param {number} dt - seconds since the last step
+     * @see Node#step
+     */
+    update(dt) {
+        if(this.input)
+            this.input.update();
+        this.controllers.forEach(controller => controller.update(dt));
+        this.camera.update(dt);
+        const visit = node => {
+            node.step(dt);
+            node.children.forEach(visit);
+        };
+        this.children.forEach(visit);
+    }
+
+    /**
+     * Update the lights then project the triangles of every object
+     * @private
+     * @returns {Array.<Object>} the projected triangles, reused by the next projection
+     */
+    project() {
+
+        this.toRaster.length = 0;
 
-        this.objects.forEach(obj => { obj.process(this) });
+        this.lights.forEach(light => light.update(this.camera.viewMatrix));
+
+        // parents are processed before their children
+        const visit = node => {
+            node.process(this, node.worldMatrix);
+            node.children.forEach(visit);
+        };
+        this.children.forEach(visit);
         /**
          * To raster is an array of objects containing data of triangles 
          * relative to their mesh [projected, color]
          */
 
-        this.toRaster.sort((a, b) => a.zAverage < b.zAverage);
-
-         let ctx = this.ctx;
-         this.toRaster.forEach((tri, i) => {
-
-            let saturation = 50;
-            let light = Math.max(20, tri[3] * 50);
-            let v = tri.vertices;
-            let c = tri.color;
+        return this.toRaster;
 
-            // show polygon vertex
-            if(tri.showVertex) {
-                ctx.save();
-                v.forEach((vertex, i) => {
-                    ctx.fillStyle = c;
-                    ctx.beginPath();
-                    ctx.arc(vertex.x, vertex.y, 2, 0, 2*Math.PI);
-                    ctx.closePath();
-                    ctx.fill();
-                });
-                ctx.restore();
-            };
-            
-            if(tri.showWireFrame || tri.fillShader) {
-                ctx.strokeStyle = tri.wireFrameColor ? tri.wireFrameColor : `hsla(${c.h}, ${c.s}%, ${c.l}%, ${c.a})`;
-                ctx.fillStyle = `hsla(${c.h}, ${c.s}%, ${c.l}%, ${c.a})`;
-                ctx.beginPath();
-                ctx.moveTo(v[0].x, v[0].y);
-                ctx.lineTo(v[1].x, v[1].y);
-                ctx.lineTo(v[2].x, v[2].y);
-                ctx.closePath();
-                if(tri.fillShader) ctx.fill();
-                ctx.stroke();
-            };
+    }
 
+    /**
+     * Draw the scene without updating it. The triangles of every object are projected
+     * and drawn by the renderer
+     */
+    draw() {
+        this.renderer.render(this.project());
+    }
 
-         });    // END TO RASTER
+    /**
+     * render the scene when it's not run by it's loop. The scene is updated with the
+     * time since the last render and then drawn
+     */
+    render() {
+        if(this.clock.last === null)
+            this.clock.start();
+        this.update(this.clock.tick());
+        this.draw();
+    }
 
-        this.toRaster = [];
+    /**
+     * The scene for JSON.stringify, it's objects, lights, camera and renderer settings
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            version: SCENE_VERSION,
+            width: this.width,
+            height: this.height,
+            clearColor: this.clearColor,
+            fastMode: this.fastMode,
+            camera: this.camera.toJSON(),
+            lights: this.lights.map(light => light.toJSON()),
+            objects: this.children.map(child => child.toJSON())
+        };
+    }
 
+    /**
+     * Render the scene as an svg document, the scene's renderer is not used
+     * @see SVGRenderer
+     * @returns {string} the svg document
+     */
+    toSVG() {
+        const svg = new SVGRenderer(this.width, this.height);
+        svg.clearColor = this.clearColor;
+        return svg.render(this.project());
     }
 
 };
\ No newline at end of file
@@ -11,9 +11,31 @@ const onefile = fs.createWriteStream(BUILD_FILE);
 
 const FILES = [
     "vector",
+    "color",
     "matrices",
+    "quaternion",
+    "animation",
+    "loop",
+    "input",
     "geometry",
+    "bounds",
+    "wavefront",
+    "texture",
+    "material",
+    "rasterizer",
+    "renderer",
+    "light",
+    "camera",
+    "controls",
+    "node",
     "mesh",
+    "sprite",
+    "primitives",
+    "terrain",
+    "voxel",
+    "tilemap",
+    "tiled",
+    "collision",
     "scene"
 ]
 
@@ -0,0 +1,253 @@
+import { Color } from "./color.js";
+
+
+/**
+ * Easing functions map the progress between two keyframes, from 0 to 1, to the
+ * amount the value has changed
+ * as described on { @link https://easings.net }
+ * @type {Object.<string, function(number): number>}
+ */
+export const Easing = {
+    linear: t => t,
+    step: t => t < 1 ? 0 : 1,
+    easeIn: t => t * t,
+    easeOut: t => t * (2 - t),
+    easeInOut: t => t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t),
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - 4 * Math.pow(1 - t, 3),
+    easeInSine: t => 1 - Math.cos(t * Math.PI * 0.5),
+    easeOutSine: t => Math.sin(t * Math.PI * 0.5),
+    easeInOutSine: t => (1 - Math.cos(t * Math.PI)) * 0.5,
+    easeInBack: t => t * t * (2.70158 * t - 1.70158),
+    easeOutBack: t => 1 + Math.pow(t - 1, 2) * (2.70158 * (t - 1) + 1.70158),
+    easeOutBounce: t => {
+        if(t < 1 / 2.75)
+            return 7.5625 * t * t;
+        if(t < 2 / 2.75)
+            return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+        if(t < 2.5 / 2.75)
+            return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+        return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+    }
+};
+
+/**
+ * Components of the values of each property that can be animated
+ */
+const TRACK_COMPONENTS = {
+    position: ["x", "y", "z"],
+    rotation: ["x", "y", "z"],
+    scale: ["x", "y", "z"],
+    color: ["h", "s", "l", "a"]
+};
+
+/**
+ * @param {string | function(number): number} easing - name of an easing function or the function
+ * @returns {function(number): number} the easing function
+ * @throws {RangeError} when there is no easing function of that name
+ */
+const EASING_FUNCTION = easing => {
+    if(typeof easing === "function")
+        return easing;
+    if(!Easing.hasOwnProperty(easing))
+        throw RangeError(`Unknown easing function "${easing}"`);
+    return Easing[easing];
+};
+
+
+/**
+ * The keyframes of one property of a node. Between two keyframes every component
+ * of the value is blended with the easing function of the first keyframe. Rotations
+ * are blended as euler angles so a keyframe may turn more than half a turn
+ * @class
+ */
+export class Track {
+
+    /**
+     * @constructor
+     * @param {string} property - "position", "rotation", "scale" or "color"
+     * @param {Array.<Object>} keyframes - the `time` in seconds and the `value` of each keyframe as
+     * a vector, a color as anything { @link Color.from } takes or an array of the components.
+     * A keyframe may have it's own `easing`
+     * @param {string | function(number): number} easing - easing of keyframes without one
+     * @throws {RangeError} when the property can't be animated or an easing function is unknown
+     * @throws {TypeError} when there are no keyframes
+     */
+    constructor(property, keyframes, easing = "linear") {
+        if(!TRACK_COMPONENTS.hasOwnProperty(property))
+            throw RangeError(`The property "${property}" can't be animated`);
+        if(!Array.isArray(keyframes) || !keyframes.length)
+            throw TypeError("A track needs at least one keyframe");
+        this.property = property;
+        this.components = TRACK_COMPONENTS[property];
+        this.keyframes = keyframes
+            .map(key => {
+                const value = property === "color" ? Color.from(key.value) : key.value;
+                return {
+                    time: key.time || 0,
+                    value: this.components.map((c, i) => Array.isArray(value) ? value[i] : value[c]),
+                    easing: EASING_FUNCTION(key.easing || easing)
+                };
+            })
+            .sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * @returns {number} time of the last keyframe
+     */
+    get duration() {
+        return this.keyframes[this.keyframes.length - 1].time;
+    }
+
+    /**
+     * The value of the property at a time. Before the first keyframe and after the last
+     * the value of that keyframe is used
+     * @param {number} time - time in seconds
+     * @returns {Array.<number>} the components of the value
+     */
+    sample(time) {
+        const keys = this.keyframes;
+        let i = 0;
+        while(i < keys.length - 1 && keys[i + 1].time <= time)
+            i++;
+        const from = keys[i];
+        const to = keys[Math.min(i + 1, keys.length - 1)];
+        if(from === to || time <= from.time)
+            return from.value.slice();
+        const t = from.easing((time - from.time) / (to.time - from.time));
+        return from.value.map((a, j) => a + (to.value[j] - a) * t);
+    }
+
+    /**
+     * Set the property of a node to it's value at a time. The color of a mesh is set on
+     * every triangle, triangles colored by a material are given a color of their own first
+     * so other meshes using the material keep their color
+     * @param {Node} target - the animated node
+     * @param {number} time - time in seconds
+     */
+    apply(target, time) {
+        const value = this.sample(time);
+        let targets = [target[this.property]];
+        if(this.property === "color" && Array.isArray(target.triangles)) {
+            targets = target.triangles.map(triangle => {
+                if(triangle.material && triangle.color === triangle.material.color)
+                    triangle.color = Color.from(triangle.color);
+                return triangle.color;
+            });
+        }
+        targets.forEach(object => {
+            if(object)
+                this.components.forEach((c, i) => object[c] = value[i]);
+        });
+    }
+
+};
+
+
+/**
+ * Plays tracks on a node. The animation is advanced by the update of the node, which
+ * the scene calls on every step of it's loop
+ * @class
+ * @see Node#animate
+ */
+export class Animation {
+
+    /**
+     * @constructor
+     * @param {Array.<Track>} tracks - the tracks played together
+     * @param {Object} options - `loop` to start again after the last keyframe, `pingPong` to
+     * play backwards after the last keyframe, the `speed` multiplying the time, an `onLoop`
+     * function called at the end of every loop and an `onComplete` function called when the
+     * animation ends. A ping-pong loop ends when the animation is back at the start
+     */
+    constructor(tracks, { loop = false, pingPong = false, speed = 1, onLoop = null, onComplete = null } = {}) {
+        if(!tracks.every(track => track instanceof Track))
+            throw TypeError("The tracks of an animation must be instances of `Track`");
+        this.tracks = tracks;
+        this.loop = loop;
+        this.pingPong = pingPong;
+        this.speed = speed;
+        this.onLoop = onLoop;
+        this.onComplete = onComplete;
+        this.time = 0;
+        this.direction = 1;
+        this.playing = true;
+        this.finished = false;
+    }
+
+    /**
+     * @returns {number} time of the last keyframe of every track
+     */
+    get duration() {
+        return this.tracks.reduce((duration, track) => Math.max(duration, track.duration), 0);
+    }
+
+    /**
+     * Continue playing
+     */
+    play() {
+        if(this.finished)
+            this.stop();
+        this.playing = true;
+    }
+
+    /**
+     * Stop playing at the current time
+     */
+    pause() {
+        this.playing = false;
+    }
+
+    /**
+     * Stop playing and go back to the start
+     */
+    stop() {
+        this.playing = false;
+        this.finished = false;
+        this.time = 0;
+        this.direction = 1;
+    }
+
+    /**
+     * Advance the time and set the animated properties of a node
+     * @param {Node} target - the animated node
+     * @param {number} dt - seconds since the last update
+     */
+    update(target, dt) {
+        if(!this.playing)
+            return;
+        const duration = this.duration;
+        let time = this.time + dt * this.speed * this.direction;
+        let completed = duration === 0;
+        while(!completed && (time > duration || time < 0)) {
+            if(this.pingPong && this.direction > 0) {
+                // bounce off the end
+                time = 2 * duration - time;
+                this.direction = -1;
+                continue;
+            }
+            if(!this.loop) {
+                time = this.direction > 0 ? duration : 0;
+                completed = true;
+                continue;
+            }
+            if(this.pingPong) {
+                time = -time;
+                this.direction = 1;
+            } else
+                time -= duration;
+            if(this.onLoop)
+                this.onLoop(this);
+        }
+        this.time = time = Math.min(Math.max(time, 0), duration);
+        this.tracks.forEach(track => track.apply(target, time));
+        if(completed) {
+            this.playing = false;
+            this.finished = true;
+            if(this.onComplete)
+                this.onComplete(this);
+        }
+    }
+
+};
@@ -0,0 +1,433 @@
+import { Mat4x4 } from "./matrices.js";
+import { Vector3 } from "./vector.js";
+
+
+/**
+ * Distance two volumes may overlap by rounding and still be only touching
+ */
+const BOUNDS_EPSILON = 1e-6;
+
+/**
+ * The corners of a box being transformed, before and after the model matrix. They are
+ * reused by every box so moving a box doesn't allocate
+ */
+const BOUNDS_MIN = new Vector3();
+const BOUNDS_MAX = new Vector3();
+const BOUNDS_CORNER = new Vector3();
+const BOUNDS_MOVED_CORNER = new Vector3();
+
+/**
+ * @param {Float32Array} m - a model matrix
+ * @returns {Array.<Vector3>} the x, y and z axis of the model in world space, scaled by the model
+ */
+const MATRIX_AXES = m => [
+    new Vector3(m[0], m[4], m[8], 0),
+    new Vector3(m[1], m[5], m[9], 0),
+    new Vector3(m[2], m[6], m[10], 0)
+];
+
+/**
+ * Turn the separating axis with the least overlap into a contact
+ * @param {Vector3} axis - unit axis
+ * @param {number} depth - overlap of the volumes along the axis
+ * @param {Vector3} offset - center of the first volume relative to the second
+ * @returns {Object} the `normal` pointing from the second volume to the first and the `depth`
+ */
+const AXIS_CONTACT = (axis, depth, offset) => ({
+    normal: offset.dot(axis) < 0 ? axis.scale(-1) : axis.scale(1),
+    depth
+});
+
+
+/**
+ * A box aligned with the world axis. Contacts returned by the overlap tests hold the
+ * `normal` pointing out of the other volume, the direction to push this box to separate
+ * them, and the `depth` they overlap by
+ * @class
+ */
+export class AABB {
+
+    /**
+     * Create the smallest box holding points
+     * @static
+     * @param {Array.<Vector3 | Array.<number>>} points - the points
+     * @returns {AABB} the box, empty at the origin when there are no points
+     */
+    static fromPoints(points) {
+        if(!points.length)
+            return new AABB();
+        const box = new AABB(new Vector3(Infinity, Infinity, Infinity), new Vector3(-Infinity, -Infinity, -Infinity));
+        points.forEach(p => box.expandByPoint(Array.isArray(p) ? new Vector3(p[0], p[1], p[2]) : p));
+        return box;
+    }
+
+    /**
+     * @constructor
+     * @param {Vector3} min - corner with the smallest coordinates
+     * @param {Vector3} max - corner with the largest coordinates
+     */
+    constructor(min = new Vector3(), max = new Vector3()) {
+        this.min = min;
+        this.max = max;
+    }
+
+    /**
+     * @returns {Vector3} the center of the box
+     */
+    get center() {
+        return this.getCenter();
+    }
+
+    /**
+     * @returns {Vector3} the width, height and depth of the box
+     */
+    get size() {
+        return this.getSize();
+    }
+
+    /**
+     * @param {Vector3} out - vector receiving the center
+     * @returns {Vector3} the center of the box
+     */
+    getCenter(out = new Vector3()) {
+        return this.min.add(this.max, out).scale(0.5, out);
+    }
+
+    /**
+     * @param {Vector3} out - vector receiving the size
+     * @returns {Vector3} the width, height and depth of the box
+     */
+    getSize(out = new Vector3()) {
+        return this.max.sub(this.min, out);
+    }
+
+    /**
+     * @returns {Array.<Vector3>} the eight corners of the box
+     */
+    get corners() {
+        const { min, max } = this;
+        return Array.from({ length: 8 }, (v, i) => new Vector3(
+            i & 1 ? max.x : min.x,
+            i & 2 ? max.y : min.y,
+            i & 4 ? max.z : min.z));
+    }
+
+    /**
+     * @returns {AABB} a copy of the box
+     */
+    clone() {
+        return new AABB(Vector3.clone(this.min), Vector3.clone(this.max));
+    }
+
+    /**
+     * Grow the box to hold a point
+     * @param {Vector3} point - the point
+     * @returns {AABB} this box
+     */
+    expandByPoint(point) {
+        for(const axis of point.components) {
+            this.min[axis] = Math.min(this.min[axis], point[axis]);
+            this.max[axis] = Math.max(this.max[axis], point[axis]);
+        }
+        return this;
+    }
+
+    /**
+     * @param {AABB} box - another box
+     * @param {AABB} out - box receiving the result, pass this box to grow it in place
+     * @returns {AABB} a box holding both boxes
+     */
+    union(box, out = new AABB()) {
+        for(const axis of this.min.components) {
+            out.min[axis] = Math.min(this.min[axis], box.min[axis]);
+            out.max[axis] = Math.max(this.max[axis], box.max[axis]);
+        }
+        return out;
+    }
+
+    /**
+     * @param {Vector3} offset - distance moved
+     * @param {AABB} out - box receiving the result, pass this box to move it in place
+     * @returns {AABB} the box moved by the offset
+     */
+    translate(offset, out = new AABB()) {
+        this.min.add(offset, out.min);
+        this.max.add(offset, out.max);
+        return out;
+    }
+
+    /**
+     * Move the box with a model matrix. A rotated box is enclosed by a larger box
+     * @param {Float32Array} m - the model matrix
+     * @param {AABB} out - box receiving the result, pass this box to move it in place
+     * @returns {AABB} a box holding the moved box
+     */
+    transform(m, out = new AABB()) {
+        const min = BOUNDS_MIN.copy(this.min), max = BOUNDS_MAX.copy(this.max);
+        out.min.set(Infinity, Infinity, Infinity);
+        out.max.set(-Infinity, -Infinity, -Infinity);
+        for(let i = 0; i < 8; i++) {
+            BOUNDS_CORNER.set(i & 1 ? max.x : min.x, i & 2 ? max.y : min.y, i & 4 ? max.z : min.z);
+            out.expandByPoint(Mat4x4.multiplyVector(m, BOUNDS_CORNER, BOUNDS_MOVED_CORNER));
+        }
+        return out;
+    }
+
+    /**
+     * @param {Vector3} point - the point
+     * @returns {boolean} true if the point is inside or on the box
+     */
+    containsPoint(point) {
+        return point.components.every(axis => point[axis] >= this.min[axis] && point[axis] <= this.max[axis]);
+    }
+
+    /**
+     * @returns {OBB} the box as an oriented box
+     */
+    toOBB() {
+        return new OBB(this.center, this.size.scale(0.5));
+    }
+
+    /**
+     * Test if the box overlaps another volume, boxes only touching do not overlap
+     * @param {AABB | OBB | BoundingSphere} other - the other volume
+     * @returns {Object} the contact or null if they don't overlap
+     */
+    intersects(other) {
+        if(other instanceof OBB)
+            return this.toOBB().intersects(other);
+        if(other instanceof BoundingSphere) {
+            const contact = other.intersects(this);
+            return contact && { normal: contact.normal.scale(-1), depth: contact.depth };
+        }
+        if(!(other instanceof AABB))
+            throw TypeError("A bounding box can only be tested against an `AABB`, `OBB` or `BoundingSphere`");
+        let depth = Infinity, normalAxis = null;
+        for(const axis of this.min.components) {
+            const overlap = Math.min(this.max[axis], other.max[axis]) - Math.max(this.min[axis], other.min[axis]);
+            if(overlap <= BOUNDS_EPSILON)
+                return null;
+            if(overlap < depth) {
+                depth = overlap;
+                normalAxis = axis;
+            }
+        }
+        // twice the offset of the centers along the axis is enough for it's sign
+        const offset = this.min[normalAxis] + this.max[normalAxis] - other.min[normalAxis] - other.max[normalAxis];
+        const normal = new Vector3(0, 0, 0, 0);
+        normal[normalAxis] = offset < 0 ? -1 : 1;
+        return { normal, depth };
+    }
+
+};
+
+
+/**
+ * A box turned with the object it bounds, tighter than an axis aligned box around
+ * a rotated mesh. Overlaps are found with the separating axis theorem
+ * @class
+ */
+export class OBB {
+
+    /**
+     * Move a box from the space of a model with it's model matrix
+     * @static
+     * @param {AABB} box - the box in model space
+     * @param {Float32Array} m - the model matrix
+     * @returns {OBB} the oriented box in world space
+     */
+    static fromAABB(box, m) {
+        const half = box.size.scale(0.5);
+        const axes = MATRIX_AXES(m).map((axis, i) => {
+            const length = axis.magnitude;
+            half[half.components[i]] *= length;
+            return length ? axis.scale(1 / length) : axis;
+        });
+        return new OBB(Mat4x4.multiplyVector(m, box.center), half, axes);
+    }
+
+    /**
+     * @constructor
+     * @param {Vector3} center - center of the box
+     * @param {Vector3} halfSize - half of the width, height and depth of the box
+     * @param {Array.<Vector3>} axes - the unit x, y and z axis of the box
+     */
+    constructor(center = new Vector3(), halfSize = new Vector3(), axes = [new Vector3(1, 0, 0, 0), new Vector3(0, 1, 0, 0), new Vector3(0, 0, 1, 0)]) {
+        this.center = center;
+        this.halfSize = halfSize;
+        this.axes = axes;
+    }
+
+    /**
+     * @returns {Array.<Vector3>} the eight corners of the box
+     */
+    get corners() {
+        const [ax, ay, az] = this.axes;
+        const h = this.halfSize;
+        return Array.from({ length: 8 }, (v, i) => this.center
+            .add(ax.scale(i & 1 ? h.x : -h.x))
+            .add(ay.scale(i & 2 ? h.y : -h.y))
+            .add(az.scale(i & 4 ? h.z : -h.z)));
+    }
+
+    /**
+     * @returns {AABB} the axis aligned box holding this box
+     */
+    toAABB() {
+        return AABB.fromPoints(this.corners);
+    }
+
+    /**
+     * @param {Vector3} point - the point
+     * @returns {Vector3} the point of the box nearest to the point
+     */
+    closestPoint(point) {
+        const offset = point.sub(this.center);
+        let closest = Vector3.clone(this.center);
+        this.axes.forEach((axis, i) => {
+            const h = this.halfSize[this.halfSize.components[i]];
+            const d = Math.min(Math.max(offset.dot(axis), -h), h);
+            closest = closest.add(axis.scale(d));
+        });
+        return closest;
+    }
+
+    /**
+     * Half the length of the box projected on an axis
+     * @private
+     * @param {Vector3} axis - unit axis
+     * @returns {number}
+     */
+    radiusOn(axis) {
+        const h = this.halfSize;
+        const [ax, ay, az] = this.axes;
+        return h.x * Math.abs(ax.dot(axis)) + h.y * Math.abs(ay.dot(axis)) + h.z * Math.abs(az.dot(axis));
+    }
+
+    /**
+     * Test if the box overlaps another volume, boxes only touching do not overlap
+     * @param {AABB | OBB | BoundingSphere} other - the other volume
+     * @returns {Object} the contact or null if they don't overlap
+     * @see AABB#intersects
+     */
+    intersects(other) {
+        if(other instanceof AABB)
+            other = other.toOBB();
+        if(other instanceof BoundingSphere) {
+            const contact = other.intersects(this);
+            return contact && { normal: contact.normal.scale(-1), depth: contact.depth };
+        }
+        if(!(other instanceof OBB))
+            throw TypeError("An oriented box can only be tested against an `AABB`, `OBB` or `BoundingSphere`");
+        // the face axis of both boxes and the cross product of each pair of edges
+        const axes = this.axes.concat(other.axes);
+        this.axes.forEach(a => other.axes.forEach(b => {
+            const axis = a.cross(b);
+            // parallel edges are already tested by the face axis
+            if(axis.magnitude > BOUNDS_EPSILON) {
+                axis.normalise();
+                axes.push(axis);
+            }
+        }));
+        const offset = this.center.sub(other.center);
+        let contact = null;
+        for(const axis of axes) {
+            const depth = this.radiusOn(axis) + other.radiusOn(axis) - Math.abs(offset.dot(axis));
+            if(depth <= BOUNDS_EPSILON)
+                return null;
+            if(!contact || depth < contact.depth)
+                contact = AXIS_CONTACT(axis, depth, offset);
+        }
+        return contact;
+    }
+
+};
+
+
+/**
+ * A sphere around an object, the cheapest volume to test
+ * @class
+ */
+export class BoundingSphere {
+
+    /**
+     * Create a sphere around points centered on the box holding them
+     * @static
+     * @param {Array.<Vector3 | Array.<number>>} points - the points
+     * @returns {BoundingSphere} the sphere
+     */
+    static fromPoints(points) {
+        const vectors = points.map(p => Array.isArray(p) ? new Vector3(p[0], p[1], p[2]) : p);
+        const center = AABB.fromPoints(vectors).center;
+        const radius = vectors.reduce((r, p) => Math.max(r, p.sub(center).magnitude), 0);
+        return new BoundingSphere(center, radius);
+    }
+
+    /**
+     * @constructor
+     * @param {Vector3} center - center of the sphere
+     * @param {number} radius - radius of the sphere
+     */
+    constructor(center = new Vector3(), radius = 0) {
+        this.center = center;
+        this.radius = radius;
+    }
+
+    /**
+     * Move the sphere with a model matrix. A model scaled unevenly is enclosed by
+     * a sphere scaled by the largest scale
+     * @param {Float32Array} m - the model matrix
+     * @returns {BoundingSphere} a new sphere
+     */
+    transform(m) {
+        const scale = Math.max(...MATRIX_AXES(m).map(axis => axis.magnitude));
+        return new BoundingSphere(Mat4x4.multiplyVector(m, this.center), this.radius * scale);
+    }
+
+    /**
+     * @param {Vector3} point - the point
+     * @returns {boolean} true if the point is inside or on the sphere
+     */
+    containsPoint(point) {
+        return point.sub(this.center).magnitude <= this.radius;
+    }
+
+    /**
+     * Test if the sphere overlaps another volume, volumes only touching do not overlap
+     * @param {AABB | OBB | BoundingSphere} other - the other volume
+     * @returns {Object} the contact or null if they don't overlap
+     * @see AABB#intersects
+     */
+    intersects(other) {
+        if(other instanceof AABB)
+            other = other.toOBB();
+        if(other instanceof BoundingSphere) {
+            const offset = this.center.sub(other.center);
+            const distance = offset.magnitude;
+            const depth = this.radius + other.radius - distance;
+            if(depth <= BOUNDS_EPSILON)
+                return null;
+            // spheres sharing a center are pushed apart along any axis
+            return { normal: distance ? offset.scale(1 / distance) : new Vector3(0, 0, -1, 0), depth };
+        }
+        if(!(other instanceof OBB))
+            throw TypeError("A bounding sphere can only be tested against an `AABB`, `OBB` or `BoundingSphere`");
+        const closest = other.closestPoint(this.center);
+        const offset = this.center.sub(closest);
+        const distance = offset.magnitude;
+        if(distance > BOUNDS_EPSILON) {
+            const depth = this.radius - distance;
+            return depth > BOUNDS_EPSILON ? { normal: offset.scale(1 / distance), depth } : null;
+        }
+        // the center is inside the box, it's pushed out through the nearest face
+        const local = this.center.sub(other.center);
+        let contact = null;
+        other.axes.forEach((axis, i) => {
+            const depth = other.halfSize[other.halfSize.components[i]] - Math.abs(local.dot(axis)) + this.radius;
+            if(!contact || depth < contact.depth)
+                contact = AXIS_CONTACT(axis, depth, local);
+        });
+        return contact;
+    }
+
+};
@@ -0,0 +1,262 @@
+import { Mat4x4 } from "./matrices.js";
+import { Vector3 } from "./vector.js";
+import { Quaternion } from "./quaternion.js";
+
+
+/**
+ * An orthographic camera. The camera is centered on it's position, the
+ * scene is rotated about that position and zooming scales the visible area
+ * around it. Larger z values are further away from the viewer.
+ * @class
+ */
+export class Camera {
+
+    /**
+     * Create a camera from it's json representation
+     * @static
+     * @see Camera#toJSON
+     * @param {Object} json - the camera as returned by toJSON
+     * @returns {Camera} the camera
+     */
+    static fromJSON(json) {
+        const camera = new Camera(json.width, json.height, json.near, json.far);
+        camera.zoom = json.zoom;
+        camera.position.set(...json.position);
+        camera.setRotation(...json.rotation, json.rotationOrder);
+        // the projection may have been replaced by one with other boundaries
+        camera.projectionMatrix.set(json.projection);
+        return camera;
+    }
+
+    /**
+     * constructs a camera centered on the view of the given size
+     * @constructor
+     * @param {number} w - width of the view
+     * @param {number} h - height of the view
+     * @param {number} near - nearest visible depth relative to the camera
+     * @param {number} far - farthest visible depth relative to the camera
+     */
+    constructor(w, h, near = -1000, far = 1000) {
+        this.width = w;
+        this.height = h;
+        this.near = near;
+        this.far = far;
+        this.zoom = 1;
+
+        this.position = new Vector3(w * 0.5, h * 0.5, 0);
+        this.rotation = new Vector3();
+        this.rotationOrder = "XYZ";
+        this.targetRotation = null;
+        this.rotationSmoothing = 0;
+        this.target = null;
+        this.offset = new Vector3();
+        this.smoothing = 0;
+
+        this.viewMatrix = Mat4x4.identity();
+        this.projectionMatrix = Mat4x4.create();
+
+        this.updateViewMatrix();
+        this.updateProjectionMatrix();
+    }
+
+    /**
+     * Set camera position, the world point at the center of the view
+     * @param {number} x - position on the x-axis
+     * @param {number} y - position on the y-axis
+     * @param {number} z - position on the z-axis
+     */
+    setPosition(x = 0, y = 0, z = 0) {
+        this.position.x = x;
+        this.position.y = y;
+        this.position.z = z;
+        this.updateViewMatrix();
+    }
+
+    /**
+     * Rotates the camera about it's position. This stops any rotation started by
+     * { @link Camera#rotateTo }
+     * @param {number} x - rotation on the x-axis
+     * @param {number} y - rotation on the y-axis
+     * @param {number} z - rotation on the z-axis
+     * @param {string} order - order the rotations are multiplied in
+     * @see Mat4x4#eulerRotation
+     */
+    setRotation(x = 0, y = 0, z = 0, order = this.rotationOrder) {
+        this.rotation.x = x;
+        this.rotation.y = y;
+        this.rotation.z = z;
+        this.rotationOrder = order;
+        this.targetRotation = null;
+        this.updateViewMatrix();
+    }
+
+    /**
+     * Turn smoothly towards a rotation on every update, such as turning an
+     * isometric view by a quarter turn
+     * @param {number} x - rotation on the x-axis
+     * @param {number} y - rotation on the y-axis
+     * @param {number} z - rotation on the z-axis
+     * @param {number} smoothing - 0 snaps to the rotation, values closer to 1 turn more slowly
+     */
+    rotateTo(x = 0, y = 0, z = 0, smoothing = 0.9) {
+        this.targetRotation = Quaternion.fromEuler(x, y, z, this.rotationOrder);
+        this.rotationSmoothing = Math.min(Math.max(smoothing, 0), 0.999);
+    }
+
+    /**
+     * Set the zoom level, values above 1 magnifies the view
+     * @param {number} zoom - the zoom level
+     */
+    setZoom(zoom = 1) {
+        if(zoom <= 0)
+            throw RangeError("Camera zoom must be greater than zero");
+        this.zoom = zoom;
+        this.updateProjectionMatrix();
+    }
+
+    /**
+     * Change the size of the view
+     * @param {number} w - width of the view
+     * @param {number} h - height of the view
+     */
+    resize(w, h) {
+        this.width = w;
+        this.height = h;
+        this.updateProjectionMatrix();
+    }
+
+    /**
+     * Keep a node or point at the center of the view
+     * @param {Node | Vector3} target - node or point to follow, null stops following
+     * @param {number} smoothing - 0 snaps to the target, values closer to 1 follow more slowly
+     * @param {Vector3} offset - distance kept from the target
+     */
+    follow(target, smoothing = 0.9, offset = new Vector3()) {
+        this.target = target;
+        this.smoothing = Math.min(Math.max(smoothing, 0), 0.999);
+        this.offset = offset;
+    }
+
+    /**
+     * Move towards the followed target, turn towards the target rotation and
+     * rebuild the view matrix. This is called by the scene before every render
+     * @param {number} dt - seconds since the last update
+     */
+    update(dt = 1 / 60) {
+        if(this.target) {
+            const goal = (this.target.worldPosition || this.target.position || this.target).add(this.offset);
+            const t = this.smoothing ? 1 - Math.pow(this.smoothing, dt * 60) : 1;
+            for(let i of this.position.components)
+                this.position[i] += (goal[i] - this.position[i]) * t;
+        }
+        if(this.targetRotation) {
+            const r = this.rotation;
+            const current = Quaternion.fromEuler(r.x, r.y, r.z, this.rotationOrder);
+            const t = this.rotationSmoothing ? 1 - Math.pow(this.rotationSmoothing, dt * 60) : 1;
+            let q = Quaternion.slerp(current, this.targetRotation, t);
+            // stop once the remaining turn can't be seen
+            if(Math.abs(q.dot(this.targetRotation)) > 1 - 1e-9) {
+                q = this.targetRotation;
+                this.targetRotation = null;
+            }
+            const euler = q.toEuler(this.rotationOrder);
+            r.x = euler.x;
+            r.y = euler.y;
+            r.z = euler.z;
+        }
+        this.updateViewMatrix();
+    }
+
+    /**
+     * Rebuild the matrix that moves a world point into view space
+     */
+    updateViewMatrix() {
+        const r = this.rotation;
+        const p = this.position;
+        let m = Mat4x4.eulerRotation(r.x, r.y, r.z, this.rotationOrder, this.viewMatrix);
+        // rotate the translation to the position so the scene turns about it
+        m[3] = -(m[0] * p.x + m[1] * p.y + m[2] * p.z);
+        m[7] = -(m[4] * p.x + m[5] * p.y + m[6] * p.z);
+        m[11] = -(m[8] * p.x + m[9] * p.y + m[10] * p.z);
+    }
+
+    /**
+     * Rebuild the projection matrix from the size of the view and the zoom level
+     */
+    updateProjectionMatrix() {
+        const w = this.width * 0.5 / this.zoom;
+        const h = this.height * 0.5 / this.zoom;
+        this.setOrthographic(-w, w, h, -h, this.near, this.far);
+    }
+
+    /**
+     * Creates an orthographic projection matrix.
+     * as described on { @link https://en.wikipedia.org/wiki/Orthographic_projection }
+     * Depth increases away from the viewer so near maps to -1 and far maps to 1
+     * @param {number} left - leftmost boundary
+     * @param {number} right - rightmost boundary
+     * @param {number} bottom - bottom boundary
+     * @param {number} top - top boundary
+     * @param {number} near - near plane
+     * @param {number} far - farthest distance
+     */
+    setOrthographic(left, right, bottom, top, near, far) {
+        this.projectionMatrix[0] = 2 / (right - left);
+        this.projectionMatrix[3] = -(right + left) / (right - left);
+        this.projectionMatrix[5] = 2 / (top - bottom);
+        this.projectionMatrix[7] = -(top + bottom) / (top - bottom);
+        this.projectionMatrix[10] = 2 / (far - near);
+        this.projectionMatrix[11] = -(far + near) / (far - near);
+        this.projectionMatrix[15] = 1;
+    }
+
+    /**
+     * The view and projection of the camera for JSON.stringify. A followed target is not included
+     * @returns {Object}
+     */
+    toJSON() {
+        const { position: p, rotation: r } = this;
+        return {
+            width: this.width,
+            height: this.height,
+            near: this.near,
+            far: this.far,
+            zoom: this.zoom,
+            position: [p.x, p.y, p.z],
+            rotation: [r.x, r.y, r.z],
+            rotationOrder: this.rotationOrder,
+            projection: Array.from(this.projectionMatrix)
+        };
+    }
+
+    /**
+     * Convert a world point to a point on the screen
+     * @param {Vector3} point - the world point
+     * @returns {Vector3} x and y in pixels with the view space depth as z
+     */
+    worldToScreen(point) {
+        let view = Mat4x4.multiplyVector(this.viewMatrix, new Vector3(point.x, point.y, point.z));
+        let projected = Mat4x4.multiplyVector(this.projectionMatrix, view);
+        return new Vector3(
+            (projected.x + 1) * this.width * 0.5,
+            (projected.y + 1) * this.height * 0.5,
+            view.z);
+    }
+
+    /**
+     * Convert a point on the screen to a world point
+     * @param {number} x - position on the screen in pixels
+     * @param {number} y - position on the screen in pixels
+     * @param {number} depth - view space depth of the point, 0 is the depth of the camera
+     * @returns {Vector3} the world point
+     */
+    screenToWorld(x, y, depth = 0) {
+        const m = this.projectionMatrix;
+        let view = new Vector3(
+            (x * 2 / this.width - 1 - m[3]) / m[0],
+            (y * 2 / this.height - 1 - m[7]) / m[5],
+            depth);
+        return Mat4x4.multiplyVector(Mat4x4.inverse(this.viewMatrix), view);
+    }
+
+};
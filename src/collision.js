@@ -0,0 +1,139 @@
+import { Vector3 } from "./vector.js";
+import { AABB } from "./bounds.js";
+import { Mesh } from "./mesh.js";
+import { TileMap } from "./tilemap.js";
+
+
+/**
+ * Gap between two boxes small enough to be rounding, they are touching
+ */
+const SWEEP_EPSILON = 1e-6;
+
+/**
+ * Most times a movement slides along a surface before it gives up
+ */
+const SWEEP_MAX_SLIDES = 4;
+
+/**
+ * The region searched for obstacles, the movement left, the step taken, the hit being
+ * tested and the normal of the first hit of a slide. They are reused by every movement
+ * so moving doesn't allocate
+ */
+const SWEEP_REGION = new AABB();
+const SWEEP_REMAINING = new Vector3(0, 0, 0, 0);
+const SWEEP_STEP = new Vector3(0, 0, 0, 0);
+const SWEEP_HIT = { time: 0, normal: new Vector3(0, 0, 0, 0) };
+const SWEEP_NORMAL = new Vector3(0, 0, 0, 0);
+
+
+/**
+ * Swept box movement resolved against meshes, tiles and boxes
+ * @class
+ */
+export class Collision {
+
+    /**
+     * Find when a moving box first touches a box standing still. Boxes that already
+     * overlap are not hit so a box stuck in another can move out of it
+     * @static
+     * @param {AABB} box - the moving box
+     * @param {Vector3} velocity - distance the box moves
+     * @param {AABB} other - the box standing still
+     * @param {Object} out - hit receiving the `time` and `normal`
+     * @returns {Object} the `time` of the hit from 0 at the start to 1 at the end of the
+     * movement and the `normal` of the face of the other box that was hit, or null if
+     * the boxes don't touch during the movement
+     */
+    static sweep(box, velocity, other, out = { time: 0, normal: new Vector3(0, 0, 0, 0) }) {
+        let entry = -Infinity, exit = Infinity, normalAxis = null, direction = 0;
+        for(const axis of box.min.components) {
+            const v = velocity[axis];
+            if(v === 0) {
+                // not moving on this axis, the boxes must already overlap on it
+                if(box.max[axis] <= other.min[axis] + SWEEP_EPSILON || box.min[axis] >= other.max[axis] - SWEEP_EPSILON)
+                    return null;
+                continue;
+            }
+            const near = v > 0 ? other.min[axis] - box.max[axis] : other.max[axis] - box.min[axis];
+            const far = v > 0 ? other.max[axis] - box.min[axis] : other.min[axis] - box.max[axis];
+            const t0 = Math.abs(near) <= SWEEP_EPSILON ? 0 : near / v;
+            if(t0 > entry) {
+                entry = t0;
+                normalAxis = axis;
+                direction = v > 0 ? -1 : 1;
+            }
+            exit = Math.min(exit, far / v);
+        }
+        if(normalAxis === null || entry < 0 || entry > 1 || entry >= exit)
+            return null;
+        out.time = entry;
+        out.normal.set(0, 0, 0);
+        out.normal[normalAxis] = direction;
+        return out;
+    }
+
+    /**
+     * Move a node by an offset, stopping at and sliding along the obstacles in the way.
+     * The node is moved as it's world bounding box, obstacles are meshes and solid tiles
+     * as their world bounding boxes, so a rotated mesh blocks the box around it
+     * @static
+     * @param {Mesh} node - the node moved, any node having a `worldBoundingBox`
+     * @param {Vector3} offset - distance to move in world space
+     * @param {Array.<Mesh | TileMap | AABB>} obstacles - what the node can't pass through
+     * @returns {Object} the `offset` the node actually moved and the `contacts`, each with
+     * the `normal` of the surface hit, the `time` along the remaining movement, the `node`
+     * hit if any and the `cell` for tiles
+     * @see TileMap#solidBoxes
+     */
+    static move(node, offset, obstacles) {
+        const box = node.worldBoundingBox;
+        if(!(box instanceof AABB))
+            throw TypeError("Only a node with a world bounding box can be moved with collisions");
+        // gather the boxes near the whole movement once
+        const region = box.union(box.translate(offset, SWEEP_REGION), SWEEP_REGION);
+        const boxes = [];
+        obstacles.forEach(obstacle => {
+            if(obstacle === node)
+                return;
+            if(obstacle instanceof TileMap)
+                obstacle.solidBoxes(region).forEach(tile => boxes.push({ box: tile.box, node: obstacle, cell: tile.cell }));
+            else if(obstacle instanceof Mesh)
+                boxes.push({ box: obstacle.worldBoundingBox, node: obstacle });
+            else if(obstacle instanceof AABB)
+                boxes.push({ box: obstacle, node: null });
+            else
+                throw TypeError("An obstacle must be an instance of `Mesh`, `TileMap` or `AABB`");
+        });
+
+        const moved = new Vector3(0, 0, 0, 0);
+        const contacts = [];
+        const remaining = SWEEP_REMAINING.set(offset.x, offset.y, offset.z);
+        for(let i = 0; i < SWEEP_MAX_SLIDES && remaining.magnitude > SWEEP_EPSILON; i++) {
+            let first = null, time = 1;
+            for(const obstacle of boxes) {
+                const hit = Collision.sweep(box, remaining, obstacle.box, SWEEP_HIT);
+                if(hit && (!first || hit.time < time)) {
+                    first = obstacle;
+                    time = hit.time;
+                    SWEEP_NORMAL.copy(hit.normal);
+                }
+            }
+            moved.add(remaining.scale(time, SWEEP_STEP), moved);
+            box.translate(SWEEP_STEP, box);
+            if(!first)
+                break;
+            const normal = new Vector3(SWEEP_NORMAL.x, SWEEP_NORMAL.y, SWEEP_NORMAL.z, 0);
+            contacts.push(Object.assign({ time, normal, node: first.node }, first.cell && { cell: first.cell }));
+            // the rest of the movement slides along the surface hit
+            remaining.scale(1 - time, remaining);
+            remaining.sub(SWEEP_NORMAL.scale(remaining.dot(SWEEP_NORMAL), SWEEP_STEP), remaining);
+        }
+
+        const end = node.worldPosition;
+        end.add(moved, end);
+        const local = node.parent ? node.parent.worldToLocal(end) : end;
+        node.setPosition(local.x, local.y, local.z);
+        return { offset: moved, contacts };
+    }
+
+};
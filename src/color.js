@@ -0,0 +1,324 @@
+/**
+ * The named colors of css as hex values
+ */
+const CSS_COLORS = {
+    aliceblue: "f0f8ff", antiquewhite: "faebd7", aqua: "00ffff", aquamarine: "7fffd4", azure: "f0ffff",
+    beige: "f5f5dc", bisque: "ffe4c4", black: "000000", blanchedalmond: "ffebcd", blue: "0000ff",
+    blueviolet: "8a2be2", brown: "a52a2a", burlywood: "deb887", cadetblue: "5f9ea0", chartreuse: "7fff00",
+    chocolate: "d2691e", coral: "ff7f50", cornflowerblue: "6495ed", cornsilk: "fff8dc", crimson: "dc143c",
+    cyan: "00ffff", darkblue: "00008b", darkcyan: "008b8b", darkgoldenrod: "b8860b", darkgray: "a9a9a9",
+    darkgreen: "006400", darkgrey: "a9a9a9", darkkhaki: "bdb76b", darkmagenta: "8b008b",
+    darkolivegreen: "556b2f", darkorange: "ff8c00", darkorchid: "9932cc", darkred: "8b0000",
+    darksalmon: "e9967a", darkseagreen: "8fbc8f", darkslateblue: "483d8b", darkslategray: "2f4f4f",
+    darkslategrey: "2f4f4f", darkturquoise: "00ced1", darkviolet: "9400d3", deeppink: "ff1493",
+    deepskyblue: "00bfff", dimgray: "696969", dimgrey: "696969", dodgerblue: "1e90ff", firebrick: "b22222",
+    floralwhite: "fffaf0", forestgreen: "228b22", fuchsia: "ff00ff", gainsboro: "dcdcdc", ghostwhite: "f8f8ff",
+    gold: "ffd700", goldenrod: "daa520", gray: "808080", green: "008000", greenyellow: "adff2f",
+    grey: "808080", honeydew: "f0fff0", hotpink: "ff69b4", indianred: "cd5c5c", indigo: "4b0082",
+    ivory: "fffff0", khaki: "f0e68c", lavender: "e6e6fa", lavenderblush: "fff0f5", lawngreen: "7cfc00",
+    lemonchiffon: "fffacd", lightblue: "add8e6", lightcoral: "f08080", lightcyan: "e0ffff",
+    lightgoldenrodyellow: "fafad2", lightgray: "d3d3d3", lightgreen: "90ee90", lightgrey: "d3d3d3",
+    lightpink: "ffb6c1", lightsalmon: "ffa07a", lightseagreen: "20b2aa", lightskyblue: "87cefa",
+    lightslategray: "778899", lightslategrey: "778899", lightsteelblue: "b0c4de", lightyellow: "ffffe0",
+    lime: "00ff00", limegreen: "32cd32", linen: "faf0e6", magenta: "ff00ff", maroon: "800000",
+    mediumaquamarine: "66cdaa", mediumblue: "0000cd", mediumorchid: "ba55d3", mediumpurple: "9370db",
+    mediumseagreen: "3cb371", mediumslateblue: "7b68ee", mediumspringgreen: "00fa9a",
+    mediumturquoise: "48d1cc", mediumvioletred: "c71585", midnightblue: "191970", mintcream: "f5fffa",
+    mistyrose: "ffe4e1", moccasin: "ffe4b5", navajowhite: "ffdead", navy: "000080", oldlace: "fdf5e6",
+    olive: "808000", olivedrab: "6b8e23", orange: "ffa500", orangered: "ff4500", orchid: "da70d6",
+    palegoldenrod: "eee8aa", palegreen: "98fb98", paleturquoise: "afeeee", palevioletred: "db7093",
+    papayawhip: "ffefd5", peachpuff: "ffdab9", peru: "cd853f", pink: "ffc0cb", plum: "dda0dd",
+    powderblue: "b0e0e6", purple: "800080", rebeccapurple: "663399", red: "ff0000", rosybrown: "bc8f8f",
+    royalblue: "4169e1", saddlebrown: "8b4513", salmon: "fa8072", sandybrown: "f4a460", seagreen: "2e8b57",
+    seashell: "fff5ee", sienna: "a0522d", silver: "c0c0c0", skyblue: "87ceeb", slateblue: "6a5acd",
+    slategray: "708090", slategrey: "708090", snow: "fffafa", springgreen: "00ff7f", steelblue: "4682b4",
+    tan: "d2b48c", teal: "008080", thistle: "d8bfd8", tomato: "ff6347", transparent: "00000000",
+    turquoise: "40e0d0", violet: "ee82ee", wheat: "f5deb3", white: "ffffff", whitesmoke: "f5f5f5",
+    yellow: "ffff00", yellowgreen: "9acd32"
+};
+
+/**
+ * One rgb component of a hsl color
+ * @param {number} n - offset of the component, 0 for red, 8 for green and 4 for blue
+ * @param {number} h - hue in degrees
+ * @param {number} a - chroma of the color halved
+ * @param {number} l - lightness from 0 to 1
+ * @returns {number} the component from 0 to 1
+ */
+const HSL_CHANNEL = (n, h, a, l) => {
+    const k = (n + h / 30) % 12;
+    return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+};
+
+/**
+ * Convert a hsl color to it's rgb equivalent
+ * @param {number} h - hue in degrees
+ * @param {number} s - saturation in percentage
+ * @param {number} l - lightness in percentage
+ * @param {Array.<number>} out - array receiving the components
+ * @returns {Array.<number>} [r, g, b] each in the range 0 - 255
+ */
+const HSL_TO_RGB = (h, s, l, out = []) => {
+    s = (s || 0) / 100;
+    l = (l || 0) / 100;
+    h = h || 0;
+    const a = s * Math.min(l, 1 - l);
+    out[0] = HSL_CHANNEL(0, h, a, l) * 255;
+    out[1] = HSL_CHANNEL(8, h, a, l) * 255;
+    out[2] = HSL_CHANNEL(4, h, a, l) * 255;
+    return out;
+};
+
+/**
+ * Convert a rgb color to it's hsl equivalent
+ * @param {number} r - red component from 0 to 1
+ * @param {number} g - green component from 0 to 1
+ * @param {number} b - blue component from 0 to 1
+ * @param {Array.<number>} out - array receiving the components
+ * @returns {Array.<number>} [h, s, l] with h in degrees, s and l in percentage
+ */
+const RGB_TO_HSL = (r, g, b, out = []) => {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    const d = max - min;
+    if(d === 0) {
+        out[0] = 0;
+        out[1] = 0;
+        out[2] = l * 100;
+        return out;
+    }
+    const s = d / (1 - Math.abs(2 * l - 1));
+    let h = max === r ? ((g - b) / d) % 6
+        : max === g ? (b - r) / d + 2
+        : (r - g) / d + 4;
+    out[0] = (h * 60 + 360) % 360;
+    out[1] = s * 100;
+    out[2] = l * 100;
+    return out;
+};
+
+/**
+ * @param {number} n - a rgb component from 0 to 255
+ * @returns {number} the component from 0 to 1
+ */
+const RGB_UNIT = n => Math.min(1, Math.max(0, (n || 0) / 255));
+
+/**
+ * @param {Color | Object | string | Array.<number>} color - any color a { @link Color } is made from
+ * @param {Array.<number>} out - array receiving the components
+ * @returns {Array.<number>} [r, g, b, a] with r, g, b in 0 - 255 and a in 0 - 1
+ */
+const COLOR_RGBA = (color, out) => (color instanceof Color ? color : Color.from(color)).toRGBA(out);
+
+// components of the colors blended by lerp and multiply, so blending doesn't allocate
+const COLOR_FROM = [0, 0, 0, 0];
+const COLOR_TO = [0, 0, 0, 0];
+const COLOR_HSL = [0, 0, 0];
+
+
+/**
+ * A color kept as it's hue, saturation, lightness and alpha, the way triangles are
+ * colored, so a color can be used wherever an hsla object is expected. Colors are made
+ * from css hex, rgb(a), hsl(a) and named colors, blending them is done on their rgb
+ * components like the rasteriser does across a triangle
+ * @class
+ */
+export class Color {
+
+    /**
+     * Make a color from any of the ways colors are written
+     * @static
+     * @param {Color | Object | string | Array.<number>} value - a color, an object with
+     * either it's `h`, `s`, `l` or it's `r`, `g`, `b` components and an optional `a`, a
+     * css color or an array of the h, s, l and a components
+     * @returns {Color} a new color
+     * @throws {TypeError} when the value isn't a color
+     */
+    static from(value) {
+        if(typeof value === "string")
+            return Color.parse(value);
+        if(Array.isArray(value))
+            return new Color(...value);
+        if(value && typeof value === "object") {
+            if("r" in value)
+                return Color.fromRGB(value.r, value.g, value.b, value.a);
+            if("h" in value)
+                return new Color(value.h, value.s, value.l, value.a);
+        }
+        throw TypeError(`Can't make a color from ${value}`);
+    }
+
+    /**
+     * Parse a css color: `#rgb`, `#rgba`, `#rrggbb`, `#rrggbbaa`, `rgb()`, `rgba()`,
+     * `hsl()`, `hsla()` with commas or spaces between the components, or a color name
+     * @static
+     * @param {string} value - the css color
+     * @returns {Color} the color
+     * @throws {SyntaxError} when the color can't be read
+     */
+    static parse(value) {
+        const text = value.trim().toLowerCase();
+        const named = CSS_COLORS.hasOwnProperty(text) ? "#" + CSS_COLORS[text] : text;
+        if(named.startsWith("#")) {
+            let hex = named.slice(1);
+            if(!/^([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/.test(hex))
+                throw SyntaxError(`Invalid hex color "${value}"`);
+            if(hex.length <= 4)
+                hex = hex.split("").map(c => c + c).join("");
+            const n = i => parseInt(hex.substr(i, 2), 16);
+            return Color.fromRGB(n(0), n(2), n(4), hex.length === 8 ? n(6) / 255 : 1);
+        }
+        const match = named.match(/^(rgba?|hsla?)\((.*)\)$/);
+        if(!match)
+            throw SyntaxError(`Unknown color "${value}"`);
+        const args = match[2].split(/[\s,\/]+/).filter(Boolean);
+        if(args.length < 3 || args.length > 4)
+            throw SyntaxError(`Color "${value}" must have 3 or 4 components`);
+        // percentages of rgb components are of 255 and of the alpha of 1
+        const numbers = args.map((arg, i) => {
+            const n = parseFloat(arg);
+            if(isNaN(n))
+                throw SyntaxError(`Color "${value}" has an invalid component "${arg}"`);
+            if(!arg.endsWith("%"))
+                return n;
+            return i === 3 ? n / 100 : match[1].startsWith("rgb") ? n * 2.55 : n;
+        });
+        const a = numbers[3] === undefined ? 1 : numbers[3];
+        if(match[1].startsWith("hsl"))
+            return new Color(numbers[0], numbers[1], numbers[2], a);
+        return Color.fromRGB(numbers[0], numbers[1], numbers[2], a);
+    }
+
+    /**
+     * @static
+     * @param {number} r - red component from 0 to 255
+     * @param {number} g - green component from 0 to 255
+     * @param {number} b - blue component from 0 to 255
+     * @param {number} a - alpha from 0 to 1
+     * @returns {Color} the color
+     */
+    static fromRGB(r, g, b, a = 1) {
+        return new Color().setRGB(r, g, b, a);
+    }
+
+    /**
+     * @constructor
+     * @param {number} h - hue in degrees
+     * @param {number} s - saturation in percentage
+     * @param {number} l - lightness in percentage
+     * @param {number} a - alpha from 0 to 1
+     */
+    constructor(h = 0, s = 0, l = 100, a = 1) {
+        this.h = h;
+        this.s = s;
+        this.l = l;
+        this.a = a;
+    }
+
+    /**
+     * Set the components of the color
+     * @param {number} h - hue in degrees
+     * @param {number} s - saturation in percentage
+     * @param {number} l - lightness in percentage
+     * @param {number} a - alpha from 0 to 1, unchanged when missing
+     * @returns {Color} this color
+     */
+    set(h, s, l, a = this.a) {
+        this.h = h;
+        this.s = s;
+        this.l = l;
+        this.a = a;
+        return this;
+    }
+
+    /**
+     * Set the color from it's rgb components
+     * @param {number} r - red component from 0 to 255
+     * @param {number} g - green component from 0 to 255
+     * @param {number} b - blue component from 0 to 255
+     * @param {number} a - alpha from 0 to 1, unchanged when missing
+     * @returns {Color} this color
+     */
+    setRGB(r, g, b, a = this.a) {
+        const hsl = RGB_TO_HSL(RGB_UNIT(r), RGB_UNIT(g), RGB_UNIT(b), COLOR_HSL);
+        return this.set(hsl[0], hsl[1], hsl[2], a);
+    }
+
+    /**
+     * @param {Color | Object} color - the color copied
+     * @returns {Color} this color
+     */
+    copy(color) {
+        return this.set(color.h, color.s, color.l, color.a === undefined ? 1 : color.a);
+    }
+
+    /**
+     * @returns {Color} a copy of the color
+     */
+    clone() {
+        return new Color(this.h, this.s, this.l, this.a);
+    }
+
+    /**
+     * Blend towards another color
+     * @param {Color | Object | string | Array.<number>} color - the color blended to
+     * @param {number} t - 0 is this color and 1 the other color
+     * @param {Color} out - the color written
+     * @returns {Color} the blended color
+     */
+    lerp(color, t, out = new Color()) {
+        const from = this.toRGBA(COLOR_FROM), to = COLOR_RGBA(color, COLOR_TO);
+        return out.setRGB(from[0] + (to[0] - from[0]) * t, from[1] + (to[1] - from[1]) * t,
+            from[2] + (to[2] - from[2]) * t, from[3] + (to[3] - from[3]) * t);
+    }
+
+    /**
+     * Multiply the rgb components and alpha by those of another color, the way a light
+     * or a tint filters a surface. White leaves the color unchanged
+     * @param {Color | Object | string | Array.<number>} color - the other color
+     * @param {Color} out - the color written
+     * @returns {Color} the multiplied color
+     */
+    multiply(color, out = new Color()) {
+        const from = this.toRGBA(COLOR_FROM), by = COLOR_RGBA(color, COLOR_TO);
+        return out.setRGB(from[0] * by[0] / 255, from[1] * by[1] / 255, from[2] * by[2] / 255, from[3] * by[3]);
+    }
+
+    /**
+     * Change the lightness, keeping it between black and white
+     * @param {number} amount - percentage added to the lightness, darkens when negative
+     * @param {Color} out - the color written
+     * @returns {Color} the lightened color
+     */
+    lighten(amount, out = new Color()) {
+        return out.set(this.h, this.s, Math.min(100, Math.max(0, this.l + amount)), this.a);
+    }
+
+    /**
+     * @param {Array.<number>} out - array receiving the components
+     * @returns {Array.<number>} [r, g, b, a] with r, g, b in 0 - 255 and a in 0 - 1
+     */
+    toRGBA(out = []) {
+        HSL_TO_RGB(this.h, this.s, this.l, out);
+        out[3] = this.a === undefined ? 1 : this.a;
+        return out;
+    }
+
+    /**
+     * @returns {string} the color as `#rrggbb`, or `#rrggbbaa` when it's translucent
+     */
+    toHex() {
+        const [r, g, b, a] = this.toRGBA();
+        const hex = n => Math.round(Math.min(255, Math.max(0, n))).toString(16).padStart(2, "0");
+        return "#" + hex(r) + hex(g) + hex(b) + (a < 1 ? hex(a * 255) : "");
+    }
+
+    /**
+     * @returns {string} the color as a css `hsla()` color
+     */
+    toString() {
+        return `hsla(${this.h}, ${this.s}%, ${this.l}%, ${this.a})`;
+    }
+
+};
@@ -0,0 +1,144 @@
+/**
+ * Actions of a camera controller and the inputs bound to them when the input
+ * manager has no binding for them yet
+ */
+const CAMERA_ACTIONS = {
+    pan: ["Mouse0", "Mouse2", "Touch"],
+    zoomIn: ["Equal", "NumpadAdd"],
+    zoomOut: ["Minus", "NumpadSubtract"],
+    rotateLeft: ["KeyQ"],
+    rotateRight: ["KeyE"]
+};
+
+
+/**
+ * Moves the camera of a scene with the pointer and keyboard. Dragging pans the view,
+ * the wheel and a pinch zoom about the pointer, the zoom keys about the center of the
+ * view and the rotate keys turn
+ * the view by quarter turns about the center of the view, which is how isometric maps
+ * are turned. The controller is updated by the scene when added to it's controllers
+ * @class
+ * @see Input
+ * @example
+ * scene.input = new Input(scene.element);
+ * scene.controllers.push(new CameraController(scene));
+ */
+export class CameraController {
+
+    /**
+     * @constructor
+     * @param {Scene} scene - the scene whose camera is moved
+     * @param {Input} input - the input read, the input of the scene by default
+     * @param {Object} options - `minZoom` and `maxZoom`, `zoomStep` the zoom factor of one
+     * wheel notch or key press and `rotationSmoothing` of the quarter turns
+     */
+    constructor(scene, input = scene.input, { minZoom = 0.25, maxZoom = 8, zoomStep = 1.2, rotationSmoothing = 0.8 } = {}) {
+        if(!input)
+            throw TypeError("A camera controller needs an instance of `Input`, set the input of the scene first");
+        this.scene = scene;
+        this.input = input;
+        this.minZoom = minZoom;
+        this.maxZoom = maxZoom;
+        this.zoomStep = zoomStep;
+        this.rotationSmoothing = rotationSmoothing;
+
+        this.enabled = true;
+        this.enablePan = true;
+        this.enableZoom = true;
+        this.enableRotate = true;
+
+        // the rotation being turned to, the camera may still be turning
+        this.angle = null;
+
+        for(const action in CAMERA_ACTIONS) {
+            if(!input.bindings[action])
+                input.bind(action, ...CAMERA_ACTIONS[action]);
+        }
+    }
+
+    get camera() {
+        return this.scene.camera;
+    }
+
+    /**
+     * Move the view so the world point under a screen point moves to another screen point
+     * @param {number} fromX - screen x before the move in pixels
+     * @param {number} fromY - screen y before the move in pixels
+     * @param {number} toX - screen x after the move in pixels
+     * @param {number} toY - screen y after the move in pixels
+     */
+    pan(fromX, fromY, toX, toY) {
+        const camera = this.camera;
+        const offset = camera.screenToWorld(fromX, fromY).sub(camera.screenToWorld(toX, toY));
+        const p = camera.position;
+        // dragging the view stops it from following a target
+        camera.target = null;
+        camera.setPosition(p.x + offset.x, p.y + offset.y, p.z + offset.z);
+    }
+
+    /**
+     * Scale the zoom level keeping the world point under a screen point in place
+     * @param {number} factor - above 1 magnifies the view
+     * @param {number} x - screen x in pixels, the center of the view by default
+     * @param {number} y - screen y in pixels, the center of the view by default
+     */
+    zoom(factor, x = this.camera.width * 0.5, y = this.camera.height * 0.5) {
+        const camera = this.camera;
+        const zoom = Math.min(Math.max(camera.zoom * factor, this.minZoom), this.maxZoom);
+        if(zoom === camera.zoom)
+            return;
+        const before = camera.screenToWorld(x, y);
+        camera.setZoom(zoom);
+        const after = camera.screenToWorld(x, y);
+        const p = camera.position;
+        camera.setPosition(p.x + before.x - after.x, p.y + before.y - after.y, p.z + before.z - after.z);
+    }
+
+    /**
+     * Turn the view about the z-axis by quarter turns from the rotation it's turning to
+     * @param {number} turns - number of quarter turns, positive turns the view clockwise
+     */
+    rotate(turns) {
+        const camera = this.camera;
+        // a turn started while the camera is still turning continues from where it's going
+        if(this.angle === null || !camera.targetRotation)
+            this.angle = camera.rotation.z;
+        // the view turns the opposite way to the camera
+        this.angle -= turns * Math.PI * 0.5;
+        camera.rotateTo(camera.rotation.x, camera.rotation.y, this.angle, this.rotationSmoothing);
+    }
+
+    /**
+     * Read the input and move the camera. Called by the scene on every step before
+     * the camera is updated
+     * @param {number} dt - seconds since the last step
+     */
+    update(dt) {
+        const input = this.input;
+        if(!this.enabled)
+            return;
+        const pointer = input.pointer;
+        if(this.enablePan && input.held("pan") && !input.pressed("pan") && (pointer.dx || pointer.dy))
+            this.pan(pointer.x - pointer.dx, pointer.y - pointer.dy, pointer.x, pointer.y);
+        if(this.enableZoom) {
+            let factor = Math.pow(this.zoomStep, -input.wheel) * input.pinch;
+            if(input.pressed("zoomIn"))
+                factor *= this.zoomStep;
+            if(input.pressed("zoomOut"))
+                factor /= this.zoomStep;
+            if(factor !== 1) {
+                // keys zoom about the center, the wheel and pinches about the pointer
+                if(input.wheel || input.pinch !== 1)
+                    this.zoom(factor, pointer.x, pointer.y);
+                else
+                    this.zoom(factor);
+            }
+        }
+        if(this.enableRotate) {
+            const turns = input.pressed("rotateRight") - input.pressed("rotateLeft");
+            if(turns)
+                this.rotate(turns);
+        }
+    }
+
+};
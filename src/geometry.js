@@ -7,17 +7,38 @@ import { Vector3 } from "./vector.js";
  */
 export class Triangle {
 
-    constructor(vertices, color) {
+    /**
+     * @constructor
+     * @param {Array} vertices - the three vertices as Vector3 or [x, y, z] arrays
+     * @param {Color | Object} color - hsla color of the triangle
+     * @param {Array.<Vector3>} normals - optional vertex normals used for smooth shading
+     * @param {Array.<Vector2>} uvs - optional texture coordinate of each vertex
+     * @param {Array.<Color>} colors - optional color of each vertex, blended across the triangle
+     */
+    constructor(vertices, color, normals, uvs, colors) {
         this.vertices = [];
         vertices.forEach((p, i) => {
             this.vertices[i] = p instanceof Vector3  ? p 
                 : new Vector3(p[0], p[1], p[2]);
         });
         this.color = color;
+        this.normals = normals || [];
+        this.uvs = uvs || [];
+        this.colors = colors || null;
     }
 
     static clone(tri) {
-        return new Triangle(tri.vertices, tri.color);
+        return new Triangle(tri.vertices, tri.color, tri.normals, tri.uvs, tri.colors);
+    }
+
+    /**
+     * get the face normal. It is not normalised, it's magnitude is twice the
+     * area of the triangle
+     * @returns {Vector3} the face normal
+     */
+    get normal() {
+        let v = this.vertices;
+        return v[1].sub(v[0]).cross(v[2].sub(v[0]));
     }
 
 };
\ No newline at end of file
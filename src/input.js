@@ -0,0 +1,353 @@
+/**
+ * Name of the input of each mouse button
+ */
+const MOUSE_BUTTONS = ["Mouse0", "Mouse1", "Mouse2", "Mouse3", "Mouse4"];
+
+/**
+ * Pixels scrolled by one notch of a mouse wheel, wheel events in lines or pages
+ * are counted as one notch per line or page
+ */
+const WHEEL_NOTCH = 100;
+
+
+/**
+ * Maps keyboard, mouse, wheel and touch input to named actions. An action is bound
+ * to one or more inputs, keys are named by their `KeyboardEvent.code` such as "KeyW"
+ * or "ArrowLeft", mouse buttons are "Mouse0" to "Mouse4", a touch is "Touch" and
+ * scrolling is "WheelUp" or "WheelDown". The state of the actions changes once per
+ * call to update, which the scene does at the start of every step, so an action is
+ * pressed or released for exactly one step even if it was tapped between two steps.
+ * Pointer input is read from an element, usually the canvas of the scene, and
+ * keyboard input from the window
+ * @class
+ * @example
+ * scene.input = new Input(scene.element);
+ * scene.input.bind("jump", "Space", "Mouse0");
+ * player.update = () => {
+ *     if(scene.input.pressed("jump"))
+ *         player.jump();
+ * };
+ */
+export class Input {
+
+    /**
+     * @constructor
+     * @param {HTMLElement} element - element receiving pointer and wheel events
+     * @param {EventTarget} keyTarget - receives keyboard events, the window by default
+     */
+    constructor(element = null, keyTarget = typeof window === "object" ? window : null) {
+        this.element = null;
+        this.keyTarget = null;
+        this.bindings = {};
+        this.states = {};
+
+        // inputs that are down and inputs that went down since the last update
+        this.down = new Set();
+        this.hits = new Set();
+
+        // pointer in pixels of the element, the deltas are the movement during the last step
+        this.pointer = { x: 0, y: 0, dx: 0, dy: 0, inside: false };
+        // notches scrolled during the last step, positive when scrolling down
+        this.wheel = 0;
+        // change of the distance between two touches during the last step, above 1 when spreading
+        this.pinch = 1;
+
+        this.touches = new Map();
+        this.primaryPointer = null;
+        this.moveX = 0;
+        this.moveY = 0;
+        this.wheelSum = 0;
+        this.pinchProduct = 1;
+
+        this.handlers = {
+            keydown: e => this.onKey(e, true),
+            keyup: e => this.onKey(e, false),
+            blur: () => this.reset(),
+            pointerdown: e => this.onPointerDown(e),
+            pointermove: e => this.onPointerMove(e),
+            pointerup: e => this.onPointerUp(e),
+            pointercancel: e => this.onPointerUp(e),
+            pointerleave: e => this.onPointerLeave(e),
+            wheel: e => this.onWheel(e),
+            contextmenu: e => e.preventDefault()
+        };
+
+        this.attach(element, keyTarget);
+    }
+
+    /**
+     * Start listening to the events of an element and of a keyboard target. Listeners
+     * added before are removed
+     * @param {HTMLElement} element - element receiving pointer and wheel events
+     * @param {EventTarget} keyTarget - receives keyboard events
+     */
+    attach(element, keyTarget = this.keyTarget) {
+        this.detach();
+        const h = this.handlers;
+        if(element) {
+            ["pointerdown", "pointermove", "pointerup", "pointercancel", "pointerleave", "contextmenu"]
+                .forEach(type => element.addEventListener(type, h[type]));
+            // not passive so scrolling over the element doesn't scroll the page
+            element.addEventListener("wheel", h.wheel, { passive: false });
+            // touches are not used to scroll or zoom the page
+            if(element.style)
+                element.style.touchAction = "none";
+        }
+        if(keyTarget)
+            ["keydown", "keyup", "blur"].forEach(type => keyTarget.addEventListener(type, h[type]));
+        this.element = element;
+        this.keyTarget = keyTarget;
+    }
+
+    /**
+     * Stop listening to events, every input is released
+     */
+    detach() {
+        const h = this.handlers;
+        if(this.element) {
+            ["pointerdown", "pointermove", "pointerup", "pointercancel", "pointerleave", "contextmenu", "wheel"]
+                .forEach(type => this.element.removeEventListener(type, h[type]));
+        }
+        if(this.keyTarget)
+            ["keydown", "keyup", "blur"].forEach(type => this.keyTarget.removeEventListener(type, h[type]));
+        this.element = null;
+        this.keyTarget = null;
+        this.reset();
+    }
+
+    /**
+     * Bind inputs to an action, the inputs are added to the ones already bound
+     * @param {string} action - name of the action
+     * @param  {...string} inputs - names of the inputs
+     */
+    bind(action, ...inputs) {
+        if(!inputs.length || inputs.some(input => typeof input !== "string"))
+            throw TypeError("An action must be bound to the names of one or more inputs");
+        const bound = this.bindings[action] || (this.bindings[action] = []);
+        inputs.forEach(input => {
+            if(bound.indexOf(input) < 0)
+                bound.push(input);
+        });
+        if(!this.states[action])
+            this.states[action] = { held: false, pressed: false, released: false };
+    }
+
+    /**
+     * Remove inputs from an action
+     * @param {string} action - name of the action
+     * @param  {...string} inputs - names of the inputs, every input and the action are removed if none are given
+     */
+    unbind(action, ...inputs) {
+        if(!inputs.length) {
+            delete this.bindings[action];
+            delete this.states[action];
+            return;
+        }
+        if(this.bindings[action])
+            this.bindings[action] = this.bindings[action].filter(input => inputs.indexOf(input) < 0);
+    }
+
+    /**
+     * @param {string} action - name of the action
+     * @returns {boolean} true during the step the action started
+     */
+    pressed(action) {
+        const state = this.states[action];
+        return !!state && state.pressed;
+    }
+
+    /**
+     * @param {string} action - name of the action
+     * @returns {boolean} true while any input of the action is down
+     */
+    held(action) {
+        const state = this.states[action];
+        return !!state && state.held;
+    }
+
+    /**
+     * @param {string} action - name of the action
+     * @returns {boolean} true during the step the action ended
+     */
+    released(action) {
+        const state = this.states[action];
+        return !!state && state.released;
+    }
+
+    /**
+     * Check an input directly without binding it to an action
+     * @param {string} input - name of the input
+     * @returns {boolean} true while the input is down
+     */
+    isDown(input) {
+        return this.down.has(input);
+    }
+
+    /**
+     * Move the events received since the last update into the state of the actions,
+     * the pointer, wheel and pinch. This is called by the scene at the start of every step
+     */
+    update() {
+        for(const action in this.bindings) {
+            const inputs = this.bindings[action];
+            const state = this.states[action];
+            const wasHeld = state.held;
+            const hit = inputs.some(input => this.hits.has(input));
+            state.held = inputs.some(input => this.down.has(input));
+            // an input tapped between two updates is pressed and released in the same step
+            state.pressed = !wasHeld && (state.held || hit);
+            state.released = (wasHeld || hit) && !state.held;
+        }
+        this.hits.clear();
+
+        this.pointer.dx = this.moveX;
+        this.pointer.dy = this.moveY;
+        this.wheel = this.wheelSum;
+        this.pinch = this.pinchProduct;
+        this.moveX = this.moveY = this.wheelSum = 0;
+        this.pinchProduct = 1;
+    }
+
+    /**
+     * Release every input, used when the window loses focus and the key ups would be missed
+     */
+    reset() {
+        this.down.clear();
+        this.touches.clear();
+        this.primaryPointer = null;
+    }
+
+    /**
+     * @private
+     */
+    press(input) {
+        if(!this.down.has(input)) {
+            this.down.add(input);
+            this.hits.add(input);
+        }
+    }
+
+    /**
+     * @private
+     */
+    lift(input) {
+        this.down.delete(input);
+    }
+
+    /**
+     * @private
+     */
+    onKey(e, down) {
+        if(down)
+            this.press(e.code);
+        else
+            this.lift(e.code);
+    }
+
+    /**
+     * Convert the position of a pointer event to pixels of the element, which may be
+     * scaled by css
+     * @private
+     * @returns {Array.<number>} x and y
+     */
+    toElement(e) {
+        const element = this.element;
+        const rect = element.getBoundingClientRect();
+        const sx = rect.width ? (element.width || rect.width) / rect.width : 1;
+        const sy = rect.height ? (element.height || rect.height) / rect.height : 1;
+        return [(e.clientX - rect.left) * sx, (e.clientY - rect.top) * sy];
+    }
+
+    /**
+     * @private
+     */
+    onPointerDown(e) {
+        const [x, y] = this.toElement(e);
+        if(e.pointerType === "touch") {
+            this.touches.set(e.pointerId, { x, y });
+            this.press("Touch");
+        } else {
+            this.press(MOUSE_BUTTONS[e.button] || `Mouse${e.button}`);
+        }
+        if(this.primaryPointer === null || e.pointerType !== "touch") {
+            this.primaryPointer = e.pointerId;
+            this.pointer.x = x;
+            this.pointer.y = y;
+        }
+        this.pointer.inside = true;
+        // keep receiving the moves of a drag that leaves the element
+        if(this.element.setPointerCapture)
+            this.element.setPointerCapture(e.pointerId);
+    }
+
+    /**
+     * @private
+     */
+    onPointerMove(e) {
+        const [x, y] = this.toElement(e);
+        const touch = this.touches.get(e.pointerId);
+        if(touch && this.touches.size === 2) {
+            const [a, b] = this.touches.values();
+            const before = Math.hypot(a.x - b.x, a.y - b.y);
+            touch.x = x;
+            touch.y = y;
+            const after = Math.hypot(a.x - b.x, a.y - b.y);
+            if(before > 0 && after > 0)
+                this.pinchProduct *= after / before;
+        } else if(touch) {
+            touch.x = x;
+            touch.y = y;
+        }
+        if(this.primaryPointer === null || this.primaryPointer === e.pointerId) {
+            this.moveX += x - this.pointer.x;
+            this.moveY += y - this.pointer.y;
+            this.pointer.x = x;
+            this.pointer.y = y;
+            this.pointer.inside = true;
+        }
+    }
+
+    /**
+     * @private
+     */
+    onPointerUp(e) {
+        if(e.pointerType === "touch") {
+            this.touches.delete(e.pointerId);
+            if(!this.touches.size)
+                this.lift("Touch");
+        } else {
+            this.lift(MOUSE_BUTTONS[e.button] || `Mouse${e.button}`);
+        }
+        if(this.primaryPointer === e.pointerId) {
+            // another finger still down takes over without moving the pointer
+            const next = this.touches.keys().next();
+            this.primaryPointer = next.done ? null : next.value;
+            if(!next.done) {
+                const touch = this.touches.get(next.value);
+                this.pointer.x = touch.x;
+                this.pointer.y = touch.y;
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    onPointerLeave(e) {
+        if(e.pointerType !== "touch")
+            this.pointer.inside = false;
+    }
+
+    /**
+     * @private
+     */
+    onWheel(e) {
+        e.preventDefault();
+        const notches = e.deltaMode ? e.deltaY : e.deltaY / WHEEL_NOTCH;
+        this.wheelSum += notches;
+        // a notch is a tap, it's pressed and released in the next step
+        if(notches)
+            this.hits.add(notches < 0 ? "WheelUp" : "WheelDown");
+    }
+
+};
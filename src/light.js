@@ -0,0 +1,199 @@
+import { Mat4x4 } from "./matrices.js";
+import { Vector3 } from "./vector.js";
+
+
+/**
+ * The direction of a directional light as it is moved into view space
+ */
+const LIGHT_DIRECTION = new Vector3(0, 0, 0, 0);
+
+
+/**
+ * @abstract
+ * @class
+ * Base class for lights. A light returns how much it brightens a point on a
+ * surface, the lightness of the surface color is multiplied by the sum of every
+ * light in the scene
+ */
+export class Light {
+
+    /**
+     * Create a light from it's json representation
+     * @static
+     * @param {Object} json - the light as returned by toJSON
+     * @returns {Light} the light
+     * @throws {TypeError} when the type of light is unknown
+     */
+    static fromJSON(json) {
+        switch(json.type) {
+            case "AmbientLight":
+                return new AmbientLight(json.intensity);
+            case "DirectionalLight":
+                return new DirectionalLight(new Vector3(...json.direction), json.intensity);
+            case "PointLight":
+                return new PointLight(new Vector3(...json.position), json.intensity, json.range, json.decay);
+            default:
+                throw TypeError(`Unknown light type "${json.type}"`);
+        }
+    }
+
+    /**
+     * @hideconstructor
+     * @constructor
+     * @param {number} intensity - strength of the light, 1 leaves a color unchanged
+     */
+    constructor(intensity = 1) {
+        if(this.constructor === Light)
+            throw new Error("Abstract Class `Light` cannot be Instantiated");
+        this.intensity = intensity;
+    }
+
+    /**
+     * Move the light into the view space of the processed triangles.
+     * This is called once per frame by the scene before any mesh is processed
+     * @param {Float32Array} mView - view matrix of the scene camera
+     */
+    update(mView) {}
+
+    /**
+     * @param {Vector3} point - a point on the surface
+     * @param {Vector3} normal - unit normal of the surface facing the viewer
+     * @returns {number} how much the light brightens the surface
+     */
+    illuminate(point, normal) {
+        return 0;
+    }
+
+    /**
+     * The type and settings of the light for JSON.stringify
+     * @returns {Object}
+     */
+    toJSON() {
+        return { type: "Light", intensity: this.intensity };
+    }
+
+};
+
+
+/**
+ * @augments Light
+ * A light that brightens every surface equally regardless of it's direction
+ */
+export class AmbientLight extends Light {
+
+    /**
+     * @constructor
+     * @param {number} intensity - strength of the light
+     */
+    constructor(intensity = 0.3) {
+        super(intensity);
+    }
+
+    illuminate(point, normal) {
+        return this.intensity;
+    }
+
+    toJSON() {
+        return Object.assign(super.toJSON(), { type: "AmbientLight" });
+    }
+
+};
+
+
+/**
+ * @augments Light
+ * A light infinitely far away, every ray travels in the same direction
+ */
+export class DirectionalLight extends Light {
+
+    /**
+     * @constructor
+     * @param {Vector3} direction - direction the light travels
+     * @param {number} intensity - strength of the light
+     */
+    constructor(direction = new Vector3(0, 0, 1), intensity = 1) {
+        super(intensity);
+        this.direction = direction;
+        this.viewDirection = new Vector3();
+    }
+
+    update(mView) {
+        const d = LIGHT_DIRECTION;
+        d.x = this.direction.x;
+        d.y = this.direction.y;
+        d.z = this.direction.z;
+        Mat4x4.multiplyVector(mView, d, this.viewDirection);
+        this.viewDirection.normalise();
+    }
+
+    illuminate(point, normal) {
+        return Math.max(0, -normal.dot(this.viewDirection)) * this.intensity;
+    }
+
+    toJSON() {
+        const d = this.direction;
+        return Object.assign(super.toJSON(), { type: "DirectionalLight", direction: [d.x, d.y, d.z] });
+    }
+
+};
+
+
+/**
+ * @augments Light
+ * A light that shines in every direction from a point and fades with distance
+ */
+export class PointLight extends Light {
+
+    /**
+     * @constructor
+     * @param {Vector3} position - position of the light
+     * @param {number} intensity - strength of the light
+     * @param {number} range - distance at which the light fades out completely, 0 never fades
+     * @param {number} decay - how quickly the light fades within it's range
+     */
+    constructor(position = new Vector3(), intensity = 1, range = 0, decay = 1) {
+        super(intensity);
+        this.position = position;
+        this.range = range;
+        this.decay = decay;
+        this.viewPosition = new Vector3();
+    }
+
+    /**
+     * Set light position
+     * @param {number} x - position on the x-axis
+     * @param {number} y - position on the y-axis
+     * @param {number} z - position on the z-axis
+     */
+    setPosition(x = 0, y = 0, z = 0) {
+        this.position.x = x;
+        this.position.y = y;
+        this.position.z = z;
+    }
+
+    update(mView) {
+        Mat4x4.multiplyVector(mView, this.position, this.viewPosition);
+    }
+
+    illuminate(point, normal) {
+        const p = this.viewPosition;
+        const x = p.x - point.x, y = p.y - point.y, z = p.z - point.z;
+        const distance = Math.hypot(x, y, z);
+        const falloff = this.range > 0 ? Math.pow(Math.max(0, 1 - distance / this.range), this.decay) : 1;
+        // the dot product with the unit vector to the light
+        const d = distance || 1;
+        const facing = normal.x * (x / d) + normal.y * (y / d) + normal.z * (z / d);
+        return Math.max(0, facing) * falloff * this.intensity;
+    }
+
+    toJSON() {
+        const p = this.position;
+        return Object.assign(super.toJSON(), {
+            type: "PointLight",
+            position: [p.x, p.y, p.z],
+            range: this.range,
+            decay: this.decay
+        });
+    }
+
+};
@@ -0,0 +1,162 @@
+/**
+ * @returns {number} current time in milliseconds
+ */
+const NOW = () => typeof performance === "object" ? performance.now() : Date.now();
+
+
+/**
+ * Measures the time between frames
+ * @class
+ */
+export class Clock {
+
+    /**
+     * @constructor
+     * @param {number} maxDelta - longest step in seconds, a longer frame such as after
+     * switching tabs is shortened to it
+     */
+    constructor(maxDelta = 0.25) {
+        this.maxDelta = maxDelta;
+        this.timeScale = 1;
+        this.elapsed = 0;
+        this.last = null;
+    }
+
+    /**
+     * Start measuring from now
+     */
+    start() {
+        this.last = NOW();
+    }
+
+    /**
+     * Stop measuring, the next tick after a start returns no time
+     */
+    stop() {
+        this.last = null;
+    }
+
+    /**
+     * Measure the time since the last tick
+     * @returns {number} scaled seconds since the last tick, 0 on the first tick
+     */
+    tick() {
+        const now = NOW();
+        const dt = this.last === null ? 0 : Math.min((now - this.last) / 1000, this.maxDelta) * this.timeScale;
+        this.last = now;
+        this.elapsed += dt;
+        return dt;
+    }
+
+};
+
+
+/**
+ * Runs an update and a render function on every animation frame. With a variable
+ * timestep the update is given the time since the last frame, with a fixed timestep
+ * it is called as many times as needed to catch up in steps of the same length
+ * @class
+ */
+export class GameLoop {
+
+    /**
+     * @constructor
+     * @param {function(number)} update - called with the step in seconds
+     * @param {function()} render - called once per frame after the updates
+     * @param {number} fixedStep - length of a fixed step in seconds, 0 for a variable timestep
+     */
+    constructor(update, render, fixedStep = 0) {
+        this.update = update;
+        this.render = render;
+        this.fixedStep = fixedStep;
+        // a slow frame runs at most this many fixed steps so the loop can't fall further behind
+        this.maxSteps = 5;
+        this.clock = new Clock();
+        this.accumulator = 0;
+        this.running = false;
+        this.paused = false;
+        this.frameId = null;
+    }
+
+    /**
+     * Start running frames
+     */
+    start() {
+        if(this.running)
+            return;
+        this.running = true;
+        this.paused = false;
+        this.accumulator = 0;
+        this.clock.start();
+        this.schedule();
+    }
+
+    /**
+     * Stop running frames
+     */
+    stop() {
+        this.running = false;
+        this.paused = false;
+        if(this.frameId !== null) {
+            if(typeof cancelAnimationFrame === "function")
+                cancelAnimationFrame(this.frameId);
+            else
+                clearTimeout(this.frameId);
+        }
+        this.frameId = null;
+    }
+
+    /**
+     * Stop updating but keep rendering, time doesn't pass while paused
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Continue updating from where it was paused
+     */
+    resume() {
+        this.paused = false;
+        this.clock.start();
+    }
+
+    /**
+     * @private
+     */
+    schedule() {
+        const frame = () => {
+            if(!this.running)
+                return;
+            this.tick(this.clock.tick());
+            this.schedule();
+        };
+        this.frameId = typeof requestAnimationFrame === "function"
+            ? requestAnimationFrame(frame) : setTimeout(frame, 1000 / 60);
+    }
+
+    /**
+     * Run a single frame, used by the loop on every animation frame. It can be
+     * called directly to step a loop that is not running
+     * @param {number} dt - seconds since the last frame
+     */
+    tick(dt) {
+        if(!this.paused) {
+            if(this.fixedStep > 0) {
+                this.accumulator += dt;
+                let steps = 0;
+                while(this.accumulator >= this.fixedStep && steps < this.maxSteps) {
+                    this.update(this.fixedStep);
+                    this.accumulator -= this.fixedStep;
+                    steps++;
+                }
+                if(steps === this.maxSteps)
+                    this.accumulator = Math.min(this.accumulator, this.fixedStep);
+            } else
+                this.update(dt);
+        } else
+            this.clock.start();
+        this.render();
+    }
+
+};
@@ -0,0 +1,155 @@
+import { Color } from "./color.js";
+import { Texture } from "./texture.js";
+
+
+/**
+ * The surface of a triangle, as described by a material in a wavefront mtl file.
+ * The diffuse color `Kd`, the opacity `d` or `Tr` and the diffuse texture `map_Kd`
+ * are supported.
+ * @class
+ */
+export class Material {
+
+    /**
+     * Parse the materials of a wavefront mtl file
+     * @static
+     * @param {string} data - mtl file format
+     * @returns {Object.<string, Material>} the materials mapped by their names
+     * @throws {SyntaxError} when a line is malformed
+     */
+    static parseLibrary(data) {
+        const materials = {};
+        let current = null;
+
+        data.split(/\r?\n/).forEach((text, i) => {
+            const line = i + 1;
+            const comment = text.indexOf("#");
+            const values = (comment < 0 ? text : text.slice(0, comment)).trim().split(/\s+/);
+            const keyword = values.shift();
+            if(!keyword)
+                return;
+
+            if(keyword === "newmtl") {
+                current = new Material(values.join(" "));
+                materials[current.name] = current;
+                return;
+            }
+            if(!current)
+                throw SyntaxError(`Line ${line}: "${keyword}" found before any newmtl`);
+
+            const number = j => {
+                const n = parseFloat(values[j]);
+                if(isNaN(n))
+                    throw SyntaxError(`Line ${line}: ${keyword} has an invalid number`);
+                return n;
+            };
+
+            switch(keyword) {
+                case "Kd":
+                    // a single value is used for all three components
+                    if(values.length === 1)
+                        current.setDiffuse(number(0), number(0), number(0));
+                    else
+                        current.setDiffuse(number(0), number(1), number(2));
+                    break;
+                case "d":
+                    current.opacity = number(values[0] === "-halo" ? 1 : 0);
+                    break;
+                case "Tr":
+                    current.opacity = 1 - number(0);
+                    break;
+                case "map_Kd":
+                    // options come before the file name
+                    current.textureMap = values[values.length - 1];
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        return materials;
+    }
+
+    /**
+     * Fetch and parse a mtl file. The diffuse textures are loaded as images
+     * relative to the url of the file
+     * @static
+     * @param {string} url - location of the mtl file
+     * @returns {Promise.<Object.<string, Material>>} the materials mapped by their names
+     */
+    static async loadLibrary(url) {
+        const response = await fetch(url);
+        if(!response.ok)
+            throw Error(`Could not load material library ${url}: ${response.status}`);
+        const materials = Material.parseLibrary(await response.text());
+        const base = new URL(url, typeof location === "object" ? location.href : undefined);
+        for(const name in materials) {
+            const material = materials[name];
+            if(material.textureMap && typeof Image === "function") {
+                const image = new Image();
+                image.src = new URL(material.textureMap, base).href;
+                material.setTexture(image);
+            }
+        }
+        return materials;
+    }
+
+    /**
+     * @constructor
+     * @param {string} name - name of the material
+     */
+    constructor(name = "default") {
+        this.name = name;
+        this.color = new Color();
+        this.texture = null;
+        this.textureMap = null;
+    }
+
+    /**
+     * opacity of the material from 0 to 1
+     * @returns {number}
+     */
+    get opacity() {
+        return this.color.a;
+    }
+
+    set opacity(a) {
+        this.color.a = Math.min(1, Math.max(0, a));
+    }
+
+    /**
+     * Set the diffuse color
+     * @param {number} r - red component from 0 to 1
+     * @param {number} g - green component from 0 to 1
+     * @param {number} b - blue component from 0 to 1
+     */
+    setDiffuse(r, g, b) {
+        this.color.setRGB(r * 255, g * 255, b * 255);
+    }
+
+    /**
+     * Set the diffuse texture
+     * @param {HTMLImageElement | HTMLCanvasElement | ImageData | Texture} image - the texture,
+     * null removes the texture
+     */
+    setTexture(image) {
+        this.texture = !image || image instanceof Texture ? image : new Texture(image);
+    }
+
+    /**
+     * Write the material as an entry of a wavefront mtl file
+     * @returns {string} mtl file format
+     */
+    toMTL() {
+        const [r, g, b, a] = this.color.toRGBA();
+        const lines = [
+            `newmtl ${this.name}`,
+            `Kd ${[r, g, b].map(c => +(c / 255).toFixed(6)).join(" ")}`,
+            `d ${a}`
+        ];
+        if(this.textureMap)
+            lines.push(`map_Kd ${this.textureMap}`);
+        return lines.join("\n");
+    }
+
+};
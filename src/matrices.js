@@ -1,4 +1,5 @@
 import {Vector2, Vector3} from "./vector.js";
+import { Quaternion } from "./quaternion.js";
 
 
 /**
@@ -13,17 +14,35 @@ const Mat = (length => {
 
     const mat = {};
 
+    // reused by the operations below so they don't allocate on every call
+    const workspace = new Float64Array(length * length);
+    const inverseWorkspace = new Float64Array(length * length);
+    const vectorWorkspace = new Float64Array(length);
+
     /**
-     * Create a matrix
+     * Create a new matrix. Operations taking an `out` matrix write into it instead,
+     * pass one to keep them from allocating
      * @param  {...any} args - values of each index in the matrix
      * @returns {Float32Array} The matrix
      */
     mat.create = (...args) => {
-        const buffer = new ArrayBuffer(4 * length * length);
-        const arr = new Float32Array(buffer).map((val, i) => args[i] || 0);
+        const arr = new Float32Array(length * length);
+        for(let i=0; i < args.length && i < arr.length; i++)
+            arr[i] = args[i] || 0;
         return arr;
     };
 
+    /**
+     * Copy the items of a matrix into another
+     * @param {Float32Array} m - The matrix copied from
+     * @param {Float32Array} out - The matrix copied to
+     * @returns {Float32Array} out
+     */
+    mat.copy = (m, out) => {
+        out.set(m);
+        return out;
+    };
+
     /**
      * Add a matrix to another
      * @param {Float32Array} m1 - The first matrix
@@ -70,9 +89,15 @@ const Mat = (length => {
 
     /**
      * An identity matrix has zero anywhere and 1 on it's main diagonal
+     * @param {Float32Array} out - matrix receiving the identity
      * @returns {Float32Array} an identity matrix
      */
-    mat.identity = () => mat.diagonal(1, 1, 1);
+    mat.identity = (out = mat.create()) => {
+        out.fill(0);
+        for(let i=0; i < length; i++)
+            out[i * length + i] = 1;
+        return out;
+    };
 
 
     /**
@@ -82,12 +107,21 @@ const Mat = (length => {
      */
     mat.translate = (...args) => {
         let m = mat.identity();
-        for(let i=0; i < length; i++) {
-            for(let j=0; j < length; j++) {
-                if(j + 1 == length) 
-                    m[i * length + j] = args[i] || 1;
-            }
-        }
+        for(let i=0; i < length - 1; i++)
+            m[i * length + length - 1] = args[i] || 0;
+        return m;
+    }
+
+
+    /**
+     * Creates a Scaling matrix
+     * @param  {...any} args - Values to be scaled by on each axis, missing values are 1
+     * @returns {Float32Array} - A scaling matrix
+     */
+    mat.scale = (...args) => {
+        let m = mat.identity();
+        for(let i=0; i < length - 1; i++)
+            m[i * length + i] = args[i] === undefined ? 1 : args[i];
         return m;
     }
 
@@ -98,11 +132,11 @@ const Mat = (length => {
      * @returns {Float32Array} - The transposed Matrix
      */
     mat.transpose = m => {
-        const size = m.length / length;
-        const copy = mat.clone(m);
-        for(let i=0; i < size; i++) {
-            for(let j=0; j < size; j++) {
-                m[i * length + j] = copy[j * length + i];
+        for(let i=0; i < length; i++) {
+            for(let j=i + 1; j < length; j++) {
+                const a = m[i * length + j];
+                m[i * length + j] = m[j * length + i];
+                m[j * length + i] = a;
             }
         };
         return m;
@@ -135,31 +169,34 @@ const Mat = (length => {
      * the component length of the vector including the homogenous w-component.
      * @param {Float32Array} m - An Array representing a fixed size matrix
      * @param {Vector | Vector2 | Vector3} vec - A vector 
+     * @param {Vector2 | Vector3} out - vector receiving the result, it may be vec
      * @returns {Vector2 | Vector3} depends on the input size vector
      */
-    mat.multiplyVector = (m, vec) => {
+    mat.multiplyVector = (m, vec, out) => {
 
         if(!(vec instanceof Vector2) && !(vec instanceof Vector3))
             throw TypeError("Vector must be an instance of `Vector2` or `Vector3` when multiplying matrices by a vector");
 
-        const column = m.length / length;
         const row = vec.components.length + 1;
-        if(column != row) 
+        if(length != row) 
             throw TypeError("Left hand column must be equal to right hand row");
-        
-        let sum = 0;
-        let v = vec.toArray();
-        let res = [];
+
+        const v = vectorWorkspace;
+        for(let j=0; j < row - 1; j++)
+            v[j] = vec[vec.components[j]];
+        v[row - 1] = vec.w;
+
+        out = out || (row === 4 ? new Vector3() : new Vector2());
         for(let i=0; i < row; i++) {
-            sum = 0;
-            for(let j=0; j < column; j++) {
+            let sum = 0;
+            for(let j=0; j < row; j++)
                 sum += m[i * length + j] * v[j];
-            };
-            res[i] = sum;
+            if(i === row - 1)
+                out.w = sum;
+            else
+                out[out.components[i]] = sum;
         };
-        v = row === 4 ? new Vector3(res[0], res[1], res[2], res[3]) 
-            : new Vector2(res[0], res[1], res[2]);
-        return v;
+        return out;
     };
 
 
@@ -167,16 +204,18 @@ const Mat = (length => {
      * Multiplies a matrix by another. Note that this matrix operation is not commutative
      * @param {Float32Array} m1 - The first matrix
      * @param {Float32Array} m2 - The second matrix
+     * @param {Float32Array} out - matrix receiving the product, it may be either matrix
      * @returns {Float32Array} - The product operation of two matrices
      */
-    mat.multiplyMatrix = (m1, m2) => {
+    mat.multiplyMatrix = (m1, m2, out = mat.create()) => {
         const column = m1.length / length;
         const row = m2.length / length;
         const size = column;
         if(column != row) {
             throw TypeError("Left hand column must be equal to right hand row");
         };
-        const copy = mat.create();
+        // the product is kept aside until both matrices are read
+        const product = workspace;
         let sum;
         for(let i=0; i < size; i++) {
             for(let j=0; j < size; j++) {
@@ -186,10 +225,11 @@ const Mat = (length => {
                     let b = m2[k * length + j];
                     sum += a * b;
                 };
-                copy[i * length + j] = sum;
+                product[i * length + j] = sum;
             }
         };
-        return copy;
+        out.set(product);
+        return out;
     };
 
     /**
@@ -197,7 +237,116 @@ const Mat = (length => {
      * @param {Mat} m - A matrix to be cloned
      * @returns {Float32Array} a replica of it's argument
      */
-    mat.clone = m => mat.create(...m);
+    mat.clone = m => new Float32Array(m);
+
+    /**
+     * Calculate the determinant of a matrix by gaussian elimination
+     * @param {Float32Array} m - The matrix
+     * @returns {number} the determinant, zero when the matrix has no inverse
+     */
+    mat.determinant = m => {
+        // work in double precision, the rows are swapped while eliminating
+        const a = workspace;
+        a.set(m);
+        let det = 1;
+        for(let col=0; col < length; col++) {
+            let pivot = col;
+            for(let row=col + 1; row < length; row++) {
+                if(Math.abs(a[row * length + col]) > Math.abs(a[pivot * length + col]))
+                    pivot = row;
+            }
+            if(a[pivot * length + col] === 0)
+                return 0;
+            if(pivot !== col) {
+                for(let j=0; j < length; j++) {
+                    const t = a[col * length + j];
+                    a[col * length + j] = a[pivot * length + j];
+                    a[pivot * length + j] = t;
+                }
+                det = -det;
+            }
+            const p = a[col * length + col];
+            det *= p;
+            for(let row=col + 1; row < length; row++) {
+                const f = a[row * length + col] / p;
+                for(let j=col; j < length; j++)
+                    a[row * length + j] -= f * a[col * length + j];
+            }
+        }
+        return det;
+    };
+
+    /**
+     * Calculate the inverse of a matrix by gauss-jordan elimination
+     * @param {Float32Array} m - The matrix
+     * @param {Float32Array} out - matrix receiving the inverse, it may be m
+     * @returns {Float32Array} the inverse, or null when the matrix has no inverse
+     */
+    mat.inverse = (m, out = mat.create()) => {
+        const a = workspace;
+        const inv = inverseWorkspace;
+        a.set(m);
+        inv.fill(0);
+        for(let i=0; i < length; i++)
+            inv[i * length + i] = 1;
+        const swap = (arr, r1, r2) => {
+            for(let j=0; j < length; j++) {
+                const t = arr[r1 * length + j];
+                arr[r1 * length + j] = arr[r2 * length + j];
+                arr[r2 * length + j] = t;
+            }
+        };
+        for(let col=0; col < length; col++) {
+            let pivot = col;
+            for(let row=col + 1; row < length; row++) {
+                if(Math.abs(a[row * length + col]) > Math.abs(a[pivot * length + col]))
+                    pivot = row;
+            }
+            if(Math.abs(a[pivot * length + col]) < 1e-12)
+                return null;
+            swap(a, col, pivot);
+            swap(inv, col, pivot);
+            const p = a[col * length + col];
+            for(let j=0; j < length; j++) {
+                a[col * length + j] /= p;
+                inv[col * length + j] /= p;
+            }
+            for(let row=0; row < length; row++) {
+                const f = a[row * length + col];
+                if(row === col || f === 0)
+                    continue;
+                for(let j=0; j < length; j++) {
+                    a[row * length + j] -= f * a[col * length + j];
+                    inv[row * length + j] -= f * inv[col * length + j];
+                }
+            }
+        }
+        out.set(inv);
+        return out;
+    };
+
+    /**
+     * Creates the matrix transforming normals (directions with w = 0) of a surface
+     * transformed by an affine matrix, the transpose of it's inverse. Normals stay
+     * perpendicular to the surface under non uniform scaling but have to be
+     * normalised again
+     * @param {Float32Array} m - The affine matrix
+     * @param {Float32Array} out - matrix receiving the normal matrix, it may be m
+     * @returns {Float32Array} the normal matrix without translation, or null when the
+     * matrix has no inverse
+     */
+    mat.normalMatrix = (m, out) => {
+        const inv = mat.inverse(m, out);
+        if(!inv)
+            return null;
+        const n = mat.transpose(inv);
+        for(let i=0; i < length - 1; i++) {
+            n[i * length + length - 1] = 0;
+            n[(length - 1) * length + i] = 0;
+        }
+        n[length * length - 1] = 1;
+        return n;
+    };
 
     return mat;
 
@@ -218,24 +367,67 @@ export class Mat3x3 {
     /**
      * Creates a rotation matrix about the z-axis
      * @param {number} a - angle value
+     * @param {Float32Array} out - matrix receiving the rotation
      * @returns {Float32Array} A roll rotation matrix
      * @see Mat4x4#rollRotation
      * @see Mat4x4#pitchRotation
      * @see Mat4x4#yawRotation
      */
-    static rotation(a) {
-        let m = this.create();
-        m[0][0] = Math.cos(a);
-        m[0][1] = -Math.sin(a);
-        m[1][0] = Math.sin(a);
-        m[1][1] = Math.cos(a);
-        m[2][2] = 1;
+    static rotation(a, out = this.create()) {
+        let m = out.fill(0);
+        m[0] = Math.cos(a);
+        m[1] = -Math.sin(a);
+        m[3] = Math.sin(a);
+        m[4] = Math.cos(a);
+        m[8] = 1;
+        return m;
+    }
+
+    /**
+     * Creates a matrix that scales, rotates and then translates a 2d point
+     * @param {Vector2} position - the translation
+     * @param {number} angle - the rotation
+     * @param {Vector2} scale - the scale on each axis
+     * @returns {Float32Array} the transformation matrix
+     */
+    static compose(position, angle = 0, scale = new Vector2(1, 1)) {
+        let m = this.multiplyMatrix(this.rotation(angle), this.scale(scale.x, scale.y));
+        m[2] = position.x;
+        m[5] = position.y;
         return m;
     }
 
+    /**
+     * Split a matrix made by { @link Mat3x3.compose } into it's parts. A mirrored
+     * matrix is returned with a negative scale on the x-axis
+     * @param {Float32Array} m - the transformation matrix
+     * @returns {Object} the `position`, `angle` and `scale`
+     */
+    static decompose(m) {
+        const sign = this.determinant(m) < 0 ? -1 : 1;
+        const scale = new Vector2(Math.hypot(m[0], m[3]) * sign, Math.hypot(m[1], m[4]));
+        return {
+            position: new Vector2(m[2], m[5]),
+            angle: Math.atan2(m[3] * sign, m[0] * sign),
+            scale
+        };
+    }
+
 };
 
 
+/**
+ * The orders euler rotations are multiplied in
+ */
+const EULER_ORDERS = ["XYZ", "XZY", "YXZ", "YZX", "ZXY", "ZYX"];
+
+/**
+ * The rotation about each axis multiplied by { @link Mat4x4.eulerRotation }, rebuilt
+ * by every call so rotating doesn't allocate
+ */
+const EULER_AXES = { X: new Float32Array(16), Y: new Float32Array(16), Z: new Float32Array(16) };
+
+
 /**
  * A 4x4 matrix class. Every operation in this class are access by static 
  * functions which always involve the matrix as the first argument and anything else 
@@ -250,10 +442,11 @@ export class Mat4x4 {
     /**
      * Creates a rotation matrix about the x-axis
      * @param {number} a - angle value
+     * @param {Float32Array} out - matrix receiving the rotation
      * @returns {Float32Array} A pitch rotation matrix
      */
-    static pitchRotation(a) {
-        let m = this.create();
+    static pitchRotation(a, out = this.create()) {
+        let m = out.fill(0);
         m[0] = 1;
         m[5] = Math.cos(a);
         m[6] = -Math.sin(a);
@@ -266,14 +459,15 @@ export class Mat4x4 {
     /**
      * Creates a rotation matrix about the y-axis
      * @param {number} a - angle value
+     * @param {Float32Array} out - matrix receiving the rotation
      * @returns {Float32Array} A yaw rotation matrix
      */
-    static yawRotation(a) {
-        let m = this.create();
+    static yawRotation(a, out = this.create()) {
+        let m = out.fill(0);
         m[0] = Math.cos(a);
-        m[6] = -Math.sin(a);
+        m[2] = Math.sin(a);
         m[5] = 1;
-        m[8] = Math.sin(a);
+        m[8] = -Math.sin(a);
         m[10] = Math.cos(a);
         m[15] = 1;
         return m;
@@ -282,11 +476,12 @@ export class Mat4x4 {
     /**
      * Creates a rotation matrix about the z-axis
      * @param {number} a - angle value
+     * @param {Float32Array} out - matrix receiving the rotation
      * @returns {Float32Array} A roll rotation matrix
      * @see Mat3x3#rotation
      */
-    static rollRotation(a) {
-        let m = this.create();
+    static rollRotation(a, out = this.create()) {
+        let m = out.fill(0);
         m[0] = Math.cos(a);
         m[1] = -Math.sin(a);
         m[4] = Math.sin(a);
@@ -296,6 +491,94 @@ export class Mat4x4 {
         return m;
     }
 
+    /**
+     * Creates a rotation matrix from euler angles. The order names the axes from
+     * left to right as their rotations are multiplied, so "XYZ" is a rotation about
+     * the z-axis, then the y-axis and then the x-axis
+     * @param {number} x - angle about the x-axis
+     * @param {number} y - angle about the y-axis
+     * @param {number} z - angle about the z-axis
+     * @param {string} order - one of "XYZ", "XZY", "YXZ", "YZX", "ZXY" or "ZYX"
+     * @param {Float32Array} out - matrix receiving the rotation
+     * @returns {Float32Array} A rotation matrix
+     * @throws {RangeError} when the order is unknown
+     */
+    static eulerRotation(x, y, z, order = "XYZ", out = this.create()) {
+        if(!EULER_ORDERS.includes(order))
+            throw RangeError(`Unknown rotation order "${order}"`);
+        const axes = EULER_AXES;
+        this.pitchRotation(x, axes.X);
+        this.yawRotation(y, axes.Y);
+        this.rollRotation(z, axes.Z);
+        const first = this.multiplyMatrix(axes[order[0]], axes[order[1]], axes[order[0]]);
+        return this.multiplyMatrix(first, axes[order[2]], out);
+    }
+
+    /**
+     * Creates a view matrix placing an eye at the origin looking at a target. Like
+     * the camera, the view looks along the z-axis with the y-axis up
+     * @param {Vector3} eye - position of the viewer
+     * @param {Vector3} target - the point looked at
+     * @param {Vector3} up - direction of the top of the view
+     * @returns {Float32Array} the view matrix
+     */
+    static lookAt(eye, target, up = new Vector3(0, 1, 0)) {
+        let z = target.sub(eye);
+        z.normalise();
+        let x = up.cross(z);
+        x.normalise();
+        let y = z.cross(x);
+        let m = this.identity();
+        [x, y, z].forEach((axis, i) => {
+            m[i * 4] = axis.x;
+            m[i * 4 + 1] = axis.y;
+            m[i * 4 + 2] = axis.z;
+            m[i * 4 + 3] = -axis.dot(eye);
+        });
+        return m;
+    }
+
+    /**
+     * Creates a matrix that scales, rotates and then translates a point
+     * @param {Vector3} position - the translation
+     * @param {Quaternion} quaternion - the rotation
+     * @param {Vector3} scale - the scale on each axis
+     * @returns {Float32Array} the transformation matrix
+     */
+    static compose(position, quaternion = new Quaternion(), scale = new Vector3(1, 1, 1)) {
+        let m = this.multiplyMatrix(quaternion.toMat4(), this.scale(scale.x, scale.y, scale.z));
+        m[3] = position.x;
+        m[7] = position.y;
+        m[11] = position.z;
+        return m;
+    }
+
+    /**
+     * Split a matrix made by { @link Mat4x4.compose } into it's parts. A mirrored
+     * matrix is returned with a negative scale on the x-axis
+     * @param {Float32Array} m - the transformation matrix
+     * @returns {Object} the `position`, `quaternion` and `scale`
+     */
+    static decompose(m) {
+        const sign = this.determinant(m) < 0 ? -1 : 1;
+        const scale = new Vector3(
+            Math.hypot(m[0], m[4], m[8]) * sign,
+            Math.hypot(m[1], m[5], m[9]),
+            Math.hypot(m[2], m[6], m[10]));
+        // remove the scale from each column to leave the rotation
+        let rotation = this.identity();
+        for(let row=0; row < 3; row++) {
+            rotation[row * 4] = scale.x ? m[row * 4] / scale.x : 0;
+            rotation[row * 4 + 1] = scale.y ? m[row * 4 + 1] / scale.y : 0;
+            rotation[row * 4 + 2] = scale.z ? m[row * 4 + 2] / scale.z : 0;
+        }
+        return {
+            position: new Vector3(m[3], m[7], m[11]),
+            quaternion: Quaternion.fromRotationMatrix(rotation),
+            scale
+        };
+    }
+
 };
 
 
@@ -1,45 +1,179 @@
 import { Mat4x4 } from "./matrices.js";
-import { Vector3 } from "./vector.js";
+import { Vector2, Vector3 } from "./vector.js";
 import { Triangle } from "./geometry.js";
+import { Texture } from "./texture.js";
+import { WaveFront } from "./wavefront.js";
+import { Material } from "./material.js";
+import { Node } from "./node.js";
+import { AABB, OBB, BoundingSphere } from "./bounds.js";
+import { Color } from "./color.js";
 
 
-// remove for const i in res
-const PARSE_MESH_DATA = (data, ...extracts) => {
-    const res = {};
-    extracts.forEach((key, i) => res[key] = []);
-    let spliitedData = data.split("\n");
-    for(const i in res) {
-        spliitedData.forEach((item, j) => {
-            if(item.startsWith(i)) {
-                let value = item.split(" ");
-                res[i].push([value[1], value[2], value[3]]
-                    .map(i => parseFloat(i)));
-            };
-        });
-    };
+/**
+ * Scale the lightness of a hsla color by the amount of light that reaches it
+ * @param {Color | Object} color - hsla color
+ * @param {number} light - amount of light
+ * @param {Color} out - the color written
+ * @returns {Color} the lit color
+ */
+const SHADE_COLOR = (color, light, out = new Color()) =>
+    out.set(color.h, color.s, Math.min(100, color.l * light), color.a === undefined ? 1 : color.a);
+
+/**
+ * The planes of the view volume in clip space. A vertex is inside a plane
+ * when w - sign * vertex[axis] is not negative
+ */
+const CLIP_PLANES = [["x", 1], ["x", -1], ["y", 1], ["y", -1], ["z", 1], ["z", -1]];
 
-    return res;
+/**
+ * Create a vertex to be clipped
+ * @returns {Object} the vertex with it's clip space position, depth, texture coordinate,
+ * light and color
+ */
+const CLIP_VERTEX = () => ({ clip: new Vector3(), depth: 0, uv: new Vector2(), light: 0, color: new Color() });
+
+/**
+ * The vertices of the triangle being clipped, the vertices made where it's clipped by a
+ * plane and the polygon left after each plane. They are reused by every triangle so
+ * drawing doesn't allocate
+ */
+const CLIP_TRIANGLE = [CLIP_VERTEX(), CLIP_VERTEX(), CLIP_VERTEX()];
+const CLIP_VERTICES = [];
+const CLIP_POLYGONS = [[], []];
+
+/**
+ * Write a vertex between two clipping vertices
+ * @param {Object} a - the first vertex
+ * @param {Object} b - the second vertex
+ * @param {number} t - distance from a to b
+ * @param {Object} out - the vertex written
+ * @param {boolean} colored - whether the colors of the vertices are blended
+ * @returns {Object} the interpolated vertex
+ */
+const LERP_CLIP_VERTEX = (a, b, t, out, colored) => {
+    const p = out.clip;
+    p.x = a.clip.x + (b.clip.x - a.clip.x) * t;
+    p.y = a.clip.y + (b.clip.y - a.clip.y) * t;
+    p.z = a.clip.z + (b.clip.z - a.clip.z) * t;
+    p.w = a.clip.w + (b.clip.w - a.clip.w) * t;
+    out.depth = a.depth + (b.depth - a.depth) * t;
+    out.uv.x = a.uv.x + (b.uv.x - a.uv.x) * t;
+    out.uv.y = a.uv.y + (b.uv.y - a.uv.y) * t;
+    out.light = a.light + (b.light - a.light) * t;
+    if(colored)
+        a.color.lerp(b.color, t, out.color);
+    return out;
 };
 
+/**
+ * @param {Object} vertex - a vertex to be clipped
+ * @returns {boolean} true when the vertex is inside every plane of the view volume
+ */
+const CLIP_INSIDE = ({ clip: { x, y, z, w } }) => w - x >= 0 && w + x >= 0 && w - y >= 0
+    && w + y >= 0 && w - z >= 0 && w + z >= 0;
+
+/**
+ * Clip a polygon against the view volume using the Sutherland–Hodgman algorithm. The
+ * returned polygon and the vertices made by clipping are reused by the next call
+ * @param {Array.<Object>} input - vertices having their clip space position, depth,
+ * texture coordinate, light and color
+ * @param {boolean} colored - whether the colors of the vertices are blended
+ * @returns {Array.<Object>} the clipped polygon, empty if it is outside the view volume
+ */
+const CLIP_POLYGON = (input, colored) => {
+    let polygon = input;
+    let made = 0;
+    for(let plane = 0; plane < CLIP_PLANES.length && polygon.length; plane++) {
+        const [axis, sign] = CLIP_PLANES[plane];
+        const previousPolygon = polygon;
+        polygon = CLIP_POLYGONS[plane % 2];
+        polygon.length = 0;
+        for(let i = 0; i < previousPolygon.length; i++) {
+            const current = previousPolygon[i];
+            const previous = previousPolygon[(i + previousPolygon.length - 1) % previousPolygon.length];
+            const dc = current.clip.w - sign * current.clip[axis];
+            const dp = previous.clip.w - sign * previous.clip[axis];
+            if((dc >= 0) !== (dp >= 0)) {
+                if(made === CLIP_VERTICES.length)
+                    CLIP_VERTICES.push(CLIP_VERTEX());
+                polygon.push(LERP_CLIP_VERTEX(previous, current, dp / (dp - dc), CLIP_VERTICES[made++], colored));
+            }
+            if(dc >= 0)
+                polygon.push(current);
+        }
+    }
+    return polygon;
+};
+
+/**
+ * The view space vertices, normal and center of the triangle being drawn, the light and
+ * color of it's vertices and it's color. They are reused by every triangle of every mesh
+ * so drawing doesn't allocate
+ */
+const MESH_VIEW_VERTICES = [new Vector3(), new Vector3(), new Vector3()];
+const MESH_NORMAL = new Vector3();
+const MESH_VERTEX_NORMAL = new Vector3(0, 0, 0, 0);
+const MESH_CENTER = new Vector3();
+const MESH_VERTEX_LIGHTS = [0, 0, 0];
+const MESH_VERTEX_COLORS = [new Color(), new Color(), new Color()];
+const MESH_COLOR = new Color();
 
 /**
  * 
  * Class representing a mesh: containing many triangles. This function 
- * may take an update function
+ * may take an update function, called with the seconds since the last step
  * @class
+ * @augments Node
  * 
 */
-export class Mesh {
+export class Mesh extends Node {
 
     /**
      * parse waveFront obj or obj like data format
      * @static
+     * @see WaveFront.parse
      * @param {string} data - obj file format representing mesh data
-     * @param  {...any} extracts - keys in the obj file
      * @returns {Object}
      */
-    static parseWaveFront(data, ...extracts) {
-        return PARSE_MESH_DATA(data, ...extracts);
+    static parseWaveFront(data) {
+        return WaveFront.parse(data);
+    }
+
+    /**
+     * Fetch an obj file and create a mesh from it. The material libraries
+     * of the file are loaded as well
+     * @static
+     * @param {string} url - location of the obj file
+     * @returns {Promise.<Mesh>} the mesh
+     */
+    static async load(url) {
+        const response = await fetch(url);
+        if(!response.ok)
+            throw Error(`Could not load mesh ${url}: ${response.status}`);
+        const mesh = new Mesh(await response.text());
+        await mesh.loadMaterials(url);
+        return mesh;
+    }
+
+    /**
+     * Create a mesh from it's json representation
+     * @static
+     * @see Mesh#toJSON
+     * @param {Object} json - the mesh as returned by toJSON
+     * @returns {Mesh} the mesh
+     */
+    static fromJSON(json) {
+        const mesh = new Mesh(json.obj);
+        if(json.mtl)
+            mesh.setMaterials(Material.parseLibrary(json.mtl));
+        mesh.showVertex = json.showVertex;
+        mesh.showWireFrame = json.showWireFrame;
+        mesh.fillShader = json.fillShader;
+        mesh.wireFrameColor = json.wireFrameColor === null ? undefined : json.wireFrameColor;
+        mesh.tint = json.tint;
+        mesh.setShading(json.shading);
+        mesh.perspectiveCorrect = json.perspectiveCorrect;
+        return Node.fromJSON(json, mesh);
     }
 
     /**
@@ -56,156 +190,569 @@ export class Mesh {
      * f 1 2 3
      * f 3 1 2
      * c 90 50 50` hsl
+     * Any other wavefront obj data is also valid, faces with more than 3 vertices are
+     * triangulated and faces may refer to texture coordinates and normals as `f 1/1/1 2/2/2 3/3/3`.
+     * Faces without a `c` color take the color of the material set by `usemtl`. Vertices
+     * written as `v x y z r g b`, with the components from 0 to 1, color the corners of the
+     * faces and faces whose every corner has a color blend them across the face
      * @constructor
      * @param {string} data - obj file format representing mesh data
+     * @throws {SyntaxError} when the data is malformed
      */
     constructor(data) {
 
-        this.data = Mesh.parseWaveFront(data, "v", "f", "c");
-
-        this.vertices = this.data.v || [];
-        this.faces = this.data.f || [];
-        this.faceColor = this.data.c || [];
+        super();
+
+        this.data = Mesh.parseWaveFront(data);
+
+        this.vertices = this.data.vertices;
+        this.textureCoords = this.data.textureCoords.map(uv => new Vector2(uv[0], uv[1]));
+        this.normals = this.data.normals.map(n => new Vector3(n[0], n[1], n[2], 0));
+        this.normals.forEach(n => n.normalise());
+        this.faces = this.data.faces.map(f => f.vertices.map(i => i + 1));
+        this.faceUV = this.data.faces.map(f => f.uvs && f.uvs.map(i => i + 1));
+        this.faceNormals = this.data.faces.map(f => f.normals && f.normals.map(i => i + 1));
+        this.faceColor = this.data.faces.map(f => f.color);
+        this.vertexColors = this.data.vertexColors.map(c => c && Color.fromRGB(c[0] * 255, c[1] * 255, c[2] * 255));
+        this.faceMaterial = this.data.faces.map(f => f.material);
+        this.materialLibraries = this.data.materialLibraries;
+        this.materials = {};
+        this.groups = this.data.groups;
         this.triangles = [];
-        this.scale = new Vector3(1, 1, 1);
-        this.position = new Vector3();
-        this.rotation = new Vector3();
 
         this.showVertex = false;
         this.showWireFrame = true;
         this.fillShader = true;
         this.wireFrameColor = undefined;
+        // multiplied with every color of the mesh
+        this.tintColor = null;
+        this.shading = "flat";
+        this.texture = null;
+        this.perspectiveCorrect = false;
+
+        // reused by every draw
+        this.modelViewMatrix = Mat4x4.create();
+        this.normalMatrix = Mat4x4.create();
+        this.clipMatrix = Mat4x4.create();
 
         this.updateGeometry();
     }
 
     /**
-     * Always call this function after every vertices, faces and faceColor has been updated
+     * Always call this function after every vertices, faces, faceColor and vertexColors has
+     * been updated. Face and vertex colors may be given as anything { @link Color.from } takes
      */
     updateGeometry() {
+        // vertex normals are the sum of the normal of every face sharing the vertex
+        let normals = this.vertices.map(() => new Vector3(0, 0, 0, 0));
         this.faces.forEach((face, i) => {
             let length = face.length;
             let v = this.vertices;
             let c = this.faceColor[i];
+            let corners = this.vertexColors && face.map(j => this.vertexColors[j - 1]);
+            let material = this.materials[this.faceMaterial && this.faceMaterial[i]] || null;
+            let uv = this.faceUV && this.faceUV[i];
             let triangle = new Triangle([
                 v[face[0] - 1], 
                 v[face[1] - 1],
                 v[face[2] - 1]
-            ], {});
-            triangle.vertices.forEach((v, i) => {
+            ], new Color(), [
+                normals[face[0] - 1],
+                normals[face[1] - 1],
+                normals[face[2] - 1]
+            ]);
+            if(uv)
+                triangle.uvs = uv.map(j => this.textureCoords[j - 1] || new Vector2());
+            let faceNormals = this.faceNormals && this.faceNormals[i];
+            let faceNormal = triangle.normal;
+            triangle.normals.forEach(n => {
+                n.x += faceNormal.x;
+                n.y += faceNormal.y;
+                n.z += faceNormal.z;
             });
-            triangle.color.h = c[0];
-            triangle.color.s = c[1];
-            triangle.color.l = c[2];
-            triangle.color.a = c[3] || 1;
+            // normals given by the data replace the computed ones
+            if(faceNormals)
+                triangle.normals = faceNormals.map(j => this.normals[j - 1]);
+            triangle.material = material;
+            // the color of a material is shared so changes to it are seen by every face using it
+            if(!c && material) {
+                triangle.color = material.color;
+            } else if(c) {
+                triangle.color.copy(Color.from(c));
+            }
+            if(corners && corners.every(Boolean))
+                triangle.colors = corners.map(corner => Color.from(corner));
             this.triangles[i] = triangle;
         });
+        normals.forEach(n => n.normalise());
+
+        // local bounding volumes, the box is also used to skip meshes outside the view
+        this.boundingBox = AABB.fromPoints(this.vertices);
+        this.boundingSphere = BoundingSphere.fromPoints(this.vertices);
+
+        // the vertices and the vertex of each triangle corner packed for the transform pass of draw
+        this.positions = new Float64Array(this.vertices.length * 3);
+        this.vertices.forEach((v, i) => {
+            this.positions[i * 3] = v[0];
+            this.positions[i * 3 + 1] = v[1];
+            this.positions[i * 3 + 2] = v[2];
+        });
+        this.viewPositions = new Float64Array(this.positions.length);
+        this.indices = new Uint32Array(this.faces.length * 3);
+        this.faces.forEach((face, i) => {
+            this.indices[i * 3] = face[0] - 1;
+            this.indices[i * 3 + 1] = face[1] - 1;
+            this.indices[i * 3 + 2] = face[2] - 1;
+        });
     }
 
     /**
-     * Set mesh position
-     * @param {number} x - position on the x-axis
-     * @param {number} y - position on the y-axis
-     * @param {number} z - position on the z-axis
+     * Set the materials used by the faces. Materials are matched to faces
+     * by the names given to `usemtl`
+     * @param {Object.<string, Material>} materials - materials mapped by their names
      */
-    setPosition(x = 0, y = 0, z = 0) {
-        this.position.x = x;
-        this.position.y = y;
-        this.position.z = z;
+    setMaterials(materials) {
+        Object.assign(this.materials, materials);
+        this.updateGeometry();
     }
 
     /**
-     * Set mesh rotation
-     * @param {number} x - rotation on the x-axis
-     * @param {number} y - rotation on the y-axis
-     * @param {number} z - rotation on the z-axis
+     * Load every material library named by `mtllib` in the obj data
+     * @param {string} baseUrl - url the library file names are relative to
+     * @returns {Promise.<Object.<string, Material>>} every material of the mesh
      */
-    setRotation(x = 0, y = 0, z = 0) {
-        this.rotation.x = x;
-        this.rotation.y = y;
-        this.rotation.z = z;
+    async loadMaterials(baseUrl = "") {
+        const base = new URL(baseUrl, typeof location === "object" ? location.href : undefined);
+        const libraries = await Promise.all(this.materialLibraries
+            .map(file => Material.loadLibrary(new URL(file, base).href)));
+        this.setMaterials(Object.assign({}, ...libraries));
+        return this.materials;
+    }
+
+    /**
+     * Color multiplied with every color of the mesh, null when the mesh isn't tinted. It
+     * may be set to anything { @link Color.from } takes and is kept as a { @link Color }
+     * @returns {Color}
+     */
+    get tint() {
+        return this.tintColor;
+    }
+
+    set tint(color) {
+        this.tintColor = color ? (color instanceof Color ? color : Color.from(color)) : null;
     }
 
     /**
-     * Set mesh scale
-     * @param {number} x - scale on the x-axis
-     * @param {number} y - scale on the y-axis
-     * @param {number} z - scale on the z-axis
+     * Set the image mapped on the triangles that have texture coordinates
+     * @param {HTMLImageElement | HTMLCanvasElement | ImageData | Texture} image - the texture,
+     * null removes the texture
+     * @param {boolean} perspectiveCorrect - use perspective correct mapping instead of affine mapping
      */
-    setScale(x = 1, y = 1, z = 1) {
-        this.scale.x = x;
-        this.scale.y = y;
-        this.scale.z = z;
+    setTexture(image, perspectiveCorrect = this.perspectiveCorrect) {
+        this.texture = !image || image instanceof Texture ? image : new Texture(image);
+        this.perspectiveCorrect = perspectiveCorrect;
+    }
+
+    /**
+     * Set how lighting is applied on the mesh
+     * @param {string} shading - "flat" lights each face evenly, "gouraud" lights each
+     * vertex and blends the colors across the face
+     */
+    setShading(shading = "flat") {
+        if(shading !== "flat" && shading !== "gouraud")
+            throw TypeError("Shading must either be `flat` or `gouraud`");
+        this.shading = shading;
+    }
+
+    /**
+     * Write the mesh as wavefront obj data. Faces taking their color from a material are
+     * written with `usemtl` and an empty `c` line, the color of every other face is written
+     * with the engine's `c` lines unless every face takes it's color from a material. Vertex colors follow the position
+     * of their vertex
+     * @param {Array.<string>} materialLibraries - mtl files named by `mtllib`
+     * @returns {string} obj file format
+     */
+    toOBJ(materialLibraries = this.materialLibraries) {
+        const lines = [];
+        if(materialLibraries.length)
+            lines.push(`mtllib ${materialLibraries.join(" ")}`);
+        this.vertices.forEach((v, i) => {
+            const color = this.vertexColors && this.vertexColors[i];
+            const rgb = color ? " " + Color.from(color).toRGBA().slice(0, 3).map(n => +(n / 255).toFixed(6)).join(" ") : "";
+            lines.push(`v ${v[0]} ${v[1]} ${v[2]}${rgb}`);
+        });
+        this.textureCoords.forEach(uv => lines.push(`vt ${uv.x} ${uv.y}`));
+        this.normals.forEach(n => lines.push(`vn ${n.x} ${n.y} ${n.z}`));
+
+        const faceGroups = this.faces.map(() => []);
+        for(const name in this.groups)
+            this.groups[name].forEach(i => faceGroups[i] && faceGroups[i].push(name));
+        let group = "default";
+        let material = null;
+        this.faces.forEach((face, i) => {
+            const names = faceGroups[i].join(" ") || "default";
+            if(names !== group)
+                lines.push(`g ${group = names}`);
+            const name = this.faceMaterial[i] || null;
+            if(name !== material)
+                lines.push(`usemtl ${(material = name) || ""}`.trim());
+            const uv = this.faceUV[i];
+            const normal = this.faceNormals[i];
+            lines.push("f " + face.map((v, j) => v
+                + (uv || normal ? "/" + (uv ? uv[j] : "") : "")
+                + (normal ? "/" + normal[j] : "")).join(" "));
+        });
+
+        // colors belong to faces by their order, faces colored by their material keep
+        // their place with an empty `c` line
+        if(this.faces.some((face, i) => this.faceColor[i] || !this.faceMaterial[i])) {
+            this.triangles.forEach(({ color: c }, i) => lines.push(!this.faceColor[i] && this.faceMaterial[i] ? "c"
+                : `c ${c.h} ${c.s} ${c.l}` + (c.a === undefined || c.a === 1 ? "" : ` ${c.a}`)));
+        }
+        return lines.join("\n");
     }
 
     /**
+     * Write the materials of the mesh as a wavefront mtl file
+     * @returns {string} mtl file format
+     */
+    toMTL() {
+        return Object.keys(this.materials).map(name => this.materials[name].toMTL()).join("\n\n");
+    }
+
+    /**
+     * The mesh, it's display settings and materials for JSON.stringify. Textures are not
+     * included, a material keeps the name of it's texture file
+     * @returns {Object}
+     */
+    toJSON() {
+        return Object.assign(super.toJSON(), {
+            type: "Mesh",
+            obj: this.toOBJ(),
+            mtl: this.toMTL(),
+            showVertex: this.showVertex,
+            showWireFrame: this.showWireFrame,
+            fillShader: this.fillShader,
+            wireFrameColor: this.wireFrameColor === undefined ? null : this.wireFrameColor,
+            tint: this.tint ? this.tint.toString() : null,
+            shading: this.shading,
+            perspectiveCorrect: this.perspectiveCorrect
+        });
+    }
+
+    /**
+     * Copy the mesh with it's geometry, colors, display settings, tint and transform. The
+     * copy shares the materials and texture of the mesh, so changing a material changes
+     * both. Children are not copied
+     * @returns {Mesh} the copy
+     */
+    clone() {
+        const copyColor = c => c && typeof c === "object" ? (Array.isArray(c) ? c.slice() : Color.from(c)) : c;
+        const mesh = new Mesh("");
+        mesh.name = this.name;
+        mesh.data = this.data;
+        mesh.vertices = this.vertices.map(v => v.slice());
+        mesh.textureCoords = this.textureCoords.map(uv => new Vector2(uv.x, uv.y));
+        mesh.normals = this.normals.map(n => new Vector3(n.x, n.y, n.z, 0));
+        mesh.faces = this.faces.map(face => face.slice());
+        mesh.faceUV = this.faceUV.map(uv => uv && uv.slice());
+        mesh.faceNormals = this.faceNormals.map(normals => normals && normals.slice());
+        mesh.faceColor = this.faceColor.map(copyColor);
+        mesh.vertexColors = this.vertexColors && this.vertexColors.map(copyColor);
+        mesh.faceMaterial = this.faceMaterial.slice();
+        mesh.materialLibraries = this.materialLibraries.slice();
+        mesh.materials = Object.assign({}, this.materials);
+        mesh.groups = this.groups;
+
+        mesh.showVertex = this.showVertex;
+        mesh.showWireFrame = this.showWireFrame;
+        mesh.fillShader = this.fillShader;
+        mesh.wireFrameColor = this.wireFrameColor;
+        mesh.tint = this.tint && this.tint.clone();
+        mesh.shading = this.shading;
+        mesh.texture = this.texture;
+        mesh.perspectiveCorrect = this.perspectiveCorrect;
+
+        mesh.setPosition(this.position.x, this.position.y, this.position.z);
+        mesh.setRotation(this.rotation.x, this.rotation.y, this.rotation.z, this.rotationOrder);
+        mesh.setScale(this.scale.x, this.scale.y, this.scale.z);
+        mesh.updateGeometry();
+        return mesh;
+    }
+
+    /**
+     * check if the bounding box of the mesh touches the view volume
+     * @private
+     * @param {Float32Array} mvp - matrix from model to clip space
+     * @returns {boolean}
+     */
+    inView(mvp) {
+        const { min, max } = this.boundingBox;
+        let loX = Infinity, loY = Infinity, loZ = Infinity;
+        let hiX = -Infinity, hiY = -Infinity, hiZ = -Infinity;
+        for(let i = 0; i < 8; i++) {
+            const x = i & 1 ? max.x : min.x;
+            const y = i & 2 ? max.y : min.y;
+            const z = i & 4 ? max.z : min.z;
+            const w = mvp[12] * x + mvp[13] * y + mvp[14] * z + mvp[15];
+            const px = (mvp[0] * x + mvp[1] * y + mvp[2] * z + mvp[3]) / w;
+            const py = (mvp[4] * x + mvp[5] * y + mvp[6] * z + mvp[7]) / w;
+            const pz = (mvp[8] * x + mvp[9] * y + mvp[10] * z + mvp[11]) / w;
+            loX = Math.min(loX, px); hiX = Math.max(hiX, px);
+            loY = Math.min(loY, py); hiY = Math.max(hiY, py);
+            loZ = Math.min(loZ, pz); hiZ = Math.max(hiZ, pz);
+        }
+        return hiX >= -1 && loX <= 1 && hiY >= -1 && loY <= 1 && hiZ >= -1 && loZ <= 1;
+    }
+
+    /**
+     * The bounding box of the mesh in world space. It follows the position, rotation
+     * and scale of the mesh and of it's parents, a rotated mesh has a larger box
+     * @returns {AABB}
+     */
+    get worldBoundingBox() {
+        return this.boundingBox.transform(this.worldMatrix);
+    }
+
+    /**
+     * The bounding box of the mesh turned with the mesh in world space
+     * @returns {OBB}
+     */
+    get worldOrientedBox() {
+        return OBB.fromAABB(this.boundingBox, this.worldMatrix);
+    }
+
+    /**
+     * The bounding sphere of the mesh in world space
+     * @returns {BoundingSphere}
+     */
+    get worldBoundingSphere() {
+        return this.boundingSphere.transform(this.worldMatrix);
+    }
+
+    /**
+     * Test if the bounding volumes of two meshes overlap
+     * @param {Mesh} other - the other mesh
+     * @param {string} volume - the volume tested, "box", "obb" or "sphere"
+     * @returns {Object} the `normal` pointing from the other mesh to this mesh and the
+     * `depth` they overlap by, or null if they don't overlap
+     * @see AABB#intersects
+     */
+    intersects(other, volume = "box") {
+        if(!(other instanceof Mesh))
+            throw TypeError("A mesh can only be tested against another `Mesh`");
+        switch(volume) {
+            case "box":
+                return this.worldBoundingBox.intersects(other.worldBoundingBox);
+            case "obb":
+                return this.worldOrientedBox.intersects(other.worldOrientedBox);
+            case "sphere":
+                return this.worldBoundingSphere.intersects(other.worldBoundingSphere);
+            default:
+                throw RangeError(`Unknown bounding volume "${volume}"`);
+        }
+    }
+
+    /**
+     * Find the nearest front facing triangle hit by a ray
+     * @param {Vector3} origin - start of the ray in world space
+     * @param {Vector3} direction - unit direction of the ray in world space
+     * @param {Float32Array} mModel - matrix moving the mesh into world space
+     * @param {number} maxDistance - farthest distance along the ray
+     * @returns {Object} the `triangle` index, the `distance` along the ray and the
+     * world space `point` hit, or null if nothing was hit
+     */
+    raycast(origin, direction, mModel = this.worldMatrix, maxDistance = Infinity) {
+        // test the bounding box in world space before any triangle
+        const { min: lo, max: hi } = this.boundingBox.transform(mModel);
+        let near = 0, far = maxDistance;
+        for(let axis of lo.components) {
+            if(direction[axis] === 0) {
+                if(origin[axis] < lo[axis] || origin[axis] > hi[axis])
+                    return null;
+                continue;
+            }
+            let t0 = (lo[axis] - origin[axis]) / direction[axis];
+            let t1 = (hi[axis] - origin[axis]) / direction[axis];
+            near = Math.max(near, Math.min(t0, t1));
+            far = Math.min(far, Math.max(t0, t1));
+            if(near > far)
+                return null;
+        }
+
+        // Möller–Trumbore intersection
+        let hit = null;
+        this.triangles.forEach((tri, index) => {
+            let [v0, v1, v2] = tri.vertices.map(v => Mat4x4.multiplyVector(mModel, v));
+            let e1 = v1.sub(v0);
+            let e2 = v2.sub(v0);
+            // back faces are not drawn so they can't be picked
+            if(direction.dot(e1.cross(e2)) >= 0)
+                return;
+            let p = direction.cross(e2);
+            let det = e1.dot(p);
+            if(Math.abs(det) < 1e-12)
+                return;
+            let s = origin.sub(v0);
+            let u = s.dot(p) / det;
+            if(u < 0 || u > 1)
+                return;
+            let q = s.cross(e1);
+            let v = direction.dot(q) / det;
+            if(v < 0 || u + v > 1)
+                return;
+            let t = e2.dot(q) / det;
+            if(t < 0 || t > maxDistance || (hit && t >= hit.distance))
+                return;
+            hit = { triangle: index, distance: t, point: origin.add(direction.scale(t)) };
+        });
+        return hit;
+    }
+
+    /**
+     * @private
+     * @param {Scene} scene - The scene
+     * @param {Float32Array} mWorld - the world matrix of the mesh
+     */
+    process(scene, mWorld = this.worldMatrix) {
+        this.draw(scene, mWorld);
+    }
+
+    /**
+     * Transform, light, clip and project the triangles into the scene's list of triangles
+     * to be rastered. The same mesh may be drawn many times with different model matrices
      * @private
      * @param {Scene} scene - The scene
+     * @param {Float32Array} mModel - matrix moving the mesh into world space
      */
-    process(scene) {
+    draw(scene, mModel) {
 
-        if(typeof this.update === "function")
-            this.update();
+        let mModelView = Mat4x4.multiplyMatrix(scene.camera.viewMatrix, mModel, this.modelViewMatrix);
+        let mNormal = this.shading === "gouraud" && Mat4x4.normalMatrix(mModelView, this.normalMatrix);
 
-        // There's no rotation about the y-axis
-        let mRotateX = Mat4x4.pitchRotation(this.rotation.x + scene.camera.rotation.x);
-        let mRotateZ = Mat4x4.rollRotation(this.rotation.z + scene.camera.rotation.z);
-        let mRotate = Mat4x4.multiplyMatrix(mRotateX, mRotateZ);
+        // skip meshes outside the view before any per vertex work
+        if(!this.inView(Mat4x4.multiplyMatrix(scene.projectionMatrix, mModelView, this.clipMatrix)))
+            return;
 
-        this.triangles.forEach(tri => {
+        const tint = this.tintColor;
 
-            let transformed = [];
-            let projected = [];
+        // scale, translate, rotate and move every vertex to view space in a single pass
+        const m = mModelView;
+        const source = this.positions;
+        const view = this.viewPositions;
+        for(let i = 0; i < source.length; i += 3) {
+            const x = source[i], y = source[i + 1], z = source[i + 2];
+            view[i] = m[0] * x + m[1] * y + m[2] * z + m[3];
+            view[i + 1] = m[4] * x + m[5] * y + m[6] * z + m[7];
+            view[i + 2] = m[8] * x + m[9] * y + m[10] * z + m[11];
+        }
 
-            tri.vertices.forEach((vertex, i) => {
-                // scale
-                transformed[i] = vertex.mult(this.scale);
-                // translate
-                transformed[i] = transformed[i].add(this.position);
-                // rotate
-                transformed[i] = Mat4x4.multiplyVector(mRotate, transformed[i]);
-            });
+        const width = scene.width, height = scene.height;
+
+        this.triangles.forEach((tri, t) => {
+
+            const a = this.indices[t * 3] * 3;
+            const b = this.indices[t * 3 + 1] * 3;
+            const c = this.indices[t * 3 + 2] * 3;
 
             // get normal
-            let line1 = transformed[0];
-            let line2 = transformed[1].sub(line1);
-            let line3 = transformed[2].sub(line1);
-            let cross = line2.cross(line3);
-            cross.normalise();
+            const e1x = view[b] - view[a], e1y = view[b + 1] - view[a + 1], e1z = view[b + 2] - view[a + 2];
+            const e2x = view[c] - view[a], e2y = view[c + 1] - view[a + 1], e2z = view[c + 2] - view[a + 2];
            
             /**
              * front face polygon have -z and positive dot
              * backface polygon have +z and negative dot
              */
-            if(cross.z < 0) {
-
-                let zAverage = (transformed[0].z + transformed[1].z + transformed[2].z) / 3;
-                // let light = new Vector3(100, 0, -150).sub(line1);
-                // light.normalise();
-                let alpha = 1; //light.dot(cross);
-
-                transformed.forEach((tri, i) => {
-
-                    projected[i] = Mat4x4.multiplyVector(scene.projectionMatrix, tri);
-
-                    // scale to view space
-                    projected[i].x += 1;
-                    projected[i].y += 1;
-                    projected[i].x *= scene.width * 0.5;
-                    projected[i].y *= scene.height * 0.5;
-
-                });     // END PROJECTION
-
-                scene.toRaster.push({
-                    vertices: projected,
-                    zAverage,
-                    alpha,
-                    color: tri.color,
-                    showVertex: this.showVertex,
-                    showWireFrame: this.showWireFrame,
-                    fillShader: this.fillShader,
-                    wireFrameColor: this.wireFrameColor
-                });
+            if(e1x * e2y - e1y * e2x < 0) {
+
+                const transformed = MESH_VIEW_VERTICES;
+                transformed[0].set(view[a], view[a + 1], view[a + 2]);
+                transformed[1].set(view[b], view[b + 1], view[b + 2]);
+                transformed[2].set(view[c], view[c + 1], view[c + 2]);
+                const cross = MESH_NORMAL.set(e1y * e2z - e1z * e2y, e1z * e2x - e1x * e2z, e1x * e2y - e1y * e2x);
+                cross.normalise();
+
+                const center = transformed[0].add(transformed[1], MESH_CENTER);
+                center.add(transformed[2], center).scale(1 / 3, center);
+                const light = scene.illuminate(center, cross);
+                let vertexLights = null;
+                if(mNormal && tri.normals.length) {
+                    vertexLights = MESH_VERTEX_LIGHTS;
+                    const n = MESH_VERTEX_NORMAL;
+                    for(let i = 0; i < 3; i++) {
+                        n.set(tri.normals[i].x, tri.normals[i].y, tri.normals[i].z);
+                        n.w = 0;
+                        Mat4x4.multiplyVector(mNormal, n, n);
+                        n.normalise();
+                        // normals from the data may follow the opposite winding
+                        if(n.dot(cross) < 0)
+                            n.scale(-1, n);
+                        vertexLights[i] = scene.illuminate(transformed[i], n);
+                    }
+                }
+
+                // colors are tinted before they are lit, a triangle with vertex colors is
+                // drawn in their average where it can't be blended
+                let colors = tri.colors;
+                if(colors && tint) {
+                    colors = MESH_VERTEX_COLORS;
+                    for(let i = 0; i < 3; i++)
+                        tri.colors[i].multiply(tint, colors[i]);
+                }
+                const color = colors ? colors[0].lerp(colors[1], 0.5, MESH_COLOR).lerp(colors[2], 1 / 3, MESH_COLOR)
+                    : tint ? tint.multiply(tri.color, MESH_COLOR) : tri.color;
+
+                const texture = (tri.material && tri.material.texture) || this.texture;
+                const uvs = texture && tri.uvs.length ? tri.uvs : null;
+                const input = CLIP_TRIANGLE;
+                for(let i = 0; i < 3; i++) {
+                    const vertex = input[i];
+                    Mat4x4.multiplyVector(scene.projectionMatrix, transformed[i], vertex.clip);
+                    vertex.depth = transformed[i].z;
+                    if(uvs)
+                        vertex.uv.copy(uvs[i]);
+                    vertex.light = vertexLights ? vertexLights[i] : light;
+                    if(colors)
+                        vertex.color.copy(colors[i]);
+                }
+                // triangles inside the view volume are left as they are
+                const polygon = CLIP_INSIDE(input[0]) && CLIP_INSIDE(input[1]) && CLIP_INSIDE(input[2])
+                    ? input : CLIP_POLYGON(input, !!colors);
+
+                // a clipped triangle is drawn as a fan of triangles
+                for(let i = 1; i < polygon.length - 1; i++) {
+
+                    const raster = scene.rasterTriangle();
+                    const storage = raster.storage;
+                    for(let k = 0; k < 3; k++) {
+                        const p = k ? polygon[i + k - 1] : polygon[0];
+                        // scale to view space and keep the view space depth for the depth buffer
+                        raster.vertices[k].set(
+                            (p.clip.x + 1) * width * 0.5,
+                            (p.clip.y + 1) * height * 0.5,
+                            p.depth);
+                        raster.vertices[k].w = p.clip.w;
+                        storage.lights[k] = p.light;
+                        if(vertexLights || colors)
+                            SHADE_COLOR(colors ? p.color : color, p.light, storage.colors[k]);
+                        if(uvs)
+                            storage.uvs[k].copy(p.uv);
+                    }
+
+                    raster.zAverage = (polygon[0].depth + polygon[i].depth + polygon[i + 1].depth) / 3;
+                    raster.light = light;
+                    raster.vertexLights = vertexLights && storage.lights;
+                    SHADE_COLOR(color, light, raster.color);
+                    raster.vertexColors = (vertexLights || colors) && storage.colors;
+                    raster.uvs = uvs && storage.uvs;
+                    raster.texture = texture;
+                    raster.perspectiveCorrect = this.perspectiveCorrect;
+                    raster.showVertex = this.showVertex;
+                    raster.showWireFrame = this.showWireFrame;
+                    raster.fillShader = this.fillShader;
+                    raster.wireFrameColor = this.wireFrameColor;
+
+                }   // END CLIPPED TRIANGLES
 
             }   
 
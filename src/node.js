@@ -0,0 +1,364 @@
+import { Mat4x4 } from "./matrices.js";
+import { Vector3 } from "./vector.js";
+import { Quaternion } from "./quaternion.js";
+import { Track, Animation } from "./animation.js";
+
+
+/**
+ * Base class of everything placed in a scene. A node has a position, rotation
+ * and scale relative to it's parent and may have children that move with it.
+ * @class
+ */
+export class Node {
+
+    /**
+     * Read the name and transform of a node from it's json representation. The
+     * children are created by the scene
+     * @static
+     * @see Node#toJSON
+     * @see Scene.fromJSON
+     * @param {Object} json - the node as returned by toJSON
+     * @param {Node} node - the node the json is read into
+     * @returns {Node} the node
+     */
+    static fromJSON(json, node = new Node()) {
+        node.name = json.name || "";
+        node.setPosition(...json.position);
+        node.setRotation(...json.rotation, json.rotationOrder);
+        node.setScale(...json.scale);
+        return node;
+    }
+
+    /**
+     * @constructor
+     */
+    constructor() {
+        this.name = "";
+        this.parent = null;
+        this.children = [];
+        this.position = new Vector3();
+        this.rotation = new Vector3();
+        this.rotationOrder = "XYZ";
+        this.scale = new Vector3(1, 1, 1);
+        this.animations = [];
+
+        // the matrices are only rebuilt when the transform of a node or it's parent changes
+        this.dirty = true;
+        this.transformState = new Float64Array(9);
+        this.transformOrder = null;
+        this.cachedLocalMatrix = Mat4x4.identity();
+        this.cachedWorldMatrix = Mat4x4.identity();
+        this.localVersion = 0;
+        this.matrixVersion = 0;
+        this.parentMatrixVersion = -1;
+        this.worldLocalVersion = -1;
+    }
+
+    /**
+     * Set node position
+     * @param {number} x - position on the x-axis
+     * @param {number} y - position on the y-axis
+     * @param {number} z - position on the z-axis
+     */
+    setPosition(x = 0, y = 0, z = 0) {
+        this.position.x = x;
+        this.position.y = y;
+        this.position.z = z;
+        this.dirty = true;
+    }
+
+    /**
+     * Set node rotation
+     * @param {number} x - rotation on the x-axis
+     * @param {number} y - rotation on the y-axis
+     * @param {number} z - rotation on the z-axis
+     * @param {string} order - order the rotations are multiplied in
+     * @see Mat4x4#eulerRotation
+     */
+    setRotation(x = 0, y = 0, z = 0, order = this.rotationOrder) {
+        this.rotation.x = x;
+        this.rotation.y = y;
+        this.rotation.z = z;
+        this.rotationOrder = order;
+        this.dirty = true;
+    }
+
+    /**
+     * The rotation of the node as a quaternion
+     * @returns {Quaternion}
+     */
+    get quaternion() {
+        const r = this.rotation;
+        return Quaternion.fromEuler(r.x, r.y, r.z, this.rotationOrder);
+    }
+
+    /**
+     * Set node rotation from a quaternion
+     * @param {Quaternion} q - the rotation
+     */
+    setQuaternion(q) {
+        const r = q.toEuler(this.rotationOrder);
+        this.setRotation(r.x, r.y, r.z);
+    }
+
+    /**
+     * Set node scale
+     * @param {number} x - scale on the x-axis
+     * @param {number} y - scale on the y-axis
+     * @param {number} z - scale on the z-axis
+     */
+    setScale(x = 1, y = 1, z = 1) {
+        this.scale.x = x;
+        this.scale.y = y;
+        this.scale.z = z;
+        this.dirty = true;
+    }
+
+    /**
+     * Add a child node. The child is removed from it's previous parent
+     * @param {Node} child - the node to be added
+     * @returns {Node} the child
+     */
+    add(child) {
+        if(!(child instanceof Node))
+            throw TypeError("You can only Add an instance of a `Node` object as a child");
+        for(let node = this; node; node = node.parent) {
+            if(node === child)
+                throw Error("A node cannot be added to itself or to one of it's children");
+        }
+        if(child.parent)
+            child.parent.remove(child);
+        child.parent = this;
+        child.parentMatrixVersion = -1;
+        this.children.push(child);
+        return child;
+    }
+
+    /**
+     * Remove a child node
+     * @param {Node} child - the node to be removed
+     * @returns {boolean} false if the node is not a child of this node
+     */
+    remove(child) {
+        const i = this.children.indexOf(child);
+        if(i < 0)
+            return false;
+        this.children.splice(i, 1);
+        child.parent = null;
+        child.parentMatrixVersion = -1;
+        return true;
+    }
+
+    /**
+     * Call a function on this node and every node below it, parents before their children
+     * @param {function(Node)} callback - the function
+     */
+    traverse(callback) {
+        callback(this);
+        this.children.forEach(child => child.traverse(callback));
+    }
+
+    /**
+     * Check if the transform changed since the local matrix was built. The position,
+     * rotation and scale may be written to directly so they are compared as well as
+     * the dirty flag set by the setters
+     * @private
+     * @returns {boolean}
+     */
+    transformChanged() {
+        const state = this.transformState;
+        const { position: p, rotation: r, scale: s } = this;
+        const changed = this.dirty || this.transformOrder !== this.rotationOrder
+            || state[0] !== p.x || state[1] !== p.y || state[2] !== p.z
+            || state[3] !== r.x || state[4] !== r.y || state[5] !== r.z
+            || state[6] !== s.x || state[7] !== s.y || state[8] !== s.z;
+        if(changed) {
+            state[0] = p.x; state[1] = p.y; state[2] = p.z;
+            state[3] = r.x; state[4] = r.y; state[5] = r.z;
+            state[6] = s.x; state[7] = s.y; state[8] = s.z;
+            this.transformOrder = this.rotationOrder;
+            this.dirty = false;
+        }
+        return changed;
+    }
+
+    /**
+     * The matrix moving the node into it's parent space. The node is scaled,
+     * rotated about it's origin and then translated. The matrix is cached and must
+     * not be modified
+     * @returns {Float32Array} the local matrix
+     */
+    get localMatrix() {
+        if(this.transformChanged()) {
+            const { rotation: r, scale: s } = this;
+            let m = Mat4x4.eulerRotation(r.x, r.y, r.z, this.rotationOrder, this.cachedLocalMatrix);
+            // scaling first scales each column of the rotation
+            for(let row = 0; row < 3; row++) {
+                m[row * 4] *= s.x;
+                m[row * 4 + 1] *= s.y;
+                m[row * 4 + 2] *= s.z;
+            }
+            m[3] = this.position.x;
+            m[7] = this.position.y;
+            m[11] = this.position.z;
+            this.localVersion++;
+        }
+        return this.cachedLocalMatrix;
+    }
+
+    /**
+     * The matrix moving the node into world space. The matrix is cached and must
+     * not be modified
+     * @returns {Float32Array} the world matrix
+     */
+    get worldMatrix() {
+        const local = this.localMatrix;
+        const parent = this.parent && this.parent.worldMatrix;
+        const parentVersion = parent ? this.parent.matrixVersion : 0;
+        if(parentVersion !== this.parentMatrixVersion || this.localVersion !== this.worldLocalVersion) {
+            if(parent)
+                Mat4x4.multiplyMatrix(parent, local, this.cachedWorldMatrix);
+            else
+                Mat4x4.copy(local, this.cachedWorldMatrix);
+            this.parentMatrixVersion = parentVersion;
+            this.worldLocalVersion = this.localVersion;
+            this.matrixVersion++;
+        }
+        return this.cachedWorldMatrix;
+    }
+
+    /**
+     * @returns {Vector3} position of the node in world space
+     */
+    get worldPosition() {
+        return this.localToWorld(new Vector3());
+    }
+
+    /**
+     * Convert a point from the space of this node to world space
+     * @param {Vector3} point - the point relative to this node
+     * @returns {Vector3} the world point
+     */
+    localToWorld(point) {
+        return Mat4x4.multiplyVector(this.worldMatrix, new Vector3(point.x, point.y, point.z));
+    }
+
+    /**
+     * Convert a world point to the space of this node
+     * @param {Vector3} point - the world point
+     * @returns {Vector3} the point relative to this node
+     */
+    worldToLocal(point) {
+        const inverse = Mat4x4.inverse(this.worldMatrix);
+        if(!inverse)
+            throw RangeError("A node with a scale of 0 has no local space");
+        return Mat4x4.multiplyVector(inverse, new Vector3(point.x, point.y, point.z));
+    }
+
+    /**
+     * Animate properties of the node with keyframes
+     * @param {Object.<string, Array.<Object>>} keyframes - keyframes of each property
+     * @param {Object} options - the `easing` of every keyframe without one and
+     * the options of the animation
+     * @returns {Animation} the playing animation
+     * @see Track
+     * @see Animation
+     * @example
+     * node.animate({
+     *     position: [{ time: 0, value: [0, 0, 0] }, { time: 1, value: [0, 32, 0], easing: "easeOut" }],
+     *     color: [{ time: 0, value: { h: 0, s: 50, l: 50, a: 1 } }, { time: 1, value: [120, 50, 50, 1] }]
+     * }, { pingPong: true, loop: true });
+     */
+    animate(keyframes, options = {}) {
+        const tracks = Object.keys(keyframes)
+            .map(property => new Track(property, keyframes[property], options.easing));
+        return this.play(new Animation(tracks, options));
+    }
+
+    /**
+     * Play an animation on the node. A finished animation is started again
+     * @param {Animation} animation - the animation
+     * @returns {Animation} the animation
+     */
+    play(animation) {
+        if(!(animation instanceof Animation))
+            throw TypeError("You can only play an instance of `Animation`");
+        if(this.animations.indexOf(animation) < 0)
+            this.animations.push(animation);
+        animation.play();
+        return animation;
+    }
+
+    /**
+     * Advance the animations of the node and call it's update function. Called
+     * by the scene on every step of it's loop, finished animations are removed
+     * @param {number} dt - seconds since the last step
+     */
+    step(dt) {
+        if(this.animations.length) {
+            this.animations.forEach(animation => animation.update(this, dt));
+            this.animations = this.animations.filter(animation => !animation.finished);
+        }
+        if(typeof this.update === "function")
+            this.update(dt);
+    }
+
+    /**
+     * The node and it's children for JSON.stringify. Update functions and
+     * animations are not included
+     * @returns {Object}
+     */
+    toJSON() {
+        const { position: p, rotation: r, scale: s } = this;
+        return {
+            type: "Node",
+            name: this.name,
+            position: [p.x, p.y, p.z],
+            rotation: [r.x, r.y, r.z],
+            rotationOrder: this.rotationOrder,
+            scale: [s.x, s.y, s.z],
+            children: this.children.map(child => child.toJSON())
+        };
+    }
+
+    /**
+     * Called by the scene on every render with the world matrix of the node
+     * @private
+     * @param {Scene} scene - The scene
+     * @param {Float32Array} mWorld - the world matrix
+     */
+    process(scene, mWorld) {}
+
+};
+
+
+/**
+ * A node that only holds other nodes so they can be moved as one
+ * @class
+ * @augments Node
+ */
+export class Group extends Node {
+
+    /**
+     * @static
+     * @param {Object} json - the group as returned by toJSON
+     * @returns {Group} the group
+     */
+    static fromJSON(json) {
+        return Node.fromJSON(json, new Group());
+    }
+
+    /**
+     * @constructor
+     * @param {string} name - name of the group
+     */
+    constructor(name = "") {
+        super();
+        this.name = name;
+    }
+
+    toJSON() {
+        return Object.assign(super.toJSON(), { type: "Group" });
+    }
+
+};
@@ -0,0 +1,329 @@
+import { Mesh } from "./mesh.js";
+import { Color } from "./color.js";
+
+
+/**
+ * Color of a generated shape when none is given
+ */
+const PRIMITIVE_COLOR = { h: 0, s: 0, l: 80, a: 1 };
+
+/**
+ * @param {Vector3 | number} size - the size or the length of every side
+ * @returns {Array.<number>} the size on each axis
+ */
+const PRIMITIVE_SIZE = size => typeof size === "number" ? [size, size, size] : [size.x, size.y, size.z];
+
+/**
+ * @param {number} segments - the requested subdivisions
+ * @param {number} min - fewest subdivisions of the shape
+ * @returns {number} a whole number of subdivisions
+ * @throws {RangeError} when the subdivisions are not a number
+ */
+const PRIMITIVE_SEGMENTS = (segments, min = 1) => {
+    if(!(segments >= 0))
+        throw RangeError("The subdivisions of a shape must be a positive number");
+    return Math.max(min, Math.round(segments));
+};
+
+/**
+ * Collects the triangles of a shape and turns them into a mesh. Each triangle is
+ * colored by the direction it faces, tops are lightest and bottoms darkest, so the
+ * shape can be read without lights
+ * @param {Color | Object | string | Array.<number>} color - color of the shape
+ * @returns {Object} functions adding triangles and creating the mesh
+ */
+const SHAPE_BUILDER = color => {
+    const { h, s, l, a } = Color.from(color);
+    const vertices = [], normals = [], faces = [], colors = [];
+    const vertexIds = new Map(), normalIds = new Map();
+    // shared corners are written once
+    const id = (list, ids, p) => {
+        const key = p.map(n => +n.toFixed(5)).join(" ");
+        if(!ids.has(key)) {
+            list.push(key);
+            ids.set(key, list.length);
+        }
+        return ids.get(key);
+    };
+    const sub = (u, v) => [u[0] - v[0], u[1] - v[1], u[2] - v[2]];
+    const unit = n => {
+        const length = Math.hypot(n[0], n[1], n[2]);
+        return length < 1e-9 ? null : n.map(c => c / length);
+    };
+
+    const shape = {
+        /**
+         * Add a triangle facing the side it's corners turn counter clockwise around
+         * @param {Array.<number>} p0 - first corner
+         * @param {Array.<number>} p1 - second corner
+         * @param {Array.<number>} p2 - third corner
+         * @param {Array.<Array.<number>>} smooth - normal of each corner of a curved
+         * surface, the face normal is used when missing
+         */
+        triangle(p0, p1, p2, smooth) {
+            const e1 = sub(p1, p0), e2 = sub(p2, p0);
+            const normal = unit([e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]]);
+            // corners meeting at a pole or an apex leave no triangle
+            if(!normal)
+                return;
+            const corners = [p0, p1, p2].map((p, i) => id(vertices, vertexIds, p) + "//"
+                + id(normals, normalIds, smooth && unit(smooth[i]) || normal));
+            faces.push(`f ${corners.join(" ")}`);
+            // the world is y up with tops facing -z
+            const shade = 0.75 - 0.25 * normal[2] - 0.1 * Math.abs(normal[0]);
+            colors.push(`c ${h} ${s} ${+(l * shade).toFixed(2)} ${a}`);
+        },
+
+        /**
+         * Add a quad as two triangles, the corners are in counter clockwise order
+         */
+        quad(p0, p1, p2, p3, smooth) {
+            shape.triangle(p0, p1, p2, smooth && [smooth[0], smooth[1], smooth[2]]);
+            shape.triangle(p0, p2, p3, smooth && [smooth[0], smooth[2], smooth[3]]);
+        },
+
+        /**
+         * Add a flat parallelogram split into a grid of quads. It faces the cross product of it's edges
+         * @param {Array.<number>} origin - a corner
+         * @param {Array.<number>} u - the first edge from the corner
+         * @param {Array.<number>} v - the second edge from the corner
+         * @param {number} segments - quads along each edge
+         */
+        grid(origin, u, v, segments) {
+            const point = (i, j) => origin.map((o, k) => o + (u[k] * i + v[k] * j) / segments);
+            for(let i = 0; i < segments; i++) {
+                for(let j = 0; j < segments; j++)
+                    shape.quad(point(i, j), point(i + 1, j), point(i + 1, j + 1), point(i, j + 1));
+            }
+        },
+
+        /**
+         * Add a flat triangle split into smaller triangles
+         * @param {Array.<number>} p0 - first corner
+         * @param {Array.<number>} p1 - second corner
+         * @param {Array.<number>} p2 - third corner
+         * @param {number} segments - triangles along each edge
+         */
+        subdivide(p0, p1, p2, segments) {
+            const u = sub(p1, p0), v = sub(p2, p0);
+            const point = (i, j) => p0.map((o, k) => o + (u[k] * i + v[k] * j) / segments);
+            for(let i = 0; i < segments; i++) {
+                for(let j = 0; i + j < segments; j++) {
+                    shape.triangle(point(i, j), point(i + 1, j), point(i, j + 1));
+                    if(i + j < segments - 1)
+                        shape.triangle(point(i + 1, j), point(i + 1, j + 1), point(i, j + 1));
+                }
+            }
+        },
+
+        /**
+         * @returns {Mesh} a mesh of the triangles
+         */
+        mesh() {
+            return new Mesh(vertices.map(v => `v ${v}`)
+                .concat(normals.map(n => `vn ${n}`), faces, colors).join("\n"));
+        }
+    };
+    return shape;
+};
+
+/**
+ * Add the sides and caps of a shape swept around the vertical axis through the center of
+ * the footprint, either a cylinder or a cone
+ * @param {Array.<number>} size - the size on each axis
+ * @param {number} segments - sides around the axis
+ * @param {Object} shape - the shape builder
+ * @param {boolean} cone - if the sides meet at the top
+ */
+const SWEEP_SHAPE = (size, segments, shape, cone) => {
+    const [w, l, height] = size;
+    const rx = w / 2, ry = l / 2;
+    const point = (angle, z) => [rx + rx * Math.cos(angle), ry + ry * Math.sin(angle), z];
+    // the gradient of the surface, the top of a cone leans it towards -z
+    const normal = angle => [Math.cos(angle) / rx, Math.sin(angle) / ry, cone ? -1 / height : 0];
+    const top = [rx, ry, -height], bottom = [rx, ry, 0];
+    for(let i = 0; i < segments; i++) {
+        const a0 = i / segments * Math.PI * 2;
+        const a1 = (i + 1) / segments * Math.PI * 2;
+        const n0 = normal(a0), n1 = normal(a1);
+        if(cone)
+            shape.triangle(point(a0, 0), top, point(a1, 0), [n0, normal((a0 + a1) / 2), n1]);
+        else {
+            shape.quad(point(a0, 0), point(a0, -height), point(a1, -height), point(a1, 0), [n0, n0, n1, n1]);
+            shape.triangle(top, point(a1, -height), point(a0, -height));
+        }
+        shape.triangle(bottom, point(a0, 0), point(a1, 0));
+    }
+};
+
+
+/**
+ * Generators of common tile shapes as ready meshes. The shapes are modelled like tile
+ * meshes, their footprint spans from 0 to the size on the x and y axis and they rise
+ * from 0 towards -z by the height given as the z size. Each takes the size as a vector or
+ * a number for every side, a number of subdivisions and a color as anything
+ * { @link Color.from } takes
+ * @class
+ * @see TileMap
+ */
+export class Primitives {
+
+    /**
+     * A box
+     * @static
+     * @param {Vector3 | number} size - width, length and height
+     * @param {number} segments - quads along each edge of a side
+     * @param {Color | Object | string | Array.<number>} color - color of the shape
+     * @returns {Mesh}
+     */
+    static box(size = 32, segments = 1, color = PRIMITIVE_COLOR) {
+        const [w, l, h] = PRIMITIVE_SIZE(size);
+        const n = PRIMITIVE_SEGMENTS(segments);
+        const shape = SHAPE_BUILDER(color);
+        shape.grid([0, 0, -h], [0, l, 0], [w, 0, 0], n);
+        shape.grid([0, 0, 0], [w, 0, 0], [0, l, 0], n);
+        shape.grid([0, 0, 0], [0, l, 0], [0, 0, -h], n);
+        shape.grid([w, 0, 0], [0, 0, -h], [0, l, 0], n);
+        shape.grid([0, 0, 0], [0, 0, -h], [w, 0, 0], n);
+        shape.grid([0, l, 0], [w, 0, 0], [0, 0, -h], n);
+        return shape.mesh();
+    }
+
+    /**
+     * A flat square facing up, the height is ignored
+     * @static
+     * @param {Vector3 | number} size - width and length
+     * @param {number} segments - quads along each edge
+     * @param {Color | Object | string | Array.<number>} color - color of the shape
+     * @returns {Mesh}
+     */
+    static plane(size = 32, segments = 1, color = PRIMITIVE_COLOR) {
+        const [w, l] = PRIMITIVE_SIZE(size);
+        const shape = SHAPE_BUILDER(color);
+        shape.grid([0, 0, 0], [0, l, 0], [w, 0, 0], PRIMITIVE_SEGMENTS(segments));
+        return shape.mesh();
+    }
+
+    /**
+     * A ramp rising along the y-axis to it's full height at the far end
+     * @static
+     * @param {Vector3 | number} size - width, length and height
+     * @param {number} segments - subdivisions along each edge of a side
+     * @param {Color | Object | string | Array.<number>} color - color of the shape
+     * @returns {Mesh}
+     */
+    static wedge(size = 32, segments = 1, color = PRIMITIVE_COLOR) {
+        const [w, l, h] = PRIMITIVE_SIZE(size);
+        const n = PRIMITIVE_SEGMENTS(segments);
+        const shape = SHAPE_BUILDER(color);
+        shape.grid([0, 0, 0], [0, l, -h], [w, 0, 0], n);
+        shape.grid([0, 0, 0], [w, 0, 0], [0, l, 0], n);
+        shape.grid([0, l, 0], [w, 0, 0], [0, 0, -h], n);
+        shape.subdivide([0, 0, 0], [0, l, 0], [0, l, -h], n);
+        shape.subdivide([w, 0, 0], [w, l, -h], [w, l, 0], n);
+        return shape.mesh();
+    }
+
+    /**
+     * Stairs climbing along the y-axis to their full height at the far end
+     * @static
+     * @param {Vector3 | number} size - width, length and height
+     * @param {number} steps - number of steps
+     * @param {Color | Object | string | Array.<number>} color - color of the shape
+     * @returns {Mesh}
+     */
+    static stairs(size = 32, steps = 4, color = PRIMITIVE_COLOR) {
+        const [w, l, h] = PRIMITIVE_SIZE(size);
+        const n = PRIMITIVE_SEGMENTS(steps);
+        const shape = SHAPE_BUILDER(color);
+        const run = l / n, rise = h / n;
+        for(let i = 0; i < n; i++) {
+            const y = i * run, top = (i + 1) * rise;
+            shape.grid([0, y, -top], [0, run, 0], [w, 0, 0], 1);
+            shape.grid([0, y, -i * rise], [0, 0, -rise], [w, 0, 0], 1);
+            shape.grid([0, y, 0], [0, run, 0], [0, 0, -top], 1);
+            shape.grid([w, y, 0], [0, 0, -top], [0, run, 0], 1);
+        }
+        shape.grid([0, 0, 0], [w, 0, 0], [0, l, 0], 1);
+        shape.grid([0, l, 0], [w, 0, 0], [0, 0, -h], 1);
+        return shape.mesh();
+    }
+
+    /**
+     * An upright cylinder filling the footprint
+     * @static
+     * @param {Vector3 | number} size - width, length and height
+     * @param {number} segments - sides around the cylinder, at least 3
+     * @param {Color | Object | string | Array.<number>} color - color of the shape
+     * @returns {Mesh}
+     */
+    static cylinder(size = 32, segments = 16, color = PRIMITIVE_COLOR) {
+        const shape = SHAPE_BUILDER(color);
+        SWEEP_SHAPE(PRIMITIVE_SIZE(size), PRIMITIVE_SEGMENTS(segments, 3), shape, false);
+        return shape.mesh();
+    }
+
+    /**
+     * An upright cone filling the footprint
+     * @static
+     * @param {Vector3 | number} size - width, length and height
+     * @param {number} segments - sides around the cone, at least 3
+     * @param {Color | Object | string | Array.<number>} color - color of the shape
+     * @returns {Mesh}
+     */
+    static cone(size = 32, segments = 16, color = PRIMITIVE_COLOR) {
+        const shape = SHAPE_BUILDER(color);
+        SWEEP_SHAPE(PRIMITIVE_SIZE(size), PRIMITIVE_SEGMENTS(segments, 3), shape, true);
+        return shape.mesh();
+    }
+
+    /**
+     * A sphere filling the box of it's size, stretched when the sides are not equal
+     * @static
+     * @param {Vector3 | number} size - width, length and height
+     * @param {number} segments - sides around the sphere, at least 3. It has half as many rings
+     * @param {Color | Object | string | Array.<number>} color - color of the shape
+     * @returns {Mesh}
+     */
+    static sphere(size = 32, segments = 16, color = PRIMITIVE_COLOR) {
+        const [w, l, h] = PRIMITIVE_SIZE(size);
+        const n = PRIMITIVE_SEGMENTS(segments, 3);
+        const rings = Math.max(2, Math.round(n / 2));
+        const radius = [w / 2, l / 2, h / 2];
+        const shape = SHAPE_BUILDER(color);
+        // rings go from the top to the bottom
+        const direction = (ring, i) => {
+            const polar = ring / rings * Math.PI, azimuth = i / n * Math.PI * 2;
+            return [Math.sin(polar) * Math.cos(azimuth), Math.sin(polar) * Math.sin(azimuth), -Math.cos(polar)];
+        };
+        const point = d => d.map((c, k) => radius[k] * c + (k === 2 ? -radius[k] : radius[k]));
+        const normal = d => d.map((c, k) => c / radius[k]);
+        for(let ring = 0; ring < rings; ring++) {
+            for(let i = 0; i < n; i++) {
+                const d = [direction(ring, i), direction(ring, i + 1), direction(ring + 1, i + 1), direction(ring + 1, i)];
+                shape.quad(...d.map(point), d.map(normal));
+            }
+        }
+        return shape.mesh();
+    }
+
+    /**
+     * A pyramid on the footprint with it's apex above the center
+     * @static
+     * @param {Vector3 | number} size - width, length and height
+     * @param {number} segments - subdivisions along each edge of a side
+     * @param {Color | Object | string | Array.<number>} color - color of the shape
+     * @returns {Mesh}
+     */
+    static pyramid(size = 32, segments = 1, color = PRIMITIVE_COLOR) {
+        const [w, l, h] = PRIMITIVE_SIZE(size);
+        const n = PRIMITIVE_SEGMENTS(segments);
+        const shape = SHAPE_BUILDER(color);
+        const apex = [w / 2, l / 2, -h];
+        const base = [[0, 0, 0], [w, 0, 0], [w, l, 0], [0, l, 0]];
+        base.forEach((corner, i) => shape.subdivide(corner, apex, base[(i + 1) % 4], n));
+        shape.grid([0, 0, 0], [w, 0, 0], [0, l, 0], n);
+        return shape.mesh();
+    }
+
+};
@@ -0,0 +1,278 @@
+import { Mat4x4 } from "./matrices.js";
+import { Vector3 } from "./vector.js";
+
+
+/**
+ * A unit quaternion representing a rotation. Quaternions are used to blend
+ * between rotations without the gimbal lock of euler angles
+ * as described on { @link https://en.wikipedia.org/wiki/Quaternions_and_spatial_rotation }
+ * @class
+ */
+export class Quaternion {
+
+    /**
+     * Creates a quaternion from euler angles
+     * @static
+     * @param {number} x - angle about the x-axis
+     * @param {number} y - angle about the y-axis
+     * @param {number} z - angle about the z-axis
+     * @param {string} order - order the rotations are multiplied in
+     * @returns {Quaternion} the rotation
+     * @throws {RangeError} when the order is unknown
+     * @see Mat4x4#eulerRotation
+     */
+    static fromEuler(x, y, z, order = "XYZ") {
+        if(!/^(XYZ|XZY|YXZ|YZX|ZXY|ZYX)$/.test(order))
+            throw RangeError(`Unknown rotation order "${order}"`);
+        const axes = {
+            X: Quaternion.fromAxisAngle(new Vector3(1, 0, 0), x),
+            Y: Quaternion.fromAxisAngle(new Vector3(0, 1, 0), y),
+            Z: Quaternion.fromAxisAngle(new Vector3(0, 0, 1), z)
+        };
+        return axes[order[0]].multiply(axes[order[1]]).multiply(axes[order[2]]);
+    }
+
+    /**
+     * Creates a quaternion rotating about an axis
+     * @static
+     * @param {Vector3} axis - the axis, it doesn't need to be a unit vector
+     * @param {number} angle - angle about the axis
+     * @returns {Quaternion} the rotation
+     */
+    static fromAxisAngle(axis, angle) {
+        const magnitude = axis.magnitude;
+        if(magnitude === 0)
+            return new Quaternion();
+        const s = Math.sin(angle * 0.5) / magnitude;
+        return new Quaternion(axis.x * s, axis.y * s, axis.z * s, Math.cos(angle * 0.5));
+    }
+
+    /**
+     * Creates a quaternion from the rotation of a matrix
+     * @static
+     * @param {Float32Array} m - a 4x4 matrix with no scale
+     * @returns {Quaternion} the rotation
+     */
+    static fromRotationMatrix(m) {
+        const trace = m[0] + m[5] + m[10];
+        let q;
+        // divide by the largest component to keep the precision
+        if(trace > 0) {
+            const s = 0.5 / Math.sqrt(trace + 1);
+            q = new Quaternion((m[9] - m[6]) * s, (m[2] - m[8]) * s, (m[4] - m[1]) * s, 0.25 / s);
+        } else if(m[0] > m[5] && m[0] > m[10]) {
+            const s = 2 * Math.sqrt(1 + m[0] - m[5] - m[10]);
+            q = new Quaternion(0.25 * s, (m[1] + m[4]) / s, (m[2] + m[8]) / s, (m[9] - m[6]) / s);
+        } else if(m[5] > m[10]) {
+            const s = 2 * Math.sqrt(1 + m[5] - m[0] - m[10]);
+            q = new Quaternion((m[1] + m[4]) / s, 0.25 * s, (m[6] + m[9]) / s, (m[2] - m[8]) / s);
+        } else {
+            const s = 2 * Math.sqrt(1 + m[10] - m[0] - m[5]);
+            q = new Quaternion((m[2] + m[8]) / s, (m[6] + m[9]) / s, 0.25 * s, (m[4] - m[1]) / s);
+        }
+        q.normalise();
+        return q;
+    }
+
+    /**
+     * Spherical linear interpolation, blends two rotations at a constant speed
+     * along the shortest path
+     * @static
+     * @param {Quaternion} a - the rotation at t = 0
+     * @param {Quaternion} b - the rotation at t = 1
+     * @param {number} t - amount from 0 to 1
+     * @returns {Quaternion} the blended rotation
+     */
+    static slerp(a, b, t) {
+        let cos = a.dot(b);
+        // q and -q are the same rotation, take the shorter way round
+        const sign = cos < 0 ? -1 : 1;
+        cos *= sign;
+
+        let wa = 1 - t;
+        let wb = t * sign;
+        if(cos < 0.9995) {
+            const angle = Math.acos(cos);
+            const sin = Math.sin(angle);
+            wa = Math.sin((1 - t) * angle) / sin;
+            wb = Math.sin(t * angle) / sin * sign;
+        }
+        const res = new Quaternion(
+            a.x * wa + b.x * wb,
+            a.y * wa + b.y * wb,
+            a.z * wa + b.z * wb,
+            a.w * wa + b.w * wb);
+        // linear blending of close rotations needs to be normalised
+        res.normalise();
+        return res;
+    }
+
+    /**
+     * Create a quaternion, the default is no rotation
+     * @constructor
+     * @param {number} x - value for the x-component
+     * @param {number} y - value for the y-component
+     * @param {number} z - value for the z-component
+     * @param {number} w - value for the w-component
+     */
+    constructor(x = 0, y = 0, z = 0, w = 1) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        this.w = w;
+    }
+
+    /**
+     * @returns {Quaternion} a copy of this quaternion
+     */
+    clone() {
+        return new Quaternion(this.x, this.y, this.z, this.w);
+    }
+
+    /**
+     * get the magnitude of a quaternion, 1 for a rotation
+     * @returns {number} the magnitude of the quaternion
+     */
+    get magnitude() {
+        return Math.hypot(this.x, this.y, this.z, this.w);
+    }
+
+    /** Converts a quaternion to a unit quaternion */
+    normalise() {
+        const magnitude = this.magnitude;
+        if(magnitude != 0) {
+            this.x /= magnitude;
+            this.y /= magnitude;
+            this.z /= magnitude;
+            this.w /= magnitude;
+        }
+    }
+
+    /**
+     * calculate the dot product of two quaternions
+     * @param {Quaternion} q - the other quaternion
+     * @returns {number} the cosine of half the angle between two rotations
+     */
+    dot(q) {
+        return this.x * q.x + this.y * q.y + this.z * q.z + this.w * q.w;
+    }
+
+    /**
+     * Multiplies a quaternion by another. The result rotates by `q` first and then
+     * by this quaternion. Note that this operation is not commutative
+     * @param {Quaternion} q - the other quaternion
+     * @returns {Quaternion} the product of two quaternions
+     */
+    multiply(q) {
+        return new Quaternion(
+            this.w * q.x + this.x * q.w + this.y * q.z - this.z * q.y,
+            this.w * q.y - this.x * q.z + this.y * q.w + this.z * q.x,
+            this.w * q.z + this.x * q.y - this.y * q.x + this.z * q.w,
+            this.w * q.w - this.x * q.x - this.y * q.y - this.z * q.z);
+    }
+
+    /**
+     * @returns {Quaternion} the opposite rotation of a unit quaternion
+     */
+    conjugate() {
+        return new Quaternion(-this.x, -this.y, -this.z, this.w);
+    }
+
+    /**
+     * Rotate a vector
+     * @param {Vector3} v - the vector
+     * @returns {Vector3} the rotated vector
+     */
+    rotateVector(v) {
+        const p = this.multiply(new Quaternion(v.x, v.y, v.z, 0)).multiply(this.conjugate());
+        return new Vector3(p.x, p.y, p.z, v.w);
+    }
+
+    /**
+     * @returns {Float32Array} the rotation matrix of a unit quaternion
+     */
+    toMat4() {
+        const { x, y, z, w } = this;
+        let m = Mat4x4.identity();
+        m[0] = 1 - 2 * (y * y + z * z);
+        m[1] = 2 * (x * y - z * w);
+        m[2] = 2 * (x * z + y * w);
+        m[4] = 2 * (x * y + z * w);
+        m[5] = 1 - 2 * (x * x + z * z);
+        m[6] = 2 * (y * z - x * w);
+        m[8] = 2 * (x * z - y * w);
+        m[9] = 2 * (y * z + x * w);
+        m[10] = 1 - 2 * (x * x + y * y);
+        return m;
+    }
+
+    /**
+     * Convert a unit quaternion to euler angles. When the middle rotation is a quarter
+     * turn the first and last axes line up and the last angle is set to 0
+     * @param {string} order - order the rotations are multiplied in
+     * @returns {Vector3} the angle about each axis
+     * @throws {RangeError} when the order is unknown
+     * @see Quaternion.fromEuler
+     */
+    toEuler(order = "XYZ") {
+        const m = this.toMat4();
+        // element of the matrix at a row and column
+        const e = (row, column) => m[row * 4 + column];
+        const clamp = a => Math.min(1, Math.max(-1, a));
+        const res = new Vector3();
+        switch(order) {
+            case "XYZ":
+                res.y = Math.asin(clamp(e(0, 2)));
+                if(Math.abs(e(0, 2)) < 0.9999999) {
+                    res.x = Math.atan2(-e(1, 2), e(2, 2));
+                    res.z = Math.atan2(-e(0, 1), e(0, 0));
+                } else
+                    res.x = Math.atan2(e(2, 1), e(1, 1));
+                break;
+            case "XZY":
+                res.z = Math.asin(-clamp(e(0, 1)));
+                if(Math.abs(e(0, 1)) < 0.9999999) {
+                    res.x = Math.atan2(e(2, 1), e(1, 1));
+                    res.y = Math.atan2(e(0, 2), e(0, 0));
+                } else
+                    res.x = Math.atan2(-e(1, 2), e(2, 2));
+                break;
+            case "YXZ":
+                res.x = Math.asin(-clamp(e(1, 2)));
+                if(Math.abs(e(1, 2)) < 0.9999999) {
+                    res.y = Math.atan2(e(0, 2), e(2, 2));
+                    res.z = Math.atan2(e(1, 0), e(1, 1));
+                } else
+                    res.y = Math.atan2(-e(2, 0), e(0, 0));
+                break;
+            case "YZX":
+                res.z = Math.asin(clamp(e(1, 0)));
+                if(Math.abs(e(1, 0)) < 0.9999999) {
+                    res.x = Math.atan2(-e(1, 2), e(1, 1));
+                    res.y = Math.atan2(-e(2, 0), e(0, 0));
+                } else
+                    res.y = Math.atan2(e(0, 2), e(2, 2));
+                break;
+            case "ZXY":
+                res.x = Math.asin(clamp(e(2, 1)));
+                if(Math.abs(e(2, 1)) < 0.9999999) {
+                    res.y = Math.atan2(-e(2, 0), e(2, 2));
+                    res.z = Math.atan2(-e(0, 1), e(1, 1));
+                } else
+                    res.z = Math.atan2(e(1, 0), e(0, 0));
+                break;
+            case "ZYX":
+                res.y = Math.asin(-clamp(e(2, 0)));
+                if(Math.abs(e(2, 0)) < 0.9999999) {
+                    res.x = Math.atan2(e(2, 1), e(2, 2));
+                    res.z = Math.atan2(e(1, 0), e(0, 0));
+                } else
+                    res.z = Math.atan2(-e(0, 1), e(1, 1));
+                break;
+            default:
+                throw RangeError(`Unknown rotation order "${order}"`);
+        }
+        return res;
+    }
+
+};
@@ -0,0 +1,300 @@
+import { Color } from "./color.js";
+
+
+/**
+ * Distance that lines and points are pulled towards the viewer so they are
+ * not hidden by the surface they are drawn on
+ */
+const DEPTH_BIAS = 0.01;
+
+/**
+ * Css colors already read by their text, a scene draws with the same few wire frame and
+ * clear colors. It's emptied when it grows past the size
+ */
+const RASTER_CSS_COLORS = new Map();
+const RASTER_CSS_CACHE_SIZE = 256;
+
+/**
+ * The rgba components of the color being drawn and of the color of each vertex, the light,
+ * perspective divisor and texture coordinates of each vertex of a textured triangle. They
+ * are reused by every triangle so drawing doesn't allocate
+ */
+const RASTER_COLOR = new Color();
+const RASTER_RGBA = [0, 0, 0, 0];
+const RASTER_VERTEX_RGBA = [[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]];
+const RASTER_LIGHTS = [0, 0, 0];
+const RASTER_Q = [0, 0, 0];
+const RASTER_US = [0, 0, 0];
+const RASTER_VS = [0, 0, 0];
+
+/**
+ * Resolve a color into it's rgba components without making a new color
+ * @param {Color | Object | string | Array.<number>} color - any color a { @link Color } is made from
+ * @param {Array.<number>} out - array receiving the components
+ * @returns {Array.<number>} [r, g, b, a] with r, g, b in 0 - 255 and a in 0 - 1
+ */
+const RASTER_TO_RGBA = (color, out) => {
+    if(color instanceof Color)
+        return color.toRGBA(out);
+    if(typeof color === "string") {
+        let css = RASTER_CSS_COLORS.get(color);
+        if(!css) {
+            if(RASTER_CSS_COLORS.size >= RASTER_CSS_CACHE_SIZE)
+                RASTER_CSS_COLORS.clear();
+            css = Color.parse(color);
+            RASTER_CSS_COLORS.set(color, css);
+        }
+        return css.toRGBA(out);
+    }
+    if(color && "h" in color)
+        return RASTER_COLOR.copy(color).toRGBA(out);
+    return Color.from(color).toRGBA(out);
+};
+
+
+/**
+ * A software rasteriser. Triangles are drawn into an ImageData colour buffer
+ * and every pixel is tested against a depth buffer, smaller depth values are
+ * closer to the viewer.
+ * @class
+ */
+export class Rasterizer {
+
+    /**
+     * constructs a rasteriser
+     * @constructor
+     * @param {number} w - width of the buffers
+     * @param {number} h - height of the buffers
+     */
+    constructor(w, h) {
+        this.width = 0;
+        this.height = 0;
+        this.colorBuffer = null;
+        this.depthBuffer = null;
+        this.resize(w, h);
+    }
+
+    /**
+     * Reallocate the colour and depth buffers
+     * @param {number} w - width of the buffers
+     * @param {number} h - height of the buffers
+     */
+    resize(w, h) {
+        this.width = Math.max(1, Math.floor(w));
+        this.height = Math.max(1, Math.floor(h));
+        this.colorBuffer = typeof ImageData === "function" ? new ImageData(this.width, this.height)
+            : { width: this.width, height: this.height, data: new Uint8ClampedArray(this.width * this.height * 4) };
+        this.depthBuffer = new Float32Array(this.width * this.height);
+        this.clear();
+    }
+
+    /**
+     * Clear the colour buffer and reset the depth buffer of a rectangle, the whole
+     * buffer by default
+     * @param {Color | Object | string} color - color, hsla object or css color, transparent if missing
+     * @param {number} x - starting position on the x-axis
+     * @param {number} y - starting position on the y-axis
+     * @param {number} w - width of the clearing rectangle
+     * @param {number} h - height of the clearing rectangle
+     */
+    clear(color, x = 0, y = 0, w = this.width, h = this.height) {
+        let r = 0, g = 0, b = 0, a = 0;
+        if(color)
+            [r, g, b, a] = RASTER_TO_RGBA(color, RASTER_RGBA);
+        const data = this.colorBuffer.data;
+        const minX = Math.max(0, Math.floor(x)), maxX = Math.min(this.width, Math.floor(x + w));
+        const minY = Math.max(0, Math.floor(y)), maxY = Math.min(this.height, Math.floor(y + h));
+        for(let py = minY; py < maxY; py++) {
+            for(let px = minX; px < maxX; px++) {
+                const i = py * this.width + px;
+                data[i * 4] = r;
+                data[i * 4 + 1] = g;
+                data[i * 4 + 2] = b;
+                data[i * 4 + 3] = a * 255;
+                this.depthBuffer[i] = Infinity;
+            }
+        }
+    }
+
+    /**
+     * Write a single pixel if it passes the depth test. Opaque pixels update
+     * the depth buffer, translucent pixels are blended over what is already drawn
+     * @param {number} x - pixel position on the x-axis
+     * @param {number} y - pixel position on the y-axis
+     * @param {number} z - depth of the pixel
+     * @param {number} r - red component 0 - 255
+     * @param {number} g - green component 0 - 255
+     * @param {number} b - blue component 0 - 255
+     * @param {number} a - alpha 0 - 1
+     * @param {number} bias - amount to pull the pixel towards the viewer
+     */
+    plot(x, y, z, r, g, b, a = 1, bias = 0) {
+        if(x < 0 || y < 0 || x >= this.width || y >= this.height)
+            return;
+        const i = y * this.width + x;
+        if(z - bias >= this.depthBuffer[i])
+            return;
+        const data = this.colorBuffer.data;
+        const j = i * 4;
+        if(a >= 1) {
+            data[j] = r;
+            data[j + 1] = g;
+            data[j + 2] = b;
+            data[j + 3] = 255;
+            this.depthBuffer[i] = z;
+        } else if(a > 0) {
+            const dstA = data[j + 3] / 255;
+            const outA = a + dstA * (1 - a);
+            data[j] = (r * a + data[j] * dstA * (1 - a)) / outA;
+            data[j + 1] = (g * a + data[j + 1] * dstA * (1 - a)) / outA;
+            data[j + 2] = (b * a + data[j + 2] * dstA * (1 - a)) / outA;
+            data[j + 3] = outA * 255;
+        }
+    }
+
+    /**
+     * Fill a triangle in screen space. The z-component of each vertex is
+     * it's depth
+     * @param {Array.<Vector3>} v - the three screen space vertices
+     * @param {Color | Object | string | Array} color - color, hsla object or css color of the triangle,
+     * or an array of one color per vertex to be interpolated across the triangle
+     */
+    drawTriangle(v, color) {
+        const [v0, v1, v2] = v;
+        const area = (v1.x - v0.x) * (v2.y - v0.y) - (v1.y - v0.y) * (v2.x - v0.x);
+        if(area === 0)
+            return;
+
+        const minX = Math.max(0, Math.floor(Math.min(v0.x, v1.x, v2.x)));
+        const maxX = Math.min(this.width - 1, Math.ceil(Math.max(v0.x, v1.x, v2.x)));
+        const minY = Math.max(0, Math.floor(Math.min(v0.y, v1.y, v2.y)));
+        const maxY = Math.min(this.height - 1, Math.ceil(Math.max(v0.y, v1.y, v2.y)));
+
+        let colors = null;
+        if(Array.isArray(color)) {
+            colors = RASTER_VERTEX_RGBA;
+            for(let i = 0; i < 3; i++)
+                RASTER_TO_RGBA(color[i], colors[i]);
+        }
+        let [r, g, b, a] = colors ? colors[0] : RASTER_TO_RGBA(color, RASTER_RGBA);
+
+        // the weight of each vertex changes by a constant amount per pixel step
+        const dx0 = (v1.y - v2.y) / area;
+        const dx1 = (v2.y - v0.y) / area;
+
+        for(let y = minY; y <= maxY; y++) {
+            const py = y + 0.5;
+            const px = minX + 0.5;
+            let w0 = ((v2.x - v1.x) * (py - v1.y) - (v2.y - v1.y) * (px - v1.x)) / area;
+            let w1 = ((v0.x - v2.x) * (py - v2.y) - (v0.y - v2.y) * (px - v2.x)) / area;
+            for(let x = minX; x <= maxX; x++, w0 += dx0, w1 += dx1) {
+                const w2 = 1 - w0 - w1;
+                if(w0 < 0 || w1 < 0 || w2 < 0)
+                    continue;
+                if(colors) {
+                    r = w0 * colors[0][0] + w1 * colors[1][0] + w2 * colors[2][0];
+                    g = w0 * colors[0][1] + w1 * colors[1][1] + w2 * colors[2][1];
+                    b = w0 * colors[0][2] + w1 * colors[1][2] + w2 * colors[2][2];
+                    a = w0 * colors[0][3] + w1 * colors[1][3] + w2 * colors[2][3];
+                }
+                this.plot(x, y, w0 * v0.z + w1 * v1.z + w2 * v2.z, r, g, b, a);
+            }
+        }
+    }
+
+    /**
+     * Fill a triangle in screen space with a texture. Affine mapping interpolates
+     * the texture coordinates linearly in screen space, perspective correct mapping
+     * interpolates them divided by the homogenous w-component of each vertex
+     * @param {Array.<Vector3>} v - the three screen space vertices
+     * @param {Array.<Vector2>} uvs - texture coordinate of each vertex
+     * @param {Texture} texture - the texture
+     * @param {number | Array.<number>} light - amount of light on the triangle or on each vertex
+     * @param {boolean} perspective - use perspective correct mapping
+     * @param {number} opacity - opacity multiplied with the alpha of the texture
+     */
+    drawTexturedTriangle(v, uvs, texture, light = 1, perspective = false, opacity = 1) {
+        const image = texture.getImageData();
+        if(!image)
+            return;
+        const [v0, v1, v2] = v;
+        const area = (v1.x - v0.x) * (v2.y - v0.y) - (v1.y - v0.y) * (v2.x - v0.x);
+        if(area === 0)
+            return;
+
+        const minX = Math.max(0, Math.floor(Math.min(v0.x, v1.x, v2.x)));
+        const maxX = Math.min(this.width - 1, Math.ceil(Math.max(v0.x, v1.x, v2.x)));
+        const minY = Math.max(0, Math.floor(Math.min(v0.y, v1.y, v2.y)));
+        const maxY = Math.min(this.height - 1, Math.ceil(Math.max(v0.y, v1.y, v2.y)));
+
+        const lights = RASTER_LIGHTS, q = RASTER_Q, us = RASTER_US, vs = RASTER_VS;
+        for(let i = 0; i < 3; i++) {
+            lights[i] = Array.isArray(light) ? light[i] : light;
+            q[i] = perspective ? 1 / (v[i].w || 1) : 1;
+            us[i] = uvs[i].x * q[i];
+            vs[i] = uvs[i].y * q[i];
+        }
+        const data = image.data;
+
+        const dx0 = (v1.y - v2.y) / area;
+        const dx1 = (v2.y - v0.y) / area;
+
+        for(let y = minY; y <= maxY; y++) {
+            const py = y + 0.5;
+            const px = minX + 0.5;
+            let w0 = ((v2.x - v1.x) * (py - v1.y) - (v2.y - v1.y) * (px - v1.x)) / area;
+            let w1 = ((v0.x - v2.x) * (py - v2.y) - (v0.y - v2.y) * (px - v2.x)) / area;
+            for(let x = minX; x <= maxX; x++, w0 += dx0, w1 += dx1) {
+                const w2 = 1 - w0 - w1;
+                if(w0 < 0 || w1 < 0 || w2 < 0)
+                    continue;
+                const iq = 1 / (w0 * q[0] + w1 * q[1] + w2 * q[2]);
+                const t = texture.texelIndex(
+                    (w0 * us[0] + w1 * us[1] + w2 * us[2]) * iq,
+                    (w0 * vs[0] + w1 * vs[1] + w2 * vs[2]) * iq);
+                const l = w0 * lights[0] + w1 * lights[1] + w2 * lights[2];
+                this.plot(x, y, w0 * v0.z + w1 * v1.z + w2 * v2.z,
+                    data[t] * l, data[t + 1] * l, data[t + 2] * l, data[t + 3] / 255 * opacity);
+            }
+        }
+    }
+
+    /**
+     * Draw a line in screen space using Bresenham's algorithm
+     * @param {Vector3} p0 - start of the line
+     * @param {Vector3} p1 - end of the line
+     * @param {Color | Object | string} color - color, hsla object or css color of the line
+     */
+    drawLine(p0, p1, color) {
+        const [r, g, b, a] = RASTER_TO_RGBA(color, RASTER_RGBA);
+        let x0 = Math.round(p0.x), y0 = Math.round(p0.y);
+        const x1 = Math.round(p1.x), y1 = Math.round(p1.y);
+        const dx = Math.abs(x1 - x0), dy = -Math.abs(y1 - y0);
+        const sx = x0 < x1 ? 1 : -1, sy = y0 < y1 ? 1 : -1;
+        const steps = Math.max(dx, -dy);
+        let err = dx + dy;
+        for(let i = 0; i <= steps; i++) {
+            const t = steps ? i / steps : 0;
+            this.plot(x0, y0, p0.z + (p1.z - p0.z) * t, r, g, b, a, DEPTH_BIAS);
+            const e2 = 2 * err;
+            if(e2 >= dy) { err += dy; x0 += sx; }
+            if(e2 <= dx) { err += dx; y0 += sy; }
+        }
+    }
+
+    /**
+     * Draw a square dot centered at a point in screen space
+     * @param {Vector3} p - the point
+     * @param {number} radius - half of the width of the dot
+     * @param {Color | Object | string} color - color, hsla object or css color of the dot
+     */
+    drawPoint(p, radius, color) {
+        const [r, g, b, a] = RASTER_TO_RGBA(color, RASTER_RGBA);
+        const cx = Math.round(p.x), cy = Math.round(p.y);
+        for(let y = cy - radius; y <= cy + radius; y++) {
+            for(let x = cx - radius; x <= cx + radius; x++)
+                this.plot(x, y, p.z, r, g, b, a, DEPTH_BIAS);
+        }
+    }
+
+};
@@ -0,0 +1,642 @@
+import { Rasterizer } from "./rasterizer.js";
+import { Color } from "./color.js";
+
+
+/**
+ * Cover a rectangle of texture space with the image the way { @link Texture#texelIndex }
+ * reads it, repeated as a pattern or with it's edge pixels stretched outwards
+ * @param {CanvasRenderingContext2D} ctx - the context, transformed to texture space
+ * @param {Texture} texture - the texture
+ * @param {Array.<number>} us - horizontal texture coordinate of each vertex in pixels
+ * @param {Array.<number>} vs - vertical texture coordinate of each vertex in pixels from the top
+ */
+const DRAW_TEXTURE_SPAN = (ctx, texture, us, vs) => {
+    const w = texture.width, h = texture.height;
+    const minU = Math.floor(Math.min(...us)), maxU = Math.ceil(Math.max(...us));
+    const minV = Math.floor(Math.min(...vs)), maxV = Math.ceil(Math.max(...vs));
+    if(minU >= 0 && minV >= 0 && maxU <= w && maxV <= h) {
+        ctx.drawImage(texture.source, 0, 0);
+    } else if(texture.repeat) {
+        ctx.fillStyle = ctx.createPattern(texture.source, "repeat");
+        ctx.fillRect(minU, minV, maxU - minU, maxV - minV);
+    } else {
+        // the image, the edges stretched beside it and the corners stretched diagonally
+        const columns = [[minU, 0, 0, 1], [0, w, 0, w], [w, maxU, w - 1, 1]];
+        const rows = [[minV, 0, 0, 1], [0, h, 0, h], [h, maxV, h - 1, 1]];
+        for(const [y0, y1, sy, sh] of rows) {
+            for(const [x0, x1, sx, sw] of columns) {
+                if(x1 > x0 && y1 > y0)
+                    ctx.drawImage(texture.source, sx, sy, sw, sh, x0, y0, x1 - x0, y1 - y0);
+            }
+        }
+    }
+};
+
+/**
+ * Draw a textured triangle on a canvas with affine mapping. The triangle is
+ * clipped and the image transformed so it's texture coordinates land on the
+ * vertices. Texture coordinates outside 0 - 1 are repeated or clamped like the
+ * rasteriser does
+ * @param {CanvasRenderingContext2D} ctx - the context
+ * @param {Array.<Vector3>} v - the three screen space vertices
+ * @param {Array.<Vector2>} uvs - texture coordinate of each vertex
+ * @param {Texture} texture - the texture
+ * @param {number} light - amount of light on the triangle
+ */
+const DRAW_TEXTURED_TRIANGLE = (ctx, v, uvs, texture, light) => {
+    const [x0, y0, x1, y1, x2, y2] = [v[0].x, v[0].y, v[1].x, v[1].y, v[2].x, v[2].y];
+    const [u0, u1, u2] = uvs.map(uv => uv.x * texture.width);
+    const [v0, v1, v2] = uvs.map(uv => (1 - uv.y) * texture.height);
+    const delta = u0 * v1 + v0 * u2 + u1 * v2 - v1 * u2 - v0 * u1 - u0 * v2;
+    if(delta === 0)
+        return;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(x0, y0);
+    ctx.lineTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.closePath();
+    ctx.clip();
+    ctx.transform(
+        (x0 * v1 + v0 * x2 + x1 * v2 - v1 * x2 - v0 * x1 - x0 * v2) / delta,
+        (y0 * v1 + v0 * y2 + y1 * v2 - v1 * y2 - v0 * y1 - y0 * v2) / delta,
+        (u0 * x1 + x0 * u2 + u1 * x2 - x1 * u2 - x0 * u1 - u0 * x2) / delta,
+        (u0 * y1 + y0 * u2 + u1 * y2 - y1 * u2 - y0 * u1 - u0 * y2) / delta,
+        (u0 * v1 * x2 + v0 * x1 * u2 + x0 * u1 * v2 - x0 * v1 * u2 - v0 * u1 * x2 - u0 * x1 * v2) / delta,
+        (u0 * v1 * y2 + v0 * y1 * u2 + y0 * u1 * v2 - y0 * v1 * u2 - v0 * u1 * y2 - u0 * y1 * v2) / delta
+    );
+    DRAW_TEXTURE_SPAN(ctx, texture, [u0, u1, u2], [v0, v1, v2]);
+    ctx.restore();
+
+    // darken the texture where there is less light
+    if(light < 1) {
+        ctx.fillStyle = `rgba(0, 0, 0, ${1 - Math.max(0, light)})`;
+        ctx.beginPath();
+        ctx.moveTo(x0, y0);
+        ctx.lineTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.closePath();
+        ctx.fill();
+    }
+};
+
+/**
+ * A linear gradient approximating colors blended across a triangle. A canvas gradient
+ * only changes in one direction, so it follows the component of the colors changing the
+ * most across the triangle and passes through the color of every vertex
+ * @param {CanvasRenderingContext2D} ctx - the context
+ * @param {Array.<Vector3>} v - the three screen space vertices
+ * @param {Array.<Color | Object>} colors - color of each vertex
+ * @returns {CanvasGradient | string} the gradient, or a css color when the colors are
+ * the same across the triangle
+ */
+const VERTEX_GRADIENT = (ctx, v, colors) => {
+    const rgba = colors.map(c => Color.from(c).toRGBA());
+    const css = ([r, g, b, a]) => `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${a})`;
+    const average = css([0, 1, 2, 3].map(i => (rgba[0][i] + rgba[1][i] + rgba[2][i]) / 3));
+    const area = (v[1].x - v[0].x) * (v[2].y - v[0].y) - (v[1].y - v[0].y) * (v[2].x - v[0].x);
+    if(area === 0)
+        return average;
+
+    // screen space slope of each component, alpha in the same range as the others
+    let dx = 0, dy = 0, steepest = 0;
+    for(let i = 0; i < 4; i++) {
+        const range = i === 3 ? 255 : 1;
+        const d1 = (rgba[1][i] - rgba[0][i]) * range, d2 = (rgba[2][i] - rgba[0][i]) * range;
+        const gx = (d1 * (v[2].y - v[0].y) - d2 * (v[1].y - v[0].y)) / area;
+        const gy = (d2 * (v[1].x - v[0].x) - d1 * (v[2].x - v[0].x)) / area;
+        if(gx * gx + gy * gy > steepest) {
+            steepest = gx * gx + gy * gy;
+            dx = gx;
+            dy = gy;
+        }
+    }
+    if(steepest < 1e-6)
+        return average;
+
+    const length = Math.sqrt(steepest);
+    dx /= length;
+    dy /= length;
+    const t = v.map(p => p.x * dx + p.y * dy);
+    const order = [0, 1, 2].sort((a, b) => t[a] - t[b]);
+    const start = v[order[0]], span = t[order[2]] - t[order[0]];
+    const gradient = ctx.createLinearGradient(start.x, start.y, start.x + dx * span, start.y + dy * span);
+    order.forEach(i => gradient.addColorStop((t[i] - t[order[0]]) / span, css(rgba[i])));
+    return gradient;
+};
+
+/**
+ * Table of the crc of every byte value, used by png chunks
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (v, n) => {
+    let c = n;
+    for(let k = 0; k < 8; k++)
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+/**
+ * Compute the crc-32 of bytes
+ * @param {Uint8Array} bytes - the bytes
+ * @param {number} start - index of the first byte
+ * @param {number} end - index after the last byte
+ * @returns {number} the checksum
+ */
+const CRC32 = (bytes, start = 0, end = bytes.length) => {
+    let c = 0xffffffff;
+    for(let i = start; i < end; i++)
+        c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Encode rgba pixels as a png image. The pixels are stored in uncompressed
+ * deflate blocks so no compression library is needed
+ * as described on { @link https://www.w3.org/TR/png/ }
+ * @param {number} width - width of the image
+ * @param {number} height - height of the image
+ * @param {Uint8ClampedArray} rgba - 4 bytes per pixel, row by row from the top
+ * @returns {Uint8Array} the png file
+ */
+const ENCODE_PNG = (width, height, rgba) => {
+    // every row starts with the filter type, 0 is none
+    const rowLength = width * 4 + 1;
+    const raw = new Uint8Array(rowLength * height);
+    for(let y = 0; y < height; y++)
+        raw.set(rgba.subarray(y * width * 4, (y + 1) * width * 4), y * rowLength + 1);
+
+    // zlib stream of stored blocks of at most 65535 bytes followed by an adler-32
+    const blocks = Math.max(1, Math.ceil(raw.length / 65535));
+    const zlib = new Uint8Array(2 + raw.length + blocks * 5 + 4);
+    zlib[0] = 0x78;
+    zlib[1] = 0x01;
+    let offset = 2;
+    for(let i = 0; i < blocks; i++) {
+        const block = raw.subarray(i * 65535, (i + 1) * 65535);
+        zlib[offset] = i === blocks - 1 ? 1 : 0;
+        zlib[offset + 1] = block.length & 0xff;
+        zlib[offset + 2] = block.length >>> 8;
+        zlib[offset + 3] = ~block.length & 0xff;
+        zlib[offset + 4] = (~block.length >>> 8) & 0xff;
+        zlib.set(block, offset + 5);
+        offset += 5 + block.length;
+    }
+    let a = 1, b = 0;
+    for(let i = 0; i < raw.length; i++) {
+        a = (a + raw[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    new DataView(zlib.buffer).setUint32(offset, ((b << 16) | a) >>> 0);
+
+    const chunks = [
+        ["IHDR", [width >>> 24, width >>> 16, width >>> 8, width, height >>> 24, height >>> 16, height >>> 8, height,
+            8, 6, 0, 0, 0]],
+        ["IDAT", zlib],
+        ["IEND", []]
+    ];
+    const size = 8 + chunks.reduce((sum, [, data]) => sum + 12 + data.length, 0);
+    const png = new Uint8Array(size);
+    const view = new DataView(png.buffer);
+    png.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    offset = 8;
+    chunks.forEach(([type, data]) => {
+        view.setUint32(offset, data.length);
+        for(let i = 0; i < 4; i++)
+            png[offset + 4 + i] = type.charCodeAt(i);
+        png.set(data, offset + 8);
+        view.setUint32(offset + 8 + data.length, CRC32(png, offset + 4, offset + 8 + data.length));
+        offset += 12 + data.length;
+    });
+    return png;
+};
+
+
+/**
+ * @abstract
+ * @class
+ * Base class for renderers. A renderer draws the triangles a scene has projected
+ * to the screen, each triangle has it's screen space `vertices`, `color`, `light`,
+ * texture and drawing options as produced by { @link Mesh#draw }
+ */
+export class Renderer {
+
+    /**
+     * @hideconstructor
+     * @constructor
+     */
+    constructor() {
+        if(this.constructor === Renderer)
+            throw new Error("Abstract Class `Renderer` cannot be Instantiated");
+        this.clearColor = undefined;
+    }
+
+    /**
+     * Change the size of the drawing surface
+     * @param {number} w - width in pixels
+     * @param {number} h - height in pixels
+     */
+    resize(w, h) {}
+
+    /**
+     * Clear a rectangle of the drawing surface to the clear color
+     * @param {number} x - starting position on the x-axis
+     * @param {number} y - starting position on the y-axis
+     * @param {number} w - width of the clearing rectangle
+     * @param {number} h - height of the clearing rectangle
+     */
+    clear(x, y, w, h) {}
+
+    /**
+     * Draw the triangles of a frame
+     * @param {Array.<Object>} triangles - the projected triangles
+     */
+    render(triangles) {}
+
+};
+
+
+/**
+ * @augments Renderer
+ * A renderer that rasterises into a rgba buffer with a depth buffer and needs
+ * no DOM, so it works in node, in a worker or in tests. The pixels can be read
+ * back or written out as a png or ppm image
+ */
+export class BufferRenderer extends Renderer {
+
+    /**
+     * @constructor
+     * @param {number} w - width in pixels
+     * @param {number} h - height in pixels
+     */
+    constructor(w, h) {
+        super();
+        this.rasterizer = new Rasterizer(w, h);
+    }
+
+    get width() {
+        return this.rasterizer.width;
+    }
+
+    get height() {
+        return this.rasterizer.height;
+    }
+
+    /**
+     * The rendered pixels, 4 bytes per pixel row by row from the top
+     * @returns {ImageData}
+     */
+    get colorBuffer() {
+        return this.rasterizer.colorBuffer;
+    }
+
+    resize(w, h) {
+        this.rasterizer.resize(w, h);
+    }
+
+    clear(x, y, w, h) {
+        this.rasterizer.clear(this.clearColor, x || 0, y || 0, w || this.width, h || this.height);
+    }
+
+    /**
+     * Draw the triangles of a frame on a cleared buffer
+     * @param {Array.<Object>} triangles - the projected triangles
+     */
+    render(triangles) {
+        this.rasterizer.clear(this.clearColor);
+        this.rasterize(triangles);
+    }
+
+    /**
+     * Rasterise the triangles into the colour and depth buffer
+     * @private
+     * @param {Array.<Object>} triangles - the projected triangles
+     */
+    rasterize(triangles) {
+
+        const raster = this.rasterizer;
+
+        // translucent triangles are blended last, farthest first
+        const opacity = tri => tri.color.a === undefined ? 1 : tri.color.a;
+        triangles.sort((a, b) => {
+            const aOpaque = opacity(a) >= 1, bOpaque = opacity(b) >= 1;
+            if(aOpaque !== bOpaque)
+                return aOpaque ? -1 : 1;
+            return aOpaque ? 0 : b.zAverage - a.zAverage;
+        });
+
+        triangles.forEach(tri => {
+
+            let v = tri.vertices;
+            let c = tri.color;
+
+            if(tri.fillShader && tri.uvs)
+                raster.drawTexturedTriangle(v, tri.uvs, tri.texture, tri.vertexLights || tri.light,
+                    tri.perspectiveCorrect, c.a);
+            else if(tri.fillShader)
+                raster.drawTriangle(v, tri.vertexColors || c);
+
+            if(tri.showWireFrame) {
+                let stroke = tri.wireFrameColor ? tri.wireFrameColor : c;
+                raster.drawLine(v[0], v[1], stroke);
+                raster.drawLine(v[1], v[2], stroke);
+                raster.drawLine(v[2], v[0], stroke);
+            };
+
+            // show polygon vertex
+            if(tri.showVertex)
+                v.forEach(vertex => raster.drawPoint(vertex, 2, c));
+
+        });
+
+    }
+
+    /**
+     * Read a pixel
+     * @param {number} x - position on the x-axis
+     * @param {number} y - position on the y-axis, 0 is the top row
+     * @returns {Array.<number>} [r, g, b, a] each in the range 0 - 255, or null outside the buffer
+     */
+    getPixel(x, y) {
+        const raster = this.rasterizer;
+        if(x < 0 || y < 0 || x >= raster.width || y >= raster.height)
+            return null;
+        const i = (Math.floor(y) * raster.width + Math.floor(x)) * 4;
+        return Array.from(this.colorBuffer.data.subarray(i, i + 4));
+    }
+
+    /**
+     * Encode the pixels as a png image
+     * @returns {Uint8Array} the png file
+     */
+    toPNG() {
+        const raster = this.rasterizer;
+        return ENCODE_PNG(raster.width, raster.height, this.colorBuffer.data);
+    }
+
+    /**
+     * Encode the pixels as a binary ppm image. The format has no alpha channel,
+     * translucent pixels are blended over black
+     * @returns {Uint8Array} the ppm file
+     */
+    toPPM() {
+        const raster = this.rasterizer;
+        const header = `P6\n${raster.width} ${raster.height}\n255\n`;
+        const data = this.colorBuffer.data;
+        const ppm = new Uint8Array(header.length + raster.width * raster.height * 3);
+        for(let i = 0; i < header.length; i++)
+            ppm[i] = header.charCodeAt(i);
+        for(let i = 0, j = header.length; i < data.length; i += 4, j += 3) {
+            const a = data[i + 3] / 255;
+            ppm[j] = data[i] * a;
+            ppm[j + 1] = data[i + 1] * a;
+            ppm[j + 2] = data[i + 2] * a;
+        }
+        return ppm;
+    }
+
+};
+
+
+/**
+ * @augments BufferRenderer
+ * A renderer drawing on a canvas element. Triangles are rasterised with a depth
+ * buffer and blitted on the canvas unless `fastMode` is enabled, in which case
+ * they are sorted by their average depth and filled directly on the canvas, colors
+ * blended across a triangle becoming a gradient
+ */
+export class CanvasRenderer extends BufferRenderer {
+
+    /**
+     * @constructor
+     * @param {number} w - width in pixels
+     * @param {number} h - height in pixels
+     * @param {HTMLCanvasElement} element - the canvas drawn on, a new canvas by default
+     */
+    constructor(w, h, element = document.createElement("canvas")) {
+        super(w, h);
+
+        // element
+        this.element = element;
+        this.element.style.backgroundColor = "#000";
+        this.element.style.width = w;
+        this.element.style.height = h;
+        this.element.width = this.rasterizer.width;
+        this.element.height = this.rasterizer.height;
+        this.ctx = this.element.getContext("2d");
+
+        // the buffer element is only used to blit the colour buffer
+        this.fastMode = false;
+        this.bufferElement = document.createElement("canvas");
+        this.bufferElement.width = this.rasterizer.width;
+        this.bufferElement.height = this.rasterizer.height;
+        this.bufferCtx = this.bufferElement.getContext("2d");
+    }
+
+    get width() {
+        return this.element.width;
+    }
+
+    get height() {
+        return this.element.height;
+    }
+
+    resize(w, h) {
+        this.element.width = w;
+        this.element.height = h;
+    }
+
+    clear(x, y, w, h) {
+        x = x || 0;
+        y = y || 0;
+        w = w || this.width;
+        h = h || this.height;
+        if(this.clearColor) {
+            this.ctx.fillStyle = this.clearColor;
+            this.ctx.fillRect(x, y, w, h);
+        } else
+            this.ctx.clearRect(x, y, w, h)
+    }
+
+    /**
+     * Clear the canvas to the clear color and draw the triangles of a frame
+     * @param {Array.<Object>} triangles - the projected triangles
+     */
+    render(triangles) {
+        // the previous frame would show through the transparent pixels of this one
+        this.clear();
+        if(this.fastMode)
+            this.renderCanvas(triangles);
+        else
+            this.renderBuffer(triangles);
+    }
+
+    /**
+     * Draw the triangles straight on the canvas, farthest first
+     * @private
+     * @param {Array.<Object>} triangles - the projected triangles
+     */
+    renderCanvas(triangles) {
+
+        triangles.sort((a, b) => b.zAverage - a.zAverage);
+
+         let ctx = this.ctx;
+         triangles.forEach((tri, i) => {
+
+            let v = tri.vertices;
+            let c = tri.color;
+
+            // show polygon vertex
+            if(tri.showVertex) {
+                ctx.save();
+                v.forEach((vertex, i) => {
+                    ctx.fillStyle = `hsla(${c.h}, ${c.s}%, ${c.l}%, ${c.a})`;
+                    ctx.beginPath();
+                    ctx.arc(vertex.x, vertex.y, 2, 0, 2*Math.PI);
+                    ctx.closePath();
+                    ctx.fill();
+                });
+                ctx.restore();
+            };
+
+            // textures drawn from raw pixel data can only be rasterised
+            if(tri.uvs && tri.fillShader && tri.texture.ready && !tri.texture.source.data) {
+                ctx.save();
+                ctx.globalAlpha = c.a === undefined ? 1 : c.a;
+                DRAW_TEXTURED_TRIANGLE(ctx, v, tri.uvs, tri.texture, tri.light);
+                ctx.restore();
+                if(tri.showWireFrame) {
+                    ctx.strokeStyle = tri.wireFrameColor ? tri.wireFrameColor : `hsla(${c.h}, ${c.s}%, ${c.l}%, ${c.a})`;
+                    ctx.beginPath();
+                    ctx.moveTo(v[0].x, v[0].y);
+                    ctx.lineTo(v[1].x, v[1].y);
+                    ctx.lineTo(v[2].x, v[2].y);
+                    ctx.closePath();
+                    ctx.stroke();
+                }
+            } else if(tri.showWireFrame || tri.fillShader) {
+                ctx.strokeStyle = tri.wireFrameColor ? tri.wireFrameColor : `hsla(${c.h}, ${c.s}%, ${c.l}%, ${c.a})`;
+                // colors blended across the triangle are drawn as a gradient
+                ctx.fillStyle = tri.vertexColors ? VERTEX_GRADIENT(ctx, v, tri.vertexColors)
+                    : `hsla(${c.h}, ${c.s}%, ${c.l}%, ${c.a})`;
+                ctx.beginPath();
+                ctx.moveTo(v[0].x, v[0].y);
+                ctx.lineTo(v[1].x, v[1].y);
+                ctx.lineTo(v[2].x, v[2].y);
+                ctx.closePath();
+                if(tri.fillShader) ctx.fill();
+                ctx.stroke();
+            };
+
+
+         });    // END TO RASTER
+
+    }
+
+    /**
+     * Rasterise the triangles into the colour and depth buffer then blit the
+     * colour buffer on the canvas once
+     * @private
+     * @param {Array.<Object>} triangles - the projected triangles
+     */
+    renderBuffer(triangles) {
+
+        // the canvas may have been resized directly
+        const raster = this.rasterizer;
+        if(raster.width !== this.width || raster.height !== this.height) {
+            raster.resize(this.width, this.height);
+            this.bufferElement.width = raster.width;
+            this.bufferElement.height = raster.height;
+        }
+        // the canvas is cleared by the clear color, not the buffer
+        raster.clear();
+
+        this.rasterize(triangles);
+
+        this.bufferCtx.putImageData(raster.colorBuffer, 0, 0);
+        this.ctx.drawImage(this.bufferElement, 0, 0);
+
+    }
+
+};
+
+
+/**
+ * @augments Renderer
+ * A renderer writing the triangles of a frame as an svg document. Triangles are
+ * drawn farthest first as polygons keeping their fill, wireframe, vertex dots and
+ * alpha. Textures, per vertex lighting and vertex colors can't be expressed by a polygon
+ * so the triangles are filled with their lit color
+ */
+export class SVGRenderer extends Renderer {
+
+    /**
+     * @constructor
+     * @param {number} w - width of the document
+     * @param {number} h - height of the document
+     */
+    constructor(w, h) {
+        super();
+        this.width = w;
+        this.height = h;
+        this.svg = "";
+    }
+
+    resize(w, h) {
+        this.width = w;
+        this.height = h;
+    }
+
+    /**
+     * Write the triangles of a frame, the document is kept in `svg`
+     * @param {Array.<Object>} triangles - the projected triangles
+     * @returns {string} the svg document
+     */
+    render(triangles) {
+        // coordinates are rounded so documents of the same scene can be compared
+        const number = n => String(Math.round(n * 100) / 100);
+        const escape = value => String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+        const paint = color => typeof color === "string" ? `"${escape(color)}"`
+            : `"hsl(${number(color.h)}, ${number(color.s)}%, ${number(color.l)}%)"`;
+        const alpha = color => typeof color === "string" || color.a === undefined || color.a >= 1 ? 1 : color.a;
+
+        const lines = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${number(this.width)}" height="${number(this.height)}"`
+                + ` viewBox="0 0 ${number(this.width)} ${number(this.height)}">`
+        ];
+        if(this.clearColor)
+            lines.push(`  <rect width="100%" height="100%" fill=${paint(this.clearColor)}/>`);
+
+        triangles.slice().sort((a, b) => b.zAverage - a.zAverage).forEach(tri => {
+            const v = tri.vertices;
+            const c = tri.color;
+            if(tri.fillShader || tri.showWireFrame) {
+                let attributes = `points="${v.map(p => `${number(p.x)},${number(p.y)}`).join(" ")}"`;
+                attributes += tri.fillShader ? ` fill=${paint(c)}` : ` fill="none"`;
+                if(tri.fillShader && alpha(c) < 1)
+                    attributes += ` fill-opacity="${number(alpha(c))}"`;
+                // filled triangles are outlined in their own color to hide the seams between them
+                const stroke = tri.showWireFrame ? tri.wireFrameColor || c : tri.fillShader && c;
+                if(stroke) {
+                    attributes += ` stroke=${paint(stroke)} stroke-linejoin="round"`;
+                    if(alpha(stroke) < 1)
+                        attributes += ` stroke-opacity="${number(alpha(stroke))}"`;
+                }
+                lines.push(`  <polygon ${attributes}/>`);
+            }
+            if(tri.showVertex) {
+                v.forEach(p => {
+                    let attributes = `cx="${number(p.x)}" cy="${number(p.y)}" r="2" fill=${paint(c)}`;
+                    if(alpha(c) < 1)
+                        attributes += ` fill-opacity="${number(alpha(c))}"`;
+                    lines.push(`  <circle ${attributes}/>`);
+                });
+            }
+        });
+
+        lines.push("</svg>");
+        this.svg = lines.join("\n") + "\n";
+        return this.svg;
+    }
+
+};
@@ -1,46 +1,198 @@
-import { Mat4x4 } from "./matrices.js";
-import { Vector3 } from "./vector.js";
+import { Light } from "./light.js";
+import { Camera } from "./camera.js";
+import { Node, Group } from "./node.js";
 import { Mesh } from "./mesh.js";
+import { TileMap } from "./tilemap.js";
+import { Sprite } from "./sprite.js";
+import { VoxelChunk, VoxelWorld } from "./voxel.js";
+import { Terrain } from "./terrain.js";
+import { Vector2, Vector3 } from "./vector.js";
+import { Color } from "./color.js";
+import { Renderer, BufferRenderer, CanvasRenderer, SVGRenderer } from "./renderer.js";
+import { Clock, GameLoop } from "./loop.js";
 
 
 /**
- * Creates a scene
+ * Version of the json written by `Scene#toJSON`
+ */
+const SCENE_VERSION = 1;
+
+/**
+ * Functions upgrading the json of a scene, the nth function upgrades version n to n + 1
+ */
+const SCENE_MIGRATIONS = [];
+
+/**
+ * Classes of the nodes a scene can be read from json into, by their json type
+ */
+const SCENE_NODE_TYPES = { Node, Group, Mesh, TileMap, Sprite, VoxelChunk, VoxelWorld, Terrain };
+
+/**
+ * Create a triangle to be rastered, see { @link Renderer }. The optional per vertex
+ * `vertexLights`, `vertexColors` and `uvs` point to the lists in `storage` when used
+ * @returns {Object} the triangle
+ */
+const RASTER_TRIANGLE = () => ({
+    vertices: [new Vector3(), new Vector3(), new Vector3()],
+    zAverage: 0,
+    light: 1,
+    vertexLights: null,
+    color: new Color(),
+    vertexColors: null,
+    uvs: null,
+    texture: null,
+    perspectiveCorrect: false,
+    showVertex: false,
+    showWireFrame: false,
+    fillShader: true,
+    wireFrameColor: undefined,
+    storage: {
+        lights: [0, 0, 0],
+        colors: [new Color(), new Color(), new Color()],
+        uvs: [new Vector2(), new Vector2(), new Vector2()]
+    }
+});
+
+
+/**
+ * Creates a scene. The scene is the root node of every object it renders
  * @class
-* @todo implement camera position
-* @todo implement viewport culling
-* @todo rasterise triangle
-* @todo implement light, vertex shader, pixel shader
-* @todo implement zBuffer
-* @todo implement texture coordinate
+ * @augments Node
+* @todo implement vertex shader, pixel shader
 */
-export class Scene {
+export class Scene extends Node {
+
+    /**
+     * Create a scene from it's json representation. Json written by an older
+     * version is upgraded first
+     * @static
+     * @see Scene#toJSON
+     * @param {Object | string} json - the scene as returned by toJSON or the json string
+     * @param {Renderer} renderer - draws the scene
+     * @returns {Scene} the scene
+     * @throws {RangeError} when the json was written by a newer version
+     * @throws {TypeError} when a node or light type is unknown
+     */
+    static fromJSON(json, renderer) {
+        if(typeof json === "string")
+            json = JSON.parse(json);
+        if(!(json.version <= SCENE_VERSION))
+            throw RangeError(`Scene version ${json.version} is not supported, the latest is ${SCENE_VERSION}`);
+        for(let version = json.version; version < SCENE_VERSION; version++)
+            json = SCENE_MIGRATIONS[version - 1](json);
+
+        const scene = new Scene(json.width, json.height, renderer);
+        scene.clearColor = json.clearColor;
+        scene.fastMode = json.fastMode;
+        scene.camera = Camera.fromJSON(json.camera);
+        json.lights.forEach(light => scene.add(Light.fromJSON(light)));
+
+        const create = data => {
+            const type = SCENE_NODE_TYPES[data.type];
+            if(!type)
+                throw TypeError(`Unknown node type "${data.type}"`);
+            const node = type.fromJSON(data);
+            data.children.forEach(child => node.add(create(child)));
+            return node;
+        };
+        json.objects.forEach(object => scene.add(create(object)));
+        return scene;
+    }
 
     /**
      * constructs a scene
      * @constructor
      * @param {number} w - width of the scene
      * @param {number} h - height of the scene
+     * @param {Renderer} renderer - draws the scene, a canvas renderer when there is a DOM
+     * otherwise a buffer renderer
      */
-    constructor(w, h) {
+    constructor(w, h, renderer) {
 
-        // element
-        this.element = document.createElement("canvas");
-        this.element.style.backgroundColor = "#000";
-        this.element.style.width = w;
-        this.element.style.height = h;
-        this.ctx = this.element.getContext("2d");
-        this.clearColor = undefined;
+        super();
+
+        if(renderer !== undefined && !(renderer instanceof Renderer))
+            throw TypeError("The renderer of a scene must be an instance of `Renderer`");
+        this.renderer = renderer || (typeof document === "object"
+            ? new CanvasRenderer(w, h) : new BufferRenderer(w, h));
 
         // props
-        this.projectionMatrix = Mat4x4.create();
-        this.objects = [];
+        this.lights = [];
         this.toRaster = [];
-        this.camera = {
-            position: new Vector3(),
-            rotation: new Vector3()
-        };
+        // every triangle handed out by rasterTriangle, reused by the next frame
+        this.rasterPool = [];
+        this.camera = new Camera(w, h);
+        // an input manager updated at the start of every step, set it to read input
+        this.input = null;
+        // objects updated with the time of every step before the camera, such as a camera controller
+        this.controllers = [];
+        this.loop = new GameLoop(dt => this.update(dt), () => this.draw());
+        // times calls to render made outside the loop
+        this.clock = new Clock();
+    }
+
+    /**
+     * The canvas of a canvas renderer
+     * @returns {HTMLCanvasElement}
+     */
+    get element() {
+        return this.renderer.element;
+    }
 
-        this.updateProjectionMatrix(0, w, h, 0, 0.1, 100);
+    /**
+     * The context of a canvas renderer
+     * @returns {CanvasRenderingContext2D}
+     */
+    get ctx() {
+        return this.renderer.ctx;
+    }
+
+    /**
+     * The rasteriser of the renderer
+     * @returns {Rasterizer}
+     */
+    get rasterizer() {
+        return this.renderer.rasterizer;
+    }
+
+    /**
+     * Fill the canvas directly without a depth buffer, only used by a canvas renderer
+     * @returns {boolean}
+     */
+    get fastMode() {
+        return !!this.renderer.fastMode;
+    }
+
+    set fastMode(fast) {
+        this.renderer.fastMode = fast;
+    }
+
+    /**
+     * Color the scene is cleared to, transparent if not set
+     * @returns {string}
+     */
+    get clearColor() {
+        return this.renderer.clearColor;
+    }
+
+    set clearColor(color) {
+        this.renderer.clearColor = color;
+    }
+
+    /**
+     * The objects directly added to the scene
+     * @returns {Array.<Node>}
+     */
+    get objects() {
+        return this.children;
+    }
+
+    /**
+     * The projection matrix of the camera
+     * @returns {Float32Array}
+     */
+    get projectionMatrix() {
+        return this.camera.projectionMatrix;
     }
 
     /**
@@ -51,48 +203,43 @@ export class Scene {
      * @param {number} _h - height of the clearing rectangle
      */
     clear(_x, _y, _w, _h) {
-        const x = _x || 0;
-        const y = _y || 0;
-        const w = _w || this.width;
-        const h = _h || this.height;
-        if(this.clearColor) {
-            this.ctx.fillStyle = this.clearColor;
-            this.ctx.fillRect(x, y, w, h);
-        } else 
-            this.ctx.clearRect(x, y, w, h)
+        this.renderer.clear(_x, _y, _w, _h);
     }   
 
     /**
-     * Rotates the scene: Note that rotation on the y-axis has been diabled
+     * Rotates the scene about the camera position
      * @param {number} x - rotation on the x-axis
      * @param {number} y - rotation on the y-axis
      * @param {number} z - rotation on the z-axis
+     * @param {string} order - order the rotations are multiplied in
+     * @see Camera#setRotation
      */
-    setRotation(x = 0, y = 0, z = 0) {
-        this.camera.rotation.x = x;
-        this.camera.rotation.y = y;
-        this.camera.rotation.z = z;
+    setRotation(x = 0, y = 0, z = 0, order) {
+        this.camera.setRotation(x, y, z, order);
     }
 
     set width(w) {
-        this.element.width = w;
+        this.renderer.resize(w, this.height);
+        this.camera.resize(this.width, this.height);
     }
 
     set height(h) {
-        this.element.height = h;
+        this.renderer.resize(this.width, h);
+        this.camera.resize(this.width, this.height);
     }
 
     get width() {
-        return this.element.width;
+        return this.renderer.width;
     }
 
     get height() {
-        return this.element.height;
+        return this.renderer.height;
     }
 
     /**
-     * Creates an orthographic projection matrix.
-     * as described on { @link https://en.wikipedia.org/wiki/Orthographic_projection }
+     * Creates an orthographic projection matrix. The boundaries are relative to the
+     * camera position and are replaced whenever the camera is zoomed or resized
+     * @see Camera#setOrthographic
      * @param {number} left - leftmost boundary
      * @param {number} right - rightmost boundary
      * @param {number} bottom - bottom boundary
@@ -101,78 +248,229 @@ export class Scene {
      * @param {number} far - farthest distance
      */
     updateProjectionMatrix(left, right, bottom, top, near, far) {
-        this.projectionMatrix[0] = 2 / (right - left);
-        this.projectionMatrix[3] = -(right + left) / (right - left);
-        this.projectionMatrix[5] = 2 / (top - bottom);
-        this.projectionMatrix[7] = -(top + bottom) / (top - bottom);
-        this.projectionMatrix[10] = -2 / (far - near);
-        this.projectionMatrix[11] = -(far + near) / (far - near);
-        this.projectionMatrix[15] = 1;
+        this.camera.setOrthographic(left, right, bottom, top, near, far);
     }
 
     /**
      * Adds an object  to the scene for rendering and other processes
-     * @param {Mesh} obj - Mesh to be added
+     * @param {Node | Light} obj - Mesh, TileMap, Group or Light to be added
+     * @returns {Node | Light} the object
      */
     add(obj) {
-        if(!(obj instanceof Mesh))
-            throw TypeError("You can only Add an instance of a `Mesh` object to the scene");
-        this.objects.push(obj);
+        if(obj instanceof Light) {
+            this.lights.push(obj);
+            return obj;
+        }
+        if(!(obj instanceof Node))
+            throw TypeError("You can only Add an instance of a `Node` or `Light` object to the scene");
+        return super.add(obj);
     }
 
     /**
-     * render the scene
+     * Removes an object from the scene
+     * @param {Node | Light} obj - the object to be removed
+     * @returns {boolean} false if the object is not in the scene
      */
-    render() {
+    remove(obj) {
+        if(obj instanceof Light) {
+            const i = this.lights.indexOf(obj);
+            if(i >= 0)
+                this.lights.splice(i, 1);
+            return i >= 0;
+        }
+        return super.remove(obj);
+    }
 
-        this.toRaster = [];
+    /**
+     * Find what is under a point on the screen. A ray is cast from the near plane of the
+     * camera through the point and the nearest front facing triangle it hits is returned
+     * @param {number} screenX - position on the canvas in pixels
+     * @param {number} screenY - position on the canvas in pixels
+     * @returns {Object} the `object` hit, the `mesh` and `triangle` index hit,
+     * the world space `point`, the `distance` from the near plane and the `cell` of a tile map
+     * or null for meshes. Null is returned if nothing was hit
+     */
+    pick(screenX, screenY) {
+        const camera = this.camera;
+        const origin = camera.screenToWorld(screenX, screenY, camera.near);
+        const direction = camera.screenToWorld(screenX, screenY, camera.near + 1).sub(origin);
+        direction.normalise();
+        const maxDistance = camera.far - camera.near;
+
+        let nearest = null;
+        this.traverse(object => {
+            if(typeof object.raycast !== "function")
+                return;
+            let hit = object.raycast(origin, direction, object.worldMatrix,
+                nearest ? nearest.distance : maxDistance);
+            if(hit) {
+                nearest = Object.assign({ mesh: object, cell: null }, hit);
+                nearest.object = object;
+            }
+        });
+        return nearest;
+    }
 
-        this.objects.forEach(obj => { obj.process(this) });
+    /**
+     * Calculate the amount of light that reaches a point on a surface. A scene
+     * without lights is fully lit
+     * @param {Vector3} point - a point on the surface in view space
+     * @param {Vector3} normal - unit normal of the surface in view space
+     * @returns {number} amount of light, 1 leaves the surface color unchanged
+     */
+    illuminate(point, normal) {
+        if(!this.lights.length)
+            return 1;
+        let sum = 0;
+        for(let i = 0; i < this.lights.length; i++)
+            sum += this.lights[i].illuminate(point, normal);
+        return sum;
+    }
+
+    /**
+     * Add a triangle to the triangles rastered this frame. The triangles are kept and
+     * handed out again by the next frame so every field has to be written
+     * @private
+     * @returns {Object} the triangle
+     */
+    rasterTriangle() {
+        let tri = this.rasterPool[this.toRaster.length];
+        if(!tri) {
+            tri = RASTER_TRIANGLE();
+            this.rasterPool.push(tri);
+        }
+        this.toRaster.push(tri);
+        return tri;
+    }
+
+    /**
+     * Start updating and rendering the scene on every animation frame
+     * @param {number} fixedStep - length of a fixed update step in seconds, 0 updates once
+     * per frame with the time since the last frame
+     * @see GameLoop
+     */
+    start(fixedStep = this.loop.fixedStep) {
+        this.loop.fixedStep = fixedStep;
+        this.loop.start();
+    }
+
+    /**
+     * Stop the loop
+     */
+    stop() {
+        this.loop.stop();
+    }
+
+    /**
+     * Stop updating the scene but keep rendering it
+     */
+    pause() {
+        this.loop.pause();
+    }
+
+    /**
+     * Continue updating a paused scene
+     */
+    resume() {
+        this.loop.resume();
+    }
+
+    /**
+     * @returns {boolean} true while the loop is running and not paused
+     */
+    get running() {
+        return this.loop.running && !this.loop.paused;
+    }
+
+    /**
+     * Advance the scene by a step. The input is read, the controllers and the camera
+     * are moved and every node is stepped, parents before their children
+     * @param {number} dt - seconds since the last step
+     * @see Node#step
+     */
+    update(dt) {
+        if(this.input)
+            this.input.update();
+        this.controllers.forEach(controller => controller.update(dt));
+        this.camera.update(dt);
+        const visit = node => {
+            node.step(dt);
+            node.children.forEach(visit);
+        };
+        this.children.forEach(visit);
+    }
+
+    /**
+     * Update the lights then project the triangles of every object
+     * @private
+     * @returns {Array.<Object>} the projected triangles, reused by the next projection
+     */
+    project() {
+
+        this.toRaster.length = 0;
+
+        this.lights.forEach(light => light.update(this.camera.viewMatrix));
+
+        // parents are processed before their children
+        const visit = node => {
+            node.process(this, node.worldMatrix);
+            node.children.forEach(visit);
+        };
+        this.children.forEach(visit);
         /**
          * To raster is an array of objects containing data of triangles 
          * relative to their mesh [projected, color]
          */
 
-        this.toRaster.sort((a, b) => a.zAverage < b.zAverage);
-
-         let ctx = this.ctx;
-         this.toRaster.forEach((tri, i) => {
-
-            let saturation = 50;
-            let light = Math.max(20, tri[3] * 50);
-            let v = tri.vertices;
-            let c = tri.color;
-
-            // show polygon vertex
-            if(tri.showVertex) {
-                ctx.save();
-                v.forEach((vertex, i) => {
-                    ctx.fillStyle = c;
-                    ctx.beginPath();
-                    ctx.arc(vertex.x, vertex.y, 2, 0, 2*Math.PI);
-                    ctx.closePath();
-                    ctx.fill();
-                });
-                ctx.restore();
-            };
-            
-            if(tri.showWireFrame || tri.fillShader) {
-                ctx.strokeStyle = tri.wireFrameColor ? tri.wireFrameColor : `hsla(${c.h}, ${c.s}%, ${c.l}%, ${c.a})`;
-                ctx.fillStyle = `hsla(${c.h}, ${c.s}%, ${c.l}%, ${c.a})`;
-                ctx.beginPath();
-                ctx.moveTo(v[0].x, v[0].y);
-                ctx.lineTo(v[1].x, v[1].y);
-                ctx.lineTo(v[2].x, v[2].y);
-                ctx.closePath();
-                if(tri.fillShader) ctx.fill();
-                ctx.stroke();
-            };
-
-
-         });    // END TO RASTER
+        return this.toRaster;
 
-        this.toRaster = [];
+    }
+
+    /**
+     * Draw the scene without updating it. The triangles of every object are projected
+     * and drawn by the renderer
+     */
+    draw() {
+        this.renderer.render(this.project());
+    }
+
+    /**
+     * render the scene when it's not run by it's loop. The scene is updated with the
+     * time since the last render and then drawn
+     */
+    render() {
+        if(this.clock.last === null)
+            this.clock.start();
+        this.update(this.clock.tick());
+        this.draw();
+    }
 
+    /**
+     * The scene for JSON.stringify, it's objects, lights, camera and renderer settings
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            version: SCENE_VERSION,
+            width: this.width,
+            height: this.height,
+            clearColor: this.clearColor,
+            fastMode: this.fastMode,
+            camera: this.camera.toJSON(),
+            lights: this.lights.map(light => light.toJSON()),
+            objects: this.children.map(child => child.toJSON())
+        };
+    }
+
+    /**
+     * Render the scene as an svg document, the scene's renderer is not used
+     * @see SVGRenderer
+     * @returns {string} the svg document
+     */
+    toSVG() {
+        const svg = new SVGRenderer(this.width, this.height);
+        svg.clearColor = this.clearColor;
+        return svg.render(this.project());
     }
 
 };
\ No newline at end of file
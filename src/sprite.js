@@ -0,0 +1,296 @@
+import { Mat4x4 } from "./matrices.js";
+import { Vector2, Vector3 } from "./vector.js";
+import { Texture } from "./texture.js";
+import { Node } from "./node.js";
+
+
+/**
+ * The view space position, clip space position and texture coordinate of each corner of
+ * the frame being drawn, the axes it's laid along and it's center. They are reused by
+ * every sprite so drawing doesn't allocate
+ */
+const SPRITE_CORNERS = [0, 1, 2, 3].map(() => ({ view: new Vector3(), clip: new Vector3(), uv: new Vector2() }));
+const SPRITE_RIGHT = new Vector3(1, 0, 0, 0);
+const SPRITE_UP = new Vector3(0, 1, 0, 0);
+const SPRITE_ORIGIN = new Vector3();
+const SPRITE_CENTER = new Vector3();
+const SPRITE_OFFSET = new Vector3(0, 0, 0, 0);
+
+/**
+ * Sprites face the camera, so they are lit as if they face down the -z axis of view space
+ */
+const SPRITE_NORMAL = new Vector3(0, 0, -1, 0);
+
+/**
+ * The corners of each triangle of a sprite and where each corner is in the frame
+ */
+const SPRITE_TRIANGLES = [[0, 1, 2], [0, 2, 3]];
+const SPRITE_FRAME_CORNERS = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+
+/**
+ * A 2d image in the 3d world that always faces the camera. The image is drawn as two
+ * textured triangles at the depth of the sprite so it is depth tested against, and sorted
+ * with, the triangles of meshes. The image may be a sheet of equally sized frames, counted
+ * row by row from the top left, and clips of frames can be played as animations. One pixel
+ * of a frame is one world unit before the sprite is scaled
+ * @class
+ * @augments Node
+ */
+export class Sprite extends Node {
+
+    /**
+     * Create a sprite from it's json representation. The image is loaded from it's
+     * url when there is a DOM
+     * @static
+     * @see Sprite#toJSON
+     * @param {Object} json - the sprite as returned by toJSON
+     * @returns {Sprite} the sprite
+     */
+    static fromJSON(json) {
+        let image = null;
+        if(json.image && typeof Image === "function") {
+            image = new Image();
+            image.src = json.image;
+        }
+        const sprite = new Sprite(image, json.frameWidth, json.frameHeight);
+        sprite.anchor.set(...json.anchor);
+        sprite.frame = json.frame;
+        sprite.upright = json.upright;
+        sprite.flipX = json.flipX;
+        sprite.lit = json.lit;
+        sprite.opacity = json.opacity;
+        for(const name in json.clips) {
+            const clip = json.clips[name];
+            sprite.addClip(name, clip.frames, clip.fps, clip.loop);
+        }
+        return Node.fromJSON(json, sprite);
+    }
+
+    /**
+     * @constructor
+     * @param {HTMLImageElement | HTMLCanvasElement | ImageData | Texture} image - the image or sprite sheet
+     * @param {number} frameWidth - width of a frame in pixels, the width of the image by default
+     * @param {number} frameHeight - height of a frame in pixels, the height of the image by default
+     */
+    constructor(image, frameWidth = 0, frameHeight = 0) {
+        super();
+        this.texture = !image || image instanceof Texture ? image : new Texture(image);
+        this.frameWidth = frameWidth;
+        this.frameHeight = frameHeight;
+        this.frame = 0;
+        // point of the frame placed at the position of the sprite, 0 is the left and the bottom
+        this.anchor = new Vector2(0.5, 0.5);
+        this.upright = false;
+        this.flipX = false;
+        this.lit = false;
+        this.opacity = 1;
+
+        this.clips = {};
+        this.clip = null;
+        this.clipTime = 0;
+        this.onClipComplete = null;
+
+        // reused by every draw
+        this.modelViewMatrix = Mat4x4.create();
+    }
+
+    /**
+     * Number of frames in the sheet
+     * @returns {number}
+     */
+    get frameCount() {
+        if(!this.texture || !this.texture.ready)
+            return 0;
+        const w = this.frameWidth || this.texture.width;
+        const h = this.frameHeight || this.texture.height;
+        return Math.floor(this.texture.width / w) * Math.floor(this.texture.height / h);
+    }
+
+    /**
+     * Set the image of the sprite
+     * @param {HTMLImageElement | HTMLCanvasElement | ImageData | Texture} image - the image
+     * or sprite sheet, null removes the image
+     */
+    setTexture(image) {
+        this.texture = !image || image instanceof Texture ? image : new Texture(image);
+    }
+
+    /**
+     * Set the anchor, the point of the frame placed at the position of the sprite
+     * @param {number} x - from 0 at the left to 1 at the right of the frame
+     * @param {number} y - from 0 at the bottom to 1 at the top of the frame
+     */
+    setAnchor(x = 0.5, y = 0.5) {
+        this.anchor.x = x;
+        this.anchor.y = y;
+    }
+
+    /**
+     * Define a clip of frames that can be played
+     * @param {string} name - name of the clip
+     * @param {Array.<number>} frames - the frames in the order they are shown
+     * @param {number} fps - frames shown per second
+     * @param {boolean} loop - start again after the last frame
+     */
+    addClip(name, frames, fps = 10, loop = true) {
+        if(!Array.isArray(frames) || !frames.length)
+            throw TypeError("A clip needs at least one frame");
+        if(!(fps > 0))
+            throw RangeError("The frames per second of a clip must be greater than zero");
+        this.clips[name] = { frames, fps, loop };
+    }
+
+    /**
+     * Play a clip from it's first frame. Playing the clip that is already playing
+     * does not restart it
+     * @param {string} name - name of the clip
+     * @param {function(Sprite)} onComplete - called when a clip that doesn't loop ends
+     * @throws {RangeError} when there is no clip of that name
+     */
+    playClip(name, onComplete = null) {
+        const clip = this.clips[name];
+        if(!clip)
+            throw RangeError(`The sprite has no clip named "${name}"`);
+        this.onClipComplete = onComplete;
+        if(this.clip === name)
+            return;
+        this.clip = name;
+        this.clipTime = 0;
+        this.frame = clip.frames[0];
+    }
+
+    /**
+     * Stop the playing clip on it's current frame
+     */
+    stopClip() {
+        this.clip = null;
+        this.onClipComplete = null;
+    }
+
+    /**
+     * Advance the playing clip, the animations and call the update function
+     * @param {number} dt - seconds since the last step
+     */
+    step(dt) {
+        const clip = this.clips[this.clip];
+        if(clip) {
+            this.clipTime += dt;
+            let i = Math.floor(this.clipTime * clip.fps);
+            const ended = !clip.loop && i >= clip.frames.length;
+            i = ended ? clip.frames.length - 1 : i % clip.frames.length;
+            this.frame = clip.frames[i];
+            if(ended) {
+                const onComplete = this.onClipComplete;
+                this.stopClip();
+                if(onComplete)
+                    onComplete(this);
+            }
+        }
+        super.step(dt);
+    }
+
+    /**
+     * The sprite for JSON.stringify. Only the url of an image is included
+     * @returns {Object}
+     */
+    toJSON() {
+        const source = this.texture && this.texture.source;
+        return Object.assign(super.toJSON(), {
+            type: "Sprite",
+            image: source && typeof source.src === "string" ? source.src : null,
+            frameWidth: this.frameWidth,
+            frameHeight: this.frameHeight,
+            frame: this.frame,
+            anchor: [this.anchor.x, this.anchor.y],
+            upright: this.upright,
+            flipX: this.flipX,
+            lit: this.lit,
+            opacity: this.opacity,
+            clips: this.clips
+        });
+    }
+
+    /**
+     * Project the frame into the scene's list of triangles to be rastered. The frame is
+     * parallel to the screen, an upright sprite stands along the -z axis like the sides of
+     * tiles and only turns about it so it's depth matches the walls it stands by
+     * @private
+     * @param {Scene} scene - The scene
+     * @param {Float32Array} mWorld - the world matrix of the sprite
+     */
+    process(scene, mWorld = this.worldMatrix) {
+        const texture = this.texture;
+        if(!texture || !texture.ready)
+            return;
+        const m = Mat4x4.multiplyMatrix(scene.camera.viewMatrix, mWorld, this.modelViewMatrix);
+
+        const texW = texture.width, texH = texture.height;
+        const frameW = this.frameWidth || texW, frameH = this.frameHeight || texH;
+        const columns = Math.max(1, Math.floor(texW / frameW));
+        const frame = Math.max(0, Math.floor(this.frame));
+        const fx = frame % columns * frameW, fy = Math.floor(frame / columns) * frameH;
+        const left = fx / texW, right = (fx + frameW) / texW;
+        const u0 = this.flipX ? right : left, u1 = this.flipX ? left : right;
+        const v0 = 1 - (fy + frameH) / texH, v1 = 1 - fy / texH;
+
+        // the frame is sized by the scale of the sprite and of it's parents
+        const width = frameW * Math.hypot(mWorld[0], mWorld[4], mWorld[8]);
+        const height = frameH * Math.hypot(mWorld[1], mWorld[5], mWorld[9]);
+        const across = SPRITE_RIGHT.set(1, 0, 0);
+        const up = SPRITE_UP.set(0, 1, 0);
+        if(this.upright) {
+            const v = scene.camera.viewMatrix;
+            const ux = -v[2], uy = -v[6], uz = -v[10];
+            const length = Math.hypot(ux, uy);
+            // looking along the -z axis the sprite would be seen edge on
+            if(length > 1e-3) {
+                // scaled so the frame keeps it's height on the screen
+                up.set(ux / length, uy / length, uz / length);
+                across.set(uy / length, -ux / length, 0);
+            }
+        }
+
+        const origin = SPRITE_ORIGIN.set(m[3], m[7], m[11]);
+        const corners = SPRITE_CORNERS;
+        for(let i = 0; i < 4; i++) {
+            const [x, y] = SPRITE_FRAME_CORNERS[i];
+            const c = corners[i];
+            origin.add(across.scale((x - this.anchor.x) * width, SPRITE_OFFSET), c.view)
+                .add(up.scale((y - this.anchor.y) * height, SPRITE_OFFSET), c.view);
+            Mat4x4.multiplyVector(scene.projectionMatrix, c.view, c.clip);
+            c.uv.set(x ? u1 : u0, y ? v1 : v0);
+            if(c.clip.z < -1 || c.clip.z > 1)
+                return;
+        }
+
+        const center = origin.add(up.scale((0.5 - this.anchor.y) * height, SPRITE_OFFSET), SPRITE_CENTER);
+        const light = this.lit ? scene.illuminate(center, SPRITE_NORMAL) : 1;
+        for(const triangle of SPRITE_TRIANGLES) {
+            const raster = scene.rasterTriangle();
+            for(let k = 0; k < 3; k++) {
+                const c = corners[triangle[k]];
+                raster.vertices[k].set(
+                    (c.clip.x + 1) * scene.width * 0.5,
+                    (c.clip.y + 1) * scene.height * 0.5,
+                    c.view.z);
+                raster.vertices[k].w = c.clip.w;
+                raster.storage.uvs[k].copy(c.uv);
+            }
+            raster.zAverage = (corners[triangle[0]].view.z + corners[triangle[1]].view.z
+                + corners[triangle[2]].view.z) / 3;
+            raster.light = light;
+            raster.vertexLights = null;
+            raster.color.set(0, 0, Math.min(100, 100 * light), this.opacity === undefined ? 1 : this.opacity);
+            raster.vertexColors = null;
+            raster.uvs = raster.storage.uvs;
+            raster.texture = texture;
+            raster.perspectiveCorrect = false;
+            raster.showVertex = false;
+            raster.showWireFrame = false;
+            raster.fillShader = true;
+            raster.wireFrameColor = undefined;
+        }
+    }
+
+};
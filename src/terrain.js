@@ -0,0 +1,392 @@
+import { Texture } from "./texture.js";
+import { Mesh } from "./mesh.js";
+import { Node } from "./node.js";
+import { Color } from "./color.js";
+
+
+/**
+ * Colors of the terrain by height. Each band colors the heights below it's fraction
+ * of the highest height, the last band colors everything above
+ */
+const TERRAIN_BANDS = [
+    { below: 0.2, color: { h: 205, s: 60, l: 45, a: 1 } },     // water
+    { below: 0.3, color: { h: 45, s: 55, l: 70, a: 1 } },      // sand
+    { below: 0.7, color: { h: 100, s: 40, l: 45, a: 1 } },     // grass
+    { below: Infinity, color: { h: 30, s: 10, l: 55, a: 1 } }  // rock
+];
+
+/**
+ * The face color of a triangle, darkened by the direction it faces like the shapes of
+ * { @link Primitives } so slopes and walls can be told apart without lights
+ * @param {Object} color - hsla color of the band
+ * @param {Array.<Array.<number>>} corners - the three corners of the triangle
+ * @returns {Array.<number>} the color as h, s, l and a
+ */
+const TERRAIN_FACE_COLOR = (color, [p0, p1, p2]) => {
+    const e1 = [p1[0] - p0[0], p1[1] - p0[1], p1[2] - p0[2]];
+    const e2 = [p2[0] - p0[0], p2[1] - p0[1], p2[2] - p0[2]];
+    const n = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+    const length = Math.hypot(n[0], n[1], n[2]) || 1;
+    const shade = 0.75 - 0.25 * n[2] / length - 0.1 * Math.abs(n[0] / length);
+    return [color.h, color.s, +(color.l * shade).toFixed(2), color.a];
+};
+
+/**
+ * Order the corners of a wall so it faces outwards
+ * @param {Array.<number>} p - first corner at the top of the wall
+ * @param {Array.<number>} q - second corner at the top of the wall
+ * @param {number} bottom - z of the bottom of the wall
+ * @param {Array.<number>} outward - direction the wall faces
+ * @returns {Array.<Array.<number>>} the four corners in counter clockwise order
+ */
+const TERRAIN_WALL = (p, q, bottom, outward) => {
+    const corners = [[p[0], p[1], bottom], p, q, [q[0], q[1], bottom]];
+    // in this order the wall faces the cross product of the -z axis and the top edge
+    const facing = (q[1] - p[1]) * outward[0] - (q[0] - p[0]) * outward[1];
+    return facing > 0 ? corners : corners.reverse();
+};
+
+/**
+ * The direction each wall of a cell faces and the corners of the cell along it
+ */
+const TERRAIN_SIDES = [
+    { dx: -1, dy: 0, corners: [[0, 0], [0, 1]] },
+    { dx: 1, dy: 0, corners: [[1, 1], [1, 0]] },
+    { dx: 0, dy: -1, corners: [[1, 0], [0, 0]] },
+    { dx: 0, dy: 1, corners: [[0, 1], [1, 1]] }
+];
+
+
+/**
+ * Terrain built from a grid of heights. The terrain is laid out like a tile map with rows
+ * along the y-axis and heights rising towards -z. A blocky terrain has a flat top for
+ * each height and walls where it's higher than a neighbour or the edge of the map. A
+ * smooth terrain places the heights at the corners of it's cells and slopes between them,
+ * with walls down to the base along the edges. Faces are colored by height bands and it
+ * is drawn like any other mesh
+ * @class
+ * @augments Mesh
+ * @see TileMap
+ */
+export class Terrain extends Mesh {
+
+    /**
+     * Create a terrain from a greyscale image, white is the highest. The rows are
+     * flipped so the terrain reads the same as the image with the y-axis pointing up
+     * @static
+     * @param {HTMLImageElement | HTMLCanvasElement | ImageData | Texture} image - a loaded image,
+     * each pixel is a height
+     * @param {number} maxHeight - height of a white pixel
+     * @param {Object} options - options of the terrain
+     * @returns {Terrain} the terrain
+     * @see Terrain
+     */
+    static fromImage(image, maxHeight = 64, options = {}) {
+        const texture = image instanceof Texture ? image : new Texture(image);
+        const pixels = texture.getImageData();
+        if(!pixels)
+            throw Error("The image of a terrain must be loaded before it is read");
+        const { width, height, data } = pixels;
+        const heights = Array.from({ length: height }, (row, y) => Array.from({ length: width }, (v, x) => {
+            const i = ((height - 1 - y) * width + x) * 4;
+            return (data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114) / 255 * maxHeight;
+        }));
+        return new Terrain(heights, Object.assign({ maxHeight }, options));
+    }
+
+    /**
+     * Create a terrain from it's json representation
+     * @static
+     * @see Terrain#toJSON
+     * @param {Object} json - the terrain as returned by toJSON
+     * @returns {Terrain} the terrain
+     */
+    static fromJSON(json) {
+        const terrain = new Terrain(json.heights, {
+            cellSize: json.cellSize,
+            heightScale: json.heightScale,
+            smooth: json.smooth,
+            base: json.base,
+            // json has no infinity, the last band is written without it's limit
+            bands: json.bands.map(({ below, color }) => ({ below: below === null ? Infinity : below, color })),
+            maxHeight: json.maxHeight
+        });
+        terrain.showVertex = json.showVertex;
+        terrain.showWireFrame = json.showWireFrame;
+        terrain.fillShader = json.fillShader;
+        terrain.wireFrameColor = json.wireFrameColor === null ? undefined : json.wireFrameColor;
+        terrain.tint = json.tint;
+        terrain.setShading(json.shading);
+        return Node.fromJSON(json, terrain);
+    }
+
+    /**
+     * @constructor
+     * @param {Array.<Array.<number>>} heights - a row of heights for each y
+     * @param {Object} options - `cellSize` on the x and y axis, `heightScale` multiplying every
+     * height, `smooth` slopes, `base` the height the walls at the edges go down to, `bands`
+     * of colors each with the fraction of the `maxHeight` it's `below` and it's `color`.
+     * The max height is the highest height by default
+     * @throws {RangeError} when the heights are not a grid of at least one cell
+     */
+    constructor(heights, { cellSize = 32, heightScale = 1, smooth = false, base = 0, bands = TERRAIN_BANDS, maxHeight } = {}) {
+        super("");
+        const rows = heights.length;
+        const columns = rows ? heights[0].length : 0;
+        if(!columns || heights.some(row => row.length !== columns))
+            throw RangeError("The heights of a terrain must be rows of the same length");
+        if(smooth && (columns < 2 || rows < 2))
+            throw RangeError("A smooth terrain needs at least two rows of two heights");
+        this.columns = columns;
+        this.rows = rows;
+        this.heights = new Float32Array(columns * rows);
+        heights.forEach((row, y) => this.heights.set(row, y * columns));
+        this.cellSize = cellSize;
+        this.heightScale = heightScale;
+        this.smooth = smooth;
+        this.base = base;
+        this.bands = bands.map(band => ({ below: band.below, color: Color.from(band.color) }));
+        this.maxHeight = maxHeight || this.heights.reduce((max, h) => Math.max(max, h), 1);
+
+        // geometry of each cell of a blocky terrain, they are joined into the mesh
+        this.cells = [];
+        // vertices at the top of the edge walls of a smooth terrain and the height they follow
+        this.edgeTops = [];
+        this.generate();
+    }
+
+    /**
+     * @param {number} x - column
+     * @param {number} y - row
+     * @returns {number} the height, undefined outside the terrain
+     */
+    getHeight(x, y) {
+        if(x < 0 || y < 0 || x >= this.columns || y >= this.rows)
+            return undefined;
+        return this.heights[y * this.columns + x];
+    }
+
+    /**
+     * Change the heights of a rectangle and regenerate only that part of the terrain
+     * @param {number} x - first column
+     * @param {number} y - first row
+     * @param {Array.<Array.<number>>} heights - a row of heights for each y from the first row
+     */
+    setHeights(x, y, heights) {
+        let maxX = x;
+        heights.forEach((row, j) => row.forEach((h, i) => {
+            if(x + i < this.columns && y + j < this.rows && x + i >= 0 && y + j >= 0) {
+                this.heights[(y + j) * this.columns + x + i] = h;
+                maxX = Math.max(maxX, x + i);
+            }
+        }));
+        this.regenerate(x, y, maxX, y + heights.length - 1);
+    }
+
+    /**
+     * Change one height
+     * @param {number} x - column
+     * @param {number} y - row
+     * @param {number} height - the new height
+     */
+    setHeight(x, y, height) {
+        this.setHeights(x, y, [[height]]);
+    }
+
+    /**
+     * @private
+     * @param {number} height - a height of the terrain
+     * @returns {Object} the hsla color of the band of the height
+     */
+    bandColor(height) {
+        const level = height / this.maxHeight;
+        return (this.bands.find(band => level < band.below) || this.bands[this.bands.length - 1]).color;
+    }
+
+    /**
+     * Build the whole terrain
+     * @private
+     */
+    generate() {
+        if(this.smooth) {
+            this.generateSmooth();
+        } else {
+            this.cells = [];
+            this.regenerate(0, 0, this.columns - 1, this.rows - 1);
+        }
+    }
+
+    /**
+     * Rebuild the part of the terrain around a rectangle of heights that changed
+     * @param {number} x0 - first column
+     * @param {number} y0 - first row
+     * @param {number} x1 - last column
+     * @param {number} y1 - last row
+     */
+    regenerate(x0 = 0, y0 = 0, x1 = this.columns - 1, y1 = this.rows - 1) {
+        if(this.smooth) {
+            this.regenerateSmooth(x0, y0, x1, y1);
+            return;
+        }
+        // the walls of the neighbours depend on the changed heights
+        for(let y = Math.max(0, y0 - 1); y <= Math.min(this.rows - 1, y1 + 1); y++) {
+            for(let x = Math.max(0, x0 - 1); x <= Math.min(this.columns - 1, x1 + 1); x++)
+                this.cells[y * this.columns + x] = this.buildCell(x, y);
+        }
+        this.vertices = [];
+        this.faces = [];
+        this.faceColor = [];
+        this.cells.forEach(cell => {
+            const offset = this.vertices.length;
+            this.vertices.push(...cell.vertices);
+            cell.faces.forEach(face => this.faces.push(face.map(i => i + offset + 1)));
+            this.faceColor.push(...cell.colors);
+        });
+        this.triangles = [];
+        this.updateGeometry();
+    }
+
+    /**
+     * The top and walls of a cell of a blocky terrain
+     * @private
+     * @param {number} x - column
+     * @param {number} y - row
+     * @returns {Object} the `vertices`, `faces` indexing them from 0 and face `colors`
+     */
+    buildCell(x, y) {
+        const s = this.cellSize;
+        const height = this.getHeight(x, y);
+        const z = -height * this.heightScale;
+        const color = this.bandColor(height);
+        const cell = { vertices: [], faces: [], colors: [] };
+        const quad = corners => {
+            const i = cell.vertices.length;
+            cell.vertices.push(...corners);
+            cell.faces.push([i, i + 1, i + 2], [i, i + 2, i + 3]);
+            cell.colors.push(TERRAIN_FACE_COLOR(color, corners.slice(0, 3)), TERRAIN_FACE_COLOR(color, [corners[0], corners[2], corners[3]]));
+        };
+        const point = ([cx, cy]) => [(x + cx) * s, (y + cy) * s, z];
+        quad([[0, 0], [0, 1], [1, 1], [1, 0]].map(point));
+        TERRAIN_SIDES.forEach(({ dx, dy, corners }) => {
+            const neighbour = this.getHeight(x + dx, y + dy);
+            const below = neighbour === undefined ? this.base : neighbour;
+            if(below < height)
+                quad(TERRAIN_WALL(point(corners[0]), point(corners[1]), -below * this.heightScale, [dx, dy]));
+        });
+        return cell;
+    }
+
+    /**
+     * Build a smooth terrain, a vertex for each height joined by two triangles per cell
+     * and walls along the edges
+     * @private
+     */
+    generateSmooth() {
+        const { columns, rows } = this;
+        const s = this.cellSize;
+        this.vertices = [];
+        this.faces = [];
+        this.edgeTops = [];
+        for(let y = 0; y < rows; y++) {
+            for(let x = 0; x < columns; x++)
+                this.vertices.push([x * s, y * s, -this.getHeight(x, y) * this.heightScale]);
+        }
+        for(let y = 0; y < rows - 1; y++) {
+            for(let x = 0; x < columns - 1; x++) {
+                const a = y * columns + x + 1, b = a + columns, c = b + 1, d = a + 1;
+                this.faces.push([a, b, c], [a, c, d]);
+            }
+        }
+        // the edge walls have their own vertices so they don't bend the normals of the slopes
+        const bottom = -this.base * this.heightScale;
+        const edge = (points, outward) => {
+            for(let i = 0; i < points.length - 1; i++) {
+                const [p, q] = [points[i], points[i + 1]];
+                const corners = TERRAIN_WALL(this.vertices[p], this.vertices[q], bottom, outward);
+                const first = this.vertices.length;
+                corners.forEach(corner => {
+                    // a top corner remembers the vertex of the height it follows
+                    const follows = corner === this.vertices[p] ? p : corner === this.vertices[q] ? q : -1;
+                    if(follows >= 0)
+                        this.edgeTops.push([this.vertices.length, follows]);
+                    this.vertices.push(corner.slice());
+                });
+                this.faces.push([first + 1, first + 2, first + 3], [first + 1, first + 3, first + 4]);
+            }
+        };
+        const range = (n, f) => Array.from({ length: n }, (v, i) => f(i));
+        edge(range(columns, x => x), [0, -1]);
+        edge(range(columns, x => (rows - 1) * columns + x), [0, 1]);
+        edge(range(rows, y => y * columns), [-1, 0]);
+        edge(range(rows, y => y * columns + columns - 1), [1, 0]);
+        this.faceColor = [];
+        this.colorFaces(0, this.faces.length);
+        this.triangles = [];
+        this.updateGeometry();
+    }
+
+    /**
+     * Color the faces of a smooth terrain by the highest of their corners, so walls take
+     * the color of their top
+     * @private
+     * @param {number} start - first face
+     * @param {number} end - face after the last
+     */
+    colorFaces(start, end) {
+        for(let i = start; i < end; i++) {
+            const corners = this.faces[i].map(j => this.vertices[j - 1]);
+            const height = -Math.min(...corners.map(c => c[2])) / this.heightScale;
+            this.faceColor[i] = TERRAIN_FACE_COLOR(this.bandColor(height), corners);
+        }
+    }
+
+    /**
+     * Move the vertices of the changed heights of a smooth terrain and recolor the faces
+     * touching them
+     * @private
+     */
+    regenerateSmooth(x0, y0, x1, y1) {
+        const { columns, rows } = this;
+        x0 = Math.max(0, x0); y0 = Math.max(0, y0);
+        x1 = Math.min(columns - 1, x1); y1 = Math.min(rows - 1, y1);
+        for(let y = y0; y <= y1; y++) {
+            for(let x = x0; x <= x1; x++)
+                this.vertices[y * columns + x][2] = -this.getHeight(x, y) * this.heightScale;
+        }
+        this.edgeTops.forEach(([i, j]) => this.vertices[i][2] = this.vertices[j][2]);
+        // the two triangles of each cell are stored row by row
+        for(let y = Math.max(0, y0 - 1); y <= Math.min(rows - 2, y1); y++) {
+            const start = (y * (columns - 1) + Math.max(0, x0 - 1)) * 2;
+            this.colorFaces(start, (y * (columns - 1) + Math.min(columns - 2, x1)) * 2 + 2);
+        }
+        this.colorFaces((rows - 1) * (columns - 1) * 2, this.faces.length);
+        this.triangles = [];
+        this.updateGeometry();
+    }
+
+    /**
+     * The heights and options of the terrain and it's display settings for JSON.stringify.
+     * The geometry is generated again when it's read
+     * @returns {Object}
+     */
+    toJSON() {
+        return Object.assign(Node.prototype.toJSON.call(this), {
+            type: "Terrain",
+            heights: Array.from({ length: this.rows }, (row, y) =>
+                Array.from(this.heights.subarray(y * this.columns, (y + 1) * this.columns))),
+            cellSize: this.cellSize,
+            heightScale: this.heightScale,
+            smooth: this.smooth,
+            base: this.base,
+            bands: this.bands.map(({ below, color }) => ({ below: below === Infinity ? null : below, color: color.toString() })),
+            maxHeight: this.maxHeight,
+            showVertex: this.showVertex,
+            showWireFrame: this.showWireFrame,
+            fillShader: this.fillShader,
+            wireFrameColor: this.wireFrameColor === undefined ? null : this.wireFrameColor,
+            tint: this.tint ? this.tint.toString() : null,
+            shading: this.shading
+        });
+    }
+
+};
@@ -0,0 +1,84 @@
+/**
+ * An image that can be mapped on the triangles of a mesh. The source may be an
+ * image, a canvas or anything else that can be drawn on a canvas. An ImageData
+ * or an object with width, height and rgba data can be used without the DOM
+ * @class
+ */
+export class Texture {
+
+    /**
+     * @constructor
+     * @param {HTMLImageElement | HTMLCanvasElement | ImageData} source - the image
+     */
+    constructor(source) {
+        this.source = source;
+        this.imageData = null;
+        this.repeat = true;
+    }
+
+    get width() {
+        return this.source.width;
+    }
+
+    get height() {
+        return this.source.height;
+    }
+
+    /**
+     * check if the source has finished loading
+     * @returns {boolean}
+     */
+    get ready() {
+        const s = this.source;
+        if(!s || !s.width || !s.height)
+            return false;
+        return s.complete === undefined || s.complete;
+    }
+
+    /**
+     * Read back the pixels of the source. This is done once, call it again
+     * with `force` whenever a canvas source has been drawn on
+     * @param {boolean} force - read the pixels even if they have been read before
+     * @returns {ImageData} the pixels or null if the source is not ready
+     */
+    getImageData(force = false) {
+        if(this.imageData && !force)
+            return this.imageData;
+        if(!this.ready)
+            return null;
+        if(this.source.data) {
+            this.imageData = this.source;
+        } else {
+            const canvas = document.createElement("canvas");
+            canvas.width = this.width;
+            canvas.height = this.height;
+            const ctx = canvas.getContext("2d");
+            ctx.drawImage(this.source, 0, 0);
+            this.imageData = ctx.getImageData(0, 0, this.width, this.height);
+        }
+        return this.imageData;
+    }
+
+    /**
+     * Get the offset of the nearest pixel to a texture coordinate in the pixel data.
+     * v goes upwards as in the wavefront format
+     * @param {number} u - horizontal texture coordinate from 0 to 1
+     * @param {number} v - vertical texture coordinate from 0 to 1
+     * @returns {number} index of the red component of the pixel
+     */
+    texelIndex(u, v) {
+        const w = this.imageData.width;
+        const h = this.imageData.height;
+        let x = Math.floor(u * w);
+        let y = Math.floor((1 - v) * h);
+        if(this.repeat) {
+            x = ((x % w) + w) % w;
+            y = ((y % h) + h) % h;
+        } else {
+            x = Math.min(w - 1, Math.max(0, x));
+            y = Math.min(h - 1, Math.max(0, y));
+        }
+        return (y * w + x) * 4;
+    }
+
+};
@@ -0,0 +1,515 @@
+import { Vector3 } from "./vector.js";
+import { Material } from "./material.js";
+import { Group } from "./node.js";
+import { Mesh } from "./mesh.js";
+import { Primitives } from "./primitives.js";
+import { TileMap } from "./tilemap.js";
+
+
+/**
+ * Flags stored in the high bits of a global tile id
+ */
+const TILED_FLIPPED_HORIZONTALLY = 0x80000000;
+const TILED_FLIPPED_VERTICALLY = 0x40000000;
+const TILED_FLIPPED_DIAGONALLY = 0x20000000;
+const TILED_ID_MASK = 0x0fffffff;
+
+/**
+ * Quarter turns of a tile by it's flip flags. Turning clockwise in Tiled, where the
+ * y-axis points down, is turning clockwise on the screen which is a negative turn
+ * with the y-axis up. Flags that mirror the tile have no turn
+ */
+const TILED_QUARTER_TURNS = {
+    [(TILED_FLIPPED_DIAGONALLY | TILED_FLIPPED_HORIZONTALLY) >>> 0]: 3,
+    [(TILED_FLIPPED_HORIZONTALLY | TILED_FLIPPED_VERTICALLY) >>> 0]: 2,
+    [(TILED_FLIPPED_DIAGONALLY | TILED_FLIPPED_VERTICALLY) >>> 0]: 1
+};
+
+/**
+ * Parse xml into a tree of elements. Only what Tiled writes is supported, elements,
+ * attributes, text and comments
+ * @param {string} text - the xml
+ * @returns {Object} the root element with it's `name`, `attributes`, `children` and `text`
+ * @throws {SyntaxError} when the xml is malformed
+ */
+const TILED_PARSE_XML = text => {
+    const decode = value => value.replace(/&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-f]+);/gi, (entity, code) => {
+        const named = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" }[code.toLowerCase()];
+        if(named)
+            return named;
+        return String.fromCodePoint(code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1)));
+    });
+    const root = { name: "", attributes: {}, children: [], text: "" };
+    const stack = [root];
+    const tag = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+    let last = 0;
+    let match;
+    while((match = tag.exec(text))) {
+        const current = stack[stack.length - 1];
+        current.text += decode(text.slice(last, match.index));
+        last = tag.lastIndex;
+        const [, cdata, closing, name, attributes, selfClosing] = match;
+        if(cdata !== undefined)
+            current.text += cdata;
+        if(!name)
+            continue;
+        if(closing) {
+            if(current.name !== name)
+                throw SyntaxError(`Unexpected closing tag </${name}>`);
+            stack.pop();
+            continue;
+        }
+        const element = { name, attributes: {}, children: [], text: "" };
+        attributes.replace(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (all, key, double, single) => {
+            element.attributes[key] = decode(double !== undefined ? double : single);
+        });
+        current.children.push(element);
+        if(!selfClosing)
+            stack.push(element);
+    }
+    if(stack.length > 1)
+        throw SyntaxError(`Missing closing tag </${stack[stack.length - 1].name}>`);
+    return root.children[0];
+};
+
+/**
+ * Convert a property to it's javascript value
+ * @param {string} type - type of the property in Tiled
+ * @param {*} value - the value as written to the file
+ * @returns {*} the value
+ */
+const TILED_PROPERTY_VALUE = (type, value) => {
+    switch(type) {
+        case "int":
+        case "float":
+        case "object":
+            return Number(value);
+        case "bool":
+            return value === true || value === "true";
+        default:
+            return value;
+    }
+};
+
+/**
+ * Read the properties of a json element
+ * @param {Array.<Object>} properties - the properties of the element
+ * @returns {Object.<string, *>} the values of the properties mapped by their names
+ */
+const TILED_JSON_PROPERTIES = (properties = []) => {
+    const res = {};
+    properties.forEach(p => res[p.name] = TILED_PROPERTY_VALUE(p.type, p.value));
+    return res;
+};
+
+/**
+ * Read the properties of an xml element
+ * @param {Object} element - the element
+ * @returns {Object.<string, *>} the values of the properties mapped by their names
+ */
+const TILED_XML_PROPERTIES = element => {
+    const res = {};
+    const properties = element.children.find(child => child.name === "properties");
+    if(properties) {
+        properties.children.filter(child => child.name === "property").forEach(({ attributes: a, text }) => {
+            res[a.name] = TILED_PROPERTY_VALUE(a.type, a.value !== undefined ? a.value : text);
+        });
+    }
+    return res;
+};
+
+/**
+ * Decode the global tile ids of a layer stored as base64
+ * @param {string} text - the base64 data
+ * @param {string} compression - compression of the data
+ * @returns {Array.<number>} the global tile ids
+ * @throws {SyntaxError} when the data is compressed
+ */
+const TILED_DECODE_BASE64 = (text, compression) => {
+    if(compression)
+        throw SyntaxError(`Compressed layer data (${compression}) is not supported, save the map with uncompressed base64 or csv`);
+    const bytes = atob(text.trim());
+    const ids = [];
+    for(let i = 0; i + 3 < bytes.length; i += 4) {
+        ids.push((bytes.charCodeAt(i) | bytes.charCodeAt(i + 1) << 8
+            | bytes.charCodeAt(i + 2) << 16 | bytes.charCodeAt(i + 3) << 24) >>> 0);
+    }
+    return ids;
+};
+
+/**
+ * Read a tileset from json
+ * @param {Object} json - the tileset
+ * @param {number} firstgid - global id of the first tile
+ * @returns {Object} the tileset
+ */
+const TILED_JSON_TILESET = (json, firstgid) => {
+    const tiles = {};
+    (json.tiles || []).forEach(tile => {
+        tiles[tile.id] = { type: tile.class || tile.type || "", properties: TILED_JSON_PROPERTIES(tile.properties) };
+    });
+    return { firstgid, name: json.name || "", source: json.source || null, tiles };
+};
+
+/**
+ * Read a tileset from xml
+ * @param {Object} element - the tileset element
+ * @param {number} firstgid - global id of the first tile
+ * @returns {Object} the tileset
+ */
+const TILED_XML_TILESET = (element, firstgid) => {
+    const tiles = {};
+    element.children.filter(child => child.name === "tile").forEach(tile => {
+        tiles[tile.attributes.id] = {
+            type: tile.attributes.class || tile.attributes.type || "",
+            properties: TILED_XML_PROPERTIES(tile)
+        };
+    });
+    const a = element.attributes;
+    return { firstgid, name: a.name || "", source: a.source || null, tiles };
+};
+
+/**
+ * Read the objects of an object layer from json
+ * @param {Array.<Object>} objects - the objects
+ * @returns {Array.<Object>} the objects
+ */
+const TILED_JSON_OBJECTS = objects => objects.map(o => ({
+    id: o.id,
+    name: o.name || "",
+    type: o.class || o.type || "",
+    x: o.x,
+    y: o.y,
+    width: o.width || 0,
+    height: o.height || 0,
+    rotation: o.rotation || 0,
+    gid: o.gid || 0,
+    properties: TILED_JSON_PROPERTIES(o.properties)
+}));
+
+/**
+ * Read the layers of a json map or group layer, the layers of groups are
+ * flattened in their drawing order
+ * @param {Array.<Object>} layers - the layers
+ * @returns {Array.<Object>} the layers
+ */
+const TILED_JSON_LAYERS = layers => layers.reduce((res, layer) => {
+    const common = {
+        name: layer.name || "",
+        visible: layer.visible !== false,
+        properties: TILED_JSON_PROPERTIES(layer.properties)
+    };
+    switch(layer.type) {
+        case "tilelayer":
+            if(layer.chunks)
+                throw SyntaxError("Infinite maps are not supported");
+            res.push(Object.assign(common, {
+                type: "tilelayer",
+                width: layer.width,
+                height: layer.height,
+                data: typeof layer.data === "string" ? TILED_DECODE_BASE64(layer.data, layer.compression) : layer.data
+            }));
+            break;
+        case "objectgroup":
+            res.push(Object.assign(common, { type: "objectgroup", objects: TILED_JSON_OBJECTS(layer.objects || []) }));
+            break;
+        case "group":
+            // a hidden group hides it's layers
+            res.push(...TILED_JSON_LAYERS(layer.layers || [])
+                .map(child => Object.assign(child, { visible: child.visible && common.visible })));
+            break;
+        // image layers have no geometry
+        default:
+            break;
+    }
+    return res;
+}, []);
+
+/**
+ * Read the layers of a xml map or group layer, the layers of groups are
+ * flattened in their drawing order
+ * @param {Object} element - the map or group
+ * @returns {Array.<Object>} the layers
+ */
+const TILED_XML_LAYERS = element => element.children.reduce((res, child) => {
+    const a = child.attributes;
+    const common = {
+        name: a.name || "",
+        visible: a.visible !== "0",
+        properties: TILED_XML_PROPERTIES(child)
+    };
+    switch(child.name) {
+        case "layer": {
+            const data = child.children.find(c => c.name === "data");
+            if(!data || data.children.some(c => c.name === "chunk"))
+                throw SyntaxError("Infinite maps are not supported");
+            let ids;
+            if(data.attributes.encoding === "csv")
+                ids = data.text.split(",").map(id => parseInt(id) >>> 0);
+            else if(data.attributes.encoding === "base64")
+                ids = TILED_DECODE_BASE64(data.text, data.attributes.compression);
+            else
+                ids = data.children.filter(c => c.name === "tile").map(c => parseInt(c.attributes.gid || 0) >>> 0);
+            res.push(Object.assign(common, { type: "tilelayer", width: +a.width, height: +a.height, data: ids }));
+            break;
+        }
+        case "objectgroup":
+            res.push(Object.assign(common, {
+                type: "objectgroup",
+                objects: child.children.filter(c => c.name === "object").map(o => ({
+                    id: +o.attributes.id,
+                    name: o.attributes.name || "",
+                    type: o.attributes.class || o.attributes.type || "",
+                    x: +o.attributes.x || 0,
+                    y: +o.attributes.y || 0,
+                    width: +o.attributes.width || 0,
+                    height: +o.attributes.height || 0,
+                    rotation: +o.attributes.rotation || 0,
+                    gid: parseInt(o.attributes.gid || 0) >>> 0,
+                    properties: TILED_XML_PROPERTIES(o)
+                }))
+            }));
+            break;
+        case "group":
+            res.push(...TILED_XML_LAYERS(child)
+                .map(layer => Object.assign(layer, { visible: layer.visible && common.visible })));
+            break;
+        default:
+            break;
+    }
+    return res;
+}, []);
+
+
+/**
+ * An importer for maps of the Tiled map editor, as described on
+ * { @link https://doc.mapeditor.org/en/stable/reference/tmx-map-format/ }. Json (`.tmj`)
+ * and xml (`.tmx`) maps with orthogonal or isometric orientation are read into a plain
+ * map object which is built into tile maps. Layer data may be csv, xml or uncompressed
+ * base64, infinite maps are not supported.
+ * @class
+ */
+export class Tiled {
+
+    /**
+     * Parse a map in either format
+     * @static
+     * @param {string | Object} data - the xml or json of the map, or the parsed json
+     * @returns {Object} the map
+     * @see Tiled.parseJSON
+     */
+    static parse(data) {
+        if(typeof data === "string" && data.trim().startsWith("<"))
+            return Tiled.parseTMX(data);
+        return Tiled.parseJSON(data);
+    }
+
+    /**
+     * Parse a json map
+     * @static
+     * @param {string | Object} data - the json of the map or the parsed json
+     * @returns {Object} the `orientation`, size in `width` and `height` cells, `tileWidth`
+     * and `tileHeight` in pixels, `properties`, `tilesets` and `layers` of the map. Each
+     * tileset has it's `firstgid`, the `source` of an external tileset and it's `tiles`
+     * mapping local ids to the `type` and `properties` of a tile. Each layer has it's `type`,
+     * `name`, `visible` flag and `properties`, a "tilelayer" has the global tile id of every
+     * cell as `data` and an "objectgroup" has it's `objects`
+     * @throws {SyntaxError} when the map can't be read
+     */
+    static parseJSON(data) {
+        const json = typeof data === "string" ? JSON.parse(data) : data;
+        if(!json || json.type !== "map" && !Array.isArray(json.layers))
+            throw SyntaxError("The data is not a Tiled map");
+        return {
+            orientation: json.orientation || "orthogonal",
+            width: json.width,
+            height: json.height,
+            tileWidth: json.tilewidth,
+            tileHeight: json.tileheight,
+            properties: TILED_JSON_PROPERTIES(json.properties),
+            tilesets: (json.tilesets || []).map(tileset => TILED_JSON_TILESET(tileset, tileset.firstgid)),
+            layers: TILED_JSON_LAYERS(json.layers)
+        };
+    }
+
+    /**
+     * Parse a xml map
+     * @static
+     * @param {string} data - the xml of the map
+     * @returns {Object} the map
+     * @see Tiled.parseJSON
+     * @throws {SyntaxError} when the map can't be read
+     */
+    static parseTMX(data) {
+        const root = TILED_PARSE_XML(data);
+        if(!root || root.name !== "map")
+            throw SyntaxError("The data is not a Tiled map");
+        const a = root.attributes;
+        if(a.infinite === "1")
+            throw SyntaxError("Infinite maps are not supported");
+        return {
+            orientation: a.orientation || "orthogonal",
+            width: +a.width,
+            height: +a.height,
+            tileWidth: +a.tilewidth,
+            tileHeight: +a.tileheight,
+            properties: TILED_XML_PROPERTIES(root),
+            tilesets: root.children.filter(child => child.name === "tileset")
+                .map(tileset => TILED_XML_TILESET(tileset, +tileset.attributes.firstgid)),
+            layers: TILED_XML_LAYERS(root)
+        };
+    }
+
+    /**
+     * Fetch and parse a map. External tilesets are loaded as well
+     * @static
+     * @param {string} url - location of the `.tmj`, `.json` or `.tmx` file
+     * @returns {Promise.<Object>} the map
+     * @see Tiled.parseJSON
+     */
+    static async load(url) {
+        const fetchText = async file => {
+            const response = await fetch(file);
+            if(!response.ok)
+                throw Error(`Could not load ${file}: ${response.status}`);
+            return response.text();
+        };
+        const map = Tiled.parse(await fetchText(url));
+        const base = new URL(url, typeof location === "object" ? location.href : undefined);
+        await Promise.all(map.tilesets.filter(tileset => tileset.source).map(async tileset => {
+            const text = await fetchText(new URL(tileset.source, base).href);
+            const external = text.trim().startsWith("<")
+                ? TILED_XML_TILESET(TILED_PARSE_XML(text), tileset.firstgid)
+                : TILED_JSON_TILESET(JSON.parse(text), tileset.firstgid);
+            tileset.name = external.name;
+            tileset.tiles = external.tiles;
+        }));
+        return map;
+    }
+
+    /**
+     * Build the geometry of a map. Every visible tile layer becomes a layer of one tile map,
+     * stacked in drawing order, and every object layer becomes a group of named placeholder
+     * boxes at the height of the layers below it. Each placeholder keeps it's object as
+     * `tiledObject`. A tile is a flat plane unless it's custom properties say otherwise,
+     * `height` in pixels extrudes it into a box and `mesh` picks one of the given meshes or a
+     * shape of { @link Primitives }. The `color` property colors it and `solid` false lets
+     * movement pass through it. The same properties on an object set the height and color
+     * of it's placeholder, and `elevation` on a layer raises it's cells. Tiles turned by
+     * quarter turns in Tiled are turned the same way, flipped tiles are not mirrored. The
+     * rows are flipped so the map reads the same with the y-axis pointing up, isometric maps
+     * are laid out on a square grid and the camera is turned to look at them as Tiled shows them
+     * @static
+     * @param {Object} map - the parsed map
+     * @param {Scene} scene - scene the map is added to, may be omitted
+     * @param {Object} options - the `meshes` named by the `mesh` property, the `layerHeight`
+     * in pixels which is the tile height by default and `camera` false to keep the camera
+     * of an isometric map's scene as it is
+     * @returns {Group} the group holding the tile map and the object layers
+     * @throws {RangeError} when the orientation is not supported or a mesh is unknown
+     */
+    static build(map, scene = null, { meshes = {}, layerHeight = map.tileHeight, camera = true } = {}) {
+        const isometric = map.orientation === "isometric";
+        if(!isometric && map.orientation !== "orthogonal")
+            throw RangeError(`Maps with ${map.orientation} orientation are not supported`);
+
+        // an isometric diamond is a square cell turned by 45 degrees
+        const cell = isometric ? map.tileWidth / Math.SQRT2 : null;
+        const tileSize = new Vector3(cell || map.tileWidth, cell || map.tileHeight, layerHeight);
+        // isometric object positions are measured along the axes in tile heights
+        const scaleX = tileSize.x / (isometric ? map.tileHeight : map.tileWidth);
+        const scaleY = tileSize.y / map.tileHeight;
+
+        const color = value => {
+            if(typeof value !== "string" || !/^#([0-9a-f]{6}|[0-9a-f]{8})$/i.test(value))
+                return null;
+            const hex = value.slice(1);
+            const argb = hex.length === 8 ? hex : "ff" + hex;
+            const channel = i => parseInt(argb.slice(i, i + 2), 16) / 255;
+            const material = new Material();
+            material.setDiffuse(channel(2), channel(4), channel(6));
+            material.opacity = channel(0);
+            return material.color;
+        };
+        const shape = (properties, size, fallback) => {
+            const name = properties.mesh;
+            if(name && meshes[name] instanceof Mesh)
+                return meshes[name];
+            if(name && typeof Primitives[name] !== "function")
+                throw RangeError(`Unknown tile mesh "${name}"`);
+            return Primitives[name || (size.z > 0 ? "box" : "plane")](size, undefined, color(properties.color) || fallback);
+        };
+        const tile = gid => {
+            let tileset = null;
+            map.tilesets.forEach(t => {
+                if(t.firstgid <= gid && (!tileset || t.firstgid > tileset.firstgid))
+                    tileset = t;
+            });
+            return tileset && tileset.tiles[gid - tileset.firstgid] || { type: "", properties: {} };
+        };
+
+        const group = new Group(map.properties.name || "");
+        const tileLayers = map.layers.filter(layer => layer.type === "tilelayer" && layer.visible);
+        const tileMap = new TileMap(map.width, map.height, Math.max(1, tileLayers.length), tileSize);
+        group.add(tileMap);
+
+        let stack = 0;
+        map.layers.filter(layer => layer.visible).forEach(layer => {
+            if(layer.type === "tilelayer") {
+                const elevation = Number(layer.properties.elevation) || 0;
+                layer.data.forEach((raw, i) => {
+                    const gid = raw & TILED_ID_MASK;
+                    if(!gid)
+                        return;
+                    if(gid > 65535)
+                        throw RangeError(`Tile ${gid} is above the 65535 tiles a tile map can hold`);
+                    if(!tileMap.tiles[gid]) {
+                        const properties = tile(gid).properties;
+                        const height = Number(properties.height) || 0;
+                        const size = new Vector3(tileSize.x, tileSize.y, height || (properties.mesh ? layerHeight : 0));
+                        tileMap.defineTile(gid, shape(properties, size, { h: gid * 47 % 360, s: 40, l: 60, a: 1 }),
+                            { solid: properties.solid !== false });
+                    }
+                    const flags = (raw & ~TILED_ID_MASK) >>> 0;
+                    const rotation = TILED_QUARTER_TURNS[flags] || 0;
+                    const x = i % layer.width;
+                    const y = map.height - 1 - Math.floor(i / layer.width);
+                    if(tileMap.contains(x, y, stack))
+                        tileMap.set(x, y, stack, gid, { rotation, elevation });
+                });
+                stack++;
+                return;
+            }
+
+            const objects = group.add(new Group(layer.name));
+            objects.setPosition(0, 0, -stack * layerHeight);
+            layer.objects.forEach(object => {
+                const properties = Object.assign({}, object.gid ? tile(object.gid & TILED_ID_MASK).properties : {}, object.properties);
+                const width = (object.width || map.tileWidth / 4) * scaleX;
+                const depth = (object.height || map.tileHeight / 4) * scaleY;
+                const height = Number(properties.height) || layerHeight / 2;
+                const placeholder = shape(Object.assign({}, properties, { mesh: properties.mesh || "box" }),
+                    new Vector3(width, depth, height), { h: 0, s: 0, l: 70, a: 0.5 });
+                // a given mesh may be placed many times so each placeholder gets a copy
+                const mesh = placeholder === meshes[properties.mesh] ? placeholder.clone() : placeholder;
+                // objects hang down from their top left corner, tile objects stand on their bottom left
+                mesh.vertices.forEach(v => v[1] -= depth);
+                mesh.updateGeometry();
+                mesh.name = object.name || object.type;
+                mesh.tiledObject = object;
+                const top = object.gid ? object.y - object.height : object.y;
+                mesh.setPosition(object.x * scaleX, (map.height * map.tileHeight - top) * scaleY, 0);
+                mesh.setRotation(0, 0, -object.rotation * Math.PI / 180);
+                objects.add(mesh);
+            });
+        });
+
+        if(scene) {
+            scene.add(group);
+            if(isometric && camera)
+                scene.setRotation(Math.PI / 3, 0, -Math.PI / 4);
+        }
+        return group;
+    }
+
+};
@@ -0,0 +1,374 @@
+import { Mat4x4 } from "./matrices.js";
+import { Vector3 } from "./vector.js";
+import { Mesh } from "./mesh.js";
+import { Node } from "./node.js";
+
+
+/**
+ * Cosine and sine of each quarter turn, exact unlike Math.cos and Math.sin
+ */
+const QUARTER_TURNS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+/**
+ * A 3d grid of tiles. Each cell holds the id of a tile type, the mesh of a
+ * tile type is shared by every cell using it so the map can be large without
+ * creating a mesh per cell. Cells are laid out on the x and y axis with layers
+ * stacked towards the viewer, a tile mesh is modelled with it's footprint
+ * spanning from 0 to the tile size on the x and y axis. Id 0 is an empty cell.
+ * @class
+ * @augments Node
+ */
+export class TileMap extends Node {
+
+    /**
+     * Create a tile map from it's json representation
+     * @static
+     * @see TileMap#toJSON
+     * @param {Object} json - the tile map as returned by toJSON
+     * @returns {TileMap} the tile map
+     */
+    static fromJSON(json) {
+        const map = new TileMap(json.columns, json.rows, json.layers, new Vector3(...json.tileSize));
+        map.ids.set(json.ids);
+        map.rotations.set(json.rotations);
+        map.variants.set(json.variants);
+        map.elevations.set(json.elevations);
+        for(const id in json.tiles)
+            map.defineTile(Number(id), json.tiles[id].map(mesh => Mesh.fromJSON(mesh)),
+                { solid: !json.solid || json.solid.indexOf(Number(id)) >= 0 });
+        return Node.fromJSON(json, map);
+    }
+
+    /**
+     * constructs an empty tile map
+     * @constructor
+     * @param {number} columns - number of cells on the x-axis
+     * @param {number} rows - number of cells on the y-axis
+     * @param {number} layers - number of height layers
+     * @param {Vector3} tileSize - size of a cell, z is the height of a layer
+     */
+    constructor(columns, rows, layers = 1, tileSize = new Vector3(32, 32, 32)) {
+        super();
+        this.columns = columns;
+        this.rows = rows;
+        this.layers = layers;
+        this.tileSize = tileSize;
+
+        const count = columns * rows * layers;
+        this.ids = new Uint16Array(count);
+        this.rotations = new Uint8Array(count);
+        this.variants = new Uint8Array(count);
+        this.elevations = new Float32Array(count);
+
+        this.tiles = {};
+
+        // reused for every cell drawn or hit tested
+        this.cellWorldMatrix = Mat4x4.create();
+    }
+
+    /**
+     * Define the meshes of a tile type
+     * @param {number} id - id of the tile type from 1 to 65535
+     * @param {Mesh | Array.<Mesh>} meshes - the mesh of the tile or a mesh for each variant
+     * @param {Object} options - `solid` tiles block movement resolved by { @link Collision.move }
+     */
+    defineTile(id, meshes, { solid = true } = {}) {
+        if(!(id > 0 && id < 65536))
+            throw RangeError("A tile id must be between 1 and 65535");
+        meshes = Array.isArray(meshes) ? meshes : [meshes];
+        if(!meshes.length || meshes.some(m => !(m instanceof Mesh)))
+            throw TypeError("A tile must be defined by one or more instances of `Mesh`");
+        this.tiles[id] = { meshes, solid };
+    }
+
+    /**
+     * check if a cell is on the map
+     * @param {number} x - column of the cell
+     * @param {number} y - row of the cell
+     * @param {number} layer - height layer of the cell
+     * @returns {boolean}
+     */
+    contains(x, y, layer = 0) {
+        return x >= 0 && y >= 0 && layer >= 0
+            && x < this.columns && y < this.rows && layer < this.layers;
+    }
+
+    /**
+     * @private
+     * @returns {number} index of a cell in the cell arrays
+     */
+    indexOf(x, y, layer) {
+        return (layer * this.rows + y) * this.columns + x;
+    }
+
+    /**
+     * Set the tile of a cell
+     * @param {number} x - column of the cell
+     * @param {number} y - row of the cell
+     * @param {number} layer - height layer of the cell
+     * @param {number} id - id of the tile type, 0 empties the cell
+     * @param {Object} options - the `rotation` in quarter turns, `variant` and `elevation`
+     * offset of the cell
+     */
+    set(x, y, layer, id, { rotation = 0, variant = 0, elevation = 0 } = {}) {
+        if(!this.contains(x, y, layer))
+            throw RangeError(`Cell ${x}, ${y}, ${layer} is outside the tile map`);
+        const i = this.indexOf(x, y, layer);
+        this.ids[i] = id;
+        this.rotations[i] = ((rotation % 4) + 4) % 4;
+        this.variants[i] = variant;
+        this.elevations[i] = elevation;
+    }
+
+    /**
+     * Get the tile of a cell
+     * @param {number} x - column of the cell
+     * @param {number} y - row of the cell
+     * @param {number} layer - height layer of the cell
+     * @returns {Object} the `id`, `rotation`, `variant` and `elevation` of the cell
+     * or null if the cell is outside the map
+     */
+    get(x, y, layer = 0) {
+        if(!this.contains(x, y, layer))
+            return null;
+        const i = this.indexOf(x, y, layer);
+        return {
+            id: this.ids[i],
+            rotation: this.rotations[i],
+            variant: this.variants[i],
+            elevation: this.elevations[i]
+        };
+    }
+
+    /**
+     * Set the tile of every cell in a rectangle of a layer
+     * @param {number} x0 - first column
+     * @param {number} y0 - first row
+     * @param {number} x1 - last column
+     * @param {number} y1 - last row
+     * @param {number} layer - height layer
+     * @param {number} id - id of the tile type
+     * @param {Object} options - options of each cell
+     * @see TileMap#set
+     */
+    fill(x0, y0, x1, y1, layer, id, options) {
+        const [minX, maxX] = [Math.max(0, Math.min(x0, x1)), Math.min(this.columns - 1, Math.max(x0, x1))];
+        const [minY, maxY] = [Math.max(0, Math.min(y0, y1)), Math.min(this.rows - 1, Math.max(y0, y1))];
+        for(let y = minY; y <= maxY; y++)
+            for(let x = minX; x <= maxX; x++)
+                this.set(x, y, layer, id, options);
+    }
+
+    /**
+     * Replace the tile of a cell and of every connected cell in the same layer
+     * having the same tile
+     * @param {number} x - column of the starting cell
+     * @param {number} y - row of the starting cell
+     * @param {number} layer - height layer
+     * @param {number} id - id of the new tile type
+     * @param {Object} options - options of each cell
+     * @returns {number} number of cells replaced
+     * @see TileMap#set
+     */
+    flood(x, y, layer, id, options) {
+        const start = this.get(x, y, layer);
+        if(!start || start.id === id)
+            return 0;
+        let count = 0;
+        const stack = [[x, y]];
+        while(stack.length) {
+            const [cx, cy] = stack.pop();
+            if(!this.contains(cx, cy, layer) || this.ids[this.indexOf(cx, cy, layer)] !== start.id)
+                continue;
+            this.set(cx, cy, layer, id, options);
+            count++;
+            stack.push([cx + 1, cy], [cx - 1, cy], [cx, cy + 1], [cx, cy - 1]);
+        }
+        return count;
+    }
+
+    /**
+     * Convert a cell to a world point
+     * @param {number} x - column of the cell
+     * @param {number} y - row of the cell
+     * @param {number} layer - height layer of the cell
+     * @returns {Vector3} the world point at the corner of the cell where it's tile mesh is placed
+     */
+    gridToWorld(x, y, layer = 0) {
+        return this.localToWorld(this.gridToLocal(x, y, layer));
+    }
+
+    /**
+     * @private
+     * @returns {Vector3} corner of a cell relative to the map
+     */
+    gridToLocal(x, y, layer) {
+        return new Vector3(x * this.tileSize.x, y * this.tileSize.y, -layer * this.tileSize.z);
+    }
+
+    /**
+     * Convert a world point to the cell containing it
+     * @param {Vector3} point - the world point
+     * @returns {Object} the `x`, `y` and `layer` of the cell or null if the point is outside the map
+     */
+    worldToGrid(point) {
+        const local = this.worldToLocal(point);
+        const x = Math.floor(local.x / this.tileSize.x);
+        const y = Math.floor(local.y / this.tileSize.y);
+        const layer = Math.floor(-local.z / this.tileSize.z);
+        return this.contains(x, y, layer) ? { x, y, layer } : null;
+    }
+
+    /**
+     * The map, it's cells and the meshes of every tile type for JSON.stringify
+     * @returns {Object}
+     */
+    toJSON() {
+        const tiles = {};
+        for(const id in this.tiles)
+            tiles[id] = this.tiles[id].meshes.map(mesh => mesh.toJSON());
+        return Object.assign(super.toJSON(), {
+            type: "TileMap",
+            columns: this.columns,
+            rows: this.rows,
+            layers: this.layers,
+            tileSize: [this.tileSize.x, this.tileSize.y, this.tileSize.z],
+            ids: Array.from(this.ids),
+            rotations: Array.from(this.rotations),
+            variants: Array.from(this.variants),
+            elevations: Array.from(this.elevations),
+            tiles,
+            solid: Object.keys(this.tiles).map(Number).filter(id => this.tiles[id].solid)
+        });
+    }
+
+    /**
+     * The matrix moving the tile mesh of a cell into the space of the map. The mesh is
+     * moved by it's own position, rotation and scale, turned about the center of the
+     * footprint then moved to the cell
+     * @private
+     * @param {number} i - index of the cell
+     * @param {Mesh} mesh - the tile mesh
+     * @param {Float32Array} out - matrix receiving the model matrix
+     * @returns {Float32Array} the model matrix
+     */
+    cellMatrix(i, mesh, out = Mat4x4.create()) {
+        const size = this.tileSize;
+        const x = i % this.columns;
+        const y = Math.floor(i / this.columns) % this.rows;
+        const layer = Math.floor(i / (this.columns * this.rows));
+        const [cos, sin] = QUARTER_TURNS[this.rotations[i]];
+        // the center of the footprint is moved to the origin, turned and moved to the center of the cell
+        const cx = -size.x * 0.5;
+        const cy = -size.y * 0.5;
+
+        out.fill(0);
+        out[0] = cos;
+        out[1] = -sin;
+        out[3] = cos * cx - sin * cy + (x + 0.5) * size.x;
+        out[4] = sin;
+        out[5] = cos;
+        out[7] = sin * cx + cos * cy + (y + 0.5) * size.y;
+        out[10] = 1;
+        out[11] = -layer * size.z - this.elevations[i];
+        out[15] = 1;
+        return Mat4x4.multiplyMatrix(out, mesh.localMatrix, out);
+    }
+
+    /**
+     * @private
+     * @param {number} i - index of the cell
+     * @returns {Mesh} the mesh drawn in a cell, undefined for empty cells
+     */
+    meshOf(i) {
+        const tile = this.tiles[this.ids[i]];
+        return tile && tile.meshes[this.variants[i] % tile.meshes.length];
+    }
+
+    /**
+     * Find the bounding boxes of the solid tiles near a world box
+     * @param {AABB} box - the world box
+     * @param {Float32Array} mWorld - the world matrix of the map
+     * @returns {Array.<Object>} the world bounding `box` of the tile mesh and the `cell`
+     * of each solid tile touching the box
+     */
+    solidBoxes(box, mWorld = this.worldMatrix) {
+        const inverse = Mat4x4.inverse(mWorld);
+        if(!inverse)
+            return [];
+        const local = box.transform(inverse);
+        const size = this.tileSize;
+        const x0 = Math.max(0, Math.floor(local.min.x / size.x)), x1 = Math.min(this.columns - 1, Math.floor(local.max.x / size.x));
+        const y0 = Math.max(0, Math.floor(local.min.y / size.y)), y1 = Math.min(this.rows - 1, Math.floor(local.max.y / size.y));
+        const found = [];
+        const mCell = this.cellWorldMatrix;
+        // tiles may be taller than a layer or be raised so every layer is searched
+        for(let layer = 0; layer < this.layers; layer++) {
+            for(let y = y0; y <= y1; y++) {
+                for(let x = x0; x <= x1; x++) {
+                    const i = this.indexOf(x, y, layer);
+                    const mesh = this.meshOf(i);
+                    if(!mesh || !this.tiles[this.ids[i]].solid)
+                        continue;
+                    this.cellMatrix(i, mesh, mCell);
+                    const tileBox = mesh.boundingBox.transform(Mat4x4.multiplyMatrix(mWorld, mCell, mCell));
+                    const touches = tileBox.min.components.every(axis =>
+                        tileBox.min[axis] <= box.max[axis] && tileBox.max[axis] >= box.min[axis]);
+                    if(touches)
+                        found.push({ box: tileBox, cell: { x, y, layer } });
+                }
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Find the nearest front facing triangle of a tile hit by a ray
+     * @param {Vector3} origin - start of the ray in world space
+     * @param {Vector3} direction - unit direction of the ray in world space
+     * @param {Float32Array} mWorld - the world matrix of the map
+     * @param {number} maxDistance - farthest distance along the ray
+     * @returns {Object} the `mesh`, `triangle` index, `distance` along the ray, world space
+     * `point` and the `cell` hit, or null if nothing was hit
+     * @see Mesh#raycast
+     */
+    raycast(origin, direction, mWorld = this.worldMatrix, maxDistance = Infinity) {
+        let nearest = null;
+        for(let i = 0; i < this.ids.length; i++) {
+            const mesh = this.meshOf(i);
+            if(!mesh)
+                continue;
+            const mCell = this.cellMatrix(i, mesh, this.cellWorldMatrix);
+            const hit = mesh.raycast(origin, direction, Mat4x4.multiplyMatrix(mWorld, mCell, mCell),
+                nearest ? nearest.distance : maxDistance);
+            if(hit) {
+                nearest = hit;
+                nearest.mesh = mesh;
+                nearest.cell = {
+                    x: i % this.columns,
+                    y: Math.floor(i / this.columns) % this.rows,
+                    layer: Math.floor(i / (this.columns * this.rows))
+                };
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Draw every cell with the shared mesh of it's tile
+     * @private
+     * @param {Scene} scene - The scene
+     * @param {Float32Array} mWorld - the world matrix of the map
+     */
+    process(scene, mWorld = this.worldMatrix) {
+        const mCell = this.cellWorldMatrix;
+        for(let i = 0; i < this.ids.length; i++) {
+            const mesh = this.meshOf(i);
+            if(!mesh)
+                continue;
+            this.cellMatrix(i, mesh, mCell);
+            mesh.draw(scene, Mat4x4.multiplyMatrix(mWorld, mCell, mCell));
+        }
+    }
+
+};
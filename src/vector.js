@@ -47,55 +47,81 @@ export class Vector {
         return this.type === "2d" ? new Vector2() : new Vector3();
     }
 
+    /**
+     * Set the components of a vector
+     * @param {number} x - value for the x-component
+     * @param {number} y - value for the y-component
+     * @param {number} z - value for the z-component, ignored by a 2d vector
+     * @returns {Vector} this vector
+     */
+    set(x, y, z) {
+        this.x = x || 0;
+        this.y = y || 0;
+        if(this.type !== "2d")
+            this.z = z || 0;
+        return this;
+    }
+
+    /**
+     * Copy the components of another vector into this vector
+     * @param {Vector} vec - the vector copied from
+     * @returns {Vector} this vector
+     */
+    copy(vec) {
+        for(let i of this.components)
+            this[i] = vec[i];
+        return this;
+    }
+
     /**
      * Carry out addition operation on two vectors. The returned function has
      * the same type as the vector that calls this function
      * @param {Vector} vec - Vector to be added
+     * @param {Vector} out - vector receiving the result, pass this vector to add in place
      * @returns {Vector} a new vector indicating the addition of other two vectors
      */
-    add(vec) {
-        let res = this.createVector();
+    add(vec, out = this.createVector()) {
         for(let i of this.components)
-            res[i] = this[i] + vec[i];
-        return res;
+            out[i] = this[i] + vec[i];
+        return out;
     }
 
     /**
      * Carry out minus operation on two vectors. The returned function has
      * the same type as the vector that calls this function
      * @param {Vector} vec - Vector to be subtracted
+     * @param {Vector} out - vector receiving the result, pass this vector to subtract in place
      * @returns {Vector} a new vector indicating the subtraction of other two vectors
      */
-    sub(vec) {
-        let res = this.createVector();
+    sub(vec, out = this.createVector()) {
         for(let i of this.components)
-            res[i] = this[i] - vec[i];
-        return res;
+            out[i] = this[i] - vec[i];
+        return out;
     }
 
     /**
      * Increase or decrease the magnitude of a vector
      * @param {number} s - Amount that scales the vector
+     * @param {Vector} out - vector receiving the result, pass this vector to scale in place
      * @returns {Vector} a scaled vector 
      */
-    scale(s) {
-        let res = this.createVector();
+    scale(s, out = this.createVector()) {
         for(let i of this.components)
-            res[i] = this[i] * s;
-        return res;
+            out[i] = this[i] * s;
+        return out;
     }
 
     /**
      * Multiply a vector by a vector. There's no real mathematical
      * formula for this but it could be intuitive in our game design
      * @param {Vector} v - A vector to be multiplied by
+     * @param {Vector} out - vector receiving the result, pass this vector to multiply in place
      * @returns {Vector} a product of two vectors
      */
-    mult(v) {
-        let res = this.createVector();
+    mult(v, out = this.createVector()) {
         for(let i of this.components)
-            res[i] = this[i] * v[i];
-        return res;
+            out[i] = this[i] * v[i];
+        return out;
     }
     
     /**
@@ -112,9 +138,10 @@ export class Vector {
 
     /**Converts a vector to a unit vector */
     normalise() {
-        if(this.magnitude != 0) {
+        const magnitude = this.magnitude;
+        if(magnitude != 0) {
             for(let i of this.components)
-                this[i] /= this.magnitude;
+                this[i] /= magnitude;
         }
     }
 
@@ -220,14 +247,17 @@ export class Vector3 extends Vector {
      * Calculate the cross product of two vectors. This method is good
      * in 3d graphics to get the face normal of a polygon
      * @param {Vector3} vec - A vector object
+     * @param {Vector3} out - vector receiving the result, it may be either vector
      * @returns {Vector3} a vector orthogonal to both other vectors/
      */
-    cross(vec) {
-        let res = this.createVector();
-        res.x = this.y * vec.z - this.z * vec.y;
-        res.y = this.z * vec.x - this.z * vec.z;
-        res.z = this.x * vec.y - this.y * vec.x;
-        return res;
+    cross(vec, out = this.createVector()) {
+        const x = this.y * vec.z - this.z * vec.y;
+        const y = this.z * vec.x - this.x * vec.z;
+        const z = this.x * vec.y - this.y * vec.x;
+        out.x = x;
+        out.y = y;
+        out.z = z;
+        return out;
     }
 
 };
\ No newline at end of file
@@ -0,0 +1,471 @@
+import { Mesh } from "./mesh.js";
+import { Node, Group } from "./node.js";
+import { Color } from "./color.js";
+
+
+/**
+ * The lightness of a face by the direction it faces, tops are lightest and bottoms
+ * darkest like the shapes of { @link Primitives }
+ * @param {Array.<number>} normal - unit normal of the face in mesh space
+ * @returns {number} the scale of the lightness
+ */
+const VOXEL_SHADE = normal => 0.75 - 0.25 * normal[2] - 0.1 * Math.abs(normal[0]);
+
+/**
+ * Run length encode the voxels of a chunk for json, most of a chunk is long runs of
+ * empty or solid voxels
+ * @param {Uint8Array} voxels - the color id of every voxel
+ * @returns {Array.<number>} the length of each run followed by it's color id
+ */
+const VOXEL_ENCODE = voxels => {
+    const runs = [];
+    for(let i = 0; i < voxels.length;) {
+        let j = i + 1;
+        while(j < voxels.length && voxels[j] === voxels[i])
+            j++;
+        runs.push(j - i, voxels[i]);
+        i = j;
+    }
+    return runs;
+};
+
+/**
+ * @param {Array.<number>} runs - voxels encoded by { @link VOXEL_ENCODE }
+ * @param {Uint8Array} voxels - the voxels written
+ * @throws {RangeError} when the runs don't fill the voxels
+ */
+const VOXEL_DECODE = (runs, voxels) => {
+    let i = 0;
+    for(let r = 0; r < runs.length; r += 2) {
+        if(i + runs[r] > voxels.length)
+            break;
+        voxels.fill(runs[r + 1], i, i += runs[r]);
+    }
+    if(i !== voxels.length)
+        throw RangeError("The voxels don't match the size of the chunk");
+};
+
+
+/**
+ * A block of voxels drawn as a single mesh. Each voxel holds a color id, 0 is empty, and
+ * the mesh only has the faces of voxels next to an empty voxel. Neighbouring faces of the
+ * same color lying in the same plane are merged into rectangles. Voxels are laid out like
+ * the cells of a tile map, x and y on the ground and z counting layers up towards -z.
+ * Edits mark the chunk to be rebuilt, which happens the next time it's drawn or it's
+ * geometry is used, so a batch of edits is only meshed once
+ * @class
+ * @augments Mesh
+ * @see VoxelWorld
+ */
+export class VoxelChunk extends Mesh {
+
+    /**
+     * Create a chunk from it's json representation
+     * @static
+     * @see VoxelChunk#toJSON
+     * @param {Object} json - the chunk as returned by toJSON
+     * @returns {VoxelChunk} the chunk
+     */
+    static fromJSON(json) {
+        const chunk = new VoxelChunk(...json.size, { voxelSize: json.voxelSize, palette: json.palette });
+        VOXEL_DECODE(json.voxels, chunk.voxels);
+        chunk.needsRebuild = true;
+        chunk.showVertex = json.showVertex;
+        chunk.showWireFrame = json.showWireFrame;
+        chunk.fillShader = json.fillShader;
+        chunk.wireFrameColor = json.wireFrameColor === null ? undefined : json.wireFrameColor;
+        chunk.tint = json.tint;
+        chunk.setShading(json.shading);
+        return Node.fromJSON(json, chunk);
+    }
+
+    /**
+     * @constructor
+     * @param {number} width - voxels along the x-axis
+     * @param {number} length - voxels along the y-axis
+     * @param {number} height - voxels along the z-axis
+     * @param {Object} options - `voxelSize` the length of a voxel's side and the `palette`
+     * mapping color ids to colors, as anything { @link Color.from } takes. Ids missing
+     * from the palette get a color of their own
+     */
+    constructor(width = 16, length = 16, height = 16, { voxelSize = 8, palette = {} } = {}) {
+        super("");
+        if(!(width > 0 && length > 0 && height > 0))
+            throw RangeError("A voxel chunk must have at least one voxel along each axis");
+        this.size = [width, length, height];
+        this.voxelSize = voxelSize;
+        this.palette = palette;
+        this.voxels = new Uint8Array(width * length * height);
+        this.showWireFrame = false;
+
+        // set by a voxel world so faces against the voxels of neighbouring chunks are hidden
+        this.world = null;
+        this.origin = [0, 0, 0];
+        this.needsRebuild = false;
+    }
+
+    /**
+     * @param {number} x - voxel on the x-axis
+     * @param {number} y - voxel on the y-axis
+     * @param {number} z - voxel on the z-axis
+     * @returns {boolean} true if the voxel is inside the chunk
+     */
+    contains(x, y, z) {
+        const [w, l, h] = this.size;
+        return x >= 0 && y >= 0 && z >= 0 && x < w && y < l && z < h;
+    }
+
+    /**
+     * @param {number} x - voxel on the x-axis
+     * @param {number} y - voxel on the y-axis
+     * @param {number} z - voxel on the z-axis
+     * @returns {number} the color id of a voxel, 0 outside the chunk
+     */
+    get(x, y, z) {
+        if(!this.contains(x, y, z))
+            return 0;
+        const [w, l] = this.size;
+        return this.voxels[(z * l + y) * w + x];
+    }
+
+    /**
+     * Set the color id of a voxel, the chunk is rebuilt when it's next drawn or it's
+     * geometry is next used
+     * @param {number} x - voxel on the x-axis
+     * @param {number} y - voxel on the y-axis
+     * @param {number} z - voxel on the z-axis
+     * @param {number} id - color id from 1 to 255, 0 empties the voxel
+     * @throws {RangeError} when the voxel is outside the chunk
+     */
+    set(x, y, z, id) {
+        if(!this.contains(x, y, z))
+            throw RangeError(`Voxel ${x}, ${y}, ${z} is outside the chunk`);
+        if(!(id >= 0 && id < 256))
+            throw RangeError("A voxel color id must be between 0 and 255");
+        const [w, l] = this.size;
+        this.voxels[(z * l + y) * w + x] = id;
+        this.needsRebuild = true;
+    }
+
+    /**
+     * Set the color id of every voxel in a box
+     * @param {Array.<number>} from - first corner of the box as x, y and z
+     * @param {Array.<number>} to - last corner of the box
+     * @param {number} id - color id, 0 empties the voxels
+     */
+    fill(from, to, id) {
+        const lo = from.map((c, i) => Math.max(0, Math.min(c, to[i])));
+        const hi = from.map((c, i) => Math.min(this.size[i] - 1, Math.max(c, to[i])));
+        for(let z = lo[2]; z <= hi[2]; z++)
+            for(let y = lo[1]; y <= hi[1]; y++)
+                for(let x = lo[0]; x <= hi[0]; x++)
+                    this.set(x, y, z, id);
+    }
+
+    /**
+     * @private
+     * @returns {number} the color id of a voxel, voxels outside the chunk are read from the world
+     */
+    neighbour(x, y, z) {
+        if(this.contains(x, y, z) || !this.world)
+            return this.get(x, y, z);
+        return this.world.get(this.origin[0] + x, this.origin[1] + y, this.origin[2] + z);
+    }
+
+    /**
+     * @private
+     * @param {number} id - a color id
+     * @returns {Array.<number>} the color of the id
+     */
+    colorOf(id) {
+        const color = this.palette[id];
+        if(!color)
+            return [id * 47 % 360, 40, 60, 1];
+        const { h, s, l, a } = Color.from(color);
+        return [h, s, l, a];
+    }
+
+    /**
+     * Build the mesh of the visible faces. For each direction every slice of voxels is
+     * scanned for faces next to an empty voxel, which are merged into the largest
+     * rectangles of one color, first along the rows then across them
+     */
+    rebuild() {
+        const s = this.voxelSize;
+        const vertices = [], faces = [], colors = [];
+        // voxel coordinates to mesh space, the layers go up towards -z
+        const point = p => [p[0] * s, p[1] * s, -p[2] * s];
+        for(let d = 0; d < 3; d++) {
+            const u = (d + 1) % 3, v = (d + 2) % 3;
+            const du = this.size[u], dv = this.size[v];
+            const mask = new Uint8Array(du * dv);
+            for(const sign of [-1, 1]) {
+                const normal = [0, 0, 0];
+                normal[d] = d === 2 ? -sign : sign;
+                for(let slice = 0; slice < this.size[d]; slice++) {
+                    const p = [0, 0, 0], q = [0, 0, 0];
+                    for(let j = 0; j < dv; j++) {
+                        for(let i = 0; i < du; i++) {
+                            p[d] = slice; p[u] = i; p[v] = j;
+                            q[d] = slice + sign; q[u] = i; q[v] = j;
+                            const id = this.get(p[0], p[1], p[2]);
+                            mask[j * du + i] = id && !this.neighbour(q[0], q[1], q[2]) ? id : 0;
+                        }
+                    }
+                    for(let j = 0; j < dv; j++) {
+                        for(let i = 0; i < du;) {
+                            const id = mask[j * du + i];
+                            if(!id) {
+                                i++;
+                                continue;
+                            }
+                            let w = 1, h = 1;
+                            while(i + w < du && mask[j * du + i + w] === id)
+                                w++;
+                            grow: for(; j + h < dv; h++) {
+                                for(let k = 0; k < w; k++) {
+                                    if(mask[(j + h) * du + i + k] !== id)
+                                        break grow;
+                                }
+                            }
+                            for(let y = 0; y < h; y++)
+                                mask.fill(0, (j + y) * du + i, (j + y) * du + i + w);
+
+                            const corner = [0, 0, 0];
+                            corner[d] = slice + (sign > 0 ? 1 : 0); corner[u] = i; corner[v] = j;
+                            const along = (a, b) => corner.map((c, k) => c + (k === u ? a : 0) + (k === v ? b : 0));
+                            let quad = [corner, along(w, 0), along(w, h), along(0, h)].map(point);
+                            // turn the quad to face away from the voxel
+                            const e1 = quad[1].map((c, k) => c - quad[0][k]), e2 = quad[3].map((c, k) => c - quad[0][k]);
+                            const cross = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+                            if(cross[0] * normal[0] + cross[1] * normal[1] + cross[2] * normal[2] < 0)
+                                quad = quad.reverse();
+                            const first = vertices.length + 1;
+                            vertices.push(...quad);
+                            faces.push([first, first + 1, first + 2], [first, first + 2, first + 3]);
+                            const color = this.colorOf(id);
+                            color[2] = +(color[2] * VOXEL_SHADE(normal)).toFixed(2);
+                            colors.push(color, color);
+                            i += w;
+                        }
+                    }
+                }
+            }
+        }
+        this.vertices = vertices;
+        this.faces = faces;
+        this.faceColor = colors;
+        this.triangles = [];
+        this.updateGeometry();
+        this.needsRebuild = false;
+    }
+
+    /**
+     * Rebuild the mesh if voxels changed since it was built. Everything reading the
+     * triangles or bounds of the chunk calls it first
+     */
+    ensureGeometry() {
+        if(this.needsRebuild)
+            this.rebuild();
+    }
+
+    get worldBoundingBox() {
+        this.ensureGeometry();
+        return super.worldBoundingBox;
+    }
+
+    get worldOrientedBox() {
+        this.ensureGeometry();
+        return super.worldOrientedBox;
+    }
+
+    get worldBoundingSphere() {
+        this.ensureGeometry();
+        return super.worldBoundingSphere;
+    }
+
+    intersects(other, volume = "box") {
+        this.ensureGeometry();
+        return super.intersects(other, volume);
+    }
+
+    raycast(origin, direction, mModel = this.worldMatrix, maxDistance = Infinity) {
+        this.ensureGeometry();
+        return super.raycast(origin, direction, mModel, maxDistance);
+    }
+
+    toOBJ(materialLibraries = this.materialLibraries) {
+        this.ensureGeometry();
+        return super.toOBJ(materialLibraries);
+    }
+
+    /**
+     * @private
+     * @param {Scene} scene - The scene
+     * @param {Float32Array} mModel - matrix moving the chunk into world space
+     */
+    draw(scene, mModel) {
+        this.ensureGeometry();
+        super.draw(scene, mModel);
+    }
+
+    /**
+     * The chunk is written as it's voxels and palette, not as the triangles made from them
+     * @returns {Object} the json representation of the chunk
+     */
+    toJSON() {
+        return Object.assign(Node.prototype.toJSON.call(this), {
+            type: "VoxelChunk",
+            size: this.size.slice(),
+            voxelSize: this.voxelSize,
+            palette: this.palette,
+            voxels: VOXEL_ENCODE(this.voxels),
+            showVertex: this.showVertex,
+            showWireFrame: this.showWireFrame,
+            fillShader: this.fillShader,
+            wireFrameColor: this.wireFrameColor === undefined ? null : this.wireFrameColor,
+            tint: this.tint ? this.tint.toString() : null,
+            shading: this.shading
+        });
+    }
+
+};
+
+
+/**
+ * Voxels split into chunks so an edit only rebuilds the chunk holding the voxel, and the
+ * chunk next to it when the voxel is on its border. Chunks are created as voxels are
+ * set in them, at any voxel coordinate including negative ones
+ * @class
+ * @augments Group
+ * @see VoxelChunk
+ */
+export class VoxelWorld extends Group {
+
+    /**
+     * Create a voxel world from it's json representation
+     * @static
+     * @see VoxelWorld#toJSON
+     * @param {Object} json - the world as returned by toJSON
+     * @returns {VoxelWorld} the world
+     */
+    static fromJSON(json) {
+        const world = new VoxelWorld(json.chunkSize, { voxelSize: json.voxelSize, palette: json.palette });
+        json.chunks.forEach(({ chunk, voxels }) => {
+            const created = world.createChunk(...chunk);
+            VOXEL_DECODE(voxels, created.voxels);
+            created.needsRebuild = true;
+        });
+        return Node.fromJSON(json, world);
+    }
+
+    /**
+     * @constructor
+     * @param {number} chunkSize - voxels along each side of a chunk
+     * @param {Object} options - `voxelSize` and `palette` shared by every chunk
+     */
+    constructor(chunkSize = 16, { voxelSize = 8, palette = {} } = {}) {
+        super();
+        this.chunkSize = chunkSize;
+        this.voxelSize = voxelSize;
+        this.palette = palette;
+        this.chunks = new Map();
+    }
+
+    /**
+     * @private
+     * @returns {Array.<number>} the chunk holding a voxel and the voxel's place in it
+     */
+    locate(x, y, z) {
+        const n = this.chunkSize;
+        const chunk = [Math.floor(x / n), Math.floor(y / n), Math.floor(z / n)];
+        return [chunk, [x - chunk[0] * n, y - chunk[1] * n, z - chunk[2] * n]];
+    }
+
+    /**
+     * @param {number} cx - chunk on the x-axis
+     * @param {number} cy - chunk on the y-axis
+     * @param {number} cz - chunk on the z-axis
+     * @returns {VoxelChunk} the chunk, undefined if no voxel was set in it
+     */
+    getChunk(cx, cy, cz) {
+        return this.chunks.get(`${cx},${cy},${cz}`);
+    }
+
+    /**
+     * @private
+     * @returns {VoxelChunk} a new empty chunk added to the world
+     */
+    createChunk(cx, cy, cz) {
+        const n = this.chunkSize;
+        const chunk = new VoxelChunk(n, n, n, { voxelSize: this.voxelSize, palette: this.palette });
+        chunk.world = this;
+        chunk.origin = [cx * n, cy * n, cz * n];
+        chunk.setPosition(cx * n * this.voxelSize, cy * n * this.voxelSize, -cz * n * this.voxelSize);
+        this.chunks.set(`${cx},${cy},${cz}`, chunk);
+        this.add(chunk);
+        return chunk;
+    }
+
+    /**
+     * @param {number} x - voxel on the x-axis
+     * @param {number} y - voxel on the y-axis
+     * @param {number} z - voxel on the z-axis
+     * @returns {number} the color id of a voxel
+     */
+    get(x, y, z) {
+        const [[cx, cy, cz], [lx, ly, lz]] = this.locate(x, y, z);
+        const chunk = this.getChunk(cx, cy, cz);
+        return chunk ? chunk.get(lx, ly, lz) : 0;
+    }
+
+    /**
+     * Set the color id of a voxel. The chunk holding it is rebuilt when it's next drawn or
+     * it's geometry is next used, as are the chunks sharing a face with the voxel
+     * @param {number} x - voxel on the x-axis
+     * @param {number} y - voxel on the y-axis
+     * @param {number} z - voxel on the z-axis
+     * @param {number} id - color id from 1 to 255, 0 empties the voxel
+     */
+    set(x, y, z, id) {
+        const [[cx, cy, cz], local] = this.locate(x, y, z);
+        let chunk = this.getChunk(cx, cy, cz);
+        if(!chunk) {
+            if(!id)
+                return;
+            chunk = this.createChunk(cx, cy, cz);
+        }
+        chunk.set(...local, id);
+        // a voxel on the border may hide or show a face of the neighbouring chunk
+        local.forEach((c, axis) => {
+            const step = c === 0 ? -1 : c === this.chunkSize - 1 ? 1 : 0;
+            if(!step)
+                return;
+            const key = [cx, cy, cz];
+            key[axis] += step;
+            const neighbour = this.getChunk(...key);
+            if(neighbour)
+                neighbour.needsRebuild = true;
+        });
+    }
+
+    /**
+     * The chunks are written as their voxels, the other children as nodes
+     * @returns {Object} the json representation of the world
+     */
+    toJSON() {
+        const json = Object.assign(super.toJSON(), {
+            type: "VoxelWorld",
+            chunkSize: this.chunkSize,
+            voxelSize: this.voxelSize,
+            palette: this.palette,
+            chunks: Array.from(this.chunks.values(), chunk => ({
+                chunk: chunk.origin.map(c => c / this.chunkSize),
+                voxels: VOXEL_ENCODE(chunk.voxels)
+            }))
+        });
+        json.children = json.children.filter((child, i) => this.children[i].world !== this);
+        return json;
+    }
+
+};
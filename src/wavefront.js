@@ -0,0 +1,238 @@
+/**
+ * Normal of a polygon using Newell's method, works for concave polygons
+ * @param {Array.<Array.<number>>} points - the polygon
+ * @returns {Array.<number>} the unnormalised normal [x, y, z]
+ */
+const POLYGON_NORMAL = points => {
+    let n = [0, 0, 0];
+    points.forEach((a, i) => {
+        const b = points[(i + 1) % points.length];
+        n[0] += (a[1] - b[1]) * (a[2] + b[2]);
+        n[1] += (a[2] - b[2]) * (a[0] + b[0]);
+        n[2] += (a[0] - b[0]) * (a[1] + b[1]);
+    });
+    return n;
+};
+
+/**
+ * Split a polygon into triangles by ear clipping. The polygon is flattened on
+ * the plane it mostly faces. Falls back to a triangle fan if no ear can be found
+ * @param {Array.<Array.<number>>} points - position of each corner
+ * @returns {Array.<Array.<number>>} triangles as indices into points
+ */
+const TRIANGULATE_POLYGON = points => {
+    if(points.length === 3)
+        return [[0, 1, 2]];
+
+    // drop the axis the polygon faces the most
+    const n = POLYGON_NORMAL(points).map(Math.abs);
+    const drop = n[0] > n[1] && n[0] > n[2] ? 0 : n[1] > n[2] ? 1 : 2;
+    const [ax, ay] = [0, 1, 2].filter(i => i !== drop);
+    const flat = points.map(p => [p[ax], p[ay]]);
+
+    let area = 0;
+    flat.forEach((a, i) => {
+        const b = flat[(i + 1) % flat.length];
+        area += a[0] * b[1] - b[0] * a[1];
+    });
+    const orientation = Math.sign(area) || 1;
+    const cross = (a, b, c) => ((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0])) * orientation;
+    const inside = (p, a, b, c) => cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0;
+
+    const remaining = points.map((p, i) => i);
+    const triangles = [];
+    let guard = remaining.length * remaining.length;
+    while(remaining.length > 3 && guard-- > 0) {
+        let clipped = false;
+        for(let i = 0; i < remaining.length; i++) {
+            const prev = remaining[(i + remaining.length - 1) % remaining.length];
+            const curr = remaining[i];
+            const next = remaining[(i + 1) % remaining.length];
+            if(cross(flat[prev], flat[curr], flat[next]) <= 0)
+                continue;
+            const blocked = remaining.some(j => j !== prev && j !== curr && j !== next
+                && inside(flat[j], flat[prev], flat[curr], flat[next]));
+            if(blocked)
+                continue;
+            triangles.push([prev, curr, next]);
+            remaining.splice(i, 1);
+            clipped = true;
+            break;
+        }
+        if(!clipped)
+            break;
+    }
+    if(remaining.length === 3)
+        triangles.push(remaining.slice());
+    else
+        for(let i = 1; i < remaining.length - 1; i++)
+            triangles.push([remaining[0], remaining[i], remaining[i + 1]]);
+    return triangles;
+};
+
+
+/**
+ * A parser for the Wavefront obj format as described on
+ * { @link http://paulbourke.net/dataformats/obj/ }. Polygons are triangulated,
+ * texture coordinates, normals, groups, objects, smoothing groups and materials
+ * are kept. The engine's own `c h s l [a]` lines, coloring the nth face with the
+ * nth color, are also supported. A `c` line without a color leaves it's face to the
+ * color of it's material.
+ * @class
+ */
+export class WaveFront {
+
+    /**
+     * Parse obj data
+     * @static
+     * @param {string} data - obj file format representing mesh data
+     * @returns {Object} the vertices, textureCoords, normals, vertexColors and colors as arrays
+     * of numbers, the triangulated faces, the groups and objects mapping names to face indices
+     * and the material libraries. Each face has it's `vertices`, `uvs` and `normals` as zero based
+     * indices, `uvs` and `normals` are null when missing. It also has it's `group` names, `object`,
+     * `smoothing` group, `material`, `color`, the index of the `polygon` it was split from and the
+     * `line` it was declared on.
+     * @throws {SyntaxError} when a line is malformed or a face refers to a missing element
+     */
+    static parse(data) {
+        const res = {
+            vertices: [],
+            textureCoords: [],
+            normals: [],
+            vertexColors: [],
+            colors: [],
+            faces: [],
+            groups: {},
+            objects: {},
+            materialLibraries: []
+        };
+
+        let group = ["default"];
+        let object = null;
+        let smoothing = 0;
+        let material = null;
+        let polygon = 0;
+
+        const numbers = (values, min, max, line, name) => {
+            if(values.length < min || values.length > max)
+                throw SyntaxError(`Line ${line}: ${name} expects between ${min} and ${max} numbers`);
+            const n = values.map(parseFloat);
+            if(n.some(isNaN))
+                throw SyntaxError(`Line ${line}: ${name} has an invalid number`);
+            return n;
+        };
+
+        const index = (value, count, line, name) => {
+            const i = parseInt(value);
+            if(isNaN(i) || i === 0)
+                throw SyntaxError(`Line ${line}: invalid ${name} index "${value}"`);
+            const resolved = i < 0 ? count + i : i - 1;
+            if(resolved < 0 || resolved >= count)
+                throw SyntaxError(`Line ${line}: ${name} index ${i} is out of range`);
+            return resolved;
+        };
+
+        // lines ending with a backslash continue on the next line
+        const lines = [];
+        let pending = null;
+        data.split(/\r?\n/).forEach((text, i) => {
+            if(pending)
+                pending.text += " " + text;
+            else
+                pending = { text, line: i + 1 };
+            if(pending.text.endsWith("\\"))
+                pending.text = pending.text.slice(0, -1);
+            else {
+                lines.push(pending);
+                pending = null;
+            }
+        });
+        if(pending)
+            lines.push(pending);
+
+        lines.forEach(({ text, line }) => {
+            const comment = text.indexOf("#");
+            const values = (comment < 0 ? text : text.slice(0, comment)).trim().split(/\s+/);
+            const keyword = values.shift();
+
+            switch(keyword) {
+                case "":
+                    break;
+                case "v": {
+                    const n = numbers(values, 3, 7, line, "vertex");
+                    res.vertices.push(n.slice(0, 3));
+                    // x y z r g b is a common extension for vertex colors
+                    res.vertexColors.push(n.length >= 6 ? n.slice(3, 6) : null);
+                    break;
+                }
+                case "vt":
+                    res.textureCoords.push(numbers(values, 1, 3, line, "texture coordinate").concat(0).slice(0, 2));
+                    break;
+                case "vn":
+                    res.normals.push(numbers(values, 3, 3, line, "normal"));
+                    break;
+                case "c":
+                    res.colors.push(values.length ? numbers(values, 3, 4, line, "color") : undefined);
+                    break;
+                case "f": {
+                    if(values.length < 3)
+                        throw SyntaxError(`Line ${line}: a face needs at least 3 vertices`);
+                    const corners = values.map(value => {
+                        const [v, vt, vn] = value.split("/");
+                        return {
+                            v: index(v, res.vertices.length, line, "vertex"),
+                            vt: vt ? index(vt, res.textureCoords.length, line, "texture coordinate") : null,
+                            vn: vn ? index(vn, res.normals.length, line, "normal") : null
+                        };
+                    });
+                    const hasUV = corners.every(c => c.vt !== null);
+                    const hasNormal = corners.every(c => c.vn !== null);
+                    TRIANGULATE_POLYGON(corners.map(c => res.vertices[c.v])).forEach(tri => {
+                        const face = res.faces.length;
+                        res.faces.push({
+                            vertices: tri.map(j => corners[j].v),
+                            uvs: hasUV ? tri.map(j => corners[j].vt) : null,
+                            normals: hasNormal ? tri.map(j => corners[j].vn) : null,
+                            group,
+                            object,
+                            smoothing,
+                            material,
+                            polygon,
+                            color: undefined,
+                            line
+                        });
+                        group.forEach(name => (res.groups[name] = res.groups[name] || []).push(face));
+                        if(object !== null)
+                            (res.objects[object] = res.objects[object] || []).push(face);
+                    });
+                    polygon++;
+                    break;
+                }
+                case "g":
+                    group = values.length ? values : ["default"];
+                    break;
+                case "o":
+                    object = values.join(" ");
+                    break;
+                case "s":
+                    smoothing = values[0] === "off" ? 0 : parseInt(values[0]) || 0;
+                    break;
+                case "usemtl":
+                    material = values.join(" ");
+                    break;
+                case "mtllib":
+                    res.materialLibraries.push(...values);
+                    break;
+                // points, lines, curves and surfaces are not supported
+                default:
+                    break;
+            }
+        });
+
+        // the nth color belongs to the nth polygon
+        res.faces.forEach(face => face.color = res.colors[face.polygon]);
+
+        return res;
+    }
+
+};
@@ -0,0 +1,250 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import "./dom.js";
+import { Easing, Track, Animation } from "../src/animation.js";
+import { Clock, GameLoop } from "../src/loop.js";
+import { Material } from "../src/material.js";
+import { Scene } from "../src/scene.js";
+import { Mesh } from "../src/mesh.js";
+import { Node } from "../src/node.js";
+import { Color } from "../src/color.js";
+
+
+const close = (actual, expected) =>
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+
+describe("Easing", () => {
+
+    it("starts at 0 and ends at 1", () => {
+        for(const name of Object.keys(Easing)) {
+            close(Easing[name](0), 0);
+            close(Easing[name](1), 1);
+        }
+        close(Easing.easeInOut(0.5), 0.5);
+        close(Easing.easeInOutSine(0.5), 0.5);
+        assert.equal(Easing.step(0.99), 0);
+        // back overshoots below the start
+        assert.ok(Easing.easeInBack(0.2) < 0);
+    });
+
+});
+
+
+describe("Track", () => {
+
+    it("blends between sorted keyframes and holds the ends", () => {
+        const track = new Track("position", [
+            { time: 2, value: [10, 20, 0] },
+            { time: 0, value: { x: 0, y: 0, z: 0 } },
+            { time: 4, value: [10, 20, 40] }
+        ]);
+        assert.equal(track.duration, 4);
+        assert.deepEqual(track.sample(-1), [0, 0, 0]);
+        assert.deepEqual(track.sample(1), [5, 10, 0]);
+        assert.deepEqual(track.sample(3), [10, 20, 20]);
+        assert.deepEqual(track.sample(9), [10, 20, 40]);
+    });
+
+    it("eases with the function of the keyframe it leaves", () => {
+        const track = new Track("scale", [
+            { time: 0, value: [0, 0, 0], easing: "easeIn" },
+            { time: 1, value: [1, 1, 1] },
+            { time: 2, value: [3, 3, 3] }
+        ], t => 1 - t);
+        assert.deepEqual(track.sample(0.5), [0.25, 0.25, 0.25]);
+        // the default easing is given as a function and runs backwards
+        assert.deepEqual(track.sample(1.25), [2.5, 2.5, 2.5]);
+    });
+
+    it("rejects unknown properties, easings and empty keyframes", () => {
+        assert.throws(() => new Track("opacity", [{ time: 0, value: [1] }]), RangeError);
+        assert.throws(() => new Track("position", [{ time: 0, value: [0, 0, 0] }], "wobble"), /Unknown easing function "wobble"/);
+        assert.throws(() => new Track("position", []), TypeError);
+        assert.throws(() => new Animation([{}]), TypeError);
+    });
+
+});
+
+
+describe("Animation", () => {
+
+    const slide = (options) => new Animation([
+        new Track("position", [{ time: 0, value: [0, 0, 0] }, { time: 1, value: [100, 0, 0] }])
+    ], options);
+
+    it("stops at the last keyframe and calls onComplete once", () => {
+        const node = new Node();
+        let completed = 0;
+        const animation = slide({ onComplete: () => completed++ });
+        animation.update(node, 0.25);
+        assert.equal(node.position.x, 25);
+        animation.update(node, 2);
+        animation.update(node, 2);
+        assert.equal(node.position.x, 100);
+        assert.equal(completed, 1);
+        assert.equal(animation.finished, true);
+    });
+
+    it("wraps a loop and reports every loop", () => {
+        const node = new Node();
+        let loops = 0;
+        const animation = slide({ loop: true, speed: 2, onLoop: () => loops++ });
+        animation.update(node, 1.3);
+        close(node.position.x, 60);
+        assert.equal(loops, 2);
+        assert.equal(animation.finished, false);
+    });
+
+    it("plays back to the start when ping-ponging", () => {
+        const node = new Node();
+        let completed = false;
+        const animation = slide({ pingPong: true, onComplete: () => completed = true });
+        animation.update(node, 1.25);
+        assert.equal(node.position.x, 75);
+        assert.equal(animation.direction, -1);
+        animation.update(node, 1);
+        assert.equal(node.position.x, 0);
+        assert.equal(completed, true);
+    });
+
+    it("doesn't advance while paused and restarts when played after finishing", () => {
+        const node = new Node();
+        const animation = slide();
+        animation.pause();
+        animation.update(node, 0.5);
+        assert.equal(animation.time, 0);
+        animation.play();
+        animation.update(node, 5);
+        node.play(animation);
+        assert.deepEqual([animation.time, animation.finished, animation.playing], [0, false, true]);
+    });
+
+});
+
+
+describe("Node animations", () => {
+
+    it("are stepped by the scene and removed when finished", () => {
+        const scene = new Scene(300, 150);
+        const parent = scene.add(new Node());
+        const child = parent.add(new Node());
+        let steps = 0;
+        child.update = () => steps++;
+        const animation = child.animate({
+            rotation: [{ time: 0, value: [0, 0, 0] }, { time: 0.5, value: [0, 0, 4] }]
+        }, { easing: "easeOut" });
+        assert.deepEqual(child.animations, [animation]);
+
+        scene.update(0.25);
+        close(child.rotation.z, 3);
+        scene.update(0.5);
+        assert.equal(child.rotation.z, 4);
+        assert.deepEqual(child.animations, []);
+        assert.equal(steps, 2);
+        assert.throws(() => child.play({}), TypeError);
+    });
+
+    it("gives faces colored by a material their own color", () => {
+        const faces = "mtllib a.mtl\nv 0 0 0\nv 10 0 0\nv 0 10 0\nusemtl paint\nf 3 2 1";
+        const { paint } = Material.parseLibrary("newmtl paint\nKd 0 0 1");
+        const animated = new Mesh(faces), still = new Mesh(faces);
+        animated.setMaterials({ paint });
+        still.setMaterials({ paint });
+
+        const animation = new Animation([new Track("color", [{ time: 0, value: [0, 100, 50, 1] }])]);
+        animation.update(animated, 0);
+        assert.deepEqual(animated.triangles[0].color, new Color(0, 100, 50, 1));
+        assert.deepEqual(paint.color, new Color(240, 100, 50, 1));
+        assert.equal(still.triangles[0].color, paint.color);
+    });
+
+});
+
+
+describe("Game loop", () => {
+
+    let now = 0;
+    const performance = globalThis.performance;
+    Object.defineProperty(globalThis, "performance", { value: { now: () => now }, configurable: true, writable: true });
+    after(() => globalThis.performance = performance);
+
+    it("measures scaled time and shortens long frames", () => {
+        const clock = new Clock(0.1);
+        clock.start();
+        now += 50;
+        close(clock.tick(), 0.05);
+        now += 5000;
+        close(clock.tick(), 0.1);
+        clock.timeScale = 0.5;
+        now += 20;
+        close(clock.tick(), 0.01);
+        close(clock.elapsed, 0.16);
+
+        clock.stop();
+        now += 20;
+        assert.equal(clock.tick(), 0);
+    });
+
+    it("runs fixed steps to catch up and renders once per frame", () => {
+        const updates = [];
+        let renders = 0;
+        const loop = new GameLoop(dt => updates.push(dt), () => renders++, 0.1);
+        loop.tick(0.25);
+        assert.deepEqual(updates, [0.1, 0.1]);
+        loop.tick(0.06);
+        assert.equal(updates.length, 3);
+        // a very slow frame runs at most maxSteps steps
+        loop.tick(10);
+        assert.equal(updates.length, 3 + loop.maxSteps);
+        assert.ok(loop.accumulator <= loop.fixedStep);
+
+        loop.pause();
+        loop.tick(1);
+        assert.equal(updates.length, 3 + loop.maxSteps);
+        assert.equal(renders, 4);
+
+        loop.fixedStep = 0;
+        loop.resume();
+        loop.tick(0.016);
+        assert.equal(updates[updates.length - 1], 0.016);
+    });
+
+    it("updates the scene with the time since the last render", () => {
+        const scene = new Scene(300, 150);
+        const node = scene.add(new Node());
+        node.animate({ position: [{ time: 0, value: [0, 0, 0] }, { time: 1, value: [0, 60, 0] }] });
+        scene.render();
+        assert.equal(node.position.y, 0);
+        now += 100;
+        scene.render();
+        close(node.position.y, 6);
+
+        scene.start(0.05);
+        assert.equal(scene.running, true);
+        scene.pause();
+        assert.equal(scene.running, false);
+        scene.stop();
+        assert.equal(scene.loop.running, false);
+    });
+
+    it("clears the canvas before drawing each frame", () => {
+        const scene = new Scene(300, 150);
+        const mesh = scene.add(new Mesh("v 0 0 0\nv 10 0 0\nv 0 10 0\nf 3 2 1"));
+        const ctx = scene.renderer.ctx;
+        for(const fast of [false, true]) {
+            scene.fastMode = fast;
+            mesh.setPosition(fast ? 200 : 20, 20, 0);
+            ctx.calls.length = 0;
+            scene.draw();
+            scene.draw();
+            const names = ctx.calls.map(([name]) => name);
+            const second = names.lastIndexOf("clearRect");
+            // every frame starts by clearing the whole canvas, the old triangle isn't left behind
+            assert.equal(names.filter(name => name === "clearRect").length, 2);
+            assert.deepEqual(ctx.calls[second][1], [0, 0, 300, 150]);
+            assert.ok(names.indexOf(fast ? "fill" : "drawImage", second) > second);
+        }
+    });
+
+});
@@ -0,0 +1,239 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import "./dom.js";
+import { Mat4x4 } from "../src/matrices.js";
+import { Vector2, Vector3 } from "../src/vector.js";
+import { Node, Group } from "../src/node.js";
+import { Scene } from "../src/scene.js";
+import { Mesh } from "../src/mesh.js";
+import { Sprite } from "../src/sprite.js";
+import { Color } from "../src/color.js";
+import { AmbientLight } from "../src/light.js";
+
+
+const values = v => v.components.map(i => v[i]);
+
+
+describe("Results written in place", () => {
+
+    it("writes vector operations into the output vector", () => {
+        const a = new Vector3(1, 2, 3), b = new Vector3(4, 5, 6);
+        const out = new Vector3();
+        assert.equal(a.add(b, out), out);
+        assert.deepEqual(values(out), [5, 7, 9]);
+        assert.equal(a.sub(b, out), out);
+        assert.deepEqual(values(out), [-3, -3, -3]);
+        assert.equal(a.scale(2, a), a);
+        assert.deepEqual(values(a), [2, 4, 6]);
+        assert.equal(a.mult(b, a), a);
+        assert.deepEqual(values(a), [8, 20, 36]);
+
+        // without an output a new vector of the same size is returned
+        const sum = new Vector2(1, 1).add(new Vector2(2, 3));
+        assert.ok(sum instanceof Vector2);
+        assert.deepEqual(values(sum), [3, 4]);
+    });
+
+    it("crosses vectors into either of them", () => {
+        const x = new Vector3(1, 0, 0), y = new Vector3(0, 1, 0);
+        assert.equal(x.cross(y, x), x);
+        assert.deepEqual(values(x), [0, 0, 1]);
+        const z = new Vector3(0, 0, 1);
+        z.cross(new Vector3(1, 0, 0), z);
+        assert.deepEqual(values(z), [0, 1, 0]);
+    });
+
+    it("sets and copies components", () => {
+        const v = new Vector3(9, 9, 9);
+        assert.equal(v.set(1, 2), v);
+        assert.deepEqual(values(v), [1, 2, 0]);
+        assert.deepEqual(values(new Vector3().copy(v)), [1, 2, 0]);
+    });
+
+    it("multiplies, inverts and rotates into the output matrix", () => {
+        const a = Mat4x4.translate(1, 2, 3);
+        const b = Mat4x4.scale(2, 2, 2);
+        const product = Mat4x4.multiplyMatrix(a, b);
+        assert.equal(Mat4x4.multiplyMatrix(a, b, a), a);
+        assert.deepEqual(Array.from(a), Array.from(product));
+
+        const m = Mat4x4.translate(1, 2, 3);
+        assert.equal(Mat4x4.inverse(m, m), m);
+        assert.deepEqual(Array.from(m), Array.from(Mat4x4.translate(-1, -2, -3)));
+
+        const out = Mat4x4.create();
+        assert.equal(Mat4x4.eulerRotation(0.1, 0.2, 0.3, "ZYX", out), out);
+        assert.deepEqual(Array.from(out), Array.from(Mat4x4.eulerRotation(0.1, 0.2, 0.3, "ZYX")));
+
+        const copy = Mat4x4.create();
+        assert.equal(Mat4x4.copy(product, copy), copy);
+        assert.deepEqual(Array.from(copy), Array.from(product));
+    });
+
+    it("transforms a vector into itself", () => {
+        const v = new Vector3(1, 0, 0);
+        assert.equal(Mat4x4.multiplyVector(Mat4x4.rollRotation(Math.PI), v, v), v);
+        assert.ok(Math.abs(v.x + 1) < 1e-6 && Math.abs(v.y) < 1e-6);
+    });
+
+});
+
+
+describe("Cached matrices", () => {
+
+    it("returns the same matrix until the transform changes", () => {
+        const node = new Node();
+        const first = node.worldMatrix;
+        const version = node.matrixVersion;
+        assert.equal(node.worldMatrix, first);
+        assert.equal(node.matrixVersion, version);
+
+        node.setPosition(5, 0, 0);
+        assert.equal(node.worldMatrix, first);
+        assert.equal(first[3], 5);
+        assert.ok(node.matrixVersion > version);
+    });
+
+    it("sees components written directly", () => {
+        const node = new Node();
+        node.worldMatrix;
+        node.position.y = 7;
+        node.scale.x = 3;
+        assert.equal(node.worldMatrix[7], 7);
+        assert.equal(node.worldMatrix[0], 3);
+        node.rotationOrder = "ZYX";
+        node.rotation.z = Math.PI / 2;
+        // scaled to 3, turned to the y-axis then moved up by 7
+        const p = node.localToWorld(new Vector3(1, 0, 0));
+        assert.ok(Math.abs(p.x) < 1e-5 && Math.abs(p.y - 10) < 1e-5);
+    });
+
+    it("rebuilds children when a parent moves or they change parent", () => {
+        const a = new Group(), b = new Group();
+        b.setPosition(0, 100, 0);
+        const child = a.add(new Node());
+        child.setPosition(1, 0, 0);
+        assert.equal(child.worldMatrix[3], 1);
+
+        a.setPosition(10, 0, 0);
+        assert.equal(child.worldMatrix[3], 11);
+        a.position.x = 20;
+        assert.equal(child.worldMatrix[3], 21);
+
+        b.add(child);
+        assert.deepEqual([child.worldMatrix[3], child.worldMatrix[7]], [1, 100]);
+        b.remove(child);
+        assert.deepEqual([child.worldMatrix[3], child.worldMatrix[7]], [1, 0]);
+    });
+
+});
+
+
+describe("Mesh vertex pass", () => {
+
+    /**
+     * @param {Scene} scene - the scene
+     * @returns {number} number of covered pixels
+     */
+    const coverage = (scene) => {
+        scene.render();
+        const data = scene.rasterizer.colorBuffer.data;
+        let count = 0;
+        for(let i = 3; i < data.length; i += 4)
+            count += data[i] > 0;
+        return count;
+    };
+
+    it("follows the node every frame and skips back faces", () => {
+        const scene = new Scene(300, 150);
+        const mesh = new Mesh("v 0 0 0\nv 20 0 0\nv 20 20 0\nv 0 20 0\nf 3 2 1\nf 4 3 1");
+        mesh.showWireFrame = false;
+        scene.add(mesh);
+        mesh.setPosition(10, 10, 0);
+        assert.equal(coverage(scene), 400);
+        const data = scene.rasterizer.colorBuffer.data;
+        assert.equal(data[((150 - 15) * 300 + 15) * 4 + 3], 255);
+
+        mesh.position.x = 200;
+        assert.equal(coverage(scene), 400);
+        assert.equal(data[((150 - 15) * 300 + 15) * 4 + 3], 0);
+        assert.equal(data[((150 - 15) * 300 + 205) * 4 + 3], 255);
+
+        // turned over the quad faces away from the viewer
+        mesh.setRotation(Math.PI, 0, 0);
+        mesh.setPosition(10, 30, 0);
+        assert.equal(coverage(scene), 0);
+    });
+
+    it("uses vertices changed before updateGeometry", () => {
+        const scene = new Scene(300, 150);
+        const mesh = new Mesh("v 0 0 0\nv 10 0 0\nv 0 10 0\nf 3 2 1");
+        mesh.showWireFrame = false;
+        scene.add(mesh);
+        const before = coverage(scene);
+        mesh.vertices[1][0] = 40;
+        mesh.updateGeometry();
+        assert.ok(coverage(scene) > before * 3);
+    });
+
+});
+
+
+describe("Drawing without allocating", () => {
+
+    /**
+     * Count the calls of methods while a function runs
+     * @param {Array} methods - the object and the name of each method counted
+     * @param {Function} f - the function run
+     * @returns {number} the number of calls
+     */
+    const calls = (methods, f) => {
+        let count = 0;
+        const originals = methods.map(([object, name]) => object[name]);
+        methods.forEach(([object, name], i) => object[name] = function(...args) {
+            count++;
+            return originals[i].apply(this, args);
+        });
+        try {
+            f();
+        } finally {
+            methods.forEach(([object, name], i) => object[name] = originals[i]);
+        }
+        return count;
+    };
+
+    it("keeps the tint of a mesh as a color", () => {
+        const mesh = new Mesh("v 0 0 0\nv 10 0 0\nv 0 10 0\nf 3 2 1");
+        mesh.tint = "#ff0000";
+        assert.ok(mesh.tint instanceof Color);
+        assert.equal(mesh.tint.toHex(), "#ff0000");
+        const blue = new Color(240, 100, 50);
+        mesh.tint = blue;
+        assert.equal(mesh.tint, blue);
+        mesh.tint = undefined;
+        assert.equal(mesh.tint, null);
+    });
+
+    it("makes no colors or vectors once the first frame is drawn", () => {
+        const scene = new Scene(100, 100);
+        scene.add(new AmbientLight(0.8));
+        const mesh = scene.add(new Mesh("v 0 0 0\nv 60 0 0\nv 60 60 0\nv 0 60 0\nf 3 2 1\nf 4 3 1\nc 120 50 50\nc 120 50 50"));
+        mesh.tint = "rgb(255, 128, 0)";
+        mesh.wireFrameColor = "#00f";
+        mesh.showVertex = true;
+        const sprite = scene.add(new Sprite({ width: 2, height: 2, data: new Uint8ClampedArray(16).fill(255) }));
+        Object.assign(sprite, { lit: true, upright: true, flipX: true });
+        sprite.setScale(10, 10, 1);
+        sprite.setPosition(70, 70, -5);
+        scene.setRotation(0.3, 0, 0);
+
+        scene.draw();
+        const first = Array.from(scene.rasterizer.colorBuffer.data);
+        const made = calls([[Color, "from"], [Color, "parse"], [Vector3.prototype, "createVector"]], () => scene.draw());
+        assert.equal(made, 0);
+        // the frame drawn from the reused objects is the same
+        assert.deepEqual(Array.from(scene.rasterizer.colorBuffer.data), first);
+        assert.ok(first.some((v, i) => i % 4 === 3 && v === 255));
+    });
+
+});
@@ -0,0 +1,103 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import "./dom.js";
+import { Camera } from "../src/camera.js";
+import { Vector3 } from "../src/vector.js";
+import { Scene } from "../src/scene.js";
+import { Mesh } from "../src/mesh.js";
+
+
+/**
+ * @param {Vector3} actual - the point to check
+ * @param {Array.<number>} expected - x, y and z
+ */
+const assertPoint = (actual, [x, y, z]) => {
+    assert.ok(Math.abs(actual.x - x) < 1e-4, `x: ${actual.x} != ${x}`);
+    assert.ok(Math.abs(actual.y - y) < 1e-4, `y: ${actual.y} != ${y}`);
+    assert.ok(Math.abs(actual.z - z) < 1e-4, `z: ${actual.z} != ${z}`);
+};
+
+
+describe("Camera", () => {
+
+    it("puts its position at the center of the view with the y-axis pointing up", () => {
+        const camera = new Camera(200, 100);
+        camera.setPosition(500, 300);
+        assertPoint(camera.worldToScreen(new Vector3(500, 300, 0)), [100, 50, 0]);
+        assertPoint(camera.worldToScreen(new Vector3(510, 320, -4)), [110, 30, -4]);
+    });
+
+    it("magnifies distances from the center when zoomed", () => {
+        const camera = new Camera(200, 100);
+        camera.setZoom(4);
+        assertPoint(camera.worldToScreen(new Vector3(110, 45, 0)), [140, 70, 0]);
+        assert.throws(() => camera.setZoom(0), RangeError);
+        assert.equal(camera.zoom, 4);
+    });
+
+    it("converts screen points back to the world points they came from", () => {
+        const camera = new Camera(320, 240);
+        camera.setPosition(40, -25, 10);
+        camera.setRotation(0.3, 0, -0.7);
+        camera.setZoom(1.5);
+        for(const point of [new Vector3(40, -25, 10), new Vector3(-12, 60, 3), new Vector3(75, 5, -30)]) {
+            const screen = camera.worldToScreen(point);
+            const world = camera.screenToWorld(screen.x, screen.y, screen.z);
+            assertPoint(world, [point.x, point.y, point.z]);
+        }
+    });
+
+    it("keeps the view centered when resized", () => {
+        const camera = new Camera(100, 100);
+        camera.resize(400, 200);
+        assertPoint(camera.worldToScreen(new Vector3(50, 50, 0)), [200, 100, 0]);
+    });
+
+    it("snaps to or eases towards a followed target", () => {
+        const target = { position: new Vector3(100, 0, 0) };
+        const camera = new Camera(100, 100);
+        camera.setPosition(0, 0, 0);
+
+        camera.follow(target, 0, new Vector3(0, 10, 0));
+        camera.update();
+        assertPoint(camera.position, [100, 10, 0]);
+
+        camera.setPosition(0, 0, 0);
+        camera.follow(target, 0.5);
+        camera.update(1 / 60);
+        assertPoint(camera.position, [50, 0, 0]);
+        camera.update(1 / 60);
+        assertPoint(camera.position, [75, 0, 0]);
+
+        camera.follow(null);
+        camera.update();
+        assertPoint(camera.position, [75, 0, 0]);
+    });
+
+});
+
+
+describe("Scene camera", () => {
+
+    it("draws what the camera looks at in the middle of the canvas", () => {
+        const scene = new Scene(300, 150);
+        const mesh = new Mesh("v -5 -5 0\nv 5 -5 0\nv 5 5 0\nv -5 5 0\nf 3 2 1\nf 4 3 1\nc 120 100 50\nc 120 100 50");
+        mesh.showWireFrame = false;
+        mesh.setPosition(1000, 1000, 0);
+        scene.add(mesh);
+        scene.camera.setPosition(1000, 1000, 0);
+        scene.render();
+
+        const data = scene.rasterizer.colorBuffer.data;
+        const alpha = (x, y) => data[(y * 300 + x) * 4 + 3];
+        assert.equal(alpha(150, 75), 255);
+        assert.equal(alpha(150, 60), 0);
+        assert.equal(alpha(135, 75), 0);
+
+        scene.camera.setZoom(2);
+        scene.render();
+        assert.equal(alpha(141, 67), 255);
+        assert.equal(alpha(135, 75), 0);
+    });
+
+});
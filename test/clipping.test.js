@@ -0,0 +1,98 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import "./dom.js";
+import { Scene } from "../src/scene.js";
+import { Mesh } from "../src/mesh.js";
+
+
+/**
+ * Render a mesh on the canvas and collect the outline of every filled polygon
+ * @param {Mesh} mesh - the mesh
+ * @returns {Array.<Array.<Array.<number>>>} the points of each filled polygon
+ */
+const outlines = (mesh) => {
+    const scene = new Scene(300, 150);
+    scene.fastMode = true;
+    scene.add(mesh);
+    scene.render();
+    const polygons = [];
+    let points = [];
+    for(const [name, args] of scene.ctx.calls) {
+        if(name === "moveTo")
+            points = [args];
+        else if(name === "lineTo")
+            points.push(args);
+        else if(name === "fill")
+            polygons.push(points);
+    }
+    return polygons;
+};
+
+/**
+ * A single triangle facing the viewer
+ * @param {Array.<Array.<number>>} vertices - the three vertices
+ * @returns {Mesh}
+ */
+const triangle = (vertices) => {
+    const mesh = new Mesh(vertices.map(v => `v ${v.join(" ")}`).join("\n") + "\nf 3 2 1");
+    mesh.showWireFrame = false;
+    return mesh;
+};
+
+
+describe("View volume culling", () => {
+
+    it("skips meshes entirely outside the view", () => {
+        assert.equal(outlines(triangle([[400, 10, 0], [450, 10, 0], [400, 60, 0]])).length, 0);
+        assert.equal(outlines(triangle([[10, -200, 0], [60, -200, 0], [10, -150, 0]])).length, 0);
+        assert.equal(outlines(triangle([[10, 10, 2000], [60, 10, 2000], [10, 60, 2000]])).length, 0);
+    });
+
+    it("keeps meshes whose bounding box reaches into the view", () => {
+        const mesh = triangle([[-40, 10, 0], [20, 10, 0], [-40, 70, 0]]);
+        assert.equal(outlines(mesh).length, 1);
+        mesh.setPosition(-1000, 0, 0);
+        assert.equal(outlines(mesh).length, 0);
+    });
+
+});
+
+
+describe("Clipping", () => {
+
+    it("leaves triangles inside the view untouched", () => {
+        const [polygon] = outlines(triangle([[10, 10, 0], [60, 10, 0], [10, 60, 0]]));
+        assert.equal(polygon.length, 3);
+    });
+
+    it("cuts triangles crossing the edges of the view into a fan inside it", () => {
+        // the triangle pokes out of the left and top edge of the 300x150 view
+        const polygons = outlines(triangle([[-50, 100, 0], [100, 100, 0], [-50, 250, 0]]));
+        assert.ok(polygons.length > 1);
+        for(const polygon of polygons) {
+            for(const [x, y] of polygon) {
+                assert.ok(x >= -1e-3 && x <= 300 + 1e-3, `x ${x} is outside the view`);
+                assert.ok(y >= -1e-3 && y <= 150 + 1e-3, `y ${y} is outside the view`);
+            }
+        }
+        // the corner of the view is covered by one of the fan triangles
+        const corner = polygons.flat().some(([x, y]) => Math.abs(x) < 1e-3 && Math.abs(y) < 1e-3);
+        assert.ok(corner);
+    });
+
+    it("cuts triangles at the far plane and keeps the depth of the remaining part", () => {
+        const scene = new Scene(300, 150);
+        // the right corner lies beyond the far plane of the camera
+        const mesh = triangle([[50, 20, 0], [250, 20, 1800], [50, 120, 0]]);
+        scene.add(mesh);
+        scene.render();
+
+        const data = scene.rasterizer.colorBuffer.data;
+        const alpha = (x, y) => data[(y * 300 + x) * 4 + 3];
+        // the far plane is 1000 units away, at a little over half the width of the triangle
+        assert.equal(alpha(100, 100), 255);
+        assert.equal(alpha(150, 120), 255);
+        assert.equal(alpha(200, 125), 0);
+    });
+
+});
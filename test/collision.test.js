@@ -0,0 +1,200 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { AABB, OBB, BoundingSphere } from "../src/bounds.js";
+import { Collision } from "../src/collision.js";
+import { Mat4x4 } from "../src/matrices.js";
+import { Vector3 } from "../src/vector.js";
+import { Group } from "../src/node.js";
+import { TileMap } from "../src/tilemap.js";
+import { Primitives } from "../src/primitives.js";
+
+
+const xyz = v => [v.x, v.y, v.z].map(c => +c.toFixed(6) || 0);
+const box = (x0, y0, z0, x1, y1, z1) => new AABB(new Vector3(x0, y0, z0), new Vector3(x1, y1, z1));
+
+
+describe("Bounding volumes", () => {
+
+    it("builds boxes from points and moves them", () => {
+        const a = AABB.fromPoints([[0, 0, 0], new Vector3(4, -2, 6)]);
+        assert.deepEqual([xyz(a.min), xyz(a.max)], [[0, -2, 0], [4, 0, 6]]);
+        assert.deepEqual([xyz(a.center), xyz(a.size)], [[2, -1, 3], [4, 2, 6]]);
+        assert.deepEqual(xyz(AABB.fromPoints([]).size), [0, 0, 0]);
+
+        const b = a.translate(new Vector3(10, 0, 0));
+        assert.deepEqual(xyz(b.min), [10, -2, 0]);
+        assert.deepEqual(xyz(a.min), [0, -2, 0]);
+        const both = a.union(b);
+        assert.deepEqual([xyz(both.min), xyz(both.max)], [[0, -2, 0], [14, 0, 6]]);
+        assert.equal(both.containsPoint(new Vector3(14, 0, 6)), true);
+        assert.equal(both.containsPoint(new Vector3(14.1, 0, 6)), false);
+
+        // a quarter turn swaps the width and height
+        const turned = a.transform(Mat4x4.rollRotation(Math.PI / 2));
+        assert.deepEqual(xyz(turned.size), [2, 4, 6]);
+    });
+
+    it("writes moved boxes, centers and sizes into the objects passed", () => {
+        const a = box(0, 0, 0, 2, 4, 6);
+        const out = new AABB();
+        assert.equal(a.translate(new Vector3(1, 1, 1), out), out);
+        assert.deepEqual([xyz(out.min), xyz(out.max)], [[1, 1, 1], [3, 5, 7]]);
+        // a box grown or moved in place
+        assert.equal(out.union(box(-1, 2, 2, 2, 8, 3), out), out);
+        assert.deepEqual([xyz(out.min), xyz(out.max)], [[-1, 1, 1], [3, 8, 7]]);
+        assert.equal(a.transform(Mat4x4.translate(0, 0, 10), a), a);
+        assert.deepEqual([xyz(a.min), xyz(a.max)], [[0, 0, 10], [2, 4, 16]]);
+
+        const v = new Vector3();
+        assert.equal(a.getCenter(v), v);
+        assert.deepEqual(xyz(v), [1, 2, 13]);
+        assert.deepEqual(xyz(a.getSize(v)), [2, 4, 6]);
+    });
+
+    it("reports how to push a box out of another", () => {
+        const wall = box(0, 0, 0, 10, 10, 10);
+        const contact = box(8, 2, 2, 12, 4, 4).intersects(wall);
+        assert.deepEqual([xyz(contact.normal), contact.depth], [[1, 0, 0], 2]);
+        assert.deepEqual(xyz(box(2, -1, 2, 4, 0.5, 4).intersects(wall).normal), [0, -1, 0]);
+        // touching faces don't overlap
+        assert.equal(box(10, 0, 0, 12, 10, 10).intersects(wall), null);
+        assert.throws(() => wall.intersects({}), TypeError);
+    });
+
+    it("tests turned boxes without the corners of their enclosing box", () => {
+        const square = box(-1, -1, -1, 1, 1, 1);
+        const diamond = OBB.fromAABB(square, Mat4x4.rollRotation(Math.PI / 4));
+        const corner = box(1.1, 1.1, -1, 2, 2, 1);
+        assert.ok(diamond.toAABB().intersects(corner));
+        assert.equal(diamond.intersects(corner), null);
+
+        // the tip of the diamond is pushed back out of the face of the box it pokes
+        const tip = diamond.intersects(box(1.3, -0.1, -1, 2, 0.1, 1));
+        assert.deepEqual(xyz(tip.normal), [-1, 0, 0]);
+        assert.ok(Math.abs(tip.depth - (Math.SQRT2 - 1.3)) < 1e-6);
+    });
+
+    it("pushes spheres apart along the line between them", () => {
+        const a = new BoundingSphere(new Vector3(0, 0, 0), 2);
+        const contact = a.intersects(new BoundingSphere(new Vector3(3, 4, 0), 4));
+        assert.deepEqual([xyz(contact.normal), contact.depth], [[-0.6, -0.8, 0], 1]);
+        assert.equal(a.intersects(new BoundingSphere(new Vector3(4, 0, 0), 2)), null);
+
+        // a sphere with it's center inside a box leaves through the nearest face
+        const inside = new BoundingSphere(new Vector3(9, 5, 5), 1).intersects(box(0, 0, 0, 10, 10, 10));
+        assert.deepEqual([xyz(inside.normal), inside.depth], [[1, 0, 0], 2]);
+        const flipped = box(0, 0, 0, 10, 10, 10).intersects(new BoundingSphere(new Vector3(11, 5, 5), 2));
+        assert.deepEqual([xyz(flipped.normal), flipped.depth], [[-1, 0, 0], 1]);
+
+        const around = BoundingSphere.fromPoints([[0, 0, 0], [6, 8, 0]]);
+        assert.deepEqual([xyz(around.center), around.radius], [[3, 4, 0], 5]);
+        const scaled = around.transform(Mat4x4.scale(1, 3, 1));
+        assert.equal(scaled.radius, 15);
+    });
+
+    it("are kept by meshes in local and world space", () => {
+        const a = Primitives.box(10), b = Primitives.box(10);
+        b.setPosition(8, 0, 0);
+        assert.deepEqual(xyz(b.worldBoundingBox.min), [8, 0, -10]);
+        assert.deepEqual(xyz(a.intersects(b).normal), [-1, 0, 0]);
+        assert.ok(a.intersects(b, "sphere"));
+        // turned about it's corner the lowest corner of b is above a, but the box around b overlaps a
+        b.setRotation(0, 0, Math.PI / 4);
+        b.setPosition(9 + 5 * Math.SQRT2, 13 - 5 * Math.SQRT2, 0);
+        assert.ok(a.intersects(b));
+        assert.equal(a.intersects(b, "obb"), null);
+        assert.throws(() => a.intersects(b, "capsule"), RangeError);
+        assert.throws(() => a.intersects(box(0, 0, 0, 1, 1, 1)), TypeError);
+    });
+
+});
+
+
+describe("Collision", () => {
+
+    it("finds when a moving box first touches another", () => {
+        const wall = box(10, 0, 0, 12, 10, 10);
+        const hit = Collision.sweep(box(0, 2, 2, 2, 4, 4), new Vector3(16, 0, 0), wall);
+        assert.deepEqual([hit.time, xyz(hit.normal)], [0.5, [-1, 0, 0]]);
+        assert.equal(Collision.sweep(box(0, 2, 2, 2, 4, 4), new Vector3(7, 0, 0), wall), null);
+        assert.equal(Collision.sweep(box(0, 12, 2, 2, 14, 4), new Vector3(16, 0, 0), wall), null);
+        // a box already inside can leave
+        assert.equal(Collision.sweep(box(10.5, 2, 2, 11.5, 4, 4), new Vector3(-5, 0, 0), wall), null);
+        // a box resting against the wall is stopped at once
+        assert.equal(Collision.sweep(box(8, 2, 2, 10, 4, 4), new Vector3(1, 0, 0), wall).time, 0);
+    });
+
+    it("stops at a wall and slides along it", () => {
+        const player = Primitives.box(2);
+        const wall = Primitives.box(new Vector3(2, 20, 2));
+        wall.setPosition(10, -10, 0);
+        const { offset, contacts } = Collision.move(player, new Vector3(12, 6, 0), [player, wall]);
+        assert.deepEqual(xyz(offset), [8, 6, 0]);
+        assert.deepEqual(xyz(player.position), [8, 6, 0]);
+        assert.equal(contacts.length, 1);
+        assert.deepEqual(xyz(contacts[0].normal), [-1, 0, 0]);
+        assert.equal(contacts[0].node, wall);
+
+        // moving away is not blocked
+        assert.equal(Collision.move(player, new Vector3(-4, 0, 0), [wall]).contacts.length, 0);
+        assert.deepEqual(xyz(player.position), [4, 6, 0]);
+    });
+
+    it("slides into a corner and stops", () => {
+        const player = Primitives.box(2);
+        player.setPosition(5, 5, 0);
+        const floor = box(0, 0, -2, 20, 2, 0);
+        const wall = box(10, 0, -2, 12, 20, 0);
+        const { offset, contacts } = Collision.move(player, new Vector3(10, -10, 0), [floor, wall]);
+        assert.deepEqual(xyz(player.position), [8, 2, 0]);
+        assert.deepEqual(xyz(offset), [3, -3, 0]);
+        assert.deepEqual(contacts.map(c => xyz(c.normal)), [[0, 1, 0], [-1, 0, 0]]);
+        assert.ok(contacts.every(c => c.node === null));
+    });
+
+    it("makes no vectors while it slides", () => {
+        const player = Primitives.box(2);
+        const floor = box(-20, -4, -2, 20, 0, 0), wall = box(10, -4, -2, 12, 20, 0);
+        const hit = { time: 0, normal: new Vector3(0, 0, 0, 0) };
+        assert.equal(Collision.sweep(box(0, 2, -2, 2, 4, 0), new Vector3(16, 0, 0), wall, hit), hit);
+        assert.deepEqual([hit.time, xyz(hit.normal)], [0.5, [-1, 0, 0]]);
+
+        let made = 0;
+        const createVector = Vector3.prototype.createVector;
+        Vector3.prototype.createVector = function() {
+            made++;
+            return createVector.call(this);
+        };
+        try {
+            const { contacts } = Collision.move(player, new Vector3(12, -6, 0), [floor, wall]);
+            assert.equal(contacts.length, 2);
+        } finally {
+            Vector3.prototype.createVector = createVector;
+        }
+        assert.equal(made, 0);
+        assert.deepEqual(xyz(player.position), [8, 0, 0]);
+    });
+
+    it("is blocked by solid tiles only and moves nodes inside groups", () => {
+        const map = new TileMap(4, 1, 1, new Vector3(10, 10, 10));
+        map.defineTile(1, Primitives.box(10));
+        map.defineTile(2, Primitives.box(10), { solid: false });
+        map.set(1, 0, 0, 2);
+        map.set(3, 0, 0, 1);
+        map.setPosition(100, 0, 0);
+
+        const group = new Group();
+        group.setPosition(100, 0, 0);
+        const player = group.add(Primitives.box(4));
+        player.setPosition(1, 3, 0);
+        const { contacts } = Collision.move(player, new Vector3(40, 0, 0), [map]);
+        // the player passes the open tile and stops against the solid one
+        assert.deepEqual(xyz(player.position), [26, 3, 0]);
+        assert.deepEqual(contacts[0].cell, { x: 3, y: 0, layer: 0 });
+        assert.equal(contacts[0].node, map);
+
+        assert.throws(() => Collision.move(player, new Vector3(1, 0, 0), [{}]), TypeError);
+        assert.throws(() => Collision.move(new Group(), new Vector3(1, 0, 0), []), /world bounding box/);
+    });
+
+});
@@ -0,0 +1,129 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import "./dom.js";
+import { Color } from "../src/color.js";
+import { Mesh } from "../src/mesh.js";
+import { Scene } from "../src/scene.js";
+import { BufferRenderer } from "../src/renderer.js";
+
+
+// a 40x40 square, red along it's left side and blue along it's right side
+const BLENDED = `v 0 0 0 1 0 0
+v 40 0 0 0 0 1
+v 40 40 0 0 0 1
+v 0 40 0 1 0 0
+f 3 2 1
+f 4 3 1`;
+
+const rgba = color => color.toRGBA().map(n => Math.round(n * 1000) / 1000);
+const near = (actual, expected, error = 4) =>
+    assert.ok(actual.every((c, i) => Math.abs(c - expected[i]) <= error), `${actual} != ${expected}`);
+
+/**
+ * @param {string} obj - the mesh drawn
+ * @returns {Array} a scene drawn into a pixel buffer and the mesh in it
+ */
+const buffered = obj => {
+    const scene = new Scene(40, 40, new BufferRenderer(40, 40));
+    const mesh = scene.add(new Mesh(obj));
+    mesh.showWireFrame = false;
+    return [scene, mesh];
+};
+
+
+describe("Color", () => {
+
+    it("reads every way css writes a color", () => {
+        const red = [255, 0, 0, 1];
+        for(const css of ["#f00", "#ff0000", "#FF0000FF", "red", "rgb(255, 0, 0)", "rgb(100% 0% 0%)", "hsl(0, 100%, 50%)"])
+            assert.deepEqual(rgba(Color.parse(css)), red, css);
+        assert.deepEqual(rgba(Color.parse("rgba(0, 0, 255, 0.5)")), [0, 0, 255, 0.5]);
+        assert.deepEqual(rgba(Color.parse("hsl(120 100% 25% / 50%)")), [0, 127.5, 0, 0.5]);
+        assert.equal(Color.parse("transparent").a, 0);
+
+        assert.throws(() => Color.parse("#12345"), { name: "SyntaxError", message: 'Invalid hex color "#12345"' });
+        assert.throws(() => Color.parse("rgb(1, 2)"), /must have 3 or 4 components/);
+        assert.throws(() => Color.parse("rgb(1, x, 2)"), /invalid component "x"/);
+        assert.throws(() => Color.parse("cmyk(0, 0, 0, 0)"), /Unknown color/);
+    });
+
+    it("is made from objects and arrays and written back as css", () => {
+        assert.deepEqual(Color.from({ r: 0, g: 128, b: 0 }).toHex(), "#008000");
+        assert.deepEqual(Color.from([240, 100, 50, 0.5]).toHex(), "#0000ff80");
+        assert.equal(Color.from({ h: 30, s: 20, l: 10 }).toString(), "hsla(30, 20%, 10%, 1)");
+        for(const hex of ["#123456", "#fedcba", "#80808040"])
+            assert.equal(Color.parse(hex).toHex(), hex);
+        const color = new Color(10, 20, 30);
+        assert.notEqual(Color.from(color), color);
+        assert.throws(() => Color.from(12), TypeError);
+    });
+
+    it("blends and filters in rgb", () => {
+        const red = Color.parse("red"), blue = Color.parse("blue");
+        // halfway between red and blue is purple, not green as the hue would suggest
+        assert.deepEqual(rgba(red.lerp(blue, 0.5)), [127.5, 0, 127.5, 1]);
+        const out = new Color();
+        assert.equal(red.multiply("rgba(255, 128, 0, 0.5)", out), out);
+        assert.deepEqual(rgba(out), [255, 0, 0, 0.5]);
+        assert.equal(Color.parse("white").multiply(blue).toHex(), "#0000ff");
+        assert.equal(red.lighten(80).l, 100);
+        assert.equal(red.lighten(-80).l, 0);
+    });
+
+});
+
+
+describe("Vertex colors", () => {
+
+    it("are blended across the triangles by the rasteriser", () => {
+        const [scene] = buffered(BLENDED);
+        scene.draw();
+        const pixel = x => scene.renderer.getPixel(x, 20);
+        near(pixel(0), [255, 0, 0, 255], 8);
+        near(pixel(39), [0, 0, 255, 255], 8);
+        near(pixel(20), [128, 0, 128, 255]);
+    });
+
+    it("are multiplied by the tint of the mesh", () => {
+        const [scene, mesh] = buffered("v 0 0 0\nv 40 0 0\nv 40 40 0\nv 0 40 0\nf 3 2 1\nf 4 3 1");
+        mesh.tint = "#00ff00";
+        scene.draw();
+        assert.deepEqual(scene.renderer.getPixel(20, 20), [0, 255, 0, 255]);
+
+        const copy = Mesh.fromJSON(JSON.parse(JSON.stringify(mesh)));
+        assert.deepEqual(rgba(copy.tint), [0, 255, 0, 1]);
+    });
+
+    it("are written to obj files with their vertex", () => {
+        const mesh = new Mesh(BLENDED);
+        const obj = mesh.toOBJ();
+        assert.deepEqual(obj.split("\n").filter(line => line.startsWith("v ")).map(line => line.split(" ").slice(4).join(" ")),
+            ["1 0 0", "0 0 1", "0 0 1", "1 0 0"]);
+        assert.equal(new Mesh(obj).toOBJ(), obj);
+        // a face with an uncolored corner keeps a single color
+        assert.equal(new Mesh("v 0 0 0 1 0 0\nv 1 0 0\nv 0 1 0 0 0 1\nf 3 2 1").triangles[0].colors, null);
+    });
+
+    it("become a gradient through every corner on a canvas", () => {
+        const scene = new Scene(40, 40);
+        scene.fastMode = true;
+        const mesh = scene.add(new Mesh(BLENDED));
+        mesh.showWireFrame = false;
+        const gradients = [];
+        scene.renderer.ctx.createLinearGradient = (...points) => {
+            const gradient = { points, stops: [], addColorStop: (offset, color) => gradient.stops.push([offset, color]) };
+            gradients.push(gradient);
+            return gradient;
+        };
+        scene.draw();
+        assert.equal(gradients.length, 2);
+        // the colors only change from left to right, so the gradients are horizontal
+        assert.ok(gradients.every(({ points }) => Math.abs(points[1] - points[3]) < 1e-9));
+        // each corner is a stop of it's color where the gradient passes it
+        for(const { points: [x0, , x1], stops } of gradients) {
+            const at = stops.map(([offset, color]) => [x0 + (x1 - x0) * offset, color]).sort((a, b) => a[0] - b[0]);
+            assert.deepEqual([at[0], at[2]], [[0, "rgba(255, 0, 0, 1)"], [40, "rgba(0, 0, 255, 1)"]]);
+        }
+    });
+
+});
@@ -0,0 +1,38 @@
+/**
+ * A stand-in for the parts of the DOM a scene draws with, so scenes render in node.
+ * Every call made on a canvas context is recorded in it's `calls` as [name, args]
+ */
+
+const CONTEXT = () => new Proxy({ calls: [] }, {
+    get(target, key) {
+        if(key in target)
+            return target[key];
+        if(key === "getImageData" || key === "createImageData")
+            return (...args) => {
+                const [w, h] = args.length > 2 ? args.slice(2) : args;
+                return { width: w, height: h, data: new Uint8ClampedArray(w * h * 4) };
+            };
+        return (...args) => target.calls.push([key, args]);
+    },
+    set(target, key, value) {
+        target[key] = value;
+        return true;
+    }
+});
+
+const CANVAS = () => {
+    const context = CONTEXT();
+    return {
+        style: {},
+        width: 300,
+        height: 150,
+        getContext: () => context,
+        addEventListener() {},
+        removeEventListener() {},
+        getBoundingClientRect() {
+            return { left: 0, top: 0, width: this.width, height: this.height };
+        }
+    };
+};
+
+globalThis.document = { createElement: () => CANVAS() };
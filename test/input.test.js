@@ -0,0 +1,261 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Input } from "../src/input.js";
+import { CameraController } from "../src/controls.js";
+import { Scene } from "../src/scene.js";
+
+
+/**
+ * An event target that records it's listeners and dispatches plain objects to them
+ * @param {Object} properties - added to the target
+ * @returns {Object}
+ */
+const target = (properties = {}) => Object.assign({
+    listeners: {},
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    },
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+    },
+    emit(type, event = {}) {
+        event.preventDefault = event.preventDefault || (() => event.prevented = true);
+        (this.listeners[type] || []).forEach(listener => listener(event));
+        return event;
+    }
+}, properties);
+
+/**
+ * A 200x100 canvas shown at half it's size, 10 pixels from the top left of the page
+ * @returns {Object}
+ */
+const canvas = () => target({
+    width: 200,
+    height: 100,
+    style: {},
+    captured: [],
+    setPointerCapture(id) {
+        this.captured.push(id);
+    },
+    getBoundingClientRect: () => ({ left: 10, top: 10, width: 100, height: 50 })
+});
+
+const mouse = (x, y, button = 0) => ({ pointerId: 1, pointerType: "mouse", button, clientX: 10 + x / 2, clientY: 10 + y / 2 });
+const touch = (id, x, y) => ({ pointerId: id, pointerType: "touch", clientX: 10 + x / 2, clientY: 10 + y / 2 });
+
+
+describe("Input actions", () => {
+
+    it("are pressed and released for exactly one update", () => {
+        const keys = target();
+        const input = new Input(null, keys);
+        input.bind("jump", "Space", "Mouse0");
+        const state = () => [input.pressed("jump"), input.held("jump"), input.released("jump")];
+
+        keys.emit("keydown", { code: "Space" });
+        assert.deepEqual(state(), [false, false, false]);
+        input.update();
+        assert.deepEqual(state(), [true, true, false]);
+        // key repeats don't press the action again
+        keys.emit("keydown", { code: "Space" });
+        input.update();
+        assert.deepEqual(state(), [false, true, false]);
+        keys.emit("keyup", { code: "Space" });
+        input.update();
+        assert.deepEqual(state(), [false, false, true]);
+        input.update();
+        assert.deepEqual(state(), [false, false, false]);
+
+        // a tap between two updates is seen in the next step
+        keys.emit("keydown", { code: "Space" });
+        keys.emit("keyup", { code: "Space" });
+        input.update();
+        assert.deepEqual(state(), [true, false, true]);
+        assert.equal(input.isDown("Space"), false);
+    });
+
+    it("stays held while any of it's inputs is down", () => {
+        const element = canvas(), keys = target();
+        const input = new Input(element, keys);
+        input.bind("fire", "KeyF");
+        input.bind("fire", "Mouse0", "KeyF");
+        assert.deepEqual(input.bindings.fire, ["KeyF", "Mouse0"]);
+
+        keys.emit("keydown", { code: "KeyF" });
+        input.update();
+        element.emit("pointerdown", mouse(0, 0));
+        keys.emit("keyup", { code: "KeyF" });
+        input.update();
+        assert.deepEqual([input.pressed("fire"), input.held("fire"), input.released("fire")], [false, true, false]);
+
+        // losing focus releases every input
+        keys.emit("blur");
+        input.update();
+        assert.equal(input.released("fire"), true);
+
+        input.unbind("fire", "KeyF");
+        assert.deepEqual(input.bindings.fire, ["Mouse0"]);
+        input.unbind("fire");
+        assert.equal(input.held("fire"), false);
+        assert.throws(() => input.bind("fire"), TypeError);
+        assert.throws(() => input.bind("fire", 32), /bound to the names of one or more inputs/);
+    });
+
+    it("stops listening when detached", () => {
+        const element = canvas(), keys = target();
+        const input = new Input(element, keys);
+        assert.equal(element.style.touchAction, "none");
+        assert.equal(keys.listeners.keydown.length, 1);
+        input.detach();
+        assert.ok(Object.values(element.listeners).every(listeners => !listeners.length));
+        assert.ok(Object.values(keys.listeners).every(listeners => !listeners.length));
+        keys.emit("keydown", { code: "KeyA" });
+        assert.equal(input.isDown("KeyA"), false);
+    });
+
+});
+
+
+describe("Input pointer", () => {
+
+    it("measures the pointer in pixels of the canvas and it's movement per step", () => {
+        const element = canvas();
+        const input = new Input(element, null);
+        element.emit("pointerdown", mouse(40, 20, 2));
+        assert.equal(input.isDown("Mouse2"), true);
+        assert.deepEqual(element.captured, [1]);
+        element.emit("pointermove", mouse(50, 30));
+        element.emit("pointermove", mouse(70, 26));
+        input.update();
+        assert.deepEqual(input.pointer, { x: 70, y: 26, dx: 30, dy: 6, inside: true });
+        input.update();
+        assert.deepEqual([input.pointer.dx, input.pointer.dy], [0, 0]);
+        element.emit("pointerleave", mouse(0, 0));
+        assert.equal(input.pointer.inside, false);
+        assert.equal(element.emit("contextmenu").prevented, true);
+    });
+
+    it("counts wheel notches in pixels or lines as taps", () => {
+        const element = canvas();
+        const input = new Input(element, null);
+        input.bind("zoom", "WheelUp");
+        const event = element.emit("wheel", { deltaY: -250, deltaMode: 0 });
+        element.emit("wheel", { deltaY: 1, deltaMode: 1 });
+        assert.equal(event.prevented, true);
+        input.update();
+        assert.equal(input.wheel, -1.5);
+        assert.equal(input.pressed("zoom"), true);
+        assert.equal(input.released("zoom"), true);
+        input.update();
+        assert.equal(input.wheel, 0);
+    });
+
+    it("tracks the spread of two touches", () => {
+        const element = canvas();
+        const input = new Input(element, null);
+        element.emit("pointerdown", touch(1, 0, 0));
+        element.emit("pointerdown", touch(2, 10, 0));
+        element.emit("pointermove", touch(2, 20, 0));
+        element.emit("pointermove", touch(1, -10, 0));
+        input.update();
+        assert.equal(input.pinch, 3);
+        assert.equal(input.isDown("Touch"), true);
+        // the first finger leads the pointer, the second takes over when it lifts
+        assert.equal(input.pointer.x, -10);
+        element.emit("pointerup", touch(1, -10, 0));
+        assert.deepEqual([input.pointer.x, input.isDown("Touch")], [20, true]);
+        element.emit("pointerup", touch(2, 20, 0));
+        input.update();
+        assert.equal(input.isDown("Touch"), false);
+        assert.equal(input.pinch, 1);
+    });
+
+});
+
+
+describe("CameraController", () => {
+
+    /**
+     * A 200x100 scene read from a canvas with a camera controller
+     * @returns {Array} the scene, the canvas and the keyboard
+     */
+    const controlled = (options) => {
+        const scene = new Scene(200, 100);
+        const element = canvas(), keys = target();
+        scene.input = new Input(element, keys);
+        scene.controllers.push(new CameraController(scene, undefined, options));
+        return [scene, element, keys];
+    };
+
+    const world = (scene, x, y) => {
+        const p = scene.camera.screenToWorld(x, y);
+        return [p.x, p.y];
+    };
+
+    const same = (actual, expected) => assert.ok(actual.every((c, i) => Math.abs(c - expected[i]) < 1e-4), `${actual} != ${expected}`);
+
+    it("needs an input and keeps the bindings already made", () => {
+        const scene = new Scene(20, 20);
+        assert.throws(() => new CameraController(scene), TypeError);
+        scene.input = new Input(null, null);
+        scene.input.bind("pan", "Mouse1");
+        new CameraController(scene);
+        assert.deepEqual(scene.input.bindings.pan, ["Mouse1"]);
+        assert.deepEqual(scene.input.bindings.rotateLeft, ["KeyQ"]);
+    });
+
+    it("drags the world point under the pointer along with it", () => {
+        const [scene, element] = controlled();
+        const grabbed = world(scene, 50, 50);
+        element.emit("pointerdown", mouse(50, 50));
+        scene.update(0.016);
+        element.emit("pointermove", mouse(80, 30));
+        scene.update(0.016);
+        same(world(scene, 80, 30), grabbed);
+        assert.ok(Math.abs(world(scene, 50, 50)[0] - grabbed[0]) > 10);
+    });
+
+    it("zooms about the pointer with the wheel and within it's limits", () => {
+        const [scene, element, keys] = controlled({ maxZoom: 2, zoomStep: 2 });
+        element.emit("pointermove", mouse(30, 70));
+        scene.update(0.016);
+        const under = world(scene, 30, 70);
+        element.emit("wheel", { deltaY: -100, deltaMode: 0 });
+        scene.update(0.016);
+        assert.equal(scene.camera.zoom, 2);
+        same(world(scene, 30, 70), under);
+
+        element.emit("wheel", { deltaY: -300, deltaMode: 0 });
+        scene.update(0.016);
+        assert.equal(scene.camera.zoom, 2);
+
+        // keys zoom about the center of the view
+        const center = world(scene, 100, 50);
+        keys.emit("keydown", { code: "Minus" });
+        scene.update(0.016);
+        assert.equal(scene.camera.zoom, 1);
+        same(world(scene, 100, 50), center);
+    });
+
+    it("turns the view by quarter turns", () => {
+        const [scene, , keys] = controlled({ rotationSmoothing: 0.5 });
+        keys.emit("keydown", { code: "KeyE" });
+        scene.update(0.016);
+        keys.emit("keyup", { code: "KeyE" });
+        scene.update(0.016);
+        keys.emit("keydown", { code: "KeyE" });
+        scene.update(0.016);
+        // the second turn continues from where the first is going
+        assert.equal(scene.controllers[0].angle, -Math.PI);
+        for(let i = 0; i < 60; i++)
+            scene.update(0.016);
+        assert.ok(Math.abs(scene.camera.rotation.z + Math.PI) < 1e-6);
+
+        scene.controllers[0].enabled = false;
+        keys.emit("keyup", { code: "KeyE" });
+        keys.emit("keydown", { code: "KeyQ" });
+        scene.update(0.016);
+        assert.equal(scene.controllers[0].angle, -Math.PI);
+    });
+
+});
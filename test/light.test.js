@@ -0,0 +1,96 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import "./dom.js";
+import { AmbientLight, DirectionalLight, PointLight } from "../src/light.js";
+import { Mat4x4 } from "../src/matrices.js";
+import { Vector3 } from "../src/vector.js";
+import { Scene } from "../src/scene.js";
+import { Mesh } from "../src/mesh.js";
+
+
+/**
+ * A 100 unit grey square facing the viewer drawn in a scene with the given lights
+ * @param {string} shading - shading of the square
+ * @param  {...Light} lights - lights added to the scene
+ * @returns {Function} reads the rgba bytes of a pixel of the rendered scene
+ */
+const renderSquare = (shading, ...lights) => {
+    const scene = new Scene(300, 150);
+    const mesh = new Mesh(`v 0 0 -10
+v 100 0 -10
+v 100 100 -10
+v 0 100 -10
+f 3 2 1
+f 4 3 1
+c 0 0 80
+c 0 0 80`);
+    mesh.showWireFrame = false;
+    mesh.setShading(shading);
+    scene.add(mesh);
+    lights.forEach(light => scene.add(light));
+    scene.render();
+    const { width, colorBuffer } = scene.rasterizer;
+    return (x, y) => Array.from(colorBuffer.data.slice((y * width + x) * 4, (y * width + x) * 4 + 4));
+};
+
+
+describe("Light", () => {
+
+    it("lights every surface equally with an ambient light", () => {
+        const light = new AmbientLight(0.4);
+        assert.equal(light.illuminate(new Vector3(), new Vector3(0, 0, -1, 0)), 0.4);
+        assert.equal(light.illuminate(new Vector3(5, 5, 5), new Vector3(1, 0, 0, 0)), 0.4);
+    });
+
+    it("lights surfaces facing against a directional light", () => {
+        const light = new DirectionalLight(new Vector3(0, 0, 1), 0.8);
+        light.update(Mat4x4.identity());
+        assert.ok(Math.abs(light.illuminate(new Vector3(), new Vector3(0, 0, -1, 0)) - 0.8) < 1e-6);
+        assert.equal(light.illuminate(new Vector3(), new Vector3(1, 0, 0, 0)), 0);
+        assert.equal(light.illuminate(new Vector3(), new Vector3(0, 0, 1, 0)), 0);
+    });
+
+    it("fades a point light over it's range", () => {
+        const light = new PointLight(new Vector3(0, 0, -10), 1, 20);
+        light.update(Mat4x4.identity());
+        const normal = new Vector3(0, 0, -1, 0);
+        assert.ok(Math.abs(light.illuminate(new Vector3(), normal) - 0.5) < 1e-6);
+        assert.equal(light.illuminate(new Vector3(0, 0, 15), normal), 0);
+        light.decay = 2;
+        assert.ok(Math.abs(light.illuminate(new Vector3(), normal) - 0.25) < 1e-6);
+    });
+
+});
+
+
+describe("Shading", () => {
+
+    it("leaves a scene without lights fully lit", () => {
+        const pixel = renderSquare("flat");
+        // hsl(0, 0%, 80%)
+        assert.deepEqual(pixel(50, 50), [204, 204, 204, 255]);
+    });
+
+    it("scales the lightness of a face by the light reaching it", () => {
+        const pixel = renderSquare("flat", new AmbientLight(0.5));
+        assert.deepEqual(pixel(50, 50), [102, 102, 102, 255]);
+        const sum = renderSquare("flat", new AmbientLight(0.25), new DirectionalLight(new Vector3(0, 0, 1), 0.25));
+        assert.deepEqual(sum(50, 50), [102, 102, 102, 255]);
+    });
+
+    it("lights a face evenly with flat shading and per vertex with gouraud shading", () => {
+        const light = () => new PointLight(new Vector3(0, 0, -60), 1, 300);
+        // the screen y-axis points down, both pixels are on the triangle below the
+        // diagonal of the square from (0, 0) to (100, 100)
+        const flat = renderSquare("flat", light());
+        assert.deepEqual(flat(10, 145), flat(97, 60));
+        const gouraud = renderSquare("gouraud", light());
+        // the corner under the light is brighter than the far corner
+        assert.ok(gouraud(10, 145)[0] > gouraud(97, 60)[0] + 20);
+    });
+
+    it("rejects an unknown shading", () => {
+        assert.throws(() => new Mesh("v 0 0 0").setShading("phong"), TypeError);
+    });
+
+});
@@ -0,0 +1,164 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import "./dom.js";
+import { Material } from "../src/material.js";
+import { Texture } from "../src/texture.js";
+import { Mesh } from "../src/mesh.js";
+import { Scene } from "../src/scene.js";
+import { Color } from "../src/color.js";
+
+
+const LIBRARY = `
+# two materials
+newmtl brick red
+Kd 1 0 0
+d 0.5
+
+newmtl sea
+Kd 0 0 1
+Tr 0.25
+map_Kd -s 2 2 1 textures/water.png
+`;
+
+const QUADS = `
+mtllib scene.mtl
+v 0 0 -10
+v 100 0 -10
+v 100 100 -10
+v 0 100 -10
+v 200 0 -10
+v 200 100 -10
+usemtl sea
+f 3 2 1
+f 4 3 1
+usemtl brick red
+f 6 5 2
+f 3 6 2
+`;
+
+
+describe("Material.parseLibrary", () => {
+
+    it("reads the diffuse color, opacity and texture map of each material", () => {
+        const materials = Material.parseLibrary(LIBRARY);
+        assert.deepEqual(Object.keys(materials), ["brick red", "sea"]);
+
+        const brick = materials["brick red"];
+        assert.deepEqual(brick.color, new Color(0, 100, 50, 0.5));
+        assert.equal(brick.textureMap, null);
+
+        const sea = materials.sea;
+        assert.deepEqual(sea.color, new Color(240, 100, 50, 0.75));
+        assert.equal(sea.opacity, 0.75);
+        assert.equal(sea.textureMap, "textures/water.png");
+    });
+
+    it("uses a single Kd value for every component and clamps the opacity", () => {
+        const { grey } = Material.parseLibrary("newmtl grey\nKd 0.5\nd 3");
+        assert.deepEqual(grey.color, new Color(0, 0, 50, 1));
+        const { halo } = Material.parseLibrary("newmtl halo\nd -halo 0.2");
+        assert.equal(halo.opacity, 0.2);
+    });
+
+    it("reports statements outside a material and invalid numbers", () => {
+        assert.throws(() => Material.parseLibrary("\nKd 1 1 1"),
+            { name: "SyntaxError", message: /^Line 2: "Kd" found before any newmtl/ });
+        assert.throws(() => Material.parseLibrary("newmtl a\nKd 1 red 1"),
+            { name: "SyntaxError", message: /^Line 2: Kd has an invalid number/ });
+    });
+
+});
+
+
+describe("Mesh materials", () => {
+
+    const fetched = [];
+    const originalFetch = globalThis.fetch;
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+        fetched.length = 0;
+    });
+
+    /**
+     * Serve files from memory in place of the network
+     * @param {Object.<string, string>} files - content mapped by url
+     */
+    const serve = (files) => {
+        globalThis.fetch = async (url) => {
+            fetched.push(url);
+            return url in files
+                ? { ok: true, status: 200, text: async () => files[url] }
+                : { ok: false, status: 404 };
+        };
+    };
+
+    it("colors the faces with the material named by usemtl and shares it's color", () => {
+        const mesh = new Mesh(QUADS);
+        assert.deepEqual(mesh.triangles.map(t => t.color.l), [100, 100, 100, 100]);
+
+        const materials = Material.parseLibrary(LIBRARY);
+        mesh.setMaterials(materials);
+        assert.equal(mesh.triangles[0].material, materials.sea);
+        assert.equal(mesh.triangles[0].color, materials.sea.color);
+        assert.equal(mesh.triangles[3].color.h, 0);
+
+        materials.sea.setDiffuse(0, 1, 0);
+        assert.equal(mesh.triangles[1].color.h, 120);
+    });
+
+    it("keeps the c color of a face over the color of it's material", () => {
+        const mesh = new Mesh(QUADS + "c 60 100 50\n");
+        mesh.setMaterials(Material.parseLibrary(LIBRARY));
+        assert.equal(mesh.triangles[0].color.h, 60);
+        assert.equal(mesh.triangles[1].color.h, 240);
+    });
+
+    it("renders the material colors blended by their opacity", () => {
+        const scene = new Scene(300, 150);
+        const mesh = new Mesh(QUADS);
+        mesh.showWireFrame = false;
+        mesh.setMaterials(Material.parseLibrary(LIBRARY));
+        scene.add(mesh);
+        scene.render();
+
+        const data = scene.rasterizer.colorBuffer.data;
+        const pixel = (x, y) => Array.from(data.slice((y * 300 + x) * 4, (y * 300 + x) * 4 + 4));
+        // the sea is drawn 75% opaque on the empty buffer, the brick 50%
+        assert.deepEqual(pixel(50, 100), [0, 0, 255, 191]);
+        assert.deepEqual(pixel(150, 100), [255, 0, 0, 128]);
+    });
+
+    it("loads the mesh and it's libraries relative to the obj url", async () => {
+        serve({
+            "http://example.com/models/room.obj": QUADS,
+            "http://example.com/models/scene.mtl": LIBRARY
+        });
+        const mesh = await Mesh.load("http://example.com/models/room.obj");
+        assert.deepEqual(fetched, ["http://example.com/models/room.obj", "http://example.com/models/scene.mtl"]);
+        assert.deepEqual(Object.keys(mesh.materials), ["brick red", "sea"]);
+        assert.equal(mesh.triangles[0].color.h, 240);
+    });
+
+    it("rejects when a file can not be loaded", async () => {
+        serve({ "http://example.com/room.obj": QUADS });
+        await assert.rejects(Mesh.load("http://example.com/missing.obj"), /Could not load mesh .*missing.obj: 404/);
+        await assert.rejects(Mesh.load("http://example.com/room.obj"), /Could not load material library .*scene.mtl: 404/);
+    });
+
+    it("uses the texture of a material in place of the texture of the mesh", () => {
+        const material = new Material("checker");
+        material.setTexture({ width: 1, height: 1, data: new Uint8ClampedArray([0, 255, 0, 255]) });
+        assert.ok(material.texture instanceof Texture);
+
+        const scene = new Scene(300, 150);
+        const mesh = new Mesh("v 0 0 -10\nv 100 0 -10\nv 0 100 -10\nvt 0 0\nvt 1 0\nvt 0 1\nusemtl checker\nf 3/3 2/2 1/1");
+        mesh.showWireFrame = false;
+        mesh.setTexture({ width: 1, height: 1, data: new Uint8ClampedArray([255, 0, 0, 255]) });
+        mesh.setMaterials({ checker: material });
+        scene.add(mesh);
+        scene.render();
+        const i = (130 * 300 + 20) * 4;
+        assert.deepEqual(Array.from(scene.rasterizer.colorBuffer.data.slice(i, i + 4)), [0, 255, 0, 255]);
+    });
+
+});
@@ -0,0 +1,176 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Mat3x3, Mat4x4 } from "../src/matrices.js";
+import { Quaternion } from "../src/quaternion.js";
+import { Vector2, Vector3 } from "../src/vector.js";
+
+
+const EPSILON = 1e-5;
+
+/**
+ * Assert two matrices or arrays are equal within the precision of a Float32Array
+ * @param {ArrayLike<number>} actual - the result
+ * @param {ArrayLike<number>} expected - the wanted values
+ */
+const assertClose = (actual, expected) => {
+    assert.equal(actual.length, expected.length);
+    for(let i=0; i < expected.length; i++) {
+        assert.ok(Math.abs(actual[i] - expected[i]) < EPSILON,
+            `item ${i} is ${actual[i]}, expected ${expected[i]} in [${Array.from(actual)}]`);
+    }
+};
+
+/**
+ * Assert the components of a vector equal the given values
+ * @param {Vector2 | Vector3} vec - the result
+ * @param  {...number} expected - the wanted value of each component
+ */
+const assertVector = (vec, ...expected) => assertClose(vec.components.map(i => vec[i]), expected);
+
+
+describe("Mat3x3", () => {
+
+    it("rotates counter-clockwise by a positive angle", () => {
+        const m = Mat3x3.rotation(Math.PI / 2);
+        assertVector(Mat3x3.multiplyVector(m, new Vector2(1, 0)), 0, 1);
+        assertVector(Mat3x3.multiplyVector(m, new Vector2(0, 1)), -1, 0);
+    });
+
+    it("rotates the same way as Mat4x4.rollRotation", () => {
+        const m3 = Mat3x3.rotation(0.7);
+        const m4 = Mat4x4.rollRotation(0.7);
+        assertClose([m3[0], m3[1], m3[3], m3[4]], [m4[0], m4[1], m4[4], m4[5]]);
+    });
+
+    it("calculates the determinant", () => {
+        assert.equal(Mat3x3.determinant(Mat3x3.identity()), 1);
+        assert.ok(Math.abs(Mat3x3.determinant(Mat3x3.create(2, 0, 1, 1, 3, 2, 1, 1, 2)) - 6) < EPSILON);
+        assert.ok(Math.abs(Mat3x3.determinant(Mat3x3.scale(2, -3)) + 6) < EPSILON);
+        assert.equal(Mat3x3.determinant(Mat3x3.create(1, 2, 3, 2, 4, 6, 1, 1, 1)), 0);
+    });
+
+    it("inverts a matrix", () => {
+        const m = Mat3x3.create(2, 0, 1, 1, 3, 2, 1, 1, 2);
+        const inv = Mat3x3.inverse(m);
+        assertClose(Mat3x3.multiplyMatrix(m, inv), Mat3x3.identity());
+        assertClose(m, [2, 0, 1, 1, 3, 2, 1, 1, 2]);
+    });
+
+    it("returns null for the inverse of a singular matrix", () => {
+        assert.equal(Mat3x3.inverse(Mat3x3.create(1, 2, 3, 2, 4, 6, 1, 1, 1)), null);
+    });
+
+    it("splits a composed matrix back into it's parts", () => {
+        const m = Mat3x3.compose(new Vector2(4, -2), 0.5, new Vector2(2, 3));
+        const { position, angle, scale } = Mat3x3.decompose(m);
+        assertVector(position, 4, -2);
+        assert.ok(Math.abs(angle - 0.5) < EPSILON);
+        assertVector(scale, 2, 3);
+        assertClose(Mat3x3.compose(position, angle, scale), m);
+    });
+
+    it("decomposes a mirrored matrix with a negative x scale", () => {
+        const m = Mat3x3.compose(new Vector2(1, 1), -1.2, new Vector2(-2, 0.5));
+        const { position, angle, scale } = Mat3x3.decompose(m);
+        assert.ok(scale.x < 0);
+        assertClose(Mat3x3.compose(position, angle, scale), m);
+    });
+
+});
+
+
+describe("Mat4x4", () => {
+
+    it("calculates the determinant", () => {
+        assert.equal(Mat4x4.determinant(Mat4x4.identity()), 1);
+        assert.ok(Math.abs(Mat4x4.determinant(Mat4x4.scale(2, 3, 4)) - 24) < EPSILON);
+        assert.ok(Math.abs(Mat4x4.determinant(Mat4x4.eulerRotation(0.3, 1.1, -0.4)) - 1) < EPSILON);
+        // swapping two rows changes the sign
+        const swapped = Mat4x4.create(0, 1, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1);
+        assert.equal(Mat4x4.determinant(swapped), -1);
+        assert.equal(Mat4x4.determinant(Mat4x4.create()), 0);
+    });
+
+    it("inverts a transformation", () => {
+        const m = Mat4x4.compose(new Vector3(1, 2, 3), Quaternion.fromEuler(0.2, -0.8, 1.3), new Vector3(2, 0.5, 3));
+        const inv = Mat4x4.inverse(m);
+        assertClose(Mat4x4.multiplyMatrix(m, inv), Mat4x4.identity());
+        assertClose(Mat4x4.multiplyMatrix(inv, m), Mat4x4.identity());
+    });
+
+    it("returns null for the inverse of a singular matrix", () => {
+        assert.equal(Mat4x4.inverse(Mat4x4.scale(1, 0, 1)), null);
+        assert.equal(Mat4x4.normalMatrix(Mat4x4.scale(1, 0, 1)), null);
+    });
+
+    it("keeps normals perpendicular under a non uniform scale", () => {
+        const m = Mat4x4.scale(2, 1, 1);
+        const normal = new Vector3(1, 1, 0);
+        normal.w = 0;
+        const transformed = Mat4x4.multiplyVector(Mat4x4.normalMatrix(m), normal);
+        // the surface x = -y becomes 2x = -y under the scale
+        const tangent = Mat4x4.multiplyVector(m, new Vector3(1, -1, 0));
+        assert.ok(Math.abs(transformed.dot(tangent)) < EPSILON);
+        assertVector(transformed, 0.5, 1, 0);
+    });
+
+    it("drops the translation from the normal matrix", () => {
+        const n = Mat4x4.normalMatrix(Mat4x4.translate(5, 6, 7));
+        assertClose(n, Mat4x4.identity());
+    });
+
+    it("multiplies euler rotations in the named order", () => {
+        const [x, y, z] = [0.4, -1.1, 2.3];
+        const axes = {
+            X: Mat4x4.pitchRotation(x),
+            Y: Mat4x4.yawRotation(y),
+            Z: Mat4x4.rollRotation(z)
+        };
+        for(const order of ["XYZ", "XZY", "YXZ", "YZX", "ZXY", "ZYX"]) {
+            const expected = Mat4x4.multiplyMatrix(
+                Mat4x4.multiplyMatrix(axes[order[0]], axes[order[1]]), axes[order[2]]);
+            assertClose(Mat4x4.eulerRotation(x, y, z, order), expected);
+            assertClose(Mat4x4.eulerRotation(x, y, z, order), Quaternion.fromEuler(x, y, z, order).toMat4());
+        }
+    });
+
+    it("throws on an unknown rotation order", () => {
+        assert.throws(() => Mat4x4.eulerRotation(0, 0, 0, "XXY"), RangeError);
+    });
+
+    it("looks from the eye along the z-axis", () => {
+        const eye = new Vector3(3, 4, 5);
+        const target = new Vector3(3, 4, -5);
+        const m = Mat4x4.lookAt(eye, target);
+        assertVector(Mat4x4.multiplyVector(m, eye), 0, 0, 0);
+        assertVector(Mat4x4.multiplyVector(m, target), 0, 0, 10);
+        assertVector(Mat4x4.multiplyVector(m, new Vector3(3, 6, 5)), 0, 2, 0);
+    });
+
+    it("builds an orthonormal view matrix", () => {
+        const m = Mat4x4.lookAt(new Vector3(-2, 7, 1), new Vector3(4, 0, 3));
+        assert.ok(Math.abs(Mat4x4.determinant(m) - 1) < EPSILON);
+        const rotation = Mat4x4.clone(m);
+        rotation[3] = rotation[7] = rotation[11] = 0;
+        assertClose(Mat4x4.multiplyMatrix(rotation, Mat4x4.transpose(Mat4x4.clone(rotation))), Mat4x4.identity());
+    });
+
+    it("splits a composed matrix back into it's parts", () => {
+        const quaternion = Quaternion.fromEuler(0.5, -0.3, 1.9);
+        const m = Mat4x4.compose(new Vector3(1, -2, 3), quaternion, new Vector3(2, 3, 0.5));
+        const parts = Mat4x4.decompose(m);
+        assertVector(parts.position, 1, -2, 3);
+        assertVector(parts.scale, 2, 3, 0.5);
+        // q and -q are the same rotation
+        assert.ok(Math.abs(Math.abs(parts.quaternion.dot(quaternion)) - 1) < EPSILON);
+        assertClose(Mat4x4.compose(parts.position, parts.quaternion, parts.scale), m);
+    });
+
+    it("decomposes a mirrored matrix with a negative x scale", () => {
+        const m = Mat4x4.compose(new Vector3(), Quaternion.fromEuler(1, 0.2, -0.6), new Vector3(-1, 2, 2));
+        const parts = Mat4x4.decompose(m);
+        assert.ok(parts.scale.x < 0);
+        assertClose(Mat4x4.compose(parts.position, parts.quaternion, parts.scale), m);
+    });
+
+});
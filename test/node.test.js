@@ -0,0 +1,132 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import "./dom.js";
+import { Node, Group } from "../src/node.js";
+import { Scene } from "../src/scene.js";
+import { Mesh } from "../src/mesh.js";
+import { AmbientLight } from "../src/light.js";
+import { Vector3 } from "../src/vector.js";
+
+
+/**
+ * @param {Vector3} point - the point to check
+ * @param {Array.<number>} expected - x, y and z
+ */
+const near = (point, [x, y, z]) => {
+    const actual = [point.x, point.y, point.z];
+    assert.ok(actual.every((v, i) => Math.abs(v - [x, y, z][i]) < 1e-4), `${actual} != ${[x, y, z]}`);
+};
+
+
+describe("Node hierarchy", () => {
+
+    it("moves a child from it's previous parent and refuses cycles", () => {
+        const a = new Group("a"), b = new Group("b"), c = new Node();
+        assert.equal(a.add(c), c);
+        b.add(c);
+        assert.deepEqual(a.children, []);
+        assert.equal(c.parent, b);
+
+        a.add(b);
+        assert.throws(() => c.add(a), /cannot be added to itself or to one of it's children/);
+        assert.throws(() => a.add(a), Error);
+        assert.throws(() => a.add({}), TypeError);
+
+        assert.equal(b.remove(c), true);
+        assert.equal(b.remove(c), false);
+        assert.equal(c.parent, null);
+    });
+
+    it("visits parents before their children", () => {
+        const root = new Group("root");
+        const left = root.add(new Group("left"));
+        left.add(new Group("leaf"));
+        root.add(new Group("right"));
+        const names = [];
+        root.traverse(node => names.push(node.name));
+        assert.deepEqual(names, ["root", "left", "leaf", "right"]);
+    });
+
+});
+
+
+describe("Node transforms", () => {
+
+    it("scales, rotates about the origin and then translates", () => {
+        const node = new Node();
+        node.setScale(2, 3, 1);
+        node.setRotation(0, 0, Math.PI / 2);
+        node.setPosition(10, 20, 5);
+        const p = node.localToWorld(new Vector3(1, 1, 0));
+        // (1, 1) is scaled to (2, 3) and turned counter clockwise to (-3, 2)
+        near(p, [7, 22, 5]);
+        near(node.worldToLocal(p), [1, 1, 0]);
+        near(node.worldPosition, [10, 20, 5]);
+    });
+
+    it("combines the transforms of every ancestor", () => {
+        const arm = new Group();
+        arm.setPosition(100, 0, 0);
+        arm.setScale(2, 2, 2);
+        const hand = arm.add(new Group());
+        hand.setPosition(10, 0, 0);
+        hand.setRotation(0, 0, Math.PI);
+        const finger = hand.add(new Node());
+        finger.setPosition(5, 0, 0);
+
+        // the hand is 20 units along the arm, the finger points back towards it
+        near(hand.worldPosition, [120, 0, 0]);
+        near(finger.worldPosition, [110, 0, 0]);
+        near(finger.worldToLocal(new Vector3(110, 0, 0)), [0, 0, 0]);
+        near(hand.worldToLocal(finger.worldPosition), [5, 0, 0]);
+
+        arm.setPosition(0, 50, 0);
+        near(finger.worldPosition, [10, 50, 0]);
+    });
+
+});
+
+
+describe("Scene graph", () => {
+
+    it("keeps lights apart from the nodes and only accepts nodes", () => {
+        const scene = new Scene(300, 150);
+        const light = new AmbientLight(0.5);
+        const group = new Group();
+        assert.equal(scene.add(light), light);
+        assert.equal(scene.add(group), group);
+        assert.deepEqual(scene.lights, [light]);
+        assert.deepEqual(scene.objects, [group]);
+        assert.throws(() => scene.add({}), TypeError);
+        assert.equal(scene.remove(light), true);
+        assert.equal(scene.remove(light), false);
+        assert.deepEqual(scene.lights, []);
+    });
+
+    it("renders and picks meshes through their groups", () => {
+        const scene = new Scene(300, 150);
+        const group = scene.add(new Group());
+        const mesh = group.add(new Mesh("v 0 0 0\nv 10 0 0\nv 10 10 0\nv 0 10 0\nf 3 2 1\nf 4 3 1"));
+        mesh.showWireFrame = false;
+        mesh.setPosition(5, 5, 0);
+        group.setPosition(200, 20, 0);
+        group.setScale(2, 2, 1);
+
+        // the mesh covers the world square from 210, 30 to 230, 50
+        scene.render();
+        const alpha = (x, y) => scene.rasterizer.colorBuffer.data[((150 - y) * 300 + x) * 4 + 3];
+        assert.equal(alpha(220, 40), 255);
+        assert.equal(alpha(205, 40), 0);
+        assert.equal(alpha(235, 40), 0);
+
+        const hit = scene.pick(220, 150 - 40);
+        assert.equal(hit.object, mesh);
+        near(hit.point, [220, 40, 0]);
+        assert.equal(scene.pick(205, 150 - 40), null);
+
+        group.remove(mesh);
+        scene.render();
+        assert.equal(alpha(220, 40), 0);
+    });
+
+});
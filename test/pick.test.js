@@ -0,0 +1,114 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import "./dom.js";
+import { Scene } from "../src/scene.js";
+import { Mesh } from "../src/mesh.js";
+import { TileMap } from "../src/tilemap.js";
+import { Vector3 } from "../src/vector.js";
+
+
+/**
+ * A 10x10 square at a depth, facing the viewer
+ * @param {number} z - depth of the square
+ * @returns {Mesh}
+ */
+const panel = (z) => new Mesh(`v 0 0 ${z}\nv 10 0 ${z}\nv 10 10 ${z}\nv 0 10 ${z}\nf 3 2 1\nf 4 3 1`);
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected}`);
+
+
+describe("Mesh.raycast", () => {
+
+    it("hits the nearest front facing triangle", () => {
+        const mesh = panel(0);
+        const hit = mesh.raycast(new Vector3(8, 2, -50), new Vector3(0, 0, 1));
+        assert.equal(hit.triangle, 0);
+        close(hit.distance, 50);
+        assert.deepEqual([hit.point.x, hit.point.y, hit.point.z], [8, 2, 0]);
+
+        assert.equal(mesh.raycast(new Vector3(2, 8, -50), new Vector3(0, 0, 1)).triangle, 1);
+    });
+
+    it("misses back faces, triangles behind the ray and farther than the limit", () => {
+        const mesh = panel(0);
+        assert.equal(mesh.raycast(new Vector3(5, 5, 50), new Vector3(0, 0, -1)), null);
+        assert.equal(mesh.raycast(new Vector3(5, 5, 10), new Vector3(0, 0, 1)), null);
+        assert.equal(mesh.raycast(new Vector3(5, 5, -50), new Vector3(0, 0, 1), mesh.modelMatrix, 49), null);
+        assert.equal(mesh.raycast(new Vector3(15, 5, -50), new Vector3(0, 0, 1)), null);
+    });
+
+    it("casts against the mesh moved by a model matrix", () => {
+        const mesh = panel(0);
+        mesh.setPosition(100, 0, 0);
+        mesh.setScale(2, 2, 1);
+        const direction = new Vector3(1, 0, 1);
+        direction.normalise();
+        const hit = mesh.raycast(new Vector3(65, 15, -50), direction);
+        close(hit.point.x, 115);
+        close(hit.point.z, 0);
+        close(hit.distance, Math.SQRT2 * 50);
+    });
+
+});
+
+
+describe("Scene.pick", () => {
+
+    it("returns the nearest object under a point of the screen", () => {
+        const scene = new Scene(300, 150);
+        const back = panel(40), front = panel(-30);
+        back.setPosition(150, 75, 0);
+        front.setPosition(155, 75, 0);
+        scene.add(back);
+        scene.add(front);
+
+        // the screen y-axis points down from the top of the canvas
+        const both = scene.pick(157, 70);
+        assert.equal(both.object, front);
+        assert.equal(both.mesh, front);
+        assert.equal(both.cell, null);
+        // the distance is measured from the near plane of the camera
+        close(both.distance, 1000 - 30);
+        close(both.point.x, 157);
+        close(both.point.y, 80);
+
+        assert.equal(scene.pick(152, 70).object, back);
+        assert.equal(scene.pick(120, 70), null);
+    });
+
+    it("follows the camera position and zoom", () => {
+        const scene = new Scene(300, 150);
+        const mesh = panel(0);
+        mesh.setPosition(-500, -500, 0);
+        scene.add(mesh);
+        assert.equal(scene.pick(150, 75), null);
+
+        scene.camera.setPosition(-495, -495, 0);
+        scene.camera.setZoom(10);
+        assert.equal(scene.pick(150 + 40, 75 - 40).object, mesh);
+        // zoomed in ten times the panel spans 100 pixels
+        assert.equal(scene.pick(150 + 60, 75), null);
+    });
+
+    it("reports the cell of a tile map that was hit", () => {
+        const scene = new Scene(300, 150);
+        const map = new TileMap(3, 3, 2, new Vector3(10, 10, 10));
+        map.defineTile(1, panel(0));
+        map.defineTile(2, panel(-5));
+        map.position = new Vector3(150, 75, 0);
+        map.set(1, 1, 0, 1);
+        map.set(1, 1, 1, 2);
+        map.set(2, 1, 0, 1);
+        scene.add(map);
+
+        const hit = scene.pick(165, 60);
+        assert.equal(hit.object, map);
+        assert.deepEqual(hit.cell, { x: 1, y: 1, layer: 1 });
+        assert.equal(hit.mesh, map.tiles[2].meshes[0]);
+        close(hit.point.z, -15);
+
+        assert.deepEqual(scene.pick(175, 60).cell, { x: 2, y: 1, layer: 0 });
+        assert.equal(scene.pick(155, 60), null);
+    });
+
+});
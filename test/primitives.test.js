@@ -0,0 +1,95 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Primitives } from "../src/primitives.js";
+import { Scene } from "../src/scene.js";
+import { Vector3 } from "../src/vector.js";
+
+
+/**
+ * Volume enclosed by the triangles of a mesh, positive when every face points outwards
+ * @param {Mesh} mesh - the mesh
+ * @returns {number}
+ */
+const volume = mesh => mesh.triangles
+    .reduce((sum, { vertices: [a, b, c] }) => sum + a.dot(b.cross(c)), 0) / 6;
+
+/**
+ * Count the edges of a mesh used by a number of triangles other than two
+ * @param {Mesh} mesh - the mesh
+ * @returns {number} edges on an open border or shared by more than two faces
+ */
+const openEdges = mesh => {
+    const key = v => [v.x, v.y, v.z].map(c => c.toFixed(3)).join(" ");
+    const edges = new Map();
+    mesh.triangles.forEach(({ vertices }) => vertices.forEach((v, i) => {
+        const edge = [key(v), key(vertices[(i + 1) % 3])].sort().join("|");
+        edges.set(edge, (edges.get(edge) || 0) + 1);
+    }));
+    return [...edges.values()].filter(count => count !== 2).length;
+};
+
+const near = (actual, expected, tolerance) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} != ${expected}`);
+
+
+describe("Primitives", () => {
+
+    const size = new Vector3(10, 20, 30);
+
+    it("builds closed shapes facing outwards with the expected volume", () => {
+        const shapes = {
+            box: [Primitives.box(size, 2), 6000],
+            wedge: [Primitives.wedge(size, 3), 3000],
+            stairs: [Primitives.stairs(size, 4), 10 * 20 * 30 * 5 / 8],
+            pyramid: [Primitives.pyramid(size, 2), 2000]
+        };
+        for(const [name, [mesh, expected]] of Object.entries(shapes)) {
+            near(volume(mesh), expected, 1e-6);
+            // the sides of each step meet the risers halfway along their edges
+            if(name !== "stairs")
+                assert.equal(openEdges(mesh), 0, name);
+        }
+        assert.equal(openEdges(Primitives.stairs(size, 1)), 0);
+    });
+
+    it("approaches the volume of curved shapes with more segments", () => {
+        const coarse = Primitives.cylinder(10, 8), fine = Primitives.cylinder(10, 64);
+        const cylinder = Math.PI * 5 * 5 * 10;
+        assert.ok(volume(coarse) < volume(fine) && volume(fine) < cylinder);
+        near(volume(fine), cylinder, cylinder * 0.01);
+        near(volume(Primitives.cone(10, 64)), cylinder / 3, cylinder * 0.01);
+        near(volume(Primitives.sphere(10, 64)), Math.PI * 4 / 3 * 125, 5);
+        for(const mesh of [coarse, Primitives.cone(10, 5), Primitives.sphere(10, 6)])
+            assert.equal(openEdges(mesh), 0);
+    });
+
+    it("subdivides sides and leaves out the triangles of a pole", () => {
+        assert.equal(Primitives.box(32).triangles.length, 12);
+        assert.equal(Primitives.box(32, 3).triangles.length, 6 * 9 * 2);
+        assert.equal(Primitives.plane(32, 2).triangles.length, 8);
+        assert.equal(volume(Primitives.plane(32)), 0);
+        // 8 sides and 4 rings, the top and bottom rings have a triangle per side
+        assert.equal(Primitives.sphere(32, 8).triangles.length, 8 * 4 * 2 - 16);
+        // fewer than three sides around are raised to three
+        assert.equal(Primitives.cone(32, 1).triangles.length, 6);
+        assert.throws(() => Primitives.box(32, NaN), RangeError);
+        assert.throws(() => Primitives.stairs(32, -1), /must be a positive number/);
+    });
+
+    it("shades the top lightest so it can be told apart from the sides", () => {
+        const scene = new Scene(100, 100);
+        const box = Primitives.box(20, 1, [120, 50, 50]);
+        box.showWireFrame = false;
+        box.setPosition(40, 40, 0);
+        scene.add(box);
+        scene.render();
+        // the top, facing the viewer, keeps the lightness of the color
+        assert.deepEqual(scene.renderer.getPixel(50, 50), [64, 191, 64, 255]);
+        assert.deepEqual(scene.renderer.getPixel(30, 50), [0, 0, 0, 0]);
+
+        const lightness = Primitives.box(20, 1, { h: 0, s: 0, l: 80 }).triangles.map(t => t.color.l);
+        assert.equal(Math.max(...lightness), 80);
+        assert.ok(Math.min(...lightness) < 80 * 0.6);
+    });
+
+});
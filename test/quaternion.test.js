@@ -0,0 +1,133 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Quaternion } from "../src/quaternion.js";
+import { Mat4x4 } from "../src/matrices.js";
+import { Vector3 } from "../src/vector.js";
+import { Node } from "../src/node.js";
+import { Camera } from "../src/camera.js";
+
+
+const ORDERS = ["XYZ", "XZY", "YXZ", "YZX", "ZXY", "ZYX"];
+
+const approx = (actual, expected, epsilon = 1e-6) => {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((a, i) => assert.ok(Math.abs(a - expected[i]) < epsilon, `[${actual}] != [${expected}]`));
+};
+
+const xyz = v => [v.x, v.y, v.z];
+
+
+describe("Quaternion", () => {
+
+    it("rotates vectors counter clockwise about an axis", () => {
+        const quarter = Quaternion.fromAxisAngle(new Vector3(0, 0, 5), Math.PI / 2);
+        approx(xyz(quarter.rotateVector(new Vector3(1, 0, 0))), [0, 1, 0]);
+        approx([quarter.magnitude], [1]);
+        // a zero axis is no rotation
+        assert.deepEqual(Quaternion.fromAxisAngle(new Vector3(), 1), new Quaternion());
+        // the conjugate turns back
+        approx(xyz(quarter.conjugate().rotateVector(new Vector3(0, 1, 0))), [1, 0, 0]);
+    });
+
+    it("applies the right hand rotation of a product first", () => {
+        const x = Quaternion.fromAxisAngle(new Vector3(1, 0, 0), Math.PI / 2);
+        const z = Quaternion.fromAxisAngle(new Vector3(0, 0, 1), Math.PI / 2);
+        // z turns the x-axis to the y-axis which x then turns to the z-axis
+        approx(xyz(x.multiply(z).rotateVector(new Vector3(1, 0, 0))), [0, 0, 1]);
+        approx(xyz(z.multiply(x).rotateVector(new Vector3(1, 0, 0))), [0, 1, 0]);
+    });
+
+    it("blends rotations at a constant speed along the shortest path", () => {
+        const a = new Quaternion();
+        const b = Quaternion.fromAxisAngle(new Vector3(0, 1, 0), 2);
+        approx(xyz(Quaternion.slerp(a, b, 0)), xyz(a));
+        approx(xyz(Quaternion.slerp(a, b, 1)), xyz(b));
+        for(const t of [0.25, 0.5, 0.8]) {
+            const q = Quaternion.slerp(a, b, t);
+            approx([2 * Math.acos(q.w)], [2 * t]);
+            approx([q.magnitude], [1]);
+        }
+
+        // -b is the same rotation as b, the blend doesn't go the long way round
+        const negated = new Quaternion(-b.x, -b.y, -b.z, -b.w);
+        const half = Quaternion.slerp(a, negated, 0.5);
+        approx([Math.abs(half.dot(Quaternion.fromAxisAngle(new Vector3(0, 1, 0), 1)))], [1]);
+
+        // nearly equal rotations are blended linearly and stay unit quaternions
+        const c = Quaternion.fromAxisAngle(new Vector3(0, 1, 0), 1e-4);
+        approx([Quaternion.slerp(a, c, 0.5).magnitude], [1]);
+    });
+
+    it("builds the same rotation as the euler matrix for every order", () => {
+        const [x, y, z] = [0.3, -1.1, 2.4];
+        for(const order of ORDERS)
+            approx(Array.from(Quaternion.fromEuler(x, y, z, order).toMat4()),
+                Array.from(Mat4x4.eulerRotation(x, y, z, order)), 1e-5);
+    });
+
+    it("converts back to the euler angles it was built from", () => {
+        const angles = [0.4, 0.9, -0.7];
+        for(const order of ORDERS)
+            approx(xyz(Quaternion.fromEuler(...angles, order).toEuler(order)), angles, 1e-5);
+    });
+
+    it("keeps the rotation when the middle angle is a quarter turn", () => {
+        // the x and z axes line up and the whole turn is put on the first axis
+        for(const order of ["XYZ", "ZYX"]) {
+            const q = Quaternion.fromEuler(0.5, Math.PI / 2, 0.2, order);
+            const back = q.toEuler(order);
+            assert.equal(back[order[2].toLowerCase()], 0);
+            approx([Math.abs(q.dot(Quaternion.fromEuler(back.x, back.y, back.z, order)))], [1]);
+        }
+    });
+
+    it("rejects unknown orders", () => {
+        assert.throws(() => Quaternion.fromEuler(0, 0, 0, "XXY"), RangeError);
+        assert.throws(() => new Quaternion().toEuler("xyz"), RangeError);
+        assert.throws(() => Mat4x4.eulerRotation(0, 0, 0, "ZY"), RangeError);
+    });
+
+});
+
+
+describe("Euler rotation", () => {
+
+    it("turns the z-axis towards the x-axis about the y-axis", () => {
+        approx(xyz(Mat4x4.multiplyVector(Mat4x4.yawRotation(Math.PI / 2), new Vector3(0, 0, 1))), [1, 0, 0]);
+    });
+
+    it("depends on the order the axes are multiplied in", () => {
+        const node = new Node();
+        node.setRotation(Math.PI / 2, 0, Math.PI / 2, "XYZ");
+        approx(xyz(node.localToWorld(new Vector3(1, 0, 0))), [0, 0, 1]);
+        node.setRotation(Math.PI / 2, 0, Math.PI / 2, "ZYX");
+        approx(xyz(node.localToWorld(new Vector3(1, 0, 0))), [0, 1, 0]);
+        assert.equal(node.rotationOrder, "ZYX");
+    });
+
+    it("sets the rotation of a node from a quaternion", () => {
+        const node = new Node();
+        node.rotationOrder = "YXZ";
+        const q = Quaternion.fromAxisAngle(new Vector3(1, 1, 0), 1.2);
+        node.setQuaternion(q);
+        approx([Math.abs(node.quaternion.dot(q))], [1]);
+        approx(xyz(node.localToWorld(new Vector3(0, 0, 1))), xyz(q.rotateVector(new Vector3(0, 0, 1))));
+    });
+
+    it("turns the camera smoothly towards a rotation", () => {
+        const camera = new Camera(100, 100);
+        camera.rotateTo(0, 0, Math.PI / 2, 0.5);
+        camera.update();
+        approx(xyz(camera.rotation), [0, 0, Math.PI / 4]);
+        for(let i = 0; i < 60 && camera.targetRotation; i++)
+            camera.update();
+        assert.equal(camera.targetRotation, null);
+        approx(xyz(camera.rotation), [0, 0, Math.PI / 2]);
+
+        camera.rotateTo(1, 0, 0, 0.5);
+        camera.setRotation(0, 0, 0);
+        camera.update();
+        approx(xyz(camera.rotation), [0, 0, 0]);
+    });
+
+});
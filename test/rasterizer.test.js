@@ -0,0 +1,125 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import "./dom.js";
+import { Rasterizer } from "../src/rasterizer.js";
+import { Vector3 } from "../src/vector.js";
+import { Scene } from "../src/scene.js";
+import { Mesh } from "../src/mesh.js";
+
+
+/**
+ * @param {Rasterizer} raster - the rasteriser
+ * @param {number} x - pixel on the x-axis
+ * @param {number} y - pixel on the y-axis
+ * @returns {Array.<number>} the rgba bytes of the pixel
+ */
+const pixel = (raster, x, y) => {
+    const i = (y * raster.width + x) * 4;
+    return Array.from(raster.colorBuffer.data.slice(i, i + 4));
+};
+
+/**
+ * A screen space triangle covering the whole 20x20 buffer at one depth
+ * @param {number} z - depth of every vertex
+ * @returns {Array.<Vector3>}
+ */
+const cover = (z) => [new Vector3(-1, -1, z), new Vector3(60, -1, z), new Vector3(-1, 60, z)];
+
+
+describe("Rasterizer", () => {
+
+    it("keeps the nearest surface whatever order triangles are drawn in", () => {
+        const raster = new Rasterizer(20, 20);
+        raster.drawTriangle(cover(1), "#ff0000");
+        raster.drawTriangle(cover(5), "#00ff00");
+        assert.deepEqual(pixel(raster, 5, 5), [255, 0, 0, 255]);
+
+        raster.clear();
+        raster.drawTriangle(cover(5), "#00ff00");
+        raster.drawTriangle(cover(1), "#ff0000");
+        assert.deepEqual(pixel(raster, 5, 5), [255, 0, 0, 255]);
+    });
+
+    it("resolves intersecting triangles per pixel", () => {
+        const raster = new Rasterizer(20, 20);
+        // the red triangle goes from in front on the left to behind on the right
+        raster.drawTriangle([new Vector3(-1, -1, 0), new Vector3(40, -1, 20), new Vector3(-1, 40, 0)], "#ff0000");
+        raster.drawTriangle(cover(5), "#0000ff");
+        assert.deepEqual(pixel(raster, 2, 2), [255, 0, 0, 255]);
+        assert.deepEqual(pixel(raster, 17, 2), [0, 0, 255, 255]);
+    });
+
+    it("blends translucent pixels without writing their depth", () => {
+        const raster = new Rasterizer(20, 20);
+        raster.drawTriangle(cover(5), "#0000ff");
+        raster.drawTriangle(cover(1), "rgba(255, 0, 0, 0.5)");
+        const [r, g, b, a] = pixel(raster, 5, 5);
+        assert.ok(Math.abs(r - 128) <= 1 && g === 0 && Math.abs(b - 128) <= 1 && a === 255);
+        // an opaque surface between the two still hides the blue one
+        raster.drawTriangle(cover(3), "#00ff00");
+        assert.deepEqual(pixel(raster, 5, 5), [0, 255, 0, 255]);
+    });
+
+    it("draws lines on top of the surface they outline", () => {
+        const raster = new Rasterizer(20, 20);
+        raster.drawTriangle(cover(5), "#0000ff");
+        raster.drawLine(new Vector3(0, 10, 5), new Vector3(19, 10, 5), "#ffffff");
+        assert.deepEqual(pixel(raster, 8, 10), [255, 255, 255, 255]);
+        assert.deepEqual(pixel(raster, 8, 11), [0, 0, 255, 255]);
+    });
+
+    it("reads hsla objects and css colors", () => {
+        const raster = new Rasterizer(4, 4);
+        raster.drawPoint(new Vector3(1, 1, 0), 0, { h: 120, s: 100, l: 50 });
+        raster.drawPoint(new Vector3(2, 2, 0), 0, "hsl(240, 100%, 50%)");
+        assert.deepEqual(pixel(raster, 1, 1), [0, 255, 0, 255]);
+        assert.deepEqual(pixel(raster, 2, 2), [0, 0, 255, 255]);
+    });
+
+});
+
+
+describe("Scene.render", () => {
+
+    const square = (z, hue) => `v 0 0 ${z}
+v 100 0 ${z}
+v 100 100 ${z}
+v 0 100 ${z}
+f 3 2 1
+f 4 3 1
+c ${hue} 100 50
+c ${hue} 100 50`;
+
+    it("rasterises overlapping meshes with the depth buffer", () => {
+        const scene = new Scene(300, 150);
+        // depth is the view space z, smaller values are nearer
+        const near = new Mesh(square(-20, 0));
+        const far = new Mesh(square(-5, 240));
+        near.showWireFrame = far.showWireFrame = false;
+        far.position.x = 50;
+        scene.add(near);
+        scene.add(far);
+        scene.render();
+        // where they overlap the nearer red square is drawn, the blue one shows to it's right
+        const raster = scene.rasterizer;
+        assert.deepEqual(pixel(raster, 75, 50), pixel(raster, 25, 50));
+        assert.notDeepEqual(pixel(raster, 125, 50), pixel(raster, 25, 50));
+        assert.equal(pixel(raster, 200, 50)[3], 0);
+        assert.ok(scene.ctx.calls.some(([name]) => name === "drawImage"));
+    });
+
+    it("fills the triangles on the canvas in fast mode", () => {
+        const scene = new Scene(300, 150);
+        const mesh = new Mesh(square(-5, 0));
+        // away from the edges of the view so no triangle is clipped
+        mesh.position.x = 20;
+        mesh.position.y = 20;
+        scene.add(mesh);
+        scene.fastMode = true;
+        scene.render();
+        const calls = scene.ctx.calls.map(([name]) => name);
+        assert.equal(calls.filter(name => name === "fill").length, 2);
+        assert.ok(!calls.includes("drawImage"));
+    });
+
+});
@@ -0,0 +1,139 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { inflateSync } from "node:zlib";
+import { Renderer, BufferRenderer } from "../src/renderer.js";
+import { Scene } from "../src/scene.js";
+import { Mesh } from "../src/mesh.js";
+
+
+/**
+ * A scene without the DOM showing a red square on the left half and a
+ * half transparent blue square on the right half of the view
+ * @param {number} w - width of the view
+ * @param {number} h - height of the view
+ * @returns {Scene}
+ */
+const headless = (w, h) => {
+    const scene = new Scene(w, h);
+    const square = (x, color) => {
+        const mesh = new Mesh(`v 0 0 0\nv ${w / 2} 0 0\nv ${w / 2} ${h} 0\nv 0 ${h} 0\nf 3 2 1\nf 4 3 1\nc ${color}\nc ${color}`);
+        mesh.showWireFrame = false;
+        mesh.setPosition(x, 0, 0);
+        return mesh;
+    };
+    scene.add(square(0, "0 100 50"));
+    scene.add(square(w / 2, "240 100 50 0.5"));
+    return scene;
+};
+
+/**
+ * Split a png file into it's chunks and check their checksum
+ * @param {Uint8Array} png - the file
+ * @returns {Object.<string, Buffer>} the data of each chunk by type, IDAT chunks are joined
+ */
+const chunks = (png) => {
+    const buffer = Buffer.from(png);
+    const res = {};
+    let offset = 8;
+    while(offset < buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString("latin1", offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        const crc = buffer.readUInt32BE(offset + 8 + length);
+        assert.equal(crc, crc32(buffer.subarray(offset + 4, offset + 8 + length)), `crc of ${type}`);
+        res[type] = res[type] ? Buffer.concat([res[type], data]) : data;
+        offset += 12 + length;
+    }
+    return res;
+};
+
+const crc32 = (bytes) => {
+    let c = ~0;
+    for(const byte of bytes) {
+        c ^= byte;
+        for(let k = 0; k < 8; k++)
+            c = c & 1 ? (c >>> 1) ^ 0xedb88320 : c >>> 1;
+    }
+    return ~c >>> 0;
+};
+
+
+describe("Renderer", () => {
+
+    it("can't be created without a backend", () => {
+        assert.throws(() => new Renderer(), /Abstract Class `Renderer`/);
+        assert.throws(() => new Scene(10, 10, {}), TypeError);
+    });
+
+    it("is a buffer renderer when there is no DOM", () => {
+        const scene = new Scene(40, 20);
+        assert.ok(scene.renderer instanceof BufferRenderer);
+        assert.equal(scene.element, undefined);
+        assert.deepEqual([scene.width, scene.height], [40, 20]);
+        scene.width = 64;
+        assert.deepEqual([scene.renderer.width, scene.renderer.height], [64, 20]);
+    });
+
+});
+
+
+describe("BufferRenderer", () => {
+
+    it("reads back the rendered pixels from the top left corner", () => {
+        const scene = headless(40, 20);
+        scene.render();
+        const renderer = scene.renderer;
+        assert.deepEqual(renderer.getPixel(5, 3), [255, 0, 0, 255]);
+        assert.deepEqual(renderer.getPixel(30.7, 10.2), [0, 0, 255, 128]);
+        assert.equal(renderer.getPixel(40, 0), null);
+        assert.equal(renderer.getPixel(0, -1), null);
+    });
+
+    it("clears to the clear color before every frame", () => {
+        const renderer = new BufferRenderer(8, 8);
+        const scene = new Scene(8, 8, renderer);
+        scene.clearColor = "#102030";
+        scene.render();
+        assert.deepEqual(renderer.getPixel(4, 4), [16, 32, 48, 255]);
+        scene.clearColor = undefined;
+        scene.render();
+        assert.deepEqual(renderer.getPixel(4, 4), [0, 0, 0, 0]);
+    });
+
+    it("encodes a png that decodes to the same pixels", () => {
+        // more than 65535 bytes of pixels are split over several stored blocks
+        const scene = headless(200, 100);
+        scene.render();
+        const png = scene.renderer.toPNG();
+        assert.deepEqual(Array.from(png.subarray(0, 8)), [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+        const { IHDR, IDAT, IEND } = chunks(png);
+        assert.equal(IHDR.readUInt32BE(0), 200);
+        assert.equal(IHDR.readUInt32BE(4), 100);
+        // 8 bits per channel, rgba
+        assert.deepEqual([IHDR[8], IHDR[9]], [8, 6]);
+        assert.equal(IEND.length, 0);
+
+        const raw = inflateSync(IDAT);
+        assert.equal(raw.length, (200 * 4 + 1) * 100);
+        const pixels = scene.renderer.colorBuffer.data;
+        for(let y = 0; y < 100; y += 33) {
+            const row = raw.subarray(y * 801, (y + 1) * 801);
+            assert.equal(row[0], 0);
+            assert.deepEqual(Array.from(row.subarray(1)), Array.from(pixels.subarray(y * 800, (y + 1) * 800)));
+        }
+    });
+
+    it("encodes a ppm with translucent pixels blended over black", () => {
+        const scene = headless(4, 2);
+        scene.render();
+        const ppm = Buffer.from(scene.renderer.toPPM());
+        const header = "P6\n4 2\n255\n";
+        assert.equal(ppm.toString("latin1", 0, header.length), header);
+        assert.equal(ppm.length, header.length + 4 * 2 * 3);
+        const pixel = (x, y) => Array.from(ppm.subarray(header.length + (y * 4 + x) * 3, header.length + (y * 4 + x) * 3 + 3));
+        assert.deepEqual(pixel(0, 0), [255, 0, 0]);
+        assert.deepEqual(pixel(3, 1), [0, 0, 128]);
+    });
+
+});
@@ -0,0 +1,177 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Mesh } from "../src/mesh.js";
+import { Material } from "../src/material.js";
+import { Scene } from "../src/scene.js";
+import { Group } from "../src/node.js";
+import { TileMap } from "../src/tilemap.js";
+import { Light, PointLight, AmbientLight } from "../src/light.js";
+import { Vector3 } from "../src/vector.js";
+import { Color } from "../src/color.js";
+
+
+const PAINTED = `mtllib paint.mtl
+v 0 0 0
+v 40 0 0
+v 40 40 0
+v 0 40 0
+v 80 0 0
+v 80 40 0
+usemtl paint
+f 3 2 1
+f 4 3 1
+usemtl glass
+f 6 5 2
+f 3 6 2
+c
+c 60 100 50
+c
+c`;
+
+const LIBRARY = "newmtl paint\nKd 0 0.5 1\nd 1\n\nnewmtl glass\nKd 1 1 1\nd 0.5";
+
+const corners = mesh => mesh.triangles.map(t => t.vertices.map(v => [v.x, v.y, v.z]));
+const colors = mesh => mesh.triangles.map(({ color: { h, s, l, a } }) => [h, s, l, a].map(n => n === undefined ? 1 : +n.toFixed(3)));
+
+
+describe("OBJ and MTL", () => {
+
+    it("reads back the geometry, texture coordinates and colors it writes", () => {
+        const mesh = new Mesh("v 0 0 0\nv 10 0 0\nv 10 10 0\nv 0 10 0\nvt 0 0\nvt 1 0\nvt 1 1\nvn 0 0 -1\n"
+            + "f 3/3/1 2/2/1 1/1/1\nf 4 3 1\nc 10 20 30 0.5\nc 200 50 50");
+        const copy = new Mesh(mesh.toOBJ());
+        assert.deepEqual(corners(copy), corners(mesh));
+        assert.deepEqual(colors(copy), [[10, 20, 30, 0.5], [200, 50, 50, 1]]);
+        assert.deepEqual(copy.triangles[0].uvs.map(uv => [uv.x, uv.y]), [[1, 1], [1, 0], [0, 0]]);
+        assert.equal(copy.toOBJ(), mesh.toOBJ());
+    });
+
+    it("keeps faces colored by their material linked to it", () => {
+        const mesh = new Mesh(PAINTED);
+        mesh.setMaterials(Material.parseLibrary(LIBRARY));
+        const obj = mesh.toOBJ();
+        assert.deepEqual(obj.split("\n").filter(line => /^(usemtl|c\b)/.test(line)),
+            ["usemtl paint", "usemtl glass", "c", "c 60 100 50", "c", "c"]);
+
+        const copy = new Mesh(obj);
+        copy.setMaterials(Material.parseLibrary(mesh.toMTL()));
+        assert.equal(copy.toOBJ(), obj);
+        // faces without a color of their own still change with their material
+        assert.equal(copy.triangles[0].color, copy.materials.paint.color);
+        assert.equal(copy.triangles[3].color, copy.materials.glass.color);
+        assert.deepEqual(copy.triangles[1].color, new Color(60, 100, 50, 1));
+        copy.materials.paint.setDiffuse(1, 0, 0);
+        assert.equal(copy.triangles[0].color.h, 0);
+    });
+
+    it("writes materials that parse to the same color", () => {
+        const materials = Material.parseLibrary(LIBRARY);
+        const again = Material.parseLibrary(Object.values(materials).map(m => m.toMTL()).join("\n\n"));
+        assert.deepEqual(Object.keys(again), ["paint", "glass"]);
+        for(const name in materials) {
+            const [a, b] = [materials[name].color, again[name].color];
+            [["h", 0.01], ["s", 0.01], ["l", 0.01], ["a", 0]].forEach(([c, e]) =>
+                assert.ok(Math.abs(a[c] - b[c]) <= e, `${name}.${c}: ${a[c]} != ${b[c]}`));
+        }
+        const sky = new Material("sky");
+        sky.textureMap = "sky.png";
+        assert.equal(sky.toMTL().split("\n").pop(), "map_Kd sky.png");
+    });
+
+});
+
+
+describe("Mesh.clone", () => {
+
+    it("copies the geometry, colors, settings and transform", () => {
+        const mesh = new Mesh(PAINTED);
+        mesh.setMaterials(Material.parseLibrary(LIBRARY));
+        mesh.tint = "#ff8000";
+        mesh.showWireFrame = false;
+        mesh.setShading("gouraud");
+        mesh.setPosition(1, 2, 3);
+        mesh.setRotation(0, 0, 0.5, "ZYX");
+        mesh.name = "sign";
+        const copy = mesh.clone();
+        assert.deepEqual(JSON.parse(JSON.stringify(copy)), JSON.parse(JSON.stringify(mesh)));
+        assert.deepEqual(corners(copy), corners(mesh));
+        assert.deepEqual(colors(copy), colors(mesh));
+
+        // the materials are shared, the geometry and tint are not
+        assert.equal(copy.triangles[0].color, mesh.materials.paint.color);
+        copy.vertices[0][0] = 5;
+        copy.tint.set(0, 0, 0);
+        copy.faceColor[1][0] = 200;
+        copy.updateGeometry();
+        assert.deepEqual([mesh.vertices[0][0], mesh.tint.toHex(), mesh.triangles[1].color.h], [0, "#ff8000", 60]);
+    });
+
+    it("keeps the texture and vertex colors", () => {
+        const mesh = new Mesh("v 0 0 0 1 0 0\nv 1 0 0 0 1 0\nv 0 1 0 0 0 1\nvt 0 0\nvt 1 0\nvt 0 1\nf 3/3 2/2 1/1");
+        mesh.setTexture({ width: 1, height: 1, data: new Uint8ClampedArray(4) }, true);
+        const copy = mesh.clone();
+        assert.equal(copy.texture, mesh.texture);
+        assert.equal(copy.perspectiveCorrect, true);
+        assert.deepEqual(copy.triangles[0].uvs.map(uv => [uv.x, uv.y]), [[0, 1], [1, 0], [0, 0]]);
+        assert.deepEqual(copy.triangles[0].colors.map(c => c.toHex()), ["#0000ff", "#00ff00", "#ff0000"]);
+        assert.notEqual(copy.vertexColors[0], mesh.vertexColors[0]);
+    });
+
+});
+
+
+describe("Scene JSON", () => {
+
+    /**
+     * A lit scene with a group holding a painted mesh and a small tile map
+     * @returns {Scene}
+     */
+    const world = () => {
+        const scene = new Scene(120, 80);
+        scene.clearColor = "#202020";
+        scene.add(new AmbientLight(0.3));
+        scene.add(new PointLight(new Vector3(60, 40, -50), 0.8, 200));
+        scene.camera.zoom = 1.25;
+
+        const group = scene.add(new Group("props"));
+        group.setPosition(10, 5, 0);
+        const mesh = group.add(new Mesh(PAINTED));
+        mesh.setMaterials(Material.parseLibrary(LIBRARY));
+        mesh.showWireFrame = false;
+        mesh.setRotation(0, 0, 0.2, "ZYX");
+
+        const map = scene.add(new TileMap(3, 2, 1, new Vector3(10, 10, 10)));
+        map.defineTile(4, [new Mesh("v 0 0 0\nv 10 0 0\nv 10 10 0\nv 0 10 0\nf 3 2 1\nf 4 3 1\nc 300 80 40\nc 300 80 40")]);
+        map.fill(0, 0, 2, 1, 0, 4, { rotation: 1 });
+        map.setPosition(85, 50, 0);
+        return scene;
+    };
+
+    it("renders the same pixels after a json round trip", () => {
+        const scene = world();
+        const copy = Scene.fromJSON(JSON.stringify(scene));
+        assert.deepEqual(JSON.parse(JSON.stringify(copy)), JSON.parse(JSON.stringify(scene)));
+
+        scene.draw();
+        copy.draw();
+        const pixels = scene.renderer.colorBuffer.data;
+        assert.ok(pixels.some((v, i) => i % 4 === 3 && v === 255));
+        assert.deepEqual(copy.renderer.colorBuffer.data, pixels);
+
+        const [group, map] = copy.objects;
+        assert.equal(group.name, "props");
+        assert.equal(group.children[0].triangles[0].color, group.children[0].materials.paint.color);
+        assert.deepEqual(map.get(2, 1), { id: 4, rotation: 1, variant: 0, elevation: 0 });
+        assert.equal(copy.camera.zoom, 1.25);
+    });
+
+    it("refuses json from a newer version and unknown types", () => {
+        const json = world().toJSON();
+        assert.throws(() => Scene.fromJSON(Object.assign({}, json, { version: 99 })),
+            /Scene version 99 is not supported, the latest is 1/);
+        assert.throws(() => Scene.fromJSON(Object.assign({}, json, { objects: [{ type: "Hologram", children: [] }] })),
+            { name: "TypeError", message: 'Unknown node type "Hologram"' });
+        assert.throws(() => Light.fromJSON({ type: "SpotLight" }), TypeError);
+    });
+
+});
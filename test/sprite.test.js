@@ -0,0 +1,148 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Sprite } from "../src/sprite.js";
+import { Scene } from "../src/scene.js";
+import { Mesh } from "../src/mesh.js";
+import { AmbientLight } from "../src/light.js";
+
+
+const RED = [255, 0, 0, 255];
+const GREEN = [0, 255, 0, 255];
+const BLUE = [0, 0, 255, 255];
+const EMPTY = [0, 0, 0, 0];
+
+/**
+ * A sheet of two 2x2 frames side by side, the first red on the left and green on
+ * the right, the second blue
+ * @returns {Object} width, height and rgba data
+ */
+const sheet = () => ({
+    width: 4,
+    height: 2,
+    data: new Uint8ClampedArray([...RED, ...GREEN, ...BLUE, ...BLUE, ...RED, ...GREEN, ...BLUE, ...BLUE])
+});
+
+/**
+ * A scene with a sprite 20 units wide in the middle of it
+ * @returns {Array} the scene and the sprite
+ */
+const stage = () => {
+    const scene = new Scene(100, 100);
+    const sprite = scene.add(new Sprite(sheet(), 2, 2));
+    sprite.setScale(10, 10, 1);
+    sprite.setPosition(50, 50, 0);
+    return [scene, sprite];
+};
+
+
+describe("Sprite drawing", () => {
+
+    it("draws the current frame of the sheet around it's anchor", () => {
+        const [scene, sprite] = stage();
+        assert.equal(sprite.frameCount, 2);
+        scene.render();
+        const pixel = (x, y) => scene.renderer.getPixel(x, y);
+        assert.deepEqual([pixel(45, 50), pixel(55, 50), pixel(35, 50)], [RED, GREEN, EMPTY]);
+
+        sprite.flipX = true;
+        scene.render();
+        assert.deepEqual([pixel(45, 50), pixel(55, 50)], [GREEN, RED]);
+
+        sprite.flipX = false;
+        sprite.frame = 1;
+        scene.render();
+        assert.deepEqual(pixel(45, 50), BLUE);
+
+        // anchored by the bottom left corner the frame is up and to the right of the position
+        sprite.frame = 0;
+        sprite.setAnchor(0, 0);
+        scene.render();
+        assert.deepEqual([pixel(52, 40), pixel(65, 40), pixel(45, 50), pixel(52, 52)], [RED, GREEN, EMPTY, EMPTY]);
+    });
+
+    it("is depth tested against meshes and shaded when lit", () => {
+        const [scene, sprite] = stage();
+        const wall = scene.add(new Mesh("v 0 0 0\nv 100 0 0\nv 100 100 0\nv 0 100 0\nf 3 2 1\nf 4 3 1\nc 0 0 0\nc 0 0 0"));
+        wall.showWireFrame = false;
+        sprite.setPosition(50, 50, 10);
+        scene.render();
+        assert.deepEqual(scene.renderer.getPixel(45, 50), [0, 0, 0, 255]);
+        sprite.setPosition(50, 50, -10);
+        scene.render();
+        assert.deepEqual(scene.renderer.getPixel(45, 50), RED);
+
+        scene.add(new AmbientLight(0.5));
+        sprite.lit = true;
+        scene.render();
+        assert.deepEqual(scene.renderer.getPixel(45, 50), [128, 0, 0, 255]);
+    });
+
+    it("stands upright along the height of tiles when the camera is tilted", () => {
+        const [scene, sprite] = stage();
+        scene.setRotation(Math.PI / 3, 0, 0);
+        const depths = () => scene.project().flatMap(t => t.vertices.map(v => +v.z.toFixed(6)));
+        assert.equal(new Set(depths()).size, 1);
+        sprite.upright = true;
+        assert.equal(new Set(depths()).size, 2);
+        // nothing is drawn without an image
+        sprite.setTexture(null);
+        assert.deepEqual(scene.project(), []);
+        assert.equal(sprite.frameCount, 0);
+    });
+
+});
+
+
+describe("Sprite clips", () => {
+
+    it("steps through the frames of a looping clip", () => {
+        const sprite = new Sprite(sheet(), 2, 2);
+        sprite.addClip("walk", [1, 0, 1, 1], 10);
+        sprite.playClip("walk");
+        assert.equal(sprite.frame, 1);
+        sprite.step(0.125);
+        assert.equal(sprite.frame, 0);
+        sprite.step(0.25);
+        assert.equal(sprite.frame, 1);
+        // playing the same clip carries on
+        sprite.playClip("walk");
+        assert.equal(sprite.clipTime, 0.375);
+        sprite.stopClip();
+        sprite.step(1);
+        assert.equal(sprite.clipTime, 0.375);
+    });
+
+    it("holds the last frame of a clip that doesn't loop and reports it once", () => {
+        const sprite = new Sprite(sheet(), 2, 2);
+        sprite.addClip("open", [0, 1], 4, false);
+        const completed = [];
+        sprite.playClip("open", s => completed.push(s));
+        sprite.step(1);
+        sprite.step(1);
+        assert.equal(sprite.frame, 1);
+        assert.deepEqual(completed, [sprite]);
+        assert.equal(sprite.clip, null);
+    });
+
+    it("refuses empty clips, stopped time and unknown clips", () => {
+        const sprite = new Sprite(null);
+        assert.throws(() => sprite.addClip("idle", []), TypeError);
+        assert.throws(() => sprite.addClip("idle", [0], 0), RangeError);
+        assert.throws(() => sprite.playClip("run"), /The sprite has no clip named "run"/);
+    });
+
+    it("keeps it's frames, clips and settings in the scene json", () => {
+        const [scene, sprite] = stage();
+        sprite.addClip("walk", [0, 1], 8);
+        Object.assign(sprite, { frame: 1, upright: true, flipX: true, opacity: 0.5 });
+        sprite.setAnchor(0.5, 0);
+        const json = JSON.parse(JSON.stringify(scene));
+        const copy = Scene.fromJSON(json).objects[0];
+        assert.ok(copy instanceof Sprite);
+        assert.deepEqual(JSON.parse(JSON.stringify(copy)), json.objects[0]);
+        assert.deepEqual(copy.clips.walk, { frames: [0, 1], fps: 8, loop: true });
+        // without a DOM the image is not loaded
+        assert.equal(copy.texture, null);
+    });
+
+});
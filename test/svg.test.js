@@ -0,0 +1,96 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { SVGRenderer } from "../src/renderer.js";
+import { Scene } from "../src/scene.js";
+import { Mesh } from "../src/mesh.js";
+import { Vector3 } from "../src/vector.js";
+
+
+/**
+ * A projected triangle as the scene hands it to a renderer
+ * @param {number} z - depth of the triangle
+ * @param {Object} options - drawing options replacing the defaults
+ * @returns {Object}
+ */
+const projected = (z, options = {}) => Object.assign({
+    vertices: [new Vector3(0, 0, z), new Vector3(10.123, 0, z), new Vector3(0, 5.555, z)],
+    zAverage: z,
+    color: { h: 120, s: 50, l: 25, a: 1 },
+    fillShader: true,
+    showWireFrame: false,
+    showVertex: false
+}, options);
+
+const polygons = svg => svg.split("\n").filter(line => line.includes("<polygon"));
+
+
+describe("SVGRenderer", () => {
+
+    it("writes a polygon per triangle, farthest first", () => {
+        const renderer = new SVGRenderer(20, 10);
+        const near = projected(1, { color: { h: 0, s: 100, l: 50 } });
+        const far = projected(9);
+        const svg = renderer.render([near, far]);
+        assert.equal(renderer.svg, svg);
+        assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="20" height="10" viewBox="0 0 20 10">'));
+        assert.ok(svg.endsWith("</svg>\n"));
+
+        const [first, second] = polygons(svg);
+        assert.equal(first, '  <polygon points="0,0 10.12,0 0,5.56" fill="hsl(120, 50%, 25%)"'
+            + ' stroke="hsl(120, 50%, 25%)" stroke-linejoin="round"/>');
+        assert.ok(second.includes('fill="hsl(0, 100%, 50%)"'));
+    });
+
+    it("keeps wireframes, vertex dots and alpha", () => {
+        const renderer = new SVGRenderer(20, 10);
+        const svg = renderer.render([
+            projected(1, { fillShader: false, showWireFrame: true, wireFrameColor: "#f00" }),
+            projected(2, { color: { h: 10, s: 20, l: 30, a: 0.25 }, showVertex: true, showWireFrame: true }),
+            projected(3, { fillShader: false })
+        ]);
+        const [translucent, wire] = polygons(svg);
+        assert.ok(wire.includes('fill="none" stroke="#f00"'));
+        assert.ok(translucent.includes('fill-opacity="0.25"'));
+        assert.ok(translucent.includes('stroke-opacity="0.25"'));
+        const dots = svg.split("\n").filter(line => line.includes("<circle"));
+        assert.equal(dots.length, 3);
+        assert.equal(dots[1], '  <circle cx="10.12" cy="0" r="2" fill="hsl(10, 20%, 30%)" fill-opacity="0.25"/>');
+        // a triangle neither filled nor outlined writes nothing
+        assert.equal(polygons(svg).length, 2);
+    });
+
+    it("paints the background and escapes css colors", () => {
+        const renderer = new SVGRenderer(4, 4);
+        renderer.clearColor = "#000";
+        const svg = renderer.render([projected(1, { fillShader: false, showWireFrame: true, wireFrameColor: 'url("a&b")' })]);
+        assert.ok(svg.includes('  <rect width="100%" height="100%" fill="#000"/>'));
+        assert.ok(svg.includes('stroke="url(&quot;a&amp;b&quot;)"'));
+    });
+
+});
+
+
+describe("Scene.toSVG", () => {
+
+    it("writes the same document for the same scene without using it's renderer", () => {
+        const scene = new Scene(100, 50);
+        const mesh = new Mesh("v 0 0 0\nv 10 0 0\nv 10 10 0\nv 0 10 0\nf 3 2 1\nf 4 3 1\nc 200 100 50\nc 200 100 50");
+        mesh.setPosition(45, 20, 0);
+        mesh.showWireFrame = false;
+        scene.add(mesh);
+        scene.clearColor = "#123";
+
+        const svg = scene.toSVG();
+        assert.equal(scene.toSVG(), svg);
+        assert.equal(scene.renderer.getPixel(50, 25)[3], 0);
+
+        // the world y-axis points up, the svg y-axis down
+        assert.deepEqual(polygons(svg).map(p => p.match(/points="([^"]*)"/)[1]), [
+            "55,20 55,30 45,30",
+            "45,20 55,20 45,30"
+        ]);
+        assert.ok(svg.includes('fill="#123"'));
+        assert.ok(polygons(svg).every(p => p.includes('fill="hsl(200, 100%, 50%)"')));
+    });
+
+});
@@ -0,0 +1,132 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Terrain } from "../src/terrain.js";
+import { Scene } from "../src/scene.js";
+
+
+// grey bands so the top of a cell is drawn with an exact rgb value
+const BANDS = [
+    { below: 0.5, color: { h: 0, s: 0, l: 20, a: 1 } },
+    { below: Infinity, color: { h: 0, s: 0, l: 80, a: 1 } }
+];
+const DARK = [51, 51, 51, 255];
+const LIGHT = [204, 204, 204, 255];
+
+const geometry = terrain => ({ vertices: terrain.vertices, faces: terrain.faces, colors: terrain.faceColor });
+
+
+describe("Blocky terrain", () => {
+
+    it("has a flat top for each height and walls down to lower neighbours", () => {
+        const terrain = new Terrain([[0, 2]], { cellSize: 10 });
+        // the low cell is only a top, the high one has walls on all four sides
+        assert.equal(terrain.triangles.length, 2 + 10);
+        const tops = terrain.vertices.filter(v => v[2] === -2);
+        assert.deepEqual(tops.map(v => v[0]).sort((a, b) => a - b).filter((x, i, all) => x !== all[i - 1]), [10, 20]);
+        assert.equal(Math.min(...terrain.vertices.map(v => v[2])), -2);
+
+        // a wall to the base along the edge of the map
+        const raised = new Terrain([[3]], { base: 1, heightScale: 2 });
+        assert.deepEqual([...new Set(raised.vertices.map(v => v[2]))].sort((a, b) => a - b), [-6, -2]);
+    });
+
+    it("draws each cell in the color of it's height band", () => {
+        const scene = new Scene(100, 50);
+        const terrain = scene.add(new Terrain([[1, 4]], { cellSize: 50, bands: BANDS }));
+        terrain.showWireFrame = false;
+        scene.draw();
+        assert.deepEqual([scene.renderer.getPixel(25, 25), scene.renderer.getPixel(75, 25)], [DARK, LIGHT]);
+
+        terrain.setHeight(0, 0, 3);
+        scene.draw();
+        assert.deepEqual(scene.renderer.getPixel(25, 25), LIGHT);
+    });
+
+    it("regenerates changed heights the same as building them again", () => {
+        const terrain = new Terrain([[0, 1, 2], [3, 4, 5], [6, 7, 8]], { bands: BANDS, maxHeight: 8 });
+        terrain.setHeights(1, 1, [[9, 0], [2]]);
+        const rebuilt = new Terrain([[0, 1, 2], [3, 9, 0], [6, 2, 8]], { bands: BANDS, maxHeight: 8 });
+        assert.deepEqual(geometry(terrain), geometry(rebuilt));
+        assert.equal(terrain.getHeight(1, 1), 9);
+        assert.equal(terrain.getHeight(3, 0), undefined);
+        // heights outside the terrain are ignored
+        terrain.setHeights(2, 2, [[1, 5], [5]]);
+        assert.equal(terrain.getHeight(2, 2), 1);
+    });
+
+});
+
+
+describe("Smooth terrain", () => {
+
+    it("slopes between heights at the corners of it's cells", () => {
+        const terrain = new Terrain([[0, 0], [0, 8]], { cellSize: 10, smooth: true });
+        assert.deepEqual(terrain.vertices.slice(0, 4).map(v => v.map(c => c || 0)), [[0, 0, 0], [10, 0, 0], [0, 10, 0], [10, 10, -8]]);
+        // one cell and a wall along each of the four edges
+        assert.equal(terrain.triangles.length, 2 + 8);
+        // both triangles of the cell face up the slope
+        const normals = terrain.triangles.slice(0, 2).map(({ normal: n }) => n.z / Math.hypot(n.x, n.y, n.z));
+        assert.ok(normals.every(z => z < 0 && z > -1));
+    });
+
+    it("moves the tops of the edge walls with the heights", () => {
+        const terrain = new Terrain([[0, 0, 0], [0, 8, 0]], { smooth: true, bands: BANDS, maxHeight: 8 });
+        terrain.setHeight(2, 1, 6);
+        const rebuilt = new Terrain([[0, 0, 0], [0, 8, 6]], { smooth: true, bands: BANDS, maxHeight: 8 });
+        assert.deepEqual(geometry(terrain), geometry(rebuilt));
+        // the corner height and the tops of the two walls meeting there
+        const corner = terrain.vertices.filter(([x, y, z]) => x === 64 && y === 32 && z);
+        assert.deepEqual(corner.map(v => v[2]), [-6, -6, -6]);
+    });
+
+});
+
+
+describe("Terrain", () => {
+
+    it("reads heights from the brightness of an image with the rows flipped", () => {
+        const white = [255, 255, 255, 255], black = [0, 0, 0, 255], grey = [128, 128, 128, 255];
+        const image = { width: 2, height: 2, data: new Uint8ClampedArray([...white, ...grey, ...black, ...black]) };
+        const terrain = Terrain.fromImage(image, 10, { cellSize: 4 });
+        assert.ok(Math.abs(terrain.getHeight(0, 1) - 10) < 1e-6);
+        assert.ok(Math.abs(terrain.getHeight(1, 1) - 1280 / 255) < 1e-6);
+        assert.deepEqual([terrain.getHeight(0, 0), terrain.getHeight(1, 0)], [0, 0]);
+        assert.equal(terrain.maxHeight, 10);
+        assert.equal(terrain.cellSize, 4);
+        assert.throws(() => Terrain.fromImage({ width: 0, height: 0 }), /must be loaded/);
+    });
+
+    it("keeps it's heights and options in the scene json", () => {
+        const scene = new Scene(100, 50);
+        const terrain = scene.add(new Terrain([[1, 4], [2, 0.5]], { cellSize: 50, heightScale: 3, base: -1, bands: BANDS, maxHeight: 6 }));
+        terrain.setHeight(1, 1, 5);
+        terrain.showWireFrame = false;
+        terrain.tint = "#ff0000";
+        terrain.setPosition(0, -50, 0);
+        scene.draw();
+        const pixels = [scene.renderer.getPixel(25, 25), scene.renderer.getPixel(75, 25)];
+        const json = JSON.parse(JSON.stringify(scene));
+        assert.deepEqual(json.objects[0].heights, [[1, 4], [2, 5]]);
+        assert.equal(json.objects[0].bands[1].below, null);
+
+        const copy = Scene.fromJSON(json);
+        const read = copy.objects[0];
+        assert.ok(read instanceof Terrain);
+        assert.deepEqual([read.cellSize, read.heightScale, read.base, read.maxHeight, read.bands[1].below], [50, 3, -1, 6, Infinity]);
+        assert.deepEqual(geometry(read), geometry(terrain));
+        assert.deepEqual(JSON.parse(JSON.stringify(read)), json.objects[0]);
+        copy.draw();
+        assert.deepEqual([copy.renderer.getPixel(25, 25), copy.renderer.getPixel(75, 25)], pixels);
+        assert.deepEqual(pixels, [[51, 0, 0, 255], [204, 0, 0, 255]]);
+
+        const smooth = new Terrain([[0, 3], [1, 2]], { smooth: true });
+        assert.deepEqual(geometry(Terrain.fromJSON(JSON.parse(JSON.stringify(smooth)))), geometry(smooth));
+    });
+
+    it("refuses heights that are not a grid", () => {
+        assert.throws(() => new Terrain([]), RangeError);
+        assert.throws(() => new Terrain([[1, 2], [3]]), /rows of the same length/);
+        assert.throws(() => new Terrain([[1, 2]], { smooth: true }), /at least two rows of two heights/);
+    });
+
+});
@@ -0,0 +1,230 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import "./dom.js";
+import { Texture } from "../src/texture.js";
+import { Rasterizer } from "../src/rasterizer.js";
+import { Vector2, Vector3 } from "../src/vector.js";
+import { Scene } from "../src/scene.js";
+import { Mesh } from "../src/mesh.js";
+import { BufferRenderer } from "../src/renderer.js";
+
+
+const RED = [255, 0, 0, 255];
+const GREEN = [0, 255, 0, 255];
+const BLUE = [0, 0, 255, 255];
+const WHITE = [255, 255, 255, 255];
+
+/**
+ * A 2x2 image without the DOM, red and green on the top row, blue and white below
+ * @returns {Object} width, height and rgba data
+ */
+const checker = () => ({
+    width: 2,
+    height: 2,
+    data: new Uint8ClampedArray([...RED, ...GREEN, ...BLUE, ...WHITE])
+});
+
+/**
+ * @param {Uint8ClampedArray} data - rgba bytes
+ * @param {number} width - width of the image
+ * @returns {Function} read the rgba bytes of the pixel at x, y
+ */
+const reader = (data, width) => (x, y) => {
+    const i = (y * width + x) * 4;
+    return Array.from(data.slice(i, i + 4));
+};
+
+
+describe("Texture", () => {
+
+    it("is only ready once the source has a size and has loaded", () => {
+        assert.equal(new Texture(null).ready, false);
+        assert.equal(new Texture({ width: 0, height: 2 }).ready, false);
+        assert.equal(new Texture({ width: 2, height: 2, complete: false }).ready, false);
+        assert.equal(new Texture({ width: 2, height: 2, complete: true }).ready, true);
+        assert.equal(new Texture(checker()).ready, true);
+    });
+
+    it("reads raw pixel data without a canvas", () => {
+        const image = checker();
+        assert.equal(new Texture(image).getImageData(), image);
+    });
+
+    it("maps v upwards and repeats or clamps coordinates outside the image", () => {
+        const texture = new Texture(checker());
+        texture.getImageData();
+        const texel = (u, v) => reader(texture.imageData.data, 1)(texture.texelIndex(u, v) / 4, 0);
+        assert.deepEqual(texel(0.25, 0.75), RED);
+        assert.deepEqual(texel(0.75, 0.75), GREEN);
+        assert.deepEqual(texel(0.25, 0.25), BLUE);
+        assert.deepEqual(texel(0.75, 0.25), WHITE);
+
+        assert.deepEqual(texel(1.25, 0.75), RED);
+        assert.deepEqual(texel(-0.25, -0.25), GREEN);
+        texture.repeat = false;
+        assert.deepEqual(texel(1.25, 0.75), GREEN);
+        assert.deepEqual(texel(-0.25, -0.25), BLUE);
+    });
+
+});
+
+
+describe("Mesh texture coordinates", () => {
+
+    it("attaches the vt coordinates referred by each face to its triangle", () => {
+        const mesh = new Mesh(`
+            v 0 0 0
+            v 1 0 0
+            v 0 1 0
+            vt 0 0
+            vt 1 0
+            vt 0 1
+            f 1/1 2/2 3/3
+            f 3 2 1
+        `);
+        assert.deepEqual(mesh.triangles[0].uvs.map(uv => [uv.x, uv.y]), [[0, 0], [1, 0], [0, 1]]);
+        assert.deepEqual(mesh.triangles[1].uvs, []);
+    });
+
+    it("wraps an image in a texture and can remove it", () => {
+        const mesh = new Mesh("v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1 2 3");
+        mesh.setTexture(checker(), true);
+        assert.ok(mesh.texture instanceof Texture);
+        assert.equal(mesh.perspectiveCorrect, true);
+        mesh.setTexture(null);
+        assert.equal(mesh.texture, null);
+    });
+
+});
+
+
+describe("Textured fill", () => {
+
+    it("samples each texel across a screen space square", () => {
+        const raster = new Rasterizer(20, 20);
+        const texture = new Texture(checker());
+        // the top of the screen is the top of the texture, at v = 1
+        const tl = new Vector3(0, 0, 1), tr = new Vector3(20, 0, 1);
+        const bl = new Vector3(0, 20, 1), br = new Vector3(20, 20, 1);
+        raster.drawTexturedTriangle([tl, tr, br], [new Vector2(0, 1), new Vector2(1, 1), new Vector2(1, 0)], texture);
+        raster.drawTexturedTriangle([tl, br, bl], [new Vector2(0, 1), new Vector2(1, 0), new Vector2(0, 0)], texture);
+
+        const pixel = reader(raster.colorBuffer.data, raster.width);
+        assert.deepEqual(pixel(3, 3), RED);
+        assert.deepEqual(pixel(16, 3), GREEN);
+        assert.deepEqual(pixel(3, 16), BLUE);
+        assert.deepEqual(pixel(16, 16), WHITE);
+    });
+
+    it("darkens the texels by the light of the triangle", () => {
+        const raster = new Rasterizer(10, 10);
+        const v = [new Vector3(-1, -1, 1), new Vector3(40, -1, 1), new Vector3(-1, 40, 1)];
+        const uv = new Vector2(0.75, 0.25);
+        raster.drawTexturedTriangle(v, [uv, uv, uv], new Texture(checker()), 0.5);
+        assert.deepEqual(reader(raster.colorBuffer.data, raster.width)(4, 4), [128, 128, 128, 255]);
+    });
+
+    it("renders a textured mesh through the scene", () => {
+        const scene = new Scene(300, 150);
+        const mesh = new Mesh(`
+            v 0 0 -10
+            v 100 0 -10
+            v 100 100 -10
+            v 0 100 -10
+            vt 0 0
+            vt 1 0
+            vt 1 1
+            vt 0 1
+            f 3/3 2/2 1/1
+            f 4/4 3/3 1/1
+        `);
+        mesh.showWireFrame = false;
+        mesh.setTexture(checker());
+        scene.add(mesh);
+        scene.render();
+
+        // the world y-axis points up the screen, the square covers rows 50 to 150
+        const pixel = reader(scene.rasterizer.colorBuffer.data, scene.rasterizer.width);
+        assert.deepEqual(pixel(25, 75), RED);
+        assert.deepEqual(pixel(75, 75), GREEN);
+        assert.deepEqual(pixel(25, 125), BLUE);
+        assert.deepEqual(pixel(75, 125), WHITE);
+        assert.deepEqual(pixel(150, 75), [0, 0, 0, 0]);
+    });
+
+});
+
+
+describe("Textures outside their coordinates", () => {
+
+    // a square inside the bottom left of the view mapping the texture from -0.5 to 1.5
+    const WIDE = `v 20 20 0\nv 120 20 0\nv 120 120 0\nv 20 120 0
+vt -0.5 -0.5\nvt 1.5 -0.5\nvt 1.5 1.5\nvt -0.5 1.5\nf 3/3 2/2 1/1\nf 4/4 3/3 1/1`;
+    // the middle of each of the 4x4 texels drawn across the square
+    const SAMPLES = [32, 57, 82, 107].flatMap(x => [42, 67, 92, 117].map(y => [x, y]));
+
+    /**
+     * @param {boolean} repeat - repeat the texture instead of clamping it
+     * @returns {Array.<Array.<number>>} the color of each sample drawn by the rasteriser
+     */
+    const rasterised = repeat => {
+        const scene = new Scene(300, 150, new BufferRenderer(300, 150));
+        const mesh = scene.add(new Mesh(WIDE));
+        mesh.showWireFrame = false;
+        mesh.setTexture(checker());
+        mesh.texture.repeat = repeat;
+        scene.draw();
+        return SAMPLES.map(([x, y]) => scene.renderer.getPixel(x, y));
+    };
+
+    /**
+     * Follow the calls a canvas renderer makes to find the texel drawn at each sample
+     * @param {boolean} repeat - repeat the texture instead of clamping it
+     * @returns {Array.<Array.<number>>} the color of each sample drawn on the canvas
+     */
+    const painted = repeat => {
+        const scene = new Scene(300, 150);
+        scene.fastMode = true;
+        const mesh = scene.add(new Mesh(WIDE));
+        mesh.showWireFrame = false;
+        // an image the canvas draws, with the pixels of the checker
+        mesh.setTexture({ width: 2, height: 2, complete: true });
+        mesh.texture.repeat = repeat;
+        scene.draw();
+
+        const calls = scene.renderer.ctx.calls;
+        const texel = reader(checker().data, 2);
+        // both triangles are mapped by the same transform to texture space
+        const [a, b, c, d, e, f] = calls.find(([name]) => name === "transform")[1];
+        const determinant = a * d - b * c;
+        const drawn = calls.slice(0, calls.findIndex(([name]) => name === "restore"));
+        return SAMPLES.map(([x, y]) => {
+            const tx = (d * (x + 0.5 - e) - c * (y + 0.5 - f)) / determinant;
+            const ty = (a * (y + 0.5 - f) - b * (x + 0.5 - e)) / determinant;
+            if(repeat) {
+                assert.ok(drawn.some(([name, args]) => name === "createPattern" && args[1] === "repeat"));
+                const [, [x0, y0, w, h]] = drawn.find(([name]) => name === "fillRect");
+                assert.ok(tx >= x0 && ty >= y0 && tx <= x0 + w && ty <= y0 + h);
+                return texel(((Math.floor(tx) % 2) + 2) % 2, ((Math.floor(ty) % 2) + 2) % 2);
+            }
+            const [, [, sx, sy, sw, sh, dx, dy, dw, dh]] = drawn.find(([name, [, , , , , dx, dy, dw, dh]]) =>
+                name === "drawImage" && tx >= dx && ty >= dy && tx < dx + dw && ty < dy + dh);
+            return texel(sx + Math.floor((tx - dx) / dw * sw), sy + Math.floor((ty - dy) / dh * sh));
+        });
+    };
+
+    it("repeat on a canvas like they do in the rasteriser", () => {
+        const colors = rasterised(true);
+        assert.deepEqual(painted(true), colors);
+        // the top row of the texture is repeated across the square
+        assert.deepEqual([1, 5, 9, 13].map(i => colors[i]), [GREEN, RED, GREEN, RED]);
+    });
+
+    it("are clamped to the edge on a canvas like they are in the rasteriser", () => {
+        const colors = rasterised(false);
+        assert.deepEqual(painted(false), colors);
+        // the corners of the square take the corners of the texture
+        assert.deepEqual([colors[0], colors[3], colors[12], colors[15]], [RED, BLUE, GREEN, WHITE]);
+    });
+
+});
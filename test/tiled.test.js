@@ -0,0 +1,229 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { Tiled } from "../src/tiled.js";
+import { TileMap } from "../src/tilemap.js";
+import { Mesh } from "../src/mesh.js";
+import { Material } from "../src/material.js";
+import { Scene } from "../src/scene.js";
+
+
+// the tile in the bottom right corner is turned clockwise by a quarter turn in Tiled
+const TURNED = (1 | 0xa0000000) >>> 0;
+
+const YARD = {
+    type: "map",
+    orientation: "orthogonal",
+    width: 3,
+    height: 2,
+    tilewidth: 16,
+    tileheight: 16,
+    properties: [{ name: "name", type: "string", value: "yard" }],
+    tilesets: [{
+        firstgid: 1,
+        name: "ground",
+        tiles: [{ id: 1, type: "wall", properties: [
+            { name: "height", type: "int", value: 8 },
+            { name: "color", type: "color", value: "#ffff0000" }
+        ] }]
+    }],
+    layers: [
+        { type: "tilelayer", name: "floor", width: 3, height: 2, data: [1, 1, 2, 1, 0, TURNED] },
+        { type: "group", name: "roof", visible: false, layers: [
+            { type: "tilelayer", name: "tiles", width: 3, height: 2, data: [2, 2, 2, 2, 2, 2] }
+        ] },
+        { type: "objectgroup", name: "things", objects: [
+            { id: 1, name: "door", x: 16, y: 0, width: 16, height: 16, properties: [{ name: "height", type: "float", value: 4 }] }
+        ] }
+    ]
+};
+
+const YARD_TMX = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- the same map as YARD -->
+<map version="1.10" orientation="orthogonal" width="3" height="2" tilewidth="16" tileheight="16" infinite="0">
+ <properties>
+  <property name="name" value="yard"/>
+ </properties>
+ <tileset firstgid="1" name="ground" tilewidth="16" tileheight="16">
+  <tile id="1" type="wall">
+   <properties>
+    <property name="height" type="int" value="8"/>
+    <property name="color" type="color" value="#ffff0000"/>
+   </properties>
+  </tile>
+ </tileset>
+ <layer id="1" name="floor" width="3" height="2">
+  <data encoding="csv">
+1,1,2,
+1,0,${TURNED}
+</data>
+ </layer>
+ <group name="roof" visible="0">
+  <layer id="2" name="tiles" width="3" height="2">
+   <data>${"<tile gid=\"2\"/>".repeat(6)}</data>
+  </layer>
+ </group>
+ <objectgroup name="things">
+  <object id="1" name="door" x="16" y="0" width="16" height="16">
+   <properties>
+    <property name="height" type="float" value="4"/>
+   </properties>
+  </object>
+ </objectgroup>
+</map>`;
+
+/**
+ * Encode global tile ids the way Tiled does, little endian 32 bit integers in base64
+ * @param {Array.<number>} ids - the ids
+ * @returns {string}
+ */
+const base64 = ids => {
+    const bytes = Buffer.alloc(ids.length * 4);
+    ids.forEach((id, i) => bytes.writeUInt32LE(id, i * 4));
+    return bytes.toString("base64");
+};
+
+
+describe("Tiled.parse", () => {
+
+    it("reads the same map from json and tmx", () => {
+        const map = Tiled.parse(JSON.stringify(YARD));
+        assert.deepEqual(Tiled.parse(YARD_TMX), map);
+        assert.deepEqual(map.properties, { name: "yard" });
+        assert.deepEqual(map.tilesets[0].tiles[1], { type: "wall", properties: { height: 8, color: "#ffff0000" } });
+        // groups are flattened and hide their layers
+        assert.deepEqual(map.layers.map(layer => [layer.name, layer.type, layer.visible]),
+            [["floor", "tilelayer", true], ["tiles", "tilelayer", false], ["things", "objectgroup", true]]);
+        assert.equal(map.layers[0].data[5], TURNED);
+    });
+
+    it("decodes base64 layers in both formats", () => {
+        const ids = [1, 1, 2, 1, 0, TURNED];
+        const json = Object.assign({}, YARD, { layers: [{ type: "tilelayer", width: 3, height: 2, data: base64(ids), encoding: "base64" }] });
+        assert.deepEqual(Tiled.parseJSON(json).layers[0].data, ids);
+        const tmx = YARD_TMX.replace(/<data encoding="csv">[^<]*/, `<data encoding="base64">\n   ${base64(ids)}\n  `);
+        assert.deepEqual(Tiled.parseTMX(tmx).layers[0].data, ids);
+    });
+
+    it("refuses what it can't read", () => {
+        assert.throws(() => Tiled.parse("{}"), { name: "SyntaxError", message: "The data is not a Tiled map" });
+        assert.throws(() => Tiled.parse(YARD_TMX.replace('infinite="0"', 'infinite="1"')), /Infinite maps/);
+        assert.throws(() => Tiled.parse(YARD_TMX.replace(/<data encoding="csv">/, '<data encoding="base64" compression="zlib">')),
+            /Compressed layer data \(zlib\) is not supported/);
+        assert.throws(() => Tiled.parse(YARD_TMX.replace("</layer>", "")), /Unexpected closing tag <\/map>/);
+        assert.throws(() => Tiled.parse("<map>"), /Missing closing tag <\/map>/);
+    });
+
+});
+
+
+describe("Tiled.build", () => {
+
+    it("stacks the visible tile layers into a tile map with the rows flipped", () => {
+        const group = Tiled.build(Tiled.parse(YARD));
+        const [tileMap, things] = group.children;
+        assert.equal(group.name, "yard");
+        assert.ok(tileMap instanceof TileMap);
+        assert.deepEqual([tileMap.columns, tileMap.rows, tileMap.layers], [3, 2, 1]);
+        const ids = [];
+        for(let y = 1; y >= 0; y--)
+            ids.push([0, 1, 2].map(x => tileMap.get(x, y).id));
+        assert.deepEqual(ids, [[1, 1, 2], [1, 0, 1]]);
+        assert.equal(tileMap.get(2, 0).rotation, 3);
+
+        // a tile with a height is a box, other tiles are planes
+        assert.deepEqual(Object.keys(tileMap.tiles), ["1", "2"]);
+        assert.equal(tileMap.tiles[1].meshes[0].triangles.length, 2);
+        assert.equal(tileMap.tiles[2].meshes[0].triangles.length, 12);
+        assert.equal(things.name, "things");
+    });
+
+    it("places object placeholders from their top left corner above the tile layers", () => {
+        const [, things] = Tiled.build(Tiled.parse(YARD)).children;
+        const door = things.children[0];
+        assert.equal(door.name, "door");
+        assert.equal(door.tiledObject.id, 1);
+        assert.deepEqual([things.position.z, door.position.x, door.position.y], [-16, 16, 32]);
+        const ys = door.vertices.map(v => v[1]), zs = door.vertices.map(v => v[2]);
+        assert.deepEqual([Math.min(...ys), Math.max(...ys)], [-16, 0]);
+        assert.deepEqual([Math.min(...zs), Math.max(...zs)], [-4, 0]);
+    });
+
+    it("renders the tiles where Tiled shows them", () => {
+        const scene = new Scene(48, 32);
+        const [tileMap, things] = Tiled.build(Tiled.parse(YARD), scene).children;
+        things.parent.remove(things);
+        for(const id of [1, 2])
+            tileMap.tiles[id].meshes[0].showWireFrame = false;
+        scene.render();
+        // the red wall is in the top right corner and the bottom middle cell is empty
+        assert.deepEqual(scene.renderer.getPixel(40, 8), [255, 0, 0, 255]);
+        assert.equal(scene.renderer.getPixel(24, 24)[3], 0);
+        assert.equal(scene.renderer.getPixel(8, 24)[3], 255);
+    });
+
+    it("uses a copy of a named mesh for every placeholder", () => {
+        const json = JSON.parse(JSON.stringify(YARD));
+        json.layers[2].objects.push(Object.assign(JSON.parse(JSON.stringify(json.layers[2].objects[0])), { id: 2, name: "gate" }));
+        json.layers[2].objects.forEach(o => o.properties.push({ name: "mesh", type: "string", value: "post" }));
+        const post = new Mesh("v 0 0 0\nv 4 0 0\nv 0 4 0\nusemtl wood\nf 3 2 1");
+        const [wood] = Object.values(Material.parseLibrary("newmtl wood\nKd 0.5 0.25 0"));
+        post.setMaterials({ wood });
+        post.tint = "#808080";
+        post.showWireFrame = false;
+        const [door, gate] = Tiled.build(Tiled.parse(json), null, { meshes: { post } }).children[1].children;
+        assert.notEqual(door, post);
+        assert.notEqual(door, gate);
+        assert.deepEqual(post.vertices[2], [0, 4, 0]);
+        assert.deepEqual(door.vertices[2], [0, -12, 0]);
+        // the copies keep the material, tint and settings of the mesh
+        assert.equal(door.triangles[0].color, wood.color);
+        assert.equal(gate.materials.wood, wood);
+        assert.deepEqual([door.tint.toHex(), door.showWireFrame], ["#808080", false]);
+        assert.notEqual(door.tint, post.tint);
+
+        json.layers[2].objects[0].properties[1].value = "statue";
+        assert.throws(() => Tiled.build(Tiled.parse(json)), { name: "RangeError", message: 'Unknown tile mesh "statue"' });
+        assert.throws(() => Tiled.build(Object.assign(Tiled.parse(YARD), { orientation: "hexagonal" })),
+            /Maps with hexagonal orientation are not supported/);
+    });
+
+    it("lays isometric maps on a square grid and turns the camera", () => {
+        const scene = new Scene(64, 64);
+        const map = Tiled.parse(Object.assign({}, YARD, { orientation: "isometric", tilewidth: 32, tileheight: 16 }));
+        const [tileMap, things] = Tiled.build(map, scene).children;
+        assert.ok(Math.abs(tileMap.tileSize.x - 32 / Math.SQRT2) < 1e-9);
+        assert.equal(tileMap.tileSize.x, tileMap.tileSize.y);
+        // object positions are measured in tile heights along both axes
+        assert.ok(Math.abs(things.children[0].position.x - 16 * tileMap.tileSize.x / 16) < 1e-9);
+        assert.deepEqual([scene.camera.rotation.x, scene.camera.rotation.z], [Math.PI / 3, -Math.PI / 4]);
+    });
+
+});
+
+
+describe("Tiled.load", () => {
+
+    const originalFetch = globalThis.fetch;
+    afterEach(() => globalThis.fetch = originalFetch);
+
+    it("loads external tilesets relative to the map", async () => {
+        const fetched = [];
+        const files = {
+            "http://maps.test/levels/yard.tmj": JSON.stringify(Object.assign({}, YARD, {
+                tilesets: [{ firstgid: 1, source: "../sets/ground.tsx" }]
+            })),
+            "http://maps.test/sets/ground.tsx": YARD_TMX.match(/<tileset[\s\S]*<\/tileset>/)[0]
+        };
+        globalThis.fetch = async url => {
+            fetched.push(url);
+            return url in files ? { ok: true, text: async () => files[url] } : { ok: false, status: 404 };
+        };
+        const map = await Tiled.load("http://maps.test/levels/yard.tmj");
+        assert.deepEqual(fetched, Object.keys(files));
+        assert.equal(map.tilesets[0].name, "ground");
+        assert.equal(map.tilesets[0].tiles[1].properties.height, 8);
+
+        await assert.rejects(Tiled.load("http://maps.test/missing.tmx"), /Could not load http:\/\/maps.test\/missing.tmx: 404/);
+    });
+
+});
@@ -0,0 +1,175 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import "./dom.js";
+import { TileMap } from "../src/tilemap.js";
+import { Mesh } from "../src/mesh.js";
+import { Scene } from "../src/scene.js";
+import { Vector3 } from "../src/vector.js";
+import { AABB } from "../src/bounds.js";
+
+
+/**
+ * Print the ids of a layer, one string per row
+ * @param {TileMap} map - the tile map
+ * @param {number} layer - height layer
+ * @returns {Array.<string>}
+ */
+const rows = (map, layer = 0) => {
+    const out = [];
+    for(let y = 0; y < map.rows; y++) {
+        let row = "";
+        for(let x = 0; x < map.columns; x++)
+            row += map.get(x, y, layer).id;
+        out.push(row);
+    }
+    return out;
+};
+
+
+describe("TileMap cells", () => {
+
+    it("only accepts meshes for tile ids from 1 to 65535", () => {
+        const map = new TileMap(2, 2);
+        const mesh = new Mesh("v 0 0 0\nv 1 0 0\nv 0 1 0\nf 3 2 1");
+        map.defineTile(65535, [mesh, mesh]);
+        assert.equal(map.tiles[65535].meshes.length, 2);
+        assert.throws(() => map.defineTile(0, mesh), RangeError);
+        assert.throws(() => map.defineTile(65536, mesh), RangeError);
+        assert.throws(() => map.defineTile(1, []), TypeError);
+        assert.throws(() => map.defineTile(1, [mesh, {}]), TypeError);
+    });
+
+    it("stores the tile and options of each cell and wraps rotations", () => {
+        const map = new TileMap(3, 2, 2);
+        map.set(2, 1, 1, 7, { rotation: -1, variant: 2, elevation: 4.5 });
+        assert.deepEqual(map.get(2, 1, 1), { id: 7, rotation: 3, variant: 2, elevation: 4.5 });
+        assert.deepEqual(map.get(2, 1, 0), { id: 0, rotation: 0, variant: 0, elevation: 0 });
+        map.set(0, 0, 0, 1, { rotation: 6 });
+        assert.equal(map.get(0, 0).rotation, 2);
+
+        assert.equal(map.get(3, 0, 0), null);
+        assert.equal(map.get(0, 0, 2), null);
+        assert.throws(() => map.set(-1, 0, 0, 1), { name: "RangeError", message: /Cell -1, 0, 0/ });
+    });
+
+    it("fills rectangles given in any corner order and clamped to the map", () => {
+        const map = new TileMap(5, 4);
+        map.fill(3, 2, 1, 1, 0, 2);
+        map.fill(-10, 3, 1, 99, 0, 3, { rotation: 1 });
+        assert.deepEqual(rows(map), ["00000", "02220", "02220", "33000"]);
+        assert.equal(map.get(0, 3).rotation, 1);
+    });
+
+    it("floods connected cells of the same tile within a layer", () => {
+        const map = new TileMap(5, 4, 2);
+        map.fill(0, 0, 4, 3, 1, 1);
+        // a wall splitting the first layer in two
+        map.fill(2, 0, 2, 3, 0, 9);
+        map.set(4, 0, 0, 9);
+
+        assert.equal(map.flood(0, 0, 0, 5), 8);
+        assert.deepEqual(rows(map), ["55909", "55900", "55900", "55900"]);
+        // the wall and the other layer are left alone
+        assert.deepEqual(rows(map, 1), ["11111", "11111", "11111", "11111"]);
+
+        assert.equal(map.flood(0, 0, 0, 5), 0);
+        assert.equal(map.flood(9, 9, 0, 5), 0);
+        assert.equal(map.flood(4, 0, 0, 5), 1);
+    });
+
+    it("converts between cells and world points", () => {
+        const map = new TileMap(4, 4, 3, new Vector3(16, 8, 10));
+        map.position = new Vector3(100, 200, 5);
+        const corner = map.gridToWorld(2, 3, 1);
+        assert.deepEqual([corner.x, corner.y, corner.z], [132, 224, -5]);
+        // layers stack towards the viewer, at smaller z
+        assert.deepEqual(map.worldToGrid(new Vector3(133, 231.9, -6)), { x: 2, y: 3, layer: 1 });
+        assert.deepEqual(map.worldToGrid(map.gridToWorld(3, 0, 2)), { x: 3, y: 0, layer: 2 });
+        assert.equal(map.worldToGrid(new Vector3(99, 200, 5)), null);
+        assert.equal(map.worldToGrid(new Vector3(100, 200, 6)), null);
+    });
+
+});
+
+
+describe("TileMap rendering", () => {
+
+    it("draws the shared tile mesh in every cell, turned by quarter turns", () => {
+        const scene = new Scene(300, 150);
+        // a triangle over the lower left half of the footprint
+        const half = new Mesh("v 0 0 0\nv 32 0 0\nv 0 32 0\nf 3 2 1");
+        half.showWireFrame = false;
+        const map = new TileMap(4, 2);
+        map.defineTile(1, half);
+        map.set(0, 0, 0, 1);
+        map.set(2, 0, 0, 1, { rotation: 1 });
+        map.set(1, 1, 0, 1, { rotation: 2 });
+        scene.add(map);
+        scene.render();
+
+        // the world y-axis points up, cell 0, 0 is at the bottom left of the canvas
+        const data = scene.rasterizer.colorBuffer.data;
+        const covered = (x, y) => data[((149 - y) * 300 + x) * 4 + 3] > 0;
+        assert.ok(covered(4, 4));
+        assert.ok(!covered(28, 28));
+        // a quarter turn moves the corner at the cell origin to the right
+        assert.ok(covered(64 + 28, 4));
+        assert.ok(!covered(64 + 4, 28));
+        // a half turn moves it to the opposite corner of the cell
+        assert.ok(covered(32 + 28, 32 + 28));
+        assert.ok(!covered(32 + 4, 32 + 4));
+        // empty cells draw nothing
+        assert.ok(!covered(96 + 4, 4));
+        assert.ok(!covered(4, 32 + 4));
+    });
+
+    it("draws the variant of a cell lifted by it's elevation", () => {
+        const scene = new Scene(300, 150);
+        const square = () => new Mesh("v 0 0 0\nv 32 0 0\nv 32 32 0\nv 0 32 0\nf 3 2 1\nf 4 3 1");
+        const plain = square(), tall = square();
+        plain.showWireFrame = tall.showWireFrame = false;
+        plain.triangles.forEach(t => Object.assign(t.color, { h: 0, s: 100, l: 50 }));
+        tall.triangles.forEach(t => Object.assign(t.color, { h: 240, s: 100, l: 50 }));
+
+        const map = new TileMap(1, 1, 2);
+        map.defineTile(3, [plain, tall]);
+        map.set(0, 0, 0, 3, { variant: 1, elevation: 50 });
+        // variants wrap around, the upper layer uses the red one
+        map.set(0, 0, 1, 3, { variant: 2 });
+        scene.add(map);
+        scene.render();
+
+        // the blue variant of the lower layer is raised in front of the upper layer
+        const i = (140 * 300 + 10) * 4;
+        assert.deepEqual(Array.from(scene.rasterizer.colorBuffer.data.slice(i, i + 4)), [0, 0, 255, 255]);
+    });
+
+    it("places the tile mesh by it's own transform before the cell and turn", () => {
+        const scene = new Scene(300, 150);
+        // a square over the lower left quarter of the footprint, moved to the lower right
+        const quarter = new Mesh("v 0 0 0\nv 8 0 0\nv 8 8 0\nv 0 8 0\nf 3 2 1\nf 4 3 1");
+        quarter.showWireFrame = false;
+        quarter.setScale(2, 2, 1);
+        quarter.setPosition(16, 0, -4);
+        const map = new TileMap(2, 1, 1, new Vector3(32, 32, 32));
+        map.defineTile(1, quarter);
+        map.set(0, 0, 0, 1);
+        map.set(1, 0, 0, 1, { rotation: 2 });
+        scene.add(map);
+        scene.render();
+
+        const data = scene.rasterizer.colorBuffer.data;
+        const covered = (x, y) => data[((149 - y) * 300 + x) * 4 + 3] > 0;
+        assert.deepEqual([covered(24, 4), covered(4, 4), covered(24, 24)], [true, false, false]);
+        // a half turn about the center of the footprint moves it to the upper left
+        assert.deepEqual([covered(32 + 4, 28), covered(32 + 24, 4)], [true, false]);
+
+        // rays and solid boxes find the tile where it's drawn
+        const hit = map.raycast(new Vector3(24, 4, -100), new Vector3(0, 0, 1));
+        assert.deepEqual([hit.cell, hit.point.z], [{ x: 0, y: 0, layer: 0 }, -4]);
+        assert.equal(map.raycast(new Vector3(4, 4, -100), new Vector3(0, 0, 1)), null);
+        const [solid] = map.solidBoxes(new AABB(new Vector3(0, 0, -8), new Vector3(31, 31, 0)));
+        assert.deepEqual([solid.box.min, solid.box.max].map(v => [v.x, v.y, v.z]), [[16, 0, -4], [32, 16, -4]]);
+    });
+
+});
@@ -0,0 +1,112 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { VoxelChunk, VoxelWorld } from "../src/voxel.js";
+import { Scene } from "../src/scene.js";
+import { Vector3 } from "../src/vector.js";
+
+
+const STONE = { h: 0, s: 0, l: 20, a: 1 };
+const GRASS = [120, 100, 25];
+
+/**
+ * @param {VoxelChunk} chunk - a built chunk
+ * @returns {Array.<string>} the sides of the merged rectangles, sorted
+ */
+const rectangles = chunk => chunk.faces.filter((face, i) => i % 2 === 0).map(face => {
+    const [a, , c] = face.map(i => chunk.vertices[i - 1]);
+    return a.map((v, k) => Math.abs(c[k] - v) / chunk.voxelSize).join("x");
+}).sort();
+
+
+describe("VoxelChunk", () => {
+
+    it("only has the faces next to empty voxels, merged into rectangles", () => {
+        const chunk = new VoxelChunk(4, 4, 4, { voxelSize: 1 });
+        chunk.fill([0, 0, 0], [3, 3, 3], 1);
+        chunk.rebuild();
+        // each side of a solid block is a single rectangle
+        assert.deepEqual(rectangles(chunk), Array(6).fill(null).map((v, i) => ["0x4x4", "4x0x4", "4x4x0"][i >> 1]));
+
+        // a hole in the top splits it into four rectangles and shows five faces inside it
+        chunk.set(1, 1, 3, 0);
+        chunk.rebuild();
+        assert.equal(chunk.triangles.length, (5 + 4 + 5) * 2);
+    });
+
+    it("doesn't merge faces of different colors", () => {
+        const chunk = new VoxelChunk(3, 1, 1, { palette: { 1: STONE, 2: GRASS } });
+        chunk.fill([0, 0, 0], [2, 0, 0], 1);
+        chunk.set(1, 0, 0, 2);
+        chunk.rebuild();
+        // two ends plus three voxels along each of the four long sides
+        assert.equal(chunk.triangles.length, (2 + 4 * 3) * 2);
+        assert.ok(chunk.faceColor.some(([h, s]) => h === 120 && s === 100));
+        assert.throws(() => chunk.set(3, 0, 0, 1), /outside the chunk/);
+        assert.throws(() => chunk.set(0, 0, 0, 256), RangeError);
+    });
+
+    it("is drawn in the colors of it's palette", () => {
+        const scene = new Scene(40, 40);
+        const chunk = scene.add(new VoxelChunk(2, 2, 1, { voxelSize: 20, palette: { 1: STONE } }));
+        chunk.set(0, 1, 0, 1);
+        scene.draw();
+        // the top of the voxel is drawn unshaded, the other voxels are empty
+        assert.deepEqual(scene.renderer.getPixel(10, 10), [51, 51, 51, 255]);
+        assert.equal(scene.renderer.getPixel(30, 30)[3], 0);
+        assert.equal(chunk.needsRebuild, false);
+    });
+
+    it("rebuilds edits before it's bounds are read", () => {
+        const chunk = new VoxelChunk(4, 4, 4);
+        chunk.set(3, 0, 0, 1);
+        // nothing drew the chunk, the box and the ray still see the voxel
+        assert.deepEqual([chunk.worldBoundingBox.min.x, chunk.worldBoundingBox.max.x], [24, 32]);
+        chunk.set(0, 0, 0, 1);
+        const hit = chunk.raycast(new Vector3(4, 4, -100), new Vector3(0, 0, 1));
+        assert.ok(hit);
+        assert.equal(hit.point.z, -8);
+        assert.match(chunk.toOBJ(), /^f /m);
+    });
+
+});
+
+
+describe("VoxelWorld", () => {
+
+    it("creates chunks as voxels are set and hides faces between them", () => {
+        const world = new VoxelWorld(2, { voxelSize: 1 });
+        world.set(1, 0, 0, 1);
+        world.set(2, 0, 0, 1);
+        world.set(-1, 0, 0, 0);
+        assert.deepEqual([...world.chunks.keys()], ["0,0,0", "1,0,0"]);
+        assert.deepEqual(world.getChunk(1, 0, 0).position.x, 2);
+        assert.equal(world.get(2, 0, 0), 1);
+        // the faces where the chunks meet are hidden
+        const triangles = Array.from(world.chunks.values(), chunk => (chunk.rebuild(), chunk.triangles.length));
+        assert.deepEqual(triangles, [10, 10]);
+    });
+
+    it("keeps it's voxels in the scene json", () => {
+        const scene = new Scene(40, 40);
+        const world = scene.add(new VoxelWorld(4, { voxelSize: 5, palette: { 1: STONE } }));
+        world.set(0, 0, 0, 1);
+        world.set(5, 6, 1, 2);
+        const json = JSON.parse(JSON.stringify(scene));
+        // long runs of the same voxel are written once
+        assert.ok(json.objects[0].chunks.every(({ voxels }) => voxels.length <= 6));
+        assert.deepEqual(json.objects[0].children, []);
+
+        const copy = Scene.fromJSON(json).objects[0];
+        assert.ok(copy instanceof VoxelWorld);
+        assert.deepEqual(JSON.parse(JSON.stringify(copy)), json.objects[0]);
+        assert.deepEqual([copy.get(0, 0, 0), copy.get(5, 6, 1), copy.children.length], [1, 2, 2]);
+        assert.deepEqual(copy.getChunk(1, 1, 0).toOBJ(), world.getChunk(1, 1, 0).toOBJ());
+
+        const chunk = new VoxelChunk(2, 2, 2);
+        chunk.set(1, 1, 1, 3);
+        const again = VoxelChunk.fromJSON(JSON.parse(JSON.stringify(chunk)));
+        assert.deepEqual(again.voxels, chunk.voxels);
+        assert.throws(() => VoxelChunk.fromJSON(Object.assign(chunk.toJSON(), { size: [3, 2, 2] })), /don't match the size/);
+    });
+
+});
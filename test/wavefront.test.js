@@ -0,0 +1,133 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { WaveFront } from "../src/wavefront.js";
+
+
+describe("WaveFront.parse", () => {
+
+    it("reads vertices, texture coordinates, normals and vertex colors", () => {
+        const obj = WaveFront.parse(`
+            # a comment line
+            v 1 2 3
+            v 4 5 6 1 0.5 0   # with a color
+            vt 0.25 0.75
+            vt 0.5
+            vn 0 0 1
+        `);
+        assert.deepEqual(obj.vertices, [[1, 2, 3], [4, 5, 6]]);
+        assert.deepEqual(obj.vertexColors, [null, [1, 0.5, 0]]);
+        assert.deepEqual(obj.textureCoords, [[0.25, 0.75], [0.5, 0]]);
+        assert.deepEqual(obj.normals, [[0, 0, 1]]);
+        assert.deepEqual(obj.faces, []);
+    });
+
+    it("resolves every face index form to zero based indices", () => {
+        const obj = WaveFront.parse([
+            "v 0 0 0", "v 1 0 0", "v 0 1 0",
+            "vt 0 0", "vt 1 0", "vt 0 1",
+            "vn 0 0 1",
+            "f 1 2 3",
+            "f 1/1 2/2 3/3",
+            "f 1//1 2//1 3//1",
+            "f -3/-3/-1 -2/-2/-1 -1/-1/-1"
+        ].join("\n"));
+        const [plain, textured, normal, relative] = obj.faces;
+        assert.deepEqual(plain.vertices, [0, 1, 2]);
+        assert.equal(plain.uvs, null);
+        assert.equal(plain.normals, null);
+        assert.deepEqual(textured.uvs, [0, 1, 2]);
+        assert.equal(textured.normals, null);
+        assert.equal(normal.uvs, null);
+        assert.deepEqual(normal.normals, [0, 0, 0]);
+        assert.deepEqual(relative, { ...relative, vertices: [0, 1, 2], uvs: [0, 1, 2], normals: [0, 0, 0] });
+    });
+
+    it("splits quads and concave polygons into triangles covering the same area", () => {
+        // an L shape, the corner at (1, 1) is a reflex vertex
+        const obj = WaveFront.parse(`
+            v 0 0 0
+            v 2 0 0
+            v 2 1 0
+            v 1 1 0
+            v 1 2 0
+            v 0 2 0
+            f 1 2 3 4 5 6
+        `);
+        assert.equal(obj.faces.length, 4);
+        const area = obj.faces.reduce((sum, { vertices }) => {
+            const [a, b, c] = vertices.map(i => obj.vertices[i]);
+            return sum + ((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0])) / 2;
+        }, 0);
+        // every triangle keeps the counter clockwise winding, their area adds up to the L
+        assert.equal(area, 3);
+        assert.ok(obj.faces.every(face => face.polygon === 0 && face.line === 8));
+    });
+
+    it("tags faces with their groups, object, smoothing group and material", () => {
+        const obj = WaveFront.parse(`
+            mtllib a.mtl b.mtl
+            v 0 0 0
+            v 1 0 0
+            v 0 1 0
+            f 1 2 3
+            o crate
+            g side top
+            s 1
+            usemtl wood
+            f 1 2 3
+            s off
+            g
+            f 1 2 3
+        `);
+        assert.deepEqual(obj.materialLibraries, ["a.mtl", "b.mtl"]);
+        assert.deepEqual(obj.faces.map(f => [f.group, f.object, f.smoothing, f.material]), [
+            [["default"], null, 0, null],
+            [["side", "top"], "crate", 1, "wood"],
+            [["default"], "crate", 0, "wood"]
+        ]);
+        assert.deepEqual(obj.groups, { default: [0, 2], side: [1], top: [1] });
+        assert.deepEqual(obj.objects, { crate: [1, 2] });
+    });
+
+    it("gives the nth color to every triangle of the nth polygon", () => {
+        const obj = WaveFront.parse(`
+            v 0 0 0
+            v 1 0 0
+            v 1 1 0
+            v 0 1 0
+            f 1 2 3 4
+            f 1 2 3
+            c 10 20 30
+            c 40 50 60 0.5
+        `);
+        assert.deepEqual(obj.faces.map(f => f.color), [[10, 20, 30], [10, 20, 30], [40, 50, 60, 0.5]]);
+    });
+
+    it("joins lines ending with a backslash", () => {
+        const obj = WaveFront.parse("v 1 \\\n 2 \\\n 3\nv 0 0 0\nv 1 1 1\nf 1 2 \\\n3");
+        assert.deepEqual(obj.vertices[0], [1, 2, 3]);
+        // the face keeps the number of the line it starts on
+        assert.equal(obj.faces[0].line, 6);
+    });
+
+    it("ignores unsupported statements", () => {
+        const obj = WaveFront.parse("v 0 0 0\nv 1 0 0\nl 1 2\np 1\ncurv 0 1 1 2");
+        assert.equal(obj.vertices.length, 2);
+        assert.equal(obj.faces.length, 0);
+    });
+
+    it("reports malformed lines with their line number", () => {
+        const fails = (data, message) => assert.throws(() => WaveFront.parse(data), {
+            name: "SyntaxError",
+            message
+        });
+        fails("v 1 2", /^Line 1: vertex expects between 3 and 7 numbers/);
+        fails("v 0 0 0\nv 1 x 0", /^Line 2: vertex has an invalid number/);
+        fails("v 0 0 0\nv 1 0 0\n\nf 1 2", /^Line 4: a face needs at least 3 vertices/);
+        fails("v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1 2 4", /^Line 4: vertex index 4 is out of range/);
+        fails("v 0 0 0\nv 1 0 0\nv 0 1 0\nf 0 1 2", /^Line 4: invalid vertex index "0"/);
+        fails("v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1/1 2/1 3/1", /^Line 4: texture coordinate index 1 is out of range/);
+        fails("v 0 0 0\nv 1 0 0\nv 0 1 0\nf -4 1 2", /^Line 4: vertex index -4 is out of range/);
+    });
+
+});